@@ -26,6 +26,22 @@ const ACTIVE_STATUSES = [
   JOB_STATUS.RUNNING
 ];
 
+// RELION exit/abort markers left by a previous run; removed before resubmitting
+// into the same directory so the monitor doesn't read the old outcome.
+const RELION_MARKERS = [
+  'RELION_JOB_EXIT_SUCCESS', 'RELION_JOB_EXIT_FAILURE',
+  'RELION_JOB_EXIT_ABORTED', 'RELION_JOB_ABORT_NOW'
+];
+
+// Failure classes a project retry policy can act on (see relionLogParser ERROR_PATTERNS)
+const RETRY_ERROR_CLASSES = ['oom', 'node_failure', 'gpu', 'timeout', 'preempted'];
+
+// Events a project's outgoing webhooks can subscribe to (see services/eventWebhookService.js)
+const WEBHOOK_EVENTS = [
+  'job.submitted', 'job.started', 'job.finished',
+  'live_session.pass', 'project.archived'
+];
+
 // Import types
 const IMPORT_TYPE = {
   MOVIES: 'movies',
@@ -198,6 +214,10 @@ const DEFAULTS = {
   PATCH_Y: 5,
   B_FACTOR: 150,
 
+  // EER (Falcon 4) frame grouping and super-resolution rendering
+  EER_GROUPING: 32,
+  EER_UPSAMPLING: 1,
+
   // Processing defaults
   MPI_PROCS: 1,
   THREADS: 1,
@@ -362,6 +382,25 @@ const STAGE_OUTPUT_CATALOG = {
   ],
 };
 
+// Intermediate files removed by job cleanup (RELION "gentle" / "harsh" clean).
+// iterations: gentle clean removes _itNNN_ files of every iteration but the last
+// gentle/harsh: extra glob patterns relative to the job directory; harsh clean
+// also applies the gentle patterns. Files cataloged in output_files or referenced
+// by downstream jobs are always kept.
+const CLEANUP_RULES = {
+  Class2D: { iterations: true, harsh: ['*_it*_optimiser.star', '*_it*_sampling.star'] },
+  Class3D: { iterations: true, harsh: ['*_it*_optimiser.star', '*_it*_sampling.star'] },
+  InitialModel: { iterations: true, harsh: ['*_it*_optimiser.star', '*_it*_sampling.star'] },
+  AutoRefine: { iterations: true, harsh: ['*_it*'] },
+  Multibody: { iterations: true, harsh: ['*_it*'] },
+  MotionCorr: { harsh: ['**/*_PS.mrc', '**/*.eps'] },
+  CtfFind: { harsh: ['**/*.ctf'] },
+  AutoPick: { gentle: ['**/*.spi'] },
+  Extract: { harsh: ['**/*.mrcs'] },
+  Polish: { gentle: ['**/*_FCC_*'], harsh: ['**/*_shiny.mrcs'] },
+  Subtract: { harsh: ['**/*.mrcs'] },
+};
+
 // Downstream input mapping — maps parent job outputs to downstream job form fields
 // downstream: MainComponent.js display name (what selectedBuilder uses)
 // field: form field name in the downstream tab's I/O component
@@ -536,6 +575,10 @@ const LIMITS = {
   ACTIVITY_LOG_MAX: 1000,
   DESCRIPTION_MAX_LENGTH: 5000,
   REQUEST_BODY_MAX: '10mb',
+  SWEEP_MAX_AXES: 2,
+  SWEEP_MAX_JOBS: 16,
+  WORKFLOW_MAX_STEPS: 30,
+  WORKFLOW_SOURCE_MAX_LENGTH: 200000,
 };
 
 // HTTP status codes
@@ -548,13 +591,17 @@ const HTTP_STATUS = {
   NOT_FOUND: 404,
   CONFLICT: 409,
   INTERNAL_ERROR: 500,
-  NOT_IMPLEMENTED: 501
+  NOT_IMPLEMENTED: 501,
+  INSUFFICIENT_STORAGE: 507
 };
 
 module.exports = {
   JOB_STATUS,
   TERMINAL_STATUSES,
   ACTIVE_STATUSES,
+  RELION_MARKERS,
+  RETRY_ERROR_CLASSES,
+  WEBHOOK_EVENTS,
   IMPORT_TYPE,
   IMPORT_NODE_TYPES,
   STAGES,
@@ -567,6 +614,7 @@ module.exports = {
   STAGE_MRC_PATTERNS,
   STAGE_STAR_PATTERNS,
   STAGE_OUTPUT_CATALOG,
+  CLEANUP_RULES,
   DOWNSTREAM_INPUT_MAP,
   HTTP_STATUS,
   RATE_LIMITS,
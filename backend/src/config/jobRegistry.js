@@ -248,6 +248,15 @@ function getStageName(jobType) {
   return STAGE_NAMES[jobType] || null;
 }
 
+/**
+ * Get canonical job type for a stage name (e.g. 'Class2D' -> 'class_2d')
+ * @param {string} stageName - Stage name as stored in Job.job_type
+ * @returns {string|null} Canonical job type or null
+ */
+function getJobTypeForStage(stageName) {
+  return Object.keys(JOB_DEFINITIONS).find(key => JOB_DEFINITIONS[key].stageName === stageName) || null;
+}
+
 /**
  * Check if a job type is valid
  * @param {string} jobType - Job type or alias
@@ -283,6 +292,7 @@ module.exports = {
   getBuilder,
   getValidator,
   getStageName,
+  getJobTypeForStage,
   isValidJobType,
   getAllJobTypes,
   getCanonicalJobTypes,
@@ -30,6 +30,23 @@ module.exports = {
   ROOT_PATH: process.env.ROOT_PATH || '/data/projects',
   ARCHIVE_PATH: process.env.ARCHIVE_PATH || '',
 
+  // Storage accounting: rescan project directories every N hours (0 disables)
+  STORAGE_SCAN_INTERVAL_HOURS: process.env.STORAGE_SCAN_INTERVAL_HOURS !== undefined
+    ? parseFloat(process.env.STORAGE_SCAN_INTERVAL_HOURS) || 0
+    : 12,
+
+  // Default storage quotas in GB (0 = unlimited); admins can override per project/user.
+  // Soft quotas warn, hard quotas block job submission and project creation.
+  PROJECT_SOFT_QUOTA_GB: parseFloat(process.env.PROJECT_SOFT_QUOTA_GB) || 0,
+  PROJECT_HARD_QUOTA_GB: parseFloat(process.env.PROJECT_HARD_QUOTA_GB) || 0,
+  USER_SOFT_QUOTA_GB: parseFloat(process.env.USER_SOFT_QUOTA_GB) || 0,
+  USER_HARD_QUOTA_GB: parseFloat(process.env.USER_HARD_QUOTA_GB) || 0,
+
+  // Batch scheduler backend: 'slurm', 'pbs' or 'fake' (runs scripts locally)
+  SCHEDULER_TYPE: process.env.SCHEDULER_TYPE || 'slurm',
+  // The fake backend runs job scripts on the web server itself; development only
+  ENABLE_FAKE_SCHEDULER: process.env.ENABLE_FAKE_SCHEDULER === 'true',
+
   // SLURM settings
   SLURM_PARTITION: process.env.SLURM_PARTITION || 'default',
   SLURM_SUBMIT_COMMAND: process.env.SLURM_SUBMIT_COMMAND || 'sbatch',
@@ -51,11 +68,37 @@ module.exports = {
   MAX_FILE_SIZE_MB: 500,
   MAX_FRAMES: 100,
   MAX_THUMBNAIL_SIZE: 1024,
-  ALLOWED_EXTENSIONS: ['.mrc', '.mrcs', '.tiff', '.tif', '.eer'],
+  ALLOWED_EXTENSIONS: ['.mrc', '.mrcs', '.tiff', '.tif', '.eer', '.gain'],
 
   // CORS
   CORS_ORIGIN: process.env.CORS_ORIGIN || 'http://localhost:3000',
 
+  // Single sign-on via OpenID Connect (authorization code flow with PKCE)
+  OIDC_ENABLED: process.env.OIDC_ENABLED === 'true',
+  OIDC_PROVIDER_NAME: process.env.OIDC_PROVIDER_NAME || 'SSO',
+  OIDC_ISSUER: (process.env.OIDC_ISSUER || '').replace(/\/+$/, ''),
+  OIDC_CLIENT_ID: process.env.OIDC_CLIENT_ID || '',
+  OIDC_CLIENT_SECRET: process.env.OIDC_CLIENT_SECRET || '',
+  // Defaults to <this server>/api/auth/oidc/callback; must match the client registration
+  OIDC_REDIRECT_URI: process.env.OIDC_REDIRECT_URI || '',
+  OIDC_SCOPES: process.env.OIDC_SCOPES || 'openid profile email',
+  // Claims mapped onto User fields (dotted paths allowed, e.g. realm_access.roles)
+  OIDC_USERNAME_CLAIM: process.env.OIDC_USERNAME_CLAIM || 'preferred_username',
+  OIDC_EMAIL_CLAIM: process.env.OIDC_EMAIL_CLAIM || 'email',
+  OIDC_FIRST_NAME_CLAIM: process.env.OIDC_FIRST_NAME_CLAIM || 'given_name',
+  OIDC_LAST_NAME_CLAIM: process.env.OIDC_LAST_NAME_CLAIM || 'family_name',
+  OIDC_GROUPS_CLAIM: process.env.OIDC_GROUPS_CLAIM || 'groups',
+  // Comma-separated groups granting superuser/staff; when set, roles are synced on every login
+  OIDC_SUPERUSER_GROUPS: process.env.OIDC_SUPERUSER_GROUPS || '',
+  OIDC_STAFF_GROUPS: process.env.OIDC_STAFF_GROUPS || '',
+  // Create accounts on first SSO login (false = only existing users may sign in)
+  OIDC_AUTO_PROVISION: process.env.OIDC_AUTO_PROVISION !== 'false',
+
+  // Two-factor authentication (TOTP): name shown in authenticator apps, and
+  // whether every staff/superuser account must enroll (admins can also require it per user)
+  TOTP_ISSUER: process.env.TOTP_ISSUER || 'CryoProcess',
+  TOTP_REQUIRED_FOR_ADMINS: process.env.TOTP_REQUIRED_FOR_ADMINS === 'true',
+
   // Email Notifications (Optional)
   SMTP_HOST: process.env.SMTP_HOST || '',
   SMTP_PORT: parseInt(process.env.SMTP_PORT, 10) || 587,
@@ -69,6 +112,19 @@ module.exports = {
   SMARTSCOPE_URL: process.env.SMARTSCOPE_URL || '',
   SMARTSCOPE_TOKEN: process.env.SMARTSCOPE_TOKEN || '',
   SMARTSCOPE_API_KEY: process.env.SMARTSCOPE_API_KEY || '',
+  // Result callbacks: attempts per request and delay before the first retry
+  SMARTSCOPE_CALLBACK_ATTEMPTS: parseInt(process.env.SMARTSCOPE_CALLBACK_ATTEMPTS, 10) || 5,
+  SMARTSCOPE_CALLBACK_BACKOFF_MS: parseInt(process.env.SMARTSCOPE_CALLBACK_BACKOFF_MS, 10) || 2000,
+
+  // Project event webhooks: attempts per event and delay before the first retry (doubles each time)
+  WEBHOOK_DELIVERY_ATTEMPTS: parseInt(process.env.WEBHOOK_DELIVERY_ATTEMPTS, 10) || 6,
+  WEBHOOK_RETRY_BASE_SECONDS: parseInt(process.env.WEBHOOK_RETRY_BASE_SECONDS, 10) || 60,
+
+  // Live sessions: warn when processing trails acquisition by more than this (per-session override in forecast_config)
+  LIVE_MAX_PROCESSING_LAG_MINUTES: parseInt(process.env.LIVE_MAX_PROCESSING_LAG_MINUTES, 10) || 30,
+
+  // Live session reports: Chromium/Chrome or wkhtmltopdf binary for the PDF copy (empty = HTML only)
+  REPORT_PDF_COMMAND: process.env.REPORT_PDF_COMMAND || '',
 
   // External Software Executables
   CTFFIND_EXE: process.env.CTFFIND_EXE || 'ctffind',
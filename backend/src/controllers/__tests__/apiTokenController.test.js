@@ -0,0 +1,245 @@
+/**
+ * Personal access tokens: creation rules, one-time display and ownership.
+ */
+
+jest.mock('../../utils/logger');
+jest.mock('../../utils/auditLogger', () => jest.fn());
+
+// ─── Mock state ───────────────────────────────────────────────────
+
+let mockTokens;
+let mockAccessibleProjects;
+
+jest.mock('../projectMemberController', () => ({
+  checkProjectAccess: jest.fn(async (projectId) => (
+    mockAccessibleProjects.includes(projectId)
+      ? { hasAccess: true }
+      : { hasAccess: false, error: 'Access denied', status: 403 }
+  )),
+}));
+
+jest.mock('../../models/ApiToken', () => {
+  const matches = (token, query) => Object.entries(query).every(([key, value]) => token[key] === value);
+  return {
+    generateId: jest.fn(() => `tok${mockTokens.length + 1}`),
+    find: jest.fn((query) => ({
+      sort: () => ({ lean: async () => mockTokens.filter(t => matches(t, query)) }),
+    })),
+    countDocuments: jest.fn(async (query) => mockTokens.filter(t => matches(t, query)).length),
+    create: jest.fn(async (data) => {
+      const token = { created_at: new Date(), last_used_at: null, last_used_ip: null, ...data };
+      mockTokens.push(token);
+      return token;
+    }),
+    findOneAndDelete: jest.fn(async (query) => {
+      const index = mockTokens.findIndex(t => matches(t, query));
+      return index === -1 ? null : mockTokens.splice(index, 1)[0];
+    }),
+  };
+});
+
+const auditLog = require('../../utils/auditLogger');
+const { hashToken } = require('../../utils/apiTokens');
+const controller = require('../apiTokenController');
+
+// ─── Helpers ─────────────────────────────────────────────────────
+
+const JANE = { id: 7, username: 'jane', isStaff: false, isSuperuser: false };
+
+const call = async (handler, { user = JANE, body = {}, params = {}, query = {} } = {}) => {
+  const req = { user, body, params, query, ip: '127.0.0.1' };
+  const res = {
+    status: jest.fn().mockReturnThis(),
+    json: jest.fn().mockReturnThis(),
+  };
+  await handler(req, res);
+  return { status: res.status.mock.calls[0][0], body: res.json.mock.calls[0][0] };
+};
+
+const create = (body, user) => call(controller.createToken, {
+  user,
+  body: { name: 'ci', scopes: ['read'], projectIds: [], expiresInDays: 90, ...body },
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  mockTokens = [];
+  mockAccessibleProjects = ['p1'];
+});
+
+describe('createToken', () => {
+  it('returns the token once and stores only its hash', async () => {
+    const { status, body } = await create({ name: 'nightly', scopes: ['read', 'jobs'], projectIds: ['p1'] });
+
+    expect(status).toBe(201);
+    expect(body.data.token).toMatch(/^cp_pat_/);
+    expect(body.data).toEqual(expect.objectContaining({
+      id: 'tok1', name: 'nightly', scopes: ['read', 'jobs'], projectIds: ['p1'], expired: false,
+    }));
+    expect(mockTokens[0]).toMatchObject({ user_id: 7, token_hash: hashToken(body.data.token) });
+    expect(mockTokens[0]).not.toHaveProperty('token');
+    expect(mockTokens[0].expires_at.getTime()).toBeGreaterThan(Date.now() + 89 * 24 * 3600 * 1000);
+    expect(auditLog).toHaveBeenCalledWith(expect.anything(), 'api_token_create',
+      expect.objectContaining({ resourceId: 'tok1', details: 'nightly (read, jobs)' }));
+
+    const listed = await call(controller.listTokens);
+    expect(listed.body.data[0]).not.toHaveProperty('token');
+    expect(listed.body.data[0].prefix).toBe(body.data.token.slice(0, 13));
+  });
+
+  it('supports tokens that never expire', async () => {
+    const { body } = await create({ expiresInDays: null });
+    expect(body.data.expiresAt).toBeNull();
+  });
+
+  it('keeps the admin scope to staff', async () => {
+    expect((await create({ scopes: ['admin'] })).status).toBe(403);
+    expect((await create({ scopes: ['admin'] }, { ...JANE, isStaff: true })).status).toBe(201);
+  });
+
+  it('only restricts to projects the user can access', async () => {
+    const { status, body } = await create({ projectIds: ['p1', 'p9'] });
+
+    expect(status).toBe(400);
+    expect(body.message).toBe('No access to project p9');
+    expect(mockTokens).toHaveLength(0);
+  });
+
+  it('caps the number of tokens per user', async () => {
+    for (let i = 0; i < 25; i++) {
+      mockTokens.push({ id: `old${i}`, user_id: 7 });
+    }
+    expect((await create({})).status).toBe(400);
+    expect((await create({}, { ...JANE, id: 8 })).status).toBe(201);
+  });
+});
+
+describe('revokeToken', () => {
+  it('deletes own tokens only', async () => {
+    await create({});
+    await create({}, { ...JANE, id: 8 });
+
+    expect((await call(controller.revokeToken, { params: { tokenId: 'tok2' } })).status).toBe(404);
+    expect((await call(controller.revokeToken, { params: { tokenId: 'tok1' } })).status).toBe(200);
+    expect(mockTokens.map(t => t.id)).toEqual(['tok2']);
+    expect(auditLog).toHaveBeenCalledWith(expect.anything(), 'api_token_revoke', expect.objectContaining({ resourceId: 'tok1' }));
+  });
+});
+
+describe('checkProjectAccess with an access token', () => {
+  const { checkProjectAccess } = jest.requireActual('../projectMemberController');
+  const Project = require('../../models/Project');
+  const User = require('../../models/User');
+  const ProjectMember = require('../../models/ProjectMember');
+
+  const lean = (value) => ({ lean: async () => value });
+
+  beforeEach(() => {
+    jest.spyOn(Project, 'findOne').mockImplementation(({ id }) => lean({ id, created_by_id: 1 }));
+    jest.spyOn(User, 'findOne').mockImplementation(() => lean({ id: 7, is_superuser: true }));
+    jest.spyOn(ProjectMember, 'findOne').mockImplementation(() => lean(null));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('refuses projects outside the token restriction', async () => {
+    const user = { ...JANE, apiToken: { scopes: ['admin'], projectIds: ['p1'] } };
+
+    expect(await checkProjectAccess('p2', user)).toEqual(expect.objectContaining({ hasAccess: false, status: 403 }));
+    expect(await checkProjectAccess('p1', user)).toEqual(expect.objectContaining({ hasAccess: true, role: 'admin' }));
+  });
+
+  it('grants superuser access only with the admin scope', async () => {
+    const user = { ...JANE, apiToken: { scopes: ['jobs'], projectIds: [] } };
+
+    expect((await checkProjectAccess('p1', user)).hasAccess).toBe(false);
+    expect((await checkProjectAccess('p1', 7)).hasAccess).toBe(true);
+  });
+});
+
+describe('project handlers with an access token', () => {
+  const projectController = require('../projectController');
+  const Project = require('../../models/Project');
+  const Job = require('../../models/Job');
+
+  beforeEach(() => {
+    jest.spyOn(Project, 'findOne').mockResolvedValue({ id: 'p2', project_name: 'Other', created_by_id: 7 });
+    jest.spyOn(Job, 'deleteMany').mockResolvedValue({ deletedCount: 0 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('refuses to delete projects outside the token restriction', async () => {
+    const user = { ...JANE, apiToken: { scopes: ['write'], projectIds: ['p1'] } };
+
+    const res = await call(projectController.deleteProject, { user, params: { projectId: 'p2' } });
+
+    expect(res.status).toBe(403);
+    expect(res.body.message).toMatch(/not valid for this project/);
+    expect(Job.deleteMany).not.toHaveBeenCalled();
+  });
+});
+
+describe('job handlers with an access token', () => {
+  const slurmController = require('../slurmController');
+  const importController = require('../importController');
+  const dashboardController = require('../dashboardController');
+  const Job = require('../../models/Job');
+
+  // Jane's job in p2, reached with a token restricted to p1
+  const JOB = { id: 'job-9', project_id: 'p2', user_id: 7, status: 'running', slurm_job_id: '4242', output_file_path: '/tmp/p2/Import/Job001' };
+  const user = { ...JANE, apiToken: { scopes: ['jobs'], projectIds: ['p1'] } };
+
+  beforeEach(() => {
+    const job = { ...JOB, save: jest.fn() };
+    jest.spyOn(Job, 'findOne').mockImplementation(() => Object.assign(Promise.resolve(job), {
+      lean: () => Promise.resolve(job),
+    }));
+    jest.spyOn(Job, 'findOneAndUpdate').mockResolvedValue(job);
+    jest.spyOn(Job, 'deleteOne').mockResolvedValue({ deletedCount: 1 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it.each([
+    ['cancelJob', { body: { slurmJobId: '4242', jobId: 'job-9' } }],
+    ['cancelJobById', { params: { jobId: 'job-9' } }],
+    ['deleteJob', { params: { jobId: 'job-9' } }],
+    ['updateJobStatus', { params: { jobId: 'job-9' }, body: { status: 'failed' } }],
+    ['toggleNotifyEmail', { params: { jobId: 'job-9' } }],
+  ])('refuses slurmController.%s for jobs outside the token restriction', async (handler, request) => {
+    const res = await call(slurmController[handler], { user, ...request });
+
+    expect(res.status).toBe(403);
+    expect(res.body.message).toMatch(/not valid for this project/);
+    expect(Job.findOneAndUpdate).not.toHaveBeenCalled();
+    expect(Job.deleteOne).not.toHaveBeenCalled();
+  });
+
+  it.each([
+    ['getResults', { params: { jobId: 'job-9' } }],
+    ['getMovieFrame', { query: { jobId: 'job-9', path: 'Movies/a.tiff' } }],
+    ['getAllMovieFrames', { query: { jobId: 'job-9', path: 'Movies/a.tiff' } }],
+    ['getThumbnail', { params: { jobId: 'job-9', filename: 'a.png' } }],
+    ['getMrcVolume', { query: { jobId: 'job-9' } }],
+    ['getLogs', { query: { projectId: 'p2', jobId: 'job-9' } }],
+  ])('refuses importController.%s for jobs outside the token restriction', async (handler, request) => {
+    const res = await call(importController[handler], { user, ...request });
+
+    expect(res.status).toBe(403);
+    expect(res.body.message).toMatch(/not valid for this project/);
+  });
+
+  it('refuses dashboard results for jobs outside the token restriction', async () => {
+    const res = await call(dashboardController.getMotionResults, { user, query: { jobId: 'job-9' } });
+
+    expect(res.status).toBe(403);
+    expect(res.body.message).toMatch(/not valid for this project/);
+  });
+});
@@ -67,6 +67,10 @@ jest.mock('../../utils/pathUtils', () => ({
   rewriteJobPaths: jest.fn().mockImplementation(() => Promise.resolve(mockRewrittenCount)),
 }));
 
+jest.mock('../../services/eventWebhookService', () => ({
+  publishEvent: jest.fn(),
+}));
+
 jest.mock('../../utils/responseHelper', () => ({
   badRequest: jest.fn((res, msg) => res.status(400).json({ success: false, message: msg })),
   notFound: jest.fn((res, msg) => res.status(404).json({ success: false, message: msg })),
@@ -101,6 +105,10 @@ const mockRes = () => {
 const ownerUser = { id: 'user-1', isSuperuser: false };
 const superUser = { id: 'admin-1', isSuperuser: true };
 const otherUser = { id: 'user-2', isSuperuser: false };
+// Owner and superuser, but signed in with a token restricted to another project
+const restrictedTokenUser = {
+  id: 'user-1', isSuperuser: true, apiToken: { id: 'tok-1', scopes: ['write', 'admin'], projectIds: ['proj-2'] },
+};
 
 // ─── Setup / Teardown ───────────────────────────────────────────────
 
@@ -159,6 +167,16 @@ describe('archiveProject', () => {
     );
   });
 
+  it('publishes a project.archived webhook event after the move', async () => {
+    const { publishEvent } = require('../../services/eventWebhookService');
+    await archiveProject(makeReq({ ...ownerUser, username: 'jane' }), mockRes());
+
+    expect(publishEvent).toHaveBeenCalledWith('proj-1', 'project.archived', {
+      archivedBy: 'jane',
+      archivePath: '/mnt/archive/projects/TestProject'
+    });
+  });
+
   // ─── Edge case: ARCHIVE_PATH not configured ─────────────────────
   it('rejects when ARCHIVE_PATH is empty', async () => {
     const settings = require('../../config/settings');
@@ -192,6 +210,15 @@ describe('archiveProject', () => {
     expect(res.body.message).toContain('owner or superuser');
   });
 
+  it('returns 403 for an access token restricted to another project', async () => {
+    const res = mockRes();
+    await archiveProject(makeReq(restrictedTokenUser), res);
+
+    expect(res.statusCode).toBe(403);
+    expect(res.body.message).toContain('not valid for this project');
+    expect(mockExecSyncCalls).toHaveLength(0);
+  });
+
   // ─── Edge case: superuser can archive any project ───────────────
   it('allows superuser to archive any project', async () => {
     const res = mockRes();
@@ -356,6 +383,15 @@ describe('restoreProject', () => {
   });
 
   // ─── Edge case: superuser can restore ───────────────────────────
+  it('returns 403 for an access token restricted to another project', async () => {
+    const res = mockRes();
+    await restoreProject(makeReq(restrictedTokenUser), res);
+
+    expect(res.statusCode).toBe(403);
+    expect(res.body.message).toContain('not valid for this project');
+    expect(mockExecSyncCalls).toHaveLength(0);
+  });
+
   it('allows superuser to restore any project', async () => {
     const res = mockRes();
     await restoreProject(makeReq(superUser), res);
@@ -444,6 +480,15 @@ describe('relocateProject', () => {
     expect(res.body.message).toContain('superusers');
   });
 
+  it('rejects an access token restricted to another project', async () => {
+    const res = mockRes();
+    await relocateProject(makeReq({ newPath: '/mnt/custom/NewLocation' }, restrictedTokenUser), res);
+
+    expect(res.statusCode).toBe(403);
+    expect(res.body.message).toContain('not valid for this project');
+    expect(mockProjectSaved).toBe(false);
+  });
+
   // ─── Edge case: relative path ───────────────────────────────────
   it('rejects relative paths', async () => {
     const res = mockRes();
@@ -133,6 +133,7 @@ beforeEach(() => {
     is_staff: false,
     is_superuser: false,
     password: 'hashed-password',
+    auth_provider: 'local',
   };
   mockUserSaved = false;
   mockResetToken = null;
@@ -192,6 +193,17 @@ describe('login', () => {
 
     expect(res.statusCode).toBe(401);
   });
+
+  it('refuses a local password for single sign-on accounts', async () => {
+    mockUser.auth_provider = 'oidc';
+    const req = { body: { email: 'test@example.com', password: 'correct-password' } };
+    const res = mockRes();
+
+    await authController.login(req, res);
+
+    expect(res.statusCode).toBe(401);
+    expect(res.cookies.atoken).toBeUndefined();
+  });
 });
 
 // =====================================================================
@@ -360,6 +372,19 @@ describe('forgotPassword', () => {
 
     expect(res.statusCode).toBe(200);
   });
+
+  it.each(['oidc', 'ldap'])('sends no reset link to %s accounts', async (provider) => {
+    const PasswordResetToken = require('../../models/PasswordResetToken');
+    mockUser.auth_provider = provider;
+    const req = { body: { email: 'test@example.com' } };
+    const res = mockRes();
+
+    await authController.forgotPassword(req, res);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.message).toContain('If an account');
+    expect(PasswordResetToken.create).not.toHaveBeenCalled();
+  });
 });
 
 // =====================================================================
@@ -404,6 +429,17 @@ describe('resetPassword', () => {
     expect(res.statusCode).toBe(400);
   });
 
+  it.each(['oidc', 'ldap'])('does not set a local password on %s accounts', async (provider) => {
+    mockUser.auth_provider = provider;
+    const req = { body: { token: 'valid-token', newPassword: 'NewPass123!', confirmPassword: 'NewPass123!' } };
+    const res = mockRes();
+
+    await authController.resetPassword(req, res);
+
+    expect(res.statusCode).toBe(400);
+    expect(mockUserSaved).toBe(false);
+  });
+
   it('returns 400 for invalid/expired token', async () => {
     mockResetToken = null;
     const req = { body: { token: 'bad-token', newPassword: 'NewPass123!', confirmPassword: 'NewPass123!' } };
@@ -0,0 +1,224 @@
+/**
+ * Project event webhooks: admin-only management, one-time secrets and the
+ * delivery log.
+ */
+
+jest.mock('../../utils/logger');
+jest.mock('../../utils/auditLogger', () => jest.fn());
+
+// ─── Mock state ───────────────────────────────────────────────────
+
+let mockWebhooks;
+let mockDeliveries;
+let mockRole;
+
+jest.mock('../projectMemberController', () => ({
+  checkProjectAccess: jest.fn(async (projectId, user, requiredRole) => {
+    if (projectId !== 'p1') return { hasAccess: false, error: 'Project not found', status: 404 };
+    const rank = { viewer: 1, editor: 2, admin: 3 };
+    return rank[mockRole] >= rank[requiredRole]
+      ? { hasAccess: true, project: { id: 'p1', project_name: 'Apoferritin' }, role: mockRole }
+      : { hasAccess: false, error: 'Insufficient permissions', status: 403 };
+  }),
+}));
+
+jest.mock('../../services/eventWebhookService', () => ({
+  ...jest.requireActual('../../services/eventWebhookService'),
+  getEventWebhookService: () => ({
+    sendTest: jest.fn(async (webhook) => ({
+      id: 'del1',
+      webhook_id: webhook.id,
+      event: 'ping',
+      status: 'failed',
+      max_attempts: 1,
+      payload: { id: 'evt1' },
+      attempts: [{ attempted_at: new Date(), response_code: 404, error: 'HTTP 404', duration_ms: 12 }],
+    })),
+  }),
+}));
+
+jest.mock('../../models/EventWebhook', () => {
+  const matches = (w, query) => Object.entries(query).every(([key, value]) => w[key] === value);
+  const lean = (value) => ({ lean: async () => value });
+  return {
+    generateId: jest.fn(() => `wh${mockWebhooks.length + 1}`),
+    find: jest.fn((query) => ({ sort: () => lean(mockWebhooks.filter(w => matches(w, query))) })),
+    findOne: jest.fn((query) => lean(mockWebhooks.find(w => matches(w, query)) || null)),
+    countDocuments: jest.fn(async (query) => mockWebhooks.filter(w => matches(w, query)).length),
+    create: jest.fn(async (data) => {
+      const webhook = { created_at: new Date(), last_delivery_at: null, ...data };
+      mockWebhooks.push(webhook);
+      return webhook;
+    }),
+    findOneAndUpdate: jest.fn((query, update) => {
+      const webhook = mockWebhooks.find(w => matches(w, query));
+      if (webhook) Object.assign(webhook, update.$set);
+      return lean(webhook || null);
+    }),
+    findOneAndDelete: jest.fn(async (query) => {
+      const index = mockWebhooks.findIndex(w => matches(w, query));
+      return index === -1 ? null : mockWebhooks.splice(index, 1)[0];
+    }),
+  };
+});
+
+jest.mock('../../models/WebhookDelivery', () => ({
+  find: jest.fn(({ webhook_id: webhookId }) => {
+    const query = {
+      sort: () => query,
+      limit: () => query,
+      lean: async () => mockDeliveries.filter(d => d.webhook_id === webhookId),
+    };
+    return query;
+  }),
+  updateMany: jest.fn(async () => ({})),
+  deleteMany: jest.fn(async () => ({})),
+}));
+
+const auditLog = require('../../utils/auditLogger');
+const WebhookDelivery = require('../../models/WebhookDelivery');
+const { decryptField } = require('../../utils/crypto');
+const controller = require('../eventWebhookController');
+
+// ─── Helpers ─────────────────────────────────────────────────────
+
+const JANE = { id: 7, username: 'jane' };
+
+const call = async (handler, { body = {}, params = {}, query = {} } = {}) => {
+  const req = { user: JANE, body, params: { projectId: 'p1', ...params }, query, ip: '127.0.0.1' };
+  const res = {
+    status: jest.fn().mockReturnThis(),
+    json: jest.fn().mockReturnThis(),
+  };
+  await handler(req, res);
+  return { status: res.status.mock.calls[0][0], body: res.json.mock.calls[0][0] };
+};
+
+const create = (body = {}) => call(controller.createWebhook, {
+  body: { url: 'https://ci.example.org/hook', description: '', events: ['job.finished'], enabled: true, ...body },
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  mockWebhooks = [];
+  mockDeliveries = [];
+  mockRole = 'admin';
+});
+
+describe('createWebhook', () => {
+  it('returns the signing secret once and stores it encrypted', async () => {
+    const { status, body } = await create({ events: ['job.started', 'job.finished'] });
+
+    expect(status).toBe(201);
+    expect(body.data.secret).toMatch(/^whsec_[0-9a-f]{48}$/);
+    expect(body.data).toEqual(expect.objectContaining({
+      id: 'wh1', url: 'https://ci.example.org/hook', events: ['job.started', 'job.finished'], enabled: true,
+    }));
+    expect(mockWebhooks[0].secret).not.toBe(body.data.secret);
+    expect(decryptField(mockWebhooks[0].secret)).toBe(body.data.secret);
+    expect(mockWebhooks[0]).toMatchObject({ project_id: 'p1', created_by_id: 7 });
+    expect(auditLog).toHaveBeenCalledWith(expect.anything(), 'webhook_create',
+      expect.objectContaining({ resourceId: 'p1', details: 'https://ci.example.org/hook (job.started, job.finished)' }));
+
+    const listed = await call(controller.listWebhooks);
+    expect(listed.body.data).toHaveLength(1);
+    expect(listed.body.data[0]).not.toHaveProperty('secret');
+  });
+
+  it('is limited to project admins', async () => {
+    mockRole = 'editor';
+    expect((await create()).status).toBe(403);
+    expect((await call(controller.listWebhooks)).status).toBe(403);
+    expect((await call(controller.listWebhooks, { params: { projectId: 'p9' } })).status).toBe(404);
+    expect(mockWebhooks).toHaveLength(0);
+  });
+
+  it('caps the number of webhooks per project', async () => {
+    for (let i = 0; i < 10; i++) {
+      mockWebhooks.push({ id: `old${i}`, project_id: 'p1' });
+    }
+    const { status, body } = await create();
+    expect(status).toBe(400);
+    expect(body.message).toBe('A project can have at most 10 webhooks');
+  });
+});
+
+describe('updateWebhook', () => {
+  it('rotates the secret and returns the new one once', async () => {
+    const { body: created } = await create();
+    const { status, body } = await call(controller.updateWebhook, {
+      params: { webhookId: 'wh1' },
+      body: { events: ['project.archived'], rotateSecret: true },
+    });
+
+    expect(status).toBe(200);
+    expect(body.data.events).toEqual(['project.archived']);
+    expect(body.data.secret).toMatch(/^whsec_/);
+    expect(body.data.secret).not.toBe(created.data.secret);
+    expect(decryptField(mockWebhooks[0].secret)).toBe(body.data.secret);
+
+    const renamed = await call(controller.updateWebhook, { params: { webhookId: 'wh1' }, body: { description: 'CI' } });
+    expect(renamed.body.data).not.toHaveProperty('secret');
+  });
+
+  it('stops pending retries when disabled', async () => {
+    await create();
+    await call(controller.updateWebhook, { params: { webhookId: 'wh1' }, body: { enabled: false } });
+
+    expect(WebhookDelivery.updateMany).toHaveBeenCalledWith(
+      { webhook_id: 'wh1', status: 'pending' },
+      { $set: expect.objectContaining({ status: 'failed', next_attempt_at: null }) }
+    );
+  });
+
+  it('only finds webhooks of the project', async () => {
+    mockWebhooks.push({ id: 'wh-other', project_id: 'p2' });
+    const { status } = await call(controller.updateWebhook, { params: { webhookId: 'wh-other' }, body: { enabled: false } });
+    expect(status).toBe(404);
+  });
+});
+
+describe('deleteWebhook', () => {
+  it('removes the webhook and its delivery log', async () => {
+    await create();
+    const { status } = await call(controller.deleteWebhook, { params: { webhookId: 'wh1' } });
+
+    expect(status).toBe(200);
+    expect(mockWebhooks).toHaveLength(0);
+    expect(WebhookDelivery.deleteMany).toHaveBeenCalledWith({ webhook_id: 'wh1' });
+    expect(auditLog).toHaveBeenCalledWith(expect.anything(), 'webhook_delete', expect.anything());
+  });
+});
+
+describe('testWebhook and listDeliveries', () => {
+  it('reports the test delivery with its response code', async () => {
+    await create();
+    const { status, body } = await call(controller.testWebhook, { params: { webhookId: 'wh1' } });
+
+    expect(status).toBe(200);
+    expect(body.message).toBe('Test event failed: HTTP 404');
+    expect(body.data).toEqual(expect.objectContaining({
+      id: 'del1', eventId: 'evt1', event: 'ping', status: 'failed', responseCode: 404, nextAttemptAt: null,
+    }));
+    expect(body.data.attempts).toEqual([expect.objectContaining({ responseCode: 404, durationMs: 12 })]);
+  });
+
+  it('lists deliveries with every attempt', async () => {
+    await create();
+    mockDeliveries.push({
+      id: 'd1', webhook_id: 'wh1', event: 'job.finished', status: 'pending', max_attempts: 6,
+      payload: { id: 'evt2' }, next_attempt_at: new Date('2026-01-01T00:02:00Z'),
+      attempts: [
+        { attempted_at: new Date('2026-01-01T00:00:00Z'), response_code: null, error: 'connect ECONNREFUSED', duration_ms: 3 },
+      ],
+    });
+
+    const { body } = await call(controller.listDeliveries, { params: { webhookId: 'wh1' } });
+
+    expect(body.data).toEqual([expect.objectContaining({
+      id: 'd1', status: 'pending', responseCode: null, error: 'connect ECONNREFUSED', maxAttempts: 6,
+      nextAttemptAt: new Date('2026-01-01T00:02:00Z'),
+    })]);
+    expect((await call(controller.listDeliveries, { params: { webhookId: 'nope' } })).status).toBe(404);
+  });
+});
@@ -0,0 +1,501 @@
+jest.mock('../../utils/logger');
+
+const fs = require('fs');
+const path = require('path');
+
+// ─── Shared mock state (all prefixed with "mock" for Jest hoisting) ─
+
+let mockJob;
+let mockAccess;
+let mockUpdates;
+let mockSubmissions;
+let mockSubmitResult;
+let mockCreated;
+let mockInputJobs;
+let mockQuota;
+
+// ─── Mock dependencies ──────────────────────────────────────────────
+
+const { mockQuery } = require('../../services/__tests__/helpers/mockQuery');
+
+jest.mock('../../models/Job', () => ({
+  findOne: jest.fn().mockImplementation(() => mockQuery(mockJob)),
+  find: jest.fn().mockImplementation((query = {}) => mockQuery(query.status
+    ? mockInputJobs.filter(j => query.status.$in.includes(j.status))
+    : mockInputJobs)),
+  create: jest.fn().mockImplementation((doc) => {
+    mockCreated.push(doc);
+    return Promise.resolve(doc);
+  }),
+  generateId: jest.fn().mockReturnValue('job-new'),
+  getNextJobName: jest.fn().mockResolvedValue('Job006'),
+  // Conditional on status, like the real query
+  findOneAndUpdate: jest.fn().mockImplementation((query, update) => {
+    if (query.status && !query.status.$in.includes(mockJob.status)) {
+      return Promise.resolve(null);
+    }
+    mockUpdates.push({ query, update });
+    return Promise.resolve(mockJob);
+  }),
+}));
+
+jest.mock('../../models/Project', () => ({
+  findOne: jest.fn().mockImplementation(() => mockQuery(mockAccess.project)),
+}));
+
+jest.mock('../projectMemberController', () => ({
+  checkProjectAccess: jest.fn().mockImplementation(() => Promise.resolve(mockAccess)),
+}));
+
+jest.mock('../../services/jobSubmission', () => ({
+  submitJobDirect: jest.fn().mockImplementation((options) => {
+    mockSubmissions.push(options);
+    return Promise.resolve(mockSubmitResult);
+  }),
+}));
+
+jest.mock('../../services/storageAccounting', () => ({
+  checkStorageQuota: jest.fn().mockImplementation(() => Promise.resolve(mockQuota)),
+}));
+
+jest.mock('../../utils/remoteExec', () => ({
+  isSSHMode: jest.fn().mockReturnValue(false),
+}));
+
+jest.mock('../../utils/auditLogger', () => jest.fn());
+
+// progressHelper starts a cache-cleanup interval at load time
+jest.mock('../../utils/progressHelper', () => ({
+  getJobProgress: jest.fn(),
+  getTotalExpected: jest.fn(),
+}));
+
+const auditLog = require('../../utils/auditLogger');
+const { JOB_VALIDATORS } = require('../../config/jobRegistry');
+const { continueJob, cloneJob, submitSweep, getSweep } = require('../jobController');
+
+// ─── Helpers ────────────────────────────────────────────────────────
+
+const PROJECT = { id: 'proj-1', project_name: 'ContinueTest', folder_name: 'ContinueTest', is_archived: false };
+const PROJECT_PATH = path.join(process.env.ROOT_PATH, PROJECT.folder_name);
+const OUTPUT_DIR = path.join(PROJECT_PATH, 'Class2D', 'Job005');
+
+const mockRes = () => {
+  const res = {
+    statusCode: null,
+    body: null,
+    status: jest.fn().mockImplementation(function (code) {
+      this.statusCode = code;
+      return this;
+    }),
+    json: jest.fn().mockImplementation(function (body) {
+      this.body = body;
+      return this;
+    }),
+  };
+  return res;
+};
+
+const makeJob = (overrides = {}) => ({
+  id: 'job-5',
+  project_id: PROJECT.id,
+  job_name: 'Job005',
+  job_type: 'Class2D',
+  status: 'failed',
+  command: 'relion_refine --o Class2D/Job005/ --i Extract/Job004/particles.star',
+  slurm_job_id: '1234',
+  start_time: new Date('2024-01-01T10:00:00Z'),
+  end_time: new Date('2024-01-01T11:00:00Z'),
+  error_message: 'Node failure',
+  output_file_path: OUTPUT_DIR,
+  notify_email: false,
+  attempts: [],
+  parameters: {
+    projectId: PROJECT.id,
+    inputStarFile: 'Extract/Job004/particles.star',
+    useVDAM: 'No',
+    numberEMIterations: 25,
+    numberOfClasses: 50,
+    submitToQueue: 'Yes',
+    threads: 4,
+  },
+  isIterative() { return ['Class2D', 'Class3D', 'InitialModel', 'AutoRefine'].includes(this.job_type); },
+  get isTerminal() { return ['success', 'failed', 'cancelled'].includes(this.status); },
+  ...overrides,
+});
+
+const callContinue = async (body = {}) => {
+  const req = { params: { jobId: 'job-5' }, body, user: { id: 1 } };
+  const res = mockRes();
+  await continueJob(req, res);
+  return res;
+};
+
+const callClone = async (body = {}) => {
+  const req = { params: { jobId: 'job-5' }, body, user: { id: 1 } };
+  const res = mockRes();
+  await cloneJob(req, res);
+  return res;
+};
+
+const callSweep = async (body) => {
+  const req = { params: { jobType: 'class2d' }, body, user: { id: 1 } };
+  const res = mockRes();
+  await submitSweep(req, res);
+  return res;
+};
+
+// ─── Setup / Teardown ───────────────────────────────────────────────
+
+beforeEach(() => {
+  fs.rmSync(PROJECT_PATH, { recursive: true, force: true });
+  fs.mkdirSync(OUTPUT_DIR, { recursive: true });
+  for (const iter of ['010', '025']) {
+    fs.writeFileSync(path.join(OUTPUT_DIR, `_it${iter}_optimiser.star`), '');
+  }
+  fs.writeFileSync(path.join(OUTPUT_DIR, 'RELION_JOB_EXIT_FAILURE'), '');
+  fs.mkdirSync(path.join(PROJECT_PATH, 'Extract', 'Job004'), { recursive: true });
+  fs.writeFileSync(path.join(PROJECT_PATH, 'Extract', 'Job004', 'particles.star'), '');
+
+  mockJob = makeJob();
+  mockAccess = { hasAccess: true, project: PROJECT, role: 'owner' };
+  mockUpdates = [];
+  mockSubmissions = [];
+  mockCreated = [];
+  mockInputJobs = [];
+  mockQuota = { error: null, warnings: [] };
+  mockSubmitResult = { success: true, slurm_job_id: '5678', message: 'Job submitted to SLURM (ID: 5678)', error: null };
+  auditLog.mockClear();
+});
+
+afterAll(() => {
+  fs.rmSync(PROJECT_PATH, { recursive: true, force: true });
+});
+
+// ====================================================================
+// continueJob
+// ====================================================================
+
+describe('continueJob — rejections', () => {
+  it('returns 404 when job does not exist', async () => {
+    mockJob = null;
+    const res = await callContinue();
+    expect(res.statusCode).toBe(404);
+  });
+
+  it('returns 403 without editor access', async () => {
+    mockAccess = { hasAccess: false, error: 'Access denied', status: 403 };
+    const res = await callContinue();
+    expect(res.statusCode).toBe(403);
+  });
+
+  it('rejects non-iterative job types', async () => {
+    mockJob = makeJob({ job_type: 'PostProcess' });
+    const res = await callContinue();
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toMatch(/PostProcess jobs cannot be continued/);
+  });
+
+  it('returns 409 while the job is still running', async () => {
+    mockJob = makeJob({ status: 'running' });
+    const res = await callContinue();
+    expect(res.statusCode).toBe(409);
+  });
+
+  it('rejects parameters outside the whitelist', async () => {
+    const res = await callContinue({ numberOfClasses: 100, threads: 8 });
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toMatch(/numberOfClasses/);
+    expect(res.body.message).not.toMatch(/threads/);
+  });
+
+  it('returns 400 when no optimiser file exists', async () => {
+    fs.readdirSync(OUTPUT_DIR)
+      .filter(f => f.endsWith('_optimiser.star'))
+      .forEach(f => fs.unlinkSync(path.join(OUTPUT_DIR, f)));
+    const res = await callContinue();
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toMatch(/No optimiser file/);
+  });
+
+  it('runs the merged parameters through the job type validator', async () => {
+    const original = JOB_VALIDATORS.class_2d;
+    JOB_VALIDATORS.class_2d = jest.fn().mockReturnValue({
+      value: null,
+      error: { details: [{ message: '"threads" must be a positive number' }] },
+    });
+    try {
+      const res = await callContinue({ threads: -1 });
+      expect(JOB_VALIDATORS.class_2d).toHaveBeenCalledWith(expect.objectContaining({ threads: -1, numberOfClasses: 50 }));
+      expect(res.statusCode).toBe(400);
+      expect(mockUpdates).toHaveLength(0);
+      expect(mockSubmissions).toHaveLength(0);
+    } finally {
+      JOB_VALIDATORS.class_2d = original;
+    }
+  });
+
+  it('returns 507 when the storage quota is exceeded', async () => {
+    mockQuota = { error: 'Project ContinueTest is over its storage quota', warnings: [] };
+    const res = await callContinue();
+    expect(res.statusCode).toBe(507);
+    expect(res.body.message).toMatch(/storage quota/);
+    expect(mockUpdates).toHaveLength(0);
+  });
+
+  it('returns 409 when another request restarted the job first', async () => {
+    const { findOneAndUpdate } = require('../../models/Job');
+    findOneAndUpdate.mockImplementationOnce(() => Promise.resolve(null));
+
+    const res = await callContinue();
+
+    expect(res.statusCode).toBe(409);
+    expect(findOneAndUpdate).toHaveBeenLastCalledWith(
+      { id: 'job-5', status: { $in: ['success', 'failed', 'cancelled'] } },
+      expect.any(Object)
+    );
+    expect(mockSubmissions).toHaveLength(0);
+    expect(fs.existsSync(path.join(OUTPUT_DIR, 'RELION_JOB_EXIT_FAILURE'))).toBe(true);
+  });
+});
+
+describe('continueJob — resubmission', () => {
+  it('continues from the latest iteration in the same directory', async () => {
+    const res = await callContinue({ numberEMIterations: 50, threads: 8 });
+
+    expect(res.statusCode).toBe(202);
+    expect(res.body).toMatchObject({ id: 'job-5', jobName: 'Job005', attempt: 2, slurmJobId: '5678' });
+    expect(res.body.continueFrom).toBe('Class2D/Job005/_it025_optimiser.star');
+
+    const [submission] = mockSubmissions;
+    expect(submission.outputDir).toBe(OUTPUT_DIR);
+    expect(submission.jobName).toBe('Job005');
+    expect(submission.cmd.join(' ')).toContain('--continue Class2D/Job005/_it025_optimiser.star');
+    expect(submission.cmd.join(' ')).toContain('--iter 50');
+    expect(submission.slurmParams.threads).toBe(8);
+  });
+
+  it('records the previous run in attempts and resets run state', async () => {
+    await callContinue({ numberEMIterations: 50 });
+
+    const { update } = mockUpdates[0];
+    expect(update.$push.attempts).toMatchObject({
+      attempt: 1,
+      status: 'failed',
+      slurm_job_id: '1234',
+      error_message: 'Node failure',
+      continued_from: 'Class2D/Job005/_it025_optimiser.star',
+      changed_parameters: { numberEMIterations: 50 },
+    });
+    expect(update.$set).toMatchObject({
+      status: 'pending',
+      slurm_job_id: null,
+      error_message: null,
+      end_time: null,
+      'pipeline_stats.iteration_count': 25,
+      'pipeline_stats.total_iterations': 50,
+    });
+    expect(update.$set.parameters.numberEMIterations).toBe(50);
+    expect(update.$set.parameters.continueFrom).toBeUndefined();
+  });
+
+  it('removes RELION exit markers from the previous run', async () => {
+    await callContinue();
+    expect(fs.existsSync(path.join(OUTPUT_DIR, 'RELION_JOB_EXIT_FAILURE'))).toBe(false);
+  });
+
+  it('audits successful continuations only', async () => {
+    await callContinue();
+    expect(auditLog).toHaveBeenCalledWith(expect.anything(), 'job_continue', expect.objectContaining({ resourceId: 'job-5' }));
+
+    auditLog.mockClear();
+    mockSubmitResult = { success: false, slurm_job_id: null, error: 'sbatch failed' };
+    const res = await callContinue();
+    expect(res.statusCode).toBe(500);
+    expect(auditLog).not.toHaveBeenCalled();
+  });
+});
+
+// ====================================================================
+// cloneJob
+// ====================================================================
+
+describe('cloneJob — validation', () => {
+  it('returns 404 when the source job does not exist', async () => {
+    mockJob = null;
+    const res = await callClone();
+    expect(res.statusCode).toBe(404);
+  });
+
+  it('rejects overrides that are not an object', async () => {
+    const res = await callClone({ overrides: ['numberOfClasses'] });
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toMatch(/overrides must be an object/);
+  });
+
+  it('re-runs builder validation on the merged parameters', async () => {
+    const res = await callClone({ overrides: { inputStarFile: 'Extract/Job099/particles.star' }, dryRun: true });
+    expect(res.statusCode).toBe(400);
+    expect(mockCreated).toHaveLength(0);
+  });
+});
+
+describe('cloneJob — dry run', () => {
+  it('returns merged parameters without creating a job', async () => {
+    mockJob = makeJob({ parameters: { ...makeJob().parameters, continueFrom: 'Class2D/Job005/_it025_optimiser.star' } });
+    const res = await callClone({ overrides: { numberOfClasses: 100, threads: null, projectId: 'other' }, dryRun: true });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data).toMatchObject({ jobType: 'class_2d', stageName: 'Class2D' });
+    expect(res.body.data.parameters).toMatchObject({ numberOfClasses: 100, projectId: PROJECT.id });
+    expect(res.body.data.parameters).not.toHaveProperty('threads');
+    expect(res.body.data.parameters).not.toHaveProperty('continueFrom');
+    expect(mockCreated).toHaveLength(0);
+    expect(mockSubmissions).toHaveLength(0);
+  });
+});
+
+describe('cloneJob — submission', () => {
+  it('submits a new job linked to the resolved input job', async () => {
+    mockInputJobs = [{ id: 'job-4', job_name: 'Job004', status: 'success' }];
+    const res = await callClone({ overrides: { numberOfClasses: 100 } });
+
+    expect(res.statusCode).toBe(202);
+    expect(res.body).toMatchObject({ id: 'job-new', jobName: 'Job006' });
+    expect(mockCreated[0]).toMatchObject({
+      job_type: 'Class2D',
+      input_job_ids: ['job-4'],
+      parameters: expect.objectContaining({ numberOfClasses: 100 }),
+    });
+    expect(mockSubmissions[0].cmd.join(' ')).toContain('--K 100');
+  });
+
+  it('falls back to the source input_job_ids when none resolve', async () => {
+    mockJob = makeJob({ input_job_ids: ['job-legacy'] });
+    await callClone();
+    expect(mockCreated[0].input_job_ids).toEqual(['job-legacy']);
+  });
+});
+
+describe('cloneJob — unfinished input jobs', () => {
+  const RUNNING_EXTRACT = {
+    id: 'job-4',
+    job_name: 'Job004',
+    status: 'running',
+    slurm_job_id: '1204',
+    output_file_path: path.join(PROJECT_PATH, 'Extract', 'Job004'),
+  };
+
+  it('queues the job after input jobs that are still running', async () => {
+    mockInputJobs = [RUNNING_EXTRACT];
+    const res = await callClone({ overrides: { inputStarFile: 'Extract/Job004/particles_pending.star' } });
+
+    expect(res.statusCode).toBe(202);
+    expect(res.body.status).toBe('pending');
+    expect(mockCreated[0]).toMatchObject({ input_job_ids: ['job-4'], depends_on: ['job-4'] });
+    expect(mockSubmissions[0].dependsOn).toEqual(['1204']);
+  });
+
+  it('does not add dependencies for finished input jobs', async () => {
+    mockInputJobs = [{ ...RUNNING_EXTRACT, status: 'success' }];
+    await callClone();
+
+    expect(mockCreated[0].depends_on).toEqual([]);
+    expect(mockSubmissions[0].dependsOn).toEqual([]);
+  });
+
+  it('rejects direct execution behind unfinished input jobs', async () => {
+    mockInputJobs = [RUNNING_EXTRACT];
+    const res = await callClone({ overrides: { submitToQueue: 'No' } });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toMatch(/Job004 have not finished yet/);
+    expect(mockCreated).toHaveLength(0);
+  });
+
+  it('rejects input jobs that were not submitted through SLURM', async () => {
+    mockInputJobs = [{ ...RUNNING_EXTRACT, slurm_job_id: null }];
+    const res = await callClone({ dryRun: true });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toMatch(/not running through SLURM/);
+  });
+});
+
+// ====================================================================
+// submitSweep / getSweep
+// ====================================================================
+
+describe('submitSweep', () => {
+  const parameters = makeJob().parameters;
+
+  it('rejects invalid axes', async () => {
+    const res = await callSweep({ parameters, axes: [{ parameter: 'numberOfClasses', values: [] }] });
+    expect(res.statusCode).toBe(400);
+    expect(mockCreated).toHaveLength(0);
+  });
+
+  it('submits nothing when any combination fails validation', async () => {
+    const res = await callSweep({
+      parameters,
+      axes: [{ parameter: 'inputStarFile', values: ['Extract/Job004/particles.star', 'Extract/Job099/particles.star'] }],
+    });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toMatch(/^inputStarFile=Extract\/Job099\/particles.star: /);
+    expect(mockCreated).toHaveLength(0);
+    expect(mockSubmissions).toHaveLength(0);
+  });
+
+  it('submits every combination tagged with a shared sweep id', async () => {
+    const res = await callSweep({
+      parameters,
+      axes: [
+        { parameter: 'numberOfClasses', values: [50, 100] },
+        { parameter: 'tau2fudge', values: [2, 4] },
+      ],
+    });
+
+    expect(res.statusCode).toBe(202);
+    expect(res.body.submitted).toBe(4);
+    expect(res.body.jobs.map(j => j.values)).toEqual([
+      { numberOfClasses: 50, tau2fudge: 2 },
+      { numberOfClasses: 50, tau2fudge: 4 },
+      { numberOfClasses: 100, tau2fudge: 2 },
+      { numberOfClasses: 100, tau2fudge: 4 },
+    ]);
+    expect(mockCreated.map(j => j.sweep_id)).toEqual(Array(4).fill(res.body.sweepId));
+    expect(mockCreated[3].sweep_values).toEqual({ numberOfClasses: 100, tau2fudge: 4 });
+    expect(mockSubmissions[3].cmd.join(' ')).toContain('--K 100');
+    expect(auditLog).toHaveBeenCalledWith(expect.anything(), 'job_sweep', expect.objectContaining({ resourceId: PROJECT.id }));
+  });
+});
+
+describe('getSweep', () => {
+  const callGetSweep = async () => {
+    const res = mockRes();
+    await getSweep({ params: { sweepId: 'sweep-1' }, user: { id: 1 } }, res);
+    return res;
+  };
+
+  it('returns 404 for an unknown sweep', async () => {
+    const res = await callGetSweep();
+    expect(res.statusCode).toBe(404);
+  });
+
+  it('recovers the axes from the stored values', async () => {
+    mockInputJobs = [
+      { id: 'a', project_id: PROJECT.id, job_name: 'Job006', job_type: 'Class2D', status: 'success', sweep_values: { numberOfClasses: 50, tau2fudge: 2 } },
+      { id: 'b', project_id: PROJECT.id, job_name: 'Job007', job_type: 'Class2D', status: 'running', sweep_values: { numberOfClasses: 50, tau2fudge: 4 } },
+      { id: 'c', project_id: PROJECT.id, job_name: 'Job008', job_type: 'Class2D', status: 'failed', sweep_values: { numberOfClasses: 100, tau2fudge: 2 } },
+    ];
+    const res = await callGetSweep();
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data.axes).toEqual([
+      { parameter: 'numberOfClasses', values: [50, 100] },
+      { parameter: 'tau2fudge', values: [2, 4] },
+    ]);
+    expect(res.body.data.jobs[2]).toMatchObject({ id: 'c', jobName: 'Job008', values: { numberOfClasses: 100, tau2fudge: 2 } });
+  });
+});
@@ -0,0 +1,182 @@
+/**
+ * LDAP login: routing between local and directory accounts, provisioning
+ * and group-driven roles/memberships, with the directory itself faked.
+ */
+
+jest.mock('../../utils/logger');
+jest.mock('../../utils/auditLogger', () => jest.fn());
+
+// ─── Mock state ───────────────────────────────────────────────────
+
+let mockUsers;
+let mockLdap;
+
+jest.mock('../../config/settings', () => ({
+  JWT_SECRET: 'test-secret',
+  JWT_EXPIRES_IN: '1h',
+  ROOT_PATH: '/data/projects',
+}));
+
+jest.mock('../../services/ldapService', () => ({
+  getLdapService: () => mockLdap,
+}));
+
+jest.mock('../../models/User', () => {
+  const matches = (user, query) => Object.entries(query).every(([key, value]) => user[key] === value);
+  const found = (query) => mockUsers.find(u => matches(u, query)) || null;
+  const makeDoc = (data) => ({
+    is_active: true,
+    is_staff: false,
+    is_superuser: false,
+    auth_provider: 'local',
+    ...data,
+    save: jest.fn().mockResolvedValue(),
+    comparePassword: jest.fn(async function(candidate) { return candidate === this.password; }),
+    generateAuthToken() { return `token-${this.id}`; },
+  });
+
+  return {
+    findOne: jest.fn((query) => {
+      const result = Promise.resolve(found(query));
+      result.select = () => Promise.resolve(found(query));
+      return result;
+    }),
+    exists: jest.fn(async (query) => mockUsers.some(u => matches(u, query))),
+    create: jest.fn(async (data) => {
+      const doc = makeDoc(data);
+      mockUsers.push(doc);
+      return doc;
+    }),
+    getNextId: jest.fn(async () => mockUsers.length + 1),
+    makeDoc,
+  };
+});
+
+const User = require('../../models/User');
+const authController = require('../authController');
+
+// ─── Helpers ─────────────────────────────────────────────────────
+
+const JANE = {
+  dn: 'uid=jane,ou=people,dc=example,dc=org',
+  username: 'jane',
+  externalId: 'ldap|jane',
+  email: 'jane@example.org',
+  firstName: 'Jane',
+  lastName: 'Doe',
+  groups: ['cryo-admins', 'krios-users'],
+};
+
+const login = async (email, password) => {
+  const req = { body: { email, password }, ip: '127.0.0.1', headers: {} };
+  const res = {
+    req,
+    cookies: {},
+    status: jest.fn().mockReturnThis(),
+    json: jest.fn().mockReturnThis(),
+    cookie: jest.fn((name, value) => { res.cookies[name] = value; }),
+  };
+  await authController.login(req, res);
+  return { status: res.status.mock.calls[0]?.[0] ?? 200, body: res.json.mock.calls[0][0], cookies: res.cookies };
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  mockUsers = [User.makeDoc({ id: 1, username: 'admin', email: 'admin@example.org', password: 'local-pw' })];
+  mockLdap = {
+    enabled: true,
+    config: { auto_provision: true },
+    authenticate: jest.fn(async (email, password) => (email === JANE.email && password === 'jane-pw' ? { ...JANE } : null)),
+    resolveGroupAccess: jest.fn(groups => ({ roles: { is_superuser: groups.includes('cryo-admins') }, projects: new Map() })),
+    applyMemberships: jest.fn().mockResolvedValue({ added: 1, updated: 0, removed: 0 }),
+  };
+});
+
+describe('login with LDAP enabled', () => {
+  it('keeps local accounts on their local password', async () => {
+    const { status, cookies } = await login('admin@example.org', 'local-pw');
+
+    expect(status).toBe(200);
+    expect(cookies.atoken).toBe('token-1');
+    expect(mockLdap.authenticate).not.toHaveBeenCalled();
+  });
+
+  it('provisions unknown users from the directory with group roles and memberships', async () => {
+    const { status, body, cookies } = await login('Jane@Example.org', 'jane-pw');
+
+    expect(status).toBe(200);
+    expect(mockLdap.authenticate).toHaveBeenCalledWith('jane@example.org', 'jane-pw');
+    expect(body.data.user).toEqual(expect.objectContaining({
+      id: 2, username: 'jane', email: 'jane@example.org', firstName: 'Jane', isSuperuser: true,
+    }));
+    expect(mockUsers[1]).toMatchObject({ auth_provider: 'ldap', external_id: 'ldap|jane' });
+    expect(mockLdap.applyMemberships).toHaveBeenCalledWith(2, JANE.groups);
+    expect(cookies.atoken).toBe('token-2');
+  });
+
+  it('refreshes roles of existing directory users and never checks their local password', async () => {
+    mockUsers.push(User.makeDoc({
+      id: 2, username: 'jane', email: 'jane@example.org', password: 'jane-pw',
+      auth_provider: 'ldap', external_id: 'ldap|jane', is_superuser: false,
+    }));
+    mockLdap.authenticate.mockResolvedValueOnce({ ...JANE, groups: ['krios-users'] });
+
+    const { status } = await login('jane@example.org', 'jane-pw');
+
+    expect(status).toBe(200);
+    expect(mockUsers[1].comparePassword).not.toHaveBeenCalled();
+    expect(mockUsers[1].save).toHaveBeenCalled();
+    expect(mockUsers).toHaveLength(2);
+
+    mockLdap.authenticate.mockResolvedValueOnce(null);
+    expect((await login('jane@example.org', 'old-pw')).status).toBe(401);
+  });
+
+  it('rejects bad directory credentials and reports an unreachable server', async () => {
+    expect((await login('jane@example.org', 'wrong')).status).toBe(401);
+
+    mockLdap.authenticate.mockRejectedValueOnce(new Error('connect ECONNREFUSED'));
+    const { status, body } = await login('jane@example.org', 'jane-pw');
+    expect(status).toBe(500);
+    expect(body.message).toBe('Directory server unavailable, please try again later');
+  });
+
+  it('does not take over a local account with the same email', async () => {
+    // e.g. a user_filter matching mail aliases: the login is not the mail attribute
+    mockLdap.authenticate.mockResolvedValueOnce({ ...JANE, email: 'admin@example.org' });
+
+    const { status, body } = await login('j.doe@example.org', 'jane-pw');
+
+    expect(status).toBe(401);
+    expect(body.message).toMatch(/already exists/);
+    expect(User.create).not.toHaveBeenCalled();
+  });
+
+  it('does not create accounts when auto-provisioning is off', async () => {
+    mockLdap.config.auto_provision = false;
+
+    const { status } = await login('jane@example.org', 'jane-pw');
+
+    expect(status).toBe(401);
+    expect(User.create).not.toHaveBeenCalled();
+  });
+});
+
+describe('login with LDAP disabled', () => {
+  it('does not consult the directory', async () => {
+    mockLdap.enabled = false;
+
+    expect((await login('jane@example.org', 'jane-pw')).status).toBe(401);
+    expect(mockLdap.authenticate).not.toHaveBeenCalled();
+  });
+
+  it('does not fall back to a local password on directory accounts', async () => {
+    mockLdap.enabled = false;
+    mockUsers.push(User.makeDoc({ id: 2, username: 'jane', email: 'jane@example.org', auth_provider: 'ldap', password: 'old-local-pw' }));
+
+    const { status, cookies } = await login('jane@example.org', 'old-local-pw');
+
+    expect(status).toBe(401);
+    expect(cookies.atoken).toBeUndefined();
+  });
+});
@@ -0,0 +1,527 @@
+/**
+ * OIDC single sign-on: login -> provider -> callback against a local mock
+ * identity provider (discovery, JWKS, authorization and token endpoints).
+ */
+
+jest.mock('../../utils/logger');
+jest.mock('../../utils/auditLogger', () => jest.fn());
+
+const http = require('http');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+// ─── Mock state ───────────────────────────────────────────────────
+
+let mockUsers;
+let mockOidc;
+
+jest.mock('../../config/settings', () => ({
+  JWT_SECRET: 'test-secret',
+  JWT_EXPIRES_IN: '1h',
+  ROOT_PATH: '/data/projects',
+  OIDC_SCOPES: 'openid profile email',
+  OIDC_USERNAME_CLAIM: 'preferred_username',
+  OIDC_EMAIL_CLAIM: 'email',
+  OIDC_FIRST_NAME_CLAIM: 'given_name',
+  OIDC_LAST_NAME_CLAIM: 'family_name',
+  OIDC_GROUPS_CLAIM: 'groups',
+}));
+
+jest.mock('../../services/oidcService', () => {
+  const actual = jest.requireActual('../../services/oidcService');
+  return { ...actual, getOidcService: () => mockOidc };
+});
+
+jest.mock('../../models/User', () => {
+  const matches = (user, query) => Object.entries(query).every(([key, value]) => (
+    value && value.$ne !== undefined ? user[key] !== value.$ne : user[key] === value
+  ));
+  const makeDoc = (data) => ({
+    is_active: true,
+    is_staff: false,
+    is_superuser: false,
+    ...data,
+    save: jest.fn().mockResolvedValue(),
+    generateAuthToken() { return `token-${this.id}`; },
+  });
+
+  return {
+    findOne: jest.fn(async (query) => mockUsers.find(u => matches(u, query)) || null),
+    exists: jest.fn(async (query) => mockUsers.some(u => matches(u, query))),
+    create: jest.fn(async (data) => {
+      const doc = makeDoc(data);
+      mockUsers.push(doc);
+      return doc;
+    }),
+    getNextId: jest.fn(async () => mockUsers.length + 1),
+    makeDoc,
+  };
+});
+
+const User = require('../../models/User');
+const { OidcService } = require('../../services/oidcService');
+const authController = require('../authController');
+const adminController = require('../adminController');
+
+// ─── Mock identity provider ──────────────────────────────────────
+
+const CLIENT_ID = 'cryoprocess';
+const CLIENT_SECRET = 'client-secret';
+const REDIRECT_URI = 'http://localhost:8000/api/auth/oidc/callback';
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const publicJwk = { ...publicKey.export({ format: 'jwk' }), kid: 'key-1', use: 'sig', alg: 'RS256' };
+
+let idp;
+let issuer;
+// Claims of the user who "signs in" at the provider
+let idpClaims;
+// code -> authorization request it was issued for
+const codes = new Map();
+
+const readBody = (req) => new Promise((resolve) => {
+  let data = '';
+  req.on('data', (chunk) => { data += chunk; });
+  req.on('end', () => resolve(data));
+});
+
+const sendJson = (res, status, body) => {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+};
+
+const handleIdpRequest = async (req, res) => {
+  const url = new URL(req.url, issuer);
+
+  if (url.pathname === '/.well-known/openid-configuration') {
+    return sendJson(res, 200, {
+      issuer,
+      authorization_endpoint: `${issuer}/authorize`,
+      token_endpoint: `${issuer}/token`,
+      jwks_uri: `${issuer}/jwks`,
+    });
+  }
+
+  if (url.pathname === '/jwks') {
+    return sendJson(res, 200, { keys: [publicJwk] });
+  }
+
+  if (url.pathname === '/authorize') {
+    // The user signs in; the provider redirects back with a code
+    const params = url.searchParams;
+    const code = crypto.randomBytes(8).toString('hex');
+    codes.set(code, {
+      clientId: params.get('client_id'),
+      redirectUri: params.get('redirect_uri'),
+      nonce: params.get('nonce'),
+      challenge: params.get('code_challenge'),
+      method: params.get('code_challenge_method'),
+    });
+    const back = new URL(params.get('redirect_uri'));
+    back.searchParams.set('code', code);
+    back.searchParams.set('state', params.get('state'));
+    res.writeHead(302, { Location: back.toString() });
+    return res.end();
+  }
+
+  if (url.pathname === '/token' && req.method === 'POST') {
+    const form = new URLSearchParams(await readBody(req));
+    const expectedAuth = `Basic ${Buffer.from(`${CLIENT_ID}:${CLIENT_SECRET}`).toString('base64')}`;
+    if (req.headers.authorization !== expectedAuth) {
+      return sendJson(res, 401, { error: 'invalid_client' });
+    }
+
+    const grant = codes.get(form.get('code'));
+    codes.delete(form.get('code'));
+    const verifier = form.get('code_verifier') || '';
+    const challenge = crypto.createHash('sha256').update(verifier).digest('base64url');
+    if (!grant || grant.method !== 'S256' || grant.challenge !== challenge
+        || grant.redirectUri !== form.get('redirect_uri') || form.get('grant_type') !== 'authorization_code') {
+      return sendJson(res, 400, { error: 'invalid_grant' });
+    }
+
+    const idToken = jwt.sign({ ...idpClaims, nonce: grant.nonce }, privateKey, {
+      algorithm: 'RS256',
+      keyid: 'key-1',
+      issuer,
+      audience: grant.clientId,
+      expiresIn: '5m',
+    });
+    return sendJson(res, 200, { access_token: 'access', token_type: 'Bearer', id_token: idToken });
+  }
+
+  return sendJson(res, 404, { error: 'not_found' });
+};
+
+// ─── Helpers ─────────────────────────────────────────────────────
+
+const mockReq = (overrides = {}) => ({
+  protocol: 'http',
+  secure: false,
+  headers: {},
+  cookies: {},
+  query: {},
+  ip: '127.0.0.1',
+  get: () => 'localhost:8000',
+  ...overrides,
+});
+
+const mockRes = (req) => {
+  const res = {
+    req,
+    cookies: {},
+    cleared: [],
+    redirectedTo: null,
+    status: jest.fn().mockReturnThis(),
+    json: jest.fn().mockReturnThis(),
+    cookie: jest.fn((name, value) => { res.cookies[name] = value; }),
+    clearCookie: jest.fn((name) => { res.cleared.push(name); }),
+    redirect: jest.fn((url) => { res.redirectedTo = url; }),
+  };
+  return res;
+};
+
+/** Follow the provider redirect without following the one back */
+const authorizeAtIdp = (url) => new Promise((resolve, reject) => {
+  http.get(url, (res) => {
+    res.resume();
+    resolve(new URL(res.headers.location));
+  }).on('error', reject);
+});
+
+/**
+ * Run login -> provider -> callback
+ * @param {Function} [tamper] - Adjust the callback request before it is sent
+ */
+const signIn = async (tamper) => {
+  const loginReq = mockReq();
+  const loginRes = mockRes(loginReq);
+  await authController.oidcLogin(loginReq, loginRes);
+  expect(loginRes.redirectedTo).toMatch(`${issuer}/authorize?`);
+
+  const back = await authorizeAtIdp(loginRes.redirectedTo);
+  const callbackReq = mockReq({
+    query: Object.fromEntries(back.searchParams),
+    cookies: { oidc_state: loginRes.cookies.oidc_state },
+  });
+  if (tamper) tamper(callbackReq);
+
+  const callbackRes = mockRes(callbackReq);
+  await authController.oidcCallback(callbackReq, callbackRes);
+  return { loginRes, callbackRes };
+};
+
+const redirectParams = (res) => new URL(res.redirectedTo).searchParams;
+
+// ─── Tests ───────────────────────────────────────────────────────
+
+beforeAll(async () => {
+  idp = http.createServer((req, res) => { handleIdpRequest(req, res); });
+  await new Promise(resolve => idp.listen(0, '127.0.0.1', resolve));
+  issuer = `http://127.0.0.1:${idp.address().port}`;
+});
+
+afterAll(async () => {
+  await new Promise(resolve => idp.close(resolve));
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  process.env.CORS_ORIGIN = 'http://frontend.test';
+  mockUsers = [];
+  codes.clear();
+  mockOidc = new OidcService({
+    enabled: true,
+    providerName: 'Institute SSO',
+    issuer,
+    clientId: CLIENT_ID,
+    clientSecret: CLIENT_SECRET,
+    redirectUri: REDIRECT_URI,
+    superuserGroups: ['cryo-admins'],
+    staffGroups: ['cryo-staff'],
+    autoProvision: true,
+  });
+  idpClaims = {
+    sub: 'u-1001',
+    preferred_username: 'Jane.Doe',
+    email: 'Jane.Doe@Example.org',
+    email_verified: true,
+    given_name: 'Jane',
+    family_name: 'Doe',
+    groups: ['cryo-admins'],
+  };
+});
+
+afterEach(() => {
+  delete process.env.CORS_ORIGIN;
+});
+
+describe('GET /api/auth/oidc/config', () => {
+  it('reports whether SSO is enabled and the provider name', async () => {
+    const req = mockReq();
+    const res = mockRes(req);
+    await authController.getOidcConfig(req, res);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ data: { enabled: true, providerName: 'Institute SSO' } }));
+
+    mockOidc = new OidcService({ enabled: false, issuer, clientId: CLIENT_ID });
+    await authController.getOidcConfig(req, res);
+    expect(res.json).toHaveBeenLastCalledWith(expect.objectContaining({ data: { enabled: false, providerName: null } }));
+  });
+
+  it('refuses to start a login when SSO is disabled', async () => {
+    mockOidc = new OidcService({ enabled: false, issuer, clientId: CLIENT_ID });
+    const req = mockReq();
+    const res = mockRes(req);
+    await authController.oidcLogin(req, res);
+    expect(res.status).toHaveBeenCalledWith(404);
+    expect(res.redirect).not.toHaveBeenCalled();
+  });
+});
+
+describe('OIDC login flow', () => {
+  it('sends a PKCE authorization request to the provider', async () => {
+    const req = mockReq();
+    const res = mockRes(req);
+    await authController.oidcLogin(req, res);
+
+    const params = new URL(res.redirectedTo).searchParams;
+    expect(params.get('response_type')).toBe('code');
+    expect(params.get('client_id')).toBe(CLIENT_ID);
+    expect(params.get('redirect_uri')).toBe(REDIRECT_URI);
+    expect(params.get('scope')).toBe('openid profile email');
+    expect(params.get('code_challenge_method')).toBe('S256');
+
+    const flow = jwt.verify(res.cookies.oidc_state, 'test-secret');
+    expect(params.get('state')).toBe(flow.state);
+    expect(params.get('nonce')).toBe(flow.nonce);
+    expect(params.get('code_challenge')).toBe(crypto.createHash('sha256').update(flow.codeVerifier).digest('base64url'));
+  });
+
+  it('provisions a new user on first login with mapped claims and roles', async () => {
+    const { callbackRes } = await signIn();
+
+    expect(redirectParams(callbackRes).get('sso')).toBe('success');
+    expect(callbackRes.redirectedTo).toMatch(/^http:\/\/frontend\.test\/login\?/);
+    expect(callbackRes.cleared).toContain('oidc_state');
+
+    expect(User.create).toHaveBeenCalledTimes(1);
+    const [user] = mockUsers;
+    expect(user).toMatchObject({
+      username: 'jane.doe',
+      email: 'jane.doe@example.org',
+      first_name: 'Jane',
+      last_name: 'Doe',
+      auth_provider: 'oidc',
+      external_id: `${issuer}|u-1001`,
+      is_superuser: true,
+      is_staff: false,
+    });
+    expect(user.password).toHaveLength(64);
+    expect(user.last_login).toBeInstanceOf(Date);
+    expect(callbackRes.cookies.atoken).toBe(`token-${user.id}`);
+  });
+
+  it('signs an existing SSO user back in and re-syncs roles from groups', async () => {
+    await signIn();
+    idpClaims.groups = ['cryo-staff'];
+
+    const { callbackRes } = await signIn();
+
+    expect(redirectParams(callbackRes).get('sso')).toBe('success');
+    expect(User.create).toHaveBeenCalledTimes(1);
+    expect(mockUsers).toHaveLength(1);
+    expect(mockUsers[0]).toMatchObject({ is_superuser: false, is_staff: true });
+    expect(mockUsers[0].save).toHaveBeenCalled();
+  });
+
+  it('leaves roles alone when no group mapping is configured', async () => {
+    // Linked to the SSO identity by an administrator
+    mockUsers.push(User.makeDoc({
+      id: 1, username: 'admin', email: 'jane.doe@example.org', is_superuser: true, is_staff: true,
+      external_id: `${issuer}|u-1001`,
+    }));
+    mockOidc.config.superuserGroups = [];
+    mockOidc.config.staffGroups = [];
+    idpClaims.groups = [];
+
+    const { callbackRes } = await signIn();
+
+    expect(redirectParams(callbackRes).get('sso')).toBe('success');
+    expect(mockUsers[0]).toMatchObject({ external_id: `${issuer}|u-1001`, is_superuser: true, is_staff: true });
+    expect(callbackRes.cookies.atoken).toBe('token-1');
+  });
+
+  it('does not link a local account when the email is not verified', async () => {
+    mockUsers.push(User.makeDoc({ id: 1, username: 'jane', email: 'jane.doe@example.org' }));
+    idpClaims.email_verified = false;
+
+    const { callbackRes } = await signIn();
+
+    expect(redirectParams(callbackRes).get('sso_error')).toMatch(/already exists/);
+    expect(mockUsers[0].external_id).toBeUndefined();
+    expect(callbackRes.cookies.atoken).toBeUndefined();
+  });
+
+  it('never links an existing superuser account by email', async () => {
+    mockUsers.push(User.makeDoc({
+      id: 1, username: 'admin', email: 'jane.doe@example.org', is_superuser: true, is_staff: true,
+    }));
+
+    const { callbackRes } = await signIn();
+
+    expect(redirectParams(callbackRes).get('sso_error')).toMatch(/Contact an administrator to link it/);
+    expect(mockUsers[0].external_id).toBeUndefined();
+    expect(mockUsers[0].save).not.toHaveBeenCalled();
+    expect(User.create).not.toHaveBeenCalled();
+    expect(callbackRes.cookies.atoken).toBeUndefined();
+  });
+
+  it('signs in to an account once an administrator links it', async () => {
+    const admin = User.makeDoc({ id: 1, username: 'root', email: 'root@example.org', is_superuser: true });
+    const jane = User.makeDoc({ id: 2, username: 'jane', email: 'jane.doe@example.org' });
+    mockUsers.push(admin, jane);
+    const link = async (user, body) => {
+      const req = mockReq({ user: { ...user, isSuperuser: user.is_superuser }, params: { userId: '2' }, body });
+      const res = mockRes(req);
+      await adminController.updateUser(req, res);
+      return res;
+    };
+
+    const staffRes = await link({ id: 3, username: 'staff', is_staff: true, is_superuser: false }, { externalId: `${issuer}|u-1001` });
+    expect(staffRes.status).toHaveBeenCalledWith(403);
+
+    const linkRes = await link(admin, { externalId: `${issuer}|u-1001` });
+    expect(linkRes.json).toHaveBeenCalledWith(expect.objectContaining({
+      data: expect.objectContaining({ externalId: `${issuer}|u-1001` }),
+    }));
+
+    const { callbackRes } = await signIn();
+    expect(callbackRes.cookies.atoken).toBe('token-2');
+
+    // One identity, one account
+    mockUsers.push(User.makeDoc({ id: 4, username: 'other', email: 'other@example.org', external_id: `${issuer}|u-2002` }));
+    expect((await link(admin, { externalId: `${issuer}|u-2002` })).status).toHaveBeenCalledWith(409);
+
+    await link(admin, { externalId: null });
+    expect(jane.external_id).toBeUndefined();
+  });
+
+  it('asks accounts with 2FA for a code before starting the session', async () => {
+    mockUsers.push(User.makeDoc({
+      id: 1, username: 'jane', email: 'jane.doe@example.org', external_id: `${issuer}|u-1001`, totp_enabled: true,
+    }));
+
+    const { callbackRes } = await signIn();
+
+    const redirect = new URL(callbackRes.redirectedTo);
+    expect(redirect.searchParams.get('sso')).toBe('2fa');
+    const challenge = jwt.verify(new URLSearchParams(redirect.hash.slice(1)).get('challenge'), 'test-secret:totp-challenge');
+    expect(challenge).toMatchObject({ sub: '1', purpose: 'totp' });
+    expect(callbackRes.cookies.atoken).toBeUndefined();
+    expect(mockUsers[0].last_login).toBeUndefined();
+  });
+
+  it('refuses to provision an account when the provider omits email_verified', async () => {
+    delete idpClaims.email_verified;
+
+    const { callbackRes } = await signIn();
+
+    expect(redirectParams(callbackRes).get('sso_error')).toMatch(/not verified/);
+    expect(User.create).not.toHaveBeenCalled();
+    expect(callbackRes.cookies.atoken).toBeUndefined();
+  });
+
+  it('picks a free username when the preferred one is taken', async () => {
+    mockUsers.push(User.makeDoc({ id: 1, username: 'jane.doe', email: 'someone@example.org' }));
+
+    await signIn();
+
+    expect(mockUsers[1].username).toBe('jane.doe2');
+  });
+
+  it('refuses unknown users when auto-provisioning is off', async () => {
+    mockOidc.config.autoProvision = false;
+
+    const { callbackRes } = await signIn();
+
+    expect(redirectParams(callbackRes).get('sso_error')).toMatch(/No account exists/);
+    expect(User.create).not.toHaveBeenCalled();
+  });
+
+  it('refuses disabled accounts', async () => {
+    mockUsers.push(User.makeDoc({ id: 1, username: 'jane', email: 'x@example.org', external_id: `${issuer}|u-1001`, is_active: false }));
+
+    const { callbackRes } = await signIn();
+
+    expect(redirectParams(callbackRes).get('sso_error')).toBe('Account is disabled');
+    expect(callbackRes.cookies.atoken).toBeUndefined();
+  });
+
+  it('rejects a callback whose state does not match the login', async () => {
+    const { callbackRes } = await signIn((req) => { req.query.state = 'forged'; });
+
+    expect(redirectParams(callbackRes).get('sso_error')).toMatch(/Invalid sign-in response/);
+    expect(User.create).not.toHaveBeenCalled();
+  });
+
+  it('rejects a callback without the login cookie', async () => {
+    const { callbackRes } = await signIn((req) => { req.cookies = {}; });
+
+    expect(redirectParams(callbackRes).get('sso_error')).toMatch(/expired/);
+  });
+
+  it('fails when the code verifier does not match the challenge', async () => {
+    const { callbackRes } = await signIn((req) => {
+      const flow = jwt.verify(req.cookies.oidc_state, 'test-secret');
+      req.cookies.oidc_state = jwt.sign({ state: flow.state, nonce: flow.nonce, codeVerifier: 'wrong' }, 'test-secret');
+    });
+
+    expect(redirectParams(callbackRes).get('sso_error')).toBe('Single sign-on failed');
+    expect(callbackRes.cookies.atoken).toBeUndefined();
+  });
+
+  it('passes provider errors back to the login page', async () => {
+    const req = mockReq({ query: { error: 'access_denied', error_description: 'User cancelled' } });
+    const res = mockRes(req);
+    await authController.oidcCallback(req, res);
+
+    expect(redirectParams(res).get('sso_error')).toBe('User cancelled');
+  });
+});
+
+describe('OidcService', () => {
+  it('rejects ID tokens with the wrong audience or nonce', async () => {
+    const sign = (claims, audience = CLIENT_ID) => jwt.sign({ sub: 'u-1', ...claims }, privateKey, {
+      algorithm: 'RS256', keyid: 'key-1', issuer, audience, expiresIn: '5m',
+    });
+
+    await expect(mockOidc.verifyIdToken(sign({ nonce: 'n' }), 'n')).resolves.toMatchObject({ sub: 'u-1' });
+    await expect(mockOidc.verifyIdToken(sign({ nonce: 'n' }, 'other-client'), 'n')).rejects.toThrow(/audience/);
+    await expect(mockOidc.verifyIdToken(sign({ nonce: 'other' }), 'n')).rejects.toThrow(/nonce/);
+  });
+
+  it('maps claims by dotted path and group string lists', () => {
+    mockOidc.config.usernameClaim = 'attributes.uid';
+    mockOidc.config.groupsClaim = 'realm_access.roles';
+
+    const profile = mockOidc.mapClaims({
+      sub: 'u-2',
+      email: 'A@B.org',
+      attributes: { uid: 'abc' },
+      realm_access: { roles: ['cryo-staff', 'offline_access'] },
+    });
+
+    expect(profile).toMatchObject({
+      username: 'abc',
+      email: 'a@b.org',
+      // No email_verified claim
+      emailVerified: false,
+      roles: { is_superuser: false, is_staff: true },
+    });
+    expect(mockOidc.mapClaims({ sub: 'u-2', email_verified: 'true' }).emailVerified).toBe(false);
+    expect(mockOidc.mapClaims({ sub: 'u-2', email_verified: true }).emailVerified).toBe(true);
+
+    mockOidc.config.groupsClaim = 'groups';
+    expect(mockOidc.mapClaims({ sub: 'u-3', groups: 'cryo-admins, other' }).roles.is_superuser).toBe(true);
+  });
+});
@@ -0,0 +1,108 @@
+/**
+ * Pipeline import: adopting the jobs of an existing RELION project folder.
+ */
+
+jest.mock('../../utils/logger');
+jest.mock('../../utils/auditLogger', () => jest.fn());
+
+// ─── Mock state ───────────────────────────────────────────────────
+
+let mockProjectPath;
+let mockCreated;
+
+jest.mock('../projectMemberController', () => ({
+  checkProjectAccess: jest.fn(async (projectId) => ({
+    hasAccess: true,
+    project: { id: projectId, project_name: 'Demo', is_archived: false },
+  })),
+}));
+
+jest.mock('../../utils/pathUtils', () => ({
+  getProjectPath: () => mockProjectPath,
+}));
+
+jest.mock('../../utils/pipelineMetadata', () => ({
+  storeJobMetadata: jest.fn().mockResolvedValue(),
+}));
+
+jest.mock('../../models/Job', () => ({
+  find: jest.fn(() => ({ select: () => ({ lean: async () => [] }) })),
+  generateId: jest.fn(() => `job${mockCreated.length + 1}`),
+  create: jest.fn(async (data) => {
+    mockCreated.push(data);
+    return data;
+  }),
+}));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const pipelineController = require('../pipelineController');
+
+// ─── Helpers ─────────────────────────────────────────────────────
+
+let tmpDir;
+
+const writePipeline = (processNames) => {
+  fs.writeFileSync(path.join(mockProjectPath, 'default_pipeline.star'), [
+    'data_pipeline_processes',
+    'loop_',
+    '_rlnPipeLineProcessName #1',
+    '_rlnPipeLineProcessAlias #2',
+    '_rlnPipeLineProcessTypeLabel #3',
+    '_rlnPipeLineProcessStatusLabel #4',
+    ...processNames.map(name => `${name} None relion.import.movies Succeeded`),
+    '',
+  ].join('\n'));
+};
+
+const importPipeline = async () => {
+  const req = { params: { projectId: 'p1' }, user: { id: 1 }, ip: '127.0.0.1' };
+  const res = {
+    status: jest.fn().mockReturnThis(),
+    json: jest.fn().mockReturnThis(),
+  };
+  await pipelineController.importPipeline(req, res);
+  return { status: res.status.mock.calls[0][0], body: res.json.mock.calls[0][0] };
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  mockCreated = [];
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pipeline-import-'));
+  mockProjectPath = path.join(tmpDir, 'Demo');
+  fs.mkdirSync(path.join(mockProjectPath, 'Import/job001'), { recursive: true });
+});
+
+afterEach(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+describe('importPipeline', () => {
+  it('creates jobs for finished processes in the project folder', async () => {
+    writePipeline(['Import/job001/']);
+
+    const { status, body } = await importPipeline();
+
+    expect(status).toBe(200);
+    expect(body.imported).toEqual([{ id: 'job1', jobName: 'Job001', jobType: 'Import', status: 'success' }]);
+    expect(mockCreated[0].output_file_path).toBe(path.join(mockProjectPath, 'Import/job001'));
+  });
+
+  it('skips process names that lead outside the project folder', async () => {
+    fs.mkdirSync(path.join(tmpDir, 'Other/job002'), { recursive: true });
+    fs.mkdirSync(path.join(tmpDir, 'Demo2/Import/job003'), { recursive: true });
+    writePipeline(['../Other/job002/', `${tmpDir}/Other/job002/`, '../Demo2/Import/job003/']);
+
+    const { status, body } = await importPipeline();
+
+    expect(status).toBe(200);
+    expect(body.imported).toEqual([]);
+    expect(body.skipped).toEqual([
+      { processName: '../Other/job002/', reason: 'Job directory is outside the project' },
+      { processName: `${tmpDir}/Other/job002/`, reason: 'Job directory is outside the project' },
+      { processName: '../Demo2/Import/job003/', reason: 'Job directory is outside the project' },
+    ]);
+    expect(mockCreated).toEqual([]);
+  });
+});
@@ -0,0 +1,356 @@
+/**
+ * TOTP two-factor authentication: enrollment, the second login step,
+ * recovery codes, disabling, admin reset and enforcement in the auth middleware.
+ */
+
+jest.mock('../../utils/logger');
+jest.mock('../../utils/auditLogger', () => jest.fn());
+
+// ─── Mock state ───────────────────────────────────────────────────
+
+let mockUsers;
+
+jest.mock('../../config/settings', () => ({
+  JWT_SECRET: 'test-secret',
+  JWT_EXPIRES_IN: '1h',
+  ROOT_PATH: '/data/projects',
+  TOTP_ISSUER: 'CryoProcess',
+  TOTP_REQUIRED_FOR_ADMINS: false,
+}));
+
+jest.mock('../../services/ldapService', () => ({
+  getLdapService: () => ({ enabled: false }),
+}));
+
+jest.mock('../../models/User', () => {
+  const matches = (user, query) => Object.entries(query).every(([key, value]) => user[key] === value);
+  const found = (query) => mockUsers.find(u => matches(u, query)) || null;
+  const plain = (user) => user && Object.fromEntries(Object.entries(user).filter(([, v]) => typeof v !== 'function'));
+  const makeDoc = (data) => ({
+    is_active: true,
+    is_staff: false,
+    is_superuser: false,
+    auth_provider: 'local',
+    totp_enabled: false,
+    totp_required: false,
+    totp_secret: '',
+    totp_pending_secret: '',
+    totp_last_step: -1,
+    totp_recovery_codes: [],
+    ...data,
+    save: jest.fn().mockResolvedValue(),
+    comparePassword: jest.fn(async function(candidate) { return candidate === this.password; }),
+    generateAuthToken() { return require('jsonwebtoken').sign({ id: this.id }, 'test-secret'); },
+    resetTotp() {
+      Object.assign(this, {
+        totp_enabled: false, totp_secret: '', totp_pending_secret: '', totp_last_step: -1, totp_recovery_codes: [], totp_enabled_at: null,
+      });
+    },
+  });
+
+  return {
+    findOne: jest.fn((query) => {
+      const result = Promise.resolve(found(query));
+      result.select = () => {
+        const selected = Promise.resolve(found(query));
+        selected.lean = () => Promise.resolve(plain(found(query)));
+        return selected;
+      };
+      result.lean = () => Promise.resolve(plain(found(query)));
+      return result;
+    }),
+    makeDoc,
+  };
+});
+
+const jwt = require('jsonwebtoken');
+const settings = require('../../config/settings');
+const auditLog = require('../../utils/auditLogger');
+const totp = require('../../utils/totp');
+const { encryptField } = require('../../utils/crypto');
+const User = require('../../models/User');
+const authController = require('../authController');
+const adminController = require('../adminController');
+const authMiddleware = require('../../middleware/auth');
+
+// ─── Helpers ─────────────────────────────────────────────────────
+
+const SECRET = totp.generateSecret();
+const codeAt = (offsetSteps = 0) => totp.generateCode(SECRET, totp.timeStep() + offsetSteps);
+
+const call = async (handler, { body = {}, user, params = {}, originalUrl, cookies = {} } = {}) => {
+  const req = {
+    body, params, originalUrl, cookies, ip: '127.0.0.1', headers: {},
+    user: user && { id: user.id, username: user.username, isStaff: user.is_staff, isSuperuser: user.is_superuser },
+  };
+  const res = {
+    req,
+    cookies: {},
+    statusCode: 200,
+    body: null,
+    status: jest.fn(function(code) { this.statusCode = code; return this; }),
+    json: jest.fn(function(body) { this.body = body; return this; }),
+    cookie: jest.fn((name, value) => { res.cookies[name] = value; }),
+  };
+  await handler(req, res);
+  return res;
+};
+
+const enrolledUser = (fields = {}) => User.makeDoc({
+  id: 2,
+  username: 'jane',
+  email: 'jane@example.org',
+  password: 'jane-pw',
+  totp_enabled: true,
+  totp_secret: encryptField(SECRET),
+  totp_recovery_codes: [totp.hashRecoveryCode('aaaaa-11111'), totp.hashRecoveryCode('bbbbb-22222')],
+  ...fields,
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  settings.TOTP_REQUIRED_FOR_ADMINS = false;
+  mockUsers = [
+    User.makeDoc({ id: 1, username: 'admin', email: 'admin@example.org', password: 'admin-pw', is_superuser: true }),
+  ];
+});
+
+describe('login with 2FA', () => {
+  const passwordStep = async (password = 'jane-pw') => {
+    const res = await call(authController.login, { body: { email: 'jane@example.org', password } });
+    return res.body.data;
+  };
+
+  beforeEach(() => {
+    mockUsers.push(enrolledUser());
+  });
+
+  it('answers the password step with a challenge instead of a session', async () => {
+    const res = await call(authController.login, { body: { email: 'jane@example.org', password: 'jane-pw' } });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data).toEqual({ twoFactorRequired: true, challengeToken: expect.any(String) });
+    expect(res.cookies).toEqual({});
+    expect(mockUsers[1].last_login).toBeUndefined();
+  });
+
+  it('does not issue a challenge for a wrong password', async () => {
+    const res = await call(authController.login, { body: { email: 'jane@example.org', password: 'nope' } });
+    expect(res.statusCode).toBe(401);
+    expect(res.body.data).toBeUndefined();
+  });
+
+  it('never accepts the challenge as a session token', async () => {
+    const { challengeToken } = await passwordStep();
+
+    expect(() => jwt.verify(challengeToken, settings.JWT_SECRET)).toThrow();
+
+    const refreshed = await call(authController.refreshToken, { cookies: { atoken: challengeToken } });
+    expect(refreshed.statusCode).toBe(401);
+    expect(refreshed.cookies).toEqual({});
+  });
+
+  it('signs in with a valid code and refuses to reuse it', async () => {
+    const { challengeToken } = await passwordStep();
+    const code = codeAt();
+
+    const res = await call(authController.loginTotp, { body: { challengeToken, code } });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.cookies.atoken).toBeDefined();
+    expect(res.body.data.user).toEqual(expect.objectContaining({ id: 2, username: 'jane', twoFactorSetupRequired: false }));
+    expect(mockUsers[1].last_login).toBeInstanceOf(Date);
+    expect(auditLog).toHaveBeenCalledWith(expect.objectContaining({ user: { id: 2, username: 'jane' } }), 'login', expect.objectContaining({ details: '2FA login: jane@example.org' }));
+
+    const replay = await call(authController.loginTotp, { body: { challengeToken, code } });
+    expect(replay.statusCode).toBe(401);
+    expect(replay.body.message).toBe('Invalid authentication code');
+  });
+
+  it('refuses wrong codes', async () => {
+    const { challengeToken } = await passwordStep();
+
+    const res = await call(authController.loginTotp, { body: { challengeToken, code: codeAt(-3) } });
+
+    expect(res.statusCode).toBe(401);
+    expect(res.cookies).toEqual({});
+  });
+
+  it('accepts each recovery code once', async () => {
+    const { challengeToken } = await passwordStep();
+
+    const first = await call(authController.loginTotp, { body: { challengeToken, code: 'AAAAA 11111' } });
+    expect(first.statusCode).toBe(200);
+    expect(mockUsers[1].totp_recovery_codes).toEqual([totp.hashRecoveryCode('bbbbb-22222')]);
+
+    const again = await call(authController.loginTotp, { body: { challengeToken, code: 'aaaaa-11111' } });
+    expect(again.statusCode).toBe(401);
+  });
+
+  it('rejects forged, expired and stale challenges', async () => {
+    const forged = jwt.sign({ sub: '2', purpose: 'totp' }, settings.JWT_SECRET);
+    expect((await call(authController.loginTotp, { body: { challengeToken: forged, code: codeAt() } })).statusCode).toBe(401);
+
+    const expired = jwt.sign({ sub: '2', purpose: 'totp' }, `${settings.JWT_SECRET}:totp-challenge`, { expiresIn: -10 });
+    expect((await call(authController.loginTotp, { body: { challengeToken: expired, code: codeAt() } })).body.message)
+      .toBe('Sign-in expired, please enter your password again');
+
+    // 2FA was reset after the password step
+    const { challengeToken } = await passwordStep();
+    mockUsers[1].resetTotp();
+    expect((await call(authController.loginTotp, { body: { challengeToken, code: codeAt() } })).statusCode).toBe(401);
+  });
+});
+
+describe('enrollment', () => {
+  let jane;
+
+  beforeEach(() => {
+    jane = User.makeDoc({ id: 2, username: 'jane', email: 'jane@example.org', password: 'jane-pw' });
+    mockUsers.push(jane);
+  });
+
+  it('sets up, confirms with a code and hands out recovery codes', async () => {
+    const setup = await call(authController.setupTotp, { user: jane });
+
+    expect(setup.statusCode).toBe(200);
+    const { secret, otpauthUrl, qrCode } = setup.body.data;
+    expect(otpauthUrl).toBe(`otpauth://totp/CryoProcess%3Ajane%40example.org?secret=${secret}&issuer=CryoProcess&algorithm=SHA1&digits=6&period=30`);
+    expect(qrCode).toMatch(/^data:image\/png;base64,/);
+    expect(jane.totp_enabled).toBe(false);
+    expect(jane.totp_pending_secret).not.toContain(secret);
+
+    const wrong = await call(authController.enableTotp, { user: jane, body: { code: '000000' } });
+    expect(wrong.statusCode).toBe(400);
+
+    const enable = await call(authController.enableTotp, {
+      user: jane, body: { code: totp.generateCode(secret, totp.timeStep()) },
+    });
+
+    expect(enable.statusCode).toBe(200);
+    expect(enable.body.data.recoveryCodes).toHaveLength(10);
+    expect(jane).toMatchObject({ totp_enabled: true, totp_pending_secret: '', totp_enabled_at: expect.any(Date) });
+    expect(jane.totp_recovery_codes).toEqual(enable.body.data.recoveryCodes.map(totp.hashRecoveryCode));
+    expect(auditLog).toHaveBeenCalledWith(expect.anything(), 'totp_enable', expect.objectContaining({ resourceId: 2 }));
+
+    const status = await call(authController.getTotpStatus, { user: jane });
+    expect(status.body.data).toEqual(expect.objectContaining({ passwordRequired: true, enabled: true, required: false, recoveryCodesRemaining: 10 }));
+  });
+
+  it('requires a started setup and refuses to enroll twice', async () => {
+    expect((await call(authController.enableTotp, { user: jane, body: { code: '123456' } })).statusCode).toBe(400);
+
+    Object.assign(jane, { totp_enabled: true, totp_secret: encryptField(SECRET) });
+    expect((await call(authController.setupTotp, { user: jane })).statusCode).toBe(409);
+  });
+
+  it('is offered to single sign-on accounts, which have no password to confirm with', async () => {
+    jane.auth_provider = 'oidc';
+
+    expect((await call(authController.setupTotp, { user: jane })).statusCode).toBe(200);
+    expect((await call(authController.getTotpStatus, { user: jane })).body.data.passwordRequired).toBe(false);
+  });
+});
+
+describe('managing 2FA', () => {
+  let jane;
+
+  beforeEach(() => {
+    jane = enrolledUser();
+    mockUsers.push(jane);
+  });
+
+  it('disables with the password and a code', async () => {
+    const noPassword = await call(authController.disableTotp, { user: jane, body: { code: codeAt() } });
+    expect(noPassword.statusCode).toBe(400);
+    expect(noPassword.body.message).toBe('Password is incorrect');
+
+    const badCode = await call(authController.disableTotp, { user: jane, body: { code: '000000', password: 'jane-pw' } });
+    expect(badCode.body.message).toBe('Invalid authentication code');
+    expect(jane.totp_enabled).toBe(true);
+
+    const res = await call(authController.disableTotp, { user: jane, body: { code: codeAt(), password: 'jane-pw' } });
+
+    expect(res.statusCode).toBe(200);
+    expect(jane).toMatchObject({ totp_enabled: false, totp_secret: '', totp_recovery_codes: [] });
+    expect(auditLog).toHaveBeenCalledWith(expect.anything(), 'totp_disable', expect.anything());
+  });
+
+  it('cannot be disabled when required', async () => {
+    jane.totp_required = true;
+
+    const res = await call(authController.disableTotp, { user: jane, body: { code: codeAt(), password: 'jane-pw' } });
+
+    expect(res.statusCode).toBe(403);
+    expect(jane.totp_enabled).toBe(true);
+  });
+
+  it('regenerates recovery codes with an authenticator code only', async () => {
+    expect((await call(authController.regenerateRecoveryCodes, { user: jane, body: { code: 'aaaaa-11111' } })).statusCode).toBe(400);
+
+    const res = await call(authController.regenerateRecoveryCodes, { user: jane, body: { code: codeAt() } });
+
+    expect(res.statusCode).toBe(200);
+    expect(jane.totp_recovery_codes).toEqual(res.body.data.recoveryCodes.map(totp.hashRecoveryCode));
+    expect(jane.totp_recovery_codes).not.toContain(totp.hashRecoveryCode('aaaaa-11111'));
+  });
+
+  it('lets admins require and reset 2FA', async () => {
+    const admin = mockUsers[0];
+
+    const required = await call(adminController.updateUser, { user: admin, params: { userId: '2' }, body: { totpRequired: true } });
+    expect(required.body.data.totpRequired).toBe(true);
+
+    const reset = await call(adminController.resetTotp, { user: admin, params: { userId: '2' } });
+    expect(reset.statusCode).toBe(200);
+    expect(jane.totp_enabled).toBe(false);
+    expect(auditLog).toHaveBeenCalledWith(expect.anything(), 'admin_reset_totp', expect.objectContaining({ resourceId: 2 }));
+
+    expect((await call(adminController.resetTotp, { user: admin, params: { userId: '2' } })).statusCode).toBe(400);
+  });
+
+  it('keeps staff from resetting 2FA of other admins', async () => {
+    const staff = User.makeDoc({ id: 3, username: 'staff', is_staff: true });
+    mockUsers.push(staff);
+    jane.is_staff = true;
+
+    expect((await call(adminController.resetTotp, { user: staff, params: { userId: '2' } })).statusCode).toBe(403);
+  });
+});
+
+describe('enforcement', () => {
+  const request = async (user, originalUrl) => {
+    const next = jest.fn();
+    const token = user.generateAuthToken();
+    const res = await call((req, r) => authMiddleware({ ...req, headers: { authorization: `Bearer ${token}` } }, r, next), { originalUrl });
+    return { res, next };
+  };
+
+  it('limits users who must enroll to their account endpoints', async () => {
+    const jane = User.makeDoc({ id: 2, username: 'jane', email: 'jane@example.org', password: 'jane-pw', totp_required: true });
+    mockUsers.push(jane);
+
+    const login = await call(authController.login, { body: { email: 'jane@example.org', password: 'jane-pw' } });
+    expect(login.body.data.user.twoFactorSetupRequired).toBe(true);
+
+    const blocked = await request(jane, '/api/projects');
+    expect(blocked.res.statusCode).toBe(403);
+    expect(blocked.res.body.code).toBe('TOTP_SETUP_REQUIRED');
+    expect(blocked.next).not.toHaveBeenCalled();
+
+    expect((await request(jane, '/api/auth/2fa/setup')).next).toHaveBeenCalled();
+
+    Object.assign(jane, { totp_enabled: true });
+    expect((await request(jane, '/api/projects')).next).toHaveBeenCalled();
+  });
+
+  it('applies to all staff and superusers with TOTP_REQUIRED_FOR_ADMINS', async () => {
+    settings.TOTP_REQUIRED_FOR_ADMINS = true;
+
+    expect((await request(mockUsers[0], '/api/admin/users')).res.body.code).toBe('TOTP_SETUP_REQUIRED');
+
+    const regular = User.makeDoc({ id: 4, username: 'bob' });
+    mockUsers.push(regular);
+    expect((await request(regular, '/api/projects')).next).toHaveBeenCalled();
+  });
+});
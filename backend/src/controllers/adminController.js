@@ -7,8 +7,13 @@
 const crypto = require('crypto');
 const logger = require('../utils/logger');
 const User = require('../models/User');
+const Project = require('../models/Project');
+const LdapConfig = require('../models/LdapConfig');
 const response = require('../utils/responseHelper');
 const auditLog = require('../utils/auditLogger');
+const { encryptField, decryptField } = require('../utils/crypto');
+const { mapKeys, mapKeysToSnake } = require('../utils/mapKeys');
+const { getLdapService } = require('../services/ldapService');
 
 /**
  * Generate temporary password
@@ -49,6 +54,8 @@ exports.listUsers = async (req, res) => {
         isSuperuser: u.is_superuser || false,
         mustChangePassword: u.must_change_password || false,
         hasApiKey: !!u.api_key_hash,
+        totpEnabled: u.totp_enabled || false,
+        totpRequired: u.totp_required || false,
         createdAt: u.created_at,
         lastLogin: u.last_login
       })),
@@ -167,6 +174,8 @@ exports.getUser = async (req, res) => {
         isSuperuser: user.is_superuser || false,
         mustChangePassword: user.must_change_password || false,
         hasApiKey: !!user.api_key_hash,
+        totpEnabled: user.totp_enabled || false,
+        totpRequired: user.totp_required || false,
         createdAt: user.created_at,
         lastLogin: user.last_login
     });
@@ -180,12 +189,13 @@ exports.getUser = async (req, res) => {
  * Update user
  * PATCH /api/admin/users/:userId
  * Staff can update regular users only (name, active status)
- * Superuser can update anyone including staff/superuser flags
+ * Superuser can update anyone including staff/superuser flags, and link an
+ * SSO identity to an existing account (externalId)
  */
 exports.updateUser = async (req, res) => {
   try {
     const { userId } = req.params;
-    const { firstName, lastName, isActive, isStaff, isSuperuser } = req.body;
+    const { firstName, lastName, isActive, isStaff, isSuperuser, totpRequired, externalId } = req.body;
 
     const user = await User.findOne({ id: parseInt(userId, 10) });
 
@@ -203,15 +213,27 @@ exports.updateUser = async (req, res) => {
       return response.forbidden(res, 'Only superusers can grant staff or superuser privileges');
     }
 
+    if (externalId !== undefined) {
+      if (!req.user.isSuperuser) {
+        return response.forbidden(res, 'Only superusers can link SSO identities');
+      }
+      if (externalId && await User.exists({ external_id: externalId, id: { $ne: user.id } })) {
+        return response.conflict(res, 'This SSO identity is already linked to another account');
+      }
+    }
+
     // Update fields
     if (firstName !== undefined) user.first_name = firstName;
     if (lastName !== undefined) user.last_name = lastName;
     if (isActive !== undefined) user.is_active = isActive;
+    if (totpRequired !== undefined) user.totp_required = totpRequired;
 
     // Only superuser can modify these
     if (req.user.isSuperuser) {
       if (isStaff !== undefined) user.is_staff = isStaff;
       if (isSuperuser !== undefined) user.is_superuser = isSuperuser;
+      // Sparse unique index: unset rather than store null
+      if (externalId !== undefined) user.external_id = externalId || undefined;
     }
 
     user.updated_at = new Date();
@@ -230,7 +252,9 @@ exports.updateUser = async (req, res) => {
         lastName: user.last_name,
         isActive: user.is_active,
         isStaff: user.is_staff,
-        isSuperuser: user.is_superuser
+        isSuperuser: user.is_superuser,
+        totpRequired: user.totp_required,
+        externalId: user.external_id || null
       },
       message: 'User updated successfully'
     });
@@ -324,6 +348,43 @@ exports.resetPassword = async (req, res) => {
   }
 };
 
+/**
+ * Turn off a user's two-factor authentication (lost device, no recovery codes)
+ * DELETE /api/admin/users/:userId/2fa
+ * Staff can reset regular users only; if 2FA is required the user enrolls again
+ */
+exports.resetTotp = async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    const user = await User.findOne({ id: parseInt(userId, 10) });
+
+    if (!user) {
+      return response.notFound(res, 'User not found');
+    }
+
+    if (!req.user.isSuperuser && (user.is_staff || user.is_superuser)) {
+      return response.forbidden(res, 'Only superusers can reset two-factor authentication for staff or superuser accounts');
+    }
+
+    if (!user.totp_enabled) {
+      return response.badRequest(res, 'Two-factor authentication is not enabled for this user');
+    }
+
+    user.resetTotp();
+    user.updated_at = new Date();
+    await user.save();
+
+    logger.info(`[Admin] 2FA reset for: ${user.username} by admin ${req.user.username}`);
+    auditLog(req, 'admin_reset_totp', { resourceType: 'user', resourceId: user.id, details: user.username });
+
+    return response.success(res, { message: 'Two-factor authentication reset' });
+  } catch (error) {
+    logger.error('[Admin] resetTotp error:', error);
+    return response.serverError(res, error.message);
+  }
+};
+
 /**
  * Generate API key for user
  * POST /api/admin/users/:userId/generate-api-key
@@ -402,3 +463,154 @@ exports.revokeApiKey = async (req, res) => {
     return response.serverError(res, error.message);
   }
 };
+
+/**
+ * LDAP settings as returned to the admin UI (never includes the bind password)
+ * @param {Object|null} doc - LdapConfig (lean, with +bind_password)
+ */
+const formatLdapConfig = (doc) => {
+  const {
+    id: _configId, bind_password: bindPassword, updated_by: _updatedBy, ...config
+  } = doc || new LdapConfig().toObject();
+  return { ...mapKeys(config), bindPasswordSet: !!bindPassword };
+};
+
+/**
+ * Get LDAP settings
+ * GET /api/admin/ldap
+ */
+exports.getLdapConfig = async (req, res) => {
+  try {
+    const doc = await LdapConfig.findOne({ id: 'ldap' }).select('+bind_password').lean();
+    return response.successData(res, formatLdapConfig(doc));
+  } catch (error) {
+    logger.error('[Admin] getLdapConfig error:', error);
+    return response.serverError(res, error.message);
+  }
+};
+
+/**
+ * Save LDAP settings
+ * PUT /api/admin/ldap
+ */
+exports.updateLdapConfig = async (req, res) => {
+  try {
+    const { bindPassword, ...fields } = req.body;
+
+    if (fields.enabled && (!fields.url || !fields.userSearchBase)) {
+      return response.badRequest(res, 'URL and user search base are required to enable LDAP');
+    }
+
+    const projectIds = [...new Set(fields.groupMappings.map(m => m.projectId))];
+    if (projectIds.length > 0) {
+      const found = await Project.find({ id: { $in: projectIds } }).select('id').lean();
+      const missing = projectIds.filter(id => !found.some(p => p.id === id));
+      if (missing.length > 0) {
+        return response.badRequest(res, `Unknown project in group mappings: ${missing.join(', ')}`);
+      }
+    }
+
+    const update = { ...mapKeysToSnake(fields), updated_by: req.user.id, updated_at: new Date() };
+    if (bindPassword !== undefined) {
+      update.bind_password = bindPassword ? encryptField(bindPassword) : '';
+    }
+
+    const doc = await LdapConfig.findOneAndUpdate(
+      { id: 'ldap' },
+      { $set: update },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    ).select('+bind_password').lean();
+
+    getLdapService().setConfig(doc);
+
+    logger.info(`[Admin] LDAP settings updated by admin ${req.user.username} (enabled: ${doc.enabled})`);
+    auditLog(req, 'admin_update_ldap', { resourceType: 'settings', resourceId: 'ldap', details: `enabled: ${doc.enabled}` });
+
+    return response.successData(res, formatLdapConfig(doc));
+  } catch (error) {
+    logger.error('[Admin] updateLdapConfig error:', error);
+    return response.serverError(res, error.message);
+  }
+};
+
+/**
+ * Test LDAP settings before saving: connect, bind and optionally look up a user
+ * POST /api/admin/ldap/test
+ */
+exports.testLdapConnection = async (req, res) => {
+  try {
+    const { bindPassword, testLogin, ...fields } = req.body;
+
+    if (!fields.url) {
+      return response.badRequest(res, 'URL is required');
+    }
+
+    const config = mapKeysToSnake(fields);
+    if (bindPassword !== undefined) {
+      config.bind_password = bindPassword;
+    } else {
+      const stored = await LdapConfig.findOne({ id: 'ldap' }).select('+bind_password').lean();
+      config.bind_password = stored?.bind_password ? decryptField(stored.bind_password) : '';
+    }
+
+    const ldap = getLdapService();
+    let result;
+    try {
+      result = await ldap.testConnection(config, testLogin);
+    } catch (err) {
+      logger.warn(`[Admin] LDAP connection test failed: ${err.message}`);
+      return response.successData(res, { connected: false, message: err.message });
+    }
+
+    if (!testLogin) {
+      return response.successData(res, { connected: true, message: 'Connected and bound successfully' });
+    }
+    if (!result.user) {
+      return response.successData(res, { connected: true, message: `No unique entry found for ${testLogin}`, user: null });
+    }
+
+    const { roles, projects } = ldap.resolveGroupAccess(result.user.groups, config);
+    return response.successData(res, {
+      connected: true,
+      message: `Found ${result.user.dn}`,
+      user: {
+        ...result.user,
+        isSuperuser: roles.is_superuser,
+        isStaff: roles.is_staff,
+        projects: [...projects].map(([projectId, role]) => ({ projectId, role }))
+      }
+    });
+  } catch (error) {
+    logger.error('[Admin] testLdapConnection error:', error);
+    return response.serverError(res, error.message);
+  }
+};
+
+/**
+ * Run the LDAP group sync now
+ * POST /api/admin/ldap/sync
+ */
+exports.syncLdap = async (req, res) => {
+  try {
+    const ldap = getLdapService();
+    if (!ldap.enabled) {
+      return response.badRequest(res, 'LDAP is not enabled');
+    }
+
+    const summary = await ldap.syncAll();
+    if (!summary) {
+      return response.conflict(res, 'A sync is already running');
+    }
+
+    auditLog(req, 'admin_ldap_sync', {
+      resourceType: 'settings',
+      resourceId: 'ldap',
+      details: `${summary.users} users, +${summary.added} ~${summary.updated} -${summary.removed}`
+    });
+
+    return response.successData(res, mapKeys(summary));
+  } catch (error) {
+    logger.error('[Admin] syncLdap error:', error);
+    return response.serverError(res, error.message);
+  }
+};
@@ -0,0 +1,123 @@
+/**
+ * API Token Controller
+ *
+ * Personal access tokens: each user manages their own. Tokens authenticate
+ * through authMiddleware like a session, limited to their scopes and projects.
+ */
+
+const logger = require('../utils/logger');
+const ApiToken = require('../models/ApiToken');
+const response = require('../utils/responseHelper');
+const auditLog = require('../utils/auditLogger');
+const { generateToken } = require('../utils/apiTokens');
+const { checkProjectAccess } = require('./projectMemberController');
+
+const MAX_TOKENS_PER_USER = 25;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Token as returned to its owner (never the hash)
+ */
+const formatToken = (token) => ({
+  id: token.id,
+  name: token.name,
+  prefix: token.token_prefix,
+  scopes: token.scopes,
+  projectIds: token.project_ids || [],
+  expiresAt: token.expires_at,
+  expired: !!token.expires_at && new Date(token.expires_at) <= new Date(),
+  lastUsedAt: token.last_used_at,
+  lastUsedIp: token.last_used_ip,
+  createdAt: token.created_at
+});
+
+/**
+ * List the current user's tokens
+ * GET /api/auth/tokens
+ */
+exports.listTokens = async (req, res) => {
+  try {
+    const tokens = await ApiToken.find({ user_id: req.user.id }).sort({ created_at: -1 }).lean();
+    return response.successData(res, tokens.map(formatToken));
+  } catch (error) {
+    logger.error('[ApiTokens] listTokens error:', error);
+    return response.serverError(res, error.message);
+  }
+};
+
+/**
+ * Create a token; the token itself is only returned in this response
+ * POST /api/auth/tokens
+ */
+exports.createToken = async (req, res) => {
+  try {
+    const { name, scopes, projectIds, expiresInDays } = req.body;
+
+    if (scopes.includes('admin') && !req.user.isStaff && !req.user.isSuperuser) {
+      return response.forbidden(res, 'Only staff can create tokens with the admin scope');
+    }
+
+    for (const projectId of projectIds) {
+      const access = await checkProjectAccess(projectId, req.user, 'viewer');
+      if (!access.hasAccess) {
+        return response.badRequest(res, `No access to project ${projectId}`);
+      }
+    }
+
+    const count = await ApiToken.countDocuments({ user_id: req.user.id });
+    if (count >= MAX_TOKENS_PER_USER) {
+      return response.badRequest(res, `You can have at most ${MAX_TOKENS_PER_USER} tokens; revoke one first`);
+    }
+
+    const { token, hash, prefix } = generateToken();
+    const apiToken = await ApiToken.create({
+      id: ApiToken.generateId(),
+      user_id: req.user.id,
+      name,
+      token_hash: hash,
+      token_prefix: prefix,
+      scopes,
+      project_ids: projectIds,
+      expires_at: expiresInDays ? new Date(Date.now() + expiresInDays * DAY_MS) : null
+    });
+
+    logger.info(`[ApiTokens] ${req.user.username} created token "${name}" (${scopes.join(', ')})`);
+    auditLog(req, 'api_token_create', {
+      resourceType: 'api_token',
+      resourceId: apiToken.id,
+      details: `${name} (${scopes.join(', ')})`
+    });
+
+    return response.created(res, {
+      data: { ...formatToken(apiToken), token }
+    });
+  } catch (error) {
+    logger.error('[ApiTokens] createToken error:', error);
+    return response.serverError(res, error.message);
+  }
+};
+
+/**
+ * Revoke (delete) one of the current user's tokens
+ * DELETE /api/auth/tokens/:tokenId
+ */
+exports.revokeToken = async (req, res) => {
+  try {
+    const apiToken = await ApiToken.findOneAndDelete({ id: req.params.tokenId, user_id: req.user.id });
+    if (!apiToken) {
+      return response.notFound(res, 'Token not found');
+    }
+
+    logger.info(`[ApiTokens] ${req.user.username} revoked token "${apiToken.name}"`);
+    auditLog(req, 'api_token_revoke', {
+      resourceType: 'api_token',
+      resourceId: apiToken.id,
+      details: apiToken.name
+    });
+
+    return response.success(res, { message: 'Token revoked' });
+  } catch (error) {
+    logger.error('[ApiTokens] revokeToken error:', error);
+    return response.serverError(res, error.message);
+  }
+};
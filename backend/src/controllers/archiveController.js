@@ -14,6 +14,8 @@ const settings = require('../config/settings');
 const response = require('../utils/responseHelper');
 const { ACTIVE_STATUSES } = require('../config/constants');
 const { getProjectPath, getArchivedProjectPath, rewriteJobPaths } = require('../utils/pathUtils');
+const { publishEvent } = require('../services/eventWebhookService');
+const { tokenAllowsProject } = require('../utils/apiTokens');
 
 // 1 hour timeout for cross-device moves over blobfuse
 const MOVE_TIMEOUT = 3600000;
@@ -30,6 +32,10 @@ exports.archiveProject = async (req, res) => {
       return response.badRequest(res, 'Archive storage is not configured. Set ARCHIVE_PATH in .env');
     }
 
+    if (!tokenAllowsProject(req.user, projectId)) {
+      return response.forbidden(res, 'Access token is not valid for this project');
+    }
+
     const project = await Project.findOne({ id: projectId });
     if (!project) {
       return response.notFound(res, 'Project not found');
@@ -87,6 +93,11 @@ exports.archiveProject = async (req, res) => {
 
       const jobsUpdated = await rewriteJobPaths(projectId, sourcePath, destPath);
       logger.info(`[Archive] Project ${projectId} archived successfully. ${jobsUpdated} job paths updated.`);
+
+      publishEvent(projectId, 'project.archived', {
+        archivedBy: req.user.username,
+        archivePath: destPath
+      });
     } catch (moveError) {
       logger.error(`[Archive] Failed to archive project ${projectId}: ${moveError.message}`);
       // Project remains is_archived=false so user can retry
@@ -111,6 +122,10 @@ exports.restoreProject = async (req, res) => {
       return response.badRequest(res, 'Archive storage is not configured. Set ARCHIVE_PATH in .env');
     }
 
+    if (!tokenAllowsProject(req.user, projectId)) {
+      return response.forbidden(res, 'Access token is not valid for this project');
+    }
+
     const project = await Project.findOne({ id: projectId });
     if (!project) {
       return response.notFound(res, 'Project not found');
@@ -180,6 +195,10 @@ exports.relocateProject = async (req, res) => {
       return response.forbidden(res, 'Only superusers can relocate projects');
     }
 
+    if (!tokenAllowsProject(req.user, projectId)) {
+      return response.forbidden(res, 'Access token is not valid for this project');
+    }
+
     const project = await Project.findOne({ id: projectId });
     if (!project) {
       return response.notFound(res, 'Project not found');
@@ -6,6 +6,7 @@
 
 const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
+const QRCode = require('qrcode');
 const { Client } = require('ssh2');
 const logger = require('../utils/logger');
 const User = require('../models/User');
@@ -13,9 +14,12 @@ const PasswordResetToken = require('../models/PasswordResetToken');
 const settings = require('../config/settings');
 const { validatePassword, isValidEmail } = require('../utils/security');
 const { encryptField, decryptField } = require('../utils/crypto');
+const totp = require('../utils/totp');
 const response = require('../utils/responseHelper');
 const { TIMING } = require('../config/constants');
 const { getEmailService } = require('../services/emailService');
+const { getOidcService } = require('../services/oidcService');
+const { getLdapService } = require('../services/ldapService');
 const auditLog = require('../utils/auditLogger');
 
 const setAuthCookie = (res, token) => {
@@ -28,6 +32,247 @@ const setAuthCookie = (res, token) => {
   });
 };
 
+// After the password, accounts with 2FA get a short-lived challenge instead of a session.
+// It is signed with a derived key so it can never pass as a session token (the auth
+// middleware and /refresh accept any JWT signed with JWT_SECRET).
+const TOTP_CHALLENGE_MAX_AGE = 5 * 60;
+const getTotpChallengeKey = () => `${settings.JWT_SECRET}:totp-challenge`;
+const TOTP_CHALLENGE_EXPIRED = 'Sign-in expired, please enter your password again';
+
+const createTotpChallenge = (user) =>
+  jwt.sign({ sub: String(user.id), purpose: 'totp' }, getTotpChallengeKey(), {
+    expiresIn: TOTP_CHALLENGE_MAX_AGE
+  });
+
+const sendTotpChallenge = (res, user) =>
+  response.successData(res, { twoFactorRequired: true, challengeToken: createTotpChallenge(user) });
+
+/**
+ * Check an authenticator code, else a recovery code (which is used up).
+ * Updates but does not save the user; needs +totp_secret +totp_last_step +totp_recovery_codes.
+ * @returns {string|null} 'totp' or 'recovery' when accepted
+ */
+const verifySecondFactor = (user, code) => {
+  const step = totp.verifyCode(decryptField(user.totp_secret), code, { lastStep: user.totp_last_step });
+  if (step !== null) {
+    user.totp_last_step = step;
+    return 'totp';
+  }
+
+  const hash = totp.hashRecoveryCode(code);
+  const remaining = user.totp_recovery_codes || [];
+  if (totp.normalizeRecoveryCode(code) && remaining.includes(hash)) {
+    user.totp_recovery_codes = remaining.filter(h => h !== hash);
+    return 'recovery';
+  }
+  return null;
+};
+
+const formatLoginUser = (user) => ({
+  id: user.id,
+  username: user.username,
+  email: user.email,
+  firstName: user.first_name,
+  lastName: user.last_name,
+  isStaff: user.is_staff,
+  isSuperuser: user.is_superuser,
+  // 2FA is required but not set up yet: the API only allows account endpoints until it is
+  twoFactorSetupRequired: !user.totp_enabled && totp.isTotpRequired(user)
+});
+
+/**
+ * Start the session once all login steps have passed
+ * @param {string} [via] - How the user signed in, for the log (e.g. 'LDAP')
+ */
+const completeLogin = async (req, res, user, via) => {
+  user.last_login = new Date();
+  await user.save();
+
+  setAuthCookie(res, user.generateAuthToken());
+
+  const auditReq = { ip: req.ip, user: { id: user.id, username: user.username } };
+  logger.info(`[Auth] User logged in${via ? ` via ${via}` : ''}: ${user.email}`);
+  auditLog(auditReq, 'login', { resourceType: 'user', resourceId: user.id, details: `${via ? `${via} login` : 'Login'}: ${user.email}` });
+
+  return response.successData(res, { user: formatLoginUser(user) });
+};
+
+// Short-lived cookie holding the state/nonce/PKCE verifier between OIDC login and callback
+const OIDC_STATE_COOKIE = 'oidc_state';
+const OIDC_STATE_MAX_AGE = 10 * 60 * 1000;
+
+const oidcStateCookieOptions = (req) => ({
+  httpOnly: true,
+  secure: req.secure || req.headers['x-forwarded-proto'] === 'https',
+  sameSite: 'lax',
+  path: '/api/auth/oidc'
+});
+
+// First CORS origin is where the frontend is served
+const getFrontendUrl = () => (process.env.CORS_ORIGIN || 'http://localhost:3000').split(',')[0].trim();
+
+const getOidcRedirectUri = (req) =>
+  settings.OIDC_REDIRECT_URI || `${req.protocol}://${req.get('host')}/api/auth/oidc/callback`;
+
+/**
+ * Pick a free username based on the one the identity provider suggests
+ * @param {string} wanted
+ * @returns {Promise<string>}
+ */
+const uniqueUsername = async (wanted) => {
+  const base = wanted.toLowerCase().replace(/[^a-z0-9_.\-]+/g, '').slice(0, 40) || 'user';
+  for (let i = 1; i <= 50; i++) {
+    const candidate = i === 1 ? base : `${base}${i}`;
+    if (!(await User.exists({ username: candidate }))) return candidate;
+  }
+  return `${base}-${crypto.randomBytes(3).toString('hex')}`;
+};
+
+/**
+ * Find or create the User for an OIDC identity. Existing accounts are
+ * matched by external id only; an account whose email matches but is not
+ * linked is refused rather than taken over.
+ * @param {Object} profile - OidcService.mapClaims() result
+ * @param {boolean} autoProvision - Create accounts that do not exist yet
+ * @returns {Promise<{user?: Object, created?: boolean, error?: string}>}
+ */
+const provisionOidcUser = async (profile, autoProvision) => {
+  let user = await User.findOne({ external_id: profile.externalId });
+  let created = false;
+
+  // Existing accounts are never linked by email; an administrator sets their
+  // external ID (PATCH /api/admin/users/:userId) to link them explicitly
+  if (!user && profile.email && await User.exists({ email: profile.email })) {
+    return { error: 'An account with this email already exists. Contact an administrator to link it.' };
+  }
+
+  if (!user) {
+    if (!autoProvision) {
+      return { error: 'No account exists for this user. Contact an administrator.' };
+    }
+    if (!profile.email) {
+      return { error: 'The identity provider did not supply an email address' };
+    }
+    if (!profile.emailVerified) {
+      return { error: 'The identity provider has not verified your email address' };
+    }
+
+    user = await User.create({
+      id: await User.getNextId(),
+      username: await uniqueUsername(profile.username || profile.email.split('@')[0]),
+      email: profile.email,
+      // Never used: SSO accounts sign in through the provider
+      password: crypto.randomBytes(32).toString('hex'),
+      first_name: profile.firstName,
+      last_name: profile.lastName,
+      auth_provider: 'oidc',
+      external_id: profile.externalId,
+      ...profile.roles
+    });
+    created = true;
+  } else {
+    if (profile.firstName) user.first_name = profile.firstName;
+    if (profile.lastName) user.last_name = profile.lastName;
+    // Roles follow the provider's groups only when group mapping is configured
+    Object.assign(user, profile.roles);
+  }
+
+  return { user, created };
+};
+
+/**
+ * Find or create the User for a directory login
+ * @param {Object} profile - LdapService.authenticate() result
+ * @param {Object} ldap - LdapService
+ * @returns {Promise<{user?: Object, created?: boolean, error?: string}>}
+ */
+const provisionLdapUser = async (profile, ldap) => {
+  if (!profile.externalId) {
+    return { error: 'Directory entry has no username attribute. Contact an administrator.' };
+  }
+
+  const { roles } = ldap.resolveGroupAccess(profile.groups);
+  let user = await User.findOne({ external_id: profile.externalId });
+
+  if (!user) {
+    if (!ldap.config.auto_provision) {
+      return { error: 'No account exists for this user. Contact an administrator.' };
+    }
+    if (!profile.email) {
+      return { error: 'Directory entry has no email address. Contact an administrator.' };
+    }
+    if (await User.exists({ email: profile.email })) {
+      return { error: 'An account with this email already exists. Contact an administrator.' };
+    }
+
+    user = await User.create({
+      id: await User.getNextId(),
+      username: await uniqueUsername(profile.username),
+      email: profile.email,
+      // Never used: directory accounts authenticate by LDAP bind
+      password: crypto.randomBytes(32).toString('hex'),
+      first_name: profile.firstName,
+      last_name: profile.lastName,
+      auth_provider: 'ldap',
+      external_id: profile.externalId,
+      ...roles
+    });
+    return { user, created: true };
+  }
+
+  if (profile.firstName) user.first_name = profile.firstName;
+  if (profile.lastName) user.last_name = profile.lastName;
+  Object.assign(user, roles);
+  return { user, created: false };
+};
+
+/**
+ * Login through the directory; directory groups also refresh roles and project memberships
+ */
+const loginWithLdap = async (req, res, login, password) => {
+  const ldap = getLdapService();
+
+  let profile;
+  try {
+    profile = await ldap.authenticate(login, password);
+  } catch (error) {
+    logger.error(`[Auth] LDAP error: ${error.message}`);
+    return response.serverError(res, 'Directory server unavailable, please try again later');
+  }
+  if (!profile) {
+    return response.unauthorized(res, 'Invalid credentials');
+  }
+
+  const { user, created, error } = await provisionLdapUser(profile, ldap);
+  if (error) {
+    logger.warn(`[Auth] LDAP login refused for ${profile.username || login}: ${error}`);
+    return response.unauthorized(res, error);
+  }
+  if (!user.is_active) {
+    return response.unauthorized(res, 'Account is disabled');
+  }
+
+  // Persist provisioning and role changes, then refresh project memberships
+  await user.save();
+
+  try {
+    await ldap.applyMemberships(user.id, profile.groups);
+  } catch (err) {
+    logger.error(`[Auth] LDAP membership sync failed for ${user.username}: ${err.message}`);
+  }
+
+  if (created) {
+    logger.info(`[Auth] User provisioned via LDAP: ${user.username}`);
+    const auditReq = { ip: req.ip, user: { id: user.id, username: user.username } };
+    auditLog(auditReq, 'register', { resourceType: 'user', resourceId: user.id, details: `User provisioned via LDAP: ${user.username}` });
+  }
+
+  if (user.totp_enabled) {
+    return sendTotpChallenge(res, user);
+  }
+  return completeLogin(req, res, user, 'LDAP');
+};
+
 /**
  * Register new user
  * POST /api/auth/register
@@ -117,7 +362,13 @@ exports.login = async (req, res) => {
     // Find user by email (include password for comparison)
     const user = await User.findOne({ email: email.toLowerCase() }).select('+password');
 
-    if (!user) {
+    // Unknown users and directory accounts authenticate against LDAP when it is enabled
+    if ((!user || user.auth_provider === 'ldap') && getLdapService().enabled) {
+      return loginWithLdap(req, res, email.toLowerCase(), password);
+    }
+
+    // Single sign-on and directory accounts never sign in with a local password
+    if (!user || user.auth_provider !== 'local') {
       return response.unauthorized(res, 'Invalid credentials');
     }
 
@@ -131,28 +382,10 @@ exports.login = async (req, res) => {
       return response.unauthorized(res, 'Account is disabled');
     }
 
-    // Update last login
-    user.last_login = new Date();
-    await user.save();
-
-    // Generate token and set HttpOnly cookie
-    const token = user.generateAuthToken();
-    setAuthCookie(res, token);
-
-    logger.info(`[Auth] User logged in: ${user.email}`);
-    auditLog(req, 'login', { resourceType: 'user', resourceId: user.id, details: `Login: ${user.email}` });
-
-    return response.successData(res, {
-      user: {
-        id: user.id,
-        username: user.username,
-        email: user.email,
-        firstName: user.first_name,
-        lastName: user.last_name,
-        isStaff: user.is_staff,
-        isSuperuser: user.is_superuser
-      }
-    });
+    if (user.totp_enabled) {
+      return sendTotpChallenge(res, user);
+    }
+    return completeLogin(req, res, user);
   } catch (error) {
     logger.error('[Auth] Login error:', error);
     return response.serverError(res, error.message);
@@ -186,7 +419,8 @@ exports.getCurrentUser = async (req, res) => {
       clusterUsername: user.cluster_username || '',
       clusterConnected: user.cluster_connected || false,
       clusterEnabled: user.cluster_enabled || false,
-      clusterSshKeySet: !!user.cluster_ssh_key
+      clusterSshKeySet: !!user.cluster_ssh_key,
+      twoFactorSetupRequired: !user.totp_enabled && totp.isTotpRequired(user)
     });
   } catch (error) {
     logger.error('[Auth] getCurrentUser error:', error);
@@ -542,6 +776,323 @@ exports.logout = (req, res) => {
   }
 };
 
+/**
+ * Second login step for accounts with 2FA: authenticator or recovery code
+ * POST /api/auth/login/2fa
+ */
+exports.loginTotp = async (req, res) => {
+  try {
+    const { challengeToken, code } = req.body;
+
+    let challenge;
+    try {
+      challenge = jwt.verify(challengeToken, getTotpChallengeKey());
+    } catch (err) {
+      return response.unauthorized(res, TOTP_CHALLENGE_EXPIRED);
+    }
+    if (challenge.purpose !== 'totp') {
+      return response.unauthorized(res, TOTP_CHALLENGE_EXPIRED);
+    }
+
+    const user = await User.findOne({ id: parseInt(challenge.sub, 10) })
+      .select('+totp_secret +totp_last_step +totp_recovery_codes');
+    if (!user || !user.is_active || !user.totp_enabled) {
+      return response.unauthorized(res, TOTP_CHALLENGE_EXPIRED);
+    }
+
+    const method = verifySecondFactor(user, code);
+    if (!method) {
+      logger.warn(`[Auth] Invalid 2FA code for ${user.email}`);
+      return response.unauthorized(res, 'Invalid authentication code');
+    }
+    if (method === 'recovery') {
+      logger.warn(`[Auth] Recovery code used by ${user.email}, ${user.totp_recovery_codes.length} left`);
+    }
+
+    return completeLogin(req, res, user, method === 'recovery' ? 'recovery code' : '2FA');
+  } catch (error) {
+    logger.error('[Auth] loginTotp error:', error);
+    return response.serverError(res, error.message);
+  }
+};
+
+/**
+ * Two-factor authentication status of the current user
+ * GET /api/auth/2fa
+ */
+exports.getTotpStatus = async (req, res) => {
+  try {
+    const user = await User.findOne({ id: req.user.id }).select('+totp_recovery_codes').lean();
+    if (!user) {
+      return response.notFound(res, 'User not found');
+    }
+
+    return response.successData(res, {
+      // Directory accounts have no local password to confirm a disable with
+      passwordRequired: (user.auth_provider || 'local') === 'local',
+      enabled: !!user.totp_enabled,
+      required: totp.isTotpRequired(user),
+      enabledAt: user.totp_enabled_at || null,
+      recoveryCodesRemaining: (user.totp_recovery_codes || []).length
+    });
+  } catch (error) {
+    logger.error('[Auth] getTotpStatus error:', error);
+    return response.serverError(res, error.message);
+  }
+};
+
+/**
+ * Start enrollment: a new secret, its otpauth:// URI and a QR code of it.
+ * Nothing changes until the first code is confirmed with POST /2fa/enable.
+ * POST /api/auth/2fa/setup
+ */
+exports.setupTotp = async (req, res) => {
+  try {
+    const user = await User.findOne({ id: req.user.id });
+    if (!user) {
+      return response.notFound(res, 'User not found');
+    }
+    if (user.totp_enabled) {
+      return response.conflict(res, 'Two-factor authentication is already enabled');
+    }
+
+    const secret = totp.generateSecret();
+    user.totp_pending_secret = encryptField(secret);
+    await user.save();
+
+    const otpauthUrl = totp.provisioningUri({ secret, account: user.email, issuer: settings.TOTP_ISSUER });
+    const qrCode = await QRCode.toDataURL(otpauthUrl, { margin: 1, width: 220 });
+
+    return response.successData(res, { secret, otpauthUrl, qrCode });
+  } catch (error) {
+    logger.error('[Auth] setupTotp error:', error);
+    return response.serverError(res, error.message);
+  }
+};
+
+/**
+ * Finish enrollment with a code from the app; returns the recovery codes (shown once)
+ * POST /api/auth/2fa/enable
+ */
+exports.enableTotp = async (req, res) => {
+  try {
+    const user = await User.findOne({ id: req.user.id }).select('+totp_pending_secret');
+    if (!user) {
+      return response.notFound(res, 'User not found');
+    }
+    if (user.totp_enabled) {
+      return response.conflict(res, 'Two-factor authentication is already enabled');
+    }
+    if (!user.totp_pending_secret) {
+      return response.badRequest(res, 'Start the setup first');
+    }
+
+    const secret = decryptField(user.totp_pending_secret);
+    const step = totp.verifyCode(secret, req.body.code);
+    if (step === null) {
+      return response.badRequest(res, 'Invalid authentication code');
+    }
+
+    const { codes, hashes } = totp.generateRecoveryCodes();
+    user.totp_enabled = true;
+    user.totp_secret = encryptField(secret);
+    user.totp_pending_secret = '';
+    user.totp_last_step = step;
+    user.totp_recovery_codes = hashes;
+    user.totp_enabled_at = new Date();
+    await user.save();
+
+    logger.info(`[Auth] 2FA enabled for ${user.username}`);
+    auditLog(req, 'totp_enable', { resourceType: 'user', resourceId: user.id });
+
+    return response.successData(res, { recoveryCodes: codes });
+  } catch (error) {
+    logger.error('[Auth] enableTotp error:', error);
+    return response.serverError(res, error.message);
+  }
+};
+
+/**
+ * Turn 2FA off; needs a current (or recovery) code and, for local accounts, the password
+ * POST /api/auth/2fa/disable
+ */
+exports.disableTotp = async (req, res) => {
+  try {
+    const { code, password } = req.body;
+
+    const user = await User.findOne({ id: req.user.id })
+      .select('+password +totp_secret +totp_last_step +totp_recovery_codes');
+    if (!user) {
+      return response.notFound(res, 'User not found');
+    }
+    if (!user.totp_enabled) {
+      return response.badRequest(res, 'Two-factor authentication is not enabled');
+    }
+    if (totp.isTotpRequired(user)) {
+      return response.forbidden(res, 'Two-factor authentication is required for your account');
+    }
+
+    // Wrong credentials are 400s here: a 401 would end the session in the frontend
+    if ((user.auth_provider || 'local') === 'local' && !(password && await user.comparePassword(password))) {
+      return response.badRequest(res, 'Password is incorrect');
+    }
+    if (!verifySecondFactor(user, code)) {
+      return response.badRequest(res, 'Invalid authentication code');
+    }
+
+    user.resetTotp();
+    await user.save();
+
+    logger.info(`[Auth] 2FA disabled for ${user.username}`);
+    auditLog(req, 'totp_disable', { resourceType: 'user', resourceId: user.id });
+
+    return response.success(res, { message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    logger.error('[Auth] disableTotp error:', error);
+    return response.serverError(res, error.message);
+  }
+};
+
+/**
+ * Replace the recovery codes; needs a current authenticator code
+ * POST /api/auth/2fa/recovery-codes
+ */
+exports.regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const user = await User.findOne({ id: req.user.id }).select('+totp_secret +totp_last_step');
+    if (!user) {
+      return response.notFound(res, 'User not found');
+    }
+    if (!user.totp_enabled) {
+      return response.badRequest(res, 'Two-factor authentication is not enabled');
+    }
+
+    const step = totp.verifyCode(decryptField(user.totp_secret), req.body.code, { lastStep: user.totp_last_step });
+    if (step === null) {
+      return response.badRequest(res, 'Invalid authentication code');
+    }
+
+    const { codes, hashes } = totp.generateRecoveryCodes();
+    user.totp_last_step = step;
+    user.totp_recovery_codes = hashes;
+    await user.save();
+
+    auditLog(req, 'totp_recovery_codes', { resourceType: 'user', resourceId: user.id });
+
+    return response.successData(res, { recoveryCodes: codes });
+  } catch (error) {
+    logger.error('[Auth] regenerateRecoveryCodes error:', error);
+    return response.serverError(res, error.message);
+  }
+};
+
+/**
+ * Single sign-on availability, for the login page
+ * GET /api/auth/oidc/config
+ */
+exports.getOidcConfig = async (req, res) => {
+  const oidc = getOidcService();
+  return response.successData(res, {
+    enabled: oidc.enabled,
+    providerName: oidc.enabled ? oidc.config.providerName : null
+  });
+};
+
+/**
+ * Start single sign-on: redirect to the identity provider
+ * GET /api/auth/oidc/login
+ */
+exports.oidcLogin = async (req, res) => {
+  const oidc = getOidcService();
+  if (!oidc.enabled) {
+    return response.notFound(res, 'Single sign-on is not enabled');
+  }
+
+  try {
+    const { url, state, nonce, codeVerifier } = await oidc.createAuthorization(getOidcRedirectUri(req));
+    const flow = jwt.sign({ state, nonce, codeVerifier }, settings.JWT_SECRET, { expiresIn: OIDC_STATE_MAX_AGE / 1000 });
+    res.cookie(OIDC_STATE_COOKIE, flow, { ...oidcStateCookieOptions(req), maxAge: OIDC_STATE_MAX_AGE });
+    return res.redirect(url);
+  } catch (error) {
+    logger.error(`[Auth] OIDC login error: ${error.message}`);
+    return res.redirect(`${getFrontendUrl()}/login?sso_error=${encodeURIComponent('Single sign-on is unavailable')}`);
+  }
+};
+
+/**
+ * Single sign-on callback: exchange the code, provision the user, set the auth cookie
+ * GET /api/auth/oidc/callback
+ */
+exports.oidcCallback = async (req, res) => {
+  const oidc = getOidcService();
+  const fail = (message) =>
+    res.redirect(`${getFrontendUrl()}/login?sso_error=${encodeURIComponent(message)}`);
+
+  if (!oidc.enabled) {
+    return response.notFound(res, 'Single sign-on is not enabled');
+  }
+
+  const flowCookie = req.cookies?.[OIDC_STATE_COOKIE];
+  res.clearCookie(OIDC_STATE_COOKIE, oidcStateCookieOptions(req));
+
+  try {
+    const { code, state, error, error_description: errorDescription } = req.query;
+    if (error) {
+      logger.warn(`[Auth] OIDC provider returned error: ${error}${errorDescription ? ` (${errorDescription})` : ''}`);
+      return fail(errorDescription || 'Sign-in was cancelled or refused');
+    }
+
+    let flow;
+    try {
+      flow = jwt.verify(flowCookie || '', settings.JWT_SECRET);
+    } catch {
+      return fail('Sign-in session expired, please try again');
+    }
+    if (!code || !state || state !== flow.state) {
+      return fail('Invalid sign-in response, please try again');
+    }
+
+    const tokens = await oidc.exchangeCode(code, flow.codeVerifier, getOidcRedirectUri(req));
+    const claims = await oidc.verifyIdToken(tokens.id_token, flow.nonce);
+    const profile = oidc.mapClaims(claims);
+
+    const { user, created, error: provisionError } = await provisionOidcUser(profile, oidc.config.autoProvision);
+    if (provisionError) {
+      logger.warn(`[Auth] OIDC login refused for ${profile.externalId}: ${provisionError}`);
+      return fail(provisionError);
+    }
+    if (!user.is_active) {
+      return fail('Account is disabled');
+    }
+
+    const auditReq = { ip: req.ip, user: { id: user.id, username: user.username } };
+    if (created) {
+      logger.info(`[Auth] User provisioned via SSO: ${user.username}`);
+      auditLog(auditReq, 'register', { resourceType: 'user', resourceId: user.id, details: `User provisioned via SSO: ${user.username}` });
+    }
+
+    // Same second step as password logins. The challenge goes in the URL fragment,
+    // which browsers never send to a server, so it stays out of access logs.
+    if (user.totp_enabled) {
+      await user.save();
+      return res.redirect(`${getFrontendUrl()}/login?sso=2fa#challenge=${encodeURIComponent(createTotpChallenge(user))}`);
+    }
+
+    user.last_login = new Date();
+    await user.save();
+
+    setAuthCookie(res, user.generateAuthToken());
+
+    logger.info(`[Auth] User logged in via SSO: ${user.email}`);
+    auditLog(auditReq, 'login', { resourceType: 'user', resourceId: user.id, details: `SSO login: ${user.email}` });
+
+    return res.redirect(`${getFrontendUrl()}/login?sso=success`);
+  } catch (error) {
+    logger.error(`[Auth] OIDC callback error: ${error.message}`);
+    return fail('Single sign-on failed');
+  }
+};
+
 /**
  * Forgot password - send reset email
  * POST /api/auth/forgot-password
@@ -557,8 +1108,9 @@ exports.forgotPassword = async (req, res) => {
       return response.success(res, { message: genericMsg });
     }
 
+    // Accounts that sign in elsewhere get no local password to fall back on
     const user = await User.findOne({ email: email.toLowerCase(), is_active: true });
-    if (!user) {
+    if (!user || user.auth_provider !== 'local') {
       return response.success(res, { message: genericMsg });
     }
 
@@ -578,8 +1130,7 @@ exports.forgotPassword = async (req, res) => {
     // Send reset email
     const emailService = getEmailService();
     if (emailService.enabled) {
-      const frontendUrl = (process.env.CORS_ORIGIN || 'http://localhost:3000').split(',')[0].trim();
-      const resetUrl = `${frontendUrl}/reset-password?token=${token}`;
+      const resetUrl = `${getFrontendUrl()}/reset-password?token=${token}`;
       await emailService.sendPasswordReset({
         to: user.email,
         resetUrl,
@@ -630,7 +1181,7 @@ exports.resetPassword = async (req, res) => {
 
     // Find user and update password
     const user = await User.findOne({ id: resetToken.user_id });
-    if (!user || !user.is_active) {
+    if (!user || !user.is_active || user.auth_provider !== 'local') {
       return response.badRequest(res, 'Invalid or expired reset token');
     }
 
@@ -0,0 +1,195 @@
+/**
+ * Cleanup Controller
+ *
+ * Gentle/harsh cleanup of intermediate files for a job or a whole project.
+ * Requests are dry runs unless the body sets dryRun: false.
+ */
+
+const logger = require('../utils/logger');
+const Job = require('../models/Job');
+const response = require('../utils/responseHelper');
+const auditLog = require('../utils/auditLogger');
+const { getBoolParam } = require('../utils/paramHelper');
+const { getProjectPath } = require('../utils/pathUtils');
+const { catalogOutputFiles } = require('../utils/pipelineMetadata');
+const { checkProjectAccess } = require('./projectMemberController');
+const { CLEANUP_RULES, JOB_STATUS } = require('../config/constants');
+const { CLEANUP_MODES, planJobCleanup, executeCleanup } = require('../services/jobCleanup');
+const { getStorageAccounting } = require('../services/storageAccounting');
+
+const formatGb = bytes => `${(bytes / 1024 ** 3).toFixed(2)} GB`;
+
+/**
+ * Parse { mode, dryRun } from the request body
+ * @returns {{mode: string, dryRun: boolean, error: string|null}}
+ */
+function parseCleanupOptions(body = {}) {
+  const mode = body.mode || 'gentle';
+  if (!CLEANUP_MODES.includes(mode)) {
+    return { error: `mode must be one of: ${CLEANUP_MODES.join(', ')}` };
+  }
+  return { mode, dryRun: getBoolParam(body, ['dryRun'], true), error: null };
+}
+
+/**
+ * Successful jobs are cataloged on completion, but older jobs may predate it.
+ * Catalog before planning so their outputs are protected.
+ */
+async function ensureCataloged(job) {
+  if (job.status !== JOB_STATUS.SUCCESS || (job.output_files || []).length > 0) {
+    return job;
+  }
+  await catalogOutputFiles(job);
+  return (await Job.findOne({ id: job.id }).lean()) || job;
+}
+
+/**
+ * Refresh the project's stored sizes after files were deleted
+ */
+function rescanStorage(project) {
+  getStorageAccounting().scanProject(project).catch(err => {
+    logger.warn(`[Cleanup] Storage rescan of ${project.id} failed: ${err.message}`);
+  });
+}
+
+/**
+ * Clean up one job
+ * POST /api/jobs/:jobId/cleanup
+ * Body: { mode: 'gentle'|'harsh', dryRun: true }
+ */
+exports.cleanupJob = async (req, res) => {
+  try {
+    const { mode, dryRun, error } = parseCleanupOptions(req.body);
+    if (error) {
+      return response.badRequest(res, error);
+    }
+
+    let job = await Job.findOne({ id: req.params.jobId }).lean();
+    if (!job) {
+      return response.notFound(res, 'Job not found');
+    }
+
+    const access = await checkProjectAccess(job.project_id, req.user, dryRun ? 'viewer' : 'editor');
+    if (!access.hasAccess) {
+      return response.forbidden(res, 'You do not have permission to clean up jobs in this project');
+    }
+
+    const project = access.project;
+    if (project.is_archived) {
+      return response.badRequest(res, 'Cannot clean up jobs in an archived project. Restore it first.');
+    }
+
+    if (!CLEANUP_RULES[job.job_type]) {
+      return response.badRequest(res, `${job.job_type} jobs have no intermediate files to clean`);
+    }
+
+    job = await ensureCataloged(job);
+    const plan = await planJobCleanup(job, mode);
+    if (plan.skipped) {
+      return response.conflict(res, `Cannot clean up ${job.job_name}: ${plan.skipped}`);
+    }
+
+    if (dryRun) {
+      return response.successData(res, { ...plan, dryRun });
+    }
+
+    const result = await executeCleanup(plan, getProjectPath(project));
+    auditLog(req, 'job_cleanup', {
+      resourceType: 'job',
+      resourceId: job.id,
+      details: `${mode} clean of ${job.job_type} (${job.job_name}): ${result.deletedFiles} files, ${formatGb(result.freedBytes)}`
+    });
+    if (result.deletedFiles > 0) {
+      rescanStorage(project);
+    }
+
+    return response.successData(res, { ...plan, dryRun, ...result });
+  } catch (error) {
+    logger.error('[Cleanup] Job cleanup error:', error);
+    return response.serverError(res, error.message);
+  }
+};
+
+/**
+ * Clean up every finished job of a project
+ * POST /api/projects/:projectId/cleanup
+ * Body: { mode: 'gentle'|'harsh', dryRun: true }
+ *
+ * Returns a per-job summary; jobs that cannot be cleaned are listed with a reason.
+ */
+exports.cleanupProject = async (req, res) => {
+  try {
+    const { mode, dryRun, error } = parseCleanupOptions(req.body);
+    if (error) {
+      return response.badRequest(res, error);
+    }
+
+    const access = await checkProjectAccess(req.params.projectId, req.user, dryRun ? 'viewer' : 'editor');
+    if (!access.hasAccess) {
+      return response.error(res, access.error, access.status);
+    }
+
+    const project = access.project;
+    if (project.is_archived) {
+      return response.badRequest(res, 'Cannot clean up an archived project. Restore it first.');
+    }
+
+    const jobs = await Job.find({ project_id: project.id }).sort({ created_at: 1 }).lean();
+    const projectPath = getProjectPath(project);
+    const summaries = [];
+    let totalBytes = 0;
+    let deletedFiles = 0;
+    let freedBytes = 0;
+    const errors = [];
+
+    for (const candidate of jobs.filter(j => CLEANUP_RULES[j.job_type])) {
+      const job = await ensureCataloged(candidate);
+      const children = jobs.filter(j => (j.input_job_ids || []).includes(job.id));
+      const plan = await planJobCleanup(job, mode, { children });
+
+      const summary = {
+        jobId: plan.jobId,
+        jobName: plan.jobName,
+        jobType: plan.jobType,
+        fileCount: plan.files.length,
+        totalBytes: plan.totalBytes,
+        keptFiles: plan.keptFiles,
+        skipped: plan.skipped
+      };
+      totalBytes += plan.totalBytes;
+
+      if (!dryRun && !plan.skipped && plan.files.length > 0) {
+        const result = await executeCleanup(plan, projectPath);
+        summary.deletedFiles = result.deletedFiles;
+        summary.freedBytes = result.freedBytes;
+        deletedFiles += result.deletedFiles;
+        freedBytes += result.freedBytes;
+        errors.push(...result.errors);
+      }
+      summaries.push(summary);
+    }
+
+    if (!dryRun) {
+      auditLog(req, 'project_cleanup', {
+        resourceType: 'project',
+        resourceId: project.id,
+        details: `${mode} clean of ${project.project_name}: ${deletedFiles} files, ${formatGb(freedBytes)}`
+      });
+      if (deletedFiles > 0) {
+        rescanStorage(project);
+      }
+    }
+
+    return response.successData(res, {
+      projectId: project.id,
+      mode,
+      dryRun,
+      totalBytes,
+      jobs: summaries,
+      ...(dryRun ? {} : { deletedFiles, freedBytes, errors })
+    });
+  } catch (error) {
+    logger.error('[Cleanup] Project cleanup error:', error);
+    return response.serverError(res, error.message);
+  }
+};
@@ -1,12 +1,13 @@
 /**
  * Cluster Controller
  *
- * Handles SLURM cluster configuration and status endpoints.
+ * Handles cluster configuration and status endpoints for the active batch
+ * scheduler (SLURM, PBS, or the fake local scheduler).
  */
 
-const { execCommand } = require('../utils/remoteExec');
 const logger = require('../utils/logger');
 const { getMonitor } = require('../services/slurmMonitor');
+const { getSchedulerTypes, getScheduler, getSchedulerType, setSchedulerType } = require('../services/schedulers');
 const Job = require('../models/Job');
 const response = require('../utils/responseHelper');
 const { JOB_STATUS } = require('../config/constants');
@@ -21,17 +22,18 @@ let clusterConfig = {
   mpiCommand: process.env.MPI_COMMAND || 'mpirun'
 };
 
+// The scheduler choice lives in the scheduler registry so submission and monitoring see it
+const getClusterConfig = () => ({ ...clusterConfig, scheduler: getSchedulerType() });
+
 /**
  * Get cluster status
  */
 exports.getStatus = async (req, res) => {
   try {
-    const monitor = getMonitor();
+    const scheduler = getScheduler();
 
-    // Check if SLURM is available
-    const slurmAvailable = await execCommand('sinfo', ['--version'])
-      .then(() => true)
-      .catch(() => false);
+    // Check if the scheduler's commands can be run
+    const slurmAvailable = await scheduler.isAvailable();
 
     // Get running job counts
     const runningJobs = await Job.countDocuments({ status: JOB_STATUS.RUNNING });
@@ -42,6 +44,10 @@ exports.getStatus = async (req, res) => {
         available: slurmAvailable,
         enabled: clusterConfig.slurmEnabled
       },
+      scheduler: {
+        type: scheduler.name,
+        name: scheduler.displayName
+      },
       jobs: {
         running: runningJobs,
         pending: pendingJobs
@@ -58,7 +64,7 @@ exports.getStatus = async (req, res) => {
 };
 
 /**
- * Get SLURM queue status
+ * Get scheduler queue status
  */
 exports.getQueueStatus = async (req, res) => {
   try {
@@ -73,14 +79,15 @@ exports.getQueueStatus = async (req, res) => {
 };
 
 /**
- * Get SLURM job details
+ * Get scheduler job details
  */
 exports.getJobDetails = async (req, res) => {
   try {
     const { slurmJobId } = req.params;
     const monitor = getMonitor();
 
-    const details = await monitor.getJobDetails(slurmJobId);
+    const job = await Job.findOne({ slurm_job_id: slurmJobId }).select('scheduler').lean();
+    const details = await monitor.getJobDetails(slurmJobId, job?.scheduler);
 
     if (!details) {
       return response.notFound(res, 'SLURM job not found');
@@ -94,7 +101,7 @@ exports.getJobDetails = async (req, res) => {
 };
 
 /**
- * Cancel a SLURM job
+ * Cancel a scheduler job
  */
 exports.cancelJob = async (req, res) => {
   try {
@@ -113,7 +120,7 @@ exports.cancelJob = async (req, res) => {
     }
 
     const monitor = getMonitor();
-    const success = await monitor.cancelJob(slurmJobId);
+    const success = await monitor.cancelJob(slurmJobId, job.scheduler);
 
     if (success) {
       // Update job status
@@ -125,6 +132,7 @@ exports.cancelJob = async (req, res) => {
           updated_at: new Date()
         }
       );
+      await monitor.cascadeToDependents(job, JOB_STATUS.CANCELLED);
 
       return response.success(res, { message: 'Job cancelled' });
     } else {
@@ -140,7 +148,7 @@ exports.cancelJob = async (req, res) => {
  * Get cluster configuration (admin only)
  */
 exports.getConfig = async (req, res) => {
-  return response.successData(res, clusterConfig);
+  return response.successData(res, { ...getClusterConfig(), availableSchedulers: getSchedulerTypes() });
 };
 
 /**
@@ -158,6 +166,7 @@ exports.updateConfig = async (req, res) => {
       slurmEnabled:      { type: 'boolean' },
       singularityImage:  { type: 'string' },
       mpiCommand:        { type: 'string' },
+      scheduler:         { type: 'string', enum: getSchedulerTypes() },
     };
 
     for (const [field, rules] of Object.entries(allowedFields)) {
@@ -166,11 +175,16 @@ exports.updateConfig = async (req, res) => {
       if (typeof val !== rules.type) {
         return response.badRequest(res, `${field} must be a ${rules.type}`);
       }
+      if (rules.enum && !rules.enum.includes(val)) {
+        return response.badRequest(res, `${field} must be one of: ${rules.enum.join(', ')}`);
+      }
       if (rules.type === 'number') {
         if (!Number.isFinite(val) || val < rules.min || val > rules.max) {
           return response.badRequest(res, `${field} must be between ${rules.min} and ${rules.max}`);
         }
         clusterConfig[field] = Math.floor(val);
+      } else if (field === 'scheduler') {
+        setSchedulerType(val);
       } else {
         clusterConfig[field] = val;
       }
@@ -178,7 +192,7 @@ exports.updateConfig = async (req, res) => {
 
     logger.info(`[Cluster] Config updated by user ${req.user.id}`);
 
-    return response.successData(res, clusterConfig);
+    return response.successData(res, getClusterConfig());
   } catch (error) {
     logger.error(`[Cluster] Update config error: ${error.message}`);
     return response.serverError(res, 'Failed to update configuration');
@@ -186,44 +200,11 @@ exports.updateConfig = async (req, res) => {
 };
 
 /**
- * Get available SLURM partitions
+ * Get available partitions (queues) of the active scheduler
  */
 exports.getPartitions = async (req, res) => {
   try {
-    const partitions = await execCommand('sinfo', ['--format=%P|%a|%D|%t', '--noheader'])
-      .then(({ stdout }) => {
-        const lines = stdout.trim().split('\n').filter(l => l);
-        const partitionMap = {};
-
-        for (const line of lines) {
-          const [name, avail, nodes, state] = line.split('|').map(s => s.trim());
-          const partName = name.replace('*', ''); // Remove default marker
-
-          if (!partitionMap[partName]) {
-            partitionMap[partName] = {
-              name: partName,
-              isDefault: name.includes('*'),
-              available: avail === 'up',
-              nodes: { total: 0, idle: 0, allocated: 0, down: 0 }
-            };
-          }
-
-          const nodeCount = parseInt(nodes) || 0;
-          partitionMap[partName].nodes.total += nodeCount;
-
-          if (state === 'idle') {
-            partitionMap[partName].nodes.idle += nodeCount;
-          } else if (state === 'alloc' || state === 'mix') {
-            partitionMap[partName].nodes.allocated += nodeCount;
-          } else if (state === 'down' || state === 'drain') {
-            partitionMap[partName].nodes.down += nodeCount;
-          }
-        }
-
-        return Object.values(partitionMap);
-      })
-      .catch(() => []);
-
+    const partitions = await getScheduler().getPartitions();
     return response.successData(res, partitions);
   } catch (error) {
     logger.error(`[Cluster] Get partitions error: ${error.message}`);
@@ -14,6 +14,7 @@ const { getProjectPath } = require('../utils/pathUtils');
 const { frameToPng } = require('../utils/mrcParser');
 const { JOB_STATUS, IMPORT_NODE_TYPES } = require('../config/constants');
 const response = require('../utils/responseHelper');
+const { tokenAllowsProject } = require('../utils/apiTokens');
 
 /**
  * Compute min, max, mean of a numeric array in a single pass.
@@ -35,8 +36,10 @@ const arrayStats = (arr) => {
 /**
  * Get job and validate access
  * Supports lookup by: MongoDB id, job_name, or _id
+ * @param {string} jobId
+ * @param {Object} user - req.user; its access token must cover the job's project
  */
-const getJobWithAccess = async (jobId, userId) => {
+const getJobWithAccess = async (jobId, user) => {
   // Try multiple lookup strategies
   let job = await Job.findOne({ id: jobId });
 
@@ -53,6 +56,9 @@ const getJobWithAccess = async (jobId, userId) => {
   if (!job) {
     return { error: 'Job not found', status: 404 };
   }
+  if (!tokenAllowsProject(user, job.project_id)) {
+    return { error: 'Access token is not valid for this project', status: 403 };
+  }
   return { job };
 };
 
@@ -150,7 +156,7 @@ exports.getMotionResults = async (req, res) => {
       return response.badRequest(res, 'job_id is required');
     }
 
-    const result = await getJobWithAccess(jobId, req.user.id);
+    const result = await getJobWithAccess(jobId, req.user);
     if (result.error) {
       return response.error(res, result.error, result.status);
     }
@@ -276,7 +282,7 @@ exports.getMotionLiveStats = async (req, res) => {
       return response.badRequest(res, 'job_id is required');
     }
 
-    const result = await getJobWithAccess(jobId, req.user.id);
+    const result = await getJobWithAccess(jobId, req.user);
     if (result.error) {
       return response.error(res, result.error, result.status);
     }
@@ -365,7 +371,7 @@ exports.getMicrographShifts = async (req, res) => {
       return response.badRequest(res, 'job_id and micrograph are required');
     }
 
-    const result = await getJobWithAccess(jobId, req.user.id);
+    const result = await getJobWithAccess(jobId, req.user);
     if (result.error) {
       return response.error(res, result.error, result.status);
     }
@@ -465,7 +471,7 @@ exports.getMicrographImage = async (req, res) => {
       return response.badRequest(res, 'job_id and micrograph are required');
     }
 
-    const result = await getJobWithAccess(jobId, req.user.id);
+    const result = await getJobWithAccess(jobId, req.user);
     if (result.error) {
       return response.error(res, result.error, result.status);
     }
@@ -599,7 +605,7 @@ exports.getMicrographImage = async (req, res) => {
 exports.getMotionDashboard = async (req, res) => {
   try {
     const { jobId } = req.params;
-    const result = await getJobWithAccess(jobId, req.user.id);
+    const result = await getJobWithAccess(jobId, req.user);
     if (result.error) {
       return response.error(res, result.error, result.status);
     }
@@ -654,7 +660,7 @@ exports.getMotionMicrographs = async (req, res) => {
     const { jobId } = req.params;
     const { offset = 0, limit = 50 } = req.query;
 
-    const result = await getJobWithAccess(jobId, req.user.id);
+    const result = await getJobWithAccess(jobId, req.user);
     if (result.error) {
       return response.error(res, result.error, result.status);
     }
@@ -693,7 +699,7 @@ exports.getMotionMicrographs = async (req, res) => {
 exports.getCtfDashboard = async (req, res) => {
   try {
     const { jobId } = req.params;
-    const result = await getJobWithAccess(jobId, req.user.id);
+    const result = await getJobWithAccess(jobId, req.user);
     if (result.error) {
       return response.error(res, result.error, result.status);
     }
@@ -754,7 +760,7 @@ exports.getCtfMicrographs = async (req, res) => {
     const { jobId } = req.params;
     const { offset = 0, limit = 50 } = req.query;
 
-    const result = await getJobWithAccess(jobId, req.user.id);
+    const result = await getJobWithAccess(jobId, req.user);
     if (result.error) {
       return response.error(res, result.error, result.status);
     }
@@ -795,7 +801,7 @@ exports.getCtfMicrographs = async (req, res) => {
 exports.getAutopickDashboard = async (req, res) => {
   try {
     const { jobId } = req.params;
-    const result = await getJobWithAccess(jobId, req.user.id);
+    const result = await getJobWithAccess(jobId, req.user);
     if (result.error) {
       return response.error(res, result.error, result.status);
     }
@@ -844,7 +850,7 @@ exports.getAutopickMicrographs = async (req, res) => {
     const { jobId } = req.params;
     const { offset = 0, limit = 50 } = req.query;
 
-    const result = await getJobWithAccess(jobId, req.user.id);
+    const result = await getJobWithAccess(jobId, req.user);
     if (result.error) {
       return response.error(res, result.error, result.status);
     }
@@ -893,7 +899,7 @@ exports.getAutopickMicrographs = async (req, res) => {
 exports.getExtractDashboard = async (req, res) => {
   try {
     const { jobId } = req.params;
-    const result = await getJobWithAccess(jobId, req.user.id);
+    const result = await getJobWithAccess(jobId, req.user);
     if (result.error) {
       return response.error(res, result.error, result.status);
     }
@@ -923,7 +929,7 @@ exports.getExtractDashboard = async (req, res) => {
 exports.getClass2dDashboard = async (req, res) => {
   try {
     const { jobId } = req.params;
-    const result = await getJobWithAccess(jobId, req.user.id);
+    const result = await getJobWithAccess(jobId, req.user);
     if (result.error) {
       return response.error(res, result.error, result.status);
     }
@@ -982,7 +988,7 @@ exports.getClass2dClasses = async (req, res) => {
     const { jobId } = req.params;
     const { iteration } = req.query;
 
-    const result = await getJobWithAccess(jobId, req.user.id);
+    const result = await getJobWithAccess(jobId, req.user);
     if (result.error) {
       return response.error(res, result.error, result.status);
     }
@@ -1033,7 +1039,7 @@ exports.getClass2dClasses = async (req, res) => {
 exports.getImportDashboard = async (req, res) => {
   try {
     const { jobId } = req.params;
-    const result = await getJobWithAccess(jobId, req.user.id);
+    const result = await getJobWithAccess(jobId, req.user);
     if (result.error) {
       return response.error(res, result.error, result.status);
     }
@@ -1072,7 +1078,7 @@ exports.getImportDashboard = async (req, res) => {
 exports.getJobOutput = async (req, res) => {
   try {
     const { jobId } = req.params;
-    const result = await getJobWithAccess(jobId, req.user.id);
+    const result = await getJobWithAccess(jobId, req.user);
     if (result.error) {
       return response.error(res, result.error, result.status);
     }
@@ -1109,7 +1115,7 @@ exports.getJobLogs = async (req, res) => {
     const { jobId } = req.params;
     const { lines = 100 } = req.query;
 
-    const result = await getJobWithAccess(jobId, req.user.id);
+    const result = await getJobWithAccess(jobId, req.user);
     if (result.error) {
       return response.error(res, result.error, result.status);
     }
@@ -1162,7 +1168,7 @@ exports.getCachedThumbnail = async (req, res) => {
     const { jobId, filename } = req.params;
     logger.info(`[Dashboard] Thumbnail requested: job=${jobId}, file=${filename}`);
 
-    const result = await getJobWithAccess(jobId, req.user.id);
+    const result = await getJobWithAccess(jobId, req.user);
     if (result.error) {
       logger.warn(`[Dashboard] Thumbnail job not found: ${jobId}`);
       return response.error(res, result.error, result.status);
@@ -1193,7 +1199,7 @@ exports.listCachedThumbnails = async (req, res) => {
   try {
     const { jobId } = req.params;
 
-    const result = await getJobWithAccess(jobId, req.user.id);
+    const result = await getJobWithAccess(jobId, req.user);
     if (result.error) {
       return response.error(res, result.error, result.status);
     }
@@ -1223,7 +1229,7 @@ exports.getCachedStats = async (req, res) => {
   try {
     const { jobId } = req.params;
 
-    const result = await getJobWithAccess(jobId, req.user.id);
+    const result = await getJobWithAccess(jobId, req.user);
     if (result.error) {
       return response.error(res, result.error, result.status);
     }
@@ -1264,7 +1270,7 @@ exports.getPostProcessStatus = async (req, res) => {
     const { jobId } = req.params;
     logger.info(`[Dashboard] PostProcess status requested for job: ${jobId}`);
 
-    const result = await getJobWithAccess(jobId, req.user.id);
+    const result = await getJobWithAccess(jobId, req.user);
     if (result.error) {
       logger.warn(`[Dashboard] Job not found: ${jobId}`);
       return response.error(res, result.error, result.status);
@@ -1311,7 +1317,7 @@ exports.getCtfResults = async (req, res) => {
       return response.badRequest(res, 'job_id is required');
     }
 
-    const result = await getJobWithAccess(jobId, req.user.id);
+    const result = await getJobWithAccess(jobId, req.user);
     if (result.error) {
       return response.error(res, result.error, result.status);
     }
@@ -1391,7 +1397,7 @@ exports.getCtfLiveStats = async (req, res) => {
       return response.badRequest(res, 'job_id is required');
     }
 
-    const result = await getJobWithAccess(jobId, req.user.id);
+    const result = await getJobWithAccess(jobId, req.user);
     if (result.error) {
       return response.error(res, result.error, result.status);
     }
@@ -1472,7 +1478,7 @@ exports.getCtfImage = async (req, res) => {
       return response.badRequest(res, 'job_id and micrograph are required');
     }
 
-    const result = await getJobWithAccess(jobId, req.user.id);
+    const result = await getJobWithAccess(jobId, req.user);
     if (result.error) {
       return response.error(res, result.error, result.status);
     }
@@ -1588,7 +1594,7 @@ exports.getCtfMicrographImage = async (req, res) => {
       return response.badRequest(res, 'job_id and micrograph are required');
     }
 
-    const result = await getJobWithAccess(jobId, req.user.id);
+    const result = await getJobWithAccess(jobId, req.user);
     if (result.error) {
       return response.error(res, result.error, result.status);
     }
@@ -1756,7 +1762,7 @@ exports.exportCtfSelection = async (req, res) => {
       return response.badRequest(res, 'No micrographs selected');
     }
 
-    const result = await getJobWithAccess(jobId, req.user.id);
+    const result = await getJobWithAccess(jobId, req.user);
     if (result.error) {
       logger.error(`[CTF Export] Job not found or access denied: ${jobId}`);
       return response.error(res, result.error, result.status);
@@ -1891,7 +1897,7 @@ exports.downloadCtfSelection = async (req, res) => {
       return response.badRequest(res, 'job_id and filename are required');
     }
 
-    const result = await getJobWithAccess(jobId, req.user.id);
+    const result = await getJobWithAccess(jobId, req.user);
     if (result.error) {
       return response.error(res, result.error, result.status);
     }
@@ -1929,7 +1935,7 @@ exports.generateThumbnails = async (req, res) => {
   try {
     const { jobId } = req.params;
 
-    const result = await getJobWithAccess(jobId, req.user.id);
+    const result = await getJobWithAccess(jobId, req.user);
     if (result.error) {
       return response.error(res, result.error, result.status);
     }
@@ -1976,7 +1982,7 @@ exports.getAutopickResults = async (req, res) => {
       return response.badRequest(res, 'job_id is required');
     }
 
-    const result = await getJobWithAccess(jobId, req.user.id);
+    const result = await getJobWithAccess(jobId, req.user);
     if (result.error) {
       return response.error(res, result.error, result.status);
     }
@@ -2144,7 +2150,7 @@ exports.getAutopickImage = async (req, res) => {
       return response.badRequest(res, 'job_id and micrograph are required');
     }
 
-    const result = await getJobWithAccess(jobId, req.user.id);
+    const result = await getJobWithAccess(jobId, req.user);
     if (result.error) {
       return response.error(res, result.error, result.status);
     }
@@ -2317,7 +2323,7 @@ exports.getAutopickLiveStats = async (req, res) => {
       return response.badRequest(res, 'job_id is required');
     }
 
-    const result = await getJobWithAccess(jobId, req.user.id);
+    const result = await getJobWithAccess(jobId, req.user);
     if (result.error) {
       return response.error(res, result.error, result.status);
     }
@@ -2437,7 +2443,7 @@ exports.getExtractResults = async (req, res) => {
       return response.badRequest(res, 'job_id is required');
     }
 
-    const result = await getJobWithAccess(jobId, req.user.id);
+    const result = await getJobWithAccess(jobId, req.user);
     if (result.error) {
       return response.error(res, result.error, result.status);
     }
@@ -2491,7 +2497,7 @@ exports.getExtractParticlesImage = async (req, res) => {
       return response.badRequest(res, 'job_id is required');
     }
 
-    const result = await getJobWithAccess(jobId, req.user.id);
+    const result = await getJobWithAccess(jobId, req.user);
     if (result.error) {
       return response.error(res, result.error, result.status);
     }
@@ -2577,7 +2583,7 @@ exports.getExtractLiveStats = async (req, res) => {
       return response.badRequest(res, 'job_id is required');
     }
 
-    const result = await getJobWithAccess(jobId, req.user.id);
+    const result = await getJobWithAccess(jobId, req.user);
     if (result.error) {
       return response.error(res, result.error, result.status);
     }
@@ -2625,7 +2631,7 @@ exports.getClass2dResults = async (req, res) => {
       return response.badRequest(res, 'job_id is required');
     }
 
-    const result = await getJobWithAccess(jobId, req.user.id);
+    const result = await getJobWithAccess(jobId, req.user);
     if (result.error) {
       return response.error(res, result.error, result.status);
     }
@@ -2772,7 +2778,7 @@ exports.getClass2dClassesImage = async (req, res) => {
       return response.badRequest(res, 'job_id is required');
     }
 
-    const result = await getJobWithAccess(jobId, req.user.id);
+    const result = await getJobWithAccess(jobId, req.user);
     if (result.error) {
       return response.error(res, result.error, result.status);
     }
@@ -2866,7 +2872,7 @@ exports.getClass2dLiveStats = async (req, res) => {
       return response.badRequest(res, 'job_id is required');
     }
 
-    const result = await getJobWithAccess(jobId, req.user.id);
+    const result = await getJobWithAccess(jobId, req.user);
     if (result.error) {
       return response.error(res, result.error, result.status);
     }
@@ -2924,7 +2930,7 @@ exports.getManualSelectResults = async (req, res) => {
       return response.badRequest(res, 'job_id is required');
     }
 
-    const result = await getJobWithAccess(jobId, req.user.id);
+    const result = await getJobWithAccess(jobId, req.user);
     if (result.error) {
       return response.error(res, result.error, result.status);
     }
@@ -3005,7 +3011,7 @@ exports.getInitialModelResults = async (req, res) => {
       return response.badRequest(res, 'job_id is required');
     }
 
-    const result = await getJobWithAccess(jobId, req.user.id);
+    const result = await getJobWithAccess(jobId, req.user);
     if (result.error) {
       return response.error(res, result.error, result.status);
     }
@@ -3151,7 +3157,7 @@ exports.getInitialModelMrc = async (req, res) => {
       return response.badRequest(res, 'job_id is required');
     }
 
-    const result = await getJobWithAccess(jobId, req.user.id);
+    const result = await getJobWithAccess(jobId, req.user);
     if (result.error) {
       return response.error(res, result.error, result.status);
     }
@@ -3226,7 +3232,7 @@ exports.getInitialModelLiveStats = async (req, res) => {
       return response.badRequest(res, 'job_id is required');
     }
 
-    const result = await getJobWithAccess(jobId, req.user.id);
+    const result = await getJobWithAccess(jobId, req.user);
     if (result.error) {
       return response.error(res, result.error, result.status);
     }
@@ -3296,7 +3302,7 @@ exports.getClass3dResults = async (req, res) => {
       return response.badRequest(res, 'job_id is required');
     }
 
-    const result = await getJobWithAccess(jobId, req.user.id);
+    const result = await getJobWithAccess(jobId, req.user);
     if (result.error) {
       return response.error(res, result.error, result.status);
     }
@@ -3431,7 +3437,7 @@ exports.getClass3dMrc = async (req, res) => {
       return response.badRequest(res, 'job_id is required');
     }
 
-    const result = await getJobWithAccess(jobId, req.user.id);
+    const result = await getJobWithAccess(jobId, req.user);
     if (result.error) {
       return response.error(res, result.error, result.status);
     }
@@ -3480,7 +3486,7 @@ exports.getClass3dLiveStats = async (req, res) => {
       return response.badRequest(res, 'job_id is required');
     }
 
-    const result = await getJobWithAccess(jobId, req.user.id);
+    const result = await getJobWithAccess(jobId, req.user);
     if (result.error) {
       return response.error(res, result.error, result.status);
     }
@@ -3538,7 +3544,7 @@ exports.getAutoRefineResults = async (req, res) => {
       return response.badRequest(res, 'job_id is required');
     }
 
-    const result = await getJobWithAccess(jobId, req.user.id);
+    const result = await getJobWithAccess(jobId, req.user);
     if (result.error) {
       return response.error(res, result.error, result.status);
     }
@@ -3654,7 +3660,7 @@ exports.getAutoRefineMrc = async (req, res) => {
       return response.badRequest(res, 'job_id is required');
     }
 
-    const result = await getJobWithAccess(jobId, req.user.id);
+    const result = await getJobWithAccess(jobId, req.user);
     if (result.error) {
       return response.error(res, result.error, result.status);
     }
@@ -3740,7 +3746,7 @@ exports.getAutoRefineLiveStats = async (req, res) => {
       return response.badRequest(res, 'job_id is required');
     }
 
-    const result = await getJobWithAccess(jobId, req.user.id);
+    const result = await getJobWithAccess(jobId, req.user);
     if (result.error) {
       return response.error(res, result.error, result.status);
     }
@@ -3808,7 +3814,7 @@ exports.getAutoRefineFsc = async (req, res) => {
       return response.badRequest(res, 'job_id is required');
     }
 
-    const result = await getJobWithAccess(jobId, req.user.id);
+    const result = await getJobWithAccess(jobId, req.user);
     if (result.error) {
       return response.error(res, result.error, result.status);
     }
@@ -3889,7 +3895,7 @@ exports.getMaskCreateResults = async (req, res) => {
       return response.badRequest(res, 'job_id is required');
     }
 
-    const result = await getJobWithAccess(jobId, req.user.id);
+    const result = await getJobWithAccess(jobId, req.user);
     if (result.error) {
       return response.error(res, result.error, result.status);
     }
@@ -3932,7 +3938,7 @@ exports.getMaskCreateMrc = async (req, res) => {
       return response.badRequest(res, 'job_id is required');
     }
 
-    const result = await getJobWithAccess(jobId, req.user.id);
+    const result = await getJobWithAccess(jobId, req.user);
     if (result.error) {
       return response.error(res, result.error, result.status);
     }
@@ -3991,7 +3997,7 @@ exports.getCtfRefineResults = async (req, res) => {
       return response.badRequest(res, 'job_id is required');
     }
 
-    const result = await getJobWithAccess(jobId, req.user.id);
+    const result = await getJobWithAccess(jobId, req.user);
     if (result.error) {
       return response.error(res, result.error, result.status);
     }
@@ -4164,7 +4170,7 @@ exports.getPolishResults = async (req, res) => {
       return response.badRequest(res, 'job_id is required');
     }
 
-    const result = await getJobWithAccess(jobId, req.user.id);
+    const result = await getJobWithAccess(jobId, req.user);
     if (result.error) {
       return response.error(res, result.error, result.status);
     }
@@ -4238,7 +4244,7 @@ exports.getSubtractResults = async (req, res) => {
       return response.badRequest(res, 'job_id is required');
     }
 
-    const result = await getJobWithAccess(jobId, req.user.id);
+    const result = await getJobWithAccess(jobId, req.user);
     if (result.error) {
       return response.error(res, result.error, result.status);
     }
@@ -4308,7 +4314,7 @@ exports.getJoinStarResults = async (req, res) => {
       return response.badRequest(res, 'job_id is required');
     }
 
-    const result = await getJobWithAccess(jobId, req.user.id);
+    const result = await getJobWithAccess(jobId, req.user);
     if (result.error) {
       return response.error(res, result.error, result.status);
     }
@@ -4403,7 +4409,7 @@ exports.getPostProcessResults = async (req, res) => {
       return response.badRequest(res, 'job_id is required');
     }
 
-    const result = await getJobWithAccess(jobId, req.user.id);
+    const result = await getJobWithAccess(jobId, req.user);
     if (result.error) {
       return response.error(res, result.error, result.status);
     }
@@ -4471,7 +4477,7 @@ exports.getPostProcessMrc = async (req, res) => {
       return response.badRequest(res, 'job_id is required');
     }
 
-    const result = await getJobWithAccess(jobId, req.user.id);
+    const result = await getJobWithAccess(jobId, req.user);
     if (result.error) {
       return response.error(res, result.error, result.status);
     }
@@ -4505,7 +4511,7 @@ exports.getPostProcessFsc = async (req, res) => {
       return response.badRequest(res, 'job_id is required');
     }
 
-    const result = await getJobWithAccess(jobId, req.user.id);
+    const result = await getJobWithAccess(jobId, req.user);
     if (result.error) {
       return response.error(res, result.error, result.status);
     }
@@ -4551,7 +4557,7 @@ exports.getLocalResResults = async (req, res) => {
       return response.badRequest(res, 'job_id is required');
     }
 
-    const result = await getJobWithAccess(jobId, req.user.id);
+    const result = await getJobWithAccess(jobId, req.user);
     if (result.error) {
       return response.error(res, result.error, result.status);
     }
@@ -4630,7 +4636,7 @@ exports.getLocalResMrc = async (req, res) => {
       return response.badRequest(res, 'job_id is required');
     }
 
-    const result = await getJobWithAccess(jobId, req.user.id);
+    const result = await getJobWithAccess(jobId, req.user);
     if (result.error) {
       return response.error(res, result.error, result.status);
     }
@@ -4668,7 +4674,7 @@ exports.getModelAngeloResults = async (req, res) => {
       return response.badRequest(res, 'job_id is required');
     }
 
-    const result = await getJobWithAccess(jobId, req.user.id);
+    const result = await getJobWithAccess(jobId, req.user);
     if (result.error) {
       return response.error(res, result.error, result.status);
     }
@@ -4718,7 +4724,7 @@ exports.getModelAngeloPdb = async (req, res) => {
       return response.badRequest(res, 'job_id is required');
     }
 
-    const result = await getJobWithAccess(jobId, req.user.id);
+    const result = await getJobWithAccess(jobId, req.user);
     if (result.error) {
       return response.error(res, result.error, result.status);
     }
@@ -4759,7 +4765,7 @@ exports.getDynamightResults = async (req, res) => {
       return response.badRequest(res, 'job_id is required');
     }
 
-    const result = await getJobWithAccess(jobId, req.user.id);
+    const result = await getJobWithAccess(jobId, req.user);
     if (result.error) {
       return response.error(res, result.error, result.status);
     }
@@ -4806,7 +4812,7 @@ exports.getDynamightMrc = async (req, res) => {
       return response.badRequest(res, 'job_id is required');
     }
 
-    const result = await getJobWithAccess(jobId, req.user.id);
+    const result = await getJobWithAccess(jobId, req.user);
     if (result.error) {
       return response.error(res, result.error, result.status);
     }
@@ -4849,7 +4855,7 @@ exports.getImportResults = async (req, res) => {
       return response.badRequest(res, 'job_id is required');
     }
 
-    const result = await getJobWithAccess(jobId, req.user.id);
+    const result = await getJobWithAccess(jobId, req.user);
     if (result.error) {
       return response.error(res, result.error, result.status);
     }
@@ -5010,7 +5016,7 @@ exports.getClass2dIndividualImages = async (req, res) => {
 
     // Method 1: Look up by job_id
     if (jobId) {
-      const result = await getJobWithAccess(jobId, req.user.id);
+      const result = await getJobWithAccess(jobId, req.user);
       if (result.error) {
         return response.error(res, result.error, result.status);
       }
@@ -5538,7 +5544,7 @@ exports.getInitialModelSlices = async (req, res) => {
       return response.badRequest(res, 'job_id is required');
     }
 
-    const result = await getJobWithAccess(jobId, req.user.id);
+    const result = await getJobWithAccess(jobId, req.user);
     if (result.error) {
       return response.error(res, result.error, result.status);
     }
@@ -5702,7 +5708,7 @@ exports.getCtfRefinePdf = async (req, res) => {
       return response.badRequest(res, 'job_id is required');
     }
 
-    const result = await getJobWithAccess(jobId, req.user.id);
+    const result = await getJobWithAccess(jobId, req.user);
     if (result.error) {
       return response.error(res, result.error, result.status);
     }
@@ -5736,7 +5742,7 @@ exports.getPolishOutput = async (req, res) => {
       return response.badRequest(res, 'job_id is required');
     }
 
-    const result = await getJobWithAccess(jobId, req.user.id);
+    const result = await getJobWithAccess(jobId, req.user);
     if (result.error) {
       return response.error(res, result.error, result.status);
     }
@@ -5787,7 +5793,7 @@ exports.getImportLogs = async (req, res) => {
       return response.badRequest(res, 'Job ID is required');
     }
 
-    const result = await getJobWithAccess(jobId, req.user.id);
+    const result = await getJobWithAccess(jobId, req.user);
     if (result.error) {
       return response.error(res, result.error, result.status);
     }
@@ -5830,7 +5836,7 @@ exports.getMotionLogs = async (req, res) => {
       return response.badRequest(res, 'Job ID is required');
     }
 
-    const result = await getJobWithAccess(jobId, req.user.id);
+    const result = await getJobWithAccess(jobId, req.user);
     if (result.error) {
       return response.error(res, result.error, result.status);
     }
@@ -5868,7 +5874,7 @@ exports.getMovieFrame = async (req, res) => {
       return response.badRequest(res, 'movie path is required');
     }
 
-    const result = await getJobWithAccess(jobId, req.user.id);
+    const result = await getJobWithAccess(jobId, req.user);
     if (result.error) {
       return response.error(res, result.error, result.status);
     }
@@ -5936,7 +5942,7 @@ exports.getImportMrc = async (req, res) => {
       return response.badRequest(res, 'file path is required');
     }
 
-    const result = await getJobWithAccess(jobId, req.user.id);
+    const result = await getJobWithAccess(jobId, req.user);
     if (result.error) {
       return response.error(res, result.error, result.status);
     }
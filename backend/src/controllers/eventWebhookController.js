@@ -0,0 +1,273 @@
+/**
+ * Event Webhook Controller
+ *
+ * Generic outgoing webhooks of a project and their delivery log. Managed by
+ * project admins; delivery itself lives in services/eventWebhookService.js.
+ */
+
+const logger = require('../utils/logger');
+const EventWebhook = require('../models/EventWebhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const response = require('../utils/responseHelper');
+const auditLog = require('../utils/auditLogger');
+const { encryptField } = require('../utils/crypto');
+const { checkProjectAccess } = require('./projectMemberController');
+const { getEventWebhookService, generateSecret } = require('../services/eventWebhookService');
+
+const MAX_WEBHOOKS_PER_PROJECT = 10;
+const MAX_DELIVERIES_LISTED = 100;
+
+/**
+ * Webhook as returned by the API (never the secret)
+ */
+const formatWebhook = (webhook) => ({
+  id: webhook.id,
+  url: webhook.url,
+  description: webhook.description || '',
+  events: webhook.events,
+  enabled: webhook.enabled,
+  lastDeliveryAt: webhook.last_delivery_at,
+  lastResponseCode: webhook.last_response_code,
+  lastDeliveryOk: webhook.last_delivery_ok,
+  createdAt: webhook.created_at
+});
+
+const formatDelivery = (delivery) => {
+  const attempts = (delivery.attempts || []).map(a => ({
+    attemptedAt: a.attempted_at,
+    responseCode: a.response_code,
+    error: a.error,
+    durationMs: a.duration_ms
+  }));
+  const last = attempts[attempts.length - 1] || null;
+
+  return {
+    id: delivery.id,
+    eventId: delivery.payload?.id || null,
+    event: delivery.event,
+    status: delivery.status,
+    responseCode: last ? last.responseCode : null,
+    error: last ? last.error : null,
+    attempts,
+    maxAttempts: delivery.max_attempts,
+    nextAttemptAt: delivery.status === 'pending' ? delivery.next_attempt_at : null,
+    responseBody: delivery.response_body || '',
+    payload: delivery.payload,
+    createdAt: delivery.created_at,
+    completedAt: delivery.completed_at
+  };
+};
+
+/**
+ * Check the caller is a project admin; responds and returns null otherwise
+ */
+const requireProjectAdmin = async (req, res) => {
+  const access = await checkProjectAccess(req.params.projectId, req.user, 'admin');
+  if (!access.hasAccess) {
+    if (access.status === 404) {
+      response.notFound(res, access.error);
+    } else {
+      response.forbidden(res, 'Only project owner or admin can manage webhooks');
+    }
+    return null;
+  }
+  return access;
+};
+
+/**
+ * List the project's webhooks
+ * GET /api/projects/:projectId/webhooks
+ */
+exports.listWebhooks = async (req, res) => {
+  try {
+    if (!await requireProjectAdmin(req, res)) return undefined;
+
+    const webhooks = await EventWebhook.find({ project_id: req.params.projectId }).sort({ created_at: 1 }).lean();
+    return response.successData(res, webhooks.map(formatWebhook));
+  } catch (error) {
+    logger.error('[EventWebhooks] listWebhooks error:', error);
+    return response.serverError(res, error.message);
+  }
+};
+
+/**
+ * Create a webhook; its signing secret is only returned in this response
+ * POST /api/projects/:projectId/webhooks
+ */
+exports.createWebhook = async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    if (!await requireProjectAdmin(req, res)) return undefined;
+
+    const count = await EventWebhook.countDocuments({ project_id: projectId });
+    if (count >= MAX_WEBHOOKS_PER_PROJECT) {
+      return response.badRequest(res, `A project can have at most ${MAX_WEBHOOKS_PER_PROJECT} webhooks`);
+    }
+
+    const { url, description, events, enabled } = req.body;
+    const secret = generateSecret();
+    const webhook = await EventWebhook.create({
+      id: EventWebhook.generateId(),
+      project_id: projectId,
+      url,
+      description,
+      events,
+      enabled,
+      secret: encryptField(secret),
+      created_by_id: req.user.id
+    });
+
+    logger.info(`[EventWebhooks] ${req.user.username} added webhook ${webhook.id} to project ${projectId}`);
+    auditLog(req, 'webhook_create', {
+      resourceType: 'project',
+      resourceId: projectId,
+      details: `${url} (${events.join(', ')})`
+    });
+
+    return response.created(res, {
+      data: { ...formatWebhook(webhook), secret }
+    });
+  } catch (error) {
+    logger.error('[EventWebhooks] createWebhook error:', error);
+    return response.serverError(res, error.message);
+  }
+};
+
+/**
+ * Update a webhook, optionally rotating its secret (returned once)
+ * PUT /api/projects/:projectId/webhooks/:webhookId
+ */
+exports.updateWebhook = async (req, res) => {
+  try {
+    const { projectId, webhookId } = req.params;
+    if (!await requireProjectAdmin(req, res)) return undefined;
+
+    const { rotateSecret, ...fields } = req.body;
+    const update = {};
+    for (const key of ['url', 'description', 'events', 'enabled']) {
+      if (fields[key] !== undefined) update[key] = fields[key];
+    }
+
+    let secret;
+    if (rotateSecret) {
+      secret = generateSecret();
+      update.secret = encryptField(secret);
+    }
+
+    const webhook = await EventWebhook.findOneAndUpdate(
+      { id: webhookId, project_id: projectId },
+      { $set: update },
+      { new: true }
+    ).lean();
+    if (!webhook) {
+      return response.notFound(res, 'Webhook not found');
+    }
+
+    if (update.enabled === false) {
+      // Pending retries stop with the webhook
+      await WebhookDelivery.updateMany(
+        { webhook_id: webhookId, status: 'pending' },
+        { $set: { status: 'failed', next_attempt_at: null, completed_at: new Date() } }
+      );
+    }
+
+    const changed = Object.keys(update).filter(key => key !== 'secret');
+    if (rotateSecret) changed.push('secret rotated');
+    auditLog(req, 'webhook_update', {
+      resourceType: 'project',
+      resourceId: projectId,
+      details: `${webhook.url}: ${changed.join(', ')}`
+    });
+
+    return response.successData(res, {
+      ...formatWebhook(webhook),
+      ...(secret && { secret })
+    });
+  } catch (error) {
+    logger.error('[EventWebhooks] updateWebhook error:', error);
+    return response.serverError(res, error.message);
+  }
+};
+
+/**
+ * Delete a webhook and its delivery log
+ * DELETE /api/projects/:projectId/webhooks/:webhookId
+ */
+exports.deleteWebhook = async (req, res) => {
+  try {
+    const { projectId, webhookId } = req.params;
+    if (!await requireProjectAdmin(req, res)) return undefined;
+
+    const webhook = await EventWebhook.findOneAndDelete({ id: webhookId, project_id: projectId });
+    if (!webhook) {
+      return response.notFound(res, 'Webhook not found');
+    }
+    await WebhookDelivery.deleteMany({ webhook_id: webhookId });
+
+    logger.info(`[EventWebhooks] ${req.user.username} removed webhook ${webhookId} from project ${projectId}`);
+    auditLog(req, 'webhook_delete', {
+      resourceType: 'project',
+      resourceId: projectId,
+      details: webhook.url
+    });
+
+    return response.success(res, { message: 'Webhook deleted' });
+  } catch (error) {
+    logger.error('[EventWebhooks] deleteWebhook error:', error);
+    return response.serverError(res, error.message);
+  }
+};
+
+/**
+ * Send a signed 'ping' event now and return the delivery
+ * POST /api/projects/:projectId/webhooks/:webhookId/test
+ */
+exports.testWebhook = async (req, res) => {
+  try {
+    const { projectId, webhookId } = req.params;
+    const access = await requireProjectAdmin(req, res);
+    if (!access) return undefined;
+
+    const webhook = await EventWebhook.findOne({ id: webhookId, project_id: projectId }).lean();
+    if (!webhook) {
+      return response.notFound(res, 'Webhook not found');
+    }
+
+    const delivery = await getEventWebhookService().sendTest(webhook, access.project);
+    const result = formatDelivery(delivery);
+    const message = result.status === 'success'
+      ? `Test event delivered (HTTP ${result.responseCode})`
+      : `Test event failed: ${result.error}`;
+
+    return response.success(res, { message, data: result });
+  } catch (error) {
+    logger.error('[EventWebhooks] testWebhook error:', error);
+    return response.serverError(res, error.message);
+  }
+};
+
+/**
+ * Recent deliveries of a webhook, newest first
+ * GET /api/projects/:projectId/webhooks/:webhookId/deliveries?limit=
+ */
+exports.listDeliveries = async (req, res) => {
+  try {
+    const { projectId, webhookId } = req.params;
+    if (!await requireProjectAdmin(req, res)) return undefined;
+
+    const webhook = await EventWebhook.findOne({ id: webhookId, project_id: projectId }).lean();
+    if (!webhook) {
+      return response.notFound(res, 'Webhook not found');
+    }
+
+    const limit = Math.min(parseInt(req.query.limit, 10) || 25, MAX_DELIVERIES_LISTED);
+    const deliveries = await WebhookDelivery.find({ webhook_id: webhookId })
+      .sort({ created_at: -1 })
+      .limit(limit)
+      .lean();
+    return response.successData(res, deliveries.map(formatDelivery));
+  } catch (error) {
+    logger.error('[EventWebhooks] listDeliveries error:', error);
+    return response.serverError(res, error.message);
+  }
+};
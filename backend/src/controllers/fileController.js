@@ -59,7 +59,7 @@ exports.browseFiles = async (req, res) => {
     }
 
     // Verify access (owner, member, or staff/superuser)
-    const access = await checkProjectAccess(projectId, req.user.id, 'viewer');
+    const access = await checkProjectAccess(projectId, req.user, 'viewer');
     if (!access.hasAccess && !req.user.isStaff && !req.user.isSuperuser) {
       return response.forbidden(res, 'Access denied');
     }
@@ -233,7 +233,7 @@ exports.getFileInfo = async (req, res) => {
     }
 
     // Verify access (owner, member, or staff/superuser)
-    const access = await checkProjectAccess(projectId, req.user.id, 'viewer');
+    const access = await checkProjectAccess(projectId, req.user, 'viewer');
     if (!access.hasAccess && !req.user.isStaff && !req.user.isSuperuser) {
       return response.forbidden(res, 'Access denied');
     }
@@ -293,7 +293,7 @@ exports.browseFolder = async (req, res) => {
     }
 
     // Verify access (owner, member, or staff/superuser)
-    const access = await checkProjectAccess(projectId, req.user.id, 'viewer');
+    const access = await checkProjectAccess(projectId, req.user, 'viewer');
     if (!access.hasAccess && !req.user.isStaff && !req.user.isSuperuser) {
       return response.forbidden(res, 'Access denied');
     }
@@ -474,7 +474,7 @@ exports.getStageStarFiles = async (req, res) => {
     }
 
     // Verify access (owner, member, or staff/superuser)
-    const access = await checkProjectAccess(projectId, req.user.id, 'viewer');
+    const access = await checkProjectAccess(projectId, req.user, 'viewer');
     if (!access.hasAccess && !req.user.isStaff && !req.user.isSuperuser) {
       return response.forbidden(res, 'Access denied');
     }
@@ -608,7 +608,7 @@ exports.getStageMrcFiles = async (req, res) => {
     }
 
     // Verify access (owner, member, or staff/superuser)
-    const access = await checkProjectAccess(projectId, req.user.id, 'viewer');
+    const access = await checkProjectAccess(projectId, req.user, 'viewer');
     if (!access.hasAccess && !req.user.isStaff && !req.user.isSuperuser) {
       return response.forbidden(res, 'Access denied');
     }
@@ -703,7 +703,7 @@ exports.getStageOptimiserFiles = async (req, res) => {
     }
 
     // Verify access (owner, member, or staff/superuser)
-    const access = await checkProjectAccess(projectId, req.user.id, 'viewer');
+    const access = await checkProjectAccess(projectId, req.user, 'viewer');
     if (!access.hasAccess && !req.user.isStaff && !req.user.isSuperuser) {
       return response.forbidden(res, 'Access denied');
     }
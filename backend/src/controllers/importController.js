@@ -14,23 +14,31 @@ const settings = require('../config/settings');
 const { DEFAULTS, IMPORT_NODE_TYPES } = require('../config/constants');
 const { parseStarFile, parseOpticsTable } = require('../utils/starParser');
 const { validatePathSecurity, validateResolvedPath, resolveMoviePath, sanitizeFilename, getProjectPath } = require('../utils/pathUtils');
-const { getMrcInfo, frameToPng, averagedFrameToPng } = require('../utils/mrcParser');
+const { getMrcInfo, getMovieInfo, frameToPng, averagedFrameToPng } = require('../utils/mrcParser');
+const { UPSAMPLING_FACTORS } = require('../utils/eerParser');
+const { getIntParam } = require('../utils/paramHelper');
 const response = require('../utils/responseHelper');
+const { tokenAllowsProject } = require('../utils/apiTokens');
 
 const NODE_TYPE_INFO = IMPORT_NODE_TYPES;
 
 /**
- * Verify job ownership
+ * Verify job ownership and that the request's access token covers the job's project
+ * @param {string} jobId
+ * @param {Object} user - req.user
  */
-const verifyJobOwnership = async (jobId, userId) => {
+const verifyJobOwnership = async (jobId, user) => {
   const job = await Job.findOne({ id: jobId }).lean();
   if (!job) {
     return { job: null, error: 'Job not found' };
   }
-  if (job.user_id !== userId) {
-    logger.warn(`[Security] Job ownership check failed | job_id: ${jobId} | owner: ${job.user_id} | requester: ${userId}`);
+  if (job.user_id !== user.id) {
+    logger.warn(`[Security] Job ownership check failed | job_id: ${jobId} | owner: ${job.user_id} | requester: ${user.id}`);
     return { job: null, error: 'Access denied' };
   }
+  if (!tokenAllowsProject(user, job.project_id)) {
+    return { job: null, error: 'Access token is not valid for this project' };
+  }
   return { job, error: null };
 };
 
@@ -60,10 +68,9 @@ const detectImportMode = (command, outputDir) => {
 exports.getResults = async (req, res) => {
   try {
     const { jobId } = req.params;
-    const userId = req.user.id;
 
     // Verify ownership
-    const { job, error } = await verifyJobOwnership(jobId, userId);
+    const { job, error } = await verifyJobOwnership(jobId, req.user);
     if (error) {
       if (error === 'Job not found') {
         return response.notFound(res, error);
@@ -370,6 +377,58 @@ const getMoviesResults = async (job, outputDir, projectPath, req, res) => {
   });
 };
 
+// Movie formats the frame endpoints can decode
+const FRAME_EXTENSIONS = ['.mrc', '.mrcs', '.tif', '.tiff', '.eer'];
+
+/**
+ * Parse the optional EER rendering options of a movie preview request
+ * Query: eerGrouping (raw frames per fraction), eerUpsampling (1 or 2)
+ * @returns {{eer: Object, error: string|null}}
+ */
+const resolveEerOption = (query) => {
+  const eer = {
+    grouping: getIntParam(query, ['eerGrouping'], DEFAULTS.EER_GROUPING),
+    upsampling: getIntParam(query, ['eerUpsampling'], DEFAULTS.EER_UPSAMPLING)
+  };
+  if (eer.grouping < 1) {
+    return { eer: null, error: 'eerGrouping must be at least 1' };
+  }
+  if (!UPSAMPLING_FACTORS.includes(eer.upsampling)) {
+    return { eer: null, error: `eerUpsampling must be one of: ${UPSAMPLING_FACTORS.join(', ')}` };
+  }
+  return { eer, error: null };
+};
+
+/**
+ * Resolve the optional gain reference of a movie preview request
+ * Query: gain (path like the movie), gainRot (0-3), gainFlip (0-2)
+ * @returns {{gain: Object|null, error: string|null}}
+ */
+const resolveGainOption = (query, jobId, projectPath) => {
+  if (!query.gain) {
+    return { gain: null, error: null };
+  }
+
+  const { valid, error } = validatePathSecurity(query.gain, jobId);
+  if (!valid) {
+    return { gain: null, error: `Gain reference: ${error}` };
+  }
+
+  const gainPath = resolveMoviePath(query.gain, projectPath);
+  if (!gainPath) {
+    return { gain: null, error: 'Gain reference not found' };
+  }
+
+  return {
+    gain: {
+      path: gainPath,
+      rotation: parseInt(query.gainRot, 10) || 0,
+      flip: parseInt(query.gainFlip, 10) || 0
+    },
+    error: null
+  };
+};
+
 /**
  * Get single movie frame
  * GET /api/import/movie-frame
@@ -383,7 +442,7 @@ exports.getMovieFrame = async (req, res) => {
     }
 
     // Verify ownership
-    const { job, error } = await verifyJobOwnership(jobId, req.user.id);
+    const { job, error } = await verifyJobOwnership(jobId, req.user);
     if (error) {
       if (error === 'Job not found') {
         return response.notFound(res, error);
@@ -407,21 +466,27 @@ exports.getMovieFrame = async (req, res) => {
     // Check file extension
     const ext = path.extname(resolvedPath).toLowerCase();
 
+    const { eer, error: eerError } = resolveEerOption(req.query);
+    if (eerError) {
+      return response.badRequest(res, eerError);
+    }
+
     // Return info only
     if (info === 'true') {
-      if (ext === '.mrc' || ext === '.mrcs') {
-        const mrcInfo = getMrcInfo(resolvedPath);
-        if (mrcInfo) {
+      if (FRAME_EXTENSIONS.includes(ext)) {
+        const movieInfo = getMovieInfo(resolvedPath, { eer });
+        if (movieInfo) {
           return response.successData(res, {
             name: path.basename(resolvedPath),
-            numFrames: mrcInfo.num_frames,
-            width: mrcInfo.width,
-            height: mrcInfo.height,
-            pixelSize: mrcInfo.pixelSize
+            numFrames: movieInfo.num_frames,
+            width: movieInfo.width,
+            height: movieInfo.height,
+            pixelSize: movieInfo.pixelSize,
+            ...(movieInfo.eer ? { eer: movieInfo.eer } : {})
           });
         }
       }
-      // Fallback for non-MRC or read error
+      // Fallback for unsupported formats or read error
       return response.successData(res, {
         name: path.basename(resolvedPath),
         numFrames: 1,
@@ -430,14 +495,19 @@ exports.getMovieFrame = async (req, res) => {
       });
     }
 
-    // For MRC files, extract and return frame as PNG
-    if (ext === '.mrc' || ext === '.mrcs') {
+    // Extract and return frame as PNG
+    if (FRAME_EXTENSIONS.includes(ext)) {
+      const { gain, error: gainError } = resolveGainOption(req.query, jobId, projectPath);
+      if (gainError) {
+        return response.badRequest(res, gainError);
+      }
+
       let pngBuffer;
       if (average === 'true') {
-        pngBuffer = await averagedFrameToPng(resolvedPath, 10, 512);
+        pngBuffer = await averagedFrameToPng(resolvedPath, 10, 512, { gain, eer });
       } else {
         const frameIndex = parseInt(frame, 10) || 0;
-        pngBuffer = await frameToPng(resolvedPath, frameIndex, 512);
+        pngBuffer = await frameToPng(resolvedPath, frameIndex, 512, { gain, eer });
       }
 
       if (pngBuffer) {
@@ -466,7 +536,7 @@ exports.getAllMovieFrames = async (req, res) => {
     }
 
     // Verify ownership
-    const { job, error } = await verifyJobOwnership(jobId, req.user.id);
+    const { job, error } = await verifyJobOwnership(jobId, req.user);
     if (error) {
       if (error === 'Job not found') {
         return response.notFound(res, error);
@@ -488,17 +558,26 @@ exports.getAllMovieFrames = async (req, res) => {
     }
 
     const ext = path.extname(resolvedPath).toLowerCase();
-    if (ext !== '.mrc' && ext !== '.mrcs') {
+    if (!FRAME_EXTENSIONS.includes(ext)) {
       return response.badRequest(res, 'Unsupported format');
     }
 
+    const { gain, error: gainError } = resolveGainOption(req.query, jobId, projectPath);
+    if (gainError) {
+      return response.badRequest(res, gainError);
+    }
+    const { eer, error: eerError } = resolveEerOption(req.query);
+    if (eerError) {
+      return response.badRequest(res, eerError);
+    }
+
     // Get movie info
-    const mrcInfo = getMrcInfo(resolvedPath);
-    if (!mrcInfo) {
+    const movieInfo = getMovieInfo(resolvedPath, { eer });
+    if (!movieInfo) {
       return response.badRequest(res, 'Unable to read movie');
     }
 
-    const numFrames = mrcInfo.num_frames;
+    const numFrames = movieInfo.num_frames;
     const maxFramesInt = Math.min(parseInt(maxFrames, 10) || 50, 100);
     const targetSize = Math.min(parseInt(size, 10) || 256, 512);
 
@@ -514,7 +593,7 @@ exports.getAllMovieFrames = async (req, res) => {
     // Extract frames as base64
     const framesBase64 = [];
     for (const frameIdx of frameIndices) {
-      const pngBuffer = await frameToPng(resolvedPath, frameIdx, targetSize);
+      const pngBuffer = await frameToPng(resolvedPath, frameIdx, targetSize, { gain, eer });
       if (pngBuffer) {
         framesBase64.push(pngBuffer.toString('base64'));
       }
@@ -541,7 +620,7 @@ exports.getThumbnail = async (req, res) => {
     const { jobId, filename } = req.params;
 
     // Verify ownership
-    const { job, error } = await verifyJobOwnership(jobId, req.user.id);
+    const { job, error } = await verifyJobOwnership(jobId, req.user);
     if (error) {
       if (error === 'Job not found') {
         return response.notFound(res, error);
@@ -604,7 +683,7 @@ exports.getMrcVolume = async (req, res) => {
     }
 
     // Verify ownership
-    const { job, error } = await verifyJobOwnership(jobId, req.user.id);
+    const { job, error } = await verifyJobOwnership(jobId, req.user);
     if (error) {
       if (error === 'Job not found') {
         return response.notFound(res, error);
@@ -676,7 +755,7 @@ exports.getLogs = async (req, res) => {
     }
 
     // Verify job ownership
-    const { job, error } = await verifyJobOwnership(jobId, req.user.id);
+    const { job, error } = await verifyJobOwnership(jobId, req.user);
     if (error) {
       if (error === 'Job not found') {
         return response.notFound(res, error);
@@ -10,24 +10,32 @@ const logger = require('../utils/logger');
 const Job = require('../models/Job');
 const Project = require('../models/Project');
 const { submitJobDirect } = require('../services/jobSubmission');
+const { checkStorageQuota } = require('../services/storageAccounting');
 const { isSSHMode } = require('../utils/remoteExec');
 const { getProjectPath } = require('../utils/pathUtils');
 const response = require('../utils/responseHelper');
-const { JOB_STATUS } = require('../config/constants');
+const { JOB_STATUS, TERMINAL_STATUSES, RELION_MARKERS, HTTP_STATUS } = require('../config/constants');
 const { getJobProgress, getTotalExpected } = require('../utils/progressHelper');
-const { isGpuEnabled, getBoolParam } = require('../utils/paramHelper');
-const User = require('../models/User');
-const { decryptField } = require('../utils/crypto');
+const { getBoolParam } = require('../utils/paramHelper');
 const ProjectMember = require('../models/ProjectMember');
 const { checkProjectAccess } = require('./projectMemberController');
 const auditLog = require('../utils/auditLogger');
 const { mapKeys } = require('../utils/mapKeys');
+const { validateSweepAxes, expandSweep, describeSweepValues } = require('../utils/parameterSweep');
+const {
+  launchJob,
+  clampDirectResources,
+  buildSlurmParams,
+  getUserCredentials
+} = require('../services/jobLauncher');
+const { onJobSubmitted } = require('../services/eventWebhookNotifier');
 
 // Import unified job registry (single source of truth)
 const {
   JOB_BUILDERS,
   JOB_VALIDATORS,
-  STAGE_NAMES
+  STAGE_NAMES,
+  getJobTypeForStage
 } = require('../config/jobRegistry');
 
 /**
@@ -35,478 +43,437 @@ const {
  * POST /api/jobs/:jobType
  */
 exports.submitJob = async (req, res) => {
-  const { jobType } = req.params;
-  const startTime = Date.now();
+  return submitNewJob(req, res, req.params.jobType, req.body);
+};
 
-  try {
-    // Get validator for job type
-    const validator = JOB_VALIDATORS[jobType];
-    if (!validator) {
-      logger.warn(`[JOB:${jobType.toUpperCase()}] Unknown job type requested`);
-      return response.badRequest(res, `Unknown job type: ${jobType}`);
-    }
+/**
+ * Launch a job and send the launcher's result as the HTTP response
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {string} jobType - Job type or alias
+ * @param {Object} body - Job parameters as submitted
+ * @param {Object} [options] - See launchJob
+ */
+async function submitNewJob(req, res, jobType, body, options = {}) {
+  const result = await launchJob(req, jobType, body, options);
+  if (result.validationErrors) {
+    return response.validationError(res, result.validationErrors);
+  }
+  if (result.error) {
+    return response.error(res, result.error, result.status);
+  }
+  if (result.data) {
+    return response.successData(res, result.data);
+  }
+  return res.status(result.status).json(result.body);
+}
+
+// Parameters that may change when continuing a job; everything else is fixed
+// by the optimiser file RELION continues from.
+const CONTINUE_PARAMS = [
+  // Iterations
+  'numberOfIterations', 'numberEMIterations', 'vdamMiniBatches', 'numberOfVdam',
+  // Resources
+  'mpiProcs', 'numberOfMpiProcs', 'threads', 'numberOfThreads',
+  'gpuAcceleration', 'gpuToUse', 'gres', 'gpus', 'memory',
+  'submitToQueue', 'queueName', 'queuename', 'queueSubmitCommand',
+  'coresPerNode', 'minimumDedicatedCoresPerNode', 'clusterName', 'clustername',
+  'arguments', 'slurmArguments', 'notifyEmail'
+];
 
-    // Validate parameters
-    const { value: data, error: validationError } = validator(req.body);
-    if (validationError) {
-      logger.warn(`[JOB:${jobType.toUpperCase()}] Validation failed:`, validationError);
-      return response.validationError(res, validationError.details || validationError);
+/**
+ * Find the highest-iteration optimiser file in a job directory
+ * @param {string} outputDir - Job output directory
+ * @returns {{path: string, iteration: number}|null}
+ */
+function findLatestOptimiser(outputDir) {
+  if (!outputDir || !fs.existsSync(outputDir)) return null;
+
+  let latest = null;
+  for (const file of fs.readdirSync(outputDir)) {
+    const match = file.match(/_it(\d+)_optimiser\.star$/);
+    if (!match) continue;
+    const iteration = parseInt(match[1], 10);
+    if (!latest || iteration > latest.iteration) {
+      latest = { path: path.join(outputDir, file), iteration };
     }
+  }
+  return latest;
+}
 
-    // Get project and verify access (need editor role to submit jobs)
-    const project = await Project.findOne({ id: data.projectId }).lean();
-    if (!project) {
-      logger.job.error(jobType, new Error(`Project not found: ${data.projectId}`));
-      return response.notFound(res, 'Project not found');
+/**
+ * Continue an iterative job from its last optimiser file
+ * POST /api/jobs/:jobId/continue
+ *
+ * Reuses the job's name and output directory (RELION --continue). The body may
+ * only change iteration and resource parameters; the run being replaced is
+ * pushed onto job.attempts.
+ */
+exports.continueJob = async (req, res) => {
+  const { jobId } = req.params;
+
+  try {
+    const job = await Job.findOne({ id: jobId });
+    if (!job) {
+      return response.notFound(res, 'Job not found');
     }
 
-    const access = await checkProjectAccess(data.projectId, req.user.id, 'editor');
+    const access = await checkProjectAccess(job.project_id, req.user, 'editor');
     if (!access.hasAccess) {
-      return response.forbidden(res, 'You do not have permission to submit jobs in this project');
+      return response.forbidden(res, 'You do not have permission to continue jobs in this project');
     }
 
+    const project = access.project;
     if (project.is_archived) {
-      return response.badRequest(res, 'Cannot submit jobs to an archived project. Restore it first.');
+      return response.badRequest(res, 'Cannot continue jobs in an archived project. Restore it first.');
     }
 
-    const projectPath = getProjectPath(project);
+    if (!job.isIterative()) {
+      return response.badRequest(res, `${job.job_type} jobs cannot be continued`);
+    }
 
-    // Start job logging (both combined and project logs)
-    logger.job.start(jobType, data.projectId, req.user.id);
-    logger.project.start(projectPath, project.id, jobType, req.user.id);
+    if (!job.isTerminal) {
+      return response.conflict(res, `Job ${job.job_name} is still ${job.status}`);
+    }
 
-    logger.job.step(jobType, 1, 'Parameters validated', { project_id: data.projectId });
-    logger.project.step(projectPath, project.id, jobType, 1, 'Parameters validated', { project_id: data.projectId });
+    const overrides = req.body || {};
+    const rejected = Object.keys(overrides).filter(key => !CONTINUE_PARAMS.includes(key));
+    if (rejected.length > 0) {
+      return response.badRequest(res, `Parameters cannot be changed when continuing: ${rejected.join(', ')}`);
+    }
 
-    logger.job.step(jobType, 2, 'Project found', { project_name: project.project_name });
-    logger.project.step(projectPath, project.id, jobType, 2, 'Project found', { project_name: project.project_name });
+    const optimiser = findLatestOptimiser(job.output_file_path);
+    if (!optimiser) {
+      return response.badRequest(res, 'No optimiser file found to continue from');
+    }
 
-    // Get builder
+    const jobType = getJobTypeForStage(job.job_type);
     const BuilderClass = JOB_BUILDERS[jobType];
-    if (!BuilderClass) {
-      logger.job.error(jobType, new Error('No builder registered for this job type'));
-      return response.badRequest(res, `No builder for job type: ${jobType}`);
+    const validator = JOB_VALIDATORS[jobType];
+    if (!BuilderClass || !validator) {
+      return response.badRequest(res, `No builder for job type: ${job.job_type}`);
     }
 
-    // Create builder and validate
+    const parameters = { ...job.parameters, ...overrides };
+    const { value: validated, error: validationError } = validator(parameters);
+    if (validationError) {
+      return response.validationError(res, validationError.details || validationError);
+    }
+
+    const quota = await checkStorageQuota({ project });
+    if (quota.error) {
+      return response.error(res, quota.error, HTTP_STATUS.INSUFFICIENT_STORAGE);
+    }
+
+    const projectPath = getProjectPath(project);
+    const continueFrom = path.relative(projectPath, optimiser.path);
+    const data = { ...validated, continueFrom };
+
     const builder = new BuilderClass(data, project, req.user);
     const { valid, error: builderError } = builder.validate();
     if (!valid) {
-      logger.job.error(jobType, new Error(builderError));
-      logger.project.error(projectPath, project.id, jobType, new Error(builderError));
       return response.badRequest(res, builderError);
     }
 
-    logger.job.step(jobType, 3, 'Builder validated');
-    logger.project.step(projectPath, project.id, jobType, 3, 'Builder validated');
-
-    // Get next job name
-    const jobName = await Job.getNextJobName(project.id);
-    const outputDir = builder.getOutputDir(jobName);
-
-    // Determine execution method and system type BEFORE building command
-    // so resource clamping takes effect on the values the builder reads.
-    // execution_method: 'direct' (spawn) or 'slurm' (sbatch)
-    // system_type:      'local' (same machine) or 'remote' (SSH cluster)
     const executionMethod = getBoolParam(data, ['submitToQueue', 'SubmitToQueue'], true) ? 'slurm' : 'direct';
     const systemType = (executionMethod === 'slurm' && isSSHMode()) ? 'remote' : 'local';
-
-    // Clamp resources for direct execution to prevent overloading host machine.
-    // Must happen before buildCommand() so builders use clamped values.
     if (executionMethod === 'direct') {
-      const { getSystemResources } = require('../utils/systemResources');
-      const sys = getSystemResources();
-      const maxCpus = sys.availableCpus;
-
-      let mpi = parseInt(data.mpiProcs || data.numberOfMpiProcs || 1, 10);
-      let threads = parseInt(data.numberOfThreads || data.threads || 1, 10);
-
-      if (mpi * threads > maxCpus) {
-        const origMpi = mpi, origThreads = threads;
-        threads = Math.max(1, Math.floor(maxCpus / mpi));
-        if (mpi * threads > maxCpus) {
-          mpi = Math.max(1, Math.floor(maxCpus / threads));
-        }
-        logger.info(`[${jobType}] Resource clamped: mpi ${origMpi}->${mpi}, threads ${origThreads}->${threads} (max ${maxCpus} CPUs)`);
-      }
-
-      data.mpiProcs = mpi;
-      data.numberOfMpiProcs = mpi;
-      data.threads = threads;
-      data.numberOfThreads = threads;
-      data.gres = Math.min(parseInt(data.gres || 0, 10), sys.gpuCount);
-    }
-
-    logger.job.step(jobType, 4, 'Building command', { job_name: jobName });
-    logger.project.step(projectPath, project.id, jobType, 4, 'Building command', { job_name: jobName });
-    const cmd = builder.buildCommand(outputDir, jobName);
-    logger.job.command(jobType, cmd);
-    logger.project.command(projectPath, project.id, jobType, cmd);
-
-    // Get input job names (extracted from input file paths)
-    const inputJobNames = builder.getInputJobIds();
-
-    // Resolve job names to database IDs for tree connections
-    let resolvedInputJobIds = [];
-    if (inputJobNames.length > 0) {
-      // Look up jobs by name within this project
-      const inputJobs = await Job.find({
-        project_id: project.id,
-        job_name: { $in: inputJobNames }
-      }).select('id job_name').lean();
-
-      // Map job names to database IDs
-      const nameToId = {};
-      for (const j of inputJobs) {
-        nameToId[j.job_name] = j.id;
-      }
-
-      // Preserve order from inputJobNames
-      resolvedInputJobIds = inputJobNames
-        .map(name => nameToId[name])
-        .filter(Boolean);
-
-      logger.job.step(jobType, 5, 'Input jobs resolved', {
-        names: inputJobNames.join(','),
-        ids: resolvedInputJobIds.join(',')
-      });
-      logger.project.step(projectPath, project.id, jobType, 5, 'Input jobs resolved', {
-        names: inputJobNames.join(','),
-        ids: resolvedInputJobIds.join(',')
-      });
+      clampDirectResources(data, jobType);
     }
 
-    // Create job in database
-    const jobId = Job.generateId();
-    const stageName = STAGE_NAMES[jobType] || jobType;
+    const cmd = builder.buildCommand(job.output_file_path, job.job_name);
     const commandStr = Array.isArray(cmd) ? cmd.join(' ') : cmd;
 
-    // Inherit pipeline_stats from upstream job chain
-    const inheritedStats = {
-      pixel_size: null,
-      micrograph_count: 0,
-      particle_count: 0,
-      box_size: null,
-      resolution: null,
-      bfactor: null,
-      class_count: 0,
-      iteration_count: 0,
-      movie_count: 0,
-      // Parameter-derived fields (defaults, overridden below)
-      total_iterations: 0,
-      voltage: null,
-      cs: null,
-      import_type: null,
-      symmetry: null,
-      mask_diameter: null,
-      bin_factor: 1,
-      pick_method: null,
-      rescaled_size: null,
-      // CTF refinement fields
-      defocus_mean: null,
-      astigmatism_mean: null,
-      beam_tilt_x: null,
-      beam_tilt_y: null,
-      ctf_fitting: null,
-      beam_tilt_enabled: null,
-      aniso_mag: null
+    const attempt = job.attempts.length + 1;
+    const update = {
+      $push: {
+        attempts: {
+          attempt,
+          status: job.status,
+          command: job.command,
+          slurm_job_id: job.slurm_job_id,
+          start_time: job.start_time,
+          end_time: job.end_time,
+          error_message: job.error_message,
+          continued_from: continueFrom,
+          continued_at: new Date(),
+          changed_parameters: overrides
+        }
+      },
+      $set: {
+        status: JOB_STATUS.PENDING,
+        command: commandStr,
+        parameters,
+        execution_method: executionMethod,
+        system_type: systemType,
+        slurm_job_id: null,
+        local_pid: null,
+        error_message: null,
+        end_time: null,
+        notify_email: overrides.notifyEmail !== undefined ? !!overrides.notifyEmail : job.notify_email,
+        'pipeline_stats.iteration_count': optimiser.iteration,
+        updated_at: new Date()
+      }
     };
 
-    if (resolvedInputJobIds.length > 0) {
-      // First try immediate upstream job
-      const upstreamJob = await Job.findOne({ id: resolvedInputJobIds[0] }).lean();
-      if (upstreamJob) {
-        const us = upstreamJob.pipeline_stats || {};
-        inheritedStats.micrograph_count = us.micrograph_count ?? upstreamJob.micrograph_count ?? 0;
-        inheritedStats.particle_count = us.particle_count ?? upstreamJob.particle_count ?? 0;
-        inheritedStats.pixel_size = us.pixel_size ?? upstreamJob.pixel_size ??
-          (upstreamJob.parameters?.angpix ? parseFloat(upstreamJob.parameters.angpix) : null);
-        inheritedStats.box_size = us.box_size ?? upstreamJob.box_size ??
-          upstreamJob.parameters?.particleBoxSize ?? null;
-        inheritedStats.resolution = us.resolution ?? null;
-        inheritedStats.class_count = us.class_count ?? 0;
-        inheritedStats.iteration_count = us.iteration_count ?? 0;
-
-        // If values are missing, look further upstream
-        if (!inheritedStats.box_size || !inheritedStats.pixel_size || !inheritedStats.micrograph_count) {
-          const toCheck = [...(upstreamJob.input_job_ids || [])];
-          const checked = new Set([resolvedInputJobIds[0]]);
-
-          while (toCheck.length > 0 && (!inheritedStats.box_size || !inheritedStats.pixel_size || !inheritedStats.micrograph_count)) {
-            const jobId = toCheck.shift();
-            if (checked.has(jobId)) continue;
-            checked.add(jobId);
-
-            const ancestorJob = await Job.findOne({ id: jobId }).lean();
-            if (!ancestorJob) continue;
-            const as = ancestorJob.pipeline_stats || {};
-
-            if (!inheritedStats.box_size) {
-              inheritedStats.box_size = as.box_size ?? ancestorJob.box_size ??
-                ancestorJob.parameters?.particleBoxSize ?? null;
-            }
-            if (!inheritedStats.pixel_size) {
-              inheritedStats.pixel_size = as.pixel_size ?? ancestorJob.pixel_size ??
-                (ancestorJob.parameters?.angpix ? parseFloat(ancestorJob.parameters.angpix) : null);
-            }
-            if (!inheritedStats.micrograph_count) {
-              inheritedStats.micrograph_count = as.micrograph_count ?? ancestorJob.micrograph_count ?? 0;
-            }
-            if (!inheritedStats.particle_count) {
-              inheritedStats.particle_count = as.particle_count ?? ancestorJob.particle_count ?? 0;
-            }
-
-            if (ancestorJob.input_job_ids) {
-              toCheck.push(...ancestorJob.input_job_ids);
-            }
-          }
-        }
+    const iterFields = ['vdamMiniBatches', 'numberOfIterations', 'numberEMIterations', 'numberOfVdam'];
+    const newTotal = iterFields.map(f => parseInt(overrides[f], 10)).find(n => !isNaN(n));
+    if (newTotal) {
+      update.$set['pipeline_stats.total_iterations'] = newTotal;
+    }
 
-        logger.info(`[${jobType}] Inherited from chain (starting ${upstreamJob.job_name}): mic=${inheritedStats.micrograph_count}, part=${inheritedStats.particle_count}, pix=${inheritedStats.pixel_size}, box=${inheritedStats.box_size}`);
-      }
+    // Only one request may take the job out of its terminal state
+    const claimed = await Job.findOneAndUpdate(
+      { id: job.id, status: { $in: TERMINAL_STATUSES } },
+      update
+    );
+    if (!claimed) {
+      return response.conflict(res, `Job ${job.job_name} was restarted by another request`);
     }
 
-    // For Import jobs, get pixel_size from angpix parameter
-    if (stageName === 'Import' && data.angpix) {
-      const parsed = parseFloat(data.angpix);
-      if (!isNaN(parsed) && parsed > 0) {
-        inheritedStats.pixel_size = parsed;
-      }
+    for (const marker of RELION_MARKERS) {
+      fs.rmSync(path.join(job.output_file_path, marker), { force: true });
     }
 
-    // For Extract jobs, set box_size from particleBoxSize parameter
-    if (stageName === 'Extract' && data.particleBoxSize) {
-      const parsed = parseInt(data.particleBoxSize, 10);
-      if (!isNaN(parsed) && parsed > 0) {
-        inheritedStats.box_size = parsed;
-      }
+    logger.info(`[JobContinue] ${job.job_name} attempt ${attempt + 1} from ${continueFrom} | ${commandStr}`);
+
+    const slurmParams = executionMethod === 'slurm' ? buildSlurmParams(data, builder, jobType) : null;
+    const userCredentials = systemType === 'remote' ? await getUserCredentials(req.user.id, jobType) : null;
+
+    const submissionResult = await submitJobDirect({
+      cmd,
+      jobId: job.id,
+      jobName: job.job_name,
+      stageName: job.job_type,
+      projectId: project.id,
+      projectPath,
+      outputDir: job.output_file_path,
+      executionMethod,
+      slurmParams,
+      postCommand: builder.postCommand,
+      userCredentials
+    });
+
+    if (submissionResult.success) {
+      auditLog(req, 'job_continue', {
+        resourceType: 'job',
+        resourceId: job.id,
+        details: `${job.job_type} (${job.job_name}) from iteration ${optimiser.iteration}`
+      });
+      onJobSubmitted({ jobId: job.id, projectId: project.id });
     }
 
-    // =========================================================================
-    // Submission-time parameter-derived stats
-    // These fields are known at submission and should not change.
-    // =========================================================================
-    switch (stageName) {
-      case 'Import':
-        inheritedStats.voltage = data.kV ? parseFloat(data.kV) : null;
-        inheritedStats.cs = data.spherical ? parseFloat(data.spherical) : null;
-        if (data.rawMovies === 'Yes' || data.rawMovies === true
-            || data.multiFrameMovies === 'Yes' || data.multiFrameMovies === true) {
-          inheritedStats.import_type = 'movies';
-        } else if (data.rawMicrographs === 'Yes' || data.rawMicrographs === true) {
-          inheritedStats.import_type = 'micrographs';
-        }
-        break;
-      case 'MotionCorr':
-        inheritedStats.bin_factor = parseInt(data.binningFactor) || 1;
-        break;
-      case 'AutoPick':
-        inheritedStats.pick_method = data.useTopaz === 'Yes' ? 'Topaz'
-          : data.templateMatching === 'Yes' ? 'Template' : 'LoG';
-        break;
-      case 'Extract':
-        inheritedStats.rescaled_size = (data.rescaleParticles === 'Yes' && data.rescaledSize)
-          ? parseInt(data.rescaledSize) : null;
-        break;
-      case 'Class2D':
-        inheritedStats.class_count = parseInt(data.numberOfClasses) || 0;
-        inheritedStats.mask_diameter = data.maskDiameter ? parseFloat(data.maskDiameter) : null;
-        if (data.useVDAM === 'Yes') {
-          inheritedStats.total_iterations = parseInt(data.vdamMiniBatches) || 0;
-        } else {
-          inheritedStats.total_iterations = parseInt(data.numberEMIterations) || parseInt(data.numberOfIterations) || 0;
-        }
-        break;
-      case 'Class3D':
-      case 'InitialModel':
-        inheritedStats.class_count = parseInt(data.numberOfClasses) || 0;
-        inheritedStats.mask_diameter = data.maskDiameter ? parseFloat(data.maskDiameter) : null;
-        inheritedStats.total_iterations = parseInt(data.numberEMIterations) || parseInt(data.numberOfIterations) || 0;
-        inheritedStats.symmetry = data.symmetry || 'C1';
-        break;
-      case 'AutoRefine':
-        inheritedStats.symmetry = data.symmetry || 'C1';
-        break;
-    }
-
-    // Compute progress subdirectory for per-micrograph counting jobs
-    // (CTF, AutoPick, Extract) so progressHelper can do a fast flat readdir
-    const progressSubdir = builder.getProgressSubdir ? builder.getProgressSubdir() : null;
-
-    const newJob = await Job.create({
-      id: jobId,
-      project_id: project.id,
-      user_id: req.user.id,
-      job_name: jobName,
-      job_type: stageName,
-      status: JOB_STATUS.PENDING,
-      input_job_ids: resolvedInputJobIds,  // Database IDs for tree connections
-      output_file_path: outputDir,
-      progress_subdir: progressSubdir,
-      command: commandStr,
-      execution_method: executionMethod,
-      system_type: systemType,
-      parameters: req.body,
-      pipeline_stats: inheritedStats,
-      notify_email: !!req.body.notifyEmail
+    res.status(submissionResult.success ? 202 : 500).json({
+      status: submissionResult.success ? JOB_STATUS.RUNNING : JOB_STATUS.FAILED,
+      id: job.id,
+      jobName: job.job_name,
+      attempt: attempt + 1,
+      continueFrom,
+      slurmJobId: submissionResult.slurm_job_id,
+      message: submissionResult.message || `${job.job_type} job continued from iteration ${optimiser.iteration}`,
+      error: submissionResult.error
     });
+  } catch (error) {
+    logger.error('[JobContinue] Error:', error);
+    return response.serverError(res, error.message);
+  }
+};
 
-    logger.job.step(jobType, 6, 'Job saved to database', { job_id: jobId, output_dir: outputDir });
-    logger.project.step(projectPath, project.id, jobType, 6, 'Job saved to database', { job_id: jobId, output_dir: outputDir });
-
-    // Extract SLURM parameters when using SLURM scheduler
-    let slurmParams = null;
-    if (executionMethod === 'slurm') {
-      // GPU detection: Check multiple parameter formats
-      // - gpuAcceleration: "Yes"/"No" (frontend checkbox)
-      // - gpuToUse: "0" (GPU device ID, means GPU is requested)
-      // - gres/gpus: explicit GPU count
-      const gpuRequested = isGpuEnabled(data);
-      const explicitGres = parseInt(data.gres || data.gpus || 0, 10);
-      const requestedGres = gpuRequested ? Math.max(1, explicitGres) : explicitGres;
-      const effectiveGres = builder.supportsGpu ? requestedGres : 0;
-
-      // Log GPU allocation decision for debugging
-      if (gpuRequested) {
-        logger.info(`[${jobType}] GPU requested: gpuAcceleration=${data.gpuAcceleration}, gpuToUse=${data.gpuToUse}, allocating ${effectiveGres} GPU(s)`);
-      }
+// Run-specific parameters that never carry over to a clone
+const CLONE_EXCLUDED_PARAMS = ['continueFrom'];
 
-      if (!builder.supportsGpu && requestedGres > 0) {
-        logger.warn(`[${jobType}] Job type does not support GPU, ignoring gres=${requestedGres}`);
-      }
+/**
+ * Apply a JSON merge patch (RFC 7386): null removes a key, nested objects merge
+ * @param {Object} target - Object to patch (not mutated)
+ * @param {Object} patch - Merge patch
+ * @returns {Object} Patched copy
+ */
+function applyMergePatch(target, patch) {
+  const result = { ...target };
+  for (const [key, value] of Object.entries(patch)) {
+    if (value === null) {
+      delete result[key];
+    } else if (typeof value === 'object' && !Array.isArray(value)
+      && typeof result[key] === 'object' && result[key] !== null && !Array.isArray(result[key])) {
+      result[key] = applyMergePatch(result[key], value);
+    } else {
+      result[key] = value;
+    }
+  }
+  return result;
+}
 
-      // For non-MPI jobs, force mpiProcs=1 to prevent mpirun usage
-      const requestedMpi = data.mpiProcs || data.numberOfMpiProcs || 1;
-      const effectiveMpi = builder.supportsMpi ? requestedMpi : 1;
+/**
+ * Clone a job with edited parameters and submit it as a new job
+ * POST /api/jobs/:jobId/clone
+ *
+ * Body: { overrides: {...}, dryRun: false }
+ * overrides is a JSON merge patch applied to the source job's parameters.
+ * With dryRun the merged parameters are validated and returned without submitting.
+ */
+exports.cloneJob = async (req, res) => {
+  try {
+    const { jobId } = req.params;
+    const { overrides = {}, dryRun = false } = req.body || {};
 
-      if (!builder.supportsMpi && requestedMpi > 1) {
-        logger.info(`[${jobType}] Job type does not support MPI, ignoring mpiProcs=${requestedMpi}`);
-      }
+    if (typeof overrides !== 'object' || overrides === null || Array.isArray(overrides)) {
+      return response.badRequest(res, 'overrides must be an object');
+    }
 
-      slurmParams = {
-        queuename: data.queueName || data.queuename,
-        queueSubmitCommand: data.queueSubmitCommand || 'sbatch',
-        mpiProcs: effectiveMpi,
-        threads: data.numberOfThreads || data.threads,
-        gres: effectiveGres,
-        coresPerNode: data.coresPerNode || data.minimumDedicatedCoresPerNode || data.minDedicatedCores || data.minCoresPerNode,
-        clustername: data.clusterName || data.clustername,
-        arguments: data.arguments || data.slurmArguments
-      };
+    const source = await Job.findOne({ id: jobId }).lean();
+    if (!source) {
+      return response.notFound(res, 'Job not found');
+    }
 
-      // Force CPU-only PyTorch for class_ranker — avoids segfault on unsupported GPU architectures
-      if (jobType === 'Subset' && getBoolParam(data, ['select2DClass'], false)) {
-        slurmParams.envVars = { CUDA_VISIBLE_DEVICES: '""', SINGULARITYENV_CUDA_VISIBLE_DEVICES: '""' };
-      }
+    const jobType = getJobTypeForStage(source.job_type);
+    if (!jobType) {
+      return response.badRequest(res, `${source.job_type} jobs cannot be cloned`);
     }
 
-    // Check if submitting user has per-user cluster credentials enabled.
-    // Only relevant for remote systems; for local SLURM, sbatch runs directly.
-    let userCredentials = null;
-    if (systemType === 'remote') {
-      try {
-        const submittingUser = await User.findOne({ id: req.user.id }).select('+cluster_ssh_key').lean();
-        if (submittingUser?.cluster_enabled && submittingUser.cluster_ssh_key && submittingUser.cluster_username) {
-          userCredentials = {
-            username: submittingUser.cluster_username,
-            privateKey: decryptField(submittingUser.cluster_ssh_key)
-          };
-          logger.info(`[${jobType}] Using per-user SSH credentials: ${submittingUser.cluster_username}`);
-        }
-      } catch (credErr) {
-        logger.warn(`[${jobType}] Failed to load user cluster credentials, falling back to global: ${credErr.message}`);
-      }
+    const base = { ...source.parameters };
+    for (const key of CLONE_EXCLUDED_PARAMS) {
+      delete base[key];
     }
 
-    logger.job.step(jobType, 7, 'Preparing submission', { execution_method: executionMethod, system_type: systemType });
-    logger.project.step(projectPath, project.id, jobType, 7, 'Preparing submission', { execution_method: executionMethod, system_type: systemType });
+    // A clone always stays in the source job's project
+    const parameters = { ...applyMergePatch(base, overrides), projectId: source.project_id };
 
-    // Special handling for ManualSelect - processes data directly in buildCommand(), no SLURM
-    if (stageName === 'ManualSelect' || cmd === null) {
-      logger.job.step(jobType, 8, 'ManualSelect processed directly');
+    logger.info(`[JobClone] ${source.job_name} (${source.job_type}) | overrides: ${Object.keys(overrides).join(', ') || 'none'}${dryRun ? ' | dry run' : ''}`);
 
-      // Check if processing was successful (builder creates success marker)
-      const selectionResult = builder.getSelectionResult ? builder.getSelectionResult() : null;
-      const isSuccess = selectionResult && selectionResult.numParticles > 0;
+    return submitNewJob(req, res, jobType, parameters, {
+      inputJobIds: source.input_job_ids,
+      dryRun: !!dryRun
+    });
+  } catch (error) {
+    logger.error('[JobClone] Error:', error);
+    return response.serverError(res, error.message);
+  }
+};
 
-      // Update job status and particle count
-      await Job.findOneAndUpdate(
-        { id: jobId },
-        {
-          status: isSuccess ? JOB_STATUS.SUCCESS : JOB_STATUS.FAILED,
-          start_time: new Date(),
-          end_time: new Date(),
-          particle_count: selectionResult?.numParticles || 0,
-          error_message: isSuccess ? null : 'No particles found in selected classes'
-        }
-      );
+/**
+ * Submit a parameter sweep: the Cartesian product of one or two axes of
+ * values over a base parameter set. Every combination is validated before
+ * anything is submitted; the jobs share a sweep_id.
+ * POST /api/jobs/sweep/:jobType
+ * Body: { parameters: {...}, axes: [{ parameter, values: [...] }] }
+ */
+exports.submitSweep = async (req, res) => {
+  try {
+    const { jobType } = req.params;
+    const { parameters, axes } = req.body || {};
 
-      const duration = Date.now() - startTime;
-      if (isSuccess) {
-        logger.job.success(jobType, jobId, jobName);
-        logger.info(`[JOB:${jobType.toUpperCase()}] Duration: ${duration}ms | Particles: ${selectionResult.numParticles}`);
-      } else {
-        logger.job.error(jobType, new Error('Selection failed'), jobId);
+    if (typeof parameters !== 'object' || parameters === null || Array.isArray(parameters)) {
+      return response.badRequest(res, 'parameters must be an object');
+    }
+    const axesError = validateSweepAxes(axes);
+    if (axesError) {
+      return response.badRequest(res, axesError);
+    }
+
+    const combinations = expandSweep(parameters, axes);
+
+    // Validate every combination first so a bad value does not leave a half-submitted sweep
+    for (const combination of combinations) {
+      const check = await launchJob(req, jobType, combination.parameters, { dryRun: true });
+      if (check.error) {
+        return response.error(res, `${describeSweepValues(combination.values)}: ${check.error}`, check.status);
       }
+    }
+
+    const sweepId = Job.generateId();
+    logger.info(`[JobSweep] ${sweepId} | ${jobType} | ${combinations.length} jobs over ${axes.map(a => a.parameter).join(' x ')}`);
 
-      return res.status(isSuccess ? 200 : 500).json({
-        status: isSuccess ? JOB_STATUS.SUCCESS : JOB_STATUS.FAILED,
-        id: jobId,
-        jobName: jobName,
-        message: isSuccess ? `Selected ${selectionResult.numParticles} particles` : 'No particles found in selected classes',
-        particleCount: selectionResult?.numParticles || 0,
-        selectedClasses: selectionResult?.selectedClasses || []
+    // Submit sequentially so job names are allocated in sweep order
+    const jobs = [];
+    for (const combination of combinations) {
+      const result = await launchJob(req, jobType, combination.parameters, {
+        sweep: { id: sweepId, values: combination.values }
+      });
+      const submission = result.body || {};
+      jobs.push({
+        id: submission.id || null,
+        jobName: submission.jobName || null,
+        values: combination.values,
+        status: submission.status || JOB_STATUS.FAILED,
+        slurmJobId: submission.slurmJobId || null,
+        error: result.status >= 300 ? (result.error || submission.error || 'Submission failed') : null
       });
     }
 
-    // Submit job
-    logger.job.step(jobType, 8, 'Submitting to SLURM queue');
-    logger.project.step(projectPath, project.id, jobType, 8, 'Submitting to SLURM queue');
-    const submissionResult = await submitJobDirect({
-      cmd,
-      jobId,
-      jobName,
-      stageName,
-      projectId: project.id,
-      projectPath: getProjectPath(project),
-      outputDir,
-      executionMethod,
-      slurmParams,
-      postCommand: builder.postCommand,
-      userCredentials
+    const submitted = jobs.filter(j => !j.error).length;
+    if (submitted > 0) {
+      auditLog(req, 'job_sweep', {
+        resourceType: 'project',
+        resourceId: parameters.projectId,
+        details: `${STAGE_NAMES[jobType] || jobType} sweep ${sweepId}: ${submitted}/${jobs.length} jobs`
+      });
+    }
+
+    return res.status(submitted > 0 ? 202 : 500).json({
+      status: submitted > 0 ? 'success' : 'error',
+      sweepId,
+      axes: axes.map(({ parameter, values }) => ({ parameter, values })),
+      submitted,
+      jobs
     });
+  } catch (error) {
+    logger.error('[JobSweep] Error:', error);
+    return response.serverError(res, error.message);
+  }
+};
 
-    const duration = Date.now() - startTime;
+/**
+ * Get the jobs of a parameter sweep with the values each one was run with
+ * GET /api/jobs/sweep/:sweepId
+ */
+exports.getSweep = async (req, res) => {
+  try {
+    const { sweepId } = req.params;
 
-    if (submissionResult.success) {
-      logger.job.success(jobType, jobId, jobName, submissionResult.slurm_job_id);
-      logger.project.success(projectPath, project.id, jobType, jobId, jobName, submissionResult.slurm_job_id);
-      logger.slurm.submit(jobName, submissionResult.slurm_job_id, slurmParams?.queuename);
-    } else {
-      logger.job.error(jobType, new Error(submissionResult.error || 'Submission failed'), jobId);
-      logger.project.error(projectPath, project.id, jobType, new Error(submissionResult.error || 'Submission failed'), jobId);
+    const jobs = await Job.find({ sweep_id: sweepId })
+      .select('id project_id job_name job_type status sweep_values pipeline_stats start_time end_time')
+      .sort({ job_name: 1 })
+      .lean();
+    if (jobs.length === 0) {
+      return response.notFound(res, 'Sweep not found');
     }
-    logger.info(`[JOB:${jobType.toUpperCase()}] Duration: ${duration}ms`);
 
-    if (submissionResult.success) {
-      auditLog(req, 'job_submit', { resourceType: 'job', resourceId: jobId, details: `${stageName} (${jobName})` });
+    const access = await checkProjectAccess(jobs[0].project_id, req.user, 'viewer');
+    if (!access.hasAccess) {
+      return response.forbidden(res, 'You do not have access to this project');
     }
 
-    // Return response — use canonical JOB_STATUS values so frontend
-    // receives the same strings stored in the database.
-    const responseStatus = submissionResult.success ? JOB_STATUS.RUNNING : JOB_STATUS.FAILED;
+    // Axes are recovered from the stored values, keeping the order they were swept in
+    const axes = [];
+    for (const job of jobs) {
+      for (const [parameter, value] of Object.entries(job.sweep_values || {})) {
+        let axis = axes.find(a => a.parameter === parameter);
+        if (!axis) {
+          axis = { parameter, values: [] };
+          axes.push(axis);
+        }
+        if (!axis.values.includes(value)) {
+          axis.values.push(value);
+        }
+      }
+    }
 
-    res.status(submissionResult.success ? 202 : 500).json({
-      status: responseStatus,
-      id: jobId,
-      jobName: jobName,
-      slurmJobId: submissionResult.slurm_job_id,
-      message: submissionResult.message || `${stageName} job submitted successfully`,
-      error: submissionResult.error
+    return response.successData(res, {
+      sweepId,
+      jobType: jobs[0].job_type,
+      axes,
+      jobs: jobs.map(job => ({
+        id: job.id,
+        jobName: job.job_name,
+        status: job.status,
+        values: job.sweep_values || {},
+        startTime: job.start_time,
+        endTime: job.end_time,
+        pipelineStats: job.pipeline_stats || {}
+      }))
     });
   } catch (error) {
-    logger.job.error(jobType, error);
-    // Note: project path may not be available if project lookup failed
+    logger.error('[JobSweep] getSweep error:', error);
     return response.serverError(res, error.message);
   }
 };
@@ -617,7 +584,12 @@ exports.getJobDetails = async (req, res) => {
       parameters: job.parameters,
       startTime: job.start_time,
       endTime: job.end_time,
-      projectId: job.project_id
+      projectId: job.project_id,
+      attempts: job.attempts || [],
+      failureDiagnosis: job.failure_diagnosis || null,
+      sweepId: job.sweep_id || null,
+      sweepValues: job.sweep_values || null,
+      dependsOn: job.depends_on || []
     });
   } catch (error) {
     logger.error('[JobDetails] Error:', error);
@@ -647,7 +619,7 @@ exports.listJobs = async (req, res) => {
     }
 
     // Verify user has access to this project
-    const access = await checkProjectAccess(projectId, req.user.id, 'viewer');
+    const access = await checkProjectAccess(projectId, req.user, 'viewer');
     if (!access.hasAccess) {
       return response.forbidden(res, 'You do not have access to this project');
     }
@@ -718,7 +690,7 @@ exports.getJobsTree = async (req, res) => {
     }
 
     // Verify user has access to this project
-    const access = await checkProjectAccess(projectId, req.user.id, 'viewer');
+    const access = await checkProjectAccess(projectId, req.user, 'viewer');
     if (!access.hasAccess) {
       return response.forbidden(res, 'You do not have access to this project');
     }
@@ -1046,7 +1018,7 @@ exports.getJobOutputs = async (req, res) => {
     }
 
     // Access check
-    const access = await checkProjectAccess(job.project_id, req.user.id, 'viewer');
+    const access = await checkProjectAccess(job.project_id, req.user, 'viewer');
     if (!access.hasAccess) {
       return response.forbidden(res, 'Access denied');
     }
@@ -1152,7 +1124,7 @@ exports.getStageOutputFiles = async (req, res) => {
     }
 
     // Access check
-    const access = await checkProjectAccess(projectId, req.user.id, 'viewer');
+    const access = await checkProjectAccess(projectId, req.user, 'viewer');
     if (!access.hasAccess) {
       return response.forbidden(res, 'Access denied');
     }
@@ -1318,7 +1290,7 @@ exports.saveFastaSequence = async (req, res) => {
       return response.notFound(res, 'Project not found');
     }
 
-    const access = await checkProjectAccess(projectId, req.user.id, 'editor');
+    const access = await checkProjectAccess(projectId, req.user, 'editor');
     if (!access.hasAccess) {
       return response.forbidden(res, 'You do not have permission to modify this project');
     }
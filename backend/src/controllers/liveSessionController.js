@@ -14,6 +14,105 @@ const Job = require('../models/Job');
 const response = require('../utils/responseHelper');
 const { getProjectPath } = require('../utils/pathUtils');
 const { mapKeys, mapKeysToSnake } = require('../utils/mapKeys');
+const { DEFAULTS } = require('../config/constants');
+const { QUALITY_FIELDS, OPERATORS, normalizeRules } = require('../utils/qualityRules');
+const { MAX_BEAM_SHIFT_GROUPS } = require('../utils/opticsGroups');
+const { buildSelectGallery } = require('../services/liveSelectGallery');
+const { generateSessionReport } = require('../services/liveSessionReport');
+const { buildForecast } = require('../services/liveForecast');
+const { validateGuardrails } = require('../utils/liveGuardrails');
+const { tokenAllowsProject } = require('../utils/apiTokens');
+
+/**
+ * Validate the sources of a multi-source session and convert them to the
+ * stored shape. Optics left out of a source fall back to the session optics.
+ * @param {Array} sources - [{ name, watchDirectory, filePattern, opticsGroupName, optics }]
+ * @param {Object} defaults - { optics, filePattern } from the request body
+ * @returns {{sources: Array|null, error: string|null}}
+ */
+const buildSources = (sources, defaults) => {
+  if (!Array.isArray(sources) || sources.length === 0) {
+    return { sources: null, error: 'sources must be a non-empty array' };
+  }
+
+  const built = [];
+  for (const [i, source] of sources.entries()) {
+    const label = source?.name || `Source ${i + 1}`;
+    if (!source?.watchDirectory) {
+      return { sources: null, error: `${label}: watch directory is required` };
+    }
+    try {
+      if (!fs.statSync(source.watchDirectory).isDirectory()) {
+        return { sources: null, error: `${label}: watch directory path is not a directory` };
+      }
+    } catch (err) {
+      return { sources: null, error: `${label}: watch directory does not exist: ${source.watchDirectory}` };
+    }
+
+    const optics = { ...(defaults.optics || {}), ...(source.optics || {}) };
+    if (!optics.pixelSize || !optics.voltage || !optics.cs) {
+      return { sources: null, error: `${label}: optics parameters (pixelSize, voltage, cs) are required` };
+    }
+    if (optics.pixelSize <= 0 || optics.voltage <= 0) {
+      return { sources: null, error: `${label}: pixel size and voltage must be positive` };
+    }
+
+    const opticsGroupName = source.opticsGroupName || source.optics?.opticsGroupName || `opticsGroup${i + 1}`;
+    if (!/^[\w.-]+$/.test(opticsGroupName)) {
+      return { sources: null, error: `${label}: optics group name may only contain letters, digits, '_', '-' and '.'` };
+    }
+    const entry = {
+      name: source.name || '',
+      watch_directory: source.watchDirectory,
+      file_pattern: source.filePattern || defaults.filePattern || '*.tiff',
+      optics: {
+        pixel_size: optics.pixelSize,
+        voltage: optics.voltage,
+        cs: optics.cs,
+        amplitude_contrast: optics.amplitudeContrast || 0.1,
+        optics_group_name: opticsGroupName
+      }
+    };
+
+    // Sources may share an optics group only if their optics agree
+    const sameGroup = built.find(b => b.optics.optics_group_name === opticsGroupName);
+    if (sameGroup && ['pixel_size', 'voltage', 'cs', 'amplitude_contrast'].some(k => sameGroup.optics[k] !== entry.optics[k])) {
+      return { sources: null, error: `${label}: optics differ from another source in optics group "${opticsGroupName}"` };
+    }
+    built.push(entry);
+  }
+  return { sources: built, error: null };
+};
+
+/**
+ * Route param guard for :id — access tokens restricted to projects only
+ * reach sessions of those projects
+ */
+exports.checkTokenSession = async (req, res, next, id) => {
+  if (!req.user?.apiToken?.projectIds?.length) {
+    return next();
+  }
+  try {
+    const session = await LiveSession.findOne({ id }).select('project_id').lean();
+    if (session && !tokenAllowsProject(req.user, session.project_id)) {
+      return response.forbidden(res, 'Access token is not valid for this project');
+    }
+    return next();
+  } catch (error) {
+    logger.error(`[LiveSession] Token check failed: ${error.message}`);
+    return response.serverError(res, error.message);
+  }
+};
+
+/**
+ * Route param guard for :projectId, as checkTokenSession
+ */
+exports.checkTokenProject = (req, res, next, projectId) => {
+  if (!tokenAllowsProject(req.user, projectId)) {
+    return response.forbidden(res, 'Access token is not valid for this project');
+  }
+  return next();
+};
 
 /**
  * Create a new live session (and optionally a new project)
@@ -29,10 +128,11 @@ exports.createSession = async (req, res) => {
       projectId: existingProjectId,
       // Session config
       inputMode,
-      watchDirectory,
-      filePattern,
+      watchDirectory: requestedWatchDirectory,
+      filePattern: requestedFilePattern,
       batchSize,
-      optics,
+      optics: requestedOptics,
+      sources,
       motionConfig,
       ctfConfig,
       pickingConfig,
@@ -40,15 +140,50 @@ exports.createSession = async (req, res) => {
       class2dConfig,
       autoSelectConfig,
       inimodelConfig,
+      refine3dConfig,
+      forecastConfig,
+      guardrails,
       thresholds,
+      qualityRules,
       slurmConfig
     } = req.body;
 
+    if (!tokenAllowsProject(req.user, existingProjectId || null)) {
+      return response.forbidden(res, 'Access token is not valid for this project');
+    }
+
     // Validate inputMode
     if (inputMode && !['watch', 'existing'].includes(inputMode)) {
       return response.badRequest(res, 'inputMode must be "watch" or "existing"');
     }
 
+    // Multi-source sessions: the first source doubles as the session's
+    // watch directory, file pattern and optics
+    let sessionSources = [];
+    let watchDirectory = requestedWatchDirectory;
+    let filePattern = requestedFilePattern;
+    let optics = requestedOptics;
+    if (sources !== undefined) {
+      const { sources: built, error: sourcesError } = buildSources(sources, {
+        optics: requestedOptics,
+        filePattern: requestedFilePattern
+      });
+      if (sourcesError) {
+        return response.badRequest(res, sourcesError);
+      }
+      const [first] = built;
+      watchDirectory = first.watch_directory;
+      filePattern = first.file_pattern;
+      optics = {
+        pixelSize: first.optics.pixel_size,
+        voltage: first.optics.voltage,
+        cs: first.optics.cs,
+        amplitudeContrast: first.optics.amplitude_contrast,
+        opticsGroupName: first.optics.optics_group_name
+      };
+      sessionSources = built.length > 1 ? built : [];
+    }
+
     // Validate watch directory
     if (!watchDirectory) {
       return response.badRequest(res, 'Watch directory is required');
@@ -67,6 +202,22 @@ exports.createSession = async (req, res) => {
       return response.badRequest(res, 'Voltage must be positive');
     }
 
+    const beamShiftGroups = parseInt(requestedOptics?.beamShiftGroups, 10) || 0;
+    if (beamShiftGroups < 0 || beamShiftGroups > MAX_BEAM_SHIFT_GROUPS) {
+      return response.badRequest(res, `Beam-shift optics groups must be between 0 and ${MAX_BEAM_SHIFT_GROUPS}`);
+    }
+
+    const { rules: normalizedRules, error: rulesError } = normalizeRules(qualityRules || []);
+    if (rulesError) {
+      return response.badRequest(res, rulesError);
+    }
+
+    const guardrailConfig = mapKeysToSnake(guardrails || {});
+    const guardrailsError = validateGuardrails(guardrailConfig);
+    if (guardrailsError) {
+      return response.badRequest(res, guardrailsError);
+    }
+
     // Validate watch directory exists
     try {
       const stats = fs.statSync(watchDirectory);
@@ -128,8 +279,10 @@ exports.createSession = async (req, res) => {
         voltage: optics.voltage,
         cs: optics.cs,
         amplitude_contrast: optics.amplitudeContrast || 0.1,
-        optics_group_name: optics.opticsGroupName || 'opticsGroup1'
+        optics_group_name: optics.opticsGroupName || 'opticsGroup1',
+        beam_shift_groups: beamShiftGroups
       },
+      sources: sessionSources,
       motion_config: mapKeysToSnake(motionConfig || {}),
       ctf_config: mapKeysToSnake(ctfConfig || {}),
       picking_config: mapKeysToSnake(pickingConfig || {}),
@@ -137,7 +290,11 @@ exports.createSession = async (req, res) => {
       class2d_config: mapKeysToSnake(class2dConfig || {}),
       auto_select_config: mapKeysToSnake(autoSelectConfig || {}),
       inimodel_config: mapKeysToSnake(inimodelConfig || {}),
+      refine3d_config: mapKeysToSnake(refine3dConfig || {}),
+      forecast_config: mapKeysToSnake(forecastConfig || {}),
+      guardrails: guardrailConfig,
       thresholds: mapKeysToSnake(thresholds || {}),
+      quality_rules: normalizedRules,
       slurm_config: mapKeysToSnake(slurmConfig || {}),
       activity_log: [{
         timestamp: new Date(),
@@ -323,7 +480,7 @@ exports.getSession = async (req, res) => {
       }
     }
     // Array-based stages
-    for (const [key, field] of [['class2d', 'class2d_ids'], ['select', 'select_ids'], ['inimodel', 'inimodel_ids']]) {
+    for (const [key, field] of [['class2d', 'class2d_ids'], ['select', 'select_ids'], ['inimodel', 'inimodel_ids'], ['refine3d', 'refine3d_ids']]) {
       const ids = session.jobs?.[field] || [];
       if (ids.length > 0) {
         const latest = await Job.findOne({ id: ids[ids.length - 1] }).select('status').lean();
@@ -345,7 +502,7 @@ exports.getSession = async (req, res) => {
  *
  * Only allows updating processing parameters that the orchestrator reads fresh
  * from the database on each pipeline pass. Rejects changes to watcher/startup
- * fields (watch_directory, file_pattern, input_mode, optics).
+ * fields (watch_directory, file_pattern, input_mode, optics, sources).
  */
 exports.updateSessionConfig = async (req, res) => {
   try {
@@ -368,11 +525,14 @@ exports.updateSessionConfig = async (req, res) => {
       class2dConfig:    'class2d_config',
       autoSelectConfig: 'auto_select_config',
       inimodelConfig:   'inimodel_config',
+      refine3dConfig:   'refine3d_config',
+      forecastConfig:   'forecast_config',
+      guardrails:       'guardrails',
       slurmConfig:      'slurm_config',
     };
 
     // Reject unsafe fields
-    const UNSAFE_FIELDS = ['watchDirectory', 'filePattern', 'inputMode', 'optics', 'watch_directory', 'file_pattern', 'input_mode'];
+    const UNSAFE_FIELDS = ['watchDirectory', 'filePattern', 'inputMode', 'optics', 'sources', 'watch_directory', 'file_pattern', 'input_mode'];
     const rejected = Object.keys(body).filter(k => UNSAFE_FIELDS.includes(k));
     if (rejected.length > 0) {
       return response.badRequest(res, `Cannot change mid-run: ${rejected.join(', ')}. These are locked after session start.`);
@@ -397,6 +557,13 @@ exports.updateSessionConfig = async (req, res) => {
       }
     }
 
+    if (updateFields.guardrails) {
+      const guardrailsError = validateGuardrails(updateFields.guardrails);
+      if (guardrailsError) {
+        return response.badRequest(res, guardrailsError);
+      }
+    }
+
     if (changedKeys.length === 0) {
       return response.badRequest(res, 'No updatable fields provided');
     }
@@ -430,12 +597,24 @@ exports.updateSessionConfig = async (req, res) => {
 
 /**
  * Get quality stats for live session (CTF res distribution, motion distribution)
+ * plus the acquisition/processing forecast. ?targetParticles= and
+ * ?targetMicrographs= override the session's forecast targets.
  * GET /api/live-sessions/:id/stats
  */
 exports.getSessionStats = async (req, res) => {
   try {
     const { id } = req.params;
 
+    const targets = {};
+    for (const key of ['targetParticles', 'targetMicrographs']) {
+      if (req.query[key] === undefined) continue;
+      const value = Number(req.query[key]);
+      if (!Number.isInteger(value) || value <= 0) {
+        return response.badRequest(res, `${key} must be a positive integer`);
+      }
+      targets[key] = value;
+    }
+
     const session = await LiveSession.findOne({ id }).lean();
     if (!session) {
       return response.notFound(res, 'Session not found');
@@ -450,7 +629,8 @@ exports.getSessionStats = async (req, res) => {
       session.jobs?.extract_id,
       ...(session.jobs?.class2d_ids || []),
       ...(session.jobs?.select_ids || []),
-      ...(session.jobs?.inimodel_ids || [])
+      ...(session.jobs?.inimodel_ids || []),
+      ...(session.jobs?.refine3d_ids || [])
     ].filter(Boolean);
 
     const jobs = await Job.find({ id: { $in: jobIds } })
@@ -466,7 +646,8 @@ exports.getSessionStats = async (req, res) => {
       data: {
         state: mapKeys(session.state),
         jobs: mapKeys(jobsByType),
-        thresholds: mapKeys(session.thresholds)
+        thresholds: mapKeys(session.thresholds),
+        forecast: mapKeys(buildForecast(session, targets))
       }
     });
   } catch (error) {
@@ -544,6 +725,165 @@ exports.getSessionExposures = async (req, res) => {
   }
 };
 
+/**
+ * Averaged-frame thumbnail of an exposure's raw movie (MRC, TIFF or EER)
+ * GET /api/live-sessions/:id/exposures/:filename/thumbnail
+ *
+ * :filename is an exposure filename from getSessionExposures. The PNG is
+ * rendered on first request and cached with the Import job's thumbnails,
+ * under the name the Import dashboard uses.
+ */
+exports.getExposureThumbnail = async (req, res) => {
+  try {
+    const { id, filename } = req.params;
+    const baseName = path.basename(filename, path.extname(filename));
+    if (!/^[\w\-.]+$/.test(baseName)) {
+      return response.badRequest(res, 'Invalid filename');
+    }
+
+    const session = await LiveSession.findOne({ id }).lean();
+    if (!session) {
+      return response.notFound(res, 'Session not found');
+    }
+
+    const importJob = session.jobs?.import_id
+      ? await Job.findOne({ id: session.jobs.import_id }).lean()
+      : null;
+    const project = await Project.findOne({ id: session.project_id });
+    if (!importJob || !importJob.output_file_path || !project) {
+      return response.notFound(res, 'Session has no imported movies yet');
+    }
+
+    const projectPath = getProjectPath(project);
+    const importOutputDir = path.isAbsolute(importJob.output_file_path)
+      ? importJob.output_file_path
+      : path.join(projectPath, importJob.output_file_path);
+    const thumbnailsDir = path.join(importOutputDir, 'thumbnails');
+    const thumbnailPath = path.join(thumbnailsDir, `${baseName}.png`);
+
+    if (!fs.existsSync(thumbnailPath)) {
+      // Movies/ (or Movies/<source>/ for multi-source sessions) holds the
+      // symlinks the session released to Import
+      const moviePath = glob.sync(path.join(projectPath, 'Movies', '**', `${baseName}.*`))[0];
+      if (!moviePath) {
+        return response.notFound(res, 'Movie not found');
+      }
+
+      const { averagedFrameToPng } = require('../utils/mrcParser');
+      const pngBuffer = await averagedFrameToPng(moviePath, 10, DEFAULTS.THUMBNAIL_SIZE);
+      if (!pngBuffer) {
+        return response.serverError(res, `Could not read movie ${path.basename(moviePath)}`);
+      }
+      fs.mkdirSync(thumbnailsDir, { recursive: true });
+      fs.writeFileSync(thumbnailPath, pngBuffer);
+    }
+
+    res.setHeader('Content-Type', 'image/png');
+    return res.send(fs.readFileSync(thumbnailPath));
+  } catch (error) {
+    logger.error(`[LiveSession] Exposure thumbnail failed: ${error.message}`);
+    return response.serverError(res, error.message);
+  }
+};
+
+/**
+ * Get quality rules, the fields they can use and the latest per-rule counts
+ * GET /api/live-sessions/:id/quality-rules
+ */
+exports.getQualityRules = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const session = await LiveSession.findOne({ id })
+      .select('quality_rules quality_stats thresholds')
+      .lean();
+    if (!session) {
+      return response.notFound(res, 'Session not found');
+    }
+
+    const fields = Object.entries(QUALITY_FIELDS).map(([key, { label, unit }]) => ({ key, label, unit }));
+
+    return response.successData(res, {
+      rules: session.quality_rules || [],
+      thresholds: mapKeys(session.thresholds || {}),
+      stats: mapKeys(session.quality_stats || null),
+      fields,
+      operators: OPERATORS
+    });
+  } catch (error) {
+    logger.error(`[LiveSession] Get quality rules failed: ${error.message}`);
+    return response.serverError(res, error.message);
+  }
+};
+
+/**
+ * Replace the quality rules. By default they are re-applied to every
+ * exposure so far; pass reapply: false to apply them from the next pass only.
+ * PUT /api/live-sessions/:id/quality-rules
+ */
+exports.updateQualityRules = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { rules, reapply = true } = req.body;
+
+    const session = await LiveSession.findOne({ id });
+    if (!session) {
+      return response.notFound(res, 'Session not found');
+    }
+
+    const { rules: normalized, error } = normalizeRules(rules);
+    if (error) {
+      return response.badRequest(res, error);
+    }
+
+    await LiveSession.findOneAndUpdate({ id }, { $set: { quality_rules: normalized } });
+    await session.addActivity('quality_rules_updated',
+      `Quality rules updated: ${normalized.filter(r => r.enabled).length} enabled`, {
+      level: 'info',
+      stage: 'QualityFilter',
+      context: { rules: normalized.map(r => r.name), reapply: !!reapply }
+    });
+
+    let stats = null;
+    if (reapply) {
+      const { getLiveOrchestrator } = require('../services/liveOrchestrator');
+      stats = await getLiveOrchestrator().reapplyQualityRules(id);
+    }
+
+    logger.info(`[LiveSession] Quality rules updated for session ${id}: ${normalized.length} rules`);
+    return response.successData(res, { rules: normalized, stats: mapKeys(stats) });
+  } catch (error) {
+    logger.error(`[LiveSession] Update quality rules failed: ${error.message}`);
+    return response.serverError(res, error.message);
+  }
+};
+
+/**
+ * Re-apply the current quality rules to every exposure of every pass so far
+ * POST /api/live-sessions/:id/quality-rules/reapply
+ */
+exports.reapplyQualityRules = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const session = await LiveSession.findOne({ id }).select('id').lean();
+    if (!session) {
+      return response.notFound(res, 'Session not found');
+    }
+
+    const { getLiveOrchestrator } = require('../services/liveOrchestrator');
+    const stats = await getLiveOrchestrator().reapplyQualityRules(id);
+    if (!stats) {
+      return response.successData(res, { stats: null, message: 'No quality rules or CTF results to filter yet' });
+    }
+
+    return response.successData(res, { stats: mapKeys(stats) });
+  } catch (error) {
+    logger.error(`[LiveSession] Re-apply quality rules failed: ${error.message}`);
+    return response.serverError(res, error.message);
+  }
+};
+
 /**
  * Get activity log for session
  * GET /api/live-sessions/:id/activity
@@ -651,7 +991,8 @@ exports.deleteSession = async (req, res) => {
       session.jobs?.extract_id,
       ...(session.jobs?.class2d_ids || []),
       ...(session.jobs?.select_ids || []),
-      ...(session.jobs?.inimodel_ids || [])
+      ...(session.jobs?.inimodel_ids || []),
+      ...(session.jobs?.refine3d_ids || [])
     ].filter(Boolean);
 
     if (jobIds.length > 0) {
@@ -684,216 +1025,71 @@ exports.getSelectGallery = async (req, res) => {
       return response.notFound(res, 'Session not found');
     }
 
-    // Find the latest select job
-    const selectIds = session.jobs?.select_ids || [];
-    if (selectIds.length === 0) {
-      return response.successData(res, { classes: [], message: 'No select jobs yet' });
-    }
-
-    const selectJobId = selectIds[selectIds.length - 1];
-    const selectJob = await Job.findOne({ id: selectJobId }).lean();
-    if (!selectJob) {
-      return response.successData(res, { classes: [], message: 'Select job not found' });
-    }
-
-    // Find the parent Class2D job (from input_job_ids)
-    const class2dJobId = selectJob.input_job_ids?.[0];
-    if (!class2dJobId) {
-      return response.successData(res, { classes: [], message: 'Parent Class2D job not found' });
-    }
-
-    const class2dJob = await Job.findOne({ id: class2dJobId }).lean();
-    if (!class2dJob) {
-      return response.successData(res, { classes: [], message: 'Parent Class2D job not found' });
-    }
-
-    const project = await Project.findOne({ id: session.project_id }).lean();
-    if (!project) {
-      return response.notFound(res, 'Project not found');
-    }
-
-    const projectPath = getProjectPath(project);
-
-    // --- Determine selected class numbers from particles.star ---
-    const selectOutputDir = path.isAbsolute(selectJob.output_file_path)
-      ? selectJob.output_file_path
-      : path.join(projectPath, selectJob.output_file_path);
-    const particlesPath = path.join(selectOutputDir, 'particles.star');
-
-    let selectedClassNumbers = new Set();
-    if (fs.existsSync(particlesPath)) {
-      // Parse particles.star to find unique _rlnClassNumber values
-      const content = fs.readFileSync(particlesPath, 'utf-8');
-      const lines = content.split('\n');
-      let classColIdx = -1;
-      let inLoop = false;
-      let pastHeaders = false;
-
-      for (const rawLine of lines) {
-        const line = rawLine.trim();
-        if (!line || line.startsWith('#')) continue;
-
-        if (line === 'loop_') {
-          inLoop = true;
-          classColIdx = -1;
-          pastHeaders = false;
-          continue;
-        }
-        if (line.startsWith('data_')) {
-          inLoop = false;
-          classColIdx = -1;
-          pastHeaders = false;
-          continue;
-        }
-
-        if (inLoop && line.startsWith('_')) {
-          const parts = line.split(/\s+/);
-          const idxMatch = parts[1] && parts[1].match(/#(\d+)/);
-          if (idxMatch && parts[0] === '_rlnClassNumber') {
-            classColIdx = parseInt(idxMatch[1], 10) - 1;
-          }
-          continue;
-        }
-
-        // Data row
-        if (inLoop && classColIdx >= 0 && !line.startsWith('_')) {
-          pastHeaders = true;
-          const values = line.split(/\s+/);
-          if (classColIdx < values.length) {
-            selectedClassNumbers.add(parseInt(values[classColIdx], 10));
-          }
-        }
-      }
-    }
-
-    selectedClassNumbers = [...selectedClassNumbers].sort((a, b) => a - b);
+    return response.successData(res, await buildSelectGallery(session));
+  } catch (error) {
+    logger.error(`[LiveSession] Select gallery failed: ${error.message}`);
+    return response.serverError(res, error.message);
+  }
+};
 
-    // --- Read class images from Class2D output ---
-    const class2dOutputDir = path.isAbsolute(class2dJob.output_file_path)
-      ? class2dJob.output_file_path
-      : path.join(projectPath, class2dJob.output_file_path);
+/**
+ * End-of-session report as a self-contained HTML page (?format=pdf for the
+ * PDF copy). Written when the session stops; generated now if missing.
+ * GET /api/live-sessions/:id/report
+ */
+exports.getReport = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const format = req.query.format === 'pdf' ? 'pdf' : 'html';
 
-    // Find latest iteration .mrcs file
-    const mrcsFiles = glob.sync(path.join(class2dOutputDir, '*_it*_classes.mrcs'));
-    if (mrcsFiles.length === 0) {
-      return response.successData(res, {
-        classes: [],
-        selectedClassNumbers,
-        selectJobId,
-        selectJobName: selectJob.job_name,
-        class2dJobName: class2dJob.job_name,
-        message: 'No class image files found'
-      });
+    const session = await LiveSession.findOne({ id }).lean();
+    if (!session) {
+      return response.notFound(res, 'Session not found');
     }
 
-    // Sort and pick latest
-    mrcsFiles.sort();
-    const latestMrcs = mrcsFiles[mrcsFiles.length - 1];
-
-    // Parse model.star for metadata
-    const modelPath = latestMrcs.replace('_classes.mrcs', '_model.star');
-    const classMetadata = {};
-    if (fs.existsSync(modelPath)) {
-      const content = fs.readFileSync(modelPath, 'utf8');
-      if (content.includes('data_model_classes')) {
-        const blocks = content.split(/\n(?=data_)/);
-        for (const block of blocks) {
-          if (!block.includes('data_model_classes')) continue;
-          const bLines = block.trim().split('\n');
-          const headers = {};
-          let headerIdx = 0;
-          for (let i = 0; i < bLines.length; i++) {
-            const colMatch = bLines[i].match(/(_rln\w+)\s+#(\d+)/);
-            if (colMatch) {
-              headers[colMatch[1]] = parseInt(colMatch[2], 10) - 1;
-              headerIdx = i;
-            }
-          }
-          for (let i = headerIdx + 1; i < bLines.length; i++) {
-            const line = bLines[i].trim();
-            if (!line || line.startsWith('#') || line.startsWith('_') || line.startsWith('loop')) continue;
-            const parts = line.split(/\s+/);
-            if (parts.length < 2) continue;
-            const refImage = parts[headers['_rlnReferenceImage'] || 0];
-            const match2d = refImage && refImage.match(/^(\d+)@/);
-            if (match2d) {
-              const classNum = parseInt(match2d[1], 10);
-              const distIdx = headers['_rlnClassDistribution'];
-              const resIdx = headers['_rlnEstimatedResolution'];
-              classMetadata[classNum] = {
-                distribution: distIdx != null && distIdx < parts.length ? parseFloat(parts[distIdx]) : 0,
-                estimatedResolution: resIdx != null && resIdx < parts.length ? parseFloat(parts[resIdx]) : 999,
-              };
-            }
-          }
-          break;
-        }
-      }
+    let htmlPath = session.report?.html_path;
+    let pdfPath = session.report?.pdf_path;
+    if (!htmlPath || !fs.existsSync(htmlPath)) {
+      ({ htmlPath, pdfPath } = await generateSessionReport(id));
     }
 
-    // Read MRCS frames and render selected classes as PNG
-    const { readMrcFrame, normalizeWithPercentile, getMrcInfo } = require('../utils/mrcParser');
-    const sharp = require('sharp');
-
-    const mrcInfo = getMrcInfo(latestMrcs);
-    if (!mrcInfo) {
-      return response.serverError(res, 'Could not read class file');
+    const filePath = format === 'pdf' ? pdfPath : htmlPath;
+    if (!filePath || !fs.existsSync(filePath)) {
+      return response.notFound(res, 'No PDF report for this session (PDF export needs REPORT_PDF_COMMAND)');
     }
 
-    const classesData = [];
-    const numClasses = mrcInfo.num_frames;
-
-    // If we couldn't determine selected classes from particles.star, show all
-    const showAll = selectedClassNumbers.length === 0;
-
-    for (let i = 0; i < numClasses; i++) {
-      const classNum = i + 1;
-      if (!showAll && !selectedClassNumbers.includes(classNum)) continue;
-
-      try {
-        const frame = readMrcFrame(latestMrcs, i);
-        if (!frame) continue;
-
-        const uint8Data = normalizeWithPercentile(frame.data, 1, 99);
-        let image = sharp(uint8Data, { raw: { width: frame.width, height: frame.height, channels: 1 } });
-
-        const maxSize = 128;
-        if (frame.width > maxSize || frame.height > maxSize) {
-          image = image.resize(maxSize, maxSize, { fit: 'inside' });
-        }
+    res.setHeader('Content-Type', format === 'pdf' ? 'application/pdf' : 'text/html; charset=utf-8');
+    res.setHeader('Content-Disposition', `inline; filename="${path.basename(filePath)}"`);
+    return res.send(fs.readFileSync(filePath));
+  } catch (error) {
+    logger.error(`[LiveSession] Report failed: ${error.message}`);
+    return response.serverError(res, error.message);
+  }
+};
 
-        const pngBuffer = await image.png().toBuffer();
-        const meta = classMetadata[classNum] || {};
+/**
+ * Regenerate the session report from the current data (also works mid-session)
+ * POST /api/live-sessions/:id/report
+ */
+exports.generateReport = async (req, res) => {
+  try {
+    const { id } = req.params;
 
-        classesData.push({
-          classNumber: classNum,
-          image: `data:image/png;base64,${pngBuffer.toString('base64')}`,
-          distribution: meta.distribution || 0,
-          estimatedResolution: meta.estimatedResolution || 999,
-          particleFraction: meta.distribution ? Math.round(meta.distribution * 10000) / 100 : 0,
-        });
-      } catch (e) {
-        logger.warn(`[LiveSession] Error reading class ${classNum}: ${e.message}`);
-      }
+    const session = await LiveSession.findOne({ id }).lean();
+    if (!session) {
+      return response.notFound(res, 'Session not found');
     }
 
-    // Parse iteration number from filename
-    const iterMatch = path.basename(latestMrcs).match(/_it(\d+)_classes/);
-    const iteration = iterMatch ? parseInt(iterMatch[1], 10) : null;
+    const result = await generateSessionReport(id);
+    const updated = await LiveSession.findOne({ id }).select('report').lean();
 
     return response.successData(res, {
-      selectJobId,
-      selectJobName: selectJob.job_name,
-      selectJobStatus: selectJob.status,
-      class2dJobName: class2dJob.job_name,
-      iteration,
-      numSelected: classesData.length,
-      numTotal: numClasses,
-      selectedClassNumbers,
-      classes: classesData,
+      generatedAt: updated?.report?.generated_at || new Date(),
+      hasPdf: Boolean(result?.pdfPath),
+      pdfError: updated?.report?.error || null
     });
   } catch (error) {
-    logger.error(`[LiveSession] Select gallery failed: ${error.message}`);
+    logger.error(`[LiveSession] Report generation failed: ${error.message}`);
     return response.serverError(res, error.message);
   }
 };
@@ -0,0 +1,221 @@
+/**
+ * Pipeline Controller
+ *
+ * Exports a project's job graph as RELION default_pipeline.star and adopts
+ * existing RELION projects by importing their pipeline file.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+const Job = require('../models/Job');
+const response = require('../utils/responseHelper');
+const auditLog = require('../utils/auditLogger');
+const { checkProjectAccess } = require('./projectMemberController');
+const { getProjectPath } = require('../utils/pathUtils');
+const { JOB_STATUS } = require('../config/constants');
+const { parseStarFile } = require('../utils/starParser');
+const { storeJobMetadata } = require('../utils/pipelineMetadata');
+const {
+  PIPELINE_FILENAME,
+  buildPipelineStar,
+  planPipelineImport,
+  readRelionCommand,
+  jobOptionsToParameters
+} = require('../utils/relionPipeline');
+
+/**
+ * Load a project and its pipeline-ready jobs after checking access
+ * @returns {Object} { project, jobs } or { error, status }
+ */
+const loadProjectJobs = async (projectId, user, role) => {
+  const access = await checkProjectAccess(projectId, user, role);
+  if (!access.hasAccess) {
+    return { error: access.error, status: access.status };
+  }
+  const jobs = await Job.find({ project_id: projectId })
+    .select('id job_name job_type status output_file_path output_files input_job_ids parameters')
+    .lean();
+  return { project: access.project, jobs };
+};
+
+/**
+ * Download the project's job graph as default_pipeline.star
+ * GET /api/projects/:projectId/pipeline
+ */
+exports.downloadPipeline = async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    const result = await loadProjectJobs(projectId, req.user, 'viewer');
+    if (result.error) {
+      return response.error(res, result.error, result.status);
+    }
+
+    const { content } = buildPipelineStar(result.jobs, getProjectPath(result.project));
+
+    res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${PIPELINE_FILENAME}"`);
+    return res.send(content);
+  } catch (error) {
+    logger.error('[Pipeline] downloadPipeline error:', error);
+    return response.serverError(res, error.message);
+  }
+};
+
+/**
+ * Write default_pipeline.star into the project folder so RELION can open it.
+ * An existing pipeline file is kept as default_pipeline.star.bak.
+ * POST /api/projects/:projectId/pipeline/export
+ */
+exports.exportPipeline = async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    const result = await loadProjectJobs(projectId, req.user, 'editor');
+    if (result.error) {
+      return response.error(res, result.error, result.status);
+    }
+    if (result.project.is_archived) {
+      return response.badRequest(res, 'Cannot export pipeline of an archived project');
+    }
+
+    const projectPath = getProjectPath(result.project);
+    if (!fs.existsSync(projectPath)) {
+      return response.badRequest(res, `Project folder not found: ${projectPath}`);
+    }
+
+    const { content, processCount, nodeCount } = buildPipelineStar(result.jobs, projectPath);
+    const pipelinePath = path.join(projectPath, PIPELINE_FILENAME);
+
+    if (fs.existsSync(pipelinePath)) {
+      fs.copyFileSync(pipelinePath, `${pipelinePath}.bak`);
+    }
+    fs.writeFileSync(pipelinePath, content);
+
+    logger.info(`[Pipeline] Exported ${processCount} processes, ${nodeCount} nodes to ${pipelinePath}`);
+    auditLog(req, 'pipeline_export', {
+      resourceType: 'project',
+      resourceId: projectId,
+      details: `${processCount} processes`
+    });
+
+    return response.success(res, {
+      path: pipelinePath,
+      processCount,
+      nodeCount
+    });
+  } catch (error) {
+    logger.error('[Pipeline] exportPipeline error:', error);
+    return response.serverError(res, error.message);
+  }
+};
+
+/**
+ * Adopt a RELION project by reading default_pipeline.star from the project
+ * folder and creating a Job for every finished process. Processes that were
+ * already imported are matched by output path, so re-importing is safe.
+ * POST /api/projects/:projectId/pipeline/import
+ */
+exports.importPipeline = async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    const result = await loadProjectJobs(projectId, req.user, 'editor');
+    if (result.error) {
+      return response.error(res, result.error, result.status);
+    }
+    if (result.project.is_archived) {
+      return response.badRequest(res, 'Cannot import into an archived project');
+    }
+
+    const projectPath = getProjectPath(result.project);
+    const pipelinePath = path.join(projectPath, PIPELINE_FILENAME);
+    if (!fs.existsSync(pipelinePath)) {
+      return response.badRequest(res, `${PIPELINE_FILENAME} not found in project folder`);
+    }
+
+    const blocks = await parseStarFile(pipelinePath);
+    const { processes, skipped } = planPipelineImport(blocks);
+
+    const jobsByName = new Map(result.jobs.map(j => [j.job_name, j]));
+    const idsByProcess = new Map();
+    const created = [];
+    const existing = [];
+
+    for (const proc of processes) {
+      const jobName = `Job${String(proc.jobNumber).padStart(3, '0')}`;
+      // Process names come from a file in the project folder; never follow one out of it
+      const outputPath = path.resolve(projectPath, proc.processName);
+      if (!outputPath.startsWith(projectPath + path.sep)) {
+        skipped.push({ processName: proc.processName, reason: 'Job directory is outside the project' });
+        continue;
+      }
+
+      const current = jobsByName.get(jobName);
+      if (current) {
+        if (current.output_file_path === outputPath) {
+          idsByProcess.set(proc.processName, current.id);
+          existing.push(jobName);
+        } else {
+          skipped.push({ processName: proc.processName, reason: `${jobName} already exists in this project` });
+        }
+        continue;
+      }
+
+      if (!fs.existsSync(outputPath)) {
+        skipped.push({ processName: proc.processName, reason: 'Job directory not found' });
+        continue;
+      }
+
+      const jobStarPath = path.join(outputPath, 'job.star');
+      const jobOptions = fs.existsSync(jobStarPath)
+        ? await parseStarFile(jobStarPath).catch(() => null)
+        : null;
+      const successMarker = path.join(outputPath, 'RELION_JOB_EXIT_SUCCESS');
+      const stat = fs.statSync(outputPath);
+
+      const job = await Job.create({
+        id: Job.generateId(),
+        project_id: projectId,
+        user_id: req.user.id,
+        job_name: jobName,
+        job_type: proc.jobType,
+        status: proc.status,
+        execution_method: 'direct',
+        command: readRelionCommand(outputPath),
+        input_job_ids: proc.upstream
+          .map(name => idsByProcess.get(name))
+          .filter(Boolean),
+        output_file_path: outputPath,
+        parameters: jobOptionsToParameters(jobOptions),
+        start_time: stat.birthtime,
+        end_time: fs.existsSync(successMarker) ? fs.statSync(successMarker).mtime : stat.mtime
+      });
+
+      idsByProcess.set(proc.processName, job.id);
+      jobsByName.set(jobName, job);
+      created.push({ id: job.id, jobName, jobType: proc.jobType, status: proc.status });
+    }
+
+    // Metadata inherits from upstream jobs, so store it in pipeline order
+    for (const job of created) {
+      if (job.status === JOB_STATUS.SUCCESS) {
+        await storeJobMetadata(job.id);
+      }
+    }
+
+    logger.info(`[Pipeline] Imported ${created.length} jobs into project ${projectId} (${existing.length} existing, ${skipped.length} skipped)`);
+    auditLog(req, 'pipeline_import', {
+      resourceType: 'project',
+      resourceId: projectId,
+      details: `${created.length} jobs imported, ${skipped.length} skipped`
+    });
+
+    return response.success(res, {
+      imported: created,
+      existing,
+      skipped
+    });
+  } catch (error) {
+    logger.error('[Pipeline] importPipeline error:', error);
+    return response.serverError(res, error.message);
+  }
+};
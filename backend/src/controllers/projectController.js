@@ -12,12 +12,17 @@ const ProjectMember = require('../models/ProjectMember');
 const Job = require('../models/Job');
 const User = require('../models/User');
 const LiveSession = require('../models/LiveSession');
+const EventWebhook = require('../models/EventWebhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
 const settings = require('../config/settings');
+const { STAGES, HTTP_STATUS } = require('../config/constants');
 const response = require('../utils/responseHelper');
 const auditLog = require('../utils/auditLogger');
 const { mapKeys } = require('../utils/mapKeys');
 const { checkProjectAccess } = require('./projectMemberController');
+const { checkStorageQuota } = require('../services/storageAccounting');
 const { parsePagination } = require('../utils/pagination');
+const { tokenAllowsProject } = require('../utils/apiTokens');
 
 /**
  * Helper to get user display name
@@ -46,6 +51,7 @@ function mapProject(p) {
     creationDate: p.creation_date,
     isArchived: p.is_archived || false,
     webhookUrls: p.webhook_urls || [],
+    retryPolicies: p.retry_policies || {},
     lastAccessedAt: p.last_accessed_at,
     // Enriched fields (already camelCase from enrichment step)
     role: p.role,
@@ -67,6 +73,8 @@ exports.listProjects = async (req, res) => {
     const { includeArchived = 'false' } = req.query;
     const { limit, skip } = parsePagination(req.query, { maxLimit: 200 });
     const currentUserName = getUserDisplayName(req.user);
+    // Access tokens restricted to projects only list those
+    const tokenProjectIds = req.user.apiToken?.projectIds?.length ? req.user.apiToken.projectIds : null;
 
     // Staff and Superusers see ALL projects
     if (req.user.isStaff || req.user.isSuperuser) {
@@ -74,6 +82,9 @@ exports.listProjects = async (req, res) => {
       if (includeArchived !== 'true') {
         query.is_archived = { $ne: true };
       }
+      if (tokenProjectIds) {
+        query.id = { $in: tokenProjectIds };
+      }
 
       const totalCount = await Project.countDocuments(query);
       const allProjects = await Project.find(query)
@@ -132,13 +143,17 @@ exports.listProjects = async (req, res) => {
     if (includeArchived !== 'true') {
       ownedQuery.is_archived = { $ne: true };
     }
+    if (tokenProjectIds) {
+      ownedQuery.id = { $in: tokenProjectIds };
+    }
 
     const ownedProjects = await Project.find(ownedQuery)
       .sort({ creation_date: -1 })
       .lean();
 
     // Get shared projects (where user is a member)
-    const memberships = await ProjectMember.find({ user_id: req.user.id }).lean();
+    const memberships = (await ProjectMember.find({ user_id: req.user.id }).lean())
+      .filter(m => tokenAllowsProject(req.user, m.project_id));
     const sharedProjectIds = memberships.map(m => m.project_id);
     const membershipMap = Object.fromEntries(memberships.map(m => [m.project_id, m.role]));
 
@@ -235,6 +250,9 @@ exports.createProject = async (req, res) => {
     if (!projectName || typeof projectName !== 'string') {
       return response.badRequest(res, 'Project name is required');
     }
+    if (!tokenAllowsProject(req.user, null)) {
+      return response.forbidden(res, 'Access token is restricted to existing projects');
+    }
 
     // Validate project name
     const trimmedName = projectName.trim();
@@ -253,6 +271,11 @@ exports.createProject = async (req, res) => {
       return response.badRequest(res, 'Description must be 5000 characters or less');
     }
 
+    const quota = await checkStorageQuota({ userId: req.user.id });
+    if (quota.error) {
+      return response.error(res, quota.error, HTTP_STATUS.INSUFFICIENT_STORAGE);
+    }
+
     // Generate folder name from project name with date suffix for uniqueness
     const dateStr = new Date().toISOString().slice(0, 10).replace(/-/g, '');
     const folderName = `${trimmedName.replace(/ /g, '_')}_${dateStr}`;
@@ -304,7 +327,10 @@ exports.createProject = async (req, res) => {
     logger.info(`[Projects] Created project: ${projectId} | name: ${projectName}${movieDirectory ? ` | movies: ${movieDirectory}` : ''}`);
     auditLog(req, 'project_create', { resourceType: 'project', resourceId: projectId, details: projectName });
 
-    return response.created(res, { data: mapProject(project.toObject()) });
+    return response.created(res, {
+      data: mapProject(project.toObject()),
+      ...(quota.warnings.length > 0 && { storageWarnings: quota.warnings })
+    });
   } catch (error) {
     logger.error('[Projects] createProject error:', error);
     return response.serverError(res, error.message);
@@ -326,7 +352,7 @@ exports.getProject = async (req, res) => {
     }
 
     // Check ownership or membership
-    const access = await checkProjectAccess(projectId, req.user.id, 'viewer');
+    const access = await checkProjectAccess(projectId, req.user, 'viewer');
     if (!access.hasAccess) {
       return response.forbidden(res);
     }
@@ -367,7 +393,7 @@ exports.updateProject = async (req, res) => {
     }
 
     // Check ownership, staff, superuser, or admin role
-    const access = await checkProjectAccess(projectId, req.user.id, 'admin');
+    const access = await checkProjectAccess(projectId, req.user, 'admin');
     if (!access.hasAccess) {
       return response.forbidden(res, 'Only project owner or admin can update project');
     }
@@ -407,6 +433,17 @@ exports.updateProject = async (req, res) => {
       project.webhook_urls = urls;
     }
 
+    // Automatic retry policies (shape checked by updateProjectSchema)
+    if (req.body.retryPolicies !== undefined) {
+      const jobTypes = Object.values(STAGES).map(stage => stage.name);
+      const unknown = Object.keys(req.body.retryPolicies).filter(key => key !== 'default' && !jobTypes.includes(key));
+      if (unknown.length > 0) {
+        return response.badRequest(res, `Unknown job type in retryPolicies: ${unknown.join(', ')}`);
+      }
+      project.retry_policies = req.body.retryPolicies;
+      project.markModified('retry_policies');
+    }
+
     await project.save();
     auditLog(req, 'project_update', { resourceType: 'project', resourceId: projectId, details: project.project_name });
 
@@ -426,6 +463,10 @@ exports.deleteProject = async (req, res) => {
   try {
     const { projectId } = req.params;
 
+    if (!tokenAllowsProject(req.user, projectId)) {
+      return response.forbidden(res, 'Access token is not valid for this project');
+    }
+
     const project = await Project.findOne({ id: projectId });
     if (!project) {
       return response.notFound(res, 'Project not found');
@@ -463,6 +504,10 @@ exports.deleteProject = async (req, res) => {
     const deletedMembers = await ProjectMember.deleteMany({ project_id: projectId });
     logger.info(`[Projects] Deleted ${deletedMembers.deletedCount} members for project: ${projectId}`);
 
+    // Delete the project's event webhooks and their delivery log
+    await EventWebhook.deleteMany({ project_id: projectId });
+    await WebhookDelivery.deleteMany({ project_id: projectId });
+
     // Delete the project from database
     await Project.deleteOne({ id: projectId });
     logger.info(`[Projects] Deleted project from database: ${projectId}`);
@@ -496,7 +541,7 @@ exports.getProjectJobs = async (req, res) => {
     }
 
     // Check ownership, staff/superuser, or membership
-    const access = await checkProjectAccess(projectId, req.user.id, 'viewer');
+    const access = await checkProjectAccess(projectId, req.user, 'viewer');
     if (!access.hasAccess) {
       return response.forbidden(res);
     }
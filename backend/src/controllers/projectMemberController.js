@@ -10,11 +10,22 @@ const ProjectMember = require('../models/ProjectMember');
 const User = require('../models/User');
 const response = require('../utils/responseHelper');
 const { mapKeys } = require('../utils/mapKeys');
+const { tokenAllowsProject } = require('../utils/apiTokens');
 
 /**
  * Check if user has access to project (owner or member)
+ * @param {string} projectId
+ * @param {Object|number} user - req.user, so access token restrictions apply, or a user id
+ * @param {string} [requiredRole]
  */
-const checkProjectAccess = async (projectId, userId, requiredRole = 'viewer') => {
+const checkProjectAccess = async (projectId, user, requiredRole = 'viewer') => {
+  const userId = user !== null && typeof user === 'object' ? user.id : user;
+  const apiToken = user !== null && typeof user === 'object' ? user.apiToken : null;
+
+  if (!tokenAllowsProject(user, projectId)) {
+    return { hasAccess: false, error: 'Access token is not valid for this project', status: 403 };
+  }
+
   const project = await Project.findOne({ id: projectId }).lean();
   if (!project) {
     return { hasAccess: false, error: 'Project not found', status: 404 };
@@ -25,12 +36,13 @@ const checkProjectAccess = async (projectId, userId, requiredRole = 'viewer') =>
     return { hasAccess: true, project, role: 'owner' };
   }
 
-  // Staff and superusers have access to all projects
-  const user = await User.findOne({ id: userId }).lean();
-  if (user && user.is_superuser) {
+  // Staff and superusers have access to all projects (tokens need the admin scope)
+  const account = await User.findOne({ id: userId }).lean();
+  const staffRights = !apiToken || apiToken.scopes.includes('admin');
+  if (staffRights && account && account.is_superuser) {
     return { hasAccess: true, project, role: 'admin' };
   }
-  if (user && user.is_staff) {
+  if (staffRights && account && account.is_staff) {
     return { hasAccess: true, project, role: 'editor' };
   }
 
@@ -61,7 +73,7 @@ exports.listMembers = async (req, res) => {
     const { projectId } = req.params;
 
     // Check access (any member can view member list)
-    const access = await checkProjectAccess(projectId, req.user.id, 'viewer');
+    const access = await checkProjectAccess(projectId, req.user, 'viewer');
     if (!access.hasAccess) {
       if (access.status === 404) {
         return response.notFound(res, access.error);
@@ -84,6 +96,7 @@ exports.listMembers = async (req, res) => {
           firstName: user?.first_name || '',
           lastName: user?.last_name || '',
           role: member.role,
+          source: member.source || 'manual',
           addedAt: member.added_at
         };
       })
@@ -121,7 +134,7 @@ exports.addMember = async (req, res) => {
     const { userId, username, email, role = 'viewer' } = req.body;
 
     // Check access (need admin role to add members)
-    const access = await checkProjectAccess(projectId, req.user.id, 'admin');
+    const access = await checkProjectAccess(projectId, req.user, 'admin');
     if (!access.hasAccess) {
       // Owner can always add members
       const project = await Project.findOne({ id: projectId }).lean();
@@ -212,7 +225,7 @@ exports.updateMember = async (req, res) => {
 
     const isOwner = project.created_by_id === req.user.id;
     if (!isOwner) {
-      const access = await checkProjectAccess(projectId, req.user.id, 'admin');
+      const access = await checkProjectAccess(projectId, req.user, 'admin');
       if (!access.hasAccess) {
         return response.forbidden(res, 'Only project owner or admin can update member roles');
       }
@@ -283,7 +296,7 @@ exports.removeMember = async (req, res) => {
     const isRemovingSelf = req.user.id === parseInt(userId);
 
     if (!isOwner && !isRemovingSelf) {
-      const access = await checkProjectAccess(projectId, req.user.id, 'admin');
+      const access = await checkProjectAccess(projectId, req.user, 'admin');
       if (!access.hasAccess) {
         return response.forbidden(res, 'Only project owner, admin, or the member themselves can remove membership');
       }
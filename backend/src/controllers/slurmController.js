@@ -9,13 +9,15 @@ const fs = require('fs');
 const path = require('path');
 const logger = require('../utils/logger');
 const { getMonitor } = require('../services/slurmMonitor');
+const { getScheduler } = require('../services/schedulers');
 const Job = require('../models/Job');
 const Project = require('../models/Project');
 const { getProjectPath } = require('../utils/pathUtils');
-const { sanitizePartition, sanitizeUsername, sanitizeSlurmJobId } = require('../utils/security');
+const { sanitizePartition, sanitizeUsername } = require('../utils/security');
 const response = require('../utils/responseHelper');
 const { JOB_STATUS, TERMINAL_STATUSES } = require('../config/constants');
 const auditLog = require('../utils/auditLogger');
+const { tokenAllowsProject } = require('../utils/apiTokens');
 
 /**
  * Get available SLURM partitions
@@ -160,69 +162,30 @@ exports.getNodes = async (req, res) => {
  */
 exports.getStatus = async (req, res) => {
   try {
-    // Check if SLURM is available
-    const slurmAvailable = await execCommand('sinfo', ['--version'])
-      .then(() => true)
-      .catch(() => false);
+    const scheduler = getScheduler();
+    const available = await scheduler.isAvailable();
 
-    // Get node counts
     let nodeStats = { totalNodes: 0, idleNodes: 0, busyNodes: 0, downNodes: 0 };
-    if (slurmAvailable) {
-      nodeStats = await execCommand('sinfo', ['--format=%T|%D', '--noheader'])
-        .then(({ stdout }) => {
-          let total = 0, idle = 0, busy = 0, down = 0;
-          const lines = stdout.trim().split('\n').filter(l => l);
-
-          for (const line of lines) {
-            const [state, count] = line.split('|').map(s => s.trim());
-            const nodeCount = parseInt(count) || 0;
-            total += nodeCount;
-
-            if (state === 'idle') {
-              idle += nodeCount;
-            } else if (state === 'alloc' || state === 'mix' || state === 'allocated') {
-              busy += nodeCount;
-            } else if (state === 'down' || state === 'drain' || state === 'draining') {
-              down += nodeCount;
-            }
-          }
-
-          return { totalNodes: total, idleNodes: idle, busyNodes: busy, downNodes: down };
-        })
-        .catch(() => ({ totalNodes: 0, idleNodes: 0, busyNodes: 0, downNodes: 0 }));
-    }
-
-    // Get job counts
     let jobStats = { runningJobs: 0, pendingJobs: 0 };
-    if (slurmAvailable) {
-      jobStats = await execCommand('squeue', ['--format=%t', '--noheader'])
-        .then(({ stdout }) => {
-          let running = 0, pending = 0;
-          const lines = stdout.trim().split('\n').filter(l => l);
-
-          for (const line of lines) {
-            const state = line.trim();
-            if (state === 'R') running++;
-            else if (state === 'PD') pending++;
-          }
-
-          return { runningJobs: running, pendingJobs: pending };
-        })
-        .catch(() => ({ runningJobs: 0, pendingJobs: 0 }));
-    }
-
-    // Get partitions list
     let partitions = [];
-    if (slurmAvailable) {
-      partitions = await execCommand('sinfo', ['--format=%P', '--noheader'])
-        .then(({ stdout }) => {
-          return [...new Set(stdout.trim().split('\n').map(p => p.replace('*', '').trim()).filter(p => p))];
-        })
-        .catch(() => []);
+    if (available) {
+      const [partitionList, queue] = await Promise.all([scheduler.getPartitions(), scheduler.getQueueStatus()]);
+
+      for (const { nodes } of partitionList) {
+        nodeStats.totalNodes += nodes.total;
+        nodeStats.idleNodes += nodes.idle;
+        nodeStats.busyNodes += nodes.allocated;
+        nodeStats.downNodes += nodes.down;
+      }
+      for (const counts of Object.values(queue.partitions)) {
+        jobStats.runningJobs += counts.running;
+        jobStats.pendingJobs += counts.pending;
+      }
+      partitions = partitionList.map(p => p.name);
     }
 
     return response.successData(res, {
-      available: slurmAvailable,
+      available,
       ...nodeStats,
       ...jobStats,
       partitions
@@ -241,8 +204,6 @@ exports.getQueue = async (req, res) => {
   try {
     const { all, user } = req.query;
 
-    const args = ['--format=%i|%j|%u|%P|%t|%M|%l|%D|%R', '--noheader'];
-
     // Validate and sanitize user parameter
     const safeUser = sanitizeUsername(user);
     if (user && !safeUser) {
@@ -250,39 +211,21 @@ exports.getQueue = async (req, res) => {
       return response.success(res, { jobs: [] });
     }
 
-    if (safeUser) {
-      args.push(`--user=${safeUser}`);
-    } else if (!all || all === 'false') {
-      // Only show current user's jobs - use $USER which is safe
-      args.push('--user=' + process.env.USER);
-    }
+    // Only show current user's jobs unless asked for all - $USER is safe
+    const queueUser = safeUser || ((!all || all === 'false') ? process.env.USER : undefined);
 
-    const jobs = await execCommand('squeue', args)
-      .then(({ stdout }) => {
-        const lines = stdout.trim().split('\n').filter(l => l);
-        const jobList = [];
-
-        for (const line of lines) {
-          const [id, name, queueUser, partition, state, elapsed, timelimit, nodes, reason] =
-            line.split('|').map(s => s.trim());
-
-          jobList.push({
-            slurmJobId: id,
-            name,
-            user: queueUser,
-            partition,
-            state,
-            stateReadable: state === 'R' ? 'Running' : state === 'PD' ? 'Pending' : state,
-            elapsed,
-            timelimit,
-            nodes: parseInt(nodes) || 1,
-            reason: reason || ''
-          });
-        }
-
-        return jobList;
-      })
-      .catch(() => []);
+    const jobs = (await getScheduler().listJobs({ user: queueUser })).map(job => ({
+      slurmJobId: job.jobId,
+      name: job.name,
+      user: job.user,
+      partition: job.partition,
+      state: job.state,
+      stateReadable: job.status === 'running' ? 'Running' : job.status === 'pending' ? 'Pending' : job.state,
+      elapsed: job.elapsed,
+      timelimit: job.timelimit,
+      nodes: job.nodes,
+      reason: job.reason
+    }));
 
     return response.success(res, { jobs });
   } catch (error) {
@@ -334,38 +277,34 @@ exports.cancelJob = async (req, res) => {
       return response.badRequest(res, 'slurmJobId is required');
     }
 
-    // Validate and sanitize SLURM job ID to prevent command injection
-    const safeJobId = sanitizeSlurmJobId(slurmJobId);
+    // Tokens restricted to projects may only cancel jobs recorded in them
+    const job = await Job.findOne(jobId ? { id: jobId } : { slurm_job_id: slurmJobId }).lean();
+    if (!tokenAllowsProject(req.user, job?.project_id)) {
+      return response.forbidden(res, 'Access token is not valid for this project');
+    }
+
+    // Validate the job ID for the scheduler it was submitted to, to prevent command injection
+    const safeJobId = getScheduler(job?.scheduler).sanitizeJobId(slurmJobId);
     if (!safeJobId) {
       logger.warn(`[SLURM] Invalid job ID rejected: ${slurmJobId}`);
       return response.badRequest(res, 'Invalid SLURM job ID format');
     }
 
-    // Cancel via SLURM
-    const cancelled = await execCommand('scancel', [safeJobId])
-      .then(() => true)
-      .catch(() => false);
+    const cancelled = await getMonitor().cancelJob(safeJobId, job?.scheduler);
 
-    // Update job in database if jobId provided
-    if (jobId) {
-      await Job.findOneAndUpdate(
-        { id: jobId },
-        {
-          status: JOB_STATUS.CANCELLED,
-          end_time: new Date(),
-          updated_at: new Date()
-        }
-      );
-    } else {
-      // Try to find by slurm_job_id
-      await Job.findOneAndUpdate(
-        { slurm_job_id: slurmJobId },
-        {
-          status: JOB_STATUS.CANCELLED,
-          end_time: new Date(),
-          updated_at: new Date()
-        }
-      );
+    // Update job in database if jobId provided, otherwise try to find by slurm_job_id
+    const cancelledJob = await Job.findOneAndUpdate(
+      jobId ? { id: jobId } : { slurm_job_id: slurmJobId },
+      {
+        status: JOB_STATUS.CANCELLED,
+        end_time: new Date(),
+        updated_at: new Date()
+      }
+    );
+
+    // Jobs queued behind this one can never start now
+    if (cancelledJob) {
+      await getMonitor().cascadeToDependents(cancelledJob, JOB_STATUS.CANCELLED);
     }
 
     if (cancelled) {
@@ -401,18 +340,14 @@ exports.cancelJobById = async (req, res) => {
       return response.forbidden(res, 'Not authorized to cancel this job');
     }
 
+    if (!tokenAllowsProject(req.user, job.project_id)) {
+      return response.forbidden(res, 'Access token is not valid for this project');
+    }
+
     let cancelled = true;
     if (job.slurm_job_id) {
-      // SLURM job: cancel via scancel
-      const safeJobId = sanitizeSlurmJobId(job.slurm_job_id);
-      if (safeJobId) {
-        cancelled = await execCommand('scancel', [safeJobId])
-          .then(() => true)
-          .catch(() => false);
-      } else {
-        logger.warn(`[SLURM] Invalid job ID in database: ${job.slurm_job_id}`);
-        cancelled = false;
-      }
+      // Queued job: cancel through the scheduler it was submitted to
+      cancelled = await getMonitor().cancelJob(job.slurm_job_id, job.scheduler);
     } else if (job.local_pid) {
       // Direct (local) job: kill the process
       try {
@@ -436,6 +371,7 @@ exports.cancelJobById = async (req, res) => {
         local_pid: null
       }
     );
+    await getMonitor().cascadeToDependents(job, JOB_STATUS.CANCELLED);
 
     if (cancelled) {
       return response.success(res, { message: 'Job cancelled' });
@@ -763,13 +699,14 @@ exports.deleteJob = async (req, res) => {
       return response.forbidden(res, 'Not authorized to delete this job');
     }
 
+    if (!tokenAllowsProject(req.user, job.project_id)) {
+      return response.forbidden(res, 'Access token is not valid for this project');
+    }
+
     // Cancel if still running
     if (job.status === JOB_STATUS.RUNNING) {
       if (job.slurm_job_id) {
-        const safeJobId = sanitizeSlurmJobId(job.slurm_job_id);
-        if (safeJobId) {
-          await execCommand('scancel', [safeJobId]).catch(() => {});
-        }
+        await getMonitor().cancelJob(job.slurm_job_id, job.scheduler);
       } else if (job.local_pid) {
         try { process.kill(job.local_pid, 'SIGTERM'); } catch (_) {}
       }
@@ -808,6 +745,10 @@ exports.updateJobStatus = async (req, res) => {
       return response.forbidden(res, 'Not authorized to update this job');
     }
 
+    if (!tokenAllowsProject(req.user, job.project_id)) {
+      return response.forbidden(res, 'Access token is not valid for this project');
+    }
+
     const updateData = {
       status,
       updated_at: new Date()
@@ -845,6 +786,10 @@ exports.toggleNotifyEmail = async (req, res) => {
       return response.forbidden(res, 'Not authorized to modify this job');
     }
 
+    if (!tokenAllowsProject(req.user, job.project_id)) {
+      return response.forbidden(res, 'Access token is not valid for this project');
+    }
+
     job.notify_email = !job.notify_email;
     await job.save();
 
@@ -5,7 +5,9 @@
  *
  * SmartScope sends optics params + watch directory, CryoProcess watches
  * for new movies and runs Import → MotionCorr → CTF. SmartScope polls
- * /results/:sessionId to get per-micrograph CTF data.
+ * /results/:sessionId to get per-micrograph CTF data, or passes a callback
+ * URL and secret on start to have each batch's results pushed to it
+ * (services/smartscopeCallbacks.js).
  *
  * Endpoints:
  *   GET  /api/smartscope/health              — Health check
@@ -22,11 +24,14 @@ const logger = require('../utils/logger');
 const response = require('../utils/responseHelper');
 const settings = require('../config/settings');
 const smartscopeService = require('../services/smartscopeService');
-const { parseStarFile } = require('../utils/starParser');
 const LiveSession = require('../models/LiveSession');
 const Project = require('../models/Project');
 const Job = require('../models/Job');
 const { getLiveOrchestrator } = require('../services/liveOrchestrator');
+const { encryptField } = require('../utils/crypto');
+
+// HMAC keys shorter than this are too easy to guess
+const MIN_CALLBACK_SECRET_LENGTH = 16;
 
 /**
  * Health check / connection test
@@ -47,9 +52,10 @@ exports.health = async (req, res) => {
  *
  * Request (SmartScope sends snake_case): {
  *   watch_dir, grid_name, output_dir, pixel_size, voltage, cs,
- *   amplitude_contrast, threads, gpus, n_processes
+ *   amplitude_contrast, threads, gpus, n_processes,
+ *   callback_url, callback_secret   (optional, both or neither)
  * }
- * Response: { "sessionId": "sess-abc-123" }
+ * Response: { "sessionId": "sess-abc-123", "callbacks": true }
  */
 exports.startSession = async (req, res) => {
   try {
@@ -65,7 +71,9 @@ exports.startSession = async (req, res) => {
       file_pattern: filePattern = '*.tiff',
       threads,
       gpus,
-      n_processes: nProcesses
+      n_processes: nProcesses,
+      callback_url: callbackUrl,
+      callback_secret: callbackSecret
     } = req.body;
 
     // Validate required fields
@@ -82,6 +90,21 @@ exports.startSession = async (req, res) => {
       return response.badRequest(res, 'cs (spherical aberration) is required');
     }
 
+    if (callbackUrl || callbackSecret) {
+      let parsed = null;
+      try {
+        parsed = new URL(callbackUrl);
+      } catch (err) {
+        // Reported below
+      }
+      if (!parsed || !['http:', 'https:'].includes(parsed.protocol)) {
+        return response.badRequest(res, 'callback_url must be an http(s) URL');
+      }
+      if (typeof callbackSecret !== 'string' || callbackSecret.length < MIN_CALLBACK_SECRET_LENGTH) {
+        return response.badRequest(res, `callback_secret of at least ${MIN_CALLBACK_SECRET_LENGTH} characters is required with callback_url`);
+      }
+    }
+
     // Validate watch directory exists
     if (!fs.existsSync(watchDir)) {
       return response.badRequest(res, `Watch directory not found: ${watchDir}`);
@@ -131,17 +154,18 @@ exports.startSession = async (req, res) => {
       // SmartScope only needs Import → MotionCorr → CTF
       picking_config: { enabled: false },
       extraction_config: { enabled: false },
-      class2d_config: { enabled: false }
+      class2d_config: { enabled: false },
+      callback: callbackUrl ? { url: callbackUrl, secret: encryptField(callbackSecret) } : undefined
     });
 
     await session.save();
-    logger.info(`[SmartScope] Session created: ${session.id} | grid: ${gridName || 'default'} | watching: ${watchDir}`);
+    logger.info(`[SmartScope] Session created: ${session.id} | grid: ${gridName || 'default'} | watching: ${watchDir}${callbackUrl ? ` | callbacks: ${callbackUrl}` : ''}`);
 
     // Start the session via live orchestrator
     const orchestrator = getLiveOrchestrator();
     await orchestrator.startSession(session.id);
 
-    return response.success(res, { sessionId: session.id }, 201);
+    return response.success(res, { sessionId: session.id, callbacks: Boolean(callbackUrl) }, 201);
 
   } catch (err) {
     logger.error(`[SmartScope] Start error: ${err.message}`);
@@ -192,57 +216,7 @@ exports.getResults = async (req, res) => {
     const project = await Project.findOne({ id: session.project_id });
     const projectRoot = project ? project.getPath(settings.ROOT_PATH) : '';
 
-    const toAbsolute = (relPath) => {
-      if (!relPath) return '';
-      if (path.isAbsolute(relPath)) return relPath;
-      return projectRoot ? path.join(projectRoot, relPath) : relPath;
-    };
-
-    // Parse CTF STAR file
-    const starData = await parseStarFile(ctfStarPath);
-    const rows = starData.micrographs?.rows || starData.files || [];
-
-    const micrographs = [];
-    for (const row of rows) {
-      const relMicrographPath = row.rlnMicrographName || '';
-      const relCtfImagePath = row.rlnCtfImage || '';
-      const micrographPath = toAbsolute(relMicrographPath);
-      const ctfImagePath = toAbsolute(relCtfImagePath);
-
-      // micrograph_name = filename without extension
-      const micrographName = relMicrographPath
-        ? path.basename(relMicrographPath, path.extname(relMicrographPath))
-        : '';
-
-      const defocusU = parseFloat(row.rlnDefocusU || 0);
-      const defocusV = parseFloat(row.rlnDefocusV || 0);
-      const defocusAngle = parseFloat(row.rlnDefocusAngle || 0);
-      const ctfFit = parseFloat(row.rlnCtfFigureOfMerit || 0);
-      const imageX = parseInt(row.rlnImageSizeX || 0, 10);
-      const imageY = parseInt(row.rlnImageSizeY || 0, 10);
-
-      // Convert defocus from Angstroms to micrometers
-      const defocus = (defocusU + defocusV) / 2 / 10000;
-      const astig = Math.abs(defocusU - defocusV) / 10000;
-
-      // Generate PNGs lazily (cached on disk after first conversion)
-      const micrographPng = await smartscopeService.mrcToPng(micrographPath);
-      const ctfPng = await smartscopeService.mrcToPng(ctfImagePath, '_ctf');
-
-      micrographs.push({
-        micrographName: micrographName,
-        status: 'completed',
-        defocus: Math.round(defocus * 1000) / 1000,
-        astig: Math.round(astig * 1000) / 1000,
-        angast: Math.round(defocusAngle * 10) / 10,
-        ctffit: Math.round(ctfFit * 1000) / 1000,
-        shapeX: imageX,
-        shapeY: imageY,
-        pixelSize: session.optics.pixel_size,
-        micrographPng: micrographPng,
-        ctfPng: ctfPng
-      });
-    }
+    const micrographs = await smartscopeService.buildSessionResults(session, ctfStarPath, projectRoot);
 
     return response.success(res, { micrographs });
 
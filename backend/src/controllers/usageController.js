@@ -1,8 +1,9 @@
 /**
  * Usage Controller
  *
- * Provides compute usage reports for admin billing/reporting.
- * Aggregates job data by user, project, and month.
+ * Provides compute and storage usage reports for admin billing/reporting.
+ * Aggregates job data by user, project, and month; storage comes from the
+ * latest storage accounting scan.
  */
 
 const Job = require('../models/Job');
@@ -10,6 +11,29 @@ const User = require('../models/User');
 const Project = require('../models/Project');
 const logger = require('../utils/logger');
 const response = require('../utils/responseHelper');
+const auditLog = require('../utils/auditLogger');
+const { getStorageAccounting, getUserStorageBytes } = require('../services/storageAccounting');
+
+const toGb = bytes => Math.round(((bytes || 0) / 1024 ** 3) * 100) / 100;
+
+/**
+ * Storage of active projects by category, from the last scans
+ * @returns {Promise<Object>} { totalGb, moviesGb, derivedGb, scratchGb, otherGb, lastScannedAt }
+ */
+async function getStorageSummary() {
+  const projects = await Project.find({ is_archived: { $ne: true } }).select('storage').lean();
+  const sum = key => projects.reduce((acc, p) => acc + (p.storage?.[key] || 0), 0);
+  const scans = projects.map(p => p.storage?.scanned_at).filter(Boolean).map(d => new Date(d));
+
+  return {
+    totalGb: toGb(sum('total_bytes')),
+    moviesGb: toGb(sum('movies_bytes')),
+    derivedGb: toGb(sum('derived_bytes')),
+    scratchGb: toGb(sum('scratch_bytes')),
+    otherGb: toGb(sum('other_bytes')),
+    lastScannedAt: scans.length > 0 ? new Date(Math.max(...scans)) : null
+  };
+}
 
 /**
  * GET /api/admin/usage
@@ -114,10 +138,13 @@ exports.getUsageReport = async (req, res) => {
           entry.userId = row._id;
           entry.username = user?.username || 'Unknown';
           entry.name = user ? `${user.first_name || ''} ${user.last_name || ''}`.trim() || user.username : 'Unknown';
+          entry.storageGb = toGb(await getUserStorageBytes(row._id));
         } else if (groupBy === 'project') {
-          const project = await Project.findOne({ id: row._id }).select('project_name').lean();
+          const project = await Project.findOne({ id: row._id }).select('project_name storage').lean();
           entry.projectId = row._id;
           entry.projectName = project?.project_name || 'Deleted Project';
+          entry.storageGb = toGb(project?.storage?.total_bytes);
+          entry.scratchGb = toGb(project?.storage?.scratch_bytes);
         } else {
           entry.year = row._id.year;
           entry.month = row._id.month;
@@ -161,6 +188,7 @@ exports.getUsageReport = async (req, res) => {
     return response.successData(res, {
       rows: enriched,
       totals,
+      storage: await getStorageSummary(),
       dateRange: { start: startDate.toISOString(), end: endDate.toISOString() },
       groupBy,
     });
@@ -169,3 +197,175 @@ exports.getUsageReport = async (req, res) => {
     return response.serverError(res, error.message);
   }
 };
+
+/**
+ * GET /api/admin/usage/storage
+ * Storage of every active project, largest first, with its owner and quota
+ */
+exports.getStorageReport = async (req, res) => {
+  try {
+    const projects = await Project.find({ is_archived: { $ne: true } })
+      .select('id project_name created_by_id storage storage_quota')
+      .lean();
+
+    const rows = projects
+      .map(p => ({
+        projectId: p.id,
+        projectName: p.project_name,
+        ownerId: p.created_by_id,
+        totalGb: toGb(p.storage?.total_bytes),
+        moviesGb: toGb(p.storage?.movies_bytes),
+        derivedGb: toGb(p.storage?.derived_bytes),
+        scratchGb: toGb(p.storage?.scratch_bytes),
+        otherGb: toGb(p.storage?.other_bytes),
+        scannedAt: p.storage?.scanned_at || null,
+        quota: { softGb: p.storage_quota?.soft_gb ?? null, hardGb: p.storage_quota?.hard_gb ?? null }
+      }))
+      .sort((a, b) => b.totalGb - a.totalGb);
+
+    return response.successData(res, { rows, totals: await getStorageSummary() });
+  } catch (error) {
+    logger.error('[Usage] getStorageReport error:', error);
+    return response.serverError(res, error.message);
+  }
+};
+
+/**
+ * GET /api/admin/usage/storage/:projectId
+ * Per-job directory sizes of one project, largest first
+ */
+exports.getProjectStorage = async (req, res) => {
+  try {
+    const project = await Project.findOne({ id: req.params.projectId }).select('id project_name storage').lean();
+    if (!project) {
+      return response.notFound(res, 'Project not found');
+    }
+
+    const jobs = await Job.find({ project_id: project.id })
+      .select('id job_name job_type status disk_usage')
+      .lean();
+
+    const rows = jobs
+      .map(job => ({
+        jobId: job.id,
+        jobName: job.job_name,
+        jobType: job.job_type,
+        status: job.status,
+        totalGb: toGb(job.disk_usage?.total_bytes),
+        scratchGb: toGb(job.disk_usage?.scratch_bytes),
+        scannedAt: job.disk_usage?.scanned_at || null
+      }))
+      .sort((a, b) => b.totalGb - a.totalGb);
+
+    return response.successData(res, {
+      projectId: project.id,
+      projectName: project.project_name,
+      storage: project.storage,
+      jobs: rows
+    });
+  } catch (error) {
+    logger.error('[Usage] getProjectStorage error:', error);
+    return response.serverError(res, error.message);
+  }
+};
+
+/**
+ * POST /api/admin/usage/storage/scan
+ * Start a storage scan of all projects in the background
+ */
+exports.scanStorage = async (req, res) => {
+  const accounting = getStorageAccounting();
+  if (accounting.scanning) {
+    return response.conflict(res, 'A storage scan is already running');
+  }
+
+  accounting.scanAll().catch(err => logger.error(`[Usage] Storage scan failed: ${err.message}`));
+  return res.status(202).json({ success: true, message: 'Storage scan started' });
+};
+
+/**
+ * Validate a { softGb, hardGb } quota body
+ * @returns {{quota: Object|null, error: string|null}} quota as stored ({ soft_gb, hard_gb })
+ */
+function parseQuota(body = {}) {
+  const quota = {};
+  for (const [key, field] of [['softGb', 'soft_gb'], ['hardGb', 'hard_gb']]) {
+    const value = body[key];
+    if (value === undefined || value === null) {
+      quota[field] = null;
+    } else if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+      return { quota: null, error: `${key} must be a number of GB (0 = unlimited) or null for the default` };
+    } else {
+      quota[field] = value;
+    }
+  }
+  if (quota.soft_gb && quota.hard_gb && quota.soft_gb > quota.hard_gb) {
+    return { quota: null, error: 'softGb cannot be larger than hardGb' };
+  }
+  return { quota, error: null };
+}
+
+/**
+ * PUT /api/admin/usage/quotas/projects/:projectId
+ * Body: { softGb, hardGb } — null restores the default
+ */
+exports.setProjectQuota = async (req, res) => {
+  try {
+    const { quota, error } = parseQuota(req.body);
+    if (error) {
+      return response.badRequest(res, error);
+    }
+
+    const project = await Project.findOneAndUpdate(
+      { id: req.params.projectId },
+      { $set: { storage_quota: quota } },
+      { new: true }
+    ).lean();
+    if (!project) {
+      return response.notFound(res, 'Project not found');
+    }
+
+    auditLog(req, 'admin_update_quota', {
+      resourceType: 'project',
+      resourceId: project.id,
+      details: `soft ${quota.soft_gb ?? 'default'} GB, hard ${quota.hard_gb ?? 'default'} GB`
+    });
+    return response.successData(res, { projectId: project.id, quota: { softGb: quota.soft_gb, hardGb: quota.hard_gb } });
+  } catch (error) {
+    logger.error('[Usage] setProjectQuota error:', error);
+    return response.serverError(res, error.message);
+  }
+};
+
+/**
+ * PUT /api/admin/usage/quotas/users/:userId
+ * Body: { softGb, hardGb } — applies to all active projects the user owns
+ */
+exports.setUserQuota = async (req, res) => {
+  try {
+    const { quota, error } = parseQuota(req.body);
+    if (error) {
+      return response.badRequest(res, error);
+    }
+
+    const userId = parseInt(req.params.userId, 10);
+    const user = await User.findOneAndUpdate(
+      { id: userId },
+      { $set: { storage_quota: quota } },
+      { new: true }
+    ).lean();
+    if (!user) {
+      return response.notFound(res, 'User not found');
+    }
+
+    auditLog(req, 'admin_update_quota', {
+      resourceType: 'user',
+      resourceId: String(user.id),
+      details: `soft ${quota.soft_gb ?? 'default'} GB, hard ${quota.hard_gb ?? 'default'} GB`
+    });
+    return response.successData(res, { userId: user.id, quota: { softGb: quota.soft_gb, hardGb: quota.hard_gb } });
+  } catch (error) {
+    logger.error('[Usage] setUserQuota error:', error);
+    return response.serverError(res, error.message);
+  }
+};
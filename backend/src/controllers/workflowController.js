@@ -0,0 +1,401 @@
+/**
+ * Workflow Controller
+ *
+ * Per-project workflow templates (multi-step job chains written as JSON or
+ * YAML) and their runs. Members with viewer access can read templates and
+ * runs; editors can save, run and cancel them.
+ */
+
+const logger = require('../utils/logger');
+const WorkflowTemplate = require('../models/WorkflowTemplate');
+const WorkflowRun = require('../models/WorkflowRun');
+const response = require('../utils/responseHelper');
+const auditLog = require('../utils/auditLogger');
+const { checkProjectAccess } = require('./projectMemberController');
+const { getWorkflowRunner } = require('../services/workflowRunner');
+const { LIMITS } = require('../config/constants');
+const {
+  parseWorkflowSource,
+  validateWorkflowTemplate,
+  describeWorkflowSteps
+} = require('../utils/workflowTemplate');
+
+/**
+ * Shape a template for the API. Step parameters are returned as stored,
+ * since they are job parameter names rather than document fields.
+ */
+const serializeTemplate = (template, { includeSource = false } = {}) => ({
+  id: template.id,
+  projectId: template.project_id,
+  name: template.name,
+  description: template.description,
+  steps: template.steps,
+  summary: describeWorkflowSteps(template.steps),
+  sourceFormat: template.source_format,
+  ...(includeSource ? { source: template.source } : {}),
+  createdBy: template.created_by,
+  updatedBy: template.updated_by,
+  createdAt: template.created_at,
+  updatedAt: template.updated_at
+});
+
+const serializeRun = (run) => ({
+  id: run.id,
+  projectId: run.project_id,
+  workflowId: run.workflow_id,
+  workflowName: run.workflow_name,
+  userId: run.user_id,
+  status: run.status,
+  steps: run.steps.map(step => ({
+    stepId: step.step_id,
+    jobType: step.job_type,
+    needs: step.needs,
+    status: step.status,
+    jobId: step.job_id,
+    jobName: step.job_name,
+    jobDir: step.job_dir,
+    error: step.error,
+    submittedAt: step.submitted_at
+  })),
+  createdAt: run.created_at,
+  updatedAt: run.updated_at,
+  finishedAt: run.finished_at
+});
+
+/**
+ * Read a template from the request body: either `content` (JSON or YAML
+ * text) or `template` (an already-parsed object).
+ * @returns {Object} { value, source, format } or { error }
+ */
+const readTemplateBody = (body = {}) => {
+  let parsed;
+  let source;
+  let format;
+
+  if (typeof body.content === 'string') {
+    if (body.content.length > LIMITS.WORKFLOW_SOURCE_MAX_LENGTH) {
+      return { error: 'Template is too large' };
+    }
+    const result = parseWorkflowSource(body.content);
+    if (result.error) {
+      return { error: result.error };
+    }
+    parsed = result.value;
+    source = body.content;
+    format = result.format;
+  } else if (body.template && typeof body.template === 'object') {
+    parsed = body.template;
+    source = JSON.stringify(body.template, null, 2);
+    format = 'json';
+  } else {
+    return { error: 'Provide the template as content (JSON or YAML text) or template (object)' };
+  }
+
+  const { value, error } = validateWorkflowTemplate(parsed);
+  if (error) {
+    return { error };
+  }
+  return { value, source, format };
+};
+
+/**
+ * Load a template of a project, checking the caller's role first
+ * @returns {Object} { template, project } or { error, status }
+ */
+const loadTemplate = async (projectId, workflowId, user, role) => {
+  const access = await checkProjectAccess(projectId, user, role);
+  if (!access.hasAccess) {
+    return { error: access.error, status: access.status };
+  }
+  const template = await WorkflowTemplate.findOne({ id: workflowId, project_id: projectId });
+  if (!template) {
+    return { error: 'Workflow not found', status: 404 };
+  }
+  return { template, project: access.project };
+};
+
+/**
+ * List a project's workflow templates
+ * GET /api/projects/:projectId/workflows
+ */
+exports.listWorkflows = async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    const access = await checkProjectAccess(projectId, req.user, 'viewer');
+    if (!access.hasAccess) {
+      return response.error(res, access.error, access.status);
+    }
+
+    const templates = await WorkflowTemplate.find({ project_id: projectId })
+      .sort({ name: 1 })
+      .lean();
+
+    return response.successData(res, templates.map(t => serializeTemplate(t)));
+  } catch (error) {
+    logger.error('[Workflow] listWorkflows error:', error);
+    return response.serverError(res, error.message);
+  }
+};
+
+/**
+ * Save a new workflow template
+ * POST /api/projects/:projectId/workflows
+ * Body: { content: "<JSON or YAML>" } or { template: {...} }
+ */
+exports.createWorkflow = async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    const access = await checkProjectAccess(projectId, req.user, 'editor');
+    if (!access.hasAccess) {
+      return response.error(res, access.error, access.status);
+    }
+
+    const { value, source, format, error } = readTemplateBody(req.body);
+    if (error) {
+      return response.badRequest(res, error);
+    }
+
+    const existing = await WorkflowTemplate.findOne({ project_id: projectId, name: value.name }).lean();
+    if (existing) {
+      return response.conflict(res, `A workflow named "${value.name}" already exists in this project`);
+    }
+
+    const template = await WorkflowTemplate.create({
+      id: WorkflowTemplate.generateId(),
+      project_id: projectId,
+      name: value.name,
+      description: value.description,
+      steps: value.steps,
+      source,
+      source_format: format,
+      created_by: req.user.id
+    });
+
+    logger.info(`[Workflow] Saved "${template.name}" in project ${projectId}: ${describeWorkflowSteps(template.steps)}`);
+    auditLog(req, 'workflow_create', {
+      resourceType: 'workflow',
+      resourceId: template.id,
+      details: template.name
+    });
+
+    return response.successData(res, serializeTemplate(template, { includeSource: true }), 201);
+  } catch (error) {
+    logger.error('[Workflow] createWorkflow error:', error);
+    return response.serverError(res, error.message);
+  }
+};
+
+/**
+ * Get a workflow template including its source text
+ * GET /api/projects/:projectId/workflows/:workflowId
+ */
+exports.getWorkflow = async (req, res) => {
+  try {
+    const { projectId, workflowId } = req.params;
+    const result = await loadTemplate(projectId, workflowId, req.user, 'viewer');
+    if (result.error) {
+      return response.error(res, result.error, result.status);
+    }
+
+    return response.successData(res, serializeTemplate(result.template, { includeSource: true }));
+  } catch (error) {
+    logger.error('[Workflow] getWorkflow error:', error);
+    return response.serverError(res, error.message);
+  }
+};
+
+/**
+ * Replace a workflow template. Runs already started keep their own copy of the steps.
+ * PUT /api/projects/:projectId/workflows/:workflowId
+ * Body: { content: "<JSON or YAML>" } or { template: {...} }
+ */
+exports.updateWorkflow = async (req, res) => {
+  try {
+    const { projectId, workflowId } = req.params;
+    const result = await loadTemplate(projectId, workflowId, req.user, 'editor');
+    if (result.error) {
+      return response.error(res, result.error, result.status);
+    }
+
+    const { value, source, format, error } = readTemplateBody(req.body);
+    if (error) {
+      return response.badRequest(res, error);
+    }
+
+    const { template } = result;
+    if (value.name !== template.name) {
+      const existing = await WorkflowTemplate.findOne({ project_id: projectId, name: value.name }).lean();
+      if (existing) {
+        return response.conflict(res, `A workflow named "${value.name}" already exists in this project`);
+      }
+    }
+
+    template.name = value.name;
+    template.description = value.description;
+    template.steps = value.steps;
+    template.source = source;
+    template.source_format = format;
+    template.updated_by = req.user.id;
+    template.updated_at = new Date();
+    await template.save();
+
+    auditLog(req, 'workflow_update', {
+      resourceType: 'workflow',
+      resourceId: template.id,
+      details: template.name
+    });
+
+    return response.successData(res, serializeTemplate(template, { includeSource: true }));
+  } catch (error) {
+    logger.error('[Workflow] updateWorkflow error:', error);
+    return response.serverError(res, error.message);
+  }
+};
+
+/**
+ * Delete a workflow template. Past runs are kept.
+ * DELETE /api/projects/:projectId/workflows/:workflowId
+ */
+exports.deleteWorkflow = async (req, res) => {
+  try {
+    const { projectId, workflowId } = req.params;
+    const result = await loadTemplate(projectId, workflowId, req.user, 'editor');
+    if (result.error) {
+      return response.error(res, result.error, result.status);
+    }
+
+    await WorkflowTemplate.deleteOne({ id: workflowId });
+
+    auditLog(req, 'workflow_delete', {
+      resourceType: 'workflow',
+      resourceId: workflowId,
+      details: result.template.name
+    });
+
+    return response.success(res, { message: 'Workflow deleted' });
+  } catch (error) {
+    logger.error('[Workflow] deleteWorkflow error:', error);
+    return response.serverError(res, error.message);
+  }
+};
+
+/**
+ * Start a run of a workflow template
+ * POST /api/projects/:projectId/workflows/:workflowId/run
+ * Body: { parameters: { <stepId>: { ...overrides } } }
+ */
+exports.runWorkflow = async (req, res) => {
+  try {
+    const { projectId, workflowId } = req.params;
+    const result = await loadTemplate(projectId, workflowId, req.user, 'editor');
+    if (result.error) {
+      return response.error(res, result.error, result.status);
+    }
+    if (result.project.is_archived) {
+      return response.badRequest(res, 'Cannot run workflows in an archived project. Restore it first.');
+    }
+
+    const overrides = req.body?.parameters || {};
+    if (typeof overrides !== 'object' || Array.isArray(overrides)) {
+      return response.badRequest(res, 'parameters must be an object keyed by step id');
+    }
+    const stepIds = result.template.steps.map(s => s.id);
+    const unknown = Object.keys(overrides).filter(id => !stepIds.includes(id));
+    if (unknown.length > 0) {
+      return response.badRequest(res, `Unknown step(s): ${unknown.join(', ')}`);
+    }
+
+    const run = await getWorkflowRunner().startRun(result.template, req.user, overrides);
+    if (!run) {
+      return response.serverError(res, 'Failed to start workflow run');
+    }
+
+    auditLog(req, 'workflow_run', {
+      resourceType: 'workflow',
+      resourceId: workflowId,
+      details: `${result.template.name} (run ${run.id})`
+    });
+
+    return response.successData(res, serializeRun(run), 202);
+  } catch (error) {
+    logger.error('[Workflow] runWorkflow error:', error);
+    return response.serverError(res, error.message);
+  }
+};
+
+/**
+ * List a project's workflow runs, newest first
+ * GET /api/projects/:projectId/workflow-runs
+ */
+exports.listRuns = async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    const access = await checkProjectAccess(projectId, req.user, 'viewer');
+    if (!access.hasAccess) {
+      return response.error(res, access.error, access.status);
+    }
+
+    const runs = await WorkflowRun.find({ project_id: projectId })
+      .sort({ created_at: -1 })
+      .limit(LIMITS.DEFAULT_JOB_LIST)
+      .lean();
+
+    return response.successData(res, runs.map(serializeRun));
+  } catch (error) {
+    logger.error('[Workflow] listRuns error:', error);
+    return response.serverError(res, error.message);
+  }
+};
+
+/**
+ * Get a workflow run with the state of each step
+ * GET /api/projects/:projectId/workflow-runs/:runId
+ */
+exports.getRun = async (req, res) => {
+  try {
+    const { projectId, runId } = req.params;
+    const access = await checkProjectAccess(projectId, req.user, 'viewer');
+    if (!access.hasAccess) {
+      return response.error(res, access.error, access.status);
+    }
+
+    const run = await WorkflowRun.findOne({ id: runId, project_id: projectId }).lean();
+    if (!run) {
+      return response.notFound(res, 'Workflow run not found');
+    }
+
+    return response.successData(res, serializeRun(run));
+  } catch (error) {
+    logger.error('[Workflow] getRun error:', error);
+    return response.serverError(res, error.message);
+  }
+};
+
+/**
+ * Cancel a workflow run: no further steps are submitted. Jobs that were
+ * already submitted keep running and can be cancelled individually.
+ * POST /api/projects/:projectId/workflow-runs/:runId/cancel
+ */
+exports.cancelRun = async (req, res) => {
+  try {
+    const { projectId, runId } = req.params;
+    const access = await checkProjectAccess(projectId, req.user, 'editor');
+    if (!access.hasAccess) {
+      return response.error(res, access.error, access.status);
+    }
+
+    const existing = await WorkflowRun.findOne({ id: runId, project_id: projectId }).lean();
+    if (!existing) {
+      return response.notFound(res, 'Workflow run not found');
+    }
+    if (existing.status !== 'running') {
+      return response.conflict(res, `Workflow run is already ${existing.status}`);
+    }
+
+    const run = await getWorkflowRunner().cancelRun(runId);
+    return response.successData(res, serializeRun(run));
+  } catch (error) {
+    logger.error('[Workflow] cancelRun error:', error);
+    return response.serverError(res, error.message);
+  }
+};
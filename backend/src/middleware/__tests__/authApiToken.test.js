@@ -0,0 +1,171 @@
+jest.mock('../../utils/logger');
+
+// ─── Shared mock state ──────────────────────────────────────────────
+
+let mockUser;
+let mockToken;
+
+// ─── Mock dependencies ──────────────────────────────────────────────
+
+jest.mock('../../config/settings', () => ({
+  JWT_SECRET: 'test-secret',
+}));
+
+jest.mock('../../models/User', () => ({
+  findOne: jest.fn().mockImplementation(() => ({
+    lean: jest.fn().mockImplementation(() => Promise.resolve(mockUser ? { ...mockUser } : null)),
+  })),
+}));
+
+jest.mock('../../models/ApiToken', () => ({
+  findOne: jest.fn().mockImplementation((query) => ({
+    lean: jest.fn().mockImplementation(() =>
+      Promise.resolve(mockToken && query.token_hash === mockToken.token_hash ? { ...mockToken } : null)),
+  })),
+  updateOne: jest.fn().mockResolvedValue({}),
+}));
+
+const ApiToken = require('../../models/ApiToken');
+const { hashToken } = require('../../utils/apiTokens');
+const authMiddleware = require('../auth');
+const { smartscopeAuth } = authMiddleware;
+
+// ─── Helpers ────────────────────────────────────────────────────────
+
+const TOKEN = `cp_pat_${'ab'.repeat(20)}`;
+
+const mockRes = () => ({
+  statusCode: null,
+  body: null,
+  status: jest.fn().mockImplementation(function (code) {
+    this.statusCode = code;
+    return this;
+  }),
+  json: jest.fn().mockImplementation(function (body) {
+    this.body = body;
+    return this;
+  }),
+});
+
+const makeReq = (method, originalUrl, headers = { authorization: `Bearer ${TOKEN}` }) => ({
+  method,
+  originalUrl,
+  headers,
+  cookies: {},
+  ip: '10.0.0.5',
+});
+
+const run = async (req, middleware = authMiddleware) => {
+  const res = mockRes();
+  const next = jest.fn();
+  await middleware(req, res, next);
+  return { res, next };
+};
+
+// ─── Setup ──────────────────────────────────────────────────────────
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  mockUser = {
+    id: 10,
+    username: 'jane',
+    email: 'jane@example.org',
+    is_active: true,
+    is_staff: true,
+    is_superuser: false,
+  };
+  mockToken = {
+    id: 'tok1',
+    user_id: 10,
+    token_hash: hashToken(TOKEN),
+    scopes: ['jobs'],
+    project_ids: ['p1'],
+    expires_at: null,
+    last_used_at: null,
+  };
+});
+
+// =====================================================================
+
+describe('authMiddleware — personal access tokens', () => {
+  it('authenticates with the token owner and its restrictions', async () => {
+    const req = makeReq('POST', '/api/jobs/submit');
+    const { next } = await run(req);
+
+    expect(next).toHaveBeenCalled();
+    expect(req.user).toMatchObject({ id: 10, username: 'jane' });
+    expect(req.user.apiToken).toEqual({ id: 'tok1', scopes: ['jobs'], projectIds: ['p1'] });
+    expect(ApiToken.updateOne).toHaveBeenCalledWith(
+      { id: 'tok1' },
+      { $set: { last_used_at: expect.any(Date), last_used_ip: '10.0.0.5' } }
+    );
+  });
+
+  it('only records use once a minute', async () => {
+    mockToken.last_used_at = new Date(Date.now() - 10 * 1000);
+    await run(makeReq('GET', '/api/projects'));
+    expect(ApiToken.updateOne).not.toHaveBeenCalled();
+  });
+
+  it('drops staff rights without the admin scope', async () => {
+    const req = makeReq('GET', '/api/projects');
+    await run(req);
+    expect(req.user.isStaff).toBe(false);
+
+    mockToken.scopes = ['read', 'admin'];
+    const adminReq = makeReq('GET', '/api/admin/users');
+    const { next } = await run(adminReq);
+    expect(next).toHaveBeenCalled();
+    expect(adminReq.user.isStaff).toBe(true);
+  });
+
+  it('refuses requests outside the token scopes', async () => {
+    mockToken.scopes = ['read'];
+
+    const { res, next } = await run(makeReq('POST', '/api/jobs/submit'));
+    expect(next).not.toHaveBeenCalled();
+    expect(res.statusCode).toBe(403);
+    expect(res.body.message).toBe('Access token lacks the "jobs" scope');
+
+    expect((await run(makeReq('POST', '/api/live-sessions'))).res.statusCode).toBe(403);
+    expect((await run(makeReq('GET', '/api/admin/users'))).res.statusCode).toBe(403);
+    expect((await run(makeReq('GET', '/api/jobs'))).next).toHaveBeenCalled();
+  });
+
+  it('keeps tokens away from account management', async () => {
+    mockToken.scopes = ['read', 'jobs', 'live', 'admin'];
+    const { res } = await run(makeReq('POST', '/api/auth/tokens'));
+
+    expect(res.statusCode).toBe(403);
+    expect(res.body.message).toBe('This endpoint is not available with an access token');
+  });
+
+  it('rejects unknown and expired tokens and disabled owners', async () => {
+    mockToken.token_hash = hashToken('cp_pat_other');
+    let { res } = await run(makeReq('GET', '/api/jobs'));
+    expect(res.statusCode).toBe(401);
+    expect(res.body.message).toBe('Invalid access token');
+
+    mockToken.token_hash = hashToken(TOKEN);
+    mockToken.expires_at = new Date(Date.now() - 1000);
+    ({ res } = await run(makeReq('GET', '/api/jobs')));
+    expect(res.statusCode).toBe(401);
+    expect(res.body.message).toBe('Access token expired');
+
+    mockToken.expires_at = new Date(Date.now() + 60 * 1000);
+    mockUser.is_active = false;
+    ({ res } = await run(makeReq('GET', '/api/jobs')));
+    expect(res.statusCode).toBe(401);
+    expect(res.body.message).toContain('disabled');
+  });
+
+  it('accepts tokens in X-API-Key, including on SmartScope routes', async () => {
+    const req = makeReq('GET', '/api/jobs', { 'x-api-key': TOKEN });
+    expect((await run(req)).next).toHaveBeenCalled();
+
+    const smartscopeReq = makeReq('POST', '/api/smartscope/session', { 'x-api-key': TOKEN });
+    const { next } = await run(smartscopeReq, smartscopeAuth);
+    expect(next).toHaveBeenCalled();
+    expect(smartscopeReq.user.apiToken.id).toBe('tok1');
+  });
+});
@@ -1,17 +1,35 @@
 /**
  * Authentication Middleware
  *
- * Validates JWT tokens and attaches user to request.
+ * Validates JWT tokens or personal access tokens and attaches user to request.
  */
 
 const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const settings = require('../config/settings');
 const User = require('../models/User');
+const ApiToken = require('../models/ApiToken');
 const logger = require('../utils/logger');
+const { isTotpRequired } = require('../utils/totp');
+const { isApiToken, hashToken, requiredScope, hasScope } = require('../utils/apiTokens');
+
+/** Only write last-used details once a minute per token */
+const TOKEN_USE_INTERVAL_MS = 60 * 1000;
 
 /**
- * Verify JWT token from HttpOnly cookie or Authorization header
+ * Record when and from where a token was used (fire and forget)
+ */
+const recordTokenUse = (apiToken, req) => {
+  if (apiToken.last_used_at && Date.now() - new Date(apiToken.last_used_at).getTime() < TOKEN_USE_INTERVAL_MS) {
+    return;
+  }
+  ApiToken.updateOne({ id: apiToken.id }, { $set: { last_used_at: new Date(), last_used_ip: req.ip || null } })
+    .catch(error => logger.warn(`[Auth] Could not record token use: ${error.message}`));
+};
+
+/**
+ * Verify JWT token from HttpOnly cookie or Authorization header, or a personal
+ * access token (Authorization: Bearer / X-API-Key) limited to its scopes
  */
 const authMiddleware = async (req, res, next) => {
   try {
@@ -28,6 +46,11 @@ const authMiddleware = async (req, res, next) => {
       token = req.cookies.atoken;
     }
 
+    // 3. X-API-Key header, for personal access tokens only
+    if (!token && isApiToken(req.headers['x-api-key'])) {
+      token = req.headers['x-api-key'];
+    }
+
     if (!token) {
       return res.status(401).json({
         status: 'error',
@@ -35,11 +58,48 @@ const authMiddleware = async (req, res, next) => {
       });
     }
 
-    // Verify token
-    const decoded = jwt.verify(token, settings.JWT_SECRET);
+    let apiToken = null;
+    let user;
+
+    if (isApiToken(token)) {
+      apiToken = await ApiToken.findOne({ token_hash: hashToken(token) }).lean();
+      if (!apiToken) {
+        logger.warn('[Auth] Invalid access token');
+        return res.status(401).json({
+          status: 'error',
+          message: 'Invalid access token'
+        });
+      }
+      if (apiToken.expires_at && new Date(apiToken.expires_at) <= new Date()) {
+        return res.status(401).json({
+          status: 'error',
+          message: 'Access token expired'
+        });
+      }
+
+      const scope = requiredScope(req.method, req.originalUrl);
+      if (!scope) {
+        return res.status(403).json({
+          status: 'error',
+          message: 'This endpoint is not available with an access token'
+        });
+      }
+      if (!hasScope(apiToken.scopes, scope)) {
+        return res.status(403).json({
+          status: 'error',
+          message: `Access token lacks the "${scope}" scope`
+        });
+      }
+
+      user = await User.findOne({ id: apiToken.user_id }).lean();
+    } else {
+      // Verify token
+      const decoded = jwt.verify(token, settings.JWT_SECRET);
+
+      // Get user from database
+      user = await User.findOne({ id: decoded.id }).lean();
+    }
 
-    // Get user from database
-    const user = await User.findOne({ id: decoded.id }).lean();
     if (!user) {
       return res.status(401).json({
         status: 'error',
@@ -54,6 +114,15 @@ const authMiddleware = async (req, res, next) => {
       });
     }
 
+    // Until a user who must use 2FA enrolls, only their own account endpoints are open
+    if (!user.totp_enabled && isTotpRequired(user) && !(req.originalUrl || '').startsWith('/api/auth/')) {
+      return res.status(403).json({
+        status: 'error',
+        code: 'TOTP_SETUP_REQUIRED',
+        message: 'Two-factor authentication must be set up for this account'
+      });
+    }
+
     // Attach user to request (camelCase — DB fields are snake_case)
     req.user = {
       id: user.id,
@@ -65,6 +134,19 @@ const authMiddleware = async (req, res, next) => {
       isSuperuser: user.is_superuser || false
     };
 
+    if (apiToken) {
+      // Staff/superuser rights only come with the admin scope
+      const canAdmin = apiToken.scopes.includes('admin');
+      req.user.isStaff = req.user.isStaff && canAdmin;
+      req.user.isSuperuser = req.user.isSuperuser && canAdmin;
+      req.user.apiToken = {
+        id: apiToken.id,
+        scopes: apiToken.scopes,
+        projectIds: apiToken.project_ids || []
+      };
+      recordTokenUse(apiToken, req);
+    }
+
     next();
   } catch (error) {
     if (error.name === 'JsonWebTokenError') {
@@ -139,12 +221,13 @@ const isSuperuser = (req, res, next) => {
  * SmartScope API key middleware
  *
  * Accepts an API key via X-API-Key header for machine-to-machine auth.
- * Falls back to standard JWT auth if no API key is provided.
+ * Falls back to standard JWT auth if no API key is provided, and leaves
+ * personal access tokens to it as well.
  */
 const smartscopeAuth = async (req, res, next) => {
   const apiKey = req.headers['x-api-key'];
 
-  if (apiKey) {
+  if (apiKey && !isApiToken(apiKey)) {
     // 1. Legacy .env SMARTSCOPE_API_KEY (backwards compatible)
     if (settings.SMARTSCOPE_API_KEY && apiKey === settings.SMARTSCOPE_API_KEY) {
       const serviceUser = await User.findOne({ username: 'smartscope' }).lean();
@@ -202,7 +285,7 @@ const smartscopeAuth = async (req, res, next) => {
     });
   }
 
-  // No API key provided — fall back to JWT auth
+  // No legacy API key provided — fall back to JWT / access token auth
   return authMiddleware(req, res, next);
 };
 
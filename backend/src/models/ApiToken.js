@@ -0,0 +1,76 @@
+/**
+ * ApiToken Model
+ *
+ * Personal access tokens for scripting against the API. A user can hold
+ * several, each with its own scopes, optional project restriction and expiry.
+ * See utils/apiTokens.js for the token format and scopes.
+ */
+
+const mongoose = require('mongoose');
+const { SCOPES } = require('../utils/apiTokens');
+
+const apiTokenSchema = new mongoose.Schema({
+  id: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true
+  },
+  user_id: {
+    type: Number,
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  // SHA-256 of the token; the token itself is only shown once
+  token_hash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  // First characters of the token, to tell tokens apart in lists
+  token_prefix: {
+    type: String,
+    required: true
+  },
+  scopes: {
+    type: [{ type: String, enum: SCOPES }],
+    default: ['read']
+  },
+  // Empty = every project the user can access
+  project_ids: {
+    type: [String],
+    default: []
+  },
+  expires_at: {
+    type: Date,
+    default: null
+  },
+  last_used_at: {
+    type: Date,
+    default: null
+  },
+  last_used_ip: {
+    type: String,
+    default: null
+  },
+  created_at: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  collection: 'api_tokens',
+  timestamps: false
+});
+
+apiTokenSchema.statics.generateId = function() {
+  return new mongoose.Types.ObjectId().toString();
+};
+
+const ApiToken = mongoose.model('ApiToken', apiTokenSchema);
+
+module.exports = ApiToken;
@@ -10,15 +10,21 @@ const mongoose = require('mongoose');
 const AUDIT_ACTIONS = [
   // Auth
   'login', 'logout', 'register', 'password_change', 'password_reset',
-  'forgot_password',
+  'forgot_password', 'totp_enable', 'totp_disable', 'totp_recovery_codes',
+  'api_token_create', 'api_token_revoke',
   // Projects
   'project_create', 'project_update', 'project_delete',
-  'project_archive', 'project_restore',
+  'project_archive', 'project_restore', 'project_cleanup',
+  'pipeline_export', 'pipeline_import',
+  'webhook_create', 'webhook_update', 'webhook_delete',
   // Jobs
-  'job_submit', 'job_cancel',
+  'job_submit', 'job_cancel', 'job_continue', 'job_sweep', 'job_cleanup',
+  // Workflows
+  'workflow_create', 'workflow_update', 'workflow_delete', 'workflow_run',
   // Admin
   'admin_create_user', 'admin_update_user', 'admin_delete_user',
-  'admin_reset_password', 'admin_generate_api_key', 'admin_revoke_api_key'
+  'admin_reset_password', 'admin_generate_api_key', 'admin_revoke_api_key',
+  'admin_update_quota', 'admin_update_ldap', 'admin_ldap_sync', 'admin_reset_totp'
 ];
 
 const auditLogSchema = new mongoose.Schema({
@@ -0,0 +1,79 @@
+/**
+ * EventWebhook Model
+ *
+ * Generic outgoing webhook of a project: JSON event payloads POSTed to a URL,
+ * signed with HMAC-SHA256 using the webhook's secret. Unlike the Slack/Teams
+ * Project.webhook_urls, each webhook picks the events it receives.
+ * See services/eventWebhookService.js for delivery and signing.
+ */
+
+const mongoose = require('mongoose');
+const { WEBHOOK_EVENTS } = require('../config/constants');
+
+const eventWebhookSchema = new mongoose.Schema({
+  id: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true
+  },
+  project_id: {
+    type: String,
+    required: true,
+    index: true
+  },
+  url: {
+    type: String,
+    required: true
+  },
+  description: {
+    type: String,
+    default: ''
+  },
+  events: {
+    type: [{ type: String, enum: WEBHOOK_EVENTS }],
+    default: []
+  },
+  // Signing secret, encrypted with utils/crypto; only shown when created or rotated
+  secret: {
+    type: String,
+    required: true,
+    select: false
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  created_by_id: {
+    type: Number,
+    default: null
+  },
+  // Outcome of the most recent delivery attempt, for the list view
+  last_delivery_at: {
+    type: Date,
+    default: null
+  },
+  last_response_code: {
+    type: Number,
+    default: null
+  },
+  last_delivery_ok: {
+    type: Boolean,
+    default: null
+  },
+  created_at: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  collection: 'event_webhooks',
+  timestamps: false
+});
+
+eventWebhookSchema.statics.generateId = function() {
+  return new mongoose.Types.ObjectId().toString();
+};
+
+const EventWebhook = mongoose.model('EventWebhook', eventWebhookSchema);
+
+module.exports = EventWebhook;
@@ -84,7 +84,7 @@ const jobSchema = new mongoose.Schema({
 
   /** Execution method: how the command is launched
    *  - 'direct' : spawned directly on the host (no queue manager)
-   *  - 'slurm'  : submitted via sbatch to SLURM scheduler
+   *  - 'slurm'  : submitted to the batch scheduler (SLURM, or the backend in `scheduler`)
    */
   execution_method: {
     type: String,
@@ -102,12 +102,18 @@ const jobSchema = new mongoose.Schema({
     enum: ['local', 'remote']
   },
 
-  /** SLURM job ID (when submitted to cluster) */
+  /** Scheduler job ID (when submitted to cluster); SLURM, PBS, ... despite the name */
   slurm_job_id: {
     type: String,
     default: null
   },
 
+  /** Scheduler backend the job was submitted to (see services/schedulers) */
+  scheduler: {
+    type: String,
+    default: 'slurm'
+  },
+
   /** Local process ID (when execution_method is 'direct') */
   local_pid: {
     type: Number,
@@ -140,6 +146,16 @@ const jobSchema = new mongoose.Schema({
     default: []
   },
 
+  /**
+   * Upstream job IDs that were still pending or running when this job was
+   * queued. The SLURM script waits on them with --dependency=afterok, and
+   * the monitor cancels or fails this job if one of them does not succeed.
+   */
+  depends_on: {
+    type: [String],
+    default: []
+  },
+
   /** Output directory path (e.g., /project/MotionCorr/Job002/) */
   output_file_path: {
     type: String,
@@ -257,6 +273,47 @@ const jobSchema = new mongoose.Schema({
     default: Date.now
   },
 
+  /**
+   * Previous runs of this job in the same output directory (continuations
+   * and automatic retries). Each entry records the run being replaced:
+   *   { attempt, status, command, slurm_job_id, start_time, end_time,
+   *     error_message, changed_parameters,
+   *     continued_from, continued_at,      // continuations
+   *     diagnosis, retried_at }            // retries (see services/jobRetry)
+   */
+  attempts: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: []
+  },
+
+  /**
+   * Classification of the latest failure:
+   *   { errorClass, category, rawState, exitCode, explanation, suggestion }
+   * errorClass is one of RETRY_ERROR_CLASSES, or null when not transient.
+   */
+  failure_diagnosis: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+
+  /** Size of the job directory at the last storage scan: { total_bytes, scratch_bytes, scanned_at } */
+  disk_usage: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+
+  /** Shared ID of the parameter sweep this job was submitted in (null otherwise) */
+  sweep_id: {
+    type: String,
+    default: null
+  },
+
+  /** Swept parameter values for this job in axis order, e.g. { tau2fudge: 2, maskDiameter: 180 } */
+  sweep_values: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+
   // ============================================================================
   // JOB PARAMETERS (RELION Command Parameters)
   // Job-type specific. Stored as submitted by user.
@@ -350,6 +407,12 @@ jobSchema.index({ project_id: 1, 'pipeline_stats.resolution': 1 });
 // Pipeline traversal: find children of a job
 jobSchema.index({ input_job_ids: 1 });
 
+// Dependency cascade: find jobs queued behind a job
+jobSchema.index({ depends_on: 1 });
+
+// Parameter sweeps: find all jobs of a sweep
+jobSchema.index({ sweep_id: 1 });
+
 // ============================================================================
 // MIDDLEWARE
 // ============================================================================
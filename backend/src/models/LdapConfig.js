@@ -0,0 +1,128 @@
+/**
+ * LdapConfig Model
+ *
+ * LDAP / Active Directory settings, edited by admins in the Users page.
+ * A single document (id 'ldap'); the bind password is stored encrypted.
+ */
+
+const mongoose = require('mongoose');
+
+const groupMappingSchema = new mongoose.Schema({
+  /** Group CN or full DN (case-insensitive) */
+  group: { type: String, required: true },
+  project_id: { type: String, required: true },
+  role: { type: String, enum: ['viewer', 'editor'], default: 'viewer' }
+}, { _id: false });
+
+const ldapConfigSchema = new mongoose.Schema({
+  id: {
+    type: String,
+    default: 'ldap',
+    unique: true
+  },
+  enabled: {
+    type: Boolean,
+    default: false
+  },
+  /** ldap://host:389 or ldaps://host:636 */
+  url: {
+    type: String,
+    default: ''
+  },
+  start_tls: {
+    type: Boolean,
+    default: false
+  },
+  tls_reject_unauthorized: {
+    type: Boolean,
+    default: true
+  },
+  /** Service account used to look users up; empty = anonymous search */
+  bind_dn: {
+    type: String,
+    default: ''
+  },
+  bind_password: {
+    type: String,
+    default: '',
+    select: false
+  },
+  user_search_base: {
+    type: String,
+    default: ''
+  },
+  /** {{login}} is replaced by the (escaped) email the user typed */
+  user_filter: {
+    type: String,
+    default: '(mail={{login}})'
+  },
+  /** Directory attribute -> User field */
+  attributes: {
+    username: { type: String, default: 'uid' },
+    email: { type: String, default: 'mail' },
+    first_name: { type: String, default: 'givenName' },
+    last_name: { type: String, default: 'sn' }
+  },
+  /** Empty = use the user's memberOf attribute only */
+  group_search_base: {
+    type: String,
+    default: ''
+  },
+  /** {{dn}} and {{username}} are replaced by the user's DN and username */
+  group_filter: {
+    type: String,
+    default: '(|(member={{dn}})(uniqueMember={{dn}})(memberUid={{username}}))'
+  },
+  group_name_attribute: {
+    type: String,
+    default: 'cn'
+  },
+  /** When set, superuser/staff flags of LDAP users follow these groups */
+  superuser_groups: {
+    type: [String],
+    default: []
+  },
+  staff_groups: {
+    type: [String],
+    default: []
+  },
+  /** Create accounts on first LDAP login */
+  auto_provision: {
+    type: Boolean,
+    default: true
+  },
+  /** Group -> project membership; applied at login and by the periodic sync */
+  group_mappings: {
+    type: [groupMappingSchema],
+    default: []
+  },
+  /** 0 disables the periodic sync */
+  sync_interval_minutes: {
+    type: Number,
+    default: 60
+  },
+  last_sync: {
+    at: { type: Date, default: null },
+    users: { type: Number, default: 0 },
+    added: { type: Number, default: 0 },
+    updated: { type: Number, default: 0 },
+    removed: { type: Number, default: 0 },
+    deactivated: { type: Number, default: 0 },
+    error: { type: String, default: null }
+  },
+  updated_by: {
+    type: Number,
+    default: null
+  },
+  updated_at: {
+    type: Date,
+    default: null
+  }
+}, {
+  collection: 'ldap_config',
+  timestamps: false
+});
+
+const LdapConfig = mongoose.model('LdapConfig', ldapConfigSchema);
+
+module.exports = LdapConfig;
@@ -2,7 +2,7 @@
  * LiveSession Model
  *
  * Represents an automated live processing session that chains RELION jobs
- * (Import -> MotionCorr -> CTF -> [QualityFilter] -> AutoPick -> Extract -> Class2D -> [AutoSelect] -> [InitialModel])
+ * (Import -> MotionCorr -> CTF -> [QualityFilter] -> AutoPick -> Extract -> Class2D -> [AutoSelect] -> [InitialModel] -> [AutoRefine])
  * and re-runs the pipeline as new movies arrive.
  */
 
@@ -51,9 +51,64 @@ const passHistoryEntrySchema = new mongoose.Schema({
   movies_ctf: { type: Number, default: 0 },
   movies_picked: { type: Number, default: 0 },
   particles_extracted: { type: Number, default: 0 },
+  micrographs_extracted: { type: Number, default: 0 },
+  movies_rejected: { type: Number, default: 0 },
   class2d_count: { type: Number, default: 0 },
 }, { _id: false });
 
+// One entry per batch of detected movies (see services/liveForecast.js)
+const acquisitionSampleSchema = new mongoose.Schema({
+  // Acquisition time (file mtime) of the newest movie in the batch
+  at: { type: Date, required: true },
+  // Movies found so far, including this batch
+  movies_found: { type: Number, required: true },
+}, { _id: false });
+
+const refineHistoryEntrySchema = new mongoose.Schema({
+  job_id: { type: String, required: true },
+  job_name: { type: String, default: null },
+  particle_count: { type: Number, default: 0 },
+  // Gold-standard resolution in Angstrom (null if it could not be read)
+  resolution: { type: Number, default: null },
+  completed_at: { type: Date, default: Date.now },
+}, { _id: false });
+
+const qualityRuleSchema = new mongoose.Schema({
+  id: { type: String, required: true },
+  name: { type: String, required: true },
+  enabled: { type: Boolean, default: true },
+  // Condition tree the exposure must meet (see utils/qualityRules.js)
+  condition: { type: mongoose.Schema.Types.Mixed, required: true }
+}, { _id: false });
+
+const anomalySchema = new mongoose.Schema({
+  // Check that raised it (see utils/liveGuardrails.js GUARDRAIL_CHECKS)
+  type: { type: String, required: true },
+  message: { type: String, default: '' },
+  value: { type: mongoose.Schema.Types.Mixed, default: null },
+  threshold: { type: mongoose.Schema.Types.Mixed, default: null },
+  detected_at: { type: Date, default: Date.now },
+}, { _id: false });
+
+const qualityRuleCountSchema = new mongoose.Schema({
+  rule_id: { type: String, required: true },
+  name: { type: String, default: '' },
+  rejected: { type: Number, default: 0 }
+}, { _id: false });
+
+const sourceSchema = new mongoose.Schema({
+  name: { type: String, default: '' },
+  watch_directory: { type: String, required: true },
+  file_pattern: { type: String, default: '*.tiff' },
+  optics: {
+    pixel_size: { type: Number, required: true },
+    voltage: { type: Number, required: true },
+    cs: { type: Number, required: true },
+    amplitude_contrast: { type: Number, required: true },
+    optics_group_name: { type: String, default: 'opticsGroup1' }
+  }
+}, { _id: false });
+
 const liveSessionSchema = new mongoose.Schema({
   // Identifiers
   id: {
@@ -105,7 +160,18 @@ const liveSessionSchema = new mongoose.Schema({
     voltage: { type: Number, required: true },
     cs: { type: Number, required: true },
     amplitude_contrast: { type: Number, required: true },
-    optics_group_name: { type: String, default: 'opticsGroup1' }
+    optics_group_name: { type: String, default: 'opticsGroup1' },
+    // Split each optics group into this many beam-shift clusters from the
+    // EPU XML next to every movie (0 = off)
+    beam_shift_groups: { type: Number, default: 0 }
+  },
+
+  // Watch directories with their own pattern and optics group (multi-source
+  // sessions). The first source is mirrored in watch_directory, file_pattern
+  // and optics above; single-source sessions leave this empty.
+  sources: {
+    type: [sourceSchema],
+    default: []
   },
 
   // Motion correction parameters
@@ -168,6 +234,48 @@ const liveSessionSchema = new mongoose.Schema({
     total_motion_max: { type: Number, default: 30.0 }
   },
 
+  // Composable per-exposure quality rules, applied together with thresholds
+  quality_rules: {
+    type: [qualityRuleSchema],
+    default: []
+  },
+
+  // Outcome of the latest quality filter run over all exposures so far
+  quality_stats: {
+    evaluated: { type: Number, default: 0 },
+    passed: { type: Number, default: 0 },
+    rejected: { type: Number, default: 0 },
+    // Exposures each rule rejects (an exposure can fail several rules)
+    rules: { type: [qualityRuleCountSchema], default: [] },
+    applied_at: { type: Date, default: null }
+  },
+
+  // Rolling-window anomaly checks (null limits are off)
+  guardrails: {
+    enabled: { type: Boolean, default: false },
+    // Exposures per rolling window
+    window: { type: Number, default: 50 },
+    max_rejected_fraction: { type: Number, default: 0.5 },
+    // Å
+    max_median_ctf_resolution: { type: Number, default: null },
+    // Å the median may worsen from one window to the next
+    max_ctf_resolution_increase: { type: Number, default: 1.0 },
+    // [min, max] median defocus in Å
+    defocus_range: { type: [Number], default: undefined },
+    max_median_ice_thickness: { type: Number, default: null },
+    // Minutes without new movies (watch mode)
+    silence_minutes: { type: Number, default: 20 },
+    auto_pause: { type: Boolean, default: false },
+    // Project webhooks and an email to the session owner
+    notify: { type: Boolean, default: true }
+  },
+
+  // Anomalies currently raised; each is reported once until it clears
+  anomalies: {
+    type: [anomalySchema],
+    default: []
+  },
+
   // Auto 2D class selection parameters (relion_class_ranker)
   auto_select_config: {
     enabled: { type: Boolean, default: true },
@@ -187,6 +295,19 @@ const liveSessionSchema = new mongoose.Schema({
     gpu_ids: { type: String, default: '0' }
   },
 
+  // 3D auto-refinement parameters (relion_refine --auto_refine)
+  // Starts once an initial model exists and re-runs each time the selected
+  // particle set has grown by particle_increment
+  refine3d_config: {
+    enabled: { type: Boolean, default: false },
+    particle_increment: { type: Number, default: 20000 },
+    symmetry: { type: String, default: 'C1' },
+    mask_diameter: { type: Number, default: 200 },
+    initial_low_pass: { type: Number, default: 40 },
+    use_gpu: { type: Boolean, default: true },
+    gpu_ids: { type: String, default: '0' }
+  },
+
   // SLURM / execution settings
   slurm_config: {
     execution_method: { type: String, enum: ['slurm', 'local'], default: 'slurm' },
@@ -196,6 +317,28 @@ const liveSessionSchema = new mongoose.Schema({
     gpu_count: { type: Number, default: 1 }
   },
 
+  // Push results to an external client (SmartScope) after every CTF batch
+  // instead of having it poll. Requests are signed with the secret.
+  callback: {
+    url: { type: String, default: null },
+    // Encrypted with utils/crypto encryptField
+    secret: { type: String, default: null, select: false },
+    // Names of delivered micrographs, newest last, capped at
+    // MAX_DELIVERED_MICROGRAPHS in services/smartscopeCallbacks.js
+    delivered_micrographs: { type: [String], default: [], select: false },
+    last_delivery_at: { type: Date, default: null },
+    last_error: { type: String, default: null }
+  },
+
+  // End-of-session report (services/liveSessionReport.js)
+  report: {
+    html_path: { type: String, default: null },
+    pdf_path: { type: String, default: null },
+    generated_at: { type: Date, default: null },
+    // Why the PDF could not be made (the HTML is still written)
+    error: { type: String, default: null }
+  },
+
   // Processing state (counters updated in real-time)
   state: {
     movies_found: { type: Number, default: 0 },
@@ -209,6 +352,8 @@ const liveSessionSchema = new mongoose.Schema({
     movies_rejected: { type: Number, default: 0 },
     classes_selected: { type: Number, default: 0 },
     particles_selected: { type: Number, default: 0 },
+    // Particle count the latest 3D refinement was submitted with
+    particles_refined: { type: Number, default: 0 },
     current_stage: { type: String, default: null },
     last_pipeline_pass: { type: Date, default: null },
     pass_count: { type: Number, default: 0 },
@@ -218,7 +363,9 @@ const liveSessionSchema = new mongoose.Schema({
     // Set when session pauses mid-pipeline - tells resume which stage to retry
     resume_from: { type: String, default: null },
     // Tracks when last Class2D batch was triggered (for interval gating)
-    last_batch_2d: { type: Date, default: null }
+    last_batch_2d: { type: Date, default: null },
+    // Set while processing trails acquisition by more than the lag threshold
+    processing_behind: { type: Boolean, default: false }
   },
 
   // Job IDs created by this session (for pipeline tree integration)
@@ -230,7 +377,8 @@ const liveSessionSchema = new mongoose.Schema({
     extract_id: { type: String, default: null },
     class2d_ids: { type: [String], default: [] },
     select_ids: { type: [String], default: [] },
-    inimodel_ids: { type: [String], default: [] }
+    inimodel_ids: { type: [String], default: [] },
+    refine3d_ids: { type: [String], default: [] }
   },
 
   // Activity log (capped at last 1000 entries)
@@ -245,6 +393,26 @@ const liveSessionSchema = new mongoose.Schema({
     default: []
   },
 
+  // Acquisition history — cumulative movie count by exposure time, for rate forecasts
+  acquisition_history: {
+    type: [acquisitionSampleSchema],
+    default: []
+  },
+
+  // Forecast targets and the processing lag that raises a warning
+  forecast_config: {
+    target_particles: { type: Number, default: null },
+    target_micrographs: { type: Number, default: null },
+    // Minutes processing may trail acquisition (null = LIVE_MAX_PROCESSING_LAG_MINUTES)
+    max_lag_minutes: { type: Number, default: null }
+  },
+
+  // Refinement history — resolution reached by each 3D refinement and its particle count
+  refine_history: {
+    type: [refineHistoryEntrySchema],
+    default: []
+  },
+
   // Timing
   start_time: { type: Date, default: null },
   end_time: { type: Date, default: null },
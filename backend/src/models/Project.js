@@ -51,6 +51,27 @@ const projectSchema = new mongoose.Schema({
   webhook_urls: {
     type: [String],
     default: []
+  },
+  /**
+   * Automatic retry policies keyed by job type (e.g. 'Class3D') or 'default':
+   *   { maxAttempts, retryOn: [errorClass], escalation: { memoryFactor, mpiFactor } }
+   */
+  retry_policies: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  /**
+   * Latest directory size scan (services/storageAccounting):
+   *   { total_bytes, movies_bytes, derived_bytes, scratch_bytes, other_bytes, scanned_at }
+   */
+  storage: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  /** Storage quota override in GB: { soft_gb, hard_gb }; null fields use the settings default, 0 = unlimited */
+  storage_quota: {
+    soft_gb: { type: Number, default: null },
+    hard_gb: { type: Number, default: null }
   }
 }, {
   collection: 'projects',
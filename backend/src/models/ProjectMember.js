@@ -33,6 +33,12 @@ const projectMemberSchema = new mongoose.Schema({
     type: Number,
     required: true
   },
+  /** 'ldap' memberships are managed by the LDAP group sync; manual ones are never touched by it */
+  source: {
+    type: String,
+    enum: ['manual', 'ldap'],
+    default: 'manual'
+  },
   added_at: {
     type: Date,
     default: Date.now
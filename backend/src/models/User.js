@@ -88,11 +88,66 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  /** How the user signs in: 'local' (password), 'oidc' (SSO) or 'ldap' (directory bind) */
+  auth_provider: {
+    type: String,
+    enum: ['local', 'oidc', 'ldap'],
+    default: 'local'
+  },
+  /** Identity at the SSO provider ("<issuer>|<sub>") or directory ("ldap|<username>") */
+  external_id: {
+    type: String,
+    default: undefined,
+    unique: true,
+    sparse: true
+  },
+  /** TOTP two-factor authentication; the secret is stored encrypted */
+  totp_enabled: {
+    type: Boolean,
+    default: false
+  },
+  totp_secret: {
+    type: String,
+    default: '',
+    select: false
+  },
+  /** Secret shown during enrollment, until the first code confirms it */
+  totp_pending_secret: {
+    type: String,
+    default: '',
+    select: false
+  },
+  /** Last accepted time step, so a code cannot be used twice */
+  totp_last_step: {
+    type: Number,
+    default: -1,
+    select: false
+  },
+  /** SHA-256 hashes of the unused recovery codes */
+  totp_recovery_codes: {
+    type: [String],
+    default: [],
+    select: false
+  },
+  totp_enabled_at: {
+    type: Date,
+    default: null
+  },
+  /** Set by an admin: the user must enroll before using the API */
+  totp_required: {
+    type: Boolean,
+    default: false
+  },
   api_key_hash: {
     type: String,
     default: null,
     index: true,
     select: false
+  },
+  /** Storage quota override in GB: { soft_gb, hard_gb }; null fields use the settings default, 0 = unlimited */
+  storage_quota: {
+    soft_gb: { type: Number, default: null },
+    hard_gb: { type: Number, default: null }
   }
 }, {
   collection: 'users',
@@ -113,6 +168,16 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return bcrypt.compare(candidatePassword, this.password);
 };
 
+// Turn two-factor authentication off and forget the secret and recovery codes
+userSchema.methods.resetTotp = function() {
+  this.totp_enabled = false;
+  this.totp_secret = '';
+  this.totp_pending_secret = '';
+  this.totp_last_step = -1;
+  this.totp_recovery_codes = [];
+  this.totp_enabled_at = null;
+};
+
 // Generate JWT token
 userSchema.methods.generateAuthToken = function() {
   return jwt.sign(
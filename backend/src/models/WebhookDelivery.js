@@ -0,0 +1,103 @@
+/**
+ * WebhookDelivery Model
+ *
+ * One event sent to one EventWebhook, with every attempt made. Failed
+ * deliveries stay 'pending' with a next_attempt_at until they succeed or
+ * run out of attempts ('failed').
+ */
+
+const mongoose = require('mongoose');
+
+const attemptSchema = new mongoose.Schema({
+  attempted_at: {
+    type: Date,
+    default: Date.now
+  },
+  // null when no response was received (connection error, timeout)
+  response_code: {
+    type: Number,
+    default: null
+  },
+  error: {
+    type: String,
+    default: null
+  },
+  duration_ms: {
+    type: Number,
+    default: 0
+  }
+}, { _id: false });
+
+const webhookDeliverySchema = new mongoose.Schema({
+  id: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true
+  },
+  webhook_id: {
+    type: String,
+    required: true,
+    index: true
+  },
+  project_id: {
+    type: String,
+    required: true
+  },
+  event: {
+    type: String,
+    required: true
+  },
+  // Envelope sent as the request body; kept so retries send the same event
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'success', 'failed'],
+    default: 'pending'
+  },
+  max_attempts: {
+    type: Number,
+    default: 1
+  },
+  attempts: {
+    type: [attemptSchema],
+    default: []
+  },
+  // When the next attempt is due; also leased while an attempt is in flight
+  next_attempt_at: {
+    type: Date,
+    default: null
+  },
+  response_body: {
+    type: String,
+    default: ''
+  },
+  created_at: {
+    type: Date,
+    default: Date.now
+  },
+  completed_at: {
+    type: Date,
+    default: null
+  }
+}, {
+  collection: 'webhook_deliveries',
+  timestamps: false
+});
+
+// Auto-delete after 30 days
+webhookDeliverySchema.index({ created_at: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+// Due retries
+webhookDeliverySchema.index({ status: 1, next_attempt_at: 1 });
+
+webhookDeliverySchema.statics.generateId = function() {
+  return new mongoose.Types.ObjectId().toString();
+};
+
+const WebhookDelivery = mongoose.model('WebhookDelivery', webhookDeliverySchema);
+
+module.exports = WebhookDelivery;
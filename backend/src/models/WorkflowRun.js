@@ -0,0 +1,93 @@
+/**
+ * WorkflowRun Model
+ *
+ * One execution of a workflow template. Holds a snapshot of the template's
+ * steps so editing the template does not affect runs in progress, plus the
+ * state of each step. Advanced by services/workflowRunner.js.
+ */
+
+const mongoose = require('mongoose');
+
+const STEP_STATUSES = ['waiting', 'submitted', 'success', 'failed', 'cancelled', 'skipped'];
+
+const workflowStepSchema = new mongoose.Schema({
+  step_id: { type: String, required: true },
+  job_type: { type: String, required: true },
+  needs: { type: [String], default: [] },
+  parameters: { type: mongoose.Schema.Types.Mixed, default: {} },
+  status: {
+    type: String,
+    enum: STEP_STATUSES,
+    default: 'waiting'
+  },
+  job_id: { type: String, default: null },
+  job_name: { type: String, default: null },
+  // Job directory relative to the project (e.g. "Import/Job001"), substituted into {{step_id}}
+  job_dir: { type: String, default: null },
+  error: { type: String, default: null },
+  submitted_at: { type: Date, default: null }
+}, { _id: false });
+
+const workflowRunSchema = new mongoose.Schema({
+  id: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true
+  },
+  project_id: {
+    type: String,
+    required: true,
+    index: true
+  },
+  workflow_id: {
+    type: String,
+    required: true,
+    index: true
+  },
+  workflow_name: {
+    type: String,
+    default: ''
+  },
+  user_id: {
+    type: Number,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['running', 'success', 'failed', 'cancelled'],
+    default: 'running',
+    index: true
+  },
+  steps: {
+    type: [workflowStepSchema],
+    default: []
+  },
+  created_at: {
+    type: Date,
+    default: Date.now
+  },
+  updated_at: {
+    type: Date,
+    default: Date.now
+  },
+  finished_at: {
+    type: Date,
+    default: null
+  }
+}, {
+  collection: 'workflow_runs',
+  timestamps: false
+});
+
+// Runner lookup: which running workflow does a finished job belong to
+workflowRunSchema.index({ status: 1, 'steps.job_id': 1 });
+
+workflowRunSchema.statics.generateId = function() {
+  return new mongoose.Types.ObjectId().toString();
+};
+
+const WorkflowRun = mongoose.model('WorkflowRun', workflowRunSchema);
+
+module.exports = WorkflowRun;
+module.exports.STEP_STATUSES = STEP_STATUSES;
@@ -0,0 +1,76 @@
+/**
+ * WorkflowTemplate Model
+ *
+ * A saved multi-step workflow (job types, parameters and the edges between
+ * them) stored per project so every member can run it. See
+ * utils/workflowTemplate.js for the template format.
+ */
+
+const mongoose = require('mongoose');
+
+const workflowTemplateSchema = new mongoose.Schema({
+  id: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true
+  },
+  project_id: {
+    type: String,
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  description: {
+    type: String,
+    default: ''
+  },
+  // Validated steps in dependency order: [{ id, type, needs, parameters }]
+  steps: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: []
+  },
+  // Template text as uploaded, so YAML comments and layout survive a round trip
+  source: {
+    type: String,
+    default: ''
+  },
+  source_format: {
+    type: String,
+    enum: ['json', 'yaml'],
+    default: 'json'
+  },
+  created_by: {
+    type: Number,
+    required: true
+  },
+  updated_by: {
+    type: Number,
+    default: null
+  },
+  created_at: {
+    type: Date,
+    default: Date.now
+  },
+  updated_at: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  collection: 'workflow_templates',
+  timestamps: false
+});
+
+// Template names are unique within a project
+workflowTemplateSchema.index({ project_id: 1, name: 1 }, { unique: true });
+
+workflowTemplateSchema.statics.generateId = function() {
+  return new mongoose.Types.ObjectId().toString();
+};
+
+const WorkflowTemplate = mongoose.model('WorkflowTemplate', workflowTemplateSchema);
+
+module.exports = WorkflowTemplate;
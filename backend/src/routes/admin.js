@@ -7,10 +7,10 @@
 const express = require('express');
 const router = express.Router();
 const adminController = require('../controllers/adminController');
-const { isAdmin } = require('../middleware/auth');
+const { isAdmin, isSuperuser } = require('../middleware/auth');
 const asyncHandler = require('../utils/asyncHandler');
 const validate = require('../middleware/validate');
-const { createUserSchema, updateUserSchema } = require('../validations/adminSchemas');
+const { createUserSchema, updateUserSchema, ldapConfigSchema, ldapTestSchema } = require('../validations/adminSchemas');
 
 // All routes require admin privileges
 router.use(isAdmin);
@@ -23,5 +23,12 @@ router.delete('/users/:userId', asyncHandler(adminController.deleteUser));
 router.post('/users/:userId/reset-password', asyncHandler(adminController.resetPassword));
 router.post('/users/:userId/generate-api-key', asyncHandler(adminController.generateApiKey));
 router.delete('/users/:userId/api-key', asyncHandler(adminController.revokeApiKey));
+router.delete('/users/:userId/2fa', asyncHandler(adminController.resetTotp));
+
+// LDAP / Active Directory settings (superuser only: holds the bind password and grants roles)
+router.get('/ldap', isSuperuser, asyncHandler(adminController.getLdapConfig));
+router.put('/ldap', isSuperuser, validate(ldapConfigSchema), asyncHandler(adminController.updateLdapConfig));
+router.post('/ldap/test', isSuperuser, validate(ldapTestSchema), asyncHandler(adminController.testLdapConnection));
+router.post('/ldap/sync', isSuperuser, asyncHandler(adminController.syncLdap));
 
 module.exports = router;
@@ -7,13 +7,18 @@
 const express = require('express');
 const router = express.Router();
 const authController = require('../controllers/authController');
+const apiTokenController = require('../controllers/apiTokenController');
 const authMiddleware = require('../middleware/auth');
 const asyncHandler = require('../utils/asyncHandler');
 const validate = require('../middleware/validate');
-const { loginSchema, registerSchema, changePasswordSchema, updateProfileSchema, forgotPasswordSchema, resetPasswordSchema } = require('../validations/authSchemas');
+const {
+  loginSchema, registerSchema, changePasswordSchema, updateProfileSchema, forgotPasswordSchema, resetPasswordSchema,
+  loginTotpSchema, totpCodeSchema, totpDisableSchema, createApiTokenSchema
+} = require('../validations/authSchemas');
 
 router.post('/register', validate(registerSchema), asyncHandler(authController.register));
 router.post('/login', validate(loginSchema), asyncHandler(authController.login));
+router.post('/login/2fa', validate(loginTotpSchema), asyncHandler(authController.loginTotp));
 router.get('/me', authMiddleware, asyncHandler(authController.getCurrentUser));
 router.get('/password-status', authMiddleware, asyncHandler(authController.getPasswordStatus));
 router.post('/change-password', authMiddleware, validate(changePasswordSchema), asyncHandler(authController.changePassword));
@@ -25,4 +30,21 @@ router.post('/logout', authController.logout);
 router.post('/forgot-password', validate(forgotPasswordSchema), asyncHandler(authController.forgotPassword));
 router.post('/reset-password', validate(resetPasswordSchema), asyncHandler(authController.resetPassword));
 
+// Two-factor authentication (TOTP)
+router.get('/2fa', authMiddleware, asyncHandler(authController.getTotpStatus));
+router.post('/2fa/setup', authMiddleware, asyncHandler(authController.setupTotp));
+router.post('/2fa/enable', authMiddleware, validate(totpCodeSchema), asyncHandler(authController.enableTotp));
+router.post('/2fa/disable', authMiddleware, validate(totpDisableSchema), asyncHandler(authController.disableTotp));
+router.post('/2fa/recovery-codes', authMiddleware, validate(totpCodeSchema), asyncHandler(authController.regenerateRecoveryCodes));
+
+// Personal access tokens (browser session only: tokens cannot manage tokens)
+router.get('/tokens', authMiddleware, asyncHandler(apiTokenController.listTokens));
+router.post('/tokens', authMiddleware, validate(createApiTokenSchema), asyncHandler(apiTokenController.createToken));
+router.delete('/tokens/:tokenId', authMiddleware, asyncHandler(apiTokenController.revokeToken));
+
+// Single sign-on (OpenID Connect)
+router.get('/oidc/config', asyncHandler(authController.getOidcConfig));
+router.get('/oidc/login', asyncHandler(authController.oidcLogin));
+router.get('/oidc/callback', asyncHandler(authController.oidcCallback));
+
 module.exports = router;
@@ -7,12 +7,18 @@
 const express = require('express');
 const router = express.Router();
 const jobController = require('../controllers/jobController');
+const cleanupController = require('../controllers/cleanupController');
 const asyncHandler = require('../utils/asyncHandler');
 
 router.get('/tree', asyncHandler(jobController.getJobsTree));
 router.get('/stage-outputs', asyncHandler(jobController.getStageOutputFiles));
 router.post('/save-fasta', asyncHandler(jobController.saveFastaSequence));
+router.post('/sweep/:jobType', asyncHandler(jobController.submitSweep));
+router.get('/sweep/:sweepId', asyncHandler(jobController.getSweep));
 router.post('/:jobType', asyncHandler(jobController.submitJob));
+router.post('/:jobId/continue', asyncHandler(jobController.continueJob));
+router.post('/:jobId/clone', asyncHandler(jobController.cloneJob));
+router.post('/:jobId/cleanup', asyncHandler(cleanupController.cleanupJob));
 router.get('/:jobType/results/:jobId', asyncHandler(jobController.getJobResults));
 router.get('/:jobType/summary', asyncHandler(jobController.getJobSummary));
 router.get('/:jobId/outputs', asyncHandler(jobController.getJobOutputs));
@@ -8,6 +8,10 @@ const express = require('express');
 const router = express.Router();
 const controller = require('../controllers/liveSessionController');
 
+// Access tokens restricted to projects only reach those projects' sessions
+router.param('id', controller.checkTokenSession);
+router.param('projectId', controller.checkTokenProject);
+
 // Session CRUD
 router.post('/', controller.createSession);
 
@@ -28,7 +32,15 @@ router.post('/:id/stop', controller.stopSession);
 // Session data
 router.get('/:id/stats', controller.getSessionStats);
 router.get('/:id/exposures', controller.getSessionExposures);
+router.get('/:id/exposures/:filename/thumbnail', controller.getExposureThumbnail);
 router.get('/:id/activity', controller.getSessionActivity);
 router.get('/:id/select-gallery', controller.getSelectGallery);
+router.get('/:id/report', controller.getReport);
+router.post('/:id/report', controller.generateReport);
+
+// Quality rules
+router.get('/:id/quality-rules', controller.getQualityRules);
+router.put('/:id/quality-rules', controller.updateQualityRules);
+router.post('/:id/quality-rules/reapply', controller.reapplyQualityRules);
 
 module.exports = router;
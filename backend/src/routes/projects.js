@@ -9,9 +9,18 @@ const router = express.Router();
 const projectController = require('../controllers/projectController');
 const projectMemberController = require('../controllers/projectMemberController');
 const archiveController = require('../controllers/archiveController');
+const pipelineController = require('../controllers/pipelineController');
+const workflowController = require('../controllers/workflowController');
+const cleanupController = require('../controllers/cleanupController');
+const eventWebhookController = require('../controllers/eventWebhookController');
 const asyncHandler = require('../utils/asyncHandler');
 const validate = require('../middleware/validate');
-const { createProjectSchema, updateProjectSchema } = require('../validations/projectSchemas');
+const {
+  createProjectSchema,
+  updateProjectSchema,
+  createWebhookSchema,
+  updateWebhookSchema
+} = require('../validations/projectSchemas');
 
 router.get('/', asyncHandler(projectController.listProjects));
 router.post('/', validate(createProjectSchema), asyncHandler(projectController.createProject));
@@ -21,10 +30,29 @@ router.delete('/:projectId', asyncHandler(projectController.deleteProject));
 router.put('/:projectId/archive', asyncHandler(archiveController.archiveProject));
 router.put('/:projectId/restore', asyncHandler(archiveController.restoreProject));
 router.put('/:projectId/relocate', asyncHandler(archiveController.relocateProject));
+router.post('/:projectId/cleanup', asyncHandler(cleanupController.cleanupProject));
 router.get('/:projectId/jobs', asyncHandler(projectController.getProjectJobs));
+router.get('/:projectId/pipeline', asyncHandler(pipelineController.downloadPipeline));
+router.post('/:projectId/pipeline/export', asyncHandler(pipelineController.exportPipeline));
+router.post('/:projectId/pipeline/import', asyncHandler(pipelineController.importPipeline));
+router.get('/:projectId/workflows', asyncHandler(workflowController.listWorkflows));
+router.post('/:projectId/workflows', asyncHandler(workflowController.createWorkflow));
+router.get('/:projectId/workflows/:workflowId', asyncHandler(workflowController.getWorkflow));
+router.put('/:projectId/workflows/:workflowId', asyncHandler(workflowController.updateWorkflow));
+router.delete('/:projectId/workflows/:workflowId', asyncHandler(workflowController.deleteWorkflow));
+router.post('/:projectId/workflows/:workflowId/run', asyncHandler(workflowController.runWorkflow));
+router.get('/:projectId/workflow-runs', asyncHandler(workflowController.listRuns));
+router.get('/:projectId/workflow-runs/:runId', asyncHandler(workflowController.getRun));
+router.post('/:projectId/workflow-runs/:runId/cancel', asyncHandler(workflowController.cancelRun));
 router.get('/:projectId/members', asyncHandler(projectMemberController.listMembers));
 router.post('/:projectId/members', asyncHandler(projectMemberController.addMember));
 router.put('/:projectId/members/:userId', asyncHandler(projectMemberController.updateMember));
 router.delete('/:projectId/members/:userId', asyncHandler(projectMemberController.removeMember));
+router.get('/:projectId/webhooks', asyncHandler(eventWebhookController.listWebhooks));
+router.post('/:projectId/webhooks', validate(createWebhookSchema), asyncHandler(eventWebhookController.createWebhook));
+router.put('/:projectId/webhooks/:webhookId', validate(updateWebhookSchema), asyncHandler(eventWebhookController.updateWebhook));
+router.delete('/:projectId/webhooks/:webhookId', asyncHandler(eventWebhookController.deleteWebhook));
+router.post('/:projectId/webhooks/:webhookId/test', asyncHandler(eventWebhookController.testWebhook));
+router.get('/:projectId/webhooks/:webhookId/deliveries', asyncHandler(eventWebhookController.listDeliveries));
 
 module.exports = router;
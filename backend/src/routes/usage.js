@@ -1,7 +1,7 @@
 /**
  * Usage Routes
  *
- * Admin-only usage reporting endpoints.
+ * Admin-only usage reporting and storage quota endpoints.
  */
 
 const express = require('express');
@@ -13,5 +13,10 @@ const asyncHandler = require('../utils/asyncHandler');
 router.use(isAdmin);
 
 router.get('/', asyncHandler(usageController.getUsageReport));
+router.get('/storage', asyncHandler(usageController.getStorageReport));
+router.post('/storage/scan', asyncHandler(usageController.scanStorage));
+router.get('/storage/:projectId', asyncHandler(usageController.getProjectStorage));
+router.put('/quotas/projects/:projectId', asyncHandler(usageController.setProjectQuota));
+router.put('/quotas/users/:userId', asyncHandler(usageController.setUserQuota));
 
 module.exports = router;
@@ -29,6 +29,7 @@ const { onJobStatusChange } = require('./services/thumbnailGenerator');
 const { getEmailService } = require('./services/emailService');
 const { onJobStatusChange: emailOnStatusChange } = require('./services/emailNotifier');
 const { onJobStatusChange: webhookOnStatusChange } = require('./services/webhookNotifier');
+const { onJobStatusChange: eventWebhookOnStatusChange } = require('./services/eventWebhookNotifier');
 
 // Route imports
 const authRoutes = require('./routes/auth');
@@ -122,6 +123,7 @@ const passwordResetLimiter = rateLimit({
 
 // Apply stricter rate limiting to auth routes
 app.use('/api/auth/login', authLimiter);
+app.use('/api/auth/oidc/callback', authLimiter);
 app.use('/api/auth/register', registerLimiter);
 app.use('/api/auth/forgot-password', passwordResetLimiter);
 app.use('/api/users/search', searchLimiter);
@@ -327,15 +329,31 @@ const startServer = async () => {
     emailService.initialize();
     slurmMonitor.on('statusChange', emailOnStatusChange);
     slurmMonitor.on('statusChange', webhookOnStatusChange);
+    slurmMonitor.on('statusChange', eventWebhookOnStatusChange);
 
     const { getLiveOrchestrator } = require('./services/liveOrchestrator');
     const liveOrchestrator = getLiveOrchestrator();
     liveOrchestrator.initialize(); // Registers its statusChange listener
 
+    const { getWorkflowRunner } = require('./services/workflowRunner');
+    getWorkflowRunner().initialize(); // Registers its statusChange listener, resumes running workflows
+
     // NOW start polling - all listeners are attached
     slurmMonitor.start();
     logger.info('[SLURM] Monitor started');
 
+    const { getStorageAccounting } = require('./services/storageAccounting');
+    getStorageAccounting().start();
+
+    // Retries of failed project webhook deliveries
+    const { getEventWebhookService } = require('./services/eventWebhookService');
+    getEventWebhookService().start();
+
+    const { getLdapService } = require('./services/ldapService');
+    getLdapService().start().catch(err => {
+      logger.error(`[LDAP] Failed to load settings: ${err.message}`);
+    });
+
     // Recover orphaned direct-execution jobs.
     // If the server restarted while a local process was running, the child.on('close')
     // handler is lost. Check for RELION markers to resolve status; otherwise mark failed.
@@ -416,6 +434,9 @@ const startServer = async () => {
     process.on('SIGTERM', async () => {
       logger.info('[Server] SIGTERM received, shutting down...');
       slurmMonitor.stop();
+      getStorageAccounting().stop();
+      getLdapService().stop();
+      getEventWebhookService().stop();
       shutdownSSH();
       wsServer.shutdown();
       await liveOrchestrator.shutdown();
@@ -86,6 +86,24 @@ describe('Class2DBuilder — continue from optimiser', () => {
     });
     expectFlag(cmd, '--dont_combine_weights_via_disc');
   });
+
+  it('passes --iter when continuing with an iteration count', () => {
+    const cmd = buildCommand(Class2DBuilder, {
+      continueFrom: 'Class2D/Job001/run_it025_optimiser.star',
+      useVDAM: 'No',
+      numberEMIterations: 50,
+      submitToQueue: 'Yes',
+    });
+    expectFlag(cmd, '--iter', '50');
+  });
+
+  it('omits --iter when continuing without an iteration count', () => {
+    const cmd = buildCommand(Class2DBuilder, {
+      continueFrom: 'Class2D/Job001/run_it025_optimiser.star',
+      submitToQueue: 'Yes',
+    });
+    expectNoFlag(cmd, '--iter');
+  });
 });
 
 // ─── MPI ─────────────────────────────────────────────────────────────
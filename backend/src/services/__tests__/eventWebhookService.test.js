@@ -0,0 +1,390 @@
+jest.mock('../../utils/logger');
+
+// ─── Shared mock state (all prefixed with "mock" for Jest hoisting) ─
+
+let mockWebhooks;
+let mockDeliveries;
+let mockDeliveryCount;
+let mockProject;
+let mockJob;         // job being continued or retried
+let mockSubmissions; // options passed to submitJobDirect
+
+const mockLean = (value) => ({ lean: () => Promise.resolve(value) });
+const { mockQuery } = require('./helpers/mockQuery');
+
+jest.mock('../../models/EventWebhook', () => ({
+  find: jest.fn().mockImplementation((query) => mockLean(mockWebhooks.filter(w =>
+    w.project_id === query.project_id && w.enabled === query.enabled && w.events.includes(query.events)
+  ))),
+  findOne: jest.fn().mockImplementation(({ id }) => ({
+    select: () => mockLean(mockWebhooks.find(w => w.id === id) || null),
+  })),
+  updateOne: jest.fn().mockImplementation(({ id }, update) => {
+    Object.assign(mockWebhooks.find(w => w.id === id), update.$set);
+    return Promise.resolve({});
+  }),
+}));
+
+jest.mock('../../models/WebhookDelivery', () => {
+  const matches = (delivery, filter) => Object.entries(filter).every(([key, value]) => {
+    if (value && value.$lte) return delivery[key] !== null && delivery[key] <= value.$lte;
+    return delivery[key] === value;
+  });
+  return {
+    generateId: jest.fn(() => `del${++mockDeliveryCount}`),
+    create: jest.fn().mockImplementation((data) => {
+      const delivery = { status: 'pending', attempts: [], response_body: '', completed_at: null, ...data };
+      mockDeliveries.push(delivery);
+      return Promise.resolve({ ...delivery });
+    }),
+    findOneAndUpdate: jest.fn().mockImplementation((filter, update) => {
+      const delivery = mockDeliveries.find(d => matches(d, filter));
+      if (delivery) {
+        Object.assign(delivery, update.$set);
+        if (update.$push) delivery.attempts = [...delivery.attempts, update.$push.attempts];
+      }
+      return mockLean(delivery ? JSON.parse(JSON.stringify(delivery)) : null);
+    }),
+    find: jest.fn().mockImplementation((filter) => {
+      const query = {
+        sort: () => query,
+        limit: () => query,
+        lean: () => Promise.resolve(mockDeliveries.filter(d => matches(d, filter))),
+      };
+      return query;
+    }),
+  };
+});
+
+jest.mock('../../models/Project', () => ({
+  findOne: jest.fn().mockImplementation(() => mockLean(mockProject)),
+}));
+
+// ─── Job resubmission paths (job.submitted) ─────────────────────────
+
+jest.mock('../../models/Job', () => ({
+  findOne: jest.fn().mockImplementation(() => mockQuery(mockJob)),
+  findOneAndUpdate: jest.fn().mockImplementation(() => Promise.resolve(mockJob)),
+}));
+
+jest.mock('../../models/User', () => ({
+  findOne: jest.fn().mockImplementation(() => mockLean({ id: 7, username: 'alice' })),
+}));
+
+jest.mock('../jobSubmission', () => ({
+  submitJobDirect: jest.fn().mockImplementation((options) => {
+    mockSubmissions.push(options);
+    return Promise.resolve({ success: true, slurm_job_id: '5678' });
+  }),
+}));
+
+jest.mock('../../controllers/projectMemberController', () => ({
+  checkProjectAccess: jest.fn().mockImplementation(() => Promise.resolve({ hasAccess: true, project: mockProject })),
+}));
+
+jest.mock('../storageAccounting', () => ({
+  checkStorageQuota: jest.fn().mockResolvedValue({ error: null, warnings: [] }),
+}));
+
+jest.mock('../../utils/remoteExec', () => ({
+  isSSHMode: jest.fn().mockReturnValue(false),
+}));
+
+jest.mock('../../utils/auditLogger', () => jest.fn());
+
+// progressHelper starts a cache-cleanup interval at load time
+jest.mock('../../utils/progressHelper', () => ({
+  getJobProgress: jest.fn(),
+  getTotalExpected: jest.fn(),
+}));
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { encryptField } = require('../../utils/crypto');
+const { EventWebhookService } = require('../eventWebhookService');
+const { continueJob } = require('../../controllers/jobController');
+const { retryFailedJob, diagnoseFailure } = require('../jobRetry');
+
+const SECRET = 'whsec_test';
+
+// Local receiver: replies with the queued status codes, then 200
+let server;
+let receiverUrl;
+let received;
+let replies;
+
+beforeAll(async () => {
+  server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      received.push({ headers: req.headers, body });
+      res.statusCode = replies.shift() || 200;
+      res.end('ok');
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  receiverUrl = `http://127.0.0.1:${server.address().port}/hooks`;
+});
+
+afterAll(async () => {
+  await new Promise(resolve => server.close(resolve));
+});
+
+const webhook = (overrides = {}) => ({
+  id: 'wh1',
+  project_id: 'proj-1',
+  url: receiverUrl,
+  events: ['job.finished'],
+  enabled: true,
+  secret: encryptField(SECRET),
+  ...overrides,
+});
+
+// Wait until the background first attempts of `count` deliveries are recorded
+const settled = async (count) => {
+  for (let i = 0; i < 200; i++) {
+    if (mockDeliveries.filter(d => d.attempts.length > 0).length >= count) return;
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  throw new Error('deliveries did not settle');
+};
+
+beforeEach(() => {
+  received = [];
+  replies = [];
+  mockWebhooks = [webhook()];
+  mockDeliveries = [];
+  mockDeliveryCount = 0;
+  mockProject = { id: 'proj-1', project_name: 'Apoferritin' };
+});
+
+// ─── Tests ──────────────────────────────────────────────────────────
+
+describe('EventWebhookService.emit', () => {
+  it('posts a signed envelope to enabled webhooks subscribed to the event', async () => {
+    mockWebhooks.push(
+      webhook({ id: 'wh2', events: ['job.started'] }),
+      webhook({ id: 'wh3', enabled: false })
+    );
+    const service = new EventWebhookService({ maxAttempts: 3, baseDelayMs: 5 });
+
+    const deliveries = await service.emit('proj-1', 'job.finished', { job: { id: 'job-1', status: 'success' } });
+    expect(deliveries.map(d => d.webhook_id)).toEqual(['wh1']);
+    await settled(1);
+
+    expect(received).toHaveLength(1);
+    const { headers, body } = received[0];
+    const expected = crypto.createHmac('sha256', SECRET)
+      .update(`${headers['x-cryoprocess-timestamp']}.${body}`).digest('hex');
+    expect(headers['x-cryoprocess-signature']).toBe(`sha256=${expected}`);
+    expect(headers['x-cryoprocess-event']).toBe('job.finished');
+    expect(headers['x-cryoprocess-delivery']).toBe('del1');
+    expect(JSON.parse(body)).toEqual({
+      id: expect.any(String),
+      type: 'job.finished',
+      createdAt: expect.any(String),
+      project: { id: 'proj-1', name: 'Apoferritin' },
+      data: { job: { id: 'job-1', status: 'success' } },
+    });
+
+    expect(mockDeliveries[0]).toMatchObject({ status: 'success', next_attempt_at: null, response_body: 'ok' });
+    expect(mockDeliveries[0].attempts).toEqual([expect.objectContaining({ response_code: 200, error: null })]);
+    expect(mockWebhooks[0]).toMatchObject({ last_response_code: 200, last_delivery_ok: true });
+  });
+
+  it('queues nothing when no webhook wants the event', async () => {
+    const service = new EventWebhookService();
+    expect(await service.emit('proj-1', 'project.archived', {})).toEqual([]);
+    expect(mockDeliveries).toHaveLength(0);
+  });
+});
+
+describe('EventWebhookService retries', () => {
+  it('retries server errors with exponential backoff until delivered', async () => {
+    replies = [503, 502];
+    const service = new EventWebhookService({ maxAttempts: 4, baseDelayMs: 200 });
+    expect(service.retryDelay(1)).toBe(200);
+    expect(service.retryDelay(3)).toBe(800);
+
+    await service.emit('proj-1', 'job.finished', {});
+    await settled(1);
+
+    const delivery = mockDeliveries[0];
+    expect(delivery.status).toBe('pending');
+    expect(delivery.attempts[0]).toMatchObject({ response_code: 503, error: 'HTTP 503' });
+    expect(delivery.next_attempt_at.getTime()).toBeGreaterThan(Date.now());
+
+    // Not due yet
+    expect(await service.processDue()).toBe(0);
+
+    await new Promise(resolve => setTimeout(resolve, 250));
+    expect(await service.processDue()).toBe(1);
+    expect(delivery.attempts.map(a => a.response_code)).toEqual([503, 502]);
+
+    await new Promise(resolve => setTimeout(resolve, 450));
+    expect(await service.processDue()).toBe(1);
+    expect(delivery).toMatchObject({ status: 'success', next_attempt_at: null });
+    expect(received).toHaveLength(3);
+    // The same event each time
+    expect(new Set(received.map(r => JSON.parse(r.body).id)).size).toBe(1);
+  });
+
+  it('gives up on client errors and after the last attempt', async () => {
+    replies = [400];
+    const service = new EventWebhookService({ maxAttempts: 2, baseDelayMs: 1 });
+
+    await service.emit('proj-1', 'job.finished', {});
+    await settled(1);
+    expect(mockDeliveries[0]).toMatchObject({ status: 'failed', next_attempt_at: null });
+    expect(mockWebhooks[0]).toMatchObject({ last_response_code: 400, last_delivery_ok: false });
+
+    replies = [500, 500];
+    await service.emit('proj-1', 'job.finished', {});
+    await settled(2);
+    await new Promise(resolve => setTimeout(resolve, 10));
+    await service.processDue();
+
+    expect(mockDeliveries[1].status).toBe('failed');
+    expect(mockDeliveries[1].attempts).toHaveLength(2);
+  });
+
+  it('makes one attempt at a time per delivery', async () => {
+    const service = new EventWebhookService();
+    mockDeliveries.push({
+      id: 'del-x', webhook_id: 'wh1', project_id: 'proj-1', event: 'job.finished', payload: { id: 'evt' },
+      status: 'pending', max_attempts: 3, attempts: [], next_attempt_at: new Date(Date.now() - 1000),
+    });
+
+    const [first, second] = await Promise.all([service.attempt('del-x'), service.attempt('del-x')]);
+
+    expect([first, second].filter(Boolean)).toHaveLength(1);
+    expect(received).toHaveLength(1);
+  });
+
+  it('stops retrying for disabled webhooks', async () => {
+    const service = new EventWebhookService();
+    mockWebhooks[0].enabled = false;
+    mockDeliveries.push({
+      id: 'del-y', webhook_id: 'wh1', project_id: 'proj-1', event: 'job.finished', payload: { id: 'evt' },
+      status: 'pending', max_attempts: 3, attempts: [{ response_code: 500 }], next_attempt_at: new Date(Date.now() - 1000),
+    });
+
+    expect(await service.attempt('del-y')).toMatchObject({ status: 'failed' });
+    expect(received).toHaveLength(0);
+  });
+});
+
+describe('EventWebhookService.sendTest', () => {
+  it('sends a ping once and reports the outcome', async () => {
+    replies = [500];
+    const service = new EventWebhookService({ maxAttempts: 5 });
+
+    const delivery = await service.sendTest(webhook({ enabled: false }), { id: 'proj-1', project_name: 'Apoferritin' });
+
+    expect(delivery).toMatchObject({ event: 'ping', status: 'failed', max_attempts: 1 });
+    expect(delivery.attempts).toEqual([expect.objectContaining({ response_code: 500 })]);
+    expect(JSON.parse(received[0].body).data).toEqual({ message: 'Test event from CryoProcess', webhookId: 'wh1' });
+  });
+});
+
+describe('EventWebhookService._post', () => {
+  it('stops reading a response once it has the part that is stored', async () => {
+    // Sends more than is stored and never ends the response
+    const endless = http.createServer((req, res) => {
+      req.resume();
+      res.writeHead(200);
+      res.write('x'.repeat(64 * 1024));
+    });
+    await new Promise(resolve => endless.listen(0, '127.0.0.1', resolve));
+
+    try {
+      const res = await new EventWebhookService()._post(`http://127.0.0.1:${endless.address().port}/`, '{}', {});
+      expect(res.statusCode).toBe(200);
+      expect(res.body).toBe('x'.repeat(1000));
+    } finally {
+      endless.closeAllConnections();
+      await new Promise(resolve => endless.close(resolve));
+    }
+  });
+});
+
+describe('job.submitted', () => {
+  const PROJECT_PATH = path.join(process.env.ROOT_PATH, 'Apoferritin');
+
+  const writeFile = (relPath) => {
+    fs.mkdirSync(path.dirname(path.join(PROJECT_PATH, relPath)), { recursive: true });
+    fs.writeFileSync(path.join(PROJECT_PATH, relPath), '');
+  };
+
+  const makeJob = (overrides) => ({
+    project_id: 'proj-1',
+    user_id: 7,
+    status: 'failed',
+    execution_method: 'slurm',
+    system_type: 'local',
+    slurm_job_id: '1234',
+    attempts: [],
+    ...overrides,
+    output_file_path: path.join(PROJECT_PATH, overrides.output_file_path),
+  });
+
+  // The event is published in the background once the job is resubmitted
+  const submittedEvent = async () => {
+    await settled(1);
+    return JSON.parse(received[0].body);
+  };
+
+  beforeEach(() => {
+    fs.rmSync(PROJECT_PATH, { recursive: true, force: true });
+    mockProject = {
+      id: 'proj-1', project_name: 'Apoferritin', folder_name: 'Apoferritin', is_archived: false,
+      retry_policies: { default: { maxAttempts: 3 } },
+    };
+    mockWebhooks = [webhook({ events: ['job.submitted'] })];
+    mockSubmissions = [];
+  });
+
+  afterAll(() => {
+    fs.rmSync(PROJECT_PATH, { recursive: true, force: true });
+  });
+
+  it('is sent when a job is continued', async () => {
+    writeFile('Extract/Job004/particles.star');
+    writeFile('Class2D/Job005/_it025_optimiser.star');
+    mockJob = makeJob({
+      id: 'job-5', job_name: 'Job005', job_type: 'Class2D', output_file_path: 'Class2D/Job005',
+      parameters: {
+        inputStarFile: 'Extract/Job004/particles.star', useVDAM: 'No',
+        numberEMIterations: 25, numberOfClasses: 50, submitToQueue: 'Yes',
+      },
+      isIterative: () => true,
+      isTerminal: true,
+    });
+    const res = { status: jest.fn().mockReturnThis(), json: jest.fn().mockReturnThis() };
+
+    await continueJob({ params: { jobId: 'job-5' }, body: {}, user: { id: 7 } }, res);
+
+    expect(res.status).toHaveBeenCalledWith(202);
+    expect(await submittedEvent()).toMatchObject({
+      type: 'job.submitted', data: { job: { id: 'job-5', name: 'Job005', type: 'Class2D' } },
+    });
+  });
+
+  it('is sent when a failed job is retried', async () => {
+    writeFile('MotionCorr/Job004/corrected_micrographs.star');
+    mockJob = makeJob({
+      id: 'ctf', job_name: 'Job006', job_type: 'CtfFind', output_file_path: 'CtfFind/Job006',
+      parameters: { inputStarFile: 'MotionCorr/Job004/corrected_micrographs.star', submitToQueue: 'Yes', mpiProcs: 8 },
+    });
+
+    const retry = await retryFailedJob(mockJob, diagnoseFailure({ rawState: 'NODE_FAIL' }), 'Job NODE_FAIL');
+
+    expect(retry).toMatchObject({ success: true });
+    expect(await submittedEvent()).toMatchObject({
+      type: 'job.submitted', data: { job: { id: 'ctf', name: 'Job006', type: 'CtfFind' } },
+    });
+  });
+});
@@ -0,0 +1,15 @@
+/**
+ * Stand-in for a Mongoose query resolving to `value`. It can be awaited
+ * directly or through .select()/.sort()/.lean(), the way the code under
+ * test chains them.
+ *
+ * Jest only lets jest.mock() factories reference names starting with
+ * "mock", so import it under this name.
+ */
+const mockQuery = (value) => Object.assign(Promise.resolve(value), {
+  select: () => mockQuery(value),
+  sort: () => mockQuery(value),
+  lean: () => Promise.resolve(value),
+});
+
+module.exports = { mockQuery };
@@ -0,0 +1,205 @@
+jest.mock('../../utils/logger');
+
+let mockChildren;
+
+jest.mock('../../models/Job', () => ({
+  find: jest.fn().mockImplementation(() => ({
+    select: () => ({ lean: () => Promise.resolve(mockChildren) }),
+  })),
+}));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { planJobCleanup, executeCleanup } = require('../jobCleanup');
+
+let projectRoot;
+
+const writeFile = (relativePath, bytes = 10) => {
+  const fullPath = path.join(projectRoot, relativePath);
+  fs.mkdirSync(path.dirname(fullPath), { recursive: true });
+  fs.writeFileSync(fullPath, Buffer.alloc(bytes));
+};
+
+const makeJob = (overrides = {}) => ({
+  id: 'job-class2d',
+  job_name: 'Job004',
+  job_type: 'Class2D',
+  status: 'success',
+  output_file_path: path.join(projectRoot, 'Class2D/Job004'),
+  output_files: [
+    { role: 'particlesStar', relativePath: 'Class2D/Job004/run_it025_data.star' },
+    { role: 'modelStar', relativePath: 'Class2D/Job004/run_it025_model.star' },
+  ],
+  ...overrides,
+});
+
+const plannedPaths = plan => plan.files.map(f => f.path);
+
+beforeEach(() => {
+  projectRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'cleanup-test-'));
+  mockChildren = [];
+  for (const iter of ['023', '024', '025']) {
+    writeFile(`Class2D/Job004/run_it${iter}_data.star`, 100);
+    writeFile(`Class2D/Job004/run_it${iter}_model.star`, 20);
+    writeFile(`Class2D/Job004/run_it${iter}_optimiser.star`, 5);
+    writeFile(`Class2D/Job004/run_it${iter}_classes.mrcs`, 1000);
+  }
+  writeFile('Class2D/Job004/run.out');
+});
+
+afterEach(() => {
+  fs.rmSync(projectRoot, { recursive: true, force: true });
+});
+
+describe('planJobCleanup', () => {
+  it('gentle clean removes every iteration but the last', async () => {
+    const plan = await planJobCleanup(makeJob(), 'gentle');
+
+    expect(plan.skipped).toBeNull();
+    expect(plannedPaths(plan)).toEqual([
+      'Class2D/Job004/run_it023_classes.mrcs',
+      'Class2D/Job004/run_it023_data.star',
+      'Class2D/Job004/run_it023_model.star',
+      'Class2D/Job004/run_it023_optimiser.star',
+      'Class2D/Job004/run_it024_classes.mrcs',
+      'Class2D/Job004/run_it024_data.star',
+      'Class2D/Job004/run_it024_model.star',
+      'Class2D/Job004/run_it024_optimiser.star',
+    ]);
+    expect(plan.totalBytes).toBe(2 * 1125);
+  });
+
+  it('harsh clean also removes the last optimiser but keeps cataloged outputs', async () => {
+    const plan = await planJobCleanup(makeJob(), 'harsh');
+
+    expect(plannedPaths(plan)).toContain('Class2D/Job004/run_it025_optimiser.star');
+    expect(plannedPaths(plan)).not.toContain('Class2D/Job004/run_it025_data.star');
+    expect(plan.keptFiles).toBe(0);
+  });
+
+  it('keeps the whole iteration a downstream job refers to', async () => {
+    mockChildren = [{
+      id: 'job-select',
+      job_name: 'Job005',
+      status: 'success',
+      parameters: { inputModel: 'Class2D/Job004/run_it023_model.star' },
+      command: 'relion_display --i Class2D/Job004/run_it023_model.star',
+    }];
+
+    const plan = await planJobCleanup(makeJob(), 'gentle');
+
+    expect(plannedPaths(plan).filter(p => p.includes('_it023_'))).toEqual([]);
+    expect(plannedPaths(plan).filter(p => p.includes('_it024_'))).toHaveLength(4);
+    expect(plan.keptFiles).toBe(4);
+  });
+
+  it('does not match references to other jobs with a shared prefix', async () => {
+    mockChildren = [{
+      id: 'job-other',
+      job_name: 'Job006',
+      status: 'success',
+      parameters: { inputModel: 'Class2D/Job0040/run_it023_model.star' },
+    }];
+
+    const plan = await planJobCleanup(makeJob(), 'gentle');
+
+    expect(plan.keptFiles).toBe(0);
+  });
+
+  it('skips jobs that are running or have running downstream jobs', async () => {
+    expect((await planJobCleanup(makeJob({ status: 'running' }), 'gentle')).skipped).toBe('Job is still running');
+
+    mockChildren = [{ id: 'job-3d', job_name: 'Job007', status: 'pending', parameters: {} }];
+    const plan = await planJobCleanup(makeJob(), 'gentle');
+
+    expect(plan.skipped).toBe('Downstream job Job007 is still pending');
+    expect(plan.files).toEqual([]);
+  });
+
+  it('skips job types without cleanup rules', async () => {
+    const plan = await planJobCleanup(makeJob({ job_type: 'PostProcess' }), 'harsh');
+
+    expect(plan.skipped).toMatch(/no intermediate files/);
+  });
+
+  it('applies per-type harsh patterns in subdirectories', async () => {
+    writeFile('Extract/Job008/Movies/mic_001.mrcs', 700);
+    writeFile('Extract/Job008/Movies/mic_001_extract.star', 5);
+    writeFile('Extract/Job008/particles.star', 50);
+    const extract = makeJob({
+      id: 'job-extract',
+      job_type: 'Extract',
+      output_file_path: path.join(projectRoot, 'Extract/Job008'),
+      output_files: [{ role: 'particlesStar', relativePath: 'Extract/Job008/particles.star' }],
+    });
+
+    expect(plannedPaths(await planJobCleanup(extract, 'gentle'))).toEqual([]);
+    expect(plannedPaths(await planJobCleanup(extract, 'harsh'))).toEqual(['Extract/Job008/Movies/mic_001.mrcs']);
+  });
+
+  it('keeps particle stacks that downstream STAR files refer to', async () => {
+    writeFile('Extract/Job008/Movies/mic_001.mrcs', 700);
+    writeFile('Extract/Job008/Movies/mic_002.mrcs', 700);
+    writeFile('Extract/Job008/particles.star', 50);
+    fs.mkdirSync(path.join(projectRoot, 'Class2D/Job009'), { recursive: true });
+    fs.writeFileSync(path.join(projectRoot, 'Class2D/Job009/run_it025_data.star'), [
+      'data_particles',
+      'loop_',
+      '_rlnCoordinateX #1',
+      '_rlnImageName #2',
+      '_rlnMicrographName #3',
+      '101.0 000001@Extract/Job008/Movies/mic_002.mrcs MotionCorr/Job002/Movies/mic_002.mrc',
+      '202.0 000002@Extract/Job008/Movies/mic_002.mrcs MotionCorr/Job002/Movies/mic_002.mrc',
+    ].join('\n'));
+    mockChildren = [{
+      id: 'job-class2d-2',
+      job_name: 'Job009',
+      status: 'success',
+      parameters: { inputStarFile: 'Extract/Job008/particles.star' },
+      output_files: [{ role: 'particlesStar', relativePath: 'Class2D/Job009/run_it025_data.star' }],
+    }];
+    const extract = makeJob({
+      id: 'job-extract',
+      job_type: 'Extract',
+      output_file_path: path.join(projectRoot, 'Extract/Job008'),
+      output_files: [{ role: 'particlesStar', relativePath: 'Extract/Job008/particles.star' }],
+    });
+
+    const plan = await planJobCleanup(extract, 'harsh');
+
+    expect(plannedPaths(plan)).toEqual(['Extract/Job008/Movies/mic_001.mrcs']);
+    expect(plan.keptFiles).toBe(1);
+
+    // Without a STAR file to read, no stack is deleted
+    mockChildren[0].output_files = [];
+    expect(plannedPaths(await planJobCleanup(extract, 'harsh'))).toEqual([]);
+  });
+
+  it('never plans symlinks', async () => {
+    const external = path.join(projectRoot, 'external_it001_data.star');
+    fs.writeFileSync(external, Buffer.alloc(10));
+    fs.symlinkSync(external, path.join(projectRoot, 'Class2D/Job004/run_it001_data.star'));
+
+    const plan = await planJobCleanup(makeJob(), 'gentle');
+
+    expect(plannedPaths(plan)).not.toContain('Class2D/Job004/run_it001_data.star');
+  });
+});
+
+describe('executeCleanup', () => {
+  it('deletes the planned files and reports the bytes freed', async () => {
+    const plan = await planJobCleanup(makeJob(), 'gentle');
+
+    const result = await executeCleanup(plan, projectRoot);
+
+    expect(result).toEqual({ deletedFiles: 8, freedBytes: 2250, errors: [] });
+    expect(fs.readdirSync(path.join(projectRoot, 'Class2D/Job004')).sort()).toEqual([
+      'run.out',
+      'run_it025_classes.mrcs',
+      'run_it025_data.star',
+      'run_it025_model.star',
+      'run_it025_optimiser.star',
+    ]);
+  });
+});
@@ -0,0 +1,180 @@
+jest.mock('../../utils/logger');
+
+// ─── Shared mock state (all prefixed with "mock" for Jest hoisting) ─
+
+let mockJobs;        // jobId -> job document
+let mockCancelled;   // SLURM job IDs passed to scancel
+
+jest.mock('../../models/Job', () => ({
+  find: jest.fn().mockImplementation((query) => ({
+    lean: () => Promise.resolve(Object.values(mockJobs).filter(job =>
+      job.depends_on.includes(query.depends_on) && query.status.$in.includes(job.status))),
+  })),
+  findOneAndUpdate: jest.fn().mockImplementation(({ id }, update) => {
+    Object.assign(mockJobs[id], update);
+    return Promise.resolve(mockJobs[id]);
+  }),
+}));
+
+jest.mock('../../utils/remoteExec', () => ({
+  execCommand: jest.fn().mockImplementation((cmd, args) => {
+    if (cmd === 'scancel') mockCancelled.push(args[0]);
+    return Promise.resolve({ stdout: '', stderr: '' });
+  }),
+  writeRemoteFile: jest.fn(),
+  isSSHMode: jest.fn().mockReturnValue(false),
+  createUserSSHSession: jest.fn(),
+}));
+
+jest.mock('../../utils/pipelineMetadata', () => ({
+  storeJobMetadata: jest.fn().mockResolvedValue(),
+}));
+
+const fs = require('fs');
+const path = require('path');
+const CTFBuilder = require('../ctfBuilder');
+const { SlurmMonitor } = require('../slurmMonitor');
+const SlurmScheduler = require('../slurmScheduler');
+const { createBuilder } = require('./helpers/builderFactory');
+
+const SCRIPT_OPTIONS = {
+  jobName: 'Job005',
+  outputDir: '/data/Demo/CtfFind/Job005',
+  projectPath: '/data/Demo',
+  command: ['relion_run_ctffind', '--i', 'MotionCorr/Job004/corrected_micrographs.star'],
+};
+
+const makeJob = (id, jobName, status, dependsOn = [], slurmJobId = null) => ({
+  id,
+  job_name: jobName,
+  project_id: 'proj-1',
+  status,
+  depends_on: dependsOn,
+  slurm_job_id: slurmJobId,
+  output_file_path: '',
+});
+
+beforeEach(() => {
+  mockJobs = {};
+  mockCancelled = [];
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+// ─── SLURM script ───────────────────────────────────────────────────
+
+describe('SlurmScheduler — dependencies', () => {
+  const generateScript = options => new SlurmScheduler().generateScript(options);
+
+  it('emits an afterok dependency on every upstream SLURM job', () => {
+    const script = generateScript({ ...SCRIPT_OPTIONS, dependsOn: ['1201', '1202'] });
+
+    expect(script).toContain('#SBATCH --dependency=afterok:1201:1202\n');
+    expect(script).toContain('#SBATCH --kill-on-invalid-dep=yes\n');
+  });
+
+  it('omits the dependency when there are no upstream jobs', () => {
+    const script = generateScript(SCRIPT_OPTIONS);
+
+    expect(script).not.toContain('--dependency');
+    expect(script).not.toContain('--kill-on-invalid-dep');
+  });
+
+  it('drops SLURM job IDs that are not numeric', () => {
+    const script = generateScript({ ...SCRIPT_OPTIONS, dependsOn: ['1201', '1202; rm -rf /'] });
+
+    expect(script).toContain('#SBATCH --dependency=afterok:1201\n');
+  });
+});
+
+// ─── Builder validation ─────────────────────────────────────────────
+
+describe('BaseJobBuilder — pending upstream outputs', () => {
+  const DATA = { inputStarFile: 'MotionCorr/Job004/corrected_micrographs.star', submitToQueue: 'Yes' };
+
+  it('rejects a missing input file by default', () => {
+    const builder = createBuilder(CTFBuilder, DATA);
+    fs.existsSync.mockReturnValue(false);
+
+    expect(builder.validate().valid).toBe(false);
+  });
+
+  it('accepts a missing input file inside a pending upstream job directory', () => {
+    const builder = createBuilder(CTFBuilder, DATA);
+    fs.existsSync.mockReturnValue(false);
+    builder.setPendingOutputDirs([path.join(builder.projectPath, 'MotionCorr/Job004')]);
+
+    expect(builder.validate()).toEqual({ valid: true, error: null });
+  });
+
+  it('does not treat sibling directories with a common prefix as pending', () => {
+    const builder = createBuilder(CTFBuilder, { ...DATA, inputStarFile: 'MotionCorr/Job0040/corrected_micrographs.star' });
+    fs.existsSync.mockReturnValue(false);
+    builder.setPendingOutputDirs([path.join(builder.projectPath, 'MotionCorr/Job004')]);
+
+    expect(builder.validate().valid).toBe(false);
+  });
+});
+
+// ─── Monitor cascade ────────────────────────────────────────────────
+
+describe('SlurmMonitor — dependency cascade', () => {
+  it('fails every job queued downstream of a failed job', async () => {
+    mockJobs = {
+      motion: makeJob('motion', 'Job004', 'running', [], '1201'),
+      ctf: makeJob('ctf', 'Job005', 'pending', ['motion'], '1202'),
+      pick: makeJob('pick', 'Job006', 'pending', ['ctf'], '1203'),
+    };
+    const monitor = new SlurmMonitor();
+    const changes = [];
+    monitor.on('statusChange', change => changes.push(change));
+
+    await monitor.updateJobStatus({ ...mockJobs.motion }, { state: 'failed', rawState: 'FAILED', source: 'sacct' });
+
+    expect(mockJobs.ctf.status).toBe('failed');
+    expect(mockJobs.ctf.error_message).toBe('Upstream job Job004 failed');
+    expect(mockJobs.pick.status).toBe('failed');
+    expect(mockJobs.pick.error_message).toBe('Upstream job Job005 failed');
+    expect(mockCancelled).toEqual(['1202', '1203']);
+    expect(changes.map(c => [c.jobId, c.newStatus])).toEqual([
+      ['motion', 'failed'], ['ctf', 'failed'], ['pick', 'failed'],
+    ]);
+  });
+
+  it('cancels dependents of a cancelled job', async () => {
+    mockJobs = {
+      motion: makeJob('motion', 'Job004', 'pending', [], '1201'),
+      ctf: makeJob('ctf', 'Job005', 'pending', ['motion'], '1202'),
+    };
+    const monitor = new SlurmMonitor();
+
+    await monitor.cascadeToDependents(mockJobs.motion, 'cancelled');
+
+    expect(mockJobs.ctf.status).toBe('cancelled');
+    expect(mockJobs.ctf.error_message).toBe('Upstream job Job004 cancelled');
+    expect(mockCancelled).toEqual(['1202']);
+  });
+
+  it('leaves dependents alone when the upstream job succeeds', async () => {
+    mockJobs = {
+      motion: makeJob('motion', 'Job004', 'running', [], '1201'),
+      ctf: makeJob('ctf', 'Job005', 'pending', ['motion'], '1202'),
+    };
+    const monitor = new SlurmMonitor();
+
+    await monitor.updateJobStatus({ ...mockJobs.motion }, { state: 'success', rawState: 'RELION_SUCCESS', source: 'file' });
+
+    expect(mockJobs.ctf.status).toBe('pending');
+    expect(mockCancelled).toEqual([]);
+  });
+
+  it('records the start time when a queued job is released', async () => {
+    mockJobs = { ctf: makeJob('ctf', 'Job005', 'pending', ['motion'], '1202') };
+    const monitor = new SlurmMonitor();
+
+    await monitor.updateJobStatus({ ...mockJobs.ctf }, { state: 'running', rawState: 'R', source: 'squeue' });
+
+    expect(mockJobs.ctf.status).toBe('running');
+    expect(mockJobs.ctf.start_time).toBeInstanceOf(Date);
+  });
+});
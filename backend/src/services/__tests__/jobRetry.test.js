@@ -0,0 +1,313 @@
+jest.mock('../../utils/logger');
+
+// ─── Shared mock state (all prefixed with "mock" for Jest hoisting) ─
+
+let mockJobs;        // jobId -> job document
+let mockProject;
+let mockSubmissions; // options passed to submitJobDirect
+let mockSubmitResult;
+let mockCommands;    // [command, args] run through remoteExec
+let mockFailingCommands;
+
+jest.mock('../../models/Job', () => ({
+  find: jest.fn().mockImplementation((query) => {
+    const matches = Object.values(mockJobs).filter(job =>
+      (!query.depends_on || (job.depends_on || []).includes(query.depends_on)) &&
+      (!query.id || query.id.$in.includes(job.id)) &&
+      (!query.status || query.status.$in.includes(job.status)));
+    const result = { lean: () => Promise.resolve(matches) };
+    result.select = () => result;
+    return result;
+  }),
+  findOneAndUpdate: jest.fn().mockImplementation(({ id }, update) => {
+    const job = mockJobs[id];
+    if (update.$push) {
+      for (const [key, value] of Object.entries(update.$push)) job[key] = [...(job[key] || []), value];
+    }
+    Object.assign(job, update.$set || (update.$push ? {} : update));
+    return Promise.resolve(job);
+  }),
+}));
+
+jest.mock('../../models/Project', () => ({
+  findOne: jest.fn().mockImplementation(() => ({ lean: () => Promise.resolve(mockProject) })),
+}));
+
+jest.mock('../../models/User', () => ({
+  findOne: jest.fn().mockImplementation(() => ({ lean: () => Promise.resolve({ id: 7, username: 'alice' }) })),
+}));
+
+jest.mock('../jobSubmission', () => ({
+  submitJobDirect: jest.fn().mockImplementation((options) => {
+    mockSubmissions.push(options);
+    return Promise.resolve(mockSubmitResult);
+  }),
+}));
+
+jest.mock('../../utils/remoteExec', () => ({
+  execCommand: jest.fn().mockImplementation((cmd, args) => {
+    mockCommands.push([cmd, args]);
+    return mockFailingCommands.includes(cmd)
+      ? Promise.reject(new Error(`${cmd} failed`))
+      : Promise.resolve({ stdout: '', stderr: '' });
+  }),
+  writeRemoteFile: jest.fn(),
+  isSSHMode: jest.fn().mockReturnValue(false),
+  createUserSSHSession: jest.fn(),
+}));
+
+jest.mock('../../utils/pipelineMetadata', () => ({
+  storeJobMetadata: jest.fn().mockResolvedValue(),
+}));
+
+const fs = require('fs');
+const { SlurmMonitor } = require('../slurmMonitor');
+const {
+  diagnoseFailure,
+  resolveRetryPolicy,
+  escalateResources,
+  retryFailedJob,
+} = require('../jobRetry');
+
+const OOM_ISSUE = { severity: 'error', category: 'Out of Memory', errorClass: 'oom', message: 'slurmstepd: error: Detected 1 oom-kill event(s)' };
+
+const makeJob = (overrides = {}) => ({
+  id: 'ctf',
+  job_name: 'Job005',
+  job_type: 'CtfFind',
+  project_id: 'proj-1',
+  user_id: 7,
+  status: 'running',
+  execution_method: 'slurm',
+  system_type: 'local',
+  slurm_job_id: '1202',
+  command: 'relion_run_ctffind_mpi --i MotionCorr/Job004/corrected_micrographs.star',
+  output_file_path: '/data/Demo/CtfFind/Job005',
+  depends_on: [],
+  attempts: [],
+  parameters: {
+    inputStarFile: 'MotionCorr/Job004/corrected_micrographs.star',
+    submitToQueue: 'Yes',
+    mpiProcs: 8,
+  },
+  ...overrides,
+});
+
+beforeEach(() => {
+  mockJobs = {};
+  mockSubmissions = [];
+  mockSubmitResult = { success: true, slurm_job_id: '1301' };
+  mockCommands = [];
+  mockFailingCommands = [];
+  mockProject = {
+    id: 'proj-1',
+    project_name: 'Demo',
+    folder_name: 'Demo',
+    retry_policies: { default: { maxAttempts: 3 } },
+  };
+  jest.spyOn(fs, 'existsSync').mockReturnValue(true);
+  jest.spyOn(fs, 'mkdirSync').mockReturnValue(undefined);
+  jest.spyOn(fs, 'rmSync').mockReturnValue(undefined);
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+// ─── Diagnosis ──────────────────────────────────────────────────────
+
+describe('diagnoseFailure', () => {
+  it('classifies from the scheduler state', () => {
+    const diagnosis = diagnoseFailure({ rawState: 'NODE_FAIL', exitCode: '0:0' });
+
+    expect(diagnosis).toMatchObject({ errorClass: 'node_failure', category: 'Node Failure', rawState: 'NODE_FAIL' });
+    expect(diagnosis.explanation).toMatch(/node/);
+  });
+
+  it('classifies from the log when the scheduler only reports FAILED', () => {
+    const diagnosis = diagnoseFailure({ rawState: 'FAILED', exitCode: '1:0' }, [OOM_ISSUE]);
+
+    expect(diagnosis).toMatchObject({ errorClass: 'oom', category: 'Out of Memory', exitCode: '1:0' });
+  });
+
+  it('leaves non-transient failures unclassified', () => {
+    const diagnosis = diagnoseFailure({ rawState: 'RELION_FAILURE' }, [
+      { severity: 'error', category: 'File Not Found', message: 'cannot open file' },
+    ]);
+
+    expect(diagnosis).toMatchObject({ errorClass: null, category: 'File Not Found' });
+  });
+});
+
+// ─── Policy ─────────────────────────────────────────────────────────
+
+describe('resolveRetryPolicy', () => {
+  it('layers the job type policy over the project default', () => {
+    const policy = resolveRetryPolicy({
+      retry_policies: {
+        default: { maxAttempts: 2, escalation: { memoryFactor: 2 } },
+        Class3D: { maxAttempts: 4, retryOn: ['oom'] },
+      },
+    }, 'Class3D');
+
+    expect(policy).toEqual({
+      maxAttempts: 4,
+      retryOn: ['oom'],
+      escalation: { memoryFactor: 2, mpiFactor: 0.5 },
+    });
+  });
+
+  it('does not retry when the project has no policy', () => {
+    expect(resolveRetryPolicy({}, 'Class3D').maxAttempts).toBe(1);
+  });
+});
+
+describe('escalateResources', () => {
+  const policy = resolveRetryPolicy({}, 'Class3D');
+
+  it('raises requested memory on OOM', () => {
+    expect(escalateResources({ memory: 64, mpiProcs: 5 }, 'oom', policy)).toEqual({ memory: 96 });
+  });
+
+  it('halves MPI ranks on OOM when no memory was requested', () => {
+    expect(escalateResources({ numberOfMpiProcs: '5' }, 'oom', policy)).toEqual({ numberOfMpiProcs: 2 });
+  });
+
+  it('keeps resources for other failures', () => {
+    expect(escalateResources({ memory: 64, mpiProcs: 5 }, 'node_failure', policy)).toEqual({});
+  });
+});
+
+// ─── Resubmission ───────────────────────────────────────────────────
+
+describe('retryFailedJob', () => {
+  it('resubmits in place with escalated resources and records the attempt', async () => {
+    mockJobs.ctf = makeJob();
+    const diagnosis = diagnoseFailure({ rawState: 'OUT_OF_MEMORY' });
+
+    const retry = await retryFailedJob(mockJobs.ctf, diagnosis, 'Job OUT_OF_MEMORY');
+
+    expect(retry).toEqual({ attempt: 2, errorClass: 'oom', changedParameters: { mpiProcs: 4 }, success: true, error: null });
+    expect(mockJobs.ctf).toMatchObject({ status: 'pending', slurm_job_id: null, error_message: null });
+    expect(mockJobs.ctf.parameters.mpiProcs).toBe(4);
+    expect(mockJobs.ctf.attempts).toEqual([expect.objectContaining({
+      attempt: 1,
+      status: 'failed',
+      slurm_job_id: '1202',
+      error_message: 'Job OUT_OF_MEMORY',
+      diagnosis,
+      changed_parameters: { mpiProcs: 4 },
+    })]);
+    expect(mockSubmissions[0]).toMatchObject({
+      jobId: 'ctf',
+      jobName: 'Job005',
+      outputDir: '/data/Demo/CtfFind/Job005',
+      executionMethod: 'slurm',
+    });
+    expect(mockSubmissions[0].slurmParams.mpiProcs).toBe(4);
+    expect(fs.rmSync).toHaveBeenCalledWith('/data/Demo/CtfFind/Job005/RELION_JOB_EXIT_FAILURE', { force: true });
+  });
+
+  it('stops once the retry chain reaches maxAttempts', async () => {
+    const retried = { attempt: 1, status: 'failed', retried_at: new Date() };
+    mockJobs.ctf = makeJob({ attempts: [{ attempt: 1, continued_at: new Date() }, retried, { ...retried, attempt: 2 }] });
+
+    const retry = await retryFailedJob(mockJobs.ctf, diagnoseFailure({ rawState: 'NODE_FAIL' }), 'Job NODE_FAIL');
+
+    expect(retry).toBeNull();
+    expect(mockSubmissions).toHaveLength(0);
+  });
+
+  it('ignores error classes the policy does not retry', async () => {
+    mockProject.retry_policies = { CtfFind: { maxAttempts: 3, retryOn: ['node_failure'] } };
+    mockJobs.ctf = makeJob();
+
+    expect(await retryFailedJob(mockJobs.ctf, diagnoseFailure({ rawState: 'TIMEOUT' }), 'Job TIMEOUT')).toBeNull();
+  });
+
+  it('does not retry jobs that ran outside the queue', async () => {
+    mockJobs.ctf = makeJob({ execution_method: 'direct' });
+
+    expect(await retryFailedJob(mockJobs.ctf, diagnoseFailure({ rawState: 'NODE_FAIL' }), 'failed')).toBeNull();
+  });
+});
+
+// ─── Monitor ────────────────────────────────────────────────────────
+
+describe('SlurmMonitor — automatic retries', () => {
+  it('resubmits instead of failing and reports the job as pending', async () => {
+    mockJobs.ctf = makeJob();
+    const monitor = new SlurmMonitor();
+    const changes = [];
+    monitor.on('statusChange', change => changes.push(change));
+
+    await monitor.updateJobStatus({ ...mockJobs.ctf }, { state: 'failed', rawState: 'NODE_FAIL', exitCode: '0:0', source: 'sacct' });
+
+    expect(mockJobs.ctf.status).toBe('pending');
+    expect(mockJobs.ctf.attempts[0].diagnosis.errorClass).toBe('node_failure');
+    expect(changes).toEqual([expect.objectContaining({
+      jobId: 'ctf', oldStatus: 'running', newStatus: 'pending',
+      retry: expect.objectContaining({ attempt: 2, errorClass: 'node_failure' }),
+    })]);
+  });
+
+  it('fails the job with its diagnosis when no retry is left', async () => {
+    mockProject.retry_policies = {};
+    mockJobs.ctf = makeJob();
+    const monitor = new SlurmMonitor();
+
+    await monitor.updateJobStatus({ ...mockJobs.ctf }, { state: 'failed', rawState: 'NODE_FAIL', exitCode: '0:0', source: 'sacct' });
+
+    expect(mockJobs.ctf.status).toBe('failed');
+    expect(mockJobs.ctf.failure_diagnosis).toMatchObject({ errorClass: 'node_failure', category: 'Node Failure' });
+    expect(mockSubmissions).toHaveLength(0);
+  });
+
+  describe('with a job queued behind it', () => {
+    const dependent = () => makeJob({
+      id: 'pick', job_name: 'Job006', job_type: 'AutoPick', status: 'pending', slurm_job_id: '1203', depends_on: ['ctf'],
+    });
+    // The real submission stores the new scheduler job ID
+    const resubmitAs = (slurmJobId) => require('../jobSubmission').submitJobDirect.mockImplementationOnce(async (options) => {
+      mockJobs[options.jobId].slurm_job_id = slurmJobId;
+      return { success: true, slurm_job_id: slurmJobId };
+    });
+    const failCtf = (monitor) => monitor.updateJobStatus(
+      { ...mockJobs.ctf }, { state: 'failed', rawState: 'NODE_FAIL', exitCode: '0:0', source: 'sacct' }
+    );
+
+    it('makes the dependent wait for the retry instead of failing it', async () => {
+      resubmitAs('1301');
+      mockJobs.ctf = makeJob();
+      mockJobs.pick = dependent();
+
+      await failCtf(new SlurmMonitor());
+
+      expect(mockJobs.ctf).toMatchObject({ status: 'pending', slurm_job_id: '1301' });
+      expect(mockJobs.pick.status).toBe('pending');
+      expect(mockCommands).toEqual([['scontrol', ['update', 'JobId=1203', 'Dependency=afterok:1301']]]);
+    });
+
+    it('fails the dependent when the scheduler cannot update it', async () => {
+      mockFailingCommands = ['scontrol'];
+      resubmitAs('1301');
+      mockJobs.ctf = makeJob();
+      mockJobs.pick = dependent();
+
+      await failCtf(new SlurmMonitor());
+
+      expect(mockJobs.ctf.status).toBe('pending');
+      expect(mockJobs.pick).toMatchObject({ status: 'failed', error_message: 'Upstream job Job005 failed' });
+      expect(mockCommands.map(([cmd]) => cmd)).toEqual(['scontrol', 'scancel']);
+    });
+
+    it('fails the dependent when the resubmission fails', async () => {
+      mockSubmitResult = { success: false, slurm_job_id: null, error: 'sbatch: error: invalid partition' };
+      mockJobs.ctf = makeJob();
+      mockJobs.pick = dependent();
+
+      await failCtf(new SlurmMonitor());
+
+      expect(mockJobs.pick.status).toBe('failed');
+      expect(mockCommands).toEqual([['scancel', ['1203']]]);
+    });
+  });
+});
@@ -0,0 +1,306 @@
+jest.mock('../../utils/logger');
+
+// ─── Shared mock state (all prefixed with "mock" for Jest hoisting) ─
+
+let mockDirectory;   // { entries, passwords, binds, searches }
+let mockMembers;     // project_members documents
+let mockProjects;    // project documents
+let mockUsers;       // user documents
+
+const { mockQuery } = require('./helpers/mockQuery');
+
+/**
+ * Evaluate the subset of RFC 4515 filters the service builds: (a=b), (|...), (&...)
+ * with \XX escapes in values
+ */
+const mockParseFilter = (filter) => {
+  let i = 0;
+  const parse = () => {
+    i++; // (
+    if (filter[i] === '|' || filter[i] === '&') {
+      const op = filter[i++];
+      const parts = [];
+      while (filter[i] === '(') parts.push(parse());
+      i++; // )
+      return entry => (op === '|' ? parts.some(p => p(entry)) : parts.every(p => p(entry)));
+    }
+    const eq = filter.indexOf('=', i);
+    const end = filter.indexOf(')', eq);
+    const attribute = filter.slice(i, eq).toLowerCase();
+    const value = filter.slice(eq + 1, end).replace(/\\([0-9a-f]{2})/g, (_, hex) => String.fromCharCode(parseInt(hex, 16)));
+    i = end + 1;
+    return (entry) => {
+      const key = Object.keys(entry).find(k => k.toLowerCase() === attribute);
+      return key !== undefined && [].concat(entry[key]).some(v => String(v).toLowerCase() === value.toLowerCase());
+    };
+  };
+  return parse();
+};
+
+jest.mock('ldapts', () => {
+  class InvalidCredentialsError extends Error {
+    constructor(message) {
+      super(message);
+      this.code = 49;
+    }
+  }
+
+  class Client {
+    constructor(options) {
+      this.options = options;
+    }
+
+    async startTLS() {}
+
+    async bind(dn, password) {
+      mockDirectory.binds.push(dn);
+      if (mockDirectory.passwords[dn] !== password) throw new InvalidCredentialsError('Invalid Credentials');
+    }
+
+    async search(base, { filter }) {
+      mockDirectory.searches.push({ base, filter });
+      const matches = mockParseFilter(filter);
+      return {
+        searchEntries: mockDirectory.entries
+          .filter(e => e.dn.toLowerCase().endsWith(base.toLowerCase()) && matches(e))
+          .map(e => ({ ...e })),
+      };
+    }
+
+    async unbind() {}
+  }
+
+  return { Client, InvalidCredentialsError };
+});
+
+jest.mock('../../models/LdapConfig', () => ({
+  findOne: jest.fn(() => mockQuery(null)),
+  updateOne: jest.fn().mockResolvedValue(),
+}));
+
+jest.mock('../../models/Project', () => ({
+  findOne: jest.fn(({ id }) => mockQuery(mockProjects.find(p => p.id === id) || null)),
+}));
+
+jest.mock('../../models/ProjectMember', () => ({
+  find: jest.fn(({ user_id: userId }) => mockQuery(mockMembers.filter(m => m.user_id === userId).map(m => ({ ...m })))),
+  create: jest.fn(async (doc) => { mockMembers.push({ ...doc }); }),
+  updateOne: jest.fn(async ({ id }, { $set }) => { Object.assign(mockMembers.find(m => m.id === id), $set); }),
+  deleteOne: jest.fn(async ({ id }) => { mockMembers = mockMembers.filter(m => m.id !== id); }),
+  generateId: jest.fn(() => `m-${mockMembers.length + 1}`),
+}));
+
+jest.mock('../../models/User', () => ({
+  find: jest.fn(async ({ auth_provider: provider }) => mockUsers.filter(u => u.auth_provider === provider)),
+}));
+
+const LdapConfig = require('../../models/LdapConfig');
+const { encryptField } = require('../../utils/crypto');
+const { LdapService, escapeFilterValue, fillFilter, dnName } = require('../ldapService');
+
+const BASE = 'dc=example,dc=org';
+const SERVICE_DN = `cn=cryoprocess,ou=services,${BASE}`;
+const JANE_DN = `uid=jane,ou=people,${BASE}`;
+const BOB_DN = `uid=bob,ou=people,${BASE}`;
+
+const makeConfig = (overrides = {}) => ({
+  id: 'ldap',
+  enabled: true,
+  url: 'ldap://ldap.example.org',
+  start_tls: false,
+  tls_reject_unauthorized: true,
+  bind_dn: SERVICE_DN,
+  bind_password: encryptField('service-secret'),
+  user_search_base: `ou=people,${BASE}`,
+  user_filter: '(mail={{login}})',
+  attributes: { username: 'uid', email: 'mail', first_name: 'givenName', last_name: 'sn' },
+  group_search_base: `ou=groups,${BASE}`,
+  group_filter: '(|(member={{dn}})(memberUid={{username}}))',
+  group_name_attribute: 'cn',
+  superuser_groups: ['cryo-admins'],
+  staff_groups: [],
+  auto_provision: true,
+  group_mappings: [
+    { group: 'krios-users', project_id: 'p-krios', role: 'viewer' },
+    { group: `cn=krios-leads,ou=groups,${BASE}`, project_id: 'p-krios', role: 'editor' },
+    { group: 'glacios-users', project_id: 'p-glacios', role: 'editor' },
+  ],
+  sync_interval_minutes: 0,
+  ...overrides,
+});
+
+let service;
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  mockDirectory = {
+    entries: [
+      { dn: JANE_DN, uid: 'Jane', mail: 'Jane@Example.org', givenName: 'Jane', sn: 'Doe', memberOf: [`cn=cryo-admins,ou=groups,${BASE}`] },
+      { dn: BOB_DN, uid: 'bob', mail: 'bob@example.org', givenName: 'Bob', sn: 'Roe' },
+      { dn: `cn=krios-users,ou=groups,${BASE}`, cn: 'krios-users', member: [JANE_DN, BOB_DN] },
+      { dn: `cn=krios-leads,ou=groups,${BASE}`, cn: 'krios-leads', member: [JANE_DN] },
+      { dn: `cn=glacios-users,ou=groups,${BASE}`, cn: 'glacios-users', memberUid: ['bob'] },
+    ],
+    passwords: { [SERVICE_DN]: 'service-secret', [JANE_DN]: 'jane-pw', [BOB_DN]: 'bob-pw' },
+    binds: [],
+    searches: [],
+  };
+  mockMembers = [];
+  mockProjects = [
+    { id: 'p-krios', created_by_id: 1 },
+    { id: 'p-glacios', created_by_id: 2 },
+  ];
+  mockUsers = [];
+  service = new LdapService();
+  service.setConfig(makeConfig());
+});
+
+afterEach(() => {
+  service.stop();
+});
+
+describe('filter helpers', () => {
+  it('escapes filter metacharacters so logins cannot change the filter', () => {
+    expect(escapeFilterValue('*)(uid=*')).toBe('\\2a\\29\\28uid=\\2a');
+    expect(escapeFilterValue('a\\b')).toBe('a\\5cb');
+    expect(fillFilter('(&(mail={{login}})(x={{other}}))', { login: 'j*' })).toBe('(&(mail=j\\2a)(x={{other}}))');
+  });
+
+  it('reads the name of a DN', () => {
+    expect(dnName(`cn=cryo-admins,ou=groups,${BASE}`)).toBe('cryo-admins');
+    expect(dnName('cn=Doe\\, Jane,ou=people')).toBe('Doe, Jane');
+  });
+});
+
+describe('authenticate', () => {
+  it('binds as the service account, then as the user, and maps attributes and groups', async () => {
+    const profile = await service.authenticate('jane@example.org', 'jane-pw');
+
+    expect(mockDirectory.binds).toEqual([SERVICE_DN, JANE_DN]);
+    expect(mockDirectory.searches[0]).toEqual({ base: `ou=people,${BASE}`, filter: '(mail=jane@example.org)' });
+    expect(profile).toMatchObject({
+      dn: JANE_DN,
+      username: 'jane',
+      externalId: 'ldap|jane',
+      email: 'jane@example.org',
+      firstName: 'Jane',
+      lastName: 'Doe',
+    });
+    // memberOf plus the group search, as names and DNs
+    expect(profile.groups).toEqual(expect.arrayContaining([
+      'cryo-admins', 'krios-users', 'krios-leads', `cn=krios-leads,ou=groups,${BASE}`,
+    ]));
+    expect(profile.groups).not.toContain('glacios-users');
+  });
+
+  it('returns null for a wrong password or unknown user', async () => {
+    await expect(service.authenticate('jane@example.org', 'wrong')).resolves.toBeNull();
+    await expect(service.authenticate('nobody@example.org', 'jane-pw')).resolves.toBeNull();
+  });
+
+  it('never binds with an empty password', async () => {
+    await expect(service.authenticate('jane@example.org', '')).resolves.toBeNull();
+    expect(mockDirectory.binds).toEqual([]);
+  });
+
+  it('does not let the login widen the search', async () => {
+    await expect(service.authenticate('*)(uid=*', 'jane-pw')).resolves.toBeNull();
+    expect(mockDirectory.searches[0].filter).toBe('(mail=\\2a\\29\\28uid=\\2a)');
+  });
+
+  it('refuses logins that match several entries', async () => {
+    service.setConfig(makeConfig({ user_filter: '(|(mail={{login}})(uid=bob))' }));
+    await expect(service.authenticate('jane@example.org', 'jane-pw')).resolves.toBeNull();
+  });
+
+  it('throws when the service account cannot bind', async () => {
+    service.setConfig(makeConfig({ bind_password: encryptField('stale') }));
+    await expect(service.authenticate('jane@example.org', 'jane-pw')).rejects.toThrow('Invalid Credentials');
+  });
+});
+
+describe('resolveGroupAccess', () => {
+  it('maps groups to roles and the highest project role', () => {
+    const { roles, projects } = service.resolveGroupAccess(['cryo-admins', 'krios-users', `CN=Krios-Leads,OU=Groups,${BASE.toUpperCase()}`]);
+    expect(roles).toEqual({ is_superuser: true });
+    expect([...projects]).toEqual([['p-krios', 'editor']]);
+  });
+});
+
+describe('applyMemberships', () => {
+  it('adds mapped projects and leaves manual memberships and owned projects alone', async () => {
+    mockMembers = [{ id: 'm-manual', project_id: 'p-glacios', user_id: 5, role: 'viewer', source: 'manual' }];
+
+    const counts = await service.applyMemberships(5, ['krios-users', 'glacios-users']);
+
+    expect(counts).toEqual({ added: 1, updated: 0, removed: 0 });
+    expect(mockMembers).toEqual(expect.arrayContaining([
+      expect.objectContaining({ id: 'm-manual', role: 'viewer', source: 'manual' }),
+      expect.objectContaining({ project_id: 'p-krios', user_id: 5, role: 'viewer', source: 'ldap', added_by: 1 }),
+    ]));
+
+    // Owner of p-krios gets no membership for it
+    await service.applyMemberships(1, ['krios-users']);
+    expect(mockMembers.filter(m => m.user_id === 1)).toEqual([]);
+  });
+
+  it('updates and removes memberships it manages', async () => {
+    mockMembers = [
+      { id: 'm-1', project_id: 'p-krios', user_id: 5, role: 'viewer', source: 'ldap' },
+      { id: 'm-2', project_id: 'p-glacios', user_id: 5, role: 'editor', source: 'ldap' },
+    ];
+
+    const counts = await service.applyMemberships(5, [`cn=krios-leads,ou=groups,${BASE}`]);
+
+    expect(counts).toEqual({ added: 0, updated: 1, removed: 1 });
+    expect(mockMembers).toEqual([expect.objectContaining({ id: 'm-1', role: 'editor' })]);
+  });
+});
+
+describe('syncAll', () => {
+  const makeUser = (fields) => ({ is_active: true, is_staff: false, is_superuser: false, save: jest.fn().mockResolvedValue(), ...fields });
+
+  it('refreshes roles and memberships of every LDAP user and records the result', async () => {
+    mockUsers = [
+      makeUser({ id: 5, username: 'jane', auth_provider: 'ldap', external_id: 'ldap|jane' }),
+      makeUser({ id: 6, username: 'bob', auth_provider: 'ldap', external_id: 'ldap|bob', is_superuser: true }),
+      makeUser({ id: 7, username: 'gone', auth_provider: 'ldap', external_id: 'ldap|gone' }),
+      makeUser({ id: 8, username: 'local', auth_provider: 'local' }),
+    ];
+    mockMembers = [{ id: 'm-old', project_id: 'p-glacios', user_id: 7, role: 'viewer', source: 'ldap' }];
+
+    const summary = await service.syncAll();
+
+    expect(summary).toMatchObject({ users: 3, added: 3, updated: 0, removed: 1, deactivated: 1, error: null });
+    expect(mockUsers[0]).toMatchObject({ is_superuser: true, is_active: true });
+    expect(mockUsers[0].save).toHaveBeenCalled();
+    expect(mockUsers[1]).toMatchObject({ is_superuser: false, is_active: true });
+    // Missing from the directory
+    expect(mockUsers[2]).toMatchObject({ is_active: false });
+    expect(mockUsers[2].save).toHaveBeenCalled();
+    expect(mockUsers[3]).toMatchObject({ is_active: true });
+    expect(mockMembers.map(m => [m.user_id, m.project_id, m.role]).sort()).toEqual([
+      [5, 'p-krios', 'editor'],
+      [6, 'p-glacios', 'editor'],
+      [6, 'p-krios', 'viewer'],
+    ]);
+    expect(LdapConfig.updateOne).toHaveBeenCalledWith({ id: 'ldap' }, { $set: { last_sync: summary } });
+  });
+
+  it('records a failed sync without touching memberships', async () => {
+    mockUsers = [makeUser({ id: 5, username: 'jane', auth_provider: 'ldap', external_id: 'ldap|jane' })];
+    mockMembers = [{ id: 'm-1', project_id: 'p-krios', user_id: 5, role: 'viewer', source: 'ldap' }];
+    service.setConfig(makeConfig({ bind_password: encryptField('stale') }));
+
+    const summary = await service.syncAll();
+
+    expect(summary.error).toMatch(/Invalid Credentials/);
+    expect(mockMembers).toHaveLength(1);
+  });
+
+  it('is not enabled without a URL and search base', () => {
+    service.setConfig(makeConfig({ user_search_base: '' }));
+    expect(service.enabled).toBe(false);
+    return expect(service.syncAll()).rejects.toThrow('LDAP is not enabled');
+  });
+});
@@ -0,0 +1,191 @@
+jest.mock('../../utils/logger');
+
+// ─── Shared mock state (all prefixed with "mock" for Jest hoisting) ─
+
+let mockSession;
+let mockActivities;
+let mockBroadcasts;
+
+jest.mock('../../models/LiveSession', () => ({
+  findOne: jest.fn().mockImplementation(() => Promise.resolve(mockSession)),
+  findOneAndUpdate: jest.fn().mockImplementation((query, update) => {
+    Object.assign(mockSession.state, { processing_behind: update.$set['state.processing_behind'] });
+    return Promise.resolve(mockSession);
+  }),
+}));
+
+jest.mock('../liveWatcher', () => ({
+  getLiveWatcher: () => ({ stop: jest.fn(), stopAll: jest.fn(), getFileCount: () => 0 }),
+}));
+
+jest.mock('../websocket', () => ({
+  getWebSocketServer: () => ({ broadcast: (channel, message) => mockBroadcasts.push(message) }),
+}));
+
+const { buildForecast, ratePerHour } = require('../liveForecast');
+const { LiveOrchestrator } = require('../liveOrchestrator');
+
+const NOW = new Date('2024-05-01T12:00:00Z').getTime();
+const minutesAgo = (m) => new Date(NOW - m * 60000);
+
+// 120 movies/h for the last hour: 20 every 10 minutes
+const acquisition = () => [60, 50, 40, 30, 20, 10, 0].map((m, i) => ({ at: minutesAgo(m), movies_found: 20 * (i + 1) }));
+
+const makeSession = (overrides = {}) => ({
+  id: 'sess-1',
+  project_id: 'proj-1',
+  session_name: 'Live001',
+  status: 'running',
+  acquisition_history: acquisition(),
+  pass_history: [
+    { completed_at: minutesAgo(60), movies_imported: 20, movies_motion: 20, movies_ctf: 20, movies_picked: 15, micrographs_extracted: 15, movies_rejected: 5 },
+    { completed_at: minutesAgo(30), movies_imported: 80, movies_motion: 80, movies_ctf: 80, movies_picked: 60, micrographs_extracted: 60, movies_rejected: 20 },
+  ],
+  state: {
+    movies_found: 140,
+    movies_imported: 140,
+    movies_motion: 120,
+    movies_ctf: 80,
+    movies_filtered: 60,
+    movies_rejected: 20,
+    movies_picked: 60,
+    micrographs_extracted: 60,
+    particles_extracted: 30000,
+  },
+  forecast_config: {},
+  ...overrides,
+});
+
+// ─── Tests ──────────────────────────────────────────────────────────
+
+describe('ratePerHour', () => {
+  it('measures the recent window, anchored on the last point before it', () => {
+    const points = [
+      { t: NOW - 3 * 3600000, v: 0 },
+      { t: NOW - 90 * 60000, v: 100 },
+      { t: NOW - 30 * 60000, v: 160 },
+    ];
+    expect(ratePerHour(points, NOW)).toBeCloseTo(60);
+  });
+
+  it('needs two points a moment apart', () => {
+    expect(ratePerHour([{ t: NOW, v: 5 }], NOW)).toBeNull();
+    expect(ratePerHour([{ t: NOW, v: 5 }, { t: NOW, v: 9 }], NOW)).toBeNull();
+  });
+});
+
+describe('buildForecast', () => {
+  it('reports acquisition rate, per-stage backlog and lag', () => {
+    const forecast = buildForecast(makeSession(), { now: NOW });
+
+    expect(forecast.acquisition.rate_per_hour).toBeCloseTo(120);
+    const ctf = forecast.stages.find(s => s.key === 'ctf');
+    // Exposure 81 was taken just after the batch 30 minutes ago
+    expect(ctf).toMatchObject({ processed: 80, backlog: 60, lag_minutes: 29.5 });
+    expect(ctf.rate_per_hour).toBeCloseTo(120);
+    // Rejected exposures count as handled by AutoPick
+    expect(forecast.stages.find(s => s.key === 'pick')).toMatchObject({ processed: 80, backlog: 60 });
+    expect(forecast.stages.find(s => s.key === 'import')).toMatchObject({ backlog: 0, lag_minutes: 0 });
+    expect(forecast.slowest_stage).toBe('CtfFind');
+    expect(forecast.behind).toBe(false);
+  });
+
+  it('flags the session as behind past the lag threshold', () => {
+    const forecast = buildForecast(makeSession({ forecast_config: { max_lag_minutes: 20 } }), { now: NOW });
+    expect(forecast.lag_threshold_minutes).toBe(20);
+    expect(forecast.behind).toBe(true);
+  });
+
+  it('never flags sessions over existing data as behind', () => {
+    const forecast = buildForecast(makeSession({ input_mode: 'existing', forecast_config: { max_lag_minutes: 20 } }), { now: NOW });
+    expect(forecast.max_lag_minutes).toBe(29.5);
+    expect(forecast.behind).toBe(false);
+  });
+
+  it('forecasts good micrographs and particles at the current yield', () => {
+    const forecast = buildForecast(makeSession({ forecast_config: { target_particles: 60000 } }), {
+      now: NOW, targetMicrographs: 300
+    });
+
+    expect(forecast.yield.good_fraction).toBeCloseTo(0.75);
+    expect(forecast.yield.particles_per_micrograph).toBe(500);
+
+    // 240 more good micrographs; 45 are in the CTF backlog, 195 / 0.75 = 260
+    // new exposures at 120/h, plus the CTF lag
+    const micrographs = forecast.targets.micrographs;
+    expect(micrographs).toMatchObject({ target: 300, current: 60, remaining: 240, reached: false });
+    expect(micrographs.hours).toBeCloseTo(260 / 120 + 29.5 / 60, 2);
+    expect(micrographs.eta.getTime()).toBeCloseTo(NOW + (260 / 120 + 29.5 / 60) * 3600000, -3);
+
+    // 30000 more particles at 375 per exposure: 22500 from the 60 exposures
+    // Extract has not seen, the rest from 20 new exposures, plus the Extract lag
+    const particles = forecast.targets.particles;
+    expect(particles).toMatchObject({ remaining: 30000, reached: false });
+    expect(particles.hours).toBeCloseTo(20 / 120 + 29.5 / 60, 2);
+  });
+
+  it('only counts processing time when the backlog covers the target', () => {
+    const forecast = buildForecast(makeSession(), { now: NOW, targetParticles: 45000 });
+
+    // 15000 particles = 40 of the 60 waiting exposures, at Extract's 120 exposures/h
+    expect(forecast.targets.particles.hours).toBeCloseTo(15000 / (120 * 375), 2);
+  });
+
+  it('marks reached targets and leaves ETAs empty without rates', () => {
+    const session = makeSession({ acquisition_history: [], pass_history: [] });
+    const forecast = buildForecast(session, { now: NOW, targetParticles: 20000, targetMicrographs: 500 });
+
+    expect(forecast.targets.particles).toMatchObject({ reached: true, remaining: 0 });
+    expect(forecast.targets.micrographs).toMatchObject({ reached: false, eta: null, hours: null });
+    expect(forecast.acquisition.rate_per_hour).toBeNull();
+  });
+});
+
+describe('LiveOrchestrator processing lag warning', () => {
+  beforeEach(() => {
+    jest.useFakeTimers({ now: NOW, doNotFake: ['nextTick', 'setImmediate'] });
+    mockActivities = [];
+    mockBroadcasts = [];
+    mockSession = {
+      ...makeSession({ forecast_config: { max_lag_minutes: 20 } }),
+      addActivity: jest.fn().mockImplementation((event, message, opts) => {
+        mockActivities.push({ event, message, level: opts.level });
+        return Promise.resolve();
+      }),
+    };
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('warns once when processing falls behind and notes when it catches up', async () => {
+    const orchestrator = new LiveOrchestrator();
+
+    await orchestrator._checkProcessingLag('sess-1');
+    await orchestrator._checkProcessingLag('sess-1');
+
+    expect(mockActivities).toHaveLength(1);
+    expect(mockActivities[0]).toMatchObject({ event: 'processing_lag', level: 'warning' });
+    expect(mockActivities[0].message).toMatch(/30 min behind acquisition \(CtfFind, limit 20 min\)/);
+    expect(mockBroadcasts[0]).toMatchObject({ event: 'processing_lag', level: 'warning' });
+    expect(mockSession.state.processing_behind).toBe(true);
+
+    Object.assign(mockSession.state, { movies_motion: 140, movies_ctf: 140, movies_filtered: 105, movies_rejected: 35, movies_picked: 105, micrographs_extracted: 105 });
+    await orchestrator._checkProcessingLag('sess-1');
+
+    expect(mockActivities[1]).toMatchObject({ event: 'processing_caught_up', level: 'info' });
+    expect(mockSession.state.processing_behind).toBe(false);
+  });
+
+  it('does not warn for sessions over existing data', async () => {
+    mockSession.input_mode = 'existing';
+    // Movies written a day before the session found them
+    mockSession.acquisition_history = acquisition().map(s => ({ ...s, at: new Date(s.at.getTime() - 24 * 3600000) }));
+
+    await new LiveOrchestrator()._checkProcessingLag('sess-1');
+
+    expect(mockActivities).toHaveLength(0);
+    expect(mockBroadcasts).toHaveLength(0);
+  });
+});
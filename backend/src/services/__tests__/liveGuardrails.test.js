@@ -0,0 +1,145 @@
+jest.mock('../../utils/logger');
+
+// ─── Shared mock state (all prefixed with "mock" for Jest hoisting) ─
+
+let mockSession;
+let mockActivities;
+let mockBroadcasts;
+
+const { mockQuery } = require('./helpers/mockQuery');
+
+jest.mock('../../models/LiveSession', () => ({
+  findOne: jest.fn().mockImplementation(() => mockQuery(mockSession)),
+  findOneAndUpdate: jest.fn().mockImplementation((query, update) => {
+    if (update.$set?.anomalies) mockSession.anomalies = update.$set.anomalies;
+    if (update.status) mockSession.status = update.status;
+    return Promise.resolve(mockSession);
+  }),
+}));
+
+jest.mock('../../models/Job', () => ({
+  findOne: jest.fn().mockImplementation(() => mockQuery({ id: 'job-ctf', output_file_path: 'CtfFind/Job003' })),
+}));
+
+jest.mock('../../models/Project', () => ({
+  findOne: jest.fn().mockImplementation(() => mockQuery({ id: 'proj-1', folder_name: 'LiveGuardrails' })),
+}));
+
+jest.mock('../liveAlertNotifier', () => ({
+  notifyAnomalies: jest.fn().mockResolvedValue(),
+}));
+
+jest.mock('../liveWatcher', () => ({
+  getLiveWatcher: () => ({ stop: jest.fn(), stopAll: jest.fn(), getFileCount: () => 0 }),
+}));
+
+jest.mock('../websocket', () => ({
+  getWebSocketServer: () => ({ broadcast: (channel, message) => mockBroadcasts.push(message) }),
+}));
+
+const fs = require('fs');
+const path = require('path');
+const { notifyAnomalies } = require('../liveAlertNotifier');
+const { LiveOrchestrator } = require('../liveOrchestrator');
+
+const projectPath = '/tmp/test-projects/LiveGuardrails';
+const ctfDir = path.join(projectPath, 'CtfFind/Job003');
+
+const writeCtfStar = (resolutions) => {
+  const rows = resolutions.map((res, i) => `MotionCorr/Job002/Movies/m${i}.mrc 14000 15000 ${res}`);
+  fs.writeFileSync(path.join(ctfDir, 'micrographs_ctf.star'), [
+    'data_micrographs', '', 'loop_',
+    '_rlnMicrographName #1', '_rlnDefocusU #2', '_rlnDefocusV #3', '_rlnCtfMaxResolution #4',
+    ...rows, ''
+  ].join('\n'));
+};
+
+let orchestrator;
+
+beforeEach(() => {
+  fs.mkdirSync(ctfDir, { recursive: true });
+  mockActivities = [];
+  mockBroadcasts = [];
+  notifyAnomalies.mockClear();
+  mockSession = {
+    id: 'sess-1',
+    project_id: 'proj-1',
+    session_name: 'Live001',
+    status: 'running',
+    input_mode: 'watch',
+    jobs: { ctf_id: 'job-ctf' },
+    state: {},
+    anomalies: [],
+    guardrails: { enabled: true, window: 10, max_median_ctf_resolution: 4.5, silence_minutes: 20, auto_pause: true, notify: true },
+    addActivity: jest.fn().mockImplementation((event, message, opts) => {
+      mockActivities.push({ event, message, level: opts.level });
+      return Promise.resolve();
+    }),
+  };
+  orchestrator = new LiveOrchestrator();
+  orchestrator.activeSessions.set('sess-1', { running: true, stageRunning: {}, stagePending: {} });
+});
+
+afterAll(() => {
+  fs.rmSync(projectPath, { recursive: true, force: true });
+});
+
+// ─── Tests ──────────────────────────────────────────────────────────
+
+describe('LiveOrchestrator guardrails', () => {
+  it('raises an exposure anomaly once, notifies and auto-pauses', async () => {
+    writeCtfStar([...Array(10).fill(3.1), ...Array(10).fill(6.2)]);
+
+    await orchestrator._checkExposureGuardrails('sess-1');
+
+    expect(mockSession.anomalies).toEqual([expect.objectContaining({ type: 'ctf_resolution', value: 6.2 })]);
+    expect(mockActivities[0]).toMatchObject({ event: 'anomaly_detected', level: 'warning' });
+    expect(mockActivities[1]).toMatchObject({ event: 'session_paused', message: 'Session paused automatically: CTF resolution' });
+    expect(mockSession.status).toBe('paused');
+    expect(orchestrator.activeSessions.get('sess-1').running).toBe(false);
+    expect(mockBroadcasts.find(b => b.event === 'anomaly_detected').data).toMatchObject({ paused: true });
+    expect(notifyAnomalies).toHaveBeenCalledWith(mockSession, [expect.objectContaining({ type: 'ctf_resolution' })], { paused: true });
+
+    // Still bad after a resume: no second alert or pause
+    mockSession.status = 'running';
+    await orchestrator._checkExposureGuardrails('sess-1');
+    expect(mockActivities).toHaveLength(2);
+    expect(notifyAnomalies).toHaveBeenCalledTimes(1);
+  });
+
+  it('clears an anomaly once the window recovers', async () => {
+    mockSession.anomalies = [{ type: 'ctf_resolution', message: 'bad' }];
+    writeCtfStar(Array(10).fill(3.0));
+
+    await orchestrator._checkExposureGuardrails('sess-1');
+
+    expect(mockSession.anomalies).toEqual([]);
+    expect(mockActivities).toEqual([{ event: 'anomaly_cleared', message: 'CTF resolution back within limits', level: 'info' }]);
+    expect(notifyAnomalies).not.toHaveBeenCalled();
+  });
+
+  it('reports a silent watch directory without pausing', async () => {
+    orchestrator.activeSessions.get('sess-1').lastFileAt = Date.now() - 45 * 60000;
+
+    await orchestrator._checkSilentSessions();
+
+    expect(mockSession.anomalies).toEqual([expect.objectContaining({ type: 'watch_silent', value: 45 })]);
+    expect(mockSession.status).toBe('running');
+    expect(notifyAnomalies).toHaveBeenCalledWith(mockSession, [expect.objectContaining({ type: 'watch_silent' })], { paused: false });
+
+    // New movies clear it
+    orchestrator.activeSessions.get('sess-1').lastFileAt = Date.now();
+    await orchestrator._checkSilence('sess-1');
+    expect(mockSession.anomalies).toEqual([]);
+  });
+
+  it('does nothing while guardrails are off', async () => {
+    mockSession.guardrails.enabled = false;
+    writeCtfStar(Array(10).fill(8));
+
+    await orchestrator._checkExposureGuardrails('sess-1');
+
+    expect(mockSession.anomalies).toEqual([]);
+    expect(mockActivities).toEqual([]);
+  });
+});
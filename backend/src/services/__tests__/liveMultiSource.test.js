@@ -0,0 +1,162 @@
+jest.mock('../../utils/logger');
+
+// ─── Shared mock state (all prefixed with "mock" for Jest hoisting) ─
+
+let mockSession;
+let mockProject;
+let mockKnownFiles;  // filePath -> source index
+
+const { mockQuery } = require('./helpers/mockQuery');
+
+jest.mock('../../models/LiveSession', () => ({
+  findOne: jest.fn().mockImplementation(() => mockQuery(mockSession)),
+  findOneAndUpdate: jest.fn().mockResolvedValue(null),
+}));
+
+jest.mock('../../models/Job', () => ({
+  findOne: jest.fn().mockImplementation(() => mockQuery(null)),
+}));
+
+jest.mock('../../models/Project', () => ({
+  findOne: jest.fn().mockImplementation(() => mockQuery(mockProject)),
+}));
+
+jest.mock('../jobSubmission', () => ({
+  submitJobDirect: jest.fn().mockResolvedValue({ success: true }),
+}));
+
+jest.mock('../liveWatcher', () => ({
+  getLiveWatcher: () => ({
+    stop: jest.fn(),
+    stopAll: jest.fn(),
+    getFileCount: () => Object.keys(mockKnownFiles).length,
+    getKnownFiles: () => Object.keys(mockKnownFiles).sort(),
+    getFileSource: (sessionId, filePath) => mockKnownFiles[filePath] ?? 0,
+  }),
+}));
+
+jest.mock('../websocket', () => ({
+  getWebSocketServer: () => ({ broadcast: jest.fn() }),
+}));
+
+const fs = require('fs');
+const path = require('path');
+const { LiveOrchestrator } = require('../liveOrchestrator');
+
+let projectPath;
+
+const optics = (pixelSize, name) => ({
+  pixel_size: pixelSize, voltage: 300, cs: 2.7, amplitude_contrast: 0.1, optics_group_name: name
+});
+
+const listMovies = () => {
+  const moviesDir = path.join(projectPath, 'Movies');
+  return fs.readdirSync(moviesDir).flatMap(sub => fs.readdirSync(path.join(moviesDir, sub)).map(f => `${sub}/${f}`)).sort();
+};
+
+beforeEach(() => {
+  fs.mkdirSync('/tmp/test-projects', { recursive: true });
+  projectPath = fs.mkdtempSync('/tmp/test-projects/live-sources-');
+  fs.mkdirSync(path.join(projectPath, 'Movies'));
+  mockProject = { id: 'proj-1', project_name: 'Demo', folder_name: path.basename(projectPath) };
+  mockSession = {
+    id: 'sess-1',
+    project_id: 'proj-1',
+    session_name: 'Live001',
+    batch_size: 3,
+    watch_directory: '/data/grid1',
+    file_pattern: '*.tiff',
+    optics: optics(0.83, 'untilted'),
+    sources: [
+      { name: 'grid1', watch_directory: '/data/grid1', file_pattern: '*.tiff', optics: optics(0.83, 'untilted') },
+      { name: 'tilted', watch_directory: '/data/grid2', file_pattern: '*.eer', optics: optics(0.83, 'tilted') },
+    ],
+  };
+  // Both grids use EPU's FoilHole naming, so basenames collide across sources
+  mockKnownFiles = {
+    '/data/grid1/FoilHole_1.tiff': 0,
+    '/data/grid1/FoilHole_2.tiff': 0,
+    '/data/grid2/FoilHole_1.eer': 1,
+    '/data/grid2/FoilHole_2.eer': 1,
+  };
+});
+
+afterEach(() => {
+  fs.rmSync(projectPath, { recursive: true, force: true });
+});
+
+// ─── Tests ──────────────────────────────────────────────────────────
+
+describe('multi-source live sessions', () => {
+  it('releases each source into its own Movies/ folder in batches', async () => {
+    const orchestrator = new LiveOrchestrator();
+
+    expect(await orchestrator._releaseNextBatch('sess-1')).toBe(3);
+    expect(await orchestrator._releaseNextBatch('sess-1')).toBe(1);
+    expect(await orchestrator._releaseNextBatch('sess-1')).toBe(0);
+
+    expect(listMovies()).toEqual([
+      'grid1/FoilHole_1.tiff', 'grid1/FoilHole_2.tiff', 'tilted/FoilHole_1.eer', 'tilted/FoilHole_2.eer'
+    ]);
+    expect(fs.readlinkSync(path.join(projectPath, 'Movies/tilted/FoilHole_1.eer'))).toBe('/data/grid2/FoilHole_1.eer');
+  });
+
+  it('imports every source with one glob', async () => {
+    const params = await new LiveOrchestrator()._buildJobParams(mockSession, 'import', projectPath);
+
+    expect(params).toMatchObject({ inputFiles: 'Movies/*/*', angpix: 0.83, opticsGroupName: 'untilted' });
+  });
+
+  it('splits the imported movies into their optics groups', async () => {
+    const importDir = path.join(projectPath, 'Import/Job001');
+    fs.mkdirSync(importDir, { recursive: true });
+    fs.writeFileSync(path.join(importDir, 'movies.star'), [
+      'data_optics', '', 'loop_', '_rlnOpticsGroupName #1', '_rlnOpticsGroup #2', '_rlnMicrographOriginalPixelSize #3',
+      'untilted 1 0.83', '', 'data_movies', '', 'loop_', '_rlnMicrographMovieName #1', '_rlnOpticsGroup #2',
+      'Movies/grid1/FoilHole_1.tiff 1', 'Movies/tilted/FoilHole_1.eer 1', ''
+    ].join('\n'));
+
+    const counts = await new LiveOrchestrator()._assignOpticsGroups('sess-1', { output_file_path: importDir });
+
+    expect(counts).toEqual({ untilted: 1, tilted: 1 });
+    const content = fs.readFileSync(path.join(importDir, 'movies.star'), 'utf-8');
+    expect(content).toContain('tilted 2 0.83');
+    expect(content).toContain('Movies/tilted/FoilHole_1.eer 2');
+  });
+
+  it('splits each source group by EPU beam shift when asked', async () => {
+    mockSession.optics.beam_shift_groups = 2;
+    const importDir = path.join(projectPath, 'Import/Job001');
+    fs.mkdirSync(importDir, { recursive: true });
+    fs.mkdirSync(path.join(projectPath, 'Movies/grid1'));
+    ['FoilHole_1', 'FoilHole_2'].forEach((name, i) => {
+      fs.writeFileSync(path.join(projectPath, `Movies/grid1/${name}.tiff`), '');
+      fs.writeFileSync(path.join(projectPath, `Movies/grid1/${name}.xml`),
+        `<MicroscopeImage><optics><BeamShift><a:_x>${i}</a:_x><a:_y>0</a:_y></BeamShift></optics></MicroscopeImage>`);
+    });
+    fs.writeFileSync(path.join(importDir, 'movies.star'), [
+      'data_optics', '', 'loop_', '_rlnOpticsGroupName #1', '_rlnOpticsGroup #2', '_rlnMicrographOriginalPixelSize #3',
+      'untilted 1 0.83', '', 'data_movies', '', 'loop_', '_rlnMicrographMovieName #1', '_rlnOpticsGroup #2',
+      'Movies/grid1/FoilHole_1.tiff 1', 'Movies/grid1/FoilHole_2.tiff 1', 'Movies/tilted/FoilHole_1.eer 1', ''
+    ].join('\n'));
+
+    const orchestrator = new LiveOrchestrator();
+    await orchestrator._assignOpticsGroups('sess-1', { output_file_path: importDir });
+    const result = await orchestrator._assignBeamShiftGroups('sess-1', { output_file_path: importDir });
+
+    // The tilted grid has no EPU metadata and keeps its own group
+    expect(result.groups.map(g => [g.name, g.count])).toEqual([['untilted_1', 1], ['untilted_2', 1], ['tilted', 1]]);
+    const content = fs.readFileSync(path.join(importDir, 'movies.star'), 'utf-8');
+    expect(content).toContain('Movies/grid1/FoilHole_2.tiff 2');
+    expect(content).toContain('Movies/tilted/FoilHole_1.eer 3');
+  });
+
+  it('leaves single-source sessions as imported', async () => {
+    mockSession.sources = [];
+    const orchestrator = new LiveOrchestrator();
+
+    expect(await orchestrator._assignOpticsGroups('sess-1', { output_file_path: '/nonexistent' })).toBeNull();
+    const params = await orchestrator._buildJobParams(mockSession, 'import', projectPath);
+    expect(params.inputFiles).toBe('Movies/*.tiff');
+  });
+});
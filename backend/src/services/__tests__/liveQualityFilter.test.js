@@ -0,0 +1,224 @@
+jest.mock('../../utils/logger');
+
+// ─── Shared mock state (all prefixed with "mock" for Jest hoisting) ─
+
+let mockSession;
+let mockJobs;        // jobId -> job document
+let mockProject;
+let mockUpdates;     // updates passed to LiveSession.findOneAndUpdate
+
+const { mockQuery } = require('./helpers/mockQuery');
+
+jest.mock('../../models/LiveSession', () => ({
+  findOne: jest.fn().mockImplementation(() => mockQuery(mockSession)),
+  findOneAndUpdate: jest.fn().mockImplementation((query, update) => {
+    mockUpdates.push(update);
+    return Promise.resolve(mockSession);
+  }),
+}));
+
+jest.mock('../../models/Job', () => ({
+  findOne: jest.fn().mockImplementation(({ id }) => mockQuery(mockJobs[id] || null)),
+}));
+
+jest.mock('../../models/Project', () => ({
+  findOne: jest.fn().mockImplementation(() => mockQuery(mockProject)),
+}));
+
+jest.mock('../jobSubmission', () => ({
+  submitJobDirect: jest.fn().mockResolvedValue({ success: true }),
+}));
+
+jest.mock('../liveWatcher', () => ({
+  getLiveWatcher: () => ({ stop: jest.fn(), stopAll: jest.fn(), getFileCount: () => 0 }),
+}));
+
+jest.mock('../websocket', () => ({
+  getWebSocketServer: () => ({ broadcast: jest.fn() }),
+}));
+
+const fs = require('fs');
+const path = require('path');
+const { LiveOrchestrator } = require('../liveOrchestrator');
+
+let projectPath;
+
+const writeFile = (relPath, content) => {
+  const full = path.join(projectPath, relPath);
+  fs.mkdirSync(path.dirname(full), { recursive: true });
+  fs.writeFileSync(full, content);
+  return full;
+};
+
+// name, defocusU, defocusV, ctf max resolution, total motion
+const MICROGRAPHS = [
+  ['mic_001', 12000, 11000, 3.5, 10],
+  ['mic_002', 42000, 41000, 3.9, 12],   // too far from focus
+  ['mic_003', 15000, 14000, 7.2, 11],   // poor CTF fit
+  ['mic_004', 16000, 15500, 3.1, 45],   // too much motion
+];
+
+const ctfStar = () => [
+  '# version 50001', '', 'data_optics', '', 'loop_', '_rlnOpticsGroupName #1', '_rlnOpticsGroup #2',
+  'opticsGroup1 1', '', '', 'data_micrographs', '', 'loop_',
+  '_rlnMicrographName #1', '_rlnDefocusU #2', '_rlnDefocusV #3', '_rlnCtfMaxResolution #4', '_rlnAccumMotionTotal #5',
+  ...MICROGRAPHS.map(([name, ...values]) => `MotionCorr/job002/Movies/${name}.mrc ${values.join(' ')}`),
+  ''
+].join('\n');
+
+const coordsStar = (count) => [
+  'data_', '', 'loop_', '_rlnCoordinateX #1', '_rlnCoordinateY #2',
+  ...Array.from({ length: count }, (_, i) => `${i * 10} ${i * 10}`), ''
+].join('\n');
+
+const filteredNames = () => fs.readFileSync(path.join(projectPath, 'CtfFind/Job003/micrographs_ctf_filtered.star'), 'utf-8')
+  .split('\n')
+  .filter(line => line.startsWith('MotionCorr/'))
+  .map(line => path.basename(line.split(/\s+/)[0], '.mrc'));
+
+const lastStats = () => mockUpdates[mockUpdates.length - 1].quality_stats;
+
+beforeEach(() => {
+  fs.mkdirSync('/tmp/test-projects', { recursive: true });
+  projectPath = fs.mkdtempSync('/tmp/test-projects/live-quality-');
+  mockProject = { id: 'proj-1', project_name: 'Demo', folder_name: path.basename(projectPath) };
+  mockUpdates = [];
+  mockJobs = {
+    ctf: { id: 'ctf', job_name: 'Job003' },
+    pick: { id: 'pick', job_name: 'Job004' },
+  };
+  mockSession = {
+    id: 'sess-1',
+    project_id: 'proj-1',
+    session_name: 'Live001',
+    status: 'running',
+    thresholds: {},
+    quality_rules: [],
+    jobs: { ctf_id: 'ctf', pick_id: 'pick' },
+    addActivity: jest.fn().mockResolvedValue(),
+  };
+  writeFile('CtfFind/Job003/micrographs_ctf.star', ctfStar());
+});
+
+afterEach(() => {
+  fs.rmSync(projectPath, { recursive: true, force: true });
+});
+
+// ─── Tests ──────────────────────────────────────────────────────────
+
+describe('live quality rules', () => {
+  it('keeps the legacy thresholds working', async () => {
+    mockSession.thresholds = { ctf_resolution_max: 5, total_motion_max: 30 };
+
+    const stats = await new LiveOrchestrator()._applyQualityFilter('sess-1');
+
+    expect(filteredNames()).toEqual(['mic_001', 'mic_002']);
+    expect(stats).toMatchObject({ evaluated: 4, passed: 2, rejected: 2 });
+    expect(mockUpdates[0]).toMatchObject({ 'state.movies_filtered': 2, 'state.movies_rejected': 2 });
+  });
+
+  it('counts the exposures each rule rejects', async () => {
+    mockSession.thresholds = { ctf_resolution_max: 5 };
+    mockSession.quality_rules = [
+      {
+        id: 'focus', name: 'Defocus 0.5-3 µm', enabled: true,
+        condition: { field: 'defocus', operator: 'between', value: [5000, 30000] }
+      },
+      {
+        id: 'usable', name: 'Sharp or still', enabled: true,
+        condition: {
+          op: 'or', conditions: [
+            { field: 'ctfResolution', operator: '<', value: 3.2 },
+            { field: 'totalMotion', operator: '<', value: 20 },
+          ]
+        }
+      },
+      {
+        id: 'off', name: 'Disabled', enabled: false,
+        condition: { field: 'ctfResolution', operator: '<', value: 1 }
+      },
+    ];
+
+    await new LiveOrchestrator()._applyQualityFilter('sess-1');
+
+    expect(filteredNames()).toEqual(['mic_001', 'mic_004']);
+    expect(lastStats()).toMatchObject({
+      evaluated: 4, passed: 2, rejected: 2,
+      rules: [
+        { rule_id: 'ctf_resolution_max', rejected: 1 },
+        { rule_id: 'focus', rejected: 1 },
+        { rule_id: 'usable', rejected: 0 },
+      ]
+    });
+  });
+
+  it('filters on picked particles once AutoPick has run', async () => {
+    mockSession.quality_rules = [{
+      id: 'crowd', name: 'At least 50 particles', enabled: true,
+      condition: { field: 'particleCount', operator: '>=', value: 50 }
+    }];
+    writeFile('AutoPick/Job004/autopick.star', [
+      'data_coordinate_files', '', 'loop_', '_rlnMicrographName #1', '_rlnMicrographCoordinates #2',
+      'MotionCorr/job002/Movies/mic_001.mrc AutoPick/Job004/Movies/mic_001_autopick.star',
+      'MotionCorr/job002/Movies/mic_002.mrc AutoPick/Job004/Movies/mic_002_autopick.star', ''
+    ].join('\n'));
+    writeFile('AutoPick/Job004/Movies/mic_001_autopick.star', coordsStar(80));
+    writeFile('AutoPick/Job004/Movies/mic_002_autopick.star', coordsStar(12));
+
+    await new LiveOrchestrator()._applyQualityFilter('sess-1');
+
+    // mic_003/mic_004 are not picked yet, so the rule cannot judge them
+    expect(filteredNames()).toEqual(['mic_001', 'mic_003', 'mic_004']);
+  });
+
+  it('keeps rejecting a micrograph after it drops out of autopick.star', async () => {
+    mockSession.quality_rules = [{
+      id: 'crowd', name: 'At least 50 particles', enabled: true,
+      condition: { field: 'particleCount', operator: '>=', value: 50 }
+    }];
+    const autopickStar = (names) => [
+      'data_coordinate_files', '', 'loop_', '_rlnMicrographName #1', '_rlnMicrographCoordinates #2',
+      ...names.map(n => `MotionCorr/job002/Movies/${n}.mrc AutoPick/Job004/Movies/${n}_autopick.star`), ''
+    ].join('\n');
+    writeFile('AutoPick/Job004/Movies/mic_001_autopick.star', coordsStar(80));
+    writeFile('AutoPick/Job004/Movies/mic_002_autopick.star', coordsStar(12));
+    const orchestrator = new LiveOrchestrator();
+
+    writeFile('AutoPick/Job004/autopick.star', autopickStar(['mic_001', 'mic_002']));
+    await orchestrator._applyQualityFilter('sess-1');
+    expect(filteredNames()).toEqual(['mic_001', 'mic_003', 'mic_004']);
+
+    // The next pick only sees the filtered micrographs
+    writeFile('AutoPick/Job004/autopick.star', autopickStar(['mic_001', 'mic_003', 'mic_004']));
+    writeFile('AutoPick/Job004/Movies/mic_003_autopick.star', coordsStar(60));
+    writeFile('AutoPick/Job004/Movies/mic_004_autopick.star', coordsStar(70));
+    await orchestrator._applyQualityFilter('sess-1');
+    expect(filteredNames()).toEqual(['mic_001', 'mic_003', 'mic_004']);
+    expect(lastStats()).toMatchObject({ passed: 3, rejected: 1 });
+  });
+
+  it('re-applies to earlier passes and forces Pick and Extract to re-run', async () => {
+    mockSession.quality_rules = [{
+      id: 'ctf', name: 'CTF better than 3.6 Å', enabled: true,
+      condition: { field: 'ctfResolution', operator: '<', value: 3.6 }
+    }];
+    const orchestrator = new LiveOrchestrator();
+    const triggered = jest.spyOn(orchestrator, '_triggerStage').mockResolvedValue();
+    orchestrator.activeSessions.set('sess-1', { running: true, stageRunning: {}, stagePending: {} });
+
+    const stats = await orchestrator.reapplyQualityRules('sess-1');
+
+    expect(stats).toMatchObject({ passed: 2, rejected: 2 });
+    expect(filteredNames()).toEqual(['mic_001', 'mic_004']);
+    expect([...orchestrator.activeSessions.get('sess-1').forceStages]).toEqual(['pick', 'extract']);
+    expect(triggered).toHaveBeenCalledWith('sess-1', 'pick');
+  });
+
+  it('drops the filtered list when all rules are removed', async () => {
+    writeFile('CtfFind/Job003/micrographs_ctf_filtered.star', 'stale');
+
+    expect(await new LiveOrchestrator()._applyQualityFilter('sess-1')).toBeNull();
+    expect(fs.existsSync(path.join(projectPath, 'CtfFind/Job003/micrographs_ctf_filtered.star'))).toBe(false);
+    expect(mockUpdates[0]).toMatchObject({ 'state.movies_filtered': 0 });
+  });
+});
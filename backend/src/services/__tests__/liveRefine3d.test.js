@@ -0,0 +1,244 @@
+jest.mock('../../utils/logger');
+
+// ─── Shared mock state (all prefixed with "mock" for Jest hoisting) ─
+
+let mockSession;
+let mockJobs;        // jobId -> job document
+let mockProject;
+let mockSubmissions; // options passed to submitJobDirect
+let mockBroadcasts;
+
+const { mockQuery } = require('./helpers/mockQuery');
+
+const mockApplyUpdate = (doc, update) => {
+  for (const [key, value] of Object.entries(update)) {
+    if (key === '$push') {
+      for (const [field, item] of Object.entries(value)) {
+        const parts = field.split('.');
+        const parent = parts.slice(0, -1).reduce((obj, p) => obj[p], doc);
+        const leaf = parts[parts.length - 1];
+        parent[leaf] = [...(parent[leaf] || []), item];
+      }
+      continue;
+    }
+    const parts = key.split('.');
+    const parent = parts.slice(0, -1).reduce((obj, p) => obj[p], doc);
+    parent[parts[parts.length - 1]] = value;
+  }
+  return doc;
+};
+
+jest.mock('../../models/LiveSession', () => ({
+  findOne: jest.fn().mockImplementation(() => mockQuery(mockSession)),
+  findOneAndUpdate: jest.fn().mockImplementation((query, update) =>
+    Promise.resolve(mockApplyUpdate(mockSession, update))),
+}));
+
+jest.mock('../../models/Job', () => ({
+  find: jest.fn().mockImplementation(({ id, status }) => mockQuery(
+    Object.values(mockJobs).filter(j => id.$in.includes(j.id) && (!status || j.status === status))
+  )),
+  findOne: jest.fn().mockImplementation(({ id }) => mockQuery(mockJobs[id] || null)),
+  countDocuments: jest.fn().mockImplementation(({ id, status }) => Promise.resolve(
+    Object.values(mockJobs).filter(j => id.$in.includes(j.id) && status.$in.includes(j.status)).length
+  )),
+  create: jest.fn().mockImplementation((doc) => {
+    mockJobs[doc.id] = doc;
+    return Promise.resolve(doc);
+  }),
+  getNextJobName: jest.fn().mockResolvedValue('Job020'),
+  generateId: jest.fn().mockReturnValue('refine-new'),
+}));
+
+jest.mock('../../models/Project', () => ({
+  findOne: jest.fn().mockImplementation(() => mockQuery(mockProject)),
+}));
+
+jest.mock('../jobSubmission', () => ({
+  submitJobDirect: jest.fn().mockImplementation((options) => {
+    mockSubmissions.push(options);
+    return Promise.resolve({ success: true });
+  }),
+}));
+
+jest.mock('../liveWatcher', () => ({
+  getLiveWatcher: () => ({ stop: jest.fn(), stopAll: jest.fn(), getFileCount: () => 0 }),
+}));
+
+jest.mock('../websocket', () => ({
+  getWebSocketServer: () => ({ broadcast: (channel, message) => mockBroadcasts.push(message) }),
+}));
+
+const fs = require('fs');
+const path = require('path');
+const { LiveOrchestrator } = require('../liveOrchestrator');
+
+let projectPath;
+
+const writeFile = (relPath, content = '') => {
+  const full = path.join(projectPath, relPath);
+  fs.mkdirSync(path.dirname(full), { recursive: true });
+  fs.writeFileSync(full, content);
+  return full;
+};
+
+const particlesStar = (count) => [
+  'data_particles', '', 'loop_', '_rlnImageName #1',
+  ...Array.from({ length: count }, (_, i) => `${i + 1}@Extract/job010/mic.mrcs`),
+  ''
+].join('\n');
+
+const addJob = (id, jobType, dir, overrides = {}) => {
+  mockJobs[id] = {
+    id, job_name: id, job_type: jobType, status: 'success',
+    output_file_path: path.join(projectPath, dir), ...overrides
+  };
+  return mockJobs[id];
+};
+
+const addSelect = (id, particles) => {
+  writeFile(`Select/${id}/particles.star`, particlesStar(particles));
+  mockSession.jobs.select_ids.push(id);
+  return addJob(id, 'Subset', `Select/${id}`);
+};
+
+const addInitialModel = (id = 'Job015') => {
+  writeFile(`InitialModel/${id}/initial_model.mrc`);
+  mockSession.jobs.inimodel_ids.push(id);
+  return addJob(id, 'InitialModel', `InitialModel/${id}`);
+};
+
+beforeEach(() => {
+  fs.mkdirSync('/tmp/test-projects', { recursive: true });
+  projectPath = fs.mkdtempSync('/tmp/test-projects/live-refine-');
+  mockProject = { id: 'proj-1', project_name: 'Demo', folder_name: path.basename(projectPath) };
+  mockJobs = {};
+  mockSubmissions = [];
+  mockBroadcasts = [];
+  mockSession = {
+    id: 'sess-1',
+    project_id: 'proj-1',
+    user_id: 7,
+    session_name: 'Live001',
+    status: 'running',
+    input_mode: 'watch',
+    optics: { pixel_size: 1.0 },
+    slurm_config: { execution_method: 'slurm', threads: 4, mpi_procs: 1 },
+    refine3d_config: {
+      enabled: true, particle_increment: 20000, symmetry: 'C1',
+      mask_diameter: 180, initial_low_pass: 40, use_gpu: true, gpu_ids: '0'
+    },
+    state: { particles_refined: 0 },
+    jobs: { select_ids: [], inimodel_ids: [], refine3d_ids: [] },
+    refine_history: [],
+    addActivity: jest.fn().mockResolvedValue(),
+  };
+});
+
+afterEach(() => {
+  fs.rmSync(projectPath, { recursive: true, force: true });
+});
+
+// ─── Tests ──────────────────────────────────────────────────────────
+
+describe('live Refine3D trigger', () => {
+  it('waits for an initial model', async () => {
+    addSelect('Job012', 5000);
+
+    expect(await new LiveOrchestrator()._checkRefine3D('sess-1')).toBe(false);
+    expect(mockSubmissions).toHaveLength(0);
+  });
+
+  it('refines the selection against the initial model once one exists', async () => {
+    addSelect('Job012', 5000);
+    addInitialModel('Job015');
+
+    expect(await new LiveOrchestrator()._checkRefine3D('sess-1')).toBe(true);
+
+    const job = mockJobs['refine-new'];
+    expect(job).toMatchObject({
+      job_type: 'AutoRefine',
+      input_job_ids: ['Job012', 'Job015'],
+      pipeline_stats: expect.objectContaining({ particle_count: 5000 }),
+    });
+    expect(job.command).toContain('--i Select/Job012/particles.star');
+    expect(job.command).toContain('--ref InitialModel/Job015/initial_model.mrc');
+    expect(job.command).toContain('--sym C1');
+    expect(job.command).not.toContain('--firstiter_cc');
+    expect(mockSubmissions[0]).toMatchObject({ jobId: 'refine-new', stageName: 'AutoRefine' });
+    expect(mockSession.jobs.refine3d_ids).toEqual(['refine-new']);
+    expect(mockSession.state.particles_refined).toBe(5000);
+  });
+
+  it('re-runs only after the particle increment, from the previous refined map', async () => {
+    addInitialModel('Job015');
+    writeFile('AutoRefine/Job016/run_class001.mrc');
+    mockSession.jobs.refine3d_ids.push('Job016');
+    addJob('Job016', 'AutoRefine', 'AutoRefine/Job016');
+    mockSession.state.particles_refined = 10000;
+
+    addSelect('Job018', 25000);
+    expect(await new LiveOrchestrator()._checkRefine3D('sess-1')).toBe(false);
+
+    addSelect('Job019', 30000);
+    expect(await new LiveOrchestrator()._checkRefine3D('sess-1')).toBe(true);
+    expect(mockJobs['refine-new'].command).toContain('--ref AutoRefine/Job016/run_class001.mrc');
+    expect(mockSession.state.particles_refined).toBe(30000);
+  });
+
+  it('runs one refinement at a time', async () => {
+    addInitialModel('Job015');
+    addSelect('Job012', 50000);
+    mockSession.jobs.refine3d_ids.push('Job016');
+    addJob('Job016', 'AutoRefine', 'AutoRefine/Job016', { status: 'running' });
+
+    expect(await new LiveOrchestrator()._checkRefine3D('sess-1')).toBe(false);
+  });
+
+  it('submits once when checks overlap', async () => {
+    addInitialModel('Job015');
+    addSelect('Job012', 50000);
+    const orchestrator = new LiveOrchestrator();
+    orchestrator.activeSessions.set('sess-1', { running: true, stageRunning: {}, stagePending: {} });
+
+    // e.g. Select and InitialModel finishing in the same monitor poll
+    const results = await Promise.all([
+      orchestrator._checkRefine3D('sess-1'),
+      orchestrator._checkRefine3D('sess-1'),
+    ]);
+
+    expect(results.sort()).toEqual([false, true]);
+    expect(mockSubmissions).toHaveLength(1);
+    expect(orchestrator.activeSessions.get('sess-1')).toMatchObject({
+      stageRunning: { refine3d: false }, stagePending: { refine3d: false }
+    });
+  });
+
+  it('stays off when disabled', async () => {
+    addInitialModel('Job015');
+    addSelect('Job012', 50000);
+    mockSession.refine3d_config.enabled = false;
+
+    expect(await new LiveOrchestrator()._checkRefine3D('sess-1')).toBe(false);
+  });
+});
+
+describe('live Refine3D history', () => {
+  it('records resolution against particle count', async () => {
+    writeFile('AutoRefine/Job016/run_model.star', 'data_model_general\n\n_rlnCurrentResolution     3.850000\n');
+    const job = addJob('Job016', 'AutoRefine', 'AutoRefine/Job016', {
+      pipeline_stats: { particle_count: 30000 },
+      end_time: new Date('2026-01-01T10:00:00Z'),
+    });
+
+    await new LiveOrchestrator()._recordRefinement('sess-1', job);
+
+    expect(mockSession.refine_history).toEqual([{
+      job_id: 'Job016', job_name: 'Job016', particle_count: 30000,
+      resolution: 3.85, completed_at: job.end_time
+    }]);
+    expect(mockSession.addActivity).toHaveBeenCalledWith('refine3d_complete',
+      expect.stringContaining('3.85 Å with 30000 particles'), expect.any(Object));
+    expect(mockBroadcasts[0]).toMatchObject({ event: 'refine3d_complete', data: { resolution: 3.85 } });
+  });
+});
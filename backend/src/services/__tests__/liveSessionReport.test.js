@@ -0,0 +1,157 @@
+jest.mock('../../utils/logger');
+
+// ─── Shared mock state (all prefixed with "mock" for Jest hoisting) ─
+
+let mockSession;
+let mockJobs;
+let mockGallery;
+let mockReportUpdate;
+
+const { mockQuery } = require('./helpers/mockQuery');
+
+jest.mock('../../models/LiveSession', () => ({
+  findOne: jest.fn().mockImplementation(() => mockQuery(mockSession)),
+  findOneAndUpdate: jest.fn().mockImplementation((filter, update) => {
+    mockReportUpdate = update.$set.report;
+    return Promise.resolve(null);
+  }),
+}));
+
+jest.mock('../../models/Job', () => ({
+  findOne: jest.fn().mockImplementation(({ id }) => mockQuery(mockJobs.find(j => j.id === id) || null)),
+  find: jest.fn().mockImplementation(() => mockQuery(mockJobs)),
+}));
+
+jest.mock('../../models/Project', () => ({
+  findOne: jest.fn().mockImplementation(() => mockQuery({ id: 'proj-1', project_name: 'Apoferritin <K3>', folder_name: 'LiveReport' })),
+}));
+
+jest.mock('../liveSelectGallery', () => ({
+  buildSelectGallery: jest.fn().mockImplementation(() => Promise.resolve(mockGallery)),
+}));
+
+const fs = require('fs');
+const path = require('path');
+const settings = require('../../config/settings');
+const { collectReportData, renderReportHtml, generateSessionReport } = require('../liveSessionReport');
+
+const projectPath = '/tmp/test-projects/LiveReport';
+const ctfDir = path.join(projectPath, 'CtfFind/Job003');
+
+const ctfStar = (names) => [
+  'data_optics', '', 'loop_', '_rlnOpticsGroupName #1', '_rlnOpticsGroup #2', 'opticsGroup1 1', '',
+  'data_micrographs', '', 'loop_',
+  '_rlnMicrographName #1', '_rlnOpticsGroup #2', '_rlnDefocusU #3', '_rlnDefocusV #4',
+  '_rlnCtfMaxResolution #5', '_rlnAccumMotionTotal #6',
+  ...names.map((n, i) => `MotionCorr/Job002/Movies/${n}.mrc 1 ${12000 + i * 1000} ${11000 + i * 1000} ${3 + i * 0.5} ${10 + i}`),
+  ''
+].join('\n');
+
+beforeEach(() => {
+  fs.mkdirSync(ctfDir, { recursive: true });
+  fs.writeFileSync(path.join(ctfDir, 'micrographs_ctf.star'), ctfStar(['m1', 'm2', 'm3', 'm4']));
+  fs.writeFileSync(path.join(ctfDir, 'micrographs_ctf_filtered.star'), ctfStar(['m1', 'm2', 'm3']));
+
+  mockReportUpdate = null;
+  mockJobs = [
+    { id: 'job-ctf', job_name: 'Job003', job_type: 'CtfFind', status: 'success', output_file_path: 'CtfFind/Job003',
+      start_time: new Date('2024-05-01T10:10:00Z'), end_time: new Date('2024-05-01T10:25:00Z') },
+    { id: 'job-import', job_name: 'Job001', job_type: 'Import', status: 'cancelled',
+      start_time: new Date('2024-05-01T10:00:00Z'), end_time: null },
+  ];
+  mockGallery = {
+    selectJobName: 'Job007',
+    class2dJobName: 'Job006',
+    classes: [
+      { classNumber: 3, image: 'data:image/png;base64,AAA', particleFraction: 4.5, estimatedResolution: 7.2 },
+      { classNumber: 9, image: 'data:image/png;base64,BBB', particleFraction: 12.25, estimatedResolution: 999 },
+    ]
+  };
+  mockSession = {
+    id: 'sess-1',
+    project_id: 'proj-1',
+    session_name: 'Live001',
+    status: 'stopped',
+    watch_directory: '/data/epu/grid1',
+    optics: { pixel_size: 0.83, voltage: 300, cs: 2.7 },
+    start_time: new Date('2024-05-01T10:00:00Z'),
+    end_time: new Date('2024-05-01T12:00:00Z'),
+    state: { movies_imported: 4, movies_ctf: 4, particles_extracted: 1200, particles_selected: 800 },
+    jobs: { import_id: 'job-import', ctf_id: 'job-ctf', select_ids: ['job-select'] },
+    pass_history: [
+      { pass_number: 1, completed_at: new Date('2024-05-01T10:30:00Z'), movies_imported: 2, movies_ctf: 2, particles_extracted: 500 },
+      { pass_number: 2, completed_at: new Date('2024-05-01T11:30:00Z'), movies_imported: 4, movies_ctf: 4, particles_extracted: 1200 },
+    ],
+    quality_stats: {
+      evaluated: 4, passed: 3, rejected: 1,
+      rules: [{ rule_id: 'r1', name: 'CTF resolution ≤ 4 Å', rejected: 1 }]
+    },
+    refine_history: [{ job_id: 'job-refine', job_name: 'Job010', particle_count: 800, resolution: 3.12 }],
+    activity_log: [
+      { timestamp: new Date('2024-05-01T11:00:00Z'), level: 'info', message: 'Pass 1 complete' },
+      { timestamp: new Date('2024-05-01T11:05:00Z'), level: 'error', message: 'AutoPick failed: <no GPU>' },
+    ],
+  };
+});
+
+afterAll(() => {
+  fs.rmSync(projectPath, { recursive: true, force: true });
+  settings.REPORT_PDF_COMMAND = '';
+});
+
+// ─── Tests ──────────────────────────────────────────────────────────
+
+describe('live session report', () => {
+  it('collects per-exposure CTF/motion values and the quality filter outcome', async () => {
+    const data = await collectReportData('sess-1');
+
+    expect(data.exposures).toHaveLength(4);
+    expect(data.exposures[0]).toMatchObject({ name: 'm1.mrc', defocus: 1.15, ctfResolution: 3, totalMotion: 10, passed: true });
+    expect(data.exposures[3].passed).toBe(false);
+    expect(data.jobs.map(j => j.job_name)).toEqual(['Job001', 'Job003']);
+  });
+
+  it('renders a self-contained page with charts, rejections, classes and jobs', async () => {
+    const html = renderReportHtml(await collectReportData('sess-1'));
+
+    expect(html).toContain('Apoferritin &lt;K3&gt; · Live001');
+    // Throughput line charts and three histograms
+    expect(html.match(/<svg /g)).toHaveLength(5);
+    expect(html).toContain('3 (75%)');
+    expect(html).toContain('CTF resolution ≤ 4 Å</td><td class="num">1</td><td class="num">25.0%');
+    // Classes ordered by particle share
+    expect(html.indexOf('base64,BBB')).toBeLessThan(html.indexOf('base64,AAA'));
+    expect(html).toContain('#3 · 4.5% · 7.2 Å');
+    expect(html).toContain('<td class="num">15m</td>');
+    expect(html).toContain('AutoPick failed: &lt;no GPU&gt;');
+    expect(html).not.toContain('Pass 1 complete');
+    // Nothing loaded from outside the file
+    expect(html).not.toMatch(/<(script|link)\b|src="http/);
+  });
+
+  it('writes the HTML and a PDF copy and records them on the session', async () => {
+    // Stand-in for wkhtmltopdf: copies its input to the output path
+    const binDir = path.join(projectPath, 'bin');
+    fs.mkdirSync(binDir, { recursive: true });
+    const converter = path.join(binDir, 'wkhtmltopdf');
+    fs.writeFileSync(converter, '#!/bin/sh\ncp "$3" "$4"\n', { mode: 0o755 });
+    settings.REPORT_PDF_COMMAND = converter;
+
+    const result = await generateSessionReport('sess-1');
+
+    expect(result.htmlPath).toBe(path.join(projectPath, 'LiveReports/Live001.html'));
+    expect(result.pdfPath).toBe(path.join(projectPath, 'LiveReports/Live001.pdf'));
+    expect(fs.readFileSync(result.pdfPath, 'utf-8')).toContain('<!DOCTYPE html>');
+    expect(mockReportUpdate).toMatchObject({ html_path: result.htmlPath, pdf_path: result.pdfPath, error: null });
+  });
+
+  it('still writes the HTML when PDF conversion fails', async () => {
+    settings.REPORT_PDF_COMMAND = path.join(projectPath, 'missing-wkhtmltopdf');
+
+    const result = await generateSessionReport('sess-1');
+
+    expect(fs.existsSync(result.htmlPath)).toBe(true);
+    expect(result.pdfPath).toBeNull();
+    expect(mockReportUpdate.error).toMatch(/missing-wkhtmltopdf failed/);
+  });
+});
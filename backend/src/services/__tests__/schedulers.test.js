@@ -0,0 +1,336 @@
+jest.mock('../../utils/logger');
+
+// ─── Shared mock state (all prefixed with "mock" for Jest hoisting) ─
+
+let mockExecCalls;
+let mockExecResult;
+let mockJobs;        // jobId -> job document
+
+jest.mock('../../utils/remoteExec', () => ({
+  execCommand: jest.fn().mockImplementation((cmd, args) => {
+    mockExecCalls.push([cmd, ...args]);
+    return mockExecResult;
+  }),
+  writeRemoteFile: jest.fn(),
+  isSSHMode: jest.fn().mockReturnValue(false),
+  createUserSSHSession: jest.fn(),
+}));
+
+jest.mock('../../models/Job', () => ({
+  find: jest.fn().mockImplementation((query) => ({
+    lean: () => Promise.resolve(query.depends_on
+      ? []
+      : Object.values(mockJobs).filter(job => [].concat(query.status.$in || query.status).includes(job.status))),
+  })),
+  findOneAndUpdate: jest.fn().mockImplementation(({ id }, update) => {
+    Object.assign(mockJobs[id], update);
+    return Promise.resolve(mockJobs[id]);
+  }),
+}));
+
+jest.mock('../../utils/pipelineMetadata', () => ({
+  storeJobMetadata: jest.fn().mockResolvedValue(),
+}));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const PbsScheduler = require('../pbsScheduler');
+const FakeScheduler = require('../fakeScheduler');
+const { parseQstatFull } = require('../pbsScheduler');
+const { SlurmMonitor } = require('../slurmMonitor');
+const settings = require('../../config/settings');
+const { getScheduler, getSchedulerType, getSchedulerTypes, setSchedulerType } = require('../schedulers');
+
+const SCRIPT_OPTIONS = {
+  jobName: 'Job005',
+  outputDir: '/data/Demo/Class2D/Job005',
+  projectPath: '/data/Demo',
+  command: ['relion_refine', '--i', 'Extract/Job004/particles.star'],
+};
+
+const QSTAT_OUTPUT = `Job Id: 1201.pbs01
+    Job_Name = Job004
+    job_state = F
+    Exit_status = 0
+    resources_used.walltime = 01:02:03
+
+Job Id: 1202.pbs01
+    Job_Name = Job005
+    job_state = R
+    Variable_List = PBS_O_HOME=/home/alice,PBS_O_PATH=/usr/bin:/bin,PBS_O_WORKDIR=/da
+\tta/Demo
+
+Job Id: 1203.pbs01
+    Job_Name = Job006
+    job_state = F
+    Exit_status = 271
+`;
+
+let tmpDir;
+
+beforeEach(() => {
+  mockExecCalls = [];
+  mockExecResult = Promise.resolve({ stdout: '', stderr: '' });
+  mockJobs = {};
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'scheduler-test-'));
+});
+
+afterEach(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+// ─── Registry ───────────────────────────────────────────────────────
+
+describe('scheduler registry', () => {
+  afterEach(() => setSchedulerType('slurm'));
+
+  it('defaults to SLURM', () => {
+    expect(getSchedulerType()).toBe('slurm');
+    expect(getScheduler().name).toBe('slurm');
+  });
+
+  it('switches the active backend and rejects unknown ones', () => {
+    expect(setSchedulerType('pbs')).toBe(true);
+    expect(getScheduler().name).toBe('pbs');
+    expect(setSchedulerType('lsf')).toBe(false);
+    expect(getSchedulerType()).toBe('pbs');
+  });
+
+  it('only offers the fake backend when it is enabled', () => {
+    expect(getSchedulerTypes()).toEqual(['slurm', 'pbs']);
+    expect(setSchedulerType('fake')).toBe(false);
+    expect(getSchedulerType()).toBe('slurm');
+
+    settings.ENABLE_FAKE_SCHEDULER = true;
+    try {
+      expect(getSchedulerTypes()).toEqual(['slurm', 'pbs', 'fake']);
+      expect(setSchedulerType('fake')).toBe(true);
+    } finally {
+      settings.ENABLE_FAKE_SCHEDULER = false;
+    }
+  });
+
+  it('returns the same instance per backend', () => {
+    expect(getScheduler('fake')).toBe(getScheduler('fake'));
+  });
+});
+
+// ─── PBS ────────────────────────────────────────────────────────────
+
+describe('PbsScheduler', () => {
+  const pbs = new PbsScheduler();
+
+  it('writes PBS directives for resources, queue and dependencies', () => {
+    const script = pbs.generateScript({
+      ...SCRIPT_OPTIONS, partition: 'gpu', mpiProcs: 4, threads: 2, gpus: 1, dependsOn: ['1201.pbs01'],
+    });
+
+    expect(script).toMatch(/^#!\/bin\/bash\n#PBS -N Job005\n/);
+    expect(script).toContain('#PBS -o /data/Demo/Class2D/Job005/run.out\n');
+    expect(script).toContain('#PBS -q gpu\n');
+    expect(script).toContain('#PBS -l select=1:ncpus=8:mpiprocs=4:ngpus=1\n');
+    expect(script).toContain('#PBS -W depend=afterok:1201.pbs01\n');
+    expect(script).toContain('mpirun -n 4 relion_refine');
+    expect(script).not.toContain('#SBATCH');
+  });
+
+  it('accepts PBS job IDs and rejects anything else', () => {
+    expect(pbs.sanitizeJobId('1201.pbs01')).toBe('1201.pbs01');
+    expect(pbs.sanitizeJobId('1201[].pbs01')).toBe('1201[].pbs01');
+    expect(pbs.sanitizeJobId('1201')).toBe('1201');
+    expect(pbs.sanitizeJobId('1201; qdel all')).toBeNull();
+  });
+
+  it('parses the job ID printed by qsub', async () => {
+    mockExecResult = Promise.resolve({ stdout: '1204.pbs01\n', stderr: '' });
+    const result = await pbs.submit('/data/Demo/Class2D/Job005/run.sh', { cwd: '/data/Demo' });
+
+    expect(result.jobId).toBe('1204.pbs01');
+    expect(mockExecCalls[0]).toEqual(['qsub', '/data/Demo/Class2D/Job005/run.sh']);
+  });
+
+  it('parses qstat -f output including wrapped values', () => {
+    const jobs = parseQstatFull(QSTAT_OUTPUT);
+
+    expect(Object.keys(jobs)).toEqual(['1201.pbs01', '1202.pbs01', '1203.pbs01']);
+    expect(jobs['1201.pbs01']['resources_used.walltime']).toBe('01:02:03');
+    expect(jobs['1202.pbs01'].Variable_List).toMatch(/PBS_O_WORKDIR=\/data\/Demo$/);
+  });
+
+  it('maps job states and exit statuses', async () => {
+    mockExecResult = Promise.resolve({ stdout: QSTAT_OUTPUT, stderr: '' });
+    const statuses = await pbs.queryStatuses(['1201.pbs01', '1202.pbs01', '1203.pbs01']);
+
+    expect(mockExecCalls[0]).toEqual(['qstat', '-x', '-f', '1201.pbs01', '1202.pbs01', '1203.pbs01']);
+    expect(statuses['1201.pbs01']).toMatchObject({ state: 'success', exitCode: '0', elapsed: '01:02:03' });
+    expect(statuses['1202.pbs01'].state).toBe('running');
+    expect(statuses['1203.pbs01'].state).toBe('cancelled');
+    expect(pbs.mapState('Q')).toBe('pending');
+    expect(pbs.mapState('F', '1')).toBe('failed');
+  });
+
+  it('keeps the statuses qstat printed when some IDs are unknown', async () => {
+    const error = Object.assign(new Error('qstat: Unknown Job Id 9999.pbs01'), { stdout: QSTAT_OUTPUT });
+    mockExecResult = Promise.reject(error);
+    const statuses = await pbs.queryStatuses(['1201.pbs01', '9999.pbs01']);
+
+    expect(statuses['1201.pbs01'].state).toBe('success');
+    expect(statuses['9999.pbs01']).toBeUndefined();
+  });
+
+  it('cancels through qdel', async () => {
+    expect(await pbs.cancel('1202.pbs01')).toBe(true);
+    expect(mockExecCalls[0]).toEqual(['qdel', '1202.pbs01']);
+  });
+
+  it('re-points a queued job at new upstream jobs through qalter', async () => {
+    expect(await pbs.updateDependencies('1203.pbs01', ['1301.pbs01'])).toBe(true);
+    expect(mockExecCalls[0]).toEqual(['qalter', '-W', 'depend=afterok:1301.pbs01', '1203.pbs01']);
+
+    expect(await pbs.updateDependencies('1203.pbs01', ['bad;id'])).toBe(false);
+    expect(mockExecCalls).toHaveLength(1);
+  });
+
+  it('lists queued jobs from qstat, filtered by user', async () => {
+    mockExecResult = Promise.resolve({
+      stdout: [
+        'Job id            Name             User              Time Use S Queue',
+        '----------------  ---------------- ----------------  -------- - -----',
+        '1202.pbs01        Job005           alice             00:10:00 R gpu',
+        '1204.pbs01        Job007           bob               0        Q cpu',
+      ].join('\n'),
+      stderr: ''
+    });
+
+    const jobs = await pbs.listJobs({ user: 'bob' });
+
+    expect(jobs).toEqual([expect.objectContaining({
+      jobId: '1204.pbs01', name: 'Job007', user: 'bob', partition: 'cpu', state: 'Q', status: 'pending'
+    })]);
+  });
+});
+
+describe('SlurmScheduler', () => {
+  it('lists queued jobs from squeue', async () => {
+    mockExecResult = Promise.resolve({ stdout: '4242|Job005|alice|gpu|R|1:02|2:00:00|1|node01\n', stderr: '' });
+
+    const jobs = await getScheduler('slurm').listJobs({ user: 'alice' });
+
+    expect(mockExecCalls[0]).toEqual(expect.arrayContaining(['squeue', '--user=alice']));
+    expect(jobs).toEqual([{
+      jobId: '4242', name: 'Job005', user: 'alice', partition: 'gpu', state: 'R', status: 'running',
+      elapsed: '1:02', timelimit: '2:00:00', nodes: 1, reason: 'node01'
+    }]);
+  });
+});
+
+// ─── Fake ───────────────────────────────────────────────────────────
+
+describe('FakeScheduler', () => {
+  const writeJob = (scheduler, name, command, dependsOn = []) => {
+    const outputDir = path.join(tmpDir, name);
+    fs.mkdirSync(outputDir);
+    const scriptPath = path.join(outputDir, 'run.sh');
+    const script = scheduler.generateScript({ jobName: name, outputDir, projectPath: tmpDir, command, dependsOn });
+    fs.writeFileSync(scriptPath, script);
+    return scriptPath;
+  };
+
+  it('runs a script locally and reports success', async () => {
+    const fake = new FakeScheduler();
+    const { jobId } = await fake.submit(writeJob(fake, 'Job001', 'echo hello'), { cwd: tmpDir });
+
+    expect(await fake.wait(jobId)).toBe('success');
+    expect(fs.readFileSync(path.join(tmpDir, 'Job001', 'run.out'), 'utf-8')).toContain('hello');
+    expect(fs.existsSync(path.join(tmpDir, 'Job001', 'RELION_JOB_EXIT_SUCCESS'))).toBe(true);
+    expect((await fake.queryStatuses([jobId]))[jobId]).toMatchObject({ state: 'success', exitCode: '0:0' });
+  });
+
+  it('reports failure for a non-zero exit', async () => {
+    const fake = new FakeScheduler();
+    const { jobId } = await fake.submit(writeJob(fake, 'Job001', 'ls /nonexistent-input'), { cwd: tmpDir });
+
+    expect(await fake.wait(jobId)).toBe('failed');
+    expect(fs.existsSync(path.join(tmpDir, 'Job001', 'RELION_JOB_EXIT_FAILURE'))).toBe(true);
+  });
+
+  it('holds dependents until their upstream job succeeds', async () => {
+    const fake = new FakeScheduler();
+    const first = await fake.submit(writeJob(fake, 'Job001', 'sleep 0.2'), { cwd: tmpDir });
+    const second = await fake.submit(writeJob(fake, 'Job002', 'echo after', [first.jobId]), { cwd: tmpDir });
+
+    expect((await fake.queryStatuses([second.jobId]))[second.jobId].state).toBe('pending');
+    expect(await fake.wait(second.jobId)).toBe('success');
+    expect(await fake.wait(first.jobId)).toBe('success');
+  });
+
+  it('cancels dependents of a failed job, like --kill-on-invalid-dep', async () => {
+    const fake = new FakeScheduler();
+    const first = await fake.submit(writeJob(fake, 'Job001', 'exit 1'), { cwd: tmpDir });
+    const second = await fake.submit(writeJob(fake, 'Job002', 'echo never', [first.jobId]), { cwd: tmpDir });
+    const third = await fake.submit(writeJob(fake, 'Job003', 'echo never', [second.jobId]), { cwd: tmpDir });
+
+    expect(await fake.wait(third.jobId)).toBe('cancelled');
+    expect(await fake.wait(second.jobId)).toBe('cancelled');
+    expect(fs.existsSync(path.join(tmpDir, 'Job002', 'run.out'))).toBe(false);
+  });
+
+  it('lets a queued job wait for a different upstream job', async () => {
+    const fake = new FakeScheduler();
+    const first = await fake.submit(writeJob(fake, 'Job001', 'sleep 30'), { cwd: tmpDir });
+    const retry = await fake.submit(writeJob(fake, 'Job002', 'echo retried'), { cwd: tmpDir });
+    const second = await fake.submit(writeJob(fake, 'Job003', 'echo after', [first.jobId]), { cwd: tmpDir });
+
+    expect(await fake.updateDependencies(second.jobId, [retry.jobId])).toBe(true);
+    await fake.cancel(first.jobId);
+
+    expect(await fake.wait(second.jobId)).toBe('success');
+    expect(await fake.updateDependencies(second.jobId, [retry.jobId])).toBe(false);
+  });
+
+  it('cancels a running job', async () => {
+    const fake = new FakeScheduler();
+    const { jobId } = await fake.submit(writeJob(fake, 'Job001', 'sleep 30'), { cwd: tmpDir });
+
+    expect(await fake.cancel(jobId)).toBe(true);
+    expect(await fake.wait(jobId)).toBe('cancelled');
+    expect(await fake.cancel(jobId)).toBe(false);
+  });
+});
+
+// ─── Monitor ────────────────────────────────────────────────────────
+
+describe('SlurmMonitor — scheduler backends', () => {
+  afterEach(() => setSchedulerType('slurm'));
+
+  it('polls each job through the scheduler it was submitted to', async () => {
+    const fake = getScheduler('fake');
+    const scriptPath = path.join(tmpDir, 'run.sh');
+    fs.writeFileSync(scriptPath, fake.generateScript({ ...SCRIPT_OPTIONS, outputDir: tmpDir, projectPath: tmpDir, command: 'true' }));
+    const { jobId: fakeId } = await fake.submit(scriptPath, { cwd: tmpDir });
+    await fake.wait(fakeId);
+
+    mockJobs = {
+      a: { id: 'a', status: 'running', scheduler: 'fake', slurm_job_id: fakeId, output_file_path: '' },
+      b: { id: 'b', status: 'running', scheduler: 'pbs', slurm_job_id: '1202.pbs01', output_file_path: '' },
+    };
+    mockExecResult = Promise.resolve({ stdout: QSTAT_OUTPUT, stderr: '' });
+
+    await new SlurmMonitor().checkRunningJobs();
+
+    expect(mockJobs.a.status).toBe('success');
+    expect(mockJobs.b.status).toBe('running');
+    expect(mockExecCalls).toEqual([['qstat', '-x', '-f', '1202.pbs01']]);
+  });
+
+  it('queries jobs without a recorded scheduler through SLURM', async () => {
+    mockJobs = { a: { id: 'a', status: 'pending', slurm_job_id: '1201', output_file_path: '' } };
+    mockExecResult = Promise.resolve({ stdout: '1201|R|0:05|1:00:00\n', stderr: '' });
+
+    await new SlurmMonitor().checkRunningJobs();
+
+    expect(mockExecCalls[0][0]).toBe('squeue');
+    expect(mockJobs.a.status).toBe('running');
+  });
+});
@@ -0,0 +1,215 @@
+jest.mock('../../utils/logger');
+
+// ─── Shared mock state (all prefixed with "mock" for Jest hoisting) ─
+
+let mockSession;
+const mockUpdates = [];
+
+const { mockQuery } = require('./helpers/mockQuery');
+
+jest.mock('../../models/LiveSession', () => ({
+  findOne: jest.fn().mockImplementation(() => mockQuery(mockSession)),
+  findOneAndUpdate: jest.fn().mockImplementation((filter, update) => {
+    mockUpdates.push(update);
+    const push = update.$push?.['callback.delivered_micrographs'];
+    if (push) {
+      mockSession.callback.delivered_micrographs = [
+        ...mockSession.callback.delivered_micrographs, ...push.$each
+      ].slice(push.$slice);
+    }
+    return Promise.resolve(null);
+  }),
+}));
+
+jest.mock('../../models/Job', () => ({
+  findOne: jest.fn().mockImplementation(() => mockQuery({ id: 'job-ctf', output_file_path: 'CtfFind/Job003' })),
+}));
+
+jest.mock('../../models/Project', () => ({
+  findOne: jest.fn().mockImplementation(() => mockQuery({ id: 'proj-1', folder_name: 'SmartScopeCallbacks' })),
+}));
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { encryptField } = require('../../utils/crypto');
+const { SmartScopeCallbacks, signPayload, MAX_DELIVERED_MICROGRAPHS } = require('../smartscopeCallbacks');
+
+const SECRET = 'grid-secret-0123456789';
+const projectPath = '/tmp/test-projects/SmartScopeCallbacks';
+const ctfDir = path.join(projectPath, 'CtfFind/Job003');
+
+const writeCtfStar = (names) => {
+  fs.writeFileSync(path.join(ctfDir, 'micrographs_ctf.star'), [
+    'data_optics', '', 'loop_', '_rlnOpticsGroupName #1', '_rlnOpticsGroup #2', 'opticsGroup1 1', '',
+    'data_micrographs', '', 'loop_',
+    '_rlnMicrographName #1', '_rlnOpticsGroup #2', '_rlnDefocusU #3', '_rlnDefocusV #4',
+    '_rlnDefocusAngle #5', '_rlnCtfFigureOfMerit #6', '_rlnCtfMaxResolution #7', '_rlnAccumMotionTotal #8',
+    ...names.map(n => `MotionCorr/Job002/Movies/${n}.mrc 1 15000 14000 35.0 0.21 3.4 12.5`),
+    ''
+  ].join('\n'));
+};
+
+// Local stand-in for SmartScope: replies with the queued status codes, then 200
+let server;
+let callbackUrl;
+let received;
+let replies;
+
+beforeAll(async () => {
+  server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      received.push({ headers: req.headers, body });
+      res.statusCode = replies.shift() || 200;
+      res.end('{}');
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  callbackUrl = `http://127.0.0.1:${server.address().port}/cryoprocess/results`;
+});
+
+afterAll(async () => {
+  await new Promise(resolve => server.close(resolve));
+  fs.rmSync(projectPath, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  fs.mkdirSync(ctfDir, { recursive: true });
+  received = [];
+  replies = [];
+  mockUpdates.length = 0;
+  mockSession = {
+    id: 'sess-1',
+    project_id: 'proj-1',
+    session_name: 'Grid01',
+    optics: { pixel_size: 0.83 },
+    jobs: { ctf_id: 'job-ctf' },
+    callback: { url: callbackUrl, secret: encryptField(SECRET), delivered_micrographs: [] },
+  };
+});
+
+// ─── Tests ──────────────────────────────────────────────────────────
+
+describe('SmartScope result callbacks', () => {
+  it('posts signed per-micrograph results and only sends new micrographs next time', async () => {
+    const callbacks = new SmartScopeCallbacks({ maxAttempts: 3, baseDelayMs: 5 });
+    writeCtfStar(['sq1_hole1', 'sq1_hole2']);
+
+    expect(await callbacks.notifyBatch('sess-1')).toEqual({ delivered: 2, failed: 0 });
+
+    expect(received).toHaveLength(1);
+    const { headers, body } = received[0];
+    const expected = crypto.createHmac('sha256', SECRET)
+      .update(`${headers['x-cryoprocess-timestamp']}.${body}`).digest('hex');
+    expect(headers['x-cryoprocess-signature']).toBe(`sha256=${expected}`);
+    expect(headers['x-cryoprocess-event']).toBe('micrographs.completed');
+
+    const payload = JSON.parse(body);
+    expect(payload).toMatchObject({ sessionId: 'sess-1', gridName: 'Grid01' });
+    expect(payload.micrographs.map(m => m.micrographName)).toEqual(['sq1_hole1', 'sq1_hole2']);
+    expect(payload.micrographs[0]).toMatchObject({
+      defocus: 1.45, astig: 0.1, ctffit: 0.21, ctfResolution: 3.4, totalMotion: 12.5, pixelSize: 0.83
+    });
+
+    writeCtfStar(['sq1_hole1', 'sq1_hole2', 'sq1_hole3']);
+    expect(await callbacks.notifyBatch('sess-1')).toEqual({ delivered: 1, failed: 0 });
+    expect(JSON.parse(received[1].body).micrographs.map(m => m.micrographName)).toEqual(['sq1_hole3']);
+    expect(mockSession.callback.delivered_micrographs).toEqual(['sq1_hole1', 'sq1_hole2', 'sq1_hole3']);
+  });
+
+  it('sends micrographs that Import sorted in between delivered ones', async () => {
+    const callbacks = new SmartScopeCallbacks({ maxAttempts: 1, baseDelayMs: 5 });
+    writeCtfStar(['sq1_hole1', 'sq1_hole3']);
+    await callbacks.notifyBatch('sess-1');
+
+    writeCtfStar(['sq1_hole1', 'sq1_hole2', 'sq1_hole3', 'sq1_hole4']);
+    expect(await callbacks.notifyBatch('sess-1')).toEqual({ delivered: 2, failed: 0 });
+    expect(JSON.parse(received[1].body).micrographs.map(m => m.micrographName)).toEqual(['sq1_hole2', 'sq1_hole4']);
+  });
+
+  it('keeps only the most recent delivered names', async () => {
+    const callbacks = new SmartScopeCallbacks({ maxAttempts: 1, baseDelayMs: 5 });
+    writeCtfStar(['sq5_hole1']);
+
+    await callbacks.notifyBatch('sess-1');
+
+    expect(mockUpdates[0].$push['callback.delivered_micrographs']).toEqual({
+      $each: ['sq5_hole1'], $slice: -MAX_DELIVERED_MICROGRAPHS
+    });
+  });
+
+  it('keeps the micrographs of requests that went through when a later one fails', async () => {
+    const callbacks = new SmartScopeCallbacks({ maxAttempts: 1, baseDelayMs: 5 });
+    writeCtfStar(Array.from({ length: 150 }, (_, i) => `sq4_hole${i + 1}`));
+    replies = [200, 500];
+
+    expect(await callbacks.notifyBatch('sess-1')).toEqual({ delivered: 100, failed: 50 });
+    expect(mockSession.callback.delivered_micrographs).toHaveLength(100);
+
+    expect(await callbacks.notifyBatch('sess-1')).toEqual({ delivered: 50, failed: 0 });
+    expect(JSON.parse(received[2].body).micrographs[0].micrographName).toBe('sq4_hole101');
+    expect(mockSession.callback.delivered_micrographs).toHaveLength(150);
+  });
+
+  it('retries server errors with backoff until the receiver accepts', async () => {
+    const callbacks = new SmartScopeCallbacks({ maxAttempts: 4, baseDelayMs: 5 });
+    writeCtfStar(['sq2_hole1']);
+    replies = [503, 502];
+
+    expect(await callbacks.notifyBatch('sess-1')).toEqual({ delivered: 1, failed: 0 });
+
+    expect(received).toHaveLength(3);
+    // Same delivery each time
+    expect(new Set(received.map(r => r.headers['x-cryoprocess-delivery'])).size).toBe(1);
+  });
+
+  it('gives up after the last attempt and resends with the next batch', async () => {
+    const callbacks = new SmartScopeCallbacks({ maxAttempts: 2, baseDelayMs: 5 });
+    writeCtfStar(['sq3_hole1']);
+    replies = [500, 500];
+
+    expect(await callbacks.notifyBatch('sess-1')).toEqual({ delivered: 0, failed: 1 });
+    expect(received).toHaveLength(2);
+    expect(mockUpdates[0].$set['callback.last_error']).toMatch(/HTTP 500.*after 2 attempts/);
+
+    expect(await callbacks.notifyBatch('sess-1')).toEqual({ delivered: 1, failed: 0 });
+    expect(JSON.parse(received[2].body).micrographs[0].micrographName).toBe('sq3_hole1');
+  });
+
+  it('does not retry requests the receiver rejects', async () => {
+    replies = [401];
+
+    const result = await new SmartScopeCallbacks({ maxAttempts: 5, baseDelayMs: 5 })
+      .deliver(callbackUrl, SECRET, { event: 'micrographs.completed', deliveryId: 'd-1', micrographs: [] });
+
+    expect(result).toMatchObject({ delivered: false, attempts: 1, statusCode: 401 });
+    expect(received).toHaveLength(1);
+  });
+
+  it('stops reading an error response once it has the part that is logged', async () => {
+    // Rejects with more than is kept and never ends the response
+    const endless = http.createServer((req, res) => {
+      req.resume();
+      res.writeHead(400);
+      res.write('x'.repeat(64 * 1024));
+    });
+    await new Promise(resolve => endless.listen(0, '127.0.0.1', resolve));
+
+    try {
+      const result = await new SmartScopeCallbacks({ maxAttempts: 1 })
+        .deliver(`http://127.0.0.1:${endless.address().port}/`, SECRET, { event: 'micrographs.completed', deliveryId: 'd-2', micrographs: [] });
+      expect(result).toMatchObject({ delivered: false, statusCode: 400, error: `HTTP 400: ${'x'.repeat(200)}` });
+    } finally {
+      endless.closeAllConnections();
+      await new Promise(resolve => endless.close(resolve));
+    }
+  });
+
+  it('signs the timestamp and raw body', () => {
+    expect(signPayload('k', 1700000000, '{"a":1}'))
+      .toBe(`sha256=${crypto.createHmac('sha256', 'k').update('1700000000.{"a":1}').digest('hex')}`);
+  });
+});
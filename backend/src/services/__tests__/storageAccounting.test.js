@@ -0,0 +1,191 @@
+jest.mock('../../utils/logger');
+
+// ─── Shared mock state (all prefixed with "mock" for Jest hoisting) ─
+
+let mockProjects;    // project documents
+let mockUsers;       // user documents
+let mockJobs;        // job documents
+let mockJobWrites;   // bulkWrite operations
+
+const { mockQuery } = require('./helpers/mockQuery');
+
+jest.mock('../../models/Project', () => ({
+  find: jest.fn().mockImplementation((query) => mockQuery(mockProjects.filter(p =>
+    (query.created_by_id === undefined || p.created_by_id === query.created_by_id) && !p.is_archived))),
+  updateOne: jest.fn().mockImplementation(({ id }, { $set }) => {
+    Object.assign(mockProjects.find(p => p.id === id), $set);
+    return Promise.resolve();
+  }),
+}));
+
+jest.mock('../../models/User', () => ({
+  findOne: jest.fn().mockImplementation(({ id }) => mockQuery(mockUsers.find(u => u.id === id) || null)),
+}));
+
+jest.mock('../../models/Job', () => ({
+  find: jest.fn().mockImplementation(({ project_id }) => mockQuery(mockJobs.filter(j => j.project_id === project_id))),
+  bulkWrite: jest.fn().mockImplementation((ops) => {
+    mockJobWrites.push(...ops);
+    return Promise.resolve();
+  }),
+}));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const settings = require('../../config/settings');
+const { StorageAccounting, measureProject, checkStorageQuota } = require('../storageAccounting');
+
+const GB = 1024 ** 3;
+
+let tmpDir;
+
+const writeFile = (relativePath, bytes) => {
+  const fullPath = path.join(tmpDir, relativePath);
+  fs.mkdirSync(path.dirname(fullPath), { recursive: true });
+  fs.writeFileSync(fullPath, Buffer.alloc(bytes));
+};
+
+beforeEach(() => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-test-'));
+  mockProjects = [];
+  mockUsers = [];
+  mockJobs = [];
+  mockJobWrites = [];
+});
+
+afterEach(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+// ─── Measuring ──────────────────────────────────────────────────────
+
+describe('measureProject', () => {
+  beforeEach(() => {
+    writeFile('Movies/movie_001.tiff', 1000);
+    writeFile('loose_movie.eer', 300);
+    writeFile('default_pipeline.star', 50);
+    writeFile('Class3D/Job010/run_it023_data.star', 100);
+    writeFile('Class3D/Job010/run_it024_data.star', 100);
+    writeFile('Class3D/Job010/run_it025_data.star', 120);
+    writeFile('Class3D/Job010/run_it025_class001.mrc', 400);
+    writeFile('Class3D/Job010/run.out', 10);
+    writeFile('Extract/Job008/Movies/mic_001.mrcs', 700);
+  });
+
+  it('splits project storage into movies, derived, scratch and other', async () => {
+    const jobDirs = new Map([
+      [path.join(tmpDir, 'Class3D/Job010'), 'class3d'],
+      [path.join(tmpDir, 'Extract/Job008'), 'extract'],
+    ]);
+
+    const { totals, jobs } = await measureProject(tmpDir, jobDirs);
+
+    expect(totals).toEqual({
+      total_bytes: 2780,
+      movies_bytes: 1300,
+      derived_bytes: 1230,
+      scratch_bytes: 200,
+      other_bytes: 50,
+    });
+    expect(jobs.get('class3d')).toEqual({ total_bytes: 730, scratch_bytes: 200 });
+    expect(jobs.get('extract')).toEqual({ total_bytes: 700, scratch_bytes: 0 });
+  });
+
+  it('does not follow symlinks', async () => {
+    const external = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-external-'));
+    try {
+      fs.writeFileSync(path.join(external, 'movie_002.tiff'), Buffer.alloc(5000));
+      fs.symlinkSync(external, path.join(tmpDir, 'LinkedMovies'));
+
+      const { totals } = await measureProject(tmpDir, new Map());
+
+      expect(totals.total_bytes).toBe(2780);
+    } finally {
+      fs.rmSync(external, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('StorageAccounting.scanProject', () => {
+  it('stores totals on the project and sizes on its jobs', async () => {
+    writeFile('Class2D/Job004/run_it001_data.star', 30);
+    writeFile('Class2D/Job004/run_it002_data.star', 40);
+    mockProjects = [{ id: 'proj-1', project_name: 'Demo', folder_name: path.basename(tmpDir), created_by_id: 1 }];
+    mockJobs = [
+      { id: 'class2d', project_id: 'proj-1', output_file_path: path.join(tmpDir, 'Class2D/Job004') },
+      { id: 'deleted', project_id: 'proj-1', output_file_path: path.join(tmpDir, 'Class2D/Job005') },
+    ];
+    const originalRoot = settings.ROOT_PATH;
+    settings.ROOT_PATH = path.dirname(tmpDir);
+
+    try {
+      await new StorageAccounting({ intervalHours: 0 }).scanProject(mockProjects[0]);
+    } finally {
+      settings.ROOT_PATH = originalRoot;
+    }
+
+    expect(mockProjects[0].storage).toMatchObject({ total_bytes: 70, derived_bytes: 40, scratch_bytes: 30 });
+    expect(mockProjects[0].storage.scanned_at).toBeInstanceOf(Date);
+    expect(mockJobWrites.map(op => [op.updateOne.filter.id, op.updateOne.update.$set.disk_usage.total_bytes])).toEqual([
+      ['class2d', 70],
+      ['deleted', 0],
+    ]);
+  });
+});
+
+// ─── Quotas ─────────────────────────────────────────────────────────
+
+describe('checkStorageQuota', () => {
+  const originalSettings = { ...settings };
+
+  afterEach(() => {
+    Object.assign(settings, originalSettings);
+  });
+
+  const project = (totalGb, quota = null, extra = {}) => ({
+    id: `proj-${totalGb}`,
+    project_name: `P${totalGb}`,
+    created_by_id: 1,
+    storage: { total_bytes: totalGb * GB },
+    storage_quota: quota,
+    ...extra,
+  });
+
+  it('allows everything when no quota is configured', async () => {
+    mockProjects = [project(5000)];
+    mockUsers = [{ id: 1, username: 'alice' }];
+
+    expect(await checkStorageQuota({ project: mockProjects[0] })).toEqual({ error: null, warnings: [] });
+  });
+
+  it('warns above the soft quota and blocks at the hard quota', async () => {
+    settings.PROJECT_SOFT_QUOTA_GB = 100;
+    settings.PROJECT_HARD_QUOTA_GB = 200;
+    mockUsers = [{ id: 1, username: 'alice' }];
+
+    const soft = await checkStorageQuota({ project: project(150) });
+    expect(soft.error).toBeNull();
+    expect(soft.warnings).toEqual(['Project P150 uses 150.0 GB, above its 100.0 GB soft quota.']);
+
+    const hard = await checkStorageQuota({ project: project(200) });
+    expect(hard.error).toMatch(/^Project P200 uses 200\.0 GB, at or above its 200\.0 GB hard quota/);
+  });
+
+  it('lets a project override the default, with 0 meaning unlimited', async () => {
+    settings.PROJECT_HARD_QUOTA_GB = 100;
+    mockUsers = [{ id: 1, username: 'alice' }];
+
+    expect((await checkStorageQuota({ project: project(150, { soft_gb: null, hard_gb: 0 }) })).error).toBeNull();
+    expect((await checkStorageQuota({ project: project(60, { soft_gb: null, hard_gb: 50 }) })).error).toMatch(/hard quota/);
+  });
+
+  it('sums the owner\'s active projects for the user quota', async () => {
+    mockProjects = [project(300), project(400), project(900, null, { is_archived: true })];
+    mockUsers = [{ id: 1, username: 'alice', storage_quota: { soft_gb: null, hard_gb: 600 } }];
+
+    const result = await checkStorageQuota({ userId: 1 });
+
+    expect(result.error).toMatch(/^Your storage uses 700\.0 GB, at or above its 600\.0 GB hard quota/);
+  });
+});
@@ -0,0 +1,207 @@
+jest.mock('../../utils/logger');
+
+// ─── Shared mock state (all prefixed with "mock" for Jest hoisting) ─
+
+let mockRuns;        // runId -> run
+let mockJobs;        // jobId -> { status, output_file_path, error_message }
+let mockLaunches;
+let mockLaunchResult;
+let mockJobCounter;
+
+// ─── Mock dependencies ──────────────────────────────────────────────
+
+const { mockQuery } = require('./helpers/mockQuery');
+
+jest.mock('../../models/WorkflowRun', () => ({
+  generateId: jest.fn().mockReturnValue('run-1'),
+  create: jest.fn().mockImplementation((doc) => {
+    const run = {
+      status: 'running',
+      finished_at: null,
+      ...doc,
+      steps: doc.steps.map(s => ({ status: 'waiting', job_id: null, job_name: null, job_dir: null, error: null, ...s })),
+      save: jest.fn().mockResolvedValue(),
+    };
+    mockRuns.set(run.id, run);
+    return Promise.resolve(run);
+  }),
+  findOne: jest.fn().mockImplementation((query) => {
+    if (query.id) return mockQuery(mockRuns.get(query.id) || null);
+    const run = [...mockRuns.values()].find(r =>
+      r.status === query.status && r.steps.some(s => s.job_id === query['steps.job_id']));
+    return mockQuery(run || null);
+  }),
+  find: jest.fn().mockImplementation(() => mockQuery([])),
+}));
+
+jest.mock('../../models/Job', () => ({
+  findOne: jest.fn().mockImplementation(({ id }) => mockQuery(mockJobs[id] || null)),
+}));
+
+jest.mock('../../models/Project', () => ({
+  findOne: jest.fn().mockImplementation(() => mockQuery({ id: 'proj-1', folder_name: 'Demo' })),
+}));
+
+jest.mock('../../utils/pathUtils', () => ({
+  getProjectPath: jest.fn().mockReturnValue('/data/Demo'),
+}));
+
+jest.mock('../jobLauncher', () => ({
+  launchJob: jest.fn().mockImplementation((req, jobType, parameters, options) => {
+    mockLaunches.push({ user: req.user, jobType, parameters, options });
+    if (mockLaunchResult) return Promise.resolve(mockLaunchResult);
+
+    mockJobCounter += 1;
+    const jobName = `Job00${mockJobCounter}`;
+    const id = `job-${mockJobCounter}`;
+    const stage = { import: 'Import', motion_correction: 'MotionCorr', ctf_estimation: 'CtfFind' }[jobType];
+    mockJobs[id] = { status: 'running', output_file_path: `/data/Demo/${stage}/${jobName}` };
+    return Promise.resolve({ status: 202, body: { status: 'running', id, jobName } });
+  }),
+}));
+
+jest.mock('../slurmMonitor', () => {
+  const EventEmitter = require('events');
+  const monitor = new EventEmitter();
+  return { getMonitor: () => monitor };
+});
+
+const { WorkflowRunner } = require('../workflowRunner');
+const { getMonitor } = require('../slurmMonitor');
+
+// ─── Helpers ────────────────────────────────────────────────────────
+
+const TEMPLATE = {
+  id: 'wf-1',
+  project_id: 'proj-1',
+  name: 'Standard SPA',
+  steps: [
+    { id: 'import', type: 'import', needs: [], parameters: { inputFiles: 'Movies/*.tiff' } },
+    { id: 'motion', type: 'motion_correction', needs: ['import'], parameters: { inputMovies: '{{import}}/movies.star' } },
+    { id: 'ctf', type: 'ctf_estimation', needs: ['motion'], parameters: { inputStarFile: '{{motion}}/corrected_micrographs.star' } },
+  ],
+};
+
+const USER = { id: 7, username: 'alice' };
+
+const finishJob = async (runner, jobId, status) => {
+  mockJobs[jobId].status = status;
+  await runner._onJobStatusChange({ jobId, newStatus: status });
+};
+
+const stepStatuses = (run) => run.steps.map(s => s.status);
+
+let runner;
+
+beforeEach(() => {
+  mockRuns = new Map();
+  mockJobs = {};
+  mockLaunches = [];
+  mockLaunchResult = null;
+  mockJobCounter = 0;
+  runner = new WorkflowRunner();
+});
+
+// ─── Tests ──────────────────────────────────────────────────────────
+
+describe('WorkflowRunner', () => {
+  it('submits only root steps when a run starts', async () => {
+    const run = await runner.startRun(TEMPLATE, USER, { import: { angpix: 0.885 } });
+
+    expect(stepStatuses(run)).toEqual(['submitted', 'waiting', 'waiting']);
+    expect(mockLaunches).toHaveLength(1);
+    expect(mockLaunches[0]).toMatchObject({
+      user: USER,
+      jobType: 'import',
+      parameters: { inputFiles: 'Movies/*.tiff', angpix: 0.885, projectId: 'proj-1' },
+    });
+    expect(run.steps[0]).toMatchObject({ job_id: 'job-1', job_name: 'Job001', job_dir: 'Import/Job001' });
+  });
+
+  it('submits downstream steps with resolved inputs once upstream succeeds', async () => {
+    await runner.startRun(TEMPLATE, USER);
+    await finishJob(runner, 'job-1', 'success');
+
+    const run = mockRuns.get('run-1');
+    expect(stepStatuses(run)).toEqual(['success', 'submitted', 'waiting']);
+    expect(mockLaunches[1]).toMatchObject({
+      user: { id: 7 },
+      jobType: 'motion_correction',
+      parameters: { inputMovies: 'Import/Job001/movies.star' },
+      options: { inputJobIds: ['job-1'] },
+    });
+  });
+
+  it('finishes with success when every step succeeds', async () => {
+    await runner.startRun(TEMPLATE, USER);
+    await finishJob(runner, 'job-1', 'success');
+    await finishJob(runner, 'job-2', 'success');
+    await finishJob(runner, 'job-3', 'success');
+
+    const run = mockRuns.get('run-1');
+    expect(run.status).toBe('success');
+    expect(run.finished_at).toBeInstanceOf(Date);
+    expect(mockLaunches[2].parameters.inputStarFile).toBe('MotionCorr/Job002/corrected_micrographs.star');
+  });
+
+  it('skips everything downstream of a failed job', async () => {
+    await runner.startRun(TEMPLATE, USER);
+    mockJobs['job-1'].error_message = 'Out of memory';
+    await finishJob(runner, 'job-1', 'failed');
+
+    const run = mockRuns.get('run-1');
+    expect(run.status).toBe('failed');
+    expect(stepStatuses(run)).toEqual(['failed', 'skipped', 'skipped']);
+    expect(run.steps[0].error).toBe('Out of memory');
+    expect(run.steps[2].error).toBe('Upstream step motion skipped');
+    expect(mockLaunches).toHaveLength(1);
+  });
+
+  it('fails the run when a step is rejected at submission', async () => {
+    mockLaunchResult = { status: 400, error: 'Input file not found' };
+    const run = await runner.startRun(TEMPLATE, USER);
+
+    expect(run.status).toBe('failed');
+    expect(stepStatuses(run)).toEqual(['failed', 'skipped', 'skipped']);
+    expect(run.steps[0].error).toBe('Input file not found');
+  });
+
+  it('does not submit a step twice when advances overlap', async () => {
+    await runner.startRun(TEMPLATE, USER);
+    mockJobs['job-1'].status = 'success';
+    await Promise.all([runner.advance('run-1'), runner.advance('run-1')]);
+
+    expect(mockLaunches.map(l => l.jobType)).toEqual(['import', 'motion_correction']);
+  });
+
+  it('ignores non-terminal status changes and jobs outside workflows', async () => {
+    await runner.startRun(TEMPLATE, USER);
+    await runner._onJobStatusChange({ jobId: 'job-1', newStatus: 'running' });
+    await runner._onJobStatusChange({ jobId: 'other', newStatus: 'success' });
+
+    expect(mockLaunches).toHaveLength(1);
+  });
+
+  it('stops submitting after cancellation', async () => {
+    await runner.startRun(TEMPLATE, USER);
+    const run = await runner.cancelRun('run-1');
+
+    expect(run.status).toBe('cancelled');
+    expect(stepStatuses(run)).toEqual(['submitted', 'cancelled', 'cancelled']);
+
+    await finishJob(runner, 'job-1', 'success');
+    expect(mockLaunches).toHaveLength(1);
+  });
+
+  it('listens to monitor status changes once initialized', async () => {
+    runner.initialize();
+    await runner.startRun(TEMPLATE, USER);
+
+    mockJobs['job-1'].status = 'success';
+    getMonitor().emit('statusChange', { jobId: 'job-1', newStatus: 'success' });
+    await new Promise(resolve => setImmediate(resolve));
+    await runner.advance('run-1');
+
+    expect(mockLaunches).toHaveLength(2);
+  });
+});
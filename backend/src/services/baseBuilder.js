@@ -19,6 +19,7 @@ class BaseJobBuilder {
     this.user = user;
     this.projectPath = getProjectPath(project);
     this.stageName = 'Unknown';
+    this.pendingOutputDirs = [];
   }
 
   /**
@@ -215,6 +216,26 @@ class BaseJobBuilder {
     return fullPath;
   }
 
+  /**
+   * Output directories of upstream jobs that are still pending or running.
+   * Files under them are expected outputs and are not required to exist yet;
+   * the job is queued with a SLURM dependency on those jobs instead.
+   * @param {string[]} dirs - Absolute output directories
+   */
+  setPendingOutputDirs(dirs) {
+    this.pendingOutputDirs = dirs.filter(Boolean).map(dir => path.resolve(dir));
+  }
+
+  /**
+   * Check whether a path is an expected output of a pending upstream job
+   * @param {string} resolvedPath - Absolute path
+   * @returns {boolean}
+   */
+  isPendingOutput(resolvedPath) {
+    const target = path.resolve(resolvedPath);
+    return this.pendingOutputDirs.some(dir => target.startsWith(dir + path.sep));
+  }
+
   /**
    * Validate that input file exists
    * @param {string} filePath - Path to check
@@ -227,6 +248,10 @@ class BaseJobBuilder {
     }
 
     const resolvedPath = this.resolveInputPath(filePath);
+    if (this.isPendingOutput(resolvedPath)) {
+      logger.info(`[${this.stageName}] ${fieldName} will be written by a pending upstream job: ${filePath}`);
+      return { valid: true, error: null };
+    }
     if (!fs.existsSync(resolvedPath)) {
       logger.warn(`[${this.stageName}] File not found: ${resolvedPath}`);
       return { valid: false, error: `${fieldName} not found: ${filePath}` };
@@ -0,0 +1,304 @@
+/**
+ * Base Scheduler
+ *
+ * Abstract base class for batch scheduler backends (SLURM, PBS, ...).
+ * Each backend writes its own script header and knows how to submit,
+ * query, map states and cancel; the script body that runs the RELION
+ * command is shared.
+ */
+
+const fs = require('fs');
+const logger = require('../utils/logger');
+const settings = require('../config/settings');
+const { execCommand, isSSHMode } = require('../utils/remoteExec');
+
+/**
+ * Build the part of a job script that runs the command: environment,
+ * Singularity/MPI wrapping and the RELION exit markers.
+ * @param {Object} options - Script options (see BaseScheduler.generateScript)
+ * @returns {string} Script body
+ */
+const buildScriptBody = (options) => {
+  const {
+    outputDir,
+    projectPath,
+    command,
+    mpiProcs = 1,
+    gpus = 0,
+    envVars = {}
+  } = options;
+
+  let script = `
+# Suppress PMIx munge warnings (harmless when munge daemon is not installed)
+export PMIX_MCA_psec=native
+
+# Override TORCH_HOME to writable location (container default is read-only)
+# SINGULARITYENV_ prefix ensures it overrides the container's %environment
+export SINGULARITYENV_TORCH_HOME=\${HOME}/.cache/torch
+export TORCH_HOME=\${HOME}/.cache/torch
+${Object.keys(envVars).length > 0 ? '\n' + Object.entries(envVars).map(([k, v]) => `export ${k}=${v}`).join('\n') + '\n' : ''}
+# Change to project directory
+cd ${projectPath}
+
+# Run the command
+`;
+
+  // Format command - quote arguments containing glob patterns or spaces
+  const formatArg = (arg) => {
+    // Quote if contains glob patterns (* or ?) or spaces
+    if (/[*? ]/.test(arg)) {
+      return `"${arg}"`;
+    }
+    return arg;
+  };
+  const cmdStr = Array.isArray(command)
+    ? command.map(formatArg).join(' ')
+    : command;
+
+  // Check if we should use Singularity
+  // In SSH mode, the .sif file is on the remote machine — skip local fs.existsSync check
+  const singularityAvailable = settings.SINGULARITY_IMAGE &&
+    (isSSHMode() || fs.existsSync(settings.SINGULARITY_IMAGE));
+  if (singularityAvailable) {
+    let singularityCmd = 'singularity exec';
+
+    // Add bind paths if configured
+    if (settings.SINGULARITY_BIND_PATHS) {
+      singularityCmd += ` --bind "${settings.SINGULARITY_BIND_PATHS}"`;
+    }
+
+    // Add GPU support (--nv) only when GPUs are allocated
+    // This prevents scheduler errors when no GPUs are requested but --nv is used
+    if (gpus > 0 && settings.SINGULARITY_OPTIONS) {
+      singularityCmd += ` ${settings.SINGULARITY_OPTIONS}`;
+    }
+
+    singularityCmd += ` "${settings.SINGULARITY_IMAGE}" ${cmdStr}`;
+
+    // For MPI jobs with Singularity, we need mpirun to spawn multiple processes
+    // The scheduler only allocates slots, but doesn't launch MPI processes with singularity exec
+    if (mpiProcs > 1) {
+      script += `mpirun -n ${mpiProcs} ${singularityCmd}\n`;
+    } else {
+      script += `${singularityCmd}\n`;
+    }
+  } else if (mpiProcs > 1) {
+    // Native MPI (without Singularity) - use mpirun
+    script += `mpirun -n ${mpiProcs} ${cmdStr}\n`;
+  } else {
+    script += `${cmdStr}\n`;
+  }
+
+  // Create RELION exit status markers if not already present
+  // Some RELION utilities (e.g. relion_star_handler) don't create these markers,
+  // which prevents the monitor from detecting job completion
+  script += `
+# Create RELION exit status markers (safety net for commands that don't create them)
+CMD_EXIT_CODE=$?
+if [ $CMD_EXIT_CODE -eq 0 ]; then
+  [ -f ${outputDir}/RELION_JOB_EXIT_SUCCESS ] || touch ${outputDir}/RELION_JOB_EXIT_SUCCESS
+else
+  [ -f ${outputDir}/RELION_JOB_EXIT_FAILURE ] || touch ${outputDir}/RELION_JOB_EXIT_FAILURE
+fi
+exit $CMD_EXIT_CODE
+`;
+
+  return script;
+};
+
+class BaseScheduler {
+  constructor() {
+    this.name = 'unknown';
+    this.displayName = 'Unknown';
+    // Whitelisted submit commands; the first one is the default
+    this.submitCommands = [];
+  }
+
+  /**
+   * Validate a scheduler job ID before it is passed to a command
+   * @param {string|number} _jobId
+   * @returns {string|null} The ID, or null if it is not valid for this scheduler
+   */
+  sanitizeJobId(_jobId) {
+    throw new Error('sanitizeJobId() must be implemented by subclass');
+  }
+
+  /**
+   * Script directives for the job (name, log files, resources, dependencies)
+   * @param {Object} _options - Script options
+   * @returns {string} Header including the shebang line
+   */
+  scriptHeader(_options) {
+    throw new Error('scriptHeader() must be implemented by subclass');
+  }
+
+  /**
+   * Generate the job script
+   * @param {Object} options - Script options
+   * @param {string} options.jobName - Job name (e.g. Job005)
+   * @param {string} options.outputDir - Job output directory (log files and markers)
+   * @param {string} options.projectPath - Working directory
+   * @param {string|string[]} options.command - Command to run
+   * @param {string} [options.partition] - Partition or queue
+   * @param {number} [options.mpiProcs] - MPI processes
+   * @param {number} [options.threads] - Threads per process
+   * @param {number} [options.gpus] - GPUs
+   * @param {number} [options.memory] - Memory per node in GB (0 = scheduler default)
+   * @param {string} [options.additionalArgs] - Extra directive lines
+   * @param {Object} [options.envVars] - Variables to export
+   * @param {string[]} [options.dependsOn] - Scheduler job IDs that must succeed first
+   * @returns {string} Script content
+   */
+  generateScript(options) {
+    return this.scriptHeader(options) + buildScriptBody(options);
+  }
+
+  /**
+   * Sanitize the upstream job IDs of a script
+   * @param {string[]} dependsOn
+   * @returns {string[]}
+   */
+  dependencyIds(dependsOn = []) {
+    return dependsOn.map(id => this.sanitizeJobId(id)).filter(Boolean);
+  }
+
+  /**
+   * Submit a job script
+   * @param {string} scriptPath - Path of the written script
+   * @param {Object} [options]
+   * @param {Function} [options.exec] - Command runner (per-user SSH session or the global one)
+   * @param {string} [options.cwd] - Working directory
+   * @param {string} [options.submitCommand] - Whitelisted submit command
+   * @returns {Promise<{jobId: string|null, stdout: string, stderr: string}>}
+   *   Rejects when the submit command fails; jobId is null when the output could not be parsed
+   */
+  async submit(scriptPath, options = {}) {
+    const { exec = execCommand, cwd, submitCommand = this.submitCommands[0] } = options;
+    const { stdout, stderr } = await exec(submitCommand, [scriptPath], { cwd });
+    return { jobId: this.parseSubmitOutput(stdout), stdout, stderr };
+  }
+
+  /**
+   * Extract the job ID from the submit command output
+   * @param {string} _stdout
+   * @returns {string|null}
+   */
+  parseSubmitOutput(_stdout) {
+    throw new Error('parseSubmitOutput() must be implemented by subclass');
+  }
+
+  /**
+   * Query the state of jobs
+   * @param {string[]} _jobIds
+   * @returns {Promise<Object>} jobId -> { state, rawState, exitCode, elapsed, source }
+   *   where state is one of pending/running/success/failed/cancelled.
+   *   Jobs the scheduler has no information about are left out.
+   */
+  async queryStatuses(_jobIds) {
+    throw new Error('queryStatuses() must be implemented by subclass');
+  }
+
+  /**
+   * Cancel a job
+   * @param {string} jobId
+   * @returns {Promise<boolean>} Whether the scheduler accepted the cancellation
+   */
+  async cancel(jobId) {
+    const safeJobId = this.sanitizeJobId(jobId);
+    if (!safeJobId) {
+      logger.warn(`[${this.displayName}] Invalid job ID for cancel: ${jobId}`);
+      return false;
+    }
+
+    try {
+      await execCommand(this.cancelCommand, [safeJobId]);
+      logger.info(`[${this.displayName}] Cancelled job ${safeJobId}`);
+      return true;
+    } catch (error) {
+      logger.error(`[${this.displayName}] Failed to cancel ${safeJobId}: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Command that replaces the afterok dependencies of a queued job
+   * @param {string} _jobId - Sanitized job ID
+   * @param {string[]} _dependencyIds - Sanitized upstream job IDs
+   * @returns {Array|null} [command, args], or null when the backend cannot do it
+   */
+  dependencyUpdateCommand(_jobId, _dependencyIds) {
+    return null;
+  }
+
+  /**
+   * Make a queued job wait for other jobs instead, e.g. when an upstream job
+   * was resubmitted under a new ID
+   * @param {string} jobId
+   * @param {string[]} dependsOn - Scheduler job IDs that must succeed first
+   * @returns {Promise<boolean>} Whether the scheduler accepted the change
+   */
+  async updateDependencies(jobId, dependsOn) {
+    const safeJobId = this.sanitizeJobId(jobId);
+    const dependencyIds = this.dependencyIds(dependsOn);
+    const update = safeJobId && dependencyIds.length > 0 && this.dependencyUpdateCommand(safeJobId, dependencyIds);
+    if (!update) {
+      return false;
+    }
+
+    try {
+      await execCommand(update[0], update[1]);
+      logger.info(`[${this.displayName}] Job ${safeJobId} now waits for ${dependencyIds.join(', ')}`);
+      return true;
+    } catch (error) {
+      logger.error(`[${this.displayName}] Failed to update dependencies of ${safeJobId}: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Job counts per partition or queue
+   * @returns {Promise<{partitions: Object, total: number}>}
+   */
+  async getQueueStatus() {
+    return { partitions: {}, total: 0 };
+  }
+
+  /**
+   * Jobs currently running or waiting in the scheduler
+   * @param {Object} [_options]
+   * @param {string} [_options.user] - Only this user's jobs
+   * @returns {Promise<Object[]>} [{ jobId, name, user, partition, state, status, elapsed, timelimit, nodes, reason }]
+   *   state is the scheduler's own code; status is 'running', 'pending' or null
+   */
+  async listJobs(_options) {
+    return [];
+  }
+
+  /**
+   * Accounting details of a single job
+   * @param {string} _jobId
+   * @returns {Promise<Object|null>}
+   */
+  async getJobDetails(_jobId) {
+    return null;
+  }
+
+  /**
+   * List partitions or queues with node counts
+   * @returns {Promise<Object[]>} [{ name, isDefault, available, nodes: { total, idle, allocated, down } }]
+   */
+  async getPartitions() {
+    return [];
+  }
+
+  /**
+   * Check that the scheduler's commands can be run
+   * @returns {Promise<boolean>}
+   */
+  async isAvailable() {
+    return false;
+  }
+}
+
+module.exports = BaseScheduler;
+module.exports.buildScriptBody = buildScriptBody;
@@ -22,7 +22,8 @@ const {
   getScratchDir,
   getIntParam,
   getFloatParam,
-  getBoolParam
+  getBoolParam,
+  getParam
 } = require('../utils/paramHelper');
 
 class Class2DBuilder extends BaseJobBuilder {
@@ -97,6 +98,11 @@ class Class2DBuilder extends BaseJobBuilder {
       logger.info(`[Class2D] Continuing from optimiser file: ${continueFrom}`);
       cmd.push('--o', relOutputDir + path.sep);
       cmd.push('--continue', this.makeRelative(this.resolveInputPath(continueFrom)));
+      // Passing --iter lets a continuation run past the original iteration count
+      const iterFields = useVDAM ? ['vdamMiniBatches'] : ['numberOfIterations', 'numberEMIterations'];
+      if (getParam(data, iterFields) !== null) {
+        cmd.push('--iter', String(iterations));
+      }
       cmd.push('--dont_combine_weights_via_disc');
       cmd.push('--pool', String(pooled));
       cmd.push('--j', String(threads));
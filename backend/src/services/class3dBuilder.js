@@ -93,6 +93,10 @@ class Class3DBuilder extends BaseJobBuilder {
     if (continueFile) {
       cmd.push('--continue', this.makeRelative(this.resolveInputPath(continueFile)));
       cmd.push('--o', relOutputDir + path.sep);
+      // Passing --iter lets a continuation run past the original iteration count
+      if (getParam(data, ['numberOfIterations', 'numberEMIterations']) !== null) {
+        cmd.push('--iter', String(getIterations(data, 25)));
+      }
       cmd.push('--j', String(threads));
       cmd.push('--pool', String(pooled));
       cmd.push('--pipeline_control', relOutputDir + path.sep);
@@ -114,6 +114,61 @@ class EmailService {
       logger.error(`[Email] Failed to send to ${to}: ${err.message}`);
     }
   }
+  /**
+   * Send a live session anomaly warning.
+   * @param {Object} options
+   * @param {string} options.to - Recipient email address
+   * @param {string} options.sessionName - Live session name
+   * @param {string} options.projectName - Project name
+   * @param {string[]} options.lines - One line per anomaly
+   * @param {boolean} options.paused - Whether the session was paused automatically
+   */
+  async sendLiveAlert({ to, sessionName, projectName, lines, paused }) {
+    if (!this.enabled || !this.transporter) return;
+
+    const subject = `Live session ${sessionName} needs attention - ${projectName}`;
+    const pausedLine = paused ? 'The session was paused automatically. Resume it once the problem is fixed.' : null;
+
+    const textBody = [
+      `Live session ${sessionName} (${projectName}):`,
+      '',
+      ...lines.map(line => `- ${line}`),
+      '',
+      pausedLine,
+      pausedLine ? '' : null,
+      '-- CryoProcess'
+    ].filter(line => line !== null).join('\n');
+
+    const htmlBody = `
+      <div style="font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif; max-width: 500px; margin: 0 auto;">
+        <div style="padding: 20px; background: #fffbeb; border-left: 4px solid #f59e0b; border-radius: 4px;">
+          <h2 style="margin: 0 0 12px; font-size: 16px; color: #111;">
+            Live session ${sessionName} needs attention
+          </h2>
+          <p style="font-size: 14px; color: #666; margin: 0 0 8px;">Project: ${projectName}</p>
+          <ul style="font-size: 14px; color: #333; padding-left: 18px;">
+            ${lines.map(line => `<li>${line}</li>`).join('')}
+          </ul>
+          ${pausedLine ? `<p style="font-size: 14px; color: #b45309;">${pausedLine}</p>` : ''}
+        </div>
+        <p style="font-size: 12px; color: #999; margin-top: 16px;">CryoProcess Notification</p>
+      </div>
+    `;
+
+    try {
+      await this.transporter.sendMail({
+        from: settings.SMTP_FROM,
+        to,
+        subject,
+        text: textBody,
+        html: htmlBody
+      });
+      logger.info(`[Email] Live session alert sent to ${to} for ${sessionName}`);
+    } catch (err) {
+      logger.error(`[Email] Failed to send live alert to ${to}: ${err.message}`);
+    }
+  }
+
   /**
    * Send a password reset email.
    * @param {Object} options
@@ -0,0 +1,86 @@
+/**
+ * Event Webhook Notifier
+ *
+ * Turns job lifecycle changes into project webhook events (see
+ * eventWebhookService.js): job.submitted from the launcher, continueJob and
+ * automatic retries, job.started and job.finished from slurmMonitor
+ * statusChange events.
+ *
+ * Follows the same pattern as webhookNotifier.js.
+ */
+
+const logger = require('../utils/logger');
+const { publishEvent } = require('./eventWebhookService');
+const { JOB_STATUS, TERMINAL_STATUSES } = require('../config/constants');
+
+/**
+ * Job fields included in job.* events
+ * @param {Object} job - Job document
+ */
+const jobEventData = (job) => {
+  let duration = null;
+  if (job.start_time && job.end_time) {
+    duration = Math.round((new Date(job.end_time) - new Date(job.start_time)) / 1000);
+  }
+
+  return {
+    job: {
+      id: job.id,
+      name: job.job_name,
+      type: job.job_type,
+      status: job.status,
+      slurmJobId: job.slurm_job_id || null,
+      userId: job.user_id ?? null,
+      startTime: job.start_time || null,
+      endTime: job.end_time || null,
+      duration,
+      errorMessage: job.error_message || null
+    }
+  };
+};
+
+const publishJobEvent = async (jobId, projectId, type) => {
+  const Job = require('../models/Job');
+  const job = await Job.findOne({ id: jobId }).lean();
+  if (!job) {
+    logger.warn(`[EventWebhookNotifier] Job ${jobId} not found`);
+    return;
+  }
+  publishEvent(projectId, type, jobEventData(job));
+};
+
+/**
+ * Handle job status change event from SlurmMonitor.
+ * @param {Object} event - { jobId, projectId, oldStatus, newStatus, slurmStatus }
+ */
+const onJobStatusChange = async (event) => {
+  const { jobId, projectId, newStatus } = event;
+
+  let type = null;
+  if (newStatus === JOB_STATUS.RUNNING) {
+    type = 'job.started';
+  } else if (TERMINAL_STATUSES.includes(newStatus)) {
+    type = 'job.finished';
+  }
+  if (!type) return;
+
+  try {
+    await publishJobEvent(jobId, projectId, type);
+  } catch (error) {
+    logger.error(`[EventWebhookNotifier] Error handling status change: ${error.message}`);
+  }
+};
+
+/**
+ * Handle a job accepted by the scheduler (or started directly)
+ * @param {Object} event - { jobId, projectId }
+ */
+const onJobSubmitted = async ({ jobId, projectId }) => {
+  try {
+    await publishJobEvent(jobId, projectId, 'job.submitted');
+  } catch (error) {
+    logger.error(`[EventWebhookNotifier] Error handling submission: ${error.message}`);
+  }
+};
+
+module.exports = { onJobStatusChange, onJobSubmitted, jobEventData };
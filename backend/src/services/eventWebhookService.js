@@ -0,0 +1,343 @@
+/**
+ * Event Webhook Service
+ *
+ * Delivers project events (config/constants.js WEBHOOK_EVENTS) to the
+ * project's generic webhooks (models/EventWebhook.js) as signed JSON:
+ *
+ *   { id, type, createdAt, project: { id, name }, data }
+ *
+ * Headers: X-CryoProcess-Event, X-CryoProcess-Delivery, and the timestamp and
+ * signature described in utils/webhookSignature.js, signed with the webhook's
+ * own secret.
+ *
+ * Every event sent to a webhook is stored as a WebhookDelivery with all its
+ * attempts. Network errors, timeouts, 408, 429 and 5xx are retried with
+ * exponential backoff by a periodic sweep, so pending retries survive a
+ * restart. Delivery is at-least-once; receivers should de-duplicate on the
+ * event id.
+ */
+
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const logger = require('../utils/logger');
+const settings = require('../config/settings');
+const EventWebhook = require('../models/EventWebhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const Project = require('../models/Project');
+const { decryptField } = require('../utils/crypto');
+const { signPayload, isRetryable } = require('../utils/webhookSignature');
+
+const REQUEST_TIMEOUT_MS = 10000;
+const SWEEP_INTERVAL_MS = 30 * 1000;
+const SWEEP_BATCH = 50;
+// An attempt in flight holds its delivery this long, so the sweep skips it
+const LEASE_MS = 60 * 1000;
+const MAX_RESPONSE_BODY = 1000;
+
+/**
+ * New signing secret, shown to the user once
+ * @returns {string}
+ */
+const generateSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+/**
+ * Event envelope sent as the request body
+ * @param {string} type - Event type, or 'ping' for test events
+ * @param {Object} project - Project document (id, project_name)
+ * @param {Object} data - Event-specific data
+ */
+const buildEnvelope = (type, project, data) => ({
+  id: crypto.randomUUID(),
+  type,
+  createdAt: new Date().toISOString(),
+  project: { id: project.id, name: project.project_name || project.id },
+  data
+});
+
+class EventWebhookService {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.maxAttempts] - Attempts per delivery, including the first
+   * @param {number} [options.baseDelayMs] - Delay before the first retry; doubles each time
+   * @param {number} [options.timeoutMs] - Per-request timeout
+   */
+  constructor(options = {}) {
+    this.maxAttempts = options.maxAttempts ?? settings.WEBHOOK_DELIVERY_ATTEMPTS;
+    this.baseDelayMs = options.baseDelayMs ?? settings.WEBHOOK_RETRY_BASE_SECONDS * 1000;
+    this.timeoutMs = options.timeoutMs ?? REQUEST_TIMEOUT_MS;
+    this.timer = null;
+    this.sweeping = false;
+  }
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.processDue(), SWEEP_INTERVAL_MS);
+    this.timer.unref();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Delay before the retry that follows a failed attempt
+   * @param {number} attempt - Number of the attempt that failed (1-based)
+   */
+  retryDelay(attempt) {
+    return this.baseDelayMs * 2 ** (attempt - 1);
+  }
+
+  /**
+   * POST a JSON body; resolves with any HTTP status. Only the first
+   * MAX_RESPONSE_BODY characters of the response are read.
+   * @returns {Promise<{statusCode: number, body: string}>}
+   */
+  _post(url, body, headers) {
+    return new Promise((resolve, reject) => {
+      const parsed = new URL(url);
+      const transport = parsed.protocol === 'https:' ? https : http;
+
+      const req = transport.request({
+        hostname: parsed.hostname,
+        port: parsed.port,
+        path: parsed.pathname + parsed.search,
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Content-Length': Buffer.byteLength(body),
+          'User-Agent': 'CryoProcess-Webhooks',
+          ...headers
+        },
+        timeout: this.timeoutMs,
+      }, (res) => {
+        let data = '';
+        const finish = () => resolve({ statusCode: res.statusCode, body: data });
+        res.setEncoding('utf8');
+        res.on('data', (chunk) => {
+          data += chunk;
+          if (data.length >= MAX_RESPONSE_BODY) {
+            data = data.slice(0, MAX_RESPONSE_BODY);
+            res.destroy();
+            finish();
+          }
+        });
+        res.on('end', finish);
+      });
+
+      req.on('error', reject);
+      req.on('timeout', () => { req.destroy(); reject(new Error('Webhook request timed out')); });
+      req.write(body);
+      req.end();
+    });
+  }
+
+  /**
+   * Queue an event for every enabled webhook of the project subscribed to it
+   * and make the first attempts in the background
+   * @param {string} projectId
+   * @param {string} type - One of WEBHOOK_EVENTS
+   * @param {Object} data - Event-specific data
+   * @returns {Promise<Object[]>} Created deliveries
+   */
+  async emit(projectId, type, data) {
+    const webhooks = await EventWebhook.find({ project_id: projectId, enabled: true, events: type }).lean();
+    if (webhooks.length === 0) return [];
+
+    const project = await Project.findOne({ id: projectId }).lean();
+    const payload = buildEnvelope(type, project || { id: projectId }, data);
+
+    const deliveries = [];
+    for (const webhook of webhooks) {
+      const delivery = await WebhookDelivery.create({
+        id: WebhookDelivery.generateId(),
+        webhook_id: webhook.id,
+        project_id: projectId,
+        event: type,
+        payload,
+        max_attempts: this.maxAttempts,
+        next_attempt_at: new Date()
+      });
+      deliveries.push(delivery);
+
+      setImmediate(() => {
+        this.attempt(delivery.id).catch(err => {
+          logger.error(`[EventWebhooks] Delivery ${delivery.id} failed: ${err.message}`);
+        });
+      });
+    }
+    return deliveries;
+  }
+
+  /**
+   * Send a single 'ping' event now, without retries
+   * @param {Object} webhook - EventWebhook document
+   * @param {Object} project - Project document
+   * @returns {Promise<Object>} The delivery after its attempt
+   */
+  async sendTest(webhook, project) {
+    const delivery = await WebhookDelivery.create({
+      id: WebhookDelivery.generateId(),
+      webhook_id: webhook.id,
+      project_id: project.id,
+      event: 'ping',
+      payload: buildEnvelope('ping', project, {
+        message: 'Test event from CryoProcess',
+        webhookId: webhook.id
+      }),
+      max_attempts: 1,
+      next_attempt_at: new Date()
+    });
+    return this.attempt(delivery.id);
+  }
+
+  /**
+   * Make the next attempt of a due delivery and record the outcome
+   * @param {string} deliveryId
+   * @returns {Promise<Object|null>} Updated delivery, or null when not due
+   *   (already delivered, given up, or another attempt in flight)
+   */
+  async attempt(deliveryId) {
+    const now = new Date();
+    const delivery = await WebhookDelivery.findOneAndUpdate(
+      { id: deliveryId, status: 'pending', next_attempt_at: { $lte: now } },
+      { $set: { next_attempt_at: new Date(now.getTime() + LEASE_MS) } },
+      { new: true }
+    ).lean();
+    if (!delivery) return null;
+
+    const webhook = await EventWebhook.findOne({ id: delivery.webhook_id }).select('+secret').lean();
+    if (!webhook || (!webhook.enabled && delivery.event !== 'ping')) {
+      return WebhookDelivery.findOneAndUpdate(
+        { id: deliveryId },
+        { $set: { status: 'failed', next_attempt_at: null, completed_at: new Date() } },
+        { new: true }
+      ).lean();
+    }
+
+    const body = JSON.stringify(delivery.payload);
+    // Signed per attempt so receivers can reject stale timestamps
+    const timestamp = Math.floor(Date.now() / 1000);
+    const startedAt = new Date();
+    let statusCode = null;
+    let responseBody = '';
+    let error = null;
+
+    try {
+      const res = await this._post(webhook.url, body, {
+        'X-CryoProcess-Event': delivery.event,
+        'X-CryoProcess-Delivery': delivery.id,
+        'X-CryoProcess-Timestamp': String(timestamp),
+        'X-CryoProcess-Signature': signPayload(decryptField(webhook.secret), timestamp, body),
+      });
+      statusCode = res.statusCode;
+      responseBody = res.body.slice(0, MAX_RESPONSE_BODY);
+      if (statusCode < 200 || statusCode >= 300) {
+        error = `HTTP ${statusCode}`;
+      }
+    } catch (err) {
+      error = err.message;
+    }
+
+    const attemptNumber = (delivery.attempts || []).length + 1;
+    const ok = error === null;
+    const retry = !ok && isRetryable(statusCode) && attemptNumber < delivery.max_attempts;
+
+    const updated = await WebhookDelivery.findOneAndUpdate(
+      { id: deliveryId },
+      {
+        $push: {
+          attempts: {
+            attempted_at: startedAt,
+            response_code: statusCode,
+            error,
+            duration_ms: Date.now() - startedAt.getTime()
+          }
+        },
+        $set: {
+          status: ok ? 'success' : (retry ? 'pending' : 'failed'),
+          next_attempt_at: retry ? new Date(Date.now() + this.retryDelay(attemptNumber)) : null,
+          response_body: responseBody,
+          completed_at: retry ? null : new Date()
+        }
+      },
+      { new: true }
+    ).lean();
+
+    await EventWebhook.updateOne({ id: webhook.id }, {
+      $set: { last_delivery_at: startedAt, last_response_code: statusCode, last_delivery_ok: ok }
+    });
+
+    if (ok) {
+      logger.info(`[EventWebhooks] Delivered ${delivery.event} to ${webhook.url.slice(0, 40)} (${statusCode})`);
+    } else if (retry) {
+      logger.warn(`[EventWebhooks] Attempt ${attemptNumber}/${delivery.max_attempts} of ${delivery.event} to ${webhook.url.slice(0, 40)} failed (${error}), retrying`);
+    } else {
+      logger.error(`[EventWebhooks] Giving up on ${delivery.event} to ${webhook.url.slice(0, 40)} after ${attemptNumber} attempts: ${error}`);
+    }
+    return updated;
+  }
+
+  /**
+   * Retry deliveries whose backoff has elapsed
+   * @returns {Promise<number>} Attempts made
+   */
+  async processDue() {
+    if (this.sweeping) return 0;
+    this.sweeping = true;
+
+    let attempted = 0;
+    try {
+      const due = await WebhookDelivery.find({ status: 'pending', next_attempt_at: { $lte: new Date() } })
+        .sort({ next_attempt_at: 1 })
+        .limit(SWEEP_BATCH)
+        .lean();
+      for (const delivery of due) {
+        try {
+          if (await this.attempt(delivery.id)) attempted++;
+        } catch (err) {
+          logger.error(`[EventWebhooks] Retry of delivery ${delivery.id} failed: ${err.message}`);
+        }
+      }
+    } catch (error) {
+      logger.error(`[EventWebhooks] Retry sweep failed: ${error.message}`);
+    } finally {
+      this.sweeping = false;
+    }
+    return attempted;
+  }
+}
+
+let instance = null;
+
+function getEventWebhookService() {
+  if (!instance) {
+    instance = new EventWebhookService();
+  }
+  return instance;
+}
+
+/**
+ * Fire-and-forget emit for event sources; never throws
+ * @param {string} projectId
+ * @param {string} type - One of WEBHOOK_EVENTS
+ * @param {Object} data
+ */
+function publishEvent(projectId, type, data) {
+  setImmediate(() => {
+    getEventWebhookService().emit(projectId, type, data).catch(err => {
+      logger.error(`[EventWebhooks] Failed to queue ${type} for project ${projectId}: ${err.message}`);
+    });
+  });
+}
+
+module.exports = {
+  EventWebhookService,
+  getEventWebhookService,
+  publishEvent,
+  generateSecret,
+  buildEnvelope
+};
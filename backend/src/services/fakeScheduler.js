@@ -0,0 +1,262 @@
+/**
+ * Fake Scheduler
+ *
+ * Runs job scripts as local bash processes while behaving like a batch
+ * scheduler: jobs get numeric IDs, wait for their afterok dependencies
+ * and report pending/running/success/failed/cancelled. Intended for
+ * development and tests without a cluster; job state is kept in memory.
+ */
+
+const { spawn } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+const BaseScheduler = require('./baseScheduler');
+
+/**
+ * Read `#FAKE --key=value` directives from a script
+ * @param {string} content - Script content
+ * @returns {Object} key -> value
+ */
+const parseDirectives = (content) => {
+  const directives = {};
+  for (const line of content.split('\n')) {
+    const match = line.match(/^#FAKE\s+--([\w-]+)=(.*)$/);
+    if (match) {
+      directives[match[1]] = match[2].trim();
+    }
+  }
+  return directives;
+};
+
+class FakeScheduler extends BaseScheduler {
+  constructor() {
+    super();
+    this.name = 'fake';
+    this.displayName = 'Local (fake)';
+    this.submitCommands = ['bash'];
+    this.jobs = new Map();  // jobId -> { state, exitCode, dependsOn, process, ... }
+    this.nextId = 1;
+  }
+
+  sanitizeJobId(jobId) {
+    if (jobId === undefined || jobId === null) return null;
+    const jobIdStr = String(jobId).trim();
+    return /^[0-9]+$/.test(jobIdStr) ? jobIdStr : null;
+  }
+
+  scriptHeader(options) {
+    const { jobName, outputDir, dependsOn = [] } = options;
+
+    let header = `#!/bin/bash
+#FAKE --job-name=${jobName}
+#FAKE --output=${path.join(outputDir, 'run.out')}
+#FAKE --error=${path.join(outputDir, 'run.err')}
+`;
+
+    const dependencyIds = this.dependencyIds(dependsOn);
+    if (dependencyIds.length > 0) {
+      header += `#FAKE --dependency=afterok:${dependencyIds.join(':')}\n`;
+    }
+
+    return header;
+  }
+
+  /**
+   * Queue a script. It starts once its dependencies have succeeded, and is
+   * cancelled if one of them does not. Scripts always run on this machine.
+   */
+  async submit(scriptPath, options = {}) {
+    const directives = parseDirectives(fs.readFileSync(scriptPath, 'utf-8'));
+    const dependency = directives.dependency || '';
+    const jobId = String(this.nextId++);
+
+    let settle;
+    const job = {
+      id: jobId,
+      name: directives['job-name'] || path.basename(scriptPath),
+      scriptPath,
+      cwd: options.cwd || path.dirname(scriptPath),
+      output: directives.output || null,
+      error: directives.error || null,
+      dependsOn: dependency.startsWith('afterok:') ? dependency.slice('afterok:'.length).split(':').filter(Boolean) : [],
+      state: 'pending',
+      exitCode: null,
+      process: null,
+      cancelRequested: false,
+      done: new Promise(resolve => { settle = resolve; })
+    };
+    job.settle = settle;
+    this.jobs.set(jobId, job);
+
+    logger.info(`[FakeScheduler] Queued job ${jobId} (${job.name})${job.dependsOn.length ? ` after ${job.dependsOn.join(', ')}` : ''}`);
+    this._schedule();
+
+    return { jobId, stdout: `Submitted batch job ${jobId}\n`, stderr: '' };
+  }
+
+  parseSubmitOutput(stdout) {
+    const match = stdout.match(/Submitted batch job (\d+)/);
+    return match ? match[1] : null;
+  }
+
+  /**
+   * Wait for a job to finish
+   * @param {string} jobId
+   * @returns {Promise<string|null>} Final state, or null for unknown jobs
+   */
+  wait(jobId) {
+    const job = this.jobs.get(String(jobId));
+    return job ? job.done : Promise.resolve(null);
+  }
+
+  async queryStatuses(jobIds) {
+    const statusMap = {};
+    for (const jobId of jobIds) {
+      const job = this.jobs.get(String(jobId));
+      if (job) {
+        statusMap[jobId] = {
+          state: job.state,
+          rawState: job.state.toUpperCase(),
+          exitCode: job.exitCode,
+          source: 'fake'
+        };
+      }
+    }
+    return statusMap;
+  }
+
+  async cancel(jobId) {
+    const job = this.jobs.get(String(jobId));
+    if (!job || ['success', 'failed', 'cancelled'].includes(job.state)) {
+      return false;
+    }
+
+    job.cancelRequested = true;
+    if (job.process) {
+      job.process.kill('SIGTERM');
+    } else {
+      this._finish(job, 'cancelled');
+    }
+    logger.info(`[FakeScheduler] Cancelled job ${jobId}`);
+    return true;
+  }
+
+  async updateDependencies(jobId, dependsOn) {
+    const job = this.jobs.get(String(jobId));
+    const dependencyIds = this.dependencyIds(dependsOn);
+    if (!job || job.state !== 'pending' || job.process || dependencyIds.length === 0) {
+      return false;
+    }
+
+    job.dependsOn = dependencyIds;
+    logger.info(`[FakeScheduler] Job ${jobId} now waits for ${dependencyIds.join(', ')}`);
+    this._schedule();
+    return true;
+  }
+
+  async getQueueStatus() {
+    const queue = { running: 0, pending: 0, total: 0 };
+    for (const job of this.jobs.values()) {
+      if (job.state === 'running') queue.running++;
+      else if (job.state === 'pending') queue.pending++;
+      else continue;
+      queue.total++;
+    }
+    return { partitions: queue.total > 0 ? { local: queue } : {}, total: queue.total };
+  }
+
+  async listJobs() {
+    return [...this.jobs.values()]
+      .filter(job => job.state === 'running' || job.state === 'pending')
+      .map(job => ({
+        jobId: job.id,
+        name: job.name,
+        user: process.env.USER || '',
+        partition: 'local',
+        state: job.state === 'running' ? 'R' : 'PD',
+        status: job.state,
+        elapsed: '',
+        timelimit: '',
+        nodes: 1,
+        reason: job.state === 'pending' && job.dependsOn.length > 0 ? 'Dependency' : ''
+      }));
+  }
+
+  async getJobDetails(jobId) {
+    const job = this.jobs.get(String(jobId));
+    if (!job) return null;
+    return { jobId: job.id, jobName: job.name, state: job.state.toUpperCase(), exitCode: job.exitCode };
+  }
+
+  async getPartitions() {
+    return [{ name: 'local', isDefault: true, available: true, nodes: { total: 1, idle: 0, allocated: 0, down: 0 } }];
+  }
+
+  async isAvailable() {
+    return true;
+  }
+
+  // Start every pending job whose dependencies succeeded; cancel those that can never start
+  _schedule() {
+    for (const job of this.jobs.values()) {
+      if (job.state !== 'pending' || job.process) continue;
+
+      const upstream = job.dependsOn.map(id => this.jobs.get(id));
+      if (upstream.some(u => !u || ['failed', 'cancelled'].includes(u.state))) {
+        logger.info(`[FakeScheduler] Job ${job.id} dependency can never be satisfied, cancelling`);
+        this._finish(job, 'cancelled');
+      } else if (upstream.every(u => u.state === 'success')) {
+        this._start(job);
+      }
+    }
+  }
+
+  _start(job) {
+    const openLog = (file) => {
+      try {
+        return file ? fs.openSync(file, 'a') : 'ignore';
+      } catch (err) {
+        logger.warn(`[FakeScheduler] Cannot open ${file}: ${err.message}`);
+        return 'ignore';
+      }
+    };
+    const stdout = openLog(job.output);
+    const stderr = openLog(job.error);
+    let logsOpen = true;
+    const closeLogs = () => {
+      if (!logsOpen) return;
+      logsOpen = false;
+      [stdout, stderr].forEach(fd => { if (typeof fd === 'number') fs.closeSync(fd); });
+    };
+
+    job.state = 'running';
+    job.process = spawn('bash', [job.scriptPath], { cwd: job.cwd, stdio: ['ignore', stdout, stderr] });
+
+    job.process.on('error', (err) => {
+      logger.error(`[FakeScheduler] Job ${job.id} failed to start: ${err.message}`);
+      closeLogs();
+      job.process = null;
+      this._finish(job, 'failed');
+    });
+    job.process.on('close', (code) => {
+      closeLogs();
+      job.process = null;
+      job.exitCode = `${code === null ? 1 : code}:0`;
+      if (job.cancelRequested) {
+        this._finish(job, 'cancelled');
+      } else {
+        this._finish(job, code === 0 ? 'success' : 'failed');
+      }
+    });
+  }
+
+  _finish(job, state) {
+    if (['success', 'failed', 'cancelled'].includes(job.state)) return;
+    job.state = state;
+    job.settle(state);
+    this._schedule();
+  }
+}
+
+module.exports = FakeScheduler;
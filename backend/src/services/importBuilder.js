@@ -15,9 +15,11 @@ const { isPathSafe } = require('../utils/security');
 const {
   getBoolParam,
   getFloatParam,
+  getIntParam,
   getParam
 } = require('../utils/paramHelper');
 const { getKnownFlags } = require('../config/relionFlags');
+const { MAX_BEAM_SHIFT_GROUPS } = require('../utils/opticsGroups');
 
 // RELION import flag and output file mapping per node type
 // Each entry: { flag: RELION --do_* flag, ofile: output filename }
@@ -228,6 +230,14 @@ class ImportJobBuilder {
       return { valid: false, error: `Input path does not exist: ${inputDir}` };
     }
 
+    // Beam-shift optics groups are assigned after Import finishes
+    // (utils/pipelineMetadata.js); 0 or 1 keeps RELION's single group
+    const beamShiftGroups = getIntParam(this.data, ['beamShiftGroups'], 0);
+    if (beamShiftGroups < 0 || beamShiftGroups > MAX_BEAM_SHIFT_GROUPS) {
+      logger.warn(`[Import] Validation: Failed | beamShiftGroups out of range: ${this.data.beamShiftGroups}`);
+      return { valid: false, error: `Beam-shift optics groups must be between 0 and ${MAX_BEAM_SHIFT_GROUPS}` };
+    }
+
     logger.info(`[Import] Validation: Passed | input_files: ${inputFiles}`);
     return { valid: true, error: null };
   }
@@ -378,6 +388,11 @@ class ImportJobBuilder {
     // Append user additional arguments (from Running tab)
     this._addAdditionalArguments(cmd);
 
+    const beamShiftGroups = getIntParam(this.data, ['beamShiftGroups'], 0);
+    if (beamShiftGroups > 1) {
+      logger.info(`[Import] Command: ${beamShiftGroups} beam-shift optics groups will be assigned from EPU XML after import`);
+    }
+
     logger.info(`[Import] Command: Built | output_dir: ${outputDir}`);
     logger.info(`[Import] Command: Full | ${cmd.join(' ')}`);
 
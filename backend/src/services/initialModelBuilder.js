@@ -85,6 +85,10 @@ class InitialModelBuilder extends BaseJobBuilder {
     if (continueFile) {
       cmd.push('--continue', this.makeRelative(this.resolveInputPath(continueFile)));
       cmd.push('--o', path.join(relOutputDir, 'run'));
+      // Passing --iter lets a continuation run past the original iteration count
+      if (getParam(data, ['numberOfVdam']) !== null) {
+        cmd.push('--iter', String(getIntParam(data, ['numberOfVdam'], 200)));
+      }
       cmd.push('--j', String(threads));
       cmd.push('--pipeline_control', relOutputDir + path.sep);
       if (!getBoolParam(data, ['useParallelIO', 'Useparalleldisc'], true)) {
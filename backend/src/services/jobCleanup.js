@@ -0,0 +1,254 @@
+/**
+ * Job Cleanup Service
+ *
+ * Deletes intermediate files from finished jobs, like RELION's "gentle clean"
+ * and "harsh clean". What is deletable per job type comes from CLEANUP_RULES;
+ * a file is always kept when it is cataloged in the job's output_files or
+ * referenced by the parameters/command of a downstream job (input_job_ids).
+ * A downstream reference to an _itNNN_ file keeps that whole iteration, since
+ * RELION reads the matching _model/_optimiser files alongside it. Particle
+ * stacks (.mrcs) are referenced image by image from the downstream jobs' STAR
+ * files (rlnImageName "000012@Extract/job008/Movies/mic_001.mrcs"), so those
+ * are read too.
+ *
+ * Cleanup is planned first (dry run) and executed from the plan.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { glob } = require('glob');
+const logger = require('../utils/logger');
+const Job = require('../models/Job');
+const { CLEANUP_RULES, TERMINAL_STATUSES } = require('../config/constants');
+
+const CLEANUP_MODES = ['gentle', 'harsh'];
+const ITERATION_PATTERN = /_it(\d{3,})_/;
+
+const escapeRegExp = value => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Collect every string value of a (nested) parameters object
+ * @param {*} value
+ * @param {string[]} out
+ * @returns {string[]}
+ */
+function collectStrings(value, out = []) {
+  if (typeof value === 'string') {
+    out.push(value);
+  } else if (Array.isArray(value)) {
+    value.forEach(v => collectStrings(v, out));
+  } else if (value && typeof value === 'object') {
+    Object.values(value).forEach(v => collectStrings(v, out));
+  }
+  return out;
+}
+
+/**
+ * Files of a job that must survive cleanup
+ * @param {Object} job - Job being cleaned
+ * @param {Array<Object>} children - Jobs with job.id in their input_job_ids
+ * @param {string} projectRoot
+ * @returns {{files: Set<string>, iterations: Set<string>}} Absolute paths, and "dir:iteration" keys
+ */
+function findProtectedFiles(job, children, projectRoot) {
+  const files = new Set((job.output_files || [])
+    .filter(f => f.relativePath)
+    .map(f => path.resolve(projectRoot, f.relativePath)));
+  const iterations = new Set();
+
+  // Downstream jobs refer to inputs by project-relative path (Class2D/Job004/...)
+  const jobDir = path.relative(projectRoot, job.output_file_path);
+  const referencePattern = new RegExp(`(?:^|[\\s"'=/])(${escapeRegExp(jobDir)}/[^\\s"',;]+)`, 'g');
+
+  for (const child of children) {
+    for (const text of collectStrings([child.parameters, child.command])) {
+      for (const match of text.matchAll(referencePattern)) {
+        const referenced = path.resolve(projectRoot, match[1]);
+        files.add(referenced);
+        const iteration = path.basename(referenced).match(ITERATION_PATTERN);
+        if (iteration) {
+          iterations.add(`${path.dirname(referenced)}:${parseInt(iteration[1], 10)}`);
+        }
+      }
+    }
+  }
+
+  return { files, iterations };
+}
+
+/**
+ * Stacks of a job that downstream STAR files point into, read from the STAR
+ * files cataloged in each downstream job's output_files
+ * @param {Object} job - Job being cleaned
+ * @param {Array<Object>} children - Jobs with job.id in their input_job_ids
+ * @param {string} projectRoot
+ * @returns {Promise<Set<string>|null>} Absolute paths, or null when a downstream
+ *   job has no readable STAR output (its references are unknown)
+ */
+async function findReferencedStacks(job, children, projectRoot) {
+  const jobDir = path.relative(projectRoot, job.output_file_path);
+  const stackPattern = new RegExp(`\\d+@(${escapeRegExp(jobDir)}/\\S+\\.mrcs)(?=\\s|$)`, 'g');
+  const stacks = new Set();
+
+  for (const child of children) {
+    const starFiles = (child.output_files || [])
+      .filter(f => f.relativePath && f.relativePath.endsWith('.star'))
+      .map(f => path.resolve(projectRoot, f.relativePath));
+    if (starFiles.length === 0) return null;
+
+    for (const starFile of starFiles) {
+      try {
+        const lines = readline.createInterface({ input: fs.createReadStream(starFile), crlfDelay: Infinity });
+        for await (const line of lines) {
+          for (const match of line.matchAll(stackPattern)) {
+            stacks.add(path.resolve(projectRoot, match[1]));
+          }
+        }
+      } catch (err) {
+        logger.warn(`[Cleanup] Could not read ${starFile}: ${err.message}`);
+        return null;
+      }
+    }
+  }
+
+  return stacks;
+}
+
+/**
+ * Absolute paths of _itNNN_ files from every iteration but the latest
+ * @param {string} outputDir
+ * @returns {Promise<string[]>}
+ */
+async function findOldIterations(outputDir) {
+  const names = (await fs.promises.readdir(outputDir)).filter(name => ITERATION_PATTERN.test(name));
+  const iterationOf = name => parseInt(name.match(ITERATION_PATTERN)[1], 10);
+  const latest = Math.max(...names.map(iterationOf));
+  return names
+    .filter(name => iterationOf(name) < latest)
+    .map(name => path.join(outputDir, name));
+}
+
+/**
+ * Plan the cleanup of one job without deleting anything
+ * @param {Object} job - Job document (lean)
+ * @param {string} mode - 'gentle' or 'harsh'
+ * @param {Object} [options]
+ * @param {Array<Object>} [options.children] - Downstream jobs (looked up when omitted)
+ * @returns {Promise<Object>} { jobId, jobName, jobType, mode, files: [{path, bytes}], totalBytes, keptFiles, skipped }
+ *   skipped is a reason string when the job cannot be cleaned
+ */
+async function planJobCleanup(job, mode, { children = null } = {}) {
+  const plan = {
+    jobId: job.id,
+    jobName: job.job_name,
+    jobType: job.job_type,
+    mode,
+    files: [],
+    totalBytes: 0,
+    keptFiles: 0,
+    skipped: null
+  };
+
+  const rules = CLEANUP_RULES[job.job_type];
+  if (!rules) {
+    plan.skipped = `${job.job_type} jobs have no intermediate files to clean`;
+    return plan;
+  }
+  if (!TERMINAL_STATUSES.includes(job.status)) {
+    plan.skipped = `Job is still ${job.status}`;
+    return plan;
+  }
+  if (!job.output_file_path || !fs.existsSync(job.output_file_path)) {
+    plan.skipped = 'Output directory not found';
+    return plan;
+  }
+
+  const downstream = children || await Job.find({ input_job_ids: job.id })
+    .select('id job_name status parameters command output_files')
+    .lean();
+  const activeChild = downstream.find(child => !TERMINAL_STATUSES.includes(child.status));
+  if (activeChild) {
+    plan.skipped = `Downstream job ${activeChild.job_name} is still ${activeChild.status}`;
+    return plan;
+  }
+
+  const outputDir = job.output_file_path;
+  const projectRoot = path.dirname(path.dirname(outputDir));
+  const { files: protectedFiles, iterations: protectedIterations } = findProtectedFiles(job, downstream, projectRoot);
+
+  const candidates = new Set();
+  if (rules.iterations) {
+    (await findOldIterations(outputDir)).forEach(file => candidates.add(file));
+  }
+  const patterns = mode === 'harsh'
+    ? [...(rules.gentle || []), ...(rules.harsh || [])]
+    : rules.gentle || [];
+  for (const pattern of patterns) {
+    (await glob(pattern, { cwd: outputDir, absolute: true, nodir: true })).forEach(file => candidates.add(file));
+  }
+
+  // Only read downstream STAR files when there are stacks to decide on
+  const hasStacks = [...candidates].some(file => file.endsWith('.mrcs'));
+  const referencedStacks = hasStacks && downstream.length > 0
+    ? await findReferencedStacks(job, downstream, projectRoot)
+    : new Set();
+
+  for (const file of [...candidates].sort()) {
+    const iteration = path.basename(file).match(ITERATION_PATTERN);
+    // Unknown downstream references keep every stack but those of old iterations
+    const stackInUse = file.endsWith('.mrcs') &&
+      (referencedStacks === null ? !iteration : referencedStacks.has(file));
+    if (protectedFiles.has(file) || stackInUse ||
+        (iteration && protectedIterations.has(`${path.dirname(file)}:${parseInt(iteration[1], 10)}`))) {
+      plan.keptFiles++;
+      continue;
+    }
+
+    let stats;
+    try {
+      stats = await fs.promises.lstat(file);
+    } catch (err) {
+      continue; // Removed since the glob ran
+    }
+    if (!stats.isFile()) continue; // Never follow or remove symlinks
+
+    plan.files.push({ path: path.relative(projectRoot, file), bytes: stats.size });
+    plan.totalBytes += stats.size;
+  }
+
+  return plan;
+}
+
+/**
+ * Delete the files of a cleanup plan
+ * @param {Object} plan - From planJobCleanup
+ * @param {string} projectRoot - Directory plan paths are relative to
+ * @returns {Promise<{deletedFiles: number, freedBytes: number, errors: string[]}>}
+ */
+async function executeCleanup(plan, projectRoot) {
+  const result = { deletedFiles: 0, freedBytes: 0, errors: [] };
+
+  for (const file of plan.files) {
+    try {
+      await fs.promises.unlink(path.join(projectRoot, file.path));
+      result.deletedFiles++;
+      result.freedBytes += file.bytes;
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        result.errors.push(`${file.path}: ${err.message}`);
+      }
+    }
+  }
+
+  logger.info(`[Cleanup] ${plan.mode} clean of ${plan.jobName}: deleted ${result.deletedFiles} files (${result.freedBytes} bytes)${result.errors.length ? `, ${result.errors.length} errors` : ''}`);
+  return result;
+}
+
+module.exports = {
+  CLEANUP_MODES,
+  planJobCleanup,
+  executeCleanup,
+  findProtectedFiles,
+  findReferencedStacks
+};
@@ -0,0 +1,645 @@
+/**
+ * Job Launcher
+ *
+ * Validates, builds, records and submits new jobs. Used by the job
+ * controller (submit, clone, sweep) and by services that submit jobs
+ * outside an HTTP request, such as the workflow runner.
+ */
+
+const logger = require('../utils/logger');
+const Job = require('../models/Job');
+const Project = require('../models/Project');
+const User = require('../models/User');
+const { submitJobDirect } = require('./jobSubmission');
+const { checkStorageQuota } = require('./storageAccounting');
+const { isSSHMode } = require('../utils/remoteExec');
+const { getProjectPath } = require('../utils/pathUtils');
+const { JOB_STATUS, ACTIVE_STATUSES, HTTP_STATUS } = require('../config/constants');
+const { isGpuEnabled, getBoolParam } = require('../utils/paramHelper');
+const { decryptField } = require('../utils/crypto');
+const { checkProjectAccess } = require('../controllers/projectMemberController');
+const auditLog = require('../utils/auditLogger');
+const { onJobSubmitted } = require('./eventWebhookNotifier');
+const {
+  JOB_BUILDERS,
+  JOB_VALIDATORS,
+  STAGE_NAMES
+} = require('../config/jobRegistry');
+
+/**
+ * Clamp resources for direct execution to prevent overloading the host machine.
+ * Mutates data so builders read the clamped values; call before buildCommand().
+ * @param {Object} data - Job parameters
+ * @param {string} jobType - Job type (for logging)
+ */
+function clampDirectResources(data, jobType) {
+  const { getSystemResources } = require('../utils/systemResources');
+  const sys = getSystemResources();
+  const maxCpus = sys.availableCpus;
+
+  let mpi = parseInt(data.mpiProcs || data.numberOfMpiProcs || 1, 10);
+  let threads = parseInt(data.numberOfThreads || data.threads || 1, 10);
+
+  if (mpi * threads > maxCpus) {
+    const origMpi = mpi, origThreads = threads;
+    threads = Math.max(1, Math.floor(maxCpus / mpi));
+    if (mpi * threads > maxCpus) {
+      mpi = Math.max(1, Math.floor(maxCpus / threads));
+    }
+    logger.info(`[${jobType}] Resource clamped: mpi ${origMpi}->${mpi}, threads ${origThreads}->${threads} (max ${maxCpus} CPUs)`);
+  }
+
+  data.mpiProcs = mpi;
+  data.numberOfMpiProcs = mpi;
+  data.threads = threads;
+  data.numberOfThreads = threads;
+  data.gres = Math.min(parseInt(data.gres || 0, 10), sys.gpuCount);
+}
+
+/**
+ * Build SLURM submission parameters from job data
+ * @param {Object} data - Job parameters
+ * @param {Object} builder - Job builder (for supportsGpu/supportsMpi)
+ * @param {string} jobType - Job type (for logging)
+ * @returns {Object} slurmParams for submitJobDirect
+ */
+function buildSlurmParams(data, builder, jobType) {
+  // GPU detection: Check multiple parameter formats
+  // - gpuAcceleration: "Yes"/"No" (frontend checkbox)
+  // - gpuToUse: "0" (GPU device ID, means GPU is requested)
+  // - gres/gpus: explicit GPU count
+  const gpuRequested = isGpuEnabled(data);
+  const explicitGres = parseInt(data.gres || data.gpus || 0, 10);
+  const requestedGres = gpuRequested ? Math.max(1, explicitGres) : explicitGres;
+  const effectiveGres = builder.supportsGpu ? requestedGres : 0;
+
+  // Log GPU allocation decision for debugging
+  if (gpuRequested) {
+    logger.info(`[${jobType}] GPU requested: gpuAcceleration=${data.gpuAcceleration}, gpuToUse=${data.gpuToUse}, allocating ${effectiveGres} GPU(s)`);
+  }
+
+  if (!builder.supportsGpu && requestedGres > 0) {
+    logger.warn(`[${jobType}] Job type does not support GPU, ignoring gres=${requestedGres}`);
+  }
+
+  // For non-MPI jobs, force mpiProcs=1 to prevent mpirun usage
+  const requestedMpi = data.mpiProcs || data.numberOfMpiProcs || 1;
+  const effectiveMpi = builder.supportsMpi ? requestedMpi : 1;
+
+  if (!builder.supportsMpi && requestedMpi > 1) {
+    logger.info(`[${jobType}] Job type does not support MPI, ignoring mpiProcs=${requestedMpi}`);
+  }
+
+  const slurmParams = {
+    queuename: data.queueName || data.queuename,
+    queueSubmitCommand: data.queueSubmitCommand || null,  // scheduler default when unset
+    mpiProcs: effectiveMpi,
+    threads: data.numberOfThreads || data.threads,
+    gres: effectiveGres,
+    memory: data.memory,  // GB per node; scheduler default when unset
+    coresPerNode: data.coresPerNode || data.minimumDedicatedCoresPerNode || data.minDedicatedCores || data.minCoresPerNode,
+    clustername: data.clusterName || data.clustername,
+    arguments: data.arguments || data.slurmArguments
+  };
+
+  // Force CPU-only PyTorch for class_ranker — avoids segfault on unsupported GPU architectures
+  if (jobType === 'Subset' && getBoolParam(data, ['select2DClass'], false)) {
+    slurmParams.envVars = { CUDA_VISIBLE_DEVICES: '""', SINGULARITYENV_CUDA_VISIBLE_DEVICES: '""' };
+  }
+
+  return slurmParams;
+}
+
+/**
+ * Load per-user cluster SSH credentials for remote submission
+ * @param {number} userId - Submitting user ID
+ * @param {string} jobType - Job type (for logging)
+ * @returns {Promise<Object|null>} { username, privateKey }, or null to use the global connection
+ */
+async function getUserCredentials(userId, jobType) {
+  try {
+    const submittingUser = await User.findOne({ id: userId }).select('+cluster_ssh_key').lean();
+    if (submittingUser?.cluster_enabled && submittingUser.cluster_ssh_key && submittingUser.cluster_username) {
+      logger.info(`[${jobType}] Using per-user SSH credentials: ${submittingUser.cluster_username}`);
+      return {
+        username: submittingUser.cluster_username,
+        privateKey: decryptField(submittingUser.cluster_ssh_key)
+      };
+    }
+  } catch (credErr) {
+    logger.warn(`[${jobType}] Failed to load user cluster credentials, falling back to global: ${credErr.message}`);
+  }
+  return null;
+}
+
+/**
+ * Find input jobs that have not finished yet. A new job can be queued behind
+ * them with a SLURM afterok dependency instead of waiting for them.
+ * @param {string} projectId
+ * @param {string[]} inputJobNames - Job names parsed from the input paths
+ * @param {string[]} [fallbackIds] - Parent job IDs to check when no names were parsed
+ * @returns {Promise<Object[]>} Pending or running upstream jobs
+ */
+async function findActiveUpstreamJobs(projectId, inputJobNames, fallbackIds = []) {
+  let query;
+  if (inputJobNames.length > 0) {
+    query = { project_id: projectId, job_name: { $in: inputJobNames } };
+  } else if (fallbackIds.length > 0) {
+    query = { project_id: projectId, id: { $in: fallbackIds } };
+  } else {
+    return [];
+  }
+
+  return Job.find({ ...query, status: { $in: ACTIVE_STATUSES } })
+    .select('id job_name job_type status slurm_job_id output_file_path parameters')
+    .lean();
+}
+
+/**
+ * Validate, build, record and submit a new job.
+ * Every new job goes through here so it passes the registry validator and
+ * builder validate().
+ * @param {Object} req - Express request, or { user } when there is no request
+ * @param {string} jobType - Job type or alias
+ * @param {Object} body - Job parameters as submitted
+ * @param {Object} [options]
+ * @param {string[]} [options.inputJobIds] - Parent job IDs to use when none can be derived from input paths
+ * @param {boolean} [options.dryRun] - Stop after validation and return the parameters
+ * @param {Object} [options.sweep] - { id, values } when submitted as part of a parameter sweep
+ * @returns {Promise<Object>} { status, error } on failure, { status, data } for a dry run,
+ *   otherwise { status, body } with the submission response
+ */
+async function launchJob(req, jobType, body, options = {}) {
+  const startTime = Date.now();
+
+  try {
+    // Get validator for job type
+    const validator = JOB_VALIDATORS[jobType];
+    if (!validator) {
+      logger.warn(`[JOB:${jobType.toUpperCase()}] Unknown job type requested`);
+      return { status: 400, error: `Unknown job type: ${jobType}` };
+    }
+
+    // Validate parameters
+    const { value: data, error: validationError } = validator(body);
+    if (validationError) {
+      logger.warn(`[JOB:${jobType.toUpperCase()}] Validation failed:`, validationError);
+      const details = validationError.details || validationError;
+      return {
+        status: 400,
+        error: [].concat(details).map(e => e.message || e).join(', '),
+        validationErrors: details
+      };
+    }
+
+    // Get project and verify access (need editor role to submit jobs)
+    const project = await Project.findOne({ id: data.projectId }).lean();
+    if (!project) {
+      logger.job.error(jobType, new Error(`Project not found: ${data.projectId}`));
+      return { status: 404, error: 'Project not found' };
+    }
+
+    const access = await checkProjectAccess(data.projectId, req.user, 'editor');
+    if (!access.hasAccess) {
+      return { status: 403, error: 'You do not have permission to submit jobs in this project' };
+    }
+
+    if (project.is_archived) {
+      return { status: 400, error: 'Cannot submit jobs to an archived project. Restore it first.' };
+    }
+
+    const quota = await checkStorageQuota({ project });
+    if (quota.error) {
+      return { status: HTTP_STATUS.INSUFFICIENT_STORAGE, error: quota.error };
+    }
+
+    const projectPath = getProjectPath(project);
+
+    // Start job logging (both combined and project logs)
+    logger.job.start(jobType, data.projectId, req.user.id);
+    logger.project.start(projectPath, project.id, jobType, req.user.id);
+
+    logger.job.step(jobType, 1, 'Parameters validated', { project_id: data.projectId });
+    logger.project.step(projectPath, project.id, jobType, 1, 'Parameters validated', { project_id: data.projectId });
+
+    logger.job.step(jobType, 2, 'Project found', { project_name: project.project_name });
+    logger.project.step(projectPath, project.id, jobType, 2, 'Project found', { project_name: project.project_name });
+
+    // Get builder
+    const BuilderClass = JOB_BUILDERS[jobType];
+    if (!BuilderClass) {
+      logger.job.error(jobType, new Error('No builder registered for this job type'));
+      return { status: 400, error: `No builder for job type: ${jobType}` };
+    }
+
+    // Create builder and validate. Outputs of input jobs that are still
+    // pending or running are accepted; the job is queued behind them.
+    const builder = new BuilderClass(data, project, req.user);
+    const inputJobNames = builder.getInputJobIds();
+    const upstreamJobs = await findActiveUpstreamJobs(project.id, inputJobNames, options.inputJobIds);
+    builder.setPendingOutputDirs(upstreamJobs.map(j => j.output_file_path));
+
+    const { valid, error: builderError } = builder.validate();
+    if (!valid) {
+      logger.job.error(jobType, new Error(builderError));
+      logger.project.error(projectPath, project.id, jobType, new Error(builderError));
+      return { status: 400, error: builderError };
+    }
+
+    logger.job.step(jobType, 3, 'Builder validated');
+    logger.project.step(projectPath, project.id, jobType, 3, 'Builder validated');
+
+    // Determine execution method and system type BEFORE building command
+    // so resource clamping takes effect on the values the builder reads.
+    // execution_method: 'direct' (spawn) or 'slurm' (sbatch)
+    // system_type:      'local' (same machine) or 'remote' (SSH cluster)
+    const executionMethod = getBoolParam(data, ['submitToQueue', 'SubmitToQueue'], true) ? 'slurm' : 'direct';
+    const systemType = (executionMethod === 'slurm' && isSSHMode()) ? 'remote' : 'local';
+
+    // Dependencies are expressed through SLURM, so both sides must be queued jobs
+    if (upstreamJobs.length > 0) {
+      const upstreamNames = upstreamJobs.map(j => j.job_name).join(', ');
+      if (executionMethod !== 'slurm') {
+        return {
+          status: 400,
+          error: `Input job(s) ${upstreamNames} have not finished yet. Submit to the queue to run this job after them.`
+        };
+      }
+      const unqueued = upstreamJobs.filter(j => !j.slurm_job_id);
+      if (unqueued.length > 0) {
+        return {
+          status: 400,
+          error: `Input job(s) ${unqueued.map(j => j.job_name).join(', ')} are not running through SLURM, so this job cannot be queued after them`
+        };
+      }
+      // Beam-shift optics groups are written into movies.star by the backend
+      // after the Import finishes, which SLURM does not wait for
+      const regrouping = upstreamJobs.filter(j =>
+        j.job_type === 'Import' && (parseInt(j.parameters?.beamShiftGroups, 10) || 0) > 1);
+      if (regrouping.length > 0) {
+        return {
+          status: 400,
+          error: `Input job(s) ${regrouping.map(j => j.job_name).join(', ')} assign beam-shift optics groups once they finish. Submit this job after they have finished.`
+        };
+      }
+      logger.info(`[${jobType}] Queuing after unfinished input job(s): ${upstreamNames}`);
+    }
+
+    if (options.dryRun) {
+      return {
+        status: 200,
+        data: {
+          jobType,
+          stageName: STAGE_NAMES[jobType] || jobType,
+          parameters: body
+        }
+      };
+    }
+
+    // Get next job name
+    const jobName = await Job.getNextJobName(project.id);
+    const outputDir = builder.getOutputDir(jobName);
+
+    // Clamp resources for direct execution to prevent overloading host machine.
+    // Must happen before buildCommand() so builders use clamped values.
+    if (executionMethod === 'direct') {
+      clampDirectResources(data, jobType);
+    }
+
+    logger.job.step(jobType, 4, 'Building command', { job_name: jobName });
+    logger.project.step(projectPath, project.id, jobType, 4, 'Building command', { job_name: jobName });
+    const cmd = builder.buildCommand(outputDir, jobName);
+    logger.job.command(jobType, cmd);
+    logger.project.command(projectPath, project.id, jobType, cmd);
+
+    // Resolve job names to database IDs for tree connections
+    let resolvedInputJobIds = [];
+    if (inputJobNames.length > 0) {
+      // Look up jobs by name within this project
+      const inputJobs = await Job.find({
+        project_id: project.id,
+        job_name: { $in: inputJobNames }
+      }).select('id job_name').lean();
+
+      // Map job names to database IDs
+      const nameToId = {};
+      for (const j of inputJobs) {
+        nameToId[j.job_name] = j.id;
+      }
+
+      // Preserve order from inputJobNames
+      resolvedInputJobIds = inputJobNames
+        .map(name => nameToId[name])
+        .filter(Boolean);
+
+      logger.job.step(jobType, 5, 'Input jobs resolved', {
+        names: inputJobNames.join(','),
+        ids: resolvedInputJobIds.join(',')
+      });
+      logger.project.step(projectPath, project.id, jobType, 5, 'Input jobs resolved', {
+        names: inputJobNames.join(','),
+        ids: resolvedInputJobIds.join(',')
+      });
+    }
+
+    if (resolvedInputJobIds.length === 0 && options.inputJobIds) {
+      resolvedInputJobIds = options.inputJobIds;
+    }
+
+    // Create job in database
+    const jobId = Job.generateId();
+    const stageName = STAGE_NAMES[jobType] || jobType;
+    const commandStr = Array.isArray(cmd) ? cmd.join(' ') : cmd;
+
+    // Inherit pipeline_stats from upstream job chain
+    const inheritedStats = {
+      pixel_size: null,
+      micrograph_count: 0,
+      particle_count: 0,
+      box_size: null,
+      resolution: null,
+      bfactor: null,
+      class_count: 0,
+      iteration_count: 0,
+      movie_count: 0,
+      // Parameter-derived fields (defaults, overridden below)
+      total_iterations: 0,
+      voltage: null,
+      cs: null,
+      import_type: null,
+      symmetry: null,
+      mask_diameter: null,
+      bin_factor: 1,
+      pick_method: null,
+      rescaled_size: null,
+      // CTF refinement fields
+      defocus_mean: null,
+      astigmatism_mean: null,
+      beam_tilt_x: null,
+      beam_tilt_y: null,
+      ctf_fitting: null,
+      beam_tilt_enabled: null,
+      aniso_mag: null
+    };
+
+    if (resolvedInputJobIds.length > 0) {
+      // First try immediate upstream job
+      const upstreamJob = await Job.findOne({ id: resolvedInputJobIds[0] }).lean();
+      if (upstreamJob) {
+        const us = upstreamJob.pipeline_stats || {};
+        inheritedStats.micrograph_count = us.micrograph_count ?? upstreamJob.micrograph_count ?? 0;
+        inheritedStats.particle_count = us.particle_count ?? upstreamJob.particle_count ?? 0;
+        inheritedStats.pixel_size = us.pixel_size ?? upstreamJob.pixel_size ??
+          (upstreamJob.parameters?.angpix ? parseFloat(upstreamJob.parameters.angpix) : null);
+        inheritedStats.box_size = us.box_size ?? upstreamJob.box_size ??
+          upstreamJob.parameters?.particleBoxSize ?? null;
+        inheritedStats.resolution = us.resolution ?? null;
+        inheritedStats.class_count = us.class_count ?? 0;
+        inheritedStats.iteration_count = us.iteration_count ?? 0;
+
+        // If values are missing, look further upstream
+        if (!inheritedStats.box_size || !inheritedStats.pixel_size || !inheritedStats.micrograph_count) {
+          const toCheck = [...(upstreamJob.input_job_ids || [])];
+          const checked = new Set([resolvedInputJobIds[0]]);
+
+          while (toCheck.length > 0 && (!inheritedStats.box_size || !inheritedStats.pixel_size || !inheritedStats.micrograph_count)) {
+            const jobId = toCheck.shift();
+            if (checked.has(jobId)) continue;
+            checked.add(jobId);
+
+            const ancestorJob = await Job.findOne({ id: jobId }).lean();
+            if (!ancestorJob) continue;
+            const as = ancestorJob.pipeline_stats || {};
+
+            if (!inheritedStats.box_size) {
+              inheritedStats.box_size = as.box_size ?? ancestorJob.box_size ??
+                ancestorJob.parameters?.particleBoxSize ?? null;
+            }
+            if (!inheritedStats.pixel_size) {
+              inheritedStats.pixel_size = as.pixel_size ?? ancestorJob.pixel_size ??
+                (ancestorJob.parameters?.angpix ? parseFloat(ancestorJob.parameters.angpix) : null);
+            }
+            if (!inheritedStats.micrograph_count) {
+              inheritedStats.micrograph_count = as.micrograph_count ?? ancestorJob.micrograph_count ?? 0;
+            }
+            if (!inheritedStats.particle_count) {
+              inheritedStats.particle_count = as.particle_count ?? ancestorJob.particle_count ?? 0;
+            }
+
+            if (ancestorJob.input_job_ids) {
+              toCheck.push(...ancestorJob.input_job_ids);
+            }
+          }
+        }
+
+        logger.info(`[${jobType}] Inherited from chain (starting ${upstreamJob.job_name}): mic=${inheritedStats.micrograph_count}, part=${inheritedStats.particle_count}, pix=${inheritedStats.pixel_size}, box=${inheritedStats.box_size}`);
+      }
+    }
+
+    // For Import jobs, get pixel_size from angpix parameter
+    if (stageName === 'Import' && data.angpix) {
+      const parsed = parseFloat(data.angpix);
+      if (!isNaN(parsed) && parsed > 0) {
+        inheritedStats.pixel_size = parsed;
+      }
+    }
+
+    // For Extract jobs, set box_size from particleBoxSize parameter
+    if (stageName === 'Extract' && data.particleBoxSize) {
+      const parsed = parseInt(data.particleBoxSize, 10);
+      if (!isNaN(parsed) && parsed > 0) {
+        inheritedStats.box_size = parsed;
+      }
+    }
+
+    // =========================================================================
+    // Submission-time parameter-derived stats
+    // These fields are known at submission and should not change.
+    // =========================================================================
+    switch (stageName) {
+      case 'Import':
+        inheritedStats.voltage = data.kV ? parseFloat(data.kV) : null;
+        inheritedStats.cs = data.spherical ? parseFloat(data.spherical) : null;
+        if (data.rawMovies === 'Yes' || data.rawMovies === true
+            || data.multiFrameMovies === 'Yes' || data.multiFrameMovies === true) {
+          inheritedStats.import_type = 'movies';
+        } else if (data.rawMicrographs === 'Yes' || data.rawMicrographs === true) {
+          inheritedStats.import_type = 'micrographs';
+        }
+        break;
+      case 'MotionCorr':
+        inheritedStats.bin_factor = parseInt(data.binningFactor) || 1;
+        break;
+      case 'AutoPick':
+        inheritedStats.pick_method = data.useTopaz === 'Yes' ? 'Topaz'
+          : data.templateMatching === 'Yes' ? 'Template' : 'LoG';
+        break;
+      case 'Extract':
+        inheritedStats.rescaled_size = (data.rescaleParticles === 'Yes' && data.rescaledSize)
+          ? parseInt(data.rescaledSize) : null;
+        break;
+      case 'Class2D':
+        inheritedStats.class_count = parseInt(data.numberOfClasses) || 0;
+        inheritedStats.mask_diameter = data.maskDiameter ? parseFloat(data.maskDiameter) : null;
+        if (data.useVDAM === 'Yes') {
+          inheritedStats.total_iterations = parseInt(data.vdamMiniBatches) || 0;
+        } else {
+          inheritedStats.total_iterations = parseInt(data.numberEMIterations) || parseInt(data.numberOfIterations) || 0;
+        }
+        break;
+      case 'Class3D':
+      case 'InitialModel':
+        inheritedStats.class_count = parseInt(data.numberOfClasses) || 0;
+        inheritedStats.mask_diameter = data.maskDiameter ? parseFloat(data.maskDiameter) : null;
+        inheritedStats.total_iterations = parseInt(data.numberEMIterations) || parseInt(data.numberOfIterations) || 0;
+        inheritedStats.symmetry = data.symmetry || 'C1';
+        break;
+      case 'AutoRefine':
+        inheritedStats.symmetry = data.symmetry || 'C1';
+        break;
+    }
+
+    // Compute progress subdirectory for per-micrograph counting jobs
+    // (CTF, AutoPick, Extract) so progressHelper can do a fast flat readdir
+    const progressSubdir = builder.getProgressSubdir ? builder.getProgressSubdir() : null;
+
+    const newJob = await Job.create({
+      id: jobId,
+      project_id: project.id,
+      user_id: req.user.id,
+      job_name: jobName,
+      job_type: stageName,
+      status: JOB_STATUS.PENDING,
+      input_job_ids: resolvedInputJobIds,  // Database IDs for tree connections
+      depends_on: upstreamJobs.map(j => j.id),
+      output_file_path: outputDir,
+      progress_subdir: progressSubdir,
+      command: commandStr,
+      execution_method: executionMethod,
+      system_type: systemType,
+      parameters: body,
+      pipeline_stats: inheritedStats,
+      notify_email: !!body.notifyEmail,
+      sweep_id: options.sweep?.id || null,
+      sweep_values: options.sweep?.values || null
+    });
+
+    logger.job.step(jobType, 6, 'Job saved to database', { job_id: jobId, output_dir: outputDir });
+    logger.project.step(projectPath, project.id, jobType, 6, 'Job saved to database', { job_id: jobId, output_dir: outputDir });
+
+    // Extract SLURM parameters when using SLURM scheduler
+    const slurmParams = executionMethod === 'slurm' ? buildSlurmParams(data, builder, jobType) : null;
+
+    // Check if submitting user has per-user cluster credentials enabled.
+    // Only relevant for remote systems; for local SLURM, sbatch runs directly.
+    const userCredentials = systemType === 'remote' ? await getUserCredentials(req.user.id, jobType) : null;
+
+    logger.job.step(jobType, 7, 'Preparing submission', { execution_method: executionMethod, system_type: systemType });
+    logger.project.step(projectPath, project.id, jobType, 7, 'Preparing submission', { execution_method: executionMethod, system_type: systemType });
+
+    // Special handling for ManualSelect - processes data directly in buildCommand(), no SLURM
+    if (stageName === 'ManualSelect' || cmd === null) {
+      logger.job.step(jobType, 8, 'ManualSelect processed directly');
+
+      // Check if processing was successful (builder creates success marker)
+      const selectionResult = builder.getSelectionResult ? builder.getSelectionResult() : null;
+      const isSuccess = selectionResult && selectionResult.numParticles > 0;
+
+      // Update job status and particle count
+      await Job.findOneAndUpdate(
+        { id: jobId },
+        {
+          status: isSuccess ? JOB_STATUS.SUCCESS : JOB_STATUS.FAILED,
+          start_time: new Date(),
+          end_time: new Date(),
+          particle_count: selectionResult?.numParticles || 0,
+          error_message: isSuccess ? null : 'No particles found in selected classes'
+        }
+      );
+
+      const duration = Date.now() - startTime;
+      if (isSuccess) {
+        logger.job.success(jobType, jobId, jobName);
+        logger.info(`[JOB:${jobType.toUpperCase()}] Duration: ${duration}ms | Particles: ${selectionResult.numParticles}`);
+      } else {
+        logger.job.error(jobType, new Error('Selection failed'), jobId);
+      }
+
+      return {
+        status: isSuccess ? 200 : 500,
+        body: {
+          status: isSuccess ? JOB_STATUS.SUCCESS : JOB_STATUS.FAILED,
+          id: jobId,
+          jobName: jobName,
+          message: isSuccess ? `Selected ${selectionResult.numParticles} particles` : 'No particles found in selected classes',
+          particleCount: selectionResult?.numParticles || 0,
+          selectedClasses: selectionResult?.selectedClasses || []
+        }
+      };
+    }
+
+    // Submit job
+    logger.job.step(jobType, 8, 'Submitting to SLURM queue');
+    logger.project.step(projectPath, project.id, jobType, 8, 'Submitting to SLURM queue');
+    const submissionResult = await submitJobDirect({
+      cmd,
+      jobId,
+      jobName,
+      stageName,
+      projectId: project.id,
+      projectPath: getProjectPath(project),
+      outputDir,
+      executionMethod,
+      slurmParams,
+      postCommand: builder.postCommand,
+      userCredentials,
+      dependsOn: upstreamJobs.map(j => j.slurm_job_id)
+    });
+
+    const duration = Date.now() - startTime;
+
+    if (submissionResult.success) {
+      logger.job.success(jobType, jobId, jobName, submissionResult.slurm_job_id);
+      logger.project.success(projectPath, project.id, jobType, jobId, jobName, submissionResult.slurm_job_id);
+      logger.slurm.submit(jobName, submissionResult.slurm_job_id, slurmParams?.queuename);
+    } else {
+      logger.job.error(jobType, new Error(submissionResult.error || 'Submission failed'), jobId);
+      logger.project.error(projectPath, project.id, jobType, new Error(submissionResult.error || 'Submission failed'), jobId);
+    }
+    logger.info(`[JOB:${jobType.toUpperCase()}] Duration: ${duration}ms`);
+
+    if (submissionResult.success) {
+      auditLog(req, 'job_submit', { resourceType: 'job', resourceId: jobId, details: `${stageName} (${jobName})` });
+      onJobSubmitted({ jobId, projectId: project.id });
+    }
+
+    // Return response — use canonical JOB_STATUS values so frontend
+    // receives the same strings stored in the database.
+    const queuedStatus = upstreamJobs.length > 0 ? JOB_STATUS.PENDING : JOB_STATUS.RUNNING;
+    const responseStatus = submissionResult.success ? queuedStatus : JOB_STATUS.FAILED;
+
+    return {
+      status: submissionResult.success ? 202 : 500,
+      body: {
+        status: responseStatus,
+        id: jobId,
+        jobName: jobName,
+        slurmJobId: submissionResult.slurm_job_id,
+        message: submissionResult.message || `${stageName} job submitted successfully`,
+        error: submissionResult.error,
+        ...(quota.warnings.length > 0 && { storageWarnings: quota.warnings })
+      }
+    };
+  } catch (error) {
+    logger.job.error(jobType, error);
+    // Note: project path may not be available if project lookup failed
+    return { status: 500, error: error.message };
+  }
+}
+
+module.exports = {
+  launchJob,
+  clampDirectResources,
+  buildSlurmParams,
+  getUserCredentials
+};
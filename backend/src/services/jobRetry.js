@@ -0,0 +1,251 @@
+/**
+ * Job Retry Service
+ *
+ * Classifies failed queue jobs and resubmits those that failed for a
+ * transient reason (out of memory, node failure, GPU error, time limit,
+ * preemption) according to the project's retry policy. A retry reuses the
+ * job's name and output directory; the failed run is pushed onto
+ * job.attempts together with its diagnosis.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+const Job = require('../models/Job');
+const Project = require('../models/Project');
+const User = require('../models/User');
+const { submitJobDirect } = require('./jobSubmission');
+const { buildSlurmParams, getUserCredentials } = require('./jobLauncher');
+const { onJobSubmitted } = require('./eventWebhookNotifier');
+const { getProjectPath } = require('../utils/pathUtils');
+const { ERROR_EXPLANATIONS } = require('../utils/relionErrorExplanations');
+const { JOB_STATUS, RELION_MARKERS } = require('../config/constants');
+const { JOB_BUILDERS, getJobTypeForStage } = require('../config/jobRegistry');
+
+// Policy used for keys a project leaves out; maxAttempts 1 means no retries
+const DEFAULT_RETRY_POLICY = {
+  maxAttempts: 1,
+  retryOn: ['oom', 'node_failure', 'gpu', 'preempted'],
+  escalation: { memoryFactor: 1.5, mpiFactor: 0.5 }
+};
+
+// Scheduler states that identify the failure on their own (sacct, squeue)
+const STATE_ERROR_CLASSES = {
+  OUT_OF_MEMORY: 'oom', OOM: 'oom',
+  NODE_FAIL: 'node_failure', NF: 'node_failure', BOOT_FAIL: 'node_failure', BF: 'node_failure',
+  TIMEOUT: 'timeout', TO: 'timeout',
+  PREEMPTED: 'preempted', PR: 'preempted'
+};
+
+// Log category describing each class when only the scheduler state is known
+const CLASS_CATEGORIES = {
+  oom: 'Out of Memory',
+  node_failure: 'Node Failure',
+  gpu: 'GPU Error',
+  timeout: 'Time Limit',
+  preempted: 'Preempted'
+};
+
+const MPI_PARAMS = ['mpiProcs', 'numberOfMpiProcs'];
+
+/**
+ * Classify a failed run from its scheduler state and parsed log issues
+ * @param {Object} slurmStatus - { rawState, exitCode, ... } from the scheduler
+ * @param {Array} issues - Issues from relionLogParser.parseRelionErrors
+ * @returns {Object} { errorClass, category, rawState, exitCode, explanation, suggestion }
+ */
+function diagnoseFailure(slurmStatus, issues = []) {
+  const errors = issues.filter(issue => issue.severity === 'error');
+  const baseState = String(slurmStatus.rawState || '').split(' ')[0].toUpperCase();
+  const stateClass = STATE_ERROR_CLASSES[baseState] || null;
+
+  const issue = errors.find(e => e.errorClass && (!stateClass || e.errorClass === stateClass))
+    || (stateClass ? null : errors[0]);
+  const errorClass = stateClass || (issue && issue.errorClass) || null;
+  const category = issue ? issue.category : (CLASS_CATEGORIES[errorClass] || null);
+  const explained = issue || ERROR_EXPLANATIONS[category] || {};
+
+  return {
+    errorClass,
+    category,
+    rawState: slurmStatus.rawState || null,
+    exitCode: slurmStatus.exitCode || null,
+    explanation: explained.explanation || null,
+    suggestion: explained.suggestion || null
+  };
+}
+
+/**
+ * Effective retry policy of a job type: the project's 'default' entry with
+ * the job type's entry on top
+ * @param {Object} project - Project document
+ * @param {string} jobType - Stage name, e.g. 'Class3D'
+ * @returns {Object} { maxAttempts, retryOn, escalation }
+ */
+function resolveRetryPolicy(project, jobType) {
+  const policies = project.retry_policies || {};
+  const base = policies.default || {};
+  const specific = policies[jobType] || {};
+
+  return {
+    ...DEFAULT_RETRY_POLICY,
+    ...base,
+    ...specific,
+    escalation: {
+      ...DEFAULT_RETRY_POLICY.escalation,
+      ...base.escalation,
+      ...specific.escalation
+    }
+  };
+}
+
+/**
+ * Resource changes for the next attempt. Out-of-memory failures raise the
+ * requested memory when the job set one, otherwise they run fewer MPI ranks
+ * so each rank gets more of the node.
+ * @param {Object} parameters - Job parameters of the failed run
+ * @param {string} errorClass - Diagnosed failure class
+ * @param {Object} policy - Resolved retry policy
+ * @returns {Object} Changed parameters only (empty when nothing escalates)
+ */
+function escalateResources(parameters, errorClass, policy) {
+  if (errorClass !== 'oom') return {};
+
+  const { memoryFactor, mpiFactor } = policy.escalation;
+  const memory = parseInt(parameters.memory, 10);
+  if (memory > 0 && memoryFactor > 1) {
+    return { memory: Math.ceil(memory * memoryFactor) };
+  }
+
+  const mpiKey = MPI_PARAMS.find(key => parameters[key] !== undefined && parameters[key] !== '');
+  const mpiProcs = mpiKey ? parseInt(parameters[mpiKey], 10) : 1;
+  if (mpiProcs > 1 && mpiFactor < 1) {
+    return { [mpiKey]: Math.max(1, Math.floor(mpiProcs * mpiFactor)) };
+  }
+
+  return {};
+}
+
+/**
+ * Number of runs in the current retry chain (continuations start a new one)
+ * @param {Array} attempts - job.attempts
+ * @returns {number}
+ */
+function countRuns(attempts = []) {
+  let runs = 1;
+  for (let i = attempts.length - 1; i >= 0 && attempts[i].retried_at; i--) {
+    runs++;
+  }
+  return runs;
+}
+
+/**
+ * Resubmit a failed queue job when its project's retry policy allows it
+ * @param {Object} job - Failed job (lean document, still in its old status)
+ * @param {Object} diagnosis - From diagnoseFailure()
+ * @param {string} errorMessage - Error message of the failed run
+ * @returns {Promise<Object|null>} { attempt, errorClass, changedParameters, success, error },
+ *   or null when the job is not retried
+ */
+async function retryFailedJob(job, diagnosis, errorMessage) {
+  if (job.execution_method !== 'slurm' || !diagnosis.errorClass) return null;
+
+  const project = await Project.findOne({ id: job.project_id }).lean();
+  if (!project || project.is_archived) return null;
+
+  const policy = resolveRetryPolicy(project, job.job_type);
+  const runs = countRuns(job.attempts);
+  if (!policy.retryOn.includes(diagnosis.errorClass) || runs >= policy.maxAttempts) {
+    return null;
+  }
+
+  const jobType = getJobTypeForStage(job.job_type);
+  const BuilderClass = JOB_BUILDERS[jobType];
+  if (!BuilderClass) return null;
+
+  const changedParameters = escalateResources(job.parameters || {}, diagnosis.errorClass, policy);
+  const parameters = { ...job.parameters, ...changedParameters };
+  const data = { ...parameters };
+
+  const user = await User.findOne({ id: job.user_id }).lean();
+  const builder = new BuilderClass(data, project, user);
+  const { valid, error: builderError } = builder.validate();
+  if (!valid) {
+    logger.warn(`[JobRetry] ${job.job_name} not retried, parameters rejected: ${builderError}`);
+    return null;
+  }
+
+  for (const marker of RELION_MARKERS) {
+    fs.rmSync(path.join(job.output_file_path, marker), { force: true });
+  }
+
+  const cmd = builder.buildCommand(job.output_file_path, job.job_name);
+  const commandStr = Array.isArray(cmd) ? cmd.join(' ') : cmd;
+  const attempt = (job.attempts || []).length + 1;
+
+  await Job.findOneAndUpdate({ id: job.id }, {
+    $push: {
+      attempts: {
+        attempt,
+        status: JOB_STATUS.FAILED,
+        command: job.command,
+        slurm_job_id: job.slurm_job_id,
+        scheduler: job.scheduler,
+        start_time: job.start_time,
+        end_time: new Date(),
+        error_message: errorMessage,
+        diagnosis,
+        retried_at: new Date(),
+        changed_parameters: changedParameters
+      }
+    },
+    $set: {
+      status: JOB_STATUS.PENDING,
+      command: commandStr,
+      parameters,
+      slurm_job_id: null,
+      error_message: null,
+      failure_diagnosis: null,
+      start_time: null,
+      end_time: null,
+      updated_at: new Date()
+    }
+  });
+
+  const changes = Object.entries(changedParameters).map(([key, value]) => `${key}=${value}`).join(', ');
+  logger.info(`[JobRetry] ${job.job_name} failed (${diagnosis.errorClass}), run ${runs + 1}/${policy.maxAttempts}${changes ? ` with ${changes}` : ''}`);
+
+  const userCredentials = job.system_type === 'remote' ? await getUserCredentials(job.user_id, jobType) : null;
+  const submissionResult = await submitJobDirect({
+    cmd,
+    jobId: job.id,
+    jobName: job.job_name,
+    stageName: job.job_type,
+    projectId: project.id,
+    projectPath: getProjectPath(project),
+    outputDir: job.output_file_path,
+    executionMethod: 'slurm',
+    slurmParams: buildSlurmParams(data, builder, jobType),
+    postCommand: builder.postCommand,
+    userCredentials
+  });
+  if (submissionResult.success) {
+    onJobSubmitted({ jobId: job.id, projectId: project.id });
+  }
+
+  return {
+    attempt: attempt + 1,
+    errorClass: diagnosis.errorClass,
+    changedParameters,
+    success: submissionResult.success,
+    error: submissionResult.error || null
+  };
+}
+
+module.exports = {
+  DEFAULT_RETRY_POLICY,
+  diagnoseFailure,
+  resolveRetryPolicy,
+  escalateResources,
+  retryFailedJob
+};
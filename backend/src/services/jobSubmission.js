@@ -1,7 +1,7 @@
 /**
  * Job Submission Service
  *
- * Handles job submission to local or SLURM execution.
+ * Handles job submission to local execution or the active batch scheduler.
  */
 
 const { spawn } = require('child_process');
@@ -12,10 +12,8 @@ const settings = require('../config/settings');
 const Job = require('../models/Job');
 const { isPathSafe } = require('../utils/security');
 const { JOB_STATUS } = require('../config/constants');
-const { execCommand, writeRemoteFile, isSSHMode, createUserSSHSession } = require('../utils/remoteExec');
-
-// Allowed SLURM submit commands (whitelist)
-const ALLOWED_SUBMIT_COMMANDS = ['sbatch', '/usr/bin/sbatch'];
+const { execCommand, writeRemoteFile, createUserSSHSession } = require('../utils/remoteExec');
+const { getScheduler } = require('./schedulers');
 
 /**
  * Sanitize SLURM parameter to prevent injection
@@ -52,129 +50,6 @@ const sanitizeSlurmParam = (value, paramName, allowedPattern = /^[\w\-.,:/]+$/,
   return value || null;
 };
 
-/**
- * Generate SLURM script content
- * @param {Object} options - Script options
- * @returns {string} SLURM script content
- */
-const generateSlurmScript = (options) => {
-  const {
-    jobName,
-    outputDir,
-    projectPath,
-    command,
-    partition,
-    mpiProcs = 1,
-    threads = 1,
-    gpus = 0,
-    additionalArgs = '',
-    envVars = {}
-  } = options;
-
-  let script = `#!/bin/bash
-#SBATCH --job-name=${jobName}
-#SBATCH --output=${path.join(outputDir, 'run.out')}
-#SBATCH --error=${path.join(outputDir, 'run.err')}
-`;
-
-  if (partition) {
-    script += `#SBATCH --partition=${partition}\n`;
-  }
-
-  if (mpiProcs > 1) {
-    script += `#SBATCH --ntasks=${mpiProcs}\n`;
-  }
-
-  if (threads > 1) {
-    script += `#SBATCH --cpus-per-task=${threads}\n`;
-  }
-
-  if (gpus > 0) {
-    script += `#SBATCH --gres=gpu:${gpus}\n`;
-  }
-
-  if (additionalArgs) {
-    script += `${additionalArgs}\n`;
-  }
-
-  script += `
-# Suppress PMIx munge warnings (harmless when munge daemon is not installed)
-export PMIX_MCA_psec=native
-
-# Override TORCH_HOME to writable location (container default is read-only)
-# SINGULARITYENV_ prefix ensures it overrides the container's %environment
-export SINGULARITYENV_TORCH_HOME=\${HOME}/.cache/torch
-export TORCH_HOME=\${HOME}/.cache/torch
-${Object.keys(envVars).length > 0 ? '\n' + Object.entries(envVars).map(([k, v]) => `export ${k}=${v}`).join('\n') + '\n' : ''}
-# Change to project directory
-cd ${projectPath}
-
-# Run the command
-`;
-
-  // Format command - quote arguments containing glob patterns or spaces
-  const formatArg = (arg) => {
-    // Quote if contains glob patterns (* or ?) or spaces
-    if (/[*? ]/.test(arg)) {
-      return `"${arg}"`;
-    }
-    return arg;
-  };
-  const cmdStr = Array.isArray(command)
-    ? command.map(formatArg).join(' ')
-    : command;
-
-  // Check if we should use Singularity
-  // In SSH mode, the .sif file is on the remote machine — skip local fs.existsSync check
-  const singularityAvailable = settings.SINGULARITY_IMAGE &&
-    (isSSHMode() || fs.existsSync(settings.SINGULARITY_IMAGE));
-  if (singularityAvailable) {
-    let singularityCmd = 'singularity exec';
-
-    // Add bind paths if configured
-    if (settings.SINGULARITY_BIND_PATHS) {
-      singularityCmd += ` --bind "${settings.SINGULARITY_BIND_PATHS}"`;
-    }
-
-    // Add GPU support (--nv) only when GPUs are allocated
-    // This prevents SLURM errors when no GPUs are requested but --nv is used
-    if (gpus > 0 && settings.SINGULARITY_OPTIONS) {
-      singularityCmd += ` ${settings.SINGULARITY_OPTIONS}`;
-    }
-
-    singularityCmd += ` "${settings.SINGULARITY_IMAGE}" ${cmdStr}`;
-
-    // For MPI jobs with Singularity, we need mpirun to spawn multiple processes
-    // SLURM's --ntasks only allocates slots, but doesn't launch MPI processes with singularity exec
-    if (mpiProcs > 1) {
-      script += `mpirun -n ${mpiProcs} ${singularityCmd}\n`;
-    } else {
-      script += `${singularityCmd}\n`;
-    }
-  } else if (mpiProcs > 1) {
-    // Native MPI (without Singularity) - use mpirun
-    script += `mpirun -n ${mpiProcs} ${cmdStr}\n`;
-  } else {
-    script += `${cmdStr}\n`;
-  }
-
-  // Create RELION exit status markers if not already present
-  // Some RELION utilities (e.g. relion_star_handler) don't create these markers,
-  // which prevents the SLURM monitor from detecting job completion
-  script += `
-# Create RELION exit status markers (safety net for commands that don't create them)
-CMD_EXIT_CODE=$?
-if [ $CMD_EXIT_CODE -eq 0 ]; then
-  [ -f ${outputDir}/RELION_JOB_EXIT_SUCCESS ] || touch ${outputDir}/RELION_JOB_EXIT_SUCCESS
-else
-  [ -f ${outputDir}/RELION_JOB_EXIT_FAILURE ] || touch ${outputDir}/RELION_JOB_EXIT_FAILURE
-fi
-exit $CMD_EXIT_CODE
-`;
-
-  return script;
-};
-
 /**
  * Submit job directly (no Celery)
  * @param {Object} options - Submission options
@@ -191,34 +66,38 @@ const submitJobDirect = async (options) => {
     outputDir,
     executionMethod = 'slurm',
     slurmParams = {},
-    postCommand = null
+    postCommand = null,
+    dependsOn = []
   } = options;
 
   logger.info(`[JobSubmit] Starting | job_id: ${jobId} | method: ${executionMethod}`);
 
-  // Update job status to running
-  await Job.findOneAndUpdate(
-    { id: jobId },
-    {
-      status: JOB_STATUS.RUNNING,
-      start_time: new Date(),
-      updated_at: new Date()
-    }
-  );
+  // Update job status to running. Jobs queued behind upstream jobs stay
+  // pending until the monitor sees SLURM start them.
+  if (dependsOn.length === 0) {
+    await Job.findOneAndUpdate(
+      { id: jobId },
+      {
+        status: JOB_STATUS.RUNNING,
+        start_time: new Date(),
+        updated_at: new Date()
+      }
+    );
+  }
 
   if (executionMethod === 'slurm') {
-    return submitToSlurm(options);
+    return submitToScheduler(options);
   } else {
     return submitLocal(options);
   }
 };
 
 /**
- * Submit job to SLURM
+ * Submit job to the active batch scheduler (SLURM, PBS, ...).
  * When options.userCredentials is provided ({ username, privateKey }),
  * a temporary per-user SSH session is used instead of the global connection.
  */
-const submitToSlurm = async (options) => {
+const submitToScheduler = async (options) => {
   const {
     cmd,
     jobId,
@@ -226,9 +105,11 @@ const submitToSlurm = async (options) => {
     projectPath,
     outputDir,
     slurmParams = {},
-    userCredentials = null
+    userCredentials = null,
+    dependsOn = []
   } = options;
 
+  const scheduler = getScheduler();
   let userSession = null;
 
   try {
@@ -242,8 +123,8 @@ const submitToSlurm = async (options) => {
     const doWriteFile = userSession ? userSession.writeRemoteFile : writeRemoteFile;
     const doExecCommand = userSession ? userSession.execCommand : execCommand;
 
-    // Generate SLURM script
-    const scriptContent = generateSlurmScript({
+    // Generate job script
+    const scriptContent = scheduler.generateScript({
       jobName,
       outputDir,
       projectPath,
@@ -252,20 +133,22 @@ const submitToSlurm = async (options) => {
       mpiProcs: Math.min(Math.max(parseInt(slurmParams.mpiProcs) || 1, 1), 128),
       threads: Math.min(Math.max(parseInt(slurmParams.threads) || 1, 1), 256),
       gpus: Math.min(Math.max(parseInt(slurmParams.gres) || 0, 0), 16),
+      memory: Math.min(Math.max(parseInt(slurmParams.memory) || 0, 0), 4096),
       additionalArgs: sanitizeSlurmParam(slurmParams.arguments, 'arguments', /^[\w\-.,:/\s=]+$/, 512),
-      envVars: slurmParams.envVars || {}
+      envVars: slurmParams.envVars || {},
+      dependsOn
     });
 
     // Write script to file (locally, via global SFTP, or via per-user SFTP)
     const scriptPath = path.join(outputDir, 'run.sh');
     await doWriteFile(scriptPath, scriptContent, { mode: 0o755 });
-    logger.info(`[JobSubmit] SLURM script written: ${scriptPath}`);
+    logger.info(`[JobSubmit] ${scheduler.displayName} script written: ${scriptPath}`);
 
-    // Submit to SLURM - validate submit command against whitelist
-    let submitCmd = slurmParams.queueSubmitCommand || 'sbatch';
-    if (!ALLOWED_SUBMIT_COMMANDS.includes(submitCmd)) {
-      logger.warn(`[JobSubmit] Invalid submit command rejected: ${submitCmd}`);
-      submitCmd = 'sbatch'; // Fall back to safe default
+    // Validate submit command against the scheduler's whitelist
+    let submitCmd = slurmParams.queueSubmitCommand || scheduler.submitCommands[0];
+    if (!scheduler.submitCommands.includes(submitCmd)) {
+      logger.warn(`[JobSubmit] Submit command ${submitCmd} not allowed for ${scheduler.displayName}, using ${scheduler.submitCommands[0]}`);
+      submitCmd = scheduler.submitCommands[0]; // Fall back to safe default
     }
 
     // Validate script path doesn't contain shell metacharacters
@@ -280,52 +163,52 @@ const submitToSlurm = async (options) => {
     }
 
     try {
-      const { stdout, stderr } = await doExecCommand(submitCmd, [scriptPath], { cwd: projectPath });
-
-      // Parse SLURM job ID from output (e.g., "Submitted batch job 12345")
-      const match = stdout.match(/Submitted batch job (\d+)/);
-      const slurmJobId = match ? match[1] : null;
+      const { jobId: slurmJobId, stdout, stderr } = await scheduler.submit(scriptPath, {
+        exec: doExecCommand,
+        cwd: projectPath,
+        submitCommand: submitCmd
+      });
 
       if (!slurmJobId) {
-        // sbatch ran without error but we couldn't parse the job ID.
+        // The submit command ran without error but we couldn't parse the job ID.
         // Mark as failed so it doesn't become a ghost job stuck RUNNING forever.
-        logger.error(`[JobSubmit] Failed to parse SLURM job ID from sbatch output: "${stdout.trim()}"`);
-        if (stderr) logger.error(`[JobSubmit] sbatch stderr: ${stderr.trim()}`);
+        logger.error(`[JobSubmit] Failed to parse ${scheduler.displayName} job ID from ${submitCmd} output: "${stdout.trim()}"`);
+        if (stderr) logger.error(`[JobSubmit] ${submitCmd} stderr: ${stderr.trim()}`);
         await Job.findOneAndUpdate(
           { id: jobId },
           {
             status: JOB_STATUS.FAILED,
-            error_message: `SLURM job ID could not be parsed from sbatch output: ${stdout.trim()}`,
+            error_message: `${scheduler.displayName} job ID could not be parsed from ${submitCmd} output: ${stdout.trim()}`,
             end_time: new Date()
           }
         );
         return {
           success: false,
           slurm_job_id: null,
-          message: 'Failed to parse SLURM job ID',
-          error: `Unexpected sbatch output: ${stdout.trim()}`
+          message: `Failed to parse ${scheduler.displayName} job ID`,
+          error: `Unexpected ${submitCmd} output: ${stdout.trim()}`
         };
       }
 
-      logger.info(`[JobSubmit] SLURM job submitted | slurm_id: ${slurmJobId}`);
+      logger.info(`[JobSubmit] ${scheduler.displayName} job submitted | scheduler_id: ${slurmJobId}`);
 
-      // Update job with SLURM ID
+      // Record the scheduler job ID and which backend the monitor should ask
       await Job.findOneAndUpdate(
         { id: jobId },
-        { slurm_job_id: slurmJobId }
+        { slurm_job_id: slurmJobId, scheduler: scheduler.name }
       );
 
       return {
         success: true,
         slurm_job_id: slurmJobId,
-        message: `Job submitted to SLURM (ID: ${slurmJobId})`,
+        message: `Job submitted to ${scheduler.displayName} (ID: ${slurmJobId})`,
         error: null
       };
     } catch (submitError) {
       const errorDetail = submitError.stderr
         ? `${submitError.message} | stderr: ${submitError.stderr.trim()}`
         : submitError.message;
-      logger.error(`[JobSubmit] SLURM submission failed: ${errorDetail}`);
+      logger.error(`[JobSubmit] ${scheduler.displayName} submission failed: ${errorDetail}`);
       await Job.findOneAndUpdate(
         { id: jobId },
         {
@@ -337,7 +220,7 @@ const submitToSlurm = async (options) => {
       return {
         success: false,
         slurm_job_id: null,
-        message: 'SLURM submission failed',
+        message: `${scheduler.displayName} submission failed`,
         error: errorDetail
       };
     }
@@ -625,8 +508,7 @@ const submitLocal = async (options) => {
 
 module.exports = {
   submitJobDirect,
-  submitToSlurm,
+  submitToScheduler,
   submitLocal,
-  sanitizeSlurmParam,
-  generateSlurmScript
+  sanitizeSlurmParam
 };
@@ -0,0 +1,446 @@
+/**
+ * LDAP Service
+ *
+ * Bind-based authentication against LDAP / Active Directory, and a periodic
+ * group sync. A login looks the user up with the service account, then binds
+ * as that user with the typed password. The user's groups (group search
+ * and/or memberOf) drive:
+ *   - superuser/staff flags, when group lists are configured
+ *   - project memberships from the group mappings (ProjectMember source 'ldap')
+ *
+ * Settings live in the LdapConfig document; the copy held here is reloaded
+ * on startup and whenever an admin saves them.
+ *
+ * Singleton pattern matching emailService.js.
+ */
+
+const { Client, InvalidCredentialsError } = require('ldapts');
+const logger = require('../utils/logger');
+const { decryptField } = require('../utils/crypto');
+const LdapConfig = require('../models/LdapConfig');
+const User = require('../models/User');
+const Project = require('../models/Project');
+const ProjectMember = require('../models/ProjectMember');
+
+const CONFIG_ID = 'ldap';
+const REQUEST_TIMEOUT_MS = 10000;
+const ROLE_RANK = { viewer: 1, editor: 2 };
+
+/**
+ * Escape a value for use inside an LDAP filter (RFC 4515)
+ * @param {string} value
+ */
+const escapeFilterValue = (value) =>
+  String(value).replace(/[\\*()\0]/g, c => `\\${c.charCodeAt(0).toString(16).padStart(2, '0')}`);
+
+/**
+ * Replace {{name}} placeholders in a filter template with escaped values
+ * @param {string} template - e.g. "(mail={{login}})"
+ * @param {Object} values
+ */
+const fillFilter = (template, values) =>
+  template.replace(/\{\{(\w+)\}\}/g, (match, key) => (key in values ? escapeFilterValue(values[key]) : match));
+
+// Attribute names are case-insensitive; entries keep the server's casing
+const attributeValues = (entry, attribute) => {
+  if (!attribute) return [];
+  const key = Object.keys(entry).find(k => k.toLowerCase() === attribute.toLowerCase());
+  if (!key) return [];
+  const values = Array.isArray(entry[key]) ? entry[key] : [entry[key]];
+  return values.map(v => String(v).trim()).filter(Boolean);
+};
+
+const firstValue = (entry, attribute) => attributeValues(entry, attribute)[0] || '';
+
+/**
+ * First RDN value of a DN: "cn=cryo-admins,ou=groups,dc=example,dc=org" -> "cryo-admins"
+ * @param {string} dn
+ */
+const dnName = (dn) => {
+  const match = /^[^=]+=((?:\\.|[^,])+)/.exec(dn);
+  return match ? match[1].replace(/\\(.)/g, '$1') : dn;
+};
+
+const inGroups = (groups, wanted) => {
+  const names = new Set(groups.map(g => g.toLowerCase()));
+  return wanted.some(g => names.has(g.toLowerCase()));
+};
+
+/**
+ * Roles and project memberships granted by a set of groups
+ * @param {Object} config - LdapConfig
+ * @param {string[]} groups - Group names and DNs
+ * @returns {{roles: Object, projects: Map<string, string>}} roles only holds
+ *   is_superuser / is_staff when the matching group list is configured;
+ *   projects maps project ID -> highest mapped role
+ */
+const resolveGroupAccess = (config, groups) => {
+  const roles = {};
+  if (config.superuser_groups?.length > 0) roles.is_superuser = inGroups(groups, config.superuser_groups);
+  if (config.staff_groups?.length > 0) roles.is_staff = inGroups(groups, config.staff_groups);
+
+  const projects = new Map();
+  for (const mapping of config.group_mappings || []) {
+    if (!inGroups(groups, [mapping.group])) continue;
+    const current = projects.get(mapping.project_id);
+    if (!current || ROLE_RANK[mapping.role] > ROLE_RANK[current]) {
+      projects.set(mapping.project_id, mapping.role);
+    }
+  }
+  return { roles, projects };
+};
+
+class LdapService {
+  constructor() {
+    this.config = null;
+    this.enabled = false;
+    this.timer = null;
+    this.syncing = false;
+  }
+
+  /**
+   * Load settings and schedule the sync (server startup)
+   */
+  async start() {
+    await this.loadConfig();
+    if (this.enabled) {
+      logger.info(`[LDAP] Enabled for ${this.config.url}`);
+    }
+  }
+
+  stop() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  async loadConfig() {
+    const doc = await LdapConfig.findOne({ id: CONFIG_ID }).select('+bind_password').lean();
+    this.setConfig(doc);
+    return this.config;
+  }
+
+  /**
+   * Use a settings document (bind password still encrypted) and reschedule the sync
+   * @param {Object|null} doc
+   */
+  setConfig(doc) {
+    let bindPassword = '';
+    if (doc?.bind_password) {
+      try {
+        bindPassword = decryptField(doc.bind_password);
+      } catch (err) {
+        logger.error(`[LDAP] Cannot decrypt the bind password (was JWT_SECRET changed?): ${err.message}`);
+      }
+    }
+
+    this.config = doc ? { ...doc, bind_password: bindPassword } : null;
+    this.enabled = !!(this.config?.enabled && this.config.url && this.config.user_search_base);
+    this._schedule();
+  }
+
+  _schedule() {
+    this.stop();
+    const minutes = this.enabled ? this.config.sync_interval_minutes : 0;
+    if (!(minutes > 0)) return;
+
+    this.timer = setTimeout(async () => {
+      this.timer = null;
+      try {
+        await this.syncAll();
+      } catch (err) {
+        logger.error(`[LDAP] Scheduled sync failed: ${err.message}`);
+      }
+      this._schedule();
+    }, minutes * 60 * 1000);
+    this.timer.unref();
+  }
+
+  _createClient(config) {
+    return new Client({
+      url: config.url,
+      timeout: REQUEST_TIMEOUT_MS,
+      connectTimeout: REQUEST_TIMEOUT_MS,
+      tlsOptions: { rejectUnauthorized: config.tls_reject_unauthorized !== false }
+    });
+  }
+
+  /**
+   * Open a connection, bound as the service account (or anonymous)
+   * @returns {Promise<Client>}
+   */
+  async _connect(config) {
+    const client = this._createClient(config);
+    try {
+      if (config.start_tls) {
+        await client.startTLS({ rejectUnauthorized: config.tls_reject_unauthorized !== false });
+      }
+      if (config.bind_dn) {
+        await client.bind(config.bind_dn, config.bind_password);
+      }
+      return client;
+    } catch (err) {
+      await client.unbind().catch(() => {});
+      throw err;
+    }
+  }
+
+  /**
+   * Find exactly one user entry
+   * @param {Client} client
+   * @param {Object} config
+   * @param {string} filter - Complete, escaped filter
+   * @returns {Promise<Object|null>} Entry, or null when none or several match
+   */
+  async _searchUser(client, config, filter) {
+    const attrs = config.attributes || {};
+    const { searchEntries } = await client.search(config.user_search_base, {
+      scope: 'sub',
+      filter,
+      attributes: [attrs.username, attrs.email, attrs.first_name, attrs.last_name, 'memberOf'].filter(Boolean)
+    });
+
+    if (searchEntries.length > 1) {
+      logger.warn(`[LDAP] ${searchEntries.length} entries match ${filter}; refusing ambiguous login`);
+      return null;
+    }
+    return searchEntries[0] || null;
+  }
+
+  _findUserByLogin(client, config, login) {
+    return this._searchUser(client, config, fillFilter(config.user_filter, { login }));
+  }
+
+  _findUserByUsername(client, config, username) {
+    const attribute = config.attributes?.username || 'uid';
+    return this._searchUser(client, config, `(${attribute}=${escapeFilterValue(username)})`);
+  }
+
+  /**
+   * Groups of a user entry, as both names and DNs
+   * @returns {Promise<string[]>}
+   */
+  async _getGroups(client, config, entry) {
+    const groups = [];
+    for (const dn of attributeValues(entry, 'memberOf')) {
+      groups.push(dn, dnName(dn));
+    }
+
+    if (config.group_search_base) {
+      const nameAttribute = config.group_name_attribute || 'cn';
+      const { searchEntries } = await client.search(config.group_search_base, {
+        scope: 'sub',
+        filter: fillFilter(config.group_filter, {
+          dn: entry.dn,
+          username: firstValue(entry, config.attributes?.username)
+        }),
+        attributes: [nameAttribute]
+      });
+      for (const group of searchEntries) {
+        groups.push(group.dn, firstValue(group, nameAttribute) || dnName(group.dn));
+      }
+    }
+
+    return [...new Set(groups)];
+  }
+
+  /**
+   * Map a directory entry onto User fields
+   * @returns {{dn, username, externalId, email, firstName, lastName, groups}}
+   */
+  _profile(config, entry, groups) {
+    const attrs = config.attributes || {};
+    const username = firstValue(entry, attrs.username).toLowerCase();
+    return {
+      dn: entry.dn,
+      username,
+      externalId: username ? `ldap|${username}` : null,
+      email: firstValue(entry, attrs.email).toLowerCase(),
+      firstName: firstValue(entry, attrs.first_name),
+      lastName: firstValue(entry, attrs.last_name),
+      groups
+    };
+  }
+
+  /**
+   * Check a login against the directory
+   * @param {string} login - What the user typed (email by default, see user_filter)
+   * @param {string} password
+   * @param {Object} [config]
+   * @returns {Promise<Object|null>} Profile, or null for unknown users and wrong passwords.
+   *   Throws when the directory cannot be reached.
+   */
+  async authenticate(login, password, config = this.config) {
+    // An empty password is an unauthenticated bind, which many servers accept
+    if (!login || !password) return null;
+
+    const client = await this._connect(config);
+    try {
+      const entry = await this._findUserByLogin(client, config, login);
+      if (!entry) return null;
+
+      const userClient = this._createClient(config);
+      try {
+        if (config.start_tls) {
+          await userClient.startTLS({ rejectUnauthorized: config.tls_reject_unauthorized !== false });
+        }
+        await userClient.bind(entry.dn, password);
+      } catch (err) {
+        if (err instanceof InvalidCredentialsError || err.code === 49) return null;
+        throw err;
+      } finally {
+        await userClient.unbind().catch(() => {});
+      }
+
+      const groups = await this._getGroups(client, config, entry);
+      return this._profile(config, entry, groups);
+    } finally {
+      await client.unbind().catch(() => {});
+    }
+  }
+
+  /**
+   * Check settings before saving them: connect, bind, and optionally look a user up
+   * @param {Object} config - Settings to test (bind password in plain text)
+   * @param {string} [login] - Looked up with user_filter
+   * @returns {Promise<{connected: boolean, user?: Object|null}>}
+   */
+  async testConnection(config, login) {
+    const client = await this._connect(config);
+    try {
+      if (!login) return { connected: true };
+      const entry = await this._findUserByLogin(client, config, login);
+      if (!entry) return { connected: true, user: null };
+      const groups = await this._getGroups(client, config, entry);
+      return { connected: true, user: this._profile(config, entry, groups) };
+    } finally {
+      await client.unbind().catch(() => {});
+    }
+  }
+
+  /**
+   * Roles and project memberships for a set of groups, under the current settings
+   */
+  resolveGroupAccess(groups, config = this.config) {
+    return resolveGroupAccess(config || {}, groups);
+  }
+
+  /**
+   * Bring a user's LDAP-managed project memberships in line with their groups.
+   * Memberships added by hand are left alone, as are projects the user owns.
+   * @param {number} userId
+   * @param {string[]} groups
+   * @param {Object} [config]
+   * @returns {Promise<{added: number, updated: number, removed: number}>}
+   */
+  async applyMemberships(userId, groups, config = this.config) {
+    const { projects } = resolveGroupAccess(config || {}, groups);
+    const counts = { added: 0, updated: 0, removed: 0 };
+    const current = await ProjectMember.find({ user_id: userId }).lean();
+
+    for (const membership of current) {
+      if (membership.source !== 'ldap') continue;
+      const role = projects.get(membership.project_id);
+      if (!role) {
+        await ProjectMember.deleteOne({ id: membership.id });
+        counts.removed++;
+      } else if (role !== membership.role) {
+        await ProjectMember.updateOne({ id: membership.id }, { $set: { role } });
+        counts.updated++;
+      }
+    }
+
+    const memberOf = new Set(current.map(m => m.project_id));
+    for (const [projectId, role] of projects) {
+      if (memberOf.has(projectId)) continue;
+      const project = await Project.findOne({ id: projectId }).select('created_by_id').lean();
+      if (!project || project.created_by_id === userId) continue;
+
+      await ProjectMember.create({
+        id: ProjectMember.generateId(),
+        project_id: projectId,
+        user_id: userId,
+        role,
+        added_by: project.created_by_id,
+        source: 'ldap'
+      });
+      counts.added++;
+    }
+
+    return counts;
+  }
+
+  /**
+   * Re-read the groups of every LDAP user and update roles and memberships.
+   * Users no longer in the directory lose their LDAP-managed access and are
+   * deactivated.
+   * @returns {Promise<Object|null>} Summary (also stored as last_sync), or null if a sync is running
+   */
+  async syncAll() {
+    if (this.syncing) return null;
+    if (!this.enabled) throw new Error('LDAP is not enabled');
+
+    this.syncing = true;
+    const config = this.config;
+    const summary = { at: new Date(), users: 0, added: 0, updated: 0, removed: 0, deactivated: 0, error: null };
+    let client = null;
+
+    try {
+      client = await this._connect(config);
+      const users = await User.find({ auth_provider: 'ldap' });
+
+      for (const user of users) {
+        try {
+          const username = user.external_id?.startsWith('ldap|') ? user.external_id.slice(5) : user.username;
+          const entry = await this._findUserByUsername(client, config, username);
+          const groups = entry ? await this._getGroups(client, config, entry) : [];
+
+          const { roles } = resolveGroupAccess(config, groups);
+          const changes = { ...roles };
+          if (!entry && user.is_active) {
+            changes.is_active = false;
+            summary.deactivated++;
+            logger.info(`[LDAP] Deactivated ${user.username}: no longer in the directory`);
+          }
+          if (Object.entries(changes).some(([key, value]) => user[key] !== value)) {
+            Object.assign(user, changes);
+            await user.save();
+          }
+
+          const counts = await this.applyMemberships(user.id, groups, config);
+          summary.added += counts.added;
+          summary.updated += counts.updated;
+          summary.removed += counts.removed;
+          summary.users++;
+        } catch (err) {
+          logger.error(`[LDAP] Sync failed for ${user.username}: ${err.message}`);
+        }
+      }
+
+      logger.info(`[LDAP] Synced ${summary.users} users: ${summary.added} memberships added, ${summary.updated} updated, ${summary.removed} removed, ${summary.deactivated} users deactivated`);
+    } catch (err) {
+      summary.error = err.message;
+      logger.error(`[LDAP] Sync failed: ${err.message}`);
+    } finally {
+      if (client) await client.unbind().catch(() => {});
+      this.syncing = false;
+    }
+
+    await LdapConfig.updateOne({ id: CONFIG_ID }, { $set: { last_sync: summary } });
+    if (this.config) this.config.last_sync = summary;
+    return summary;
+  }
+}
+
+// Singleton
+let ldapServiceInstance = null;
+
+const getLdapService = () => {
+  if (!ldapServiceInstance) {
+    ldapServiceInstance = new LdapService();
+  }
+  return ldapServiceInstance;
+};
+
+module.exports = { LdapService, getLdapService, escapeFilterValue, fillFilter, dnName };
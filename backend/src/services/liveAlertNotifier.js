@@ -0,0 +1,69 @@
+/**
+ * Live Alert Notifier
+ *
+ * Sends live session anomaly warnings (see utils/liveGuardrails.js) to the
+ * project's Slack/Teams webhooks and to the session owner by email.
+ *
+ * Follows the same pattern as webhookNotifier.js / emailNotifier.js:
+ * sends run in the background and failures are only logged.
+ */
+
+const logger = require('../utils/logger');
+const { getWebhookService } = require('./webhookService');
+const { getEmailService } = require('./emailService');
+
+/**
+ * Notify about newly detected anomalies
+ * @param {Object} session - LiveSession document
+ * @param {Array<{type, message}>} anomalies
+ * @param {Object} [options]
+ * @param {boolean} [options.paused] - The session was paused because of them
+ */
+const notifyAnomalies = async (session, anomalies, { paused = false } = {}) => {
+  if (anomalies.length === 0) return;
+
+  try {
+    const Project = require('../models/Project');
+    const project = await Project.findOne({ id: session.project_id }).lean();
+    const projectName = project?.project_name || session.project_id;
+
+    const title = `Live session ${session.session_name}: ${anomalies.length === 1 ? 'anomaly' : `${anomalies.length} anomalies`} detected${paused ? ' (paused)' : ''}`;
+    const lines = anomalies.map(a => a.message);
+
+    const webhookService = getWebhookService();
+    for (const url of project?.webhook_urls || []) {
+      setImmediate(async () => {
+        try {
+          await webhookService.sendAlert(url, { title, projectName, lines });
+        } catch (err) {
+          logger.error(`[LiveAlertNotifier] Webhook failed for ${session.session_name} to ${url.slice(0, 40)}: ${err.message}`);
+        }
+      });
+    }
+
+    const emailService = getEmailService();
+    if (!emailService.enabled) return;
+
+    const User = require('../models/User');
+    const user = await User.findOne({ id: session.user_id }).lean();
+    if (!user || !user.email) return;
+
+    setImmediate(async () => {
+      try {
+        await emailService.sendLiveAlert({
+          to: user.email,
+          sessionName: session.session_name,
+          projectName,
+          lines,
+          paused
+        });
+      } catch (err) {
+        logger.error(`[LiveAlertNotifier] Email failed for ${session.session_name}: ${err.message}`);
+      }
+    });
+  } catch (error) {
+    logger.error(`[LiveAlertNotifier] Error sending anomaly alerts: ${error.message}`);
+  }
+};
+
+module.exports = { notifyAnomalies };
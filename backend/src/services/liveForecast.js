@@ -0,0 +1,272 @@
+/**
+ * Live Session Forecast
+ *
+ * Answers "at this rate, when will we have N particles / N good micrographs?"
+ * from the session's acquisition history (exposure timestamps recorded as
+ * movies are detected) and pass history (per-stage counts at the end of every
+ * pipeline pass).
+ *
+ * - Acquisition rate: exposures per hour over the recent window
+ * - Per stage: exposures processed, backlog, processing rate, and lag (age of
+ *   the oldest exposure the stage has not processed yet). Sessions over
+ *   existing data record detection time instead of acquisition time and are
+ *   never flagged as behind: there is no acquisition to keep up with.
+ * - ETAs: remaining good micrographs / particles, divided by what each new
+ *   exposure yields at the current acceptance rate, plus the processing lag
+ *
+ * Pure functions over a session document; nothing here writes to the database.
+ */
+
+const fs = require('fs');
+const settings = require('../config/settings');
+
+const HOUR_MS = 3600 * 1000;
+const MINUTE_MS = 60 * 1000;
+
+// Rates are measured over this much recent history
+const RATE_WINDOW_MS = HOUR_MS;
+
+// Exposures handled by each stage. Pick and Extract only see exposures that
+// passed the quality filter, so rejected exposures count as handled there.
+const FORECAST_STAGES = [
+  { key: 'import',  stage: 'Import',     field: 'movies_imported' },
+  { key: 'motion',  stage: 'MotionCorr', field: 'movies_motion' },
+  { key: 'ctf',     stage: 'CtfFind',    field: 'movies_ctf' },
+  { key: 'pick',    stage: 'AutoPick',   field: 'movies_picked',         afterFilter: true },
+  { key: 'extract', stage: 'Extract',    field: 'micrographs_extracted', afterFilter: true },
+];
+
+/**
+ * Exposures a stage has handled, in acquisition order
+ * @param {Object} counts - session.state or a pass_history entry
+ * @param {Object} stage - FORECAST_STAGES entry
+ * @returns {number|null} null if the counts predate the field
+ */
+const handledCount = (counts, stage) => {
+  const value = counts?.[stage.field];
+  if (value === undefined || value === null) return null;
+  return stage.afterFilter ? value + (counts.movies_rejected || 0) : value;
+};
+
+/**
+ * Average rate per hour over the recent window of a cumulative series
+ * @param {Array<{t: number, v: number}>} points - Sorted by t (ms)
+ * @param {number} now - ms
+ * @param {number} [windowMs]
+ * @returns {number|null} null with fewer than two points or no time between them
+ */
+const ratePerHour = (points, now, windowMs = RATE_WINDOW_MS) => {
+  if (points.length < 2) return null;
+  // Last point before the window anchors the start so sparse series still get a rate
+  let start = points.findIndex(p => p.t >= now - windowMs);
+  if (start < 0) start = points.length - 1;
+  start = Math.max(0, Math.min(start - 1, points.length - 2));
+
+  const first = points[start];
+  const last = points[points.length - 1];
+  const elapsed = last.t - first.t;
+  if (elapsed <= 0) return null;
+  return Math.max(0, (last.v - first.v) / elapsed * HOUR_MS);
+};
+
+/**
+ * Acquisition series from acquisition_history: cumulative exposures over time
+ * @param {Object} session
+ * @returns {Array<{t: number, v: number}>}
+ */
+const acquisitionSeries = (session) =>
+  (session.acquisition_history || [])
+    .filter(s => s.at && s.movies_found > 0)
+    .map(s => ({ t: new Date(s.at).getTime(), v: s.movies_found }))
+    .sort((a, b) => a.t - b.t);
+
+/**
+ * Acquisition time of the n-th exposure (1-based), interpolated between the
+ * batches of the acquisition series
+ * @returns {number|null} ms, or null if it predates the history
+ */
+const exposureTime = (series, n) => {
+  const i = series.findIndex(p => p.v >= n);
+  if (i < 0) return null;
+  if (i === 0) return series[0].t;
+  const prev = series[i - 1];
+  const next = series[i];
+  return prev.t + (n - prev.v) / (next.v - prev.v) * (next.t - prev.t);
+};
+
+/**
+ * Time to reach a target from the current value
+ * @param {number} target
+ * @param {number} current - Already reached
+ * @param {number} pending - Still in the pipeline; arrives without more acquisition
+ * @param {number|null} perExposure - Yield of one new exposure
+ * @param {number|null} acquisitionRate - Exposures per hour
+ * @param {number} lagMs - Time from acquisition to being processed
+ * @param {number|null} drainRate - Yield per hour while working through the backlog
+ * @param {number} now
+ */
+const estimate = ({ target, current, pending, perExposure, acquisitionRate, lagMs, drainRate, now }) => {
+  const result = { target, current, remaining: Math.max(0, target - current), eta: null, hours: null };
+  if (result.remaining === 0) {
+    result.reached = true;
+    return result;
+  }
+  result.reached = false;
+
+  let ms = null;
+  if (pending >= result.remaining) {
+    // The backlog alone is enough: only processing time is left
+    if (drainRate > 0) ms = result.remaining / drainRate * HOUR_MS;
+  } else if (perExposure > 0 && acquisitionRate > 0) {
+    const exposures = (result.remaining - pending) / perExposure;
+    ms = exposures / acquisitionRate * HOUR_MS + lagMs;
+  }
+
+  if (ms !== null) {
+    result.hours = Math.round(ms / HOUR_MS * 100) / 100;
+    result.eta = new Date(now + ms);
+  }
+  return result;
+};
+
+/**
+ * Forecast for a live session
+ * @param {Object} session - LiveSession document (lean)
+ * @param {Object} [options]
+ * @param {number} [options.targetParticles] - Overrides forecast_config.target_particles
+ * @param {number} [options.targetMicrographs] - Overrides forecast_config.target_micrographs
+ * @param {Date|number} [options.now]
+ * @returns {Object}
+ */
+const buildForecast = (session, options = {}) => {
+  const now = options.now ? new Date(options.now).getTime() : Date.now();
+  const state = session.state || {};
+  const config = session.forecast_config || {};
+  const maxLagMinutes = config.max_lag_minutes || settings.LIVE_MAX_PROCESSING_LAG_MINUTES;
+  const existingData = session.input_mode === 'existing';
+
+  const acquired = acquisitionSeries(session);
+  const moviesFound = Math.max(state.movies_found || 0, acquired.length ? acquired[acquired.length - 1].v : 0);
+  // Once acquisition has gone quiet, rates are measured up to the last exposure
+  // rather than diluted by the idle time since
+  const acquisitionRate = ratePerHour(acquired, now);
+
+  const passes = (session.pass_history || [])
+    .filter(p => p.completed_at)
+    .sort((a, b) => new Date(a.completed_at) - new Date(b.completed_at));
+
+  const stages = FORECAST_STAGES.map((stage) => {
+    const processed = Math.min(handledCount(state, stage) || 0, moviesFound);
+    const backlog = Math.max(0, moviesFound - processed);
+    const points = passes
+      .map(p => ({ t: new Date(p.completed_at).getTime(), v: handledCount(p, stage) }))
+      .filter(p => p.v !== null);
+
+    let lagMs = 0;
+    if (backlog > 0) {
+      const oldestWaiting = exposureTime(acquired, processed + 1);
+      lagMs = oldestWaiting !== null ? Math.max(0, now - oldestWaiting) : 0;
+    }
+
+    return {
+      key: stage.key,
+      stage: stage.stage,
+      processed,
+      backlog,
+      rate_per_hour: ratePerHour(points, now),
+      lag_ms: lagMs,
+      lag_minutes: Math.round(lagMs / MINUTE_MS * 10) / 10,
+    };
+  });
+
+  const slowest = stages.reduce((max, s) => (s.lag_ms > max.lag_ms ? s : max), stages[0]);
+  const byKey = Object.fromEntries(stages.map(s => [s.key, s]));
+
+  // Yield of one exposure: share passing the quality filter, and particles per good micrograph
+  const judged = (state.movies_filtered || 0) + (state.movies_rejected || 0);
+  const goodFraction = judged > 0 ? state.movies_filtered / judged : (state.movies_ctf > 0 ? 1 : null);
+  const goodMicrographs = judged > 0 ? state.movies_filtered : (state.movies_ctf || 0);
+  const particlesPerMicrograph = state.micrographs_extracted > 0
+    ? state.particles_extracted / state.micrographs_extracted
+    : null;
+  const particlesPerExposure = goodFraction !== null && particlesPerMicrograph !== null
+    ? goodFraction * particlesPerMicrograph
+    : null;
+
+  const targets = {};
+  const targetMicrographs = options.targetMicrographs || config.target_micrographs;
+  if (targetMicrographs > 0) {
+    targets.micrographs = estimate({
+      target: targetMicrographs,
+      current: goodMicrographs,
+      pending: byKey.ctf.backlog * (goodFraction ?? 0),
+      perExposure: goodFraction,
+      acquisitionRate,
+      lagMs: byKey.ctf.lag_ms,
+      drainRate: byKey.ctf.rate_per_hour !== null && goodFraction !== null ? byKey.ctf.rate_per_hour * goodFraction : null,
+      now,
+    });
+  }
+
+  const targetParticles = options.targetParticles || config.target_particles;
+  if (targetParticles > 0) {
+    targets.particles = estimate({
+      target: targetParticles,
+      current: state.particles_extracted || 0,
+      pending: byKey.extract.backlog * (particlesPerExposure ?? 0),
+      perExposure: particlesPerExposure,
+      acquisitionRate,
+      lagMs: byKey.extract.lag_ms,
+      drainRate: byKey.extract.rate_per_hour !== null && particlesPerExposure !== null
+        ? byKey.extract.rate_per_hour * particlesPerExposure
+        : null,
+      now,
+    });
+  }
+
+  return {
+    generated_at: new Date(now),
+    acquisition: {
+      movies_found: moviesFound,
+      rate_per_hour: acquisitionRate,
+      last_exposure_at: acquired.length ? new Date(acquired[acquired.length - 1].t) : null,
+    },
+    stages: stages.map(({ lag_ms: _lagMs, ...s }) => s),
+    backlog: byKey.extract.backlog,
+    max_lag_minutes: slowest.lag_minutes,
+    slowest_stage: slowest.lag_ms > 0 ? slowest.stage : null,
+    lag_threshold_minutes: maxLagMinutes,
+    behind: !existingData && slowest.lag_ms > maxLagMinutes * MINUTE_MS,
+    yield: {
+      good_fraction: goodFraction,
+      particles_per_micrograph: particlesPerMicrograph,
+    },
+    targets,
+  };
+};
+
+/**
+ * Acquisition time of the newest of a batch of exposures (file mtime).
+ * Falls back to now for files that cannot be read.
+ * @param {string[]} files
+ * @returns {Promise<Date>}
+ */
+const latestExposureTime = async (files) => {
+  let latest = 0;
+  for (const file of files) {
+    try {
+      const stat = await fs.promises.stat(file);
+      latest = Math.max(latest, stat.mtimeMs);
+    } catch {
+      // Moved or deleted since detection
+    }
+  }
+  return latest > 0 ? new Date(latest) : new Date();
+};
+
+module.exports = {
+  FORECAST_STAGES,
+  ratePerHour,
+  buildForecast,
+  latestExposureTime
+};
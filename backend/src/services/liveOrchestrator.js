@@ -7,7 +7,7 @@
  *  - SLURM monitor events (job completions)
  *  - Triggers next pipeline stage when previous completes
  *
- * Pipeline: Import -> MotionCorr -> CTF -> [QualityFilter] -> AutoPick -> Extract -> Class2D -> [AutoSelect] -> [InitialModel]
+ * Pipeline: Import -> MotionCorr -> CTF -> [QualityFilter] -> AutoPick -> Extract -> Class2D -> [AutoSelect] -> [InitialModel] -> [Refine3D]
  *
  * RELION processes batches via STAR files. On each "pass":
  *  1. Re-run Import (picks up new movies from watch directory)
@@ -28,6 +28,16 @@ const { getProjectPath } = require('../utils/pathUtils');
 const { JOB_STATUS } = require('../config/constants');
 const { getLiveWatcher } = require('./liveWatcher');
 const { mapKeys } = require('../utils/mapKeys');
+const { extractResolutionFromStar } = require('../utils/pipelineMetadata');
+const { evaluateCondition, rulesFromThresholds, usesField } = require('../utils/qualityRules');
+const { getSessionSources, assignOpticsGroups } = require('../utils/liveSources');
+const { groupByBeamShift } = require('../utils/opticsGroups');
+const { getSmartScopeCallbacks } = require('./smartscopeCallbacks');
+const { generateSessionReport } = require('./liveSessionReport');
+const { buildForecast, latestExposureTime } = require('./liveForecast');
+const { GUARDRAIL_CHECKS, detectExposureAnomalies, detectSilence } = require('../utils/liveGuardrails');
+const { notifyAnomalies } = require('./liveAlertNotifier');
+const { publishEvent } = require('./eventWebhookService');
 
 // Import builders directly to avoid circular dependency with job registry
 const ImportJobBuilder = require('./importBuilder');
@@ -38,6 +48,7 @@ const ExtractBuilder = require('./extractBuilder');
 const Class2DBuilder = require('./class2dBuilder');
 const SubsetBuilder = require('./subsetBuilder');
 const InitialModelBuilder = require('./initialModelBuilder');
+const AutoRefineBuilder = require('./autoRefineBuilder');
 
 /**
  * Format milliseconds into a human-readable duration string.
@@ -55,6 +66,22 @@ function formatDuration(ms) {
   return `${hours}h ${remainMin}m`;
 }
 
+/**
+ * Plain object of a Mongoose document (lean results pass through).
+ */
+function plain(doc) {
+  return doc?.toObject ? doc.toObject() : doc;
+}
+
+// Coordinate file AutoPick writes per micrograph
+const COORDINATES_SUFFIX = '_autopick.star';
+
+// How often running watch-mode sessions are checked for a silent watch directory
+const SILENCE_CHECK_INTERVAL_MS = 60 * 1000;
+
+// Guardrail checks evaluated on CTF results (the rest run on a timer)
+const EXPOSURE_CHECKS = Object.keys(GUARDRAIL_CHECKS).filter(type => type !== 'watch_silent');
+
 // Pipeline stage order
 const PIPELINE_STAGES = [
   { key: 'import', type: 'Import', jobField: 'import_id', builder: ImportJobBuilder },
@@ -67,8 +94,9 @@ const PIPELINE_STAGES = [
 class LiveOrchestrator extends EventEmitter {
   constructor() {
     super();
-    this.activeSessions = new Map();  // sessionId -> { running, stageRunning: {}, stagePending: {} }
+    this.activeSessions = new Map();  // sessionId -> { running, stageRunning: {}, stagePending: {}, lastFileAt }
     this._initialized = false;
+    this._silenceTimer = null;
   }
 
   /**
@@ -88,6 +116,11 @@ class LiveOrchestrator extends EventEmitter {
     watcher.on('noFiles', (data) => this._onNoFiles(data));
     watcher.on('error', (data) => this._onWatcherError(data));
 
+    this._silenceTimer = setInterval(() => {
+      this._checkSilentSessions().catch(err => logger.warn(`[LiveOrchestrator] Silence check failed: ${err.message}`));
+    }, SILENCE_CHECK_INTERVAL_MS);
+    this._silenceTimer.unref();
+
     this._initialized = true;
     logger.info('[LiveOrchestrator] Initialized');
   }
@@ -126,6 +159,12 @@ class LiveOrchestrator extends EventEmitter {
       logger.info(`[LiveOrchestrator] Created Movies/ directory: ${moviesDir}`);
     }
 
+    // Multi-source sessions keep each source's movies in Movies/<subdir>/
+    const sources = getSessionSources(session);
+    for (const source of sources) {
+      if (source.subdir) fs.mkdirSync(path.join(moviesDir, source.subdir), { recursive: true });
+    }
+
     // Mark as running
     await LiveSession.findOneAndUpdate(
       { id: sessionId },
@@ -136,7 +175,7 @@ class LiveOrchestrator extends EventEmitter {
       }
     );
 
-    const stageFlags = () => ({ import: false, motion: false, ctf: false, pick: false, extract: false, class2d: false, select: false, inimodel: false });
+    const stageFlags = () => ({ import: false, motion: false, ctf: false, pick: false, extract: false, class2d: false, select: false, inimodel: false, refine3d: false });
     this.activeSessions.set(sessionId, {
       running: true,
       stageRunning: stageFlags(),
@@ -151,13 +190,15 @@ class LiveOrchestrator extends EventEmitter {
         watchDirectory: session.watch_directory,
         filePattern: session.file_pattern,
         pixelSize: session.optics?.pixel_size,
+        sources: sources.length > 1
+          ? sources.map(s => ({ directory: s.watch_directory, filePattern: s.file_pattern, opticsGroup: s.optics.optics_group_name }))
+          : undefined,
         enabledStages: this._getEnabledStageNames(session)
       }
     });
 
     // Start file watcher
-    const watcher = getLiveWatcher();
-    watcher.start(sessionId, session.watch_directory, session.file_pattern, session.input_mode);
+    this._startWatcher(session);
 
     // Broadcast via WebSocket
     this._broadcast(session.project_id, sessionId, 'session_started', {
@@ -198,13 +239,16 @@ class LiveOrchestrator extends EventEmitter {
       return;
     }
 
-    // Check if there's actually work for this stage (upstream count > this stage's count)
-    if (!this._hasWorkForStage(session, stageKey)) {
+    // Check if there's actually work for this stage (upstream count > this stage's count).
+    // Stages forced by re-applied quality rules run regardless.
+    const forced = sessionState.forceStages?.has(stageKey);
+    if (!forced && !this._hasWorkForStage(session, stageKey)) {
       logger.debug(`[LiveOrchestrator] No new work for stage ${stageKey}, skipping`);
       return;
     }
 
     // Submit the stage
+    sessionState.forceStages?.delete(stageKey);
     sessionState.stageRunning[stageKey] = true;
     try {
       await this._submitStage(sessionId, stageKey);
@@ -514,7 +558,8 @@ class LiveOrchestrator extends EventEmitter {
         { 'jobs.extract_id': jobId },
         { 'jobs.class2d_ids': jobId },
         { 'jobs.select_ids': jobId },
-        { 'jobs.inimodel_ids': jobId }
+        { 'jobs.inimodel_ids': jobId },
+        { 'jobs.refine3d_ids': jobId }
       ]
     }).lean();
 
@@ -551,6 +596,31 @@ class LiveOrchestrator extends EventEmitter {
 
     // Update processing counters
     await this._updateCounters(sessionId, stageKey, job);
+    if (stageKey === 'extract') {
+      await this._recordPass(sessionId);
+    }
+    if (PIPELINE_STAGES.some(stage => stage.key === stageKey)) {
+      await this._checkProcessingLag(sessionId);
+    }
+
+    // Import writes one optics group; split multi-source movies into theirs
+    // before MotionCorr reads movies.star (also when pausing after Import)
+    if (stageKey === 'import') {
+      try {
+        await this._assignOpticsGroups(sessionId, job);
+        await this._assignBeamShiftGroups(sessionId, job);
+      } catch (err) {
+        logger.warn(`[LiveOrchestrator] Optics group assignment failed (continuing): ${err.message}`);
+      }
+    }
+
+    // Push the batch's CTF/motion results to the session's callback URL
+    // (SmartScope). Runs in the background; retries must not hold up the pipeline.
+    if (stageKey === 'ctf' && session.callback?.url) {
+      getSmartScopeCallbacks().notifyBatch(sessionId).catch(err => {
+        logger.warn(`[LiveOrchestrator] Result callback failed: ${err.message}`);
+      });
+    }
 
     const durationMs = (job.start_time && job.end_time)
       ? new Date(job.end_time).getTime() - new Date(job.start_time).getTime()
@@ -573,7 +643,7 @@ class LiveOrchestrator extends EventEmitter {
       stage: job.job_type, jobName: job.job_name, state: session.state
     }, 'success');
 
-    // Class2D, Select, InitialModel are not in PIPELINE_STAGES - handle separately
+    // Class2D, Select, InitialModel, Refine3D are not in PIPELINE_STAGES - handle separately
     if (stageKey === 'class2d') {
       logger.info(`[LiveOrchestrator] Class2D completed: ${job.job_name} | session: ${session.session_name}`);
       // Don't cascade if session is paused — record resume point
@@ -595,6 +665,10 @@ class LiveOrchestrator extends EventEmitter {
         logger.info(`[LiveOrchestrator] Session paused — not cascading after AutoSelect`);
         return;
       }
+      // Cascade: Select → 3D Refine on the grown particle set (once a model exists)
+      if (session.refine3d_config?.enabled) {
+        await this._checkRefine3D(sessionId);
+      }
       // Cascade: Select → 3D Initial Model
       if (session.inimodel_config?.enabled) {
         await this._submitInitialModel(sessionId, job.id);
@@ -605,6 +679,22 @@ class LiveOrchestrator extends EventEmitter {
     }
     if (stageKey === 'inimodel') {
       logger.info(`[LiveOrchestrator] InitialModel completed: ${job.job_name} | session: ${session.session_name}`);
+      // Cascade: InitialModel → first 3D Refine
+      if (session.refine3d_config?.enabled && session.status !== 'paused') {
+        await this._checkRefine3D(sessionId);
+      }
+      if (session.input_mode === 'existing') {
+        await this._checkExistingModeCompletion(sessionId);
+      }
+      return;
+    }
+    if (stageKey === 'refine3d') {
+      logger.info(`[LiveOrchestrator] Refine3D completed: ${job.job_name} | session: ${session.session_name}`);
+      await this._recordRefinement(sessionId, job);
+      // Particles may have accumulated while this refinement was running
+      if (session.status !== 'paused') {
+        await this._checkRefine3D(sessionId);
+      }
       if (session.input_mode === 'existing') {
         await this._checkExistingModeCompletion(sessionId);
       }
@@ -634,6 +724,16 @@ class LiveOrchestrator extends EventEmitter {
       } catch (filterErr) {
         logger.warn(`[LiveOrchestrator] Quality filter failed (continuing): ${filterErr.message}`);
       }
+      await this._checkExposureGuardrails(sessionId);
+      // An auto-pause stops the cascade here, like a pause by the user
+      const current = await LiveSession.findOne({ id: sessionId }).lean();
+      if (current?.status === 'paused') {
+        await LiveSession.findOneAndUpdate(
+          { id: sessionId },
+          { 'state.current_stage': 'paused_after_ctf', 'state.resume_from': 'pick' }
+        );
+        return;
+      }
     }
 
     // === CASCADE: Trigger downstream stage ===
@@ -719,11 +819,12 @@ class LiveOrchestrator extends EventEmitter {
 
     if (!allCaughtUp) return;
 
-    // Check for running/pending Class2D, Select, or InitialModel
+    // Check for running/pending Class2D, Select, InitialModel or Refine3D
     const downstreamIds = [
       ...(session.jobs?.class2d_ids || []),
       ...(session.jobs?.select_ids || []),
-      ...(session.jobs?.inimodel_ids || [])
+      ...(session.jobs?.inimodel_ids || []),
+      ...(session.jobs?.refine3d_ids || [])
     ];
     if (downstreamIds.length > 0) {
       const runningDownstream = await Job.countDocuments({
@@ -749,6 +850,7 @@ class LiveOrchestrator extends EventEmitter {
 
     const sessionState = this.activeSessions.get(sessionId);
     if (!sessionState || !sessionState.running) return;
+    sessionState.lastFileAt = Date.now();
 
     const session = await LiveSession.findOne({ id: sessionId });
     if (!session || session.status !== 'running') return;
@@ -756,9 +858,15 @@ class LiveOrchestrator extends EventEmitter {
     // Use atomic $max to prevent race conditions where concurrent _onNewFiles
     // calls could overwrite a higher count with a lower one
     const totalFound = getLiveWatcher().getFileCount(sessionId);
+    // Existing data was acquired long before the session: its file times
+    // would read as hours of processing lag, so use the detection time
+    const exposedAt = session.input_mode === 'existing' ? new Date() : await latestExposureTime(files);
     await LiveSession.findOneAndUpdate(
       { id: sessionId },
-      { $max: { 'state.movies_found': totalFound } }
+      {
+        $max: { 'state.movies_found': totalFound },
+        $push: { acquisition_history: { $each: [{ at: exposedAt, movies_found: totalFound }], $slice: -2000 } }
+      }
     );
 
     logger.info(`[LiveOrchestrator] ${count} new files detected (total: ${totalFound}) | session: ${session.session_name}`);
@@ -772,6 +880,11 @@ class LiveOrchestrator extends EventEmitter {
     });
 
     this._broadcast(session.project_id, sessionId, 'new_files_detected', { count, total: totalFound });
+    // A stalled stage completes nothing, so the lag is also checked as movies arrive
+    await this._checkProcessingLag(sessionId);
+    if (session.anomalies?.some(a => a.type === 'watch_silent')) {
+      await this._checkSilence(sessionId);
+    }
 
     // Release the next batch of files into Movies/ via per-file symlinks.
     // For 'existing' mode: release ALL files at once (watcher fires once, no batching).
@@ -968,7 +1081,7 @@ class LiveOrchestrator extends EventEmitter {
    * Pause a live session
    * @param {string} sessionId
    */
-  async pauseSession(sessionId) {
+  async pauseSession(sessionId, reason = null) {
     const sessionState = this.activeSessions.get(sessionId);
     if (sessionState) {
       sessionState.running = false;
@@ -981,11 +1094,11 @@ class LiveOrchestrator extends EventEmitter {
 
     const session = await LiveSession.findOne({ id: sessionId });
     if (session) {
-      await session.addActivity('session_paused', 'Session paused by user', {
+      await session.addActivity('session_paused', reason ? `Session paused automatically: ${reason}` : 'Session paused by user', {
         level: 'warning',
-        context: { currentStage: session.state?.current_stage }
+        context: { currentStage: session.state?.current_stage, reason }
       });
-      this._broadcast(session.project_id, sessionId, 'session_paused', {}, 'warning');
+      this._broadcast(session.project_id, sessionId, 'session_paused', { reason }, 'warning');
     }
 
     logger.info(`[LiveOrchestrator] Session ${sessionId} paused`);
@@ -1004,7 +1117,7 @@ class LiveOrchestrator extends EventEmitter {
       { status: 'running' }
     );
 
-    const stageFlags = () => ({ import: false, motion: false, ctf: false, pick: false, extract: false, class2d: false, select: false, inimodel: false });
+    const stageFlags = () => ({ import: false, motion: false, ctf: false, pick: false, extract: false, class2d: false, select: false, inimodel: false, refine3d: false });
     let sessionState = this.activeSessions.get(sessionId);
     if (!sessionState) {
       sessionState = { running: true, stageRunning: stageFlags(), stagePending: stageFlags() };
@@ -1014,12 +1127,14 @@ class LiveOrchestrator extends EventEmitter {
       sessionState.stageRunning = stageFlags();
       sessionState.stagePending = stageFlags();
     }
+    // The silent-watch-directory check counts from the resume
+    sessionState.lastFileAt = null;
 
     // Restart watcher if not already running (only for watch mode)
     if (session.input_mode === 'watch') {
       const watcher = getLiveWatcher();
       if (!watcher.isWatching(sessionId)) {
-        watcher.start(sessionId, session.watch_directory, session.file_pattern, session.input_mode);
+        this._startWatcher(session);
       }
 
       // Sync movies_found from watcher — files may have arrived during pause
@@ -1095,7 +1210,8 @@ class LiveOrchestrator extends EventEmitter {
         session.jobs.pick_id, session.jobs.extract_id,
         ...(session.jobs.class2d_ids || []),
         ...(session.jobs.select_ids || []),
-        ...(session.jobs.inimodel_ids || [])
+        ...(session.jobs.inimodel_ids || []),
+        ...(session.jobs.refine3d_ids || [])
       ].filter(Boolean);
 
       if (jobIds.length > 0) {
@@ -1158,7 +1274,8 @@ class LiveOrchestrator extends EventEmitter {
         session.jobs?.pick_id, session.jobs?.extract_id,
         ...(session.jobs?.class2d_ids || []),
         ...(session.jobs?.select_ids || []),
-        ...(session.jobs?.inimodel_ids || [])
+        ...(session.jobs?.inimodel_ids || []),
+        ...(session.jobs?.refine3d_ids || [])
       ].filter(Boolean);
       if (jobIds.length > 0) {
         const cancelledDocs = await Job.find({
@@ -1185,6 +1302,7 @@ class LiveOrchestrator extends EventEmitter {
         }
       });
       this._broadcast(session.project_id, sessionId, 'session_stopped', {}, 'warning');
+      this._generateReport(sessionId);
     }
 
     logger.info(`[LiveOrchestrator] Session ${sessionId} stopped`);
@@ -1273,6 +1391,7 @@ class LiveOrchestrator extends EventEmitter {
       case 'class2d': return !!session.class2d_config?.enabled;
       case 'select': return !!session.auto_select_config?.enabled;
       case 'inimodel': return !!session.inimodel_config?.enabled;
+      case 'refine3d': return !!session.refine3d_config?.enabled;
       default: return true;
     }
   }
@@ -1291,11 +1410,14 @@ class LiveOrchestrator extends EventEmitter {
     const common = { projectId: session.project_id, submitToQueue: 'Yes' };
 
     switch (stageKey) {
-      case 'import':
+      case 'import': {
+        // Multi-source movies sit in Movies/<subdir>/ and are re-grouped by
+        // optics after Import (see _assignOpticsGroups)
+        const multiSource = getSessionSources(session).length > 1;
         return {
           ...common,
           // Use relative symlink path (RELION requires relative import paths)
-          inputFiles: `Movies/${session.file_pattern}`,
+          inputFiles: multiSource ? 'Movies/*/*' : `Movies/${session.file_pattern}`,
           rawMovies: 'Yes',
           multiFrameMovies: 'Yes',
           angpix: optics.pixel_size,
@@ -1304,6 +1426,7 @@ class LiveOrchestrator extends EventEmitter {
           amplitudeContrast: optics.amplitude_contrast,
           opticsGroupName: optics.optics_group_name || 'opticsGroup1'
         };
+      }
 
       case 'motion': {
         const mc = session.motion_config;
@@ -1355,14 +1478,7 @@ class LiveOrchestrator extends EventEmitter {
       case 'pick': {
         const pick = session.picking_config;
         const ctfJobName = await this._getJobName(session, 'ctf_id');
-        // Use quality-filtered STAR file if it exists, otherwise fall back to unfiltered
-        let ctfStarFile = 'micrographs_ctf.star';
-        if (ctfJobName) {
-          const filteredPath = path.join(projectPath, `CtfFind/${ctfJobName}/micrographs_ctf_filtered.star`);
-          if (fs.existsSync(filteredPath)) {
-            ctfStarFile = 'micrographs_ctf_filtered.star';
-          }
-        }
+        const ctfStarFile = this._getCtfStarFile(projectPath, ctfJobName);
         const isLoG = (pick.method || 'LoG') === 'LoG';
         return {
           ...common,
@@ -1382,9 +1498,11 @@ class LiveOrchestrator extends EventEmitter {
         const ext = session.extraction_config;
         const ctfJobName = await this._getJobName(session, 'ctf_id');
         const pickJobName = await this._getJobName(session, 'pick_id');
+        // Filtered list too, so micrographs rejected retroactively drop out of particles.star
+        const ctfStarFile = this._getCtfStarFile(projectPath, ctfJobName);
         return {
           ...common,
-          micrographStarFile: ctfJobName ? `CtfFind/${ctfJobName}/micrographs_ctf.star` : null,
+          micrographStarFile: ctfJobName ? `CtfFind/${ctfJobName}/${ctfStarFile}` : null,
           inputCoordinates: pickJobName ? `AutoPick/${pickJobName}/autopick.star` : null,
           particleBoxSize: ext.box_size || 256,
           rescaleParticles: ext.rescale ? 'Yes' : 'No',
@@ -1418,7 +1536,7 @@ class LiveOrchestrator extends EventEmitter {
 
     return {
       queuename: cfg.queue || null,
-      queueSubmitCommand: 'sbatch',
+      queueSubmitCommand: null,  // scheduler default
       mpiProcs,
       threads: cfg.threads || 4,
       gres: gpuCount
@@ -1436,6 +1554,7 @@ class LiveOrchestrator extends EventEmitter {
    *  - pick:    4  (each MPI rank picks on different micrographs)
    *  - extract: 4  (each MPI rank extracts from different micrographs)
    *  - class2d: 1 (RELION 5 VDAM/gradient does NOT support MPI)
+   *  - refine3d: 3 (leader + one rank per random half-set)
    */
   _getMpiProcs(session, stageKey) {
     const userMpi = session.slurm_config?.mpi_procs || 1;
@@ -1445,7 +1564,7 @@ class LiveOrchestrator extends EventEmitter {
 
     // Auto MPI defaults for live processing stages
     // These stages process independent micrographs in parallel
-    const autoMpiStages = { motion: 4, ctf: 4, pick: 4, extract: 4 };
+    const autoMpiStages = { motion: 4, ctf: 4, pick: 4, extract: 4, refine3d: 3 };
     return autoMpiStages[stageKey] || 1;
   }
 
@@ -1500,6 +1619,21 @@ class LiveOrchestrator extends EventEmitter {
     return job?.job_name || null;
   }
 
+  /**
+   * CTF output read by Pick and Extract: the quality-filtered STAR file if it
+   * exists, otherwise the unfiltered one.
+   * @returns {string} File name inside the CtfFind job directory
+   */
+  _getCtfStarFile(projectPath, ctfJobName) {
+    if (ctfJobName) {
+      const filteredPath = path.join(projectPath, `CtfFind/${ctfJobName}/micrographs_ctf_filtered.star`);
+      if (fs.existsSync(filteredPath)) {
+        return 'micrographs_ctf_filtered.star';
+      }
+    }
+    return 'micrographs_ctf.star';
+  }
+
   /**
    * Determine which stage key a job ID belongs to
    */
@@ -1512,6 +1646,7 @@ class LiveOrchestrator extends EventEmitter {
     if (session.jobs.class2d_ids?.includes(jobId)) return 'class2d';
     if (session.jobs.select_ids?.includes(jobId)) return 'select';
     if (session.jobs.inimodel_ids?.includes(jobId)) return 'inimodel';
+    if (session.jobs.refine3d_ids?.includes(jobId)) return 'refine3d';
     return null;
   }
 
@@ -1741,7 +1876,7 @@ class LiveOrchestrator extends EventEmitter {
 
     const slurmParams = {
       queuename: session.slurm_config?.queue || null,
-      queueSubmitCommand: 'sbatch',
+      queueSubmitCommand: null,  // scheduler default
       mpiProcs: class2dMpi,
       threads: session.slurm_config?.threads || 4,
       gres: session.slurm_config?.gpu_count || 1  // Always request GPU for Class2D
@@ -1776,10 +1911,94 @@ class LiveOrchestrator extends EventEmitter {
     return true;
   }
 
+  /**
+   * Start the file watcher on every source of a session
+   * @param {Object} session - LiveSession document
+   */
+  _startWatcher(session) {
+    const sources = getSessionSources(session).map(s => ({
+      directory: s.watch_directory,
+      pattern: s.file_pattern
+    }));
+    getLiveWatcher().start(session.id, sources, null, session.input_mode);
+  }
+
+  /**
+   * Give every imported movie of a multi-source session its source's optics
+   * group. Rewrites the Import job's movies.star in place (one data_optics row
+   * per group); single-source sessions keep what Import wrote.
+   * This is inline Node.js processing, NOT a RELION job.
+   * @param {string} sessionId
+   * @param {Object} job - Completed Import job
+   * @returns {Promise<Object|null>} Movie count per optics group, or null if nothing changed
+   */
+  async _assignOpticsGroups(sessionId, job) {
+    const session = await LiveSession.findOne({ id: sessionId }).lean();
+    if (!session) return null;
+
+    const sources = getSessionSources(session);
+    if (sources.length < 2 || !job.output_file_path) return null;
+
+    const project = await Project.findOne({ id: session.project_id });
+    if (!project) return null;
+
+    const outputDir = path.isAbsolute(job.output_file_path)
+      ? job.output_file_path
+      : path.join(getProjectPath(project), job.output_file_path);
+    const starPath = path.join(outputDir, 'movies.star');
+    if (!fs.existsSync(starPath)) {
+      logger.warn(`[LiveOrchestrator] Import STAR file not found: ${starPath}`);
+      return null;
+    }
+
+    const original = await fs.promises.readFile(starPath, 'utf-8');
+    const { content, counts } = assignOpticsGroups(original, sources);
+    await fs.promises.writeFile(starPath, content);
+
+    logger.info(`[LiveOrchestrator] Optics groups assigned: ${Object.entries(counts).map(([name, n]) => `${name}=${n}`).join(', ')} | session: ${session.session_name}`);
+    return counts;
+  }
+
+  /**
+   * Split the imported movies' optics groups by EPU beam shift, when the
+   * session asks for it (optics.beam_shift_groups > 1). Runs after
+   * _assignOpticsGroups, so each source's group is split on its own.
+   * Import re-imports every movie so far, so the whole session is
+   * re-clustered on each pass.
+   * @param {string} sessionId
+   * @param {Object} job - Completed Import job
+   * @returns {Promise<Object|null>} { groups, missing }, or null if nothing changed
+   */
+  async _assignBeamShiftGroups(sessionId, job) {
+    const session = await LiveSession.findOne({ id: sessionId }).lean();
+    const groupCount = session?.optics?.beam_shift_groups || 0;
+    if (groupCount < 2 || !job.output_file_path) return null;
+
+    const project = await Project.findOne({ id: session.project_id });
+    if (!project) return null;
+
+    const projectPath = getProjectPath(project);
+    const outputDir = path.isAbsolute(job.output_file_path)
+      ? job.output_file_path
+      : path.join(projectPath, job.output_file_path);
+    const starPath = path.join(outputDir, 'movies.star');
+    if (!fs.existsSync(starPath)) {
+      logger.warn(`[LiveOrchestrator] Import STAR file not found: ${starPath}`);
+      return null;
+    }
+
+    const result = await groupByBeamShift(starPath, projectPath, groupCount);
+    if (result) {
+      logger.info(`[LiveOrchestrator] Beam-shift optics groups: ${result.groups.length} | session: ${session.session_name}`);
+    }
+    return result;
+  }
+
   /**
    * Release the next batch of movie files into the Movies/ directory.
    * Creates per-file symlinks from the watch directory into Movies/ so that
-   * RELION Import only sees batch_size files at a time.
+   * RELION Import only sees batch_size files at a time. Multi-source sessions
+   * link each movie into its source's Movies/<subdir>/.
    * @param {string} sessionId
    * @returns {Promise<number>} Number of NEW files released (0 = nothing to release)
    */
@@ -1800,16 +2019,21 @@ class LiveOrchestrator extends EventEmitter {
     const allFiles = watcher.getKnownFiles(sessionId);
     if (allFiles.length === 0) return 0;
 
-    // Count files already symlinked into Movies/
+    const sources = getSessionSources(session);
+    const subdirs = sources.map(s => s.subdir).filter(Boolean);
+
+    // Count files already symlinked into Movies/ (paths relative to Movies/)
     let existingCount = 0;
     const existingNames = new Set();
-    try {
-      const entries = fs.readdirSync(moviesDir);
-      for (const entry of entries) {
-        existingNames.add(entry);
-        existingCount++;
-      }
-    } catch (e) { /* dir might not exist */ }
+    for (const subdir of subdirs.length > 0 ? subdirs : ['']) {
+      try {
+        const entries = fs.readdirSync(path.join(moviesDir, subdir));
+        for (const entry of entries) {
+          existingNames.add(path.join(subdir, entry));
+          existingCount++;
+        }
+      } catch (e) { /* dir might not exist */ }
+    }
 
     // Calculate how many to release
     const toRelease = Math.min(limit, allFiles.length - existingCount);
@@ -1818,17 +2042,19 @@ class LiveOrchestrator extends EventEmitter {
     // Symlink next batch of files
     let released = 0;
     for (const filePath of allFiles) {
-      const basename = path.basename(filePath);
-      if (existingNames.has(basename)) continue;
+      const subdir = sources[watcher.getFileSource(sessionId, filePath)]?.subdir || '';
+      const relName = path.join(subdir, path.basename(filePath));
+      if (existingNames.has(relName)) continue;
 
-      const symlinkDest = path.join(moviesDir, basename);
+      const symlinkDest = path.join(moviesDir, relName);
       try {
+        if (subdir) fs.mkdirSync(path.dirname(symlinkDest), { recursive: true });
         fs.symlinkSync(filePath, symlinkDest);
         released++;
         if (released >= toRelease) break;
       } catch (e) {
         if (e.code !== 'EEXIST') {
-          logger.warn(`[LiveOrchestrator] Failed to symlink ${basename}: ${e.message}`);
+          logger.warn(`[LiveOrchestrator] Failed to symlink ${relName}: ${e.message}`);
         }
       }
     }
@@ -1841,39 +2067,56 @@ class LiveOrchestrator extends EventEmitter {
 
   /**
    * Apply quality filtering after CTF estimation.
-   * Reads micrographs_ctf.star, filters out micrographs with bad CTF resolution
-   * or excessive motion, writes micrographs_ctf_filtered.star.
+   * Reads micrographs_ctf.star, evaluates the session's quality rules (and the
+   * legacy thresholds) on every micrograph, writes micrographs_ctf_filtered.star.
+   * micrographs_ctf.star holds every exposure of every pass so far, so each run
+   * re-judges all of them with the current rules.
    * This is inline Node.js processing, NOT a RELION job.
+   * @param {string} sessionId
+   * @returns {Promise<Object|null>} { evaluated, passed, rejected, rules }, or null if nothing was filtered
    */
   async _applyQualityFilter(sessionId) {
     const session = await LiveSession.findOne({ id: sessionId });
-    if (!session) return;
-
-    const thresholds = session.thresholds || {};
-    const maxRes = thresholds.ctf_resolution_max;
-    const maxMotion = thresholds.total_motion_max;
-
-    // Skip if no thresholds configured
-    if (!maxRes && !maxMotion) {
-      logger.debug('[LiveOrchestrator] No quality thresholds set, skipping filter');
-      return;
-    }
+    if (!session) return null;
 
     const ctfJobName = await this._getJobName(session, 'ctf_id');
-    if (!ctfJobName) return;
+    if (!ctfJobName) return null;
 
     const project = await Project.findOne({ id: session.project_id });
-    if (!project) return;
+    if (!project) return null;
 
     const projectPath = getProjectPath(project);
     const ctfStarPath = path.join(projectPath, `CtfFind/${ctfJobName}/micrographs_ctf.star`);
     const filteredPath = path.join(projectPath, `CtfFind/${ctfJobName}/micrographs_ctf_filtered.star`);
 
+    const rules = [
+      ...rulesFromThresholds(session.thresholds || {}),
+      ...(session.quality_rules || []).map(r => (r.toObject ? r.toObject() : r))
+    ].filter(r => r.enabled !== false);
+
+    // Skip if no rules configured; drop a stale selection so Pick sees every micrograph again
+    if (rules.length === 0) {
+      logger.debug('[LiveOrchestrator] No quality rules set, skipping filter');
+      if (fs.existsSync(filteredPath)) {
+        await fs.promises.unlink(filteredPath);
+        await LiveSession.findOneAndUpdate({ id: sessionId }, {
+          'state.movies_filtered': 0,
+          'state.movies_rejected': 0,
+          quality_stats: { evaluated: 0, passed: 0, rejected: 0, rules: [], applied_at: new Date() }
+        });
+      }
+      return null;
+    }
+
     if (!fs.existsSync(ctfStarPath)) {
       logger.warn(`[LiveOrchestrator] CTF STAR file not found: ${ctfStarPath}`);
-      return;
+      return null;
     }
 
+    const particleCounts = usesField(rules, 'particleCount')
+      ? await this._getPickedParticleCounts(session, projectPath)
+      : null;
+
     // Read and filter the STAR file preserving RELION 5 multi-block format.
     // RELION 5 STAR files contain multiple data blocks (e.g., data_optics + data_micrographs).
     // We copy all blocks verbatim and only filter data rows in the micrographs block.
@@ -1884,12 +2127,11 @@ class LiveOrchestrator extends EventEmitter {
     let currentBlock = '';
     let inLoop = false;
     let pastColumnDefs = false;
-    let resIdx = -1;
-    let motIdx = -1;
-    let nameIdx = -1;
+    let columns = [];
     let totalMicrographs = 0;
     let filteredCount = 0;
     const rejectedNames = [];
+    const ruleRejects = new Map(rules.map(r => [r.id, 0]));
 
     for (const line of lines) {
       const trimmed = line.trim();
@@ -1899,8 +2141,7 @@ class LiveOrchestrator extends EventEmitter {
         currentBlock = trimmed;
         inLoop = false;
         pastColumnDefs = false;
-        resIdx = -1;
-        motIdx = -1;
+        columns = [];
         outputLines.push(line);
         continue;
       }
@@ -1918,10 +2159,7 @@ class LiveOrchestrator extends EventEmitter {
         const parts = trimmed.split(/\s+/);
         const colIdxMatch = parts[1]?.match(/#(\d+)/);
         if (colIdxMatch) {
-          const idx = parseInt(colIdxMatch[1], 10) - 1;
-          if (parts[0] === '_rlnCtfMaxResolution') resIdx = idx;
-          if (parts[0] === '_rlnAccumMotionTotal') motIdx = idx;
-          if (parts[0] === '_rlnMicrographName') nameIdx = idx;
+          columns[parseInt(colIdxMatch[1], 10) - 1] = parts[0];
         }
         outputLines.push(line);
         continue;
@@ -1935,30 +2173,22 @@ class LiveOrchestrator extends EventEmitter {
         if (isMicrographsBlock) {
           totalMicrographs++;
           const values = trimmed.split(/\s+/);
-          let pass = true;
-          const reasons = [];
-          if (maxRes && resIdx >= 0 && resIdx < values.length) {
-            const resVal = parseFloat(values[resIdx]);
-            if (!isNaN(resVal) && resVal > maxRes) {
-              pass = false;
-              reasons.push(`CTF ${resVal.toFixed(1)}Å > ${maxRes}Å`);
-            }
-          }
-          if (maxMotion && motIdx >= 0 && motIdx < values.length) {
-            const motVal = parseFloat(values[motIdx]);
-            if (!isNaN(motVal) && motVal > maxMotion) {
-              pass = false;
-              reasons.push(`motion ${motVal.toFixed(1)}Å > ${maxMotion}Å`);
-            }
+          const row = {};
+          columns.forEach((col, i) => { if (col) row[col] = values[i]; });
+          const name = row._rlnMicrographName
+            ? path.basename(row._rlnMicrographName)
+            : `row${totalMicrographs}`;
+          if (particleCounts) {
+            row.particleCount = particleCounts.get(name);
           }
-          if (pass) {
+
+          const failed = rules.filter(rule => !evaluateCondition(rule.condition, row));
+          if (failed.length === 0) {
             filteredCount++;
             outputLines.push(line);
           } else {
-            const name = (nameIdx >= 0 && nameIdx < values.length)
-              ? path.basename(values[nameIdx])
-              : `row${totalMicrographs}`;
-            rejectedNames.push(`${name} (${reasons.join(', ')})`);
+            failed.forEach(rule => ruleRejects.set(rule.id, ruleRejects.get(rule.id) + 1));
+            rejectedNames.push(`${name} (${failed.map(r => r.name).join(', ')})`);
           }
         } else {
           // Non-micrographs block (e.g., optics) — pass through unchanged
@@ -1975,10 +2205,18 @@ class LiveOrchestrator extends EventEmitter {
 
     const rejected = totalMicrographs - filteredCount;
     const filtered = filteredCount;
+    const ruleCounts = rules.map(r => ({ rule_id: r.id, name: r.name, rejected: ruleRejects.get(r.id) }));
 
     await LiveSession.findOneAndUpdate({ id: sessionId }, {
       'state.movies_filtered': filtered,
       'state.movies_rejected': rejected,
+      quality_stats: {
+        evaluated: totalMicrographs,
+        passed: filtered,
+        rejected,
+        rules: ruleCounts,
+        applied_at: new Date()
+      }
     });
 
     // Log rejected micrographs (cap at 20 to avoid huge activity entries)
@@ -1987,12 +2225,12 @@ class LiveOrchestrator extends EventEmitter {
       total: totalMicrographs,
       passed: filtered,
       rejected,
-      thresholds: { ctf_resolution_max: maxRes, total_motion_max: maxMotion },
+      rules: ruleCounts,
       rejectedMicrographs: rejectedSample,
     };
 
     if (filtered === 0 && totalMicrographs > 0) {
-      await session.addActivity('quality_filter', `Quality filter rejected ALL ${totalMicrographs} micrographs — downstream stages will have no input. Consider relaxing thresholds.`, {
+      await session.addActivity('quality_filter', `Quality filter rejected ALL ${totalMicrographs} micrographs — downstream stages will have no input. Consider relaxing the quality rules.`, {
         level: 'error',
         stage: 'QualityFilter',
         context: rejectedContext
@@ -2005,8 +2243,69 @@ class LiveOrchestrator extends EventEmitter {
         context: rejectedContext
       });
     }
+    this._broadcast(session.project_id, sessionId, 'quality_filter', {
+      total: totalMicrographs, passed: filtered, rejected, rules: ruleCounts
+    }, 'info');
 
     logger.info(`[LiveOrchestrator] Quality filter: ${filtered}/${totalMicrographs} passed | session: ${session.session_name}`);
+    return { evaluated: totalMicrographs, passed: filtered, rejected, rules: ruleCounts };
+  }
+
+  /**
+   * Picked particles per micrograph from the session's AutoPick job.
+   * autopick.star lists one coordinate file per picked micrograph. Micrographs
+   * the filter rejected since drop out of it on the next pick, but their
+   * coordinate files stay behind: those keep the count of their last pick, so
+   * a rejected micrograph is not let back in for lack of a count.
+   * @returns {Promise<Map<string, number>>} micrograph basename -> particle count
+   */
+  async _getPickedParticleCounts(session, projectPath) {
+    const counts = new Map();
+    const pickJobName = await this._getJobName(session, 'pick_id');
+    if (!pickJobName) return counts;
+
+    const pickDir = path.join(projectPath, `AutoPick/${pickJobName}`);
+    const autopickStar = path.join(pickDir, 'autopick.star');
+    if (!fs.existsSync(autopickStar)) return counts;
+
+    const { parseStarFile } = require('../utils/starParser');
+    const starData = await parseStarFile(autopickStar);
+    for (const entry of starData.files || []) {
+      if (!entry.rlnMicrographName || !entry.rlnMicrographCoordinates) continue;
+      const coordsPath = path.join(projectPath, entry.rlnMicrographCoordinates);
+      if (!fs.existsSync(coordsPath)) continue;
+      counts.set(path.basename(entry.rlnMicrographName), await this._countStarDataRows(coordsPath));
+    }
+
+    // Earlier picks no longer listed; RELION names them <micrograph>_autopick.star
+    const files = await fs.promises.readdir(pickDir, { recursive: true }).catch(() => []);
+    for (const file of files) {
+      if (!file.endsWith(COORDINATES_SUFFIX)) continue;
+      const name = `${path.basename(file, COORDINATES_SUFFIX)}.mrc`;
+      if (!counts.has(name)) {
+        counts.set(name, await this._countStarDataRows(path.join(pickDir, file)));
+      }
+    }
+    return counts;
+  }
+
+  /**
+   * Re-apply the quality rules to every exposure of every pass so far and
+   * push the new selection through Pick and Extract, without restarting the
+   * session. Paused or finished sessions get the new selection on their next pass.
+   * @param {string} sessionId
+   * @returns {Promise<Object|null>} Filter stats, or null if there was nothing to filter
+   */
+  async reapplyQualityRules(sessionId) {
+    const stats = await this._applyQualityFilter(sessionId);
+
+    const sessionState = this.activeSessions.get(sessionId);
+    if (sessionState?.running) {
+      // Pick/Extract counts are already caught up; force one more run over the new selection
+      sessionState.forceStages = new Set(['pick', 'extract']);
+      await this._triggerStage(sessionId, 'pick');
+    }
+    return stats;
   }
 
   /**
@@ -2272,6 +2571,506 @@ class LiveOrchestrator extends EventEmitter {
     logger.info(`[LiveOrchestrator] InitialModel ${jobName} submitted | session: ${session.session_name}`);
   }
 
+  /**
+   * Submit a 3D auto-refinement if the selected particle set has grown enough.
+   * The first refinement starts as soon as an initial model exists; later ones
+   * wait until the latest auto-select holds refine3d_config.particle_increment
+   * more particles than the previous refinement. Only one runs at a time.
+   * @param {string} sessionId
+   * @returns {Promise<boolean>} true if a refinement was submitted
+   */
+  async _checkRefine3D(sessionId) {
+    // Select, InitialModel and Refine3D completions all land here; a check
+    // that is still submitting is not in refine3d_ids yet, so the job query
+    // alone would let two of them through
+    const sessionState = this.activeSessions.get(sessionId);
+    if (sessionState?.stageRunning.refine3d) {
+      sessionState.stagePending.refine3d = true;
+      return false;
+    }
+    if (sessionState) sessionState.stageRunning.refine3d = true;
+
+    let submitted;
+    try {
+      submitted = await this._submitRefine3DIfDue(sessionId);
+    } finally {
+      if (sessionState) sessionState.stageRunning.refine3d = false;
+    }
+
+    if (sessionState?.stagePending.refine3d) {
+      sessionState.stagePending.refine3d = false;
+      if (!submitted) return this._checkRefine3D(sessionId);
+    }
+    return submitted;
+  }
+
+  /**
+   * The checks of _checkRefine3D, without the guard
+   * @param {string} sessionId
+   * @returns {Promise<boolean>} true if a refinement was submitted
+   */
+  async _submitRefine3DIfDue(sessionId) {
+    const session = await LiveSession.findOne({ id: sessionId }).lean();
+    if (!session || session.status !== 'running') return false;
+
+    const cfg = session.refine3d_config || {};
+    if (!cfg.enabled) return false;
+
+    const refineIds = session.jobs?.refine3d_ids || [];
+    if (refineIds.length > 0) {
+      const active = await Job.countDocuments({
+        id: { $in: refineIds },
+        status: { $in: [JOB_STATUS.PENDING, JOB_STATUS.RUNNING] }
+      });
+      if (active > 0) return false;
+    }
+
+    const selectJob = await this._getLatestSuccessfulJob(session.jobs?.select_ids);
+    if (!selectJob) return false;
+
+    const particlesPath = path.join(selectJob.output_file_path, 'particles.star');
+    if (!fs.existsSync(particlesPath)) return false;
+    const particleCount = await this._countStarDataRows(particlesPath);
+    if (particleCount === 0) return false;
+
+    const increment = cfg.particle_increment || 20000;
+    const lastRefined = session.state?.particles_refined || 0;
+    if (refineIds.length > 0 && particleCount < lastRefined + increment) {
+      logger.debug(`[LiveOrchestrator] Refine3D waiting: ${particleCount}/${lastRefined + increment} particles | session: ${session.session_name}`);
+      return false;
+    }
+
+    const reference = await this._findRefineReference(session);
+    if (!reference) return false;
+
+    await this._submitRefine3D(sessionId, selectJob, reference, particleCount);
+    return true;
+  }
+
+  /**
+   * Latest job in a list of session job IDs that finished successfully
+   * @param {string[]} jobIds - In submission order
+   * @returns {Promise<Object|null>}
+   */
+  async _getLatestSuccessfulJob(jobIds) {
+    if (!jobIds || jobIds.length === 0) return null;
+    const jobs = await Job.find({ id: { $in: jobIds }, status: JOB_STATUS.SUCCESS }).lean();
+    if (jobs.length === 0) return null;
+    const order = new Map(jobIds.map((id, i) => [id, i]));
+    return jobs.reduce((latest, j) => (order.get(j.id) > order.get(latest.id) ? j : latest));
+  }
+
+  /**
+   * Pick the reference map for the next refinement: the previous refinement's
+   * map if there is one, otherwise the latest initial model.
+   * @returns {Promise<{job: Object, file: string}|null>} file is the absolute map path
+   */
+  async _findRefineReference(session) {
+    const refineJob = await this._getLatestSuccessfulJob(session.jobs?.refine3d_ids);
+    if (refineJob) {
+      const refined = path.join(refineJob.output_file_path, 'run_class001.mrc');
+      if (fs.existsSync(refined)) return { job: refineJob, file: refined };
+    }
+
+    const inimodelJob = await this._getLatestSuccessfulJob(session.jobs?.inimodel_ids);
+    if (!inimodelJob) return null;
+
+    const outputDir = inimodelJob.output_file_path;
+    const initialModel = path.join(outputDir, 'initial_model.mrc');
+    if (fs.existsSync(initialModel)) return { job: inimodelJob, file: initialModel };
+
+    // Older RELION versions only write per-iteration maps
+    try {
+      const iterMaps = fs.readdirSync(outputDir)
+        .filter(f => /^run_it\d+_class001\.mrc$/.test(f))
+        .sort();
+      if (iterMaps.length > 0) {
+        return { job: inimodelJob, file: path.join(outputDir, iterMaps[iterMaps.length - 1]) };
+      }
+    } catch (err) {
+      logger.warn(`[LiveOrchestrator] Cannot read initial model output ${outputDir}: ${err.message}`);
+    }
+    return null;
+  }
+
+  /**
+   * Submit 3D auto-refinement (relion_refine --auto_refine) of the selected particles.
+   * @param {string} sessionId
+   * @param {Object} selectJob - Select job whose particles.star is refined
+   * @param {{job: Object, file: string}} reference - Reference map and the job that made it
+   * @param {number} particleCount - Particles in the selection
+   */
+  async _submitRefine3D(sessionId, selectJob, reference, particleCount) {
+    const session = await LiveSession.findOne({ id: sessionId });
+    if (!session) return;
+
+    const cfg = session.refine3d_config || {};
+    const project = await Project.findOne({ id: session.project_id });
+    if (!project) return;
+
+    const projectPath = getProjectPath(project);
+    const selectRelDir = path.relative(projectPath, selectJob.output_file_path);
+    const maskDiameter = cfg.mask_diameter || session.inimodel_config?.mask_diameter || 200;
+    const jobParams = {
+      projectId: session.project_id,
+      submitToQueue: 'Yes',
+      inputStarFile: `${selectRelDir}/particles.star`,
+      referenceMap: path.relative(projectPath, reference.file),
+      // Initial models and earlier refinements are on the absolute greyscale
+      referenceMapAbsolute: true,
+      initialLowPassFilter: cfg.initial_low_pass || 40,
+      symmetry: cfg.symmetry || 'C1',
+      maskDiameter,
+      mpiProcs: this._getMpiProcs(session, 'refine3d'),
+      threads: session.slurm_config?.threads || 4,
+      gpuAcceleration: cfg.use_gpu ? 'Yes' : 'No',
+      gpuToUse: cfg.gpu_ids || '0',
+    };
+
+    const builder = new AutoRefineBuilder(jobParams, project, { id: session.user_id });
+    const { valid, error: validError } = builder.validate();
+    if (!valid) {
+      logger.warn(`[LiveOrchestrator] Refine3D validation failed: ${validError}`);
+      return;
+    }
+
+    const jobName = await Job.getNextJobName(session.project_id);
+    const outputDir = builder.getOutputDir(jobName);
+    const cmd = builder.buildCommand(outputDir, jobName);
+    const jobId = Job.generateId();
+    const executionMethod = session.slurm_config?.execution_method || 'slurm';
+
+    await Job.create({
+      id: jobId,
+      project_id: session.project_id,
+      user_id: session.user_id,
+      job_name: jobName,
+      job_type: 'AutoRefine',
+      status: JOB_STATUS.PENDING,
+      input_job_ids: [selectJob.id, reference.job.id],
+      output_file_path: outputDir,
+      command: Array.isArray(cmd) ? cmd.join(' ') : cmd,
+      execution_method: executionMethod,
+      system_type: 'local',
+      parameters: jobParams,
+      pipeline_stats: {
+        pixel_size: this._computePixelSize(session, 'class2d'),
+        micrograph_count: 0,
+        particle_count: particleCount,
+        box_size: null,
+        resolution: null,
+        class_count: 1,
+        iteration_count: 0
+      }
+    });
+
+    await LiveSession.findOneAndUpdate(
+      { id: sessionId },
+      {
+        $push: { 'jobs.refine3d_ids': jobId },
+        'state.current_stage': 'AutoRefine',
+        'state.particles_refined': particleCount
+      }
+    );
+
+    const slurmParams = this._buildSlurmParams(session, 'refine3d', builder);
+    await submitJobDirect({
+      cmd, jobId, jobName,
+      stageName: 'AutoRefine',
+      projectId: session.project_id,
+      projectPath,
+      outputDir,
+      executionMethod,
+      slurmParams: executionMethod === 'slurm' ? slurmParams : {}
+    });
+
+    await session.addActivity('refine3d_triggered',
+      `3D Refine ${jobName} submitted (${particleCount} particles, reference: ${reference.job.job_name})`, {
+      level: 'info',
+      stage: 'AutoRefine',
+      jobName: jobName,
+      context: {
+        particleCount,
+        symmetry: cfg.symmetry || 'C1',
+        maskDiameter,
+        selectJob: selectJob.job_name,
+        referenceJob: reference.job.job_name
+      }
+    });
+    this._broadcast(session.project_id, sessionId, 'refine3d_triggered', {
+      jobName, particles: particleCount
+    }, 'info');
+
+    logger.info(`[LiveOrchestrator] Refine3D ${jobName} submitted | session: ${session.session_name}`);
+  }
+
+  /**
+   * Append a finished refinement to the session's resolution-vs-particles history
+   * @param {string} sessionId
+   * @param {Object} job - The AutoRefine job that completed
+   */
+  async _recordRefinement(sessionId, job) {
+    const resolution = await extractResolutionFromStar(path.join(job.output_file_path, 'run_model.star'));
+    const particleCount = job.pipeline_stats?.particle_count || 0;
+
+    const session = await LiveSession.findOneAndUpdate(
+      { id: sessionId },
+      {
+        $push: {
+          refine_history: {
+            job_id: job.id,
+            job_name: job.job_name,
+            particle_count: particleCount,
+            resolution,
+            completed_at: job.end_time || new Date()
+          }
+        }
+      },
+      { new: true }
+    );
+    if (!session) return;
+
+    const resolutionStr = resolution ? `${resolution.toFixed(2)} Å` : 'unknown resolution';
+    await session.addActivity('refine3d_complete',
+      `3D Refine ${job.job_name} reached ${resolutionStr} with ${particleCount} particles`, {
+      level: 'success',
+      stage: 'AutoRefine',
+      jobName: job.job_name,
+      context: { particleCount, resolution }
+    });
+    this._broadcast(session.project_id, sessionId, 'refine3d_complete', {
+      jobName: job.job_name, particles: particleCount, resolution
+    }, 'success');
+  }
+
+  /**
+   * Snapshot the cumulative counters at the end of a pipeline pass (Extract
+   * done). Feeds the per-stage processing rates of the forecast and the
+   * project's live_session.pass webhook event.
+   * @param {string} sessionId
+   */
+  async _recordPass(sessionId) {
+    const session = await LiveSession.findOne({ id: sessionId }).lean();
+    if (!session) return;
+
+    const s = session.state || {};
+    const passNumber = (s.pass_count || 0) + 1;
+    const pass = {
+      pass_number: passNumber,
+      completed_at: new Date(),
+      movies_imported: s.movies_imported || 0,
+      movies_motion: s.movies_motion || 0,
+      movies_ctf: s.movies_ctf || 0,
+      movies_picked: s.movies_picked || 0,
+      particles_extracted: s.particles_extracted || 0,
+      micrographs_extracted: s.micrographs_extracted || 0,
+      movies_rejected: s.movies_rejected || 0,
+      class2d_count: session.jobs?.class2d_ids?.length || 0
+    };
+    await LiveSession.findOneAndUpdate(
+      { id: sessionId },
+      {
+        $set: { 'state.pass_count': passNumber, 'state.last_pipeline_pass': new Date() },
+        $push: { pass_history: { $each: [pass], $slice: -1000 } }
+      }
+    );
+
+    publishEvent(session.project_id, 'live_session.pass', {
+      session: { id: session.id, name: session.session_name, status: session.status },
+      pass: {
+        number: passNumber,
+        completedAt: pass.completed_at,
+        moviesImported: pass.movies_imported,
+        moviesMotion: pass.movies_motion,
+        moviesCtf: pass.movies_ctf,
+        moviesPicked: pass.movies_picked,
+        moviesRejected: pass.movies_rejected,
+        micrographsExtracted: pass.micrographs_extracted,
+        particlesExtracted: pass.particles_extracted,
+        class2dCount: pass.class2d_count
+      }
+    });
+  }
+
+  /**
+   * Warn once when processing falls behind acquisition by more than the
+   * session's lag threshold, and note when it has caught up again.
+   * @param {string} sessionId
+   */
+  async _checkProcessingLag(sessionId) {
+    try {
+      const session = await LiveSession.findOne({ id: sessionId });
+      if (!session || session.status !== 'running') return;
+
+      const forecast = buildForecast(plain(session));
+      const wasBehind = !!session.state?.processing_behind;
+      if (forecast.behind === wasBehind) return;
+
+      await LiveSession.findOneAndUpdate(
+        { id: sessionId },
+        { $set: { 'state.processing_behind': forecast.behind } }
+      );
+
+      const context = {
+        stage: forecast.slowest_stage,
+        lagMinutes: forecast.max_lag_minutes,
+        thresholdMinutes: forecast.lag_threshold_minutes,
+        backlog: forecast.backlog,
+        acquisitionRate: forecast.acquisition.rate_per_hour
+      };
+      if (forecast.behind) {
+        const message = `Processing is ${Math.round(forecast.max_lag_minutes)} min behind acquisition ` +
+          `(${forecast.slowest_stage}, limit ${forecast.lag_threshold_minutes} min); ${forecast.backlog} movie(s) waiting`;
+        logger.warn(`[LiveOrchestrator] ${message} | session: ${session.session_name}`);
+        await session.addActivity('processing_lag', message, { level: 'warning', context });
+        this._broadcast(session.project_id, sessionId, 'processing_lag', context, 'warning');
+      } else {
+        await session.addActivity('processing_caught_up',
+          `Processing caught up with acquisition (${forecast.max_lag_minutes} min behind)`, { level: 'info', context });
+        this._broadcast(session.project_id, sessionId, 'processing_caught_up', context);
+      }
+    } catch (err) {
+      logger.warn(`[LiveOrchestrator] Processing lag check failed: ${err.message}`);
+    }
+  }
+
+  /**
+   * Per-exposure metrics for the guardrail windows, in acquisition order
+   * @param {Object} session
+   * @param {number} limit - Most recent exposures to return
+   * @returns {Promise<Array<{ctfResolution, defocus, iceThickness, passed}>>}
+   */
+  async _readGuardrailExposures(session, limit) {
+    const ctfJob = session.jobs?.ctf_id ? await Job.findOne({ id: session.jobs.ctf_id }).lean() : null;
+    if (!ctfJob?.output_file_path) return [];
+
+    const project = await Project.findOne({ id: session.project_id }).lean();
+    if (!project) return [];
+    const ctfDir = path.isAbsolute(ctfJob.output_file_path)
+      ? ctfJob.output_file_path
+      : path.join(getProjectPath(project), ctfJob.output_file_path);
+    const starPath = path.join(ctfDir, 'micrographs_ctf.star');
+    if (!fs.existsSync(starPath)) return [];
+
+    const { parseStarFile } = require('../utils/starParser');
+    const filteredPath = path.join(ctfDir, 'micrographs_ctf_filtered.star');
+    const passed = fs.existsSync(filteredPath)
+      ? new Set(((await parseStarFile(filteredPath)).files || []).map(m => m.rlnMicrographName))
+      : null;
+
+    const value = (v) => (Number.isFinite(v) ? v : null);
+    const rows = (await parseStarFile(starPath)).files || [];
+    return rows.slice(-limit).map(mic => ({
+      ctfResolution: value(mic.rlnCtfMaxResolution),
+      defocus: Number.isFinite(mic.rlnDefocusU) && Number.isFinite(mic.rlnDefocusV)
+        ? (mic.rlnDefocusU + mic.rlnDefocusV) / 2
+        : null,
+      iceThickness: value(mic.rlnCtfIceRingDensity),
+      passed: passed ? passed.has(mic.rlnMicrographName) : null
+    }));
+  }
+
+  /**
+   * Run the rolling-window exposure checks after a CTF batch
+   * @param {string} sessionId
+   */
+  async _checkExposureGuardrails(sessionId) {
+    try {
+      const session = await LiveSession.findOne({ id: sessionId });
+      const guardrails = session && plain(session).guardrails;
+      if (!guardrails?.enabled || session.status !== 'running') return;
+
+      const exposures = await this._readGuardrailExposures(session, 2 * (guardrails.window || 50));
+      const detected = detectExposureAnomalies(exposures, guardrails);
+      await this._updateAnomalies(session, EXPOSURE_CHECKS, detected);
+    } catch (err) {
+      logger.warn(`[LiveOrchestrator] Guardrail check failed (continuing): ${err.message}`);
+    }
+  }
+
+  /**
+   * Check every running session for a silent watch directory (timer)
+   */
+  async _checkSilentSessions() {
+    for (const [sessionId, sessionState] of this.activeSessions) {
+      if (sessionState.running) await this._checkSilence(sessionId);
+    }
+  }
+
+  /**
+   * Raise or clear the watch_silent anomaly of one session
+   * @param {string} sessionId
+   */
+  async _checkSilence(sessionId) {
+    const sessionState = this.activeSessions.get(sessionId);
+    if (!sessionState?.running) return;
+
+    const session = await LiveSession.findOne({ id: sessionId });
+    const guardrails = session && plain(session).guardrails;
+    if (!guardrails?.enabled || session.status !== 'running' || session.input_mode !== 'watch') return;
+
+    // Counted from when watching began if no movie has arrived yet
+    if (!sessionState.lastFileAt) sessionState.lastFileAt = Date.now();
+    const silence = detectSilence(sessionState.lastFileAt, guardrails);
+    await this._updateAnomalies(session, ['watch_silent'], silence ? [silence] : []);
+  }
+
+  /**
+   * Record the outcome of a set of guardrail checks. Anomalies are reported
+   * once when raised (activity log, WebSocket, webhooks/email, optional
+   * auto-pause) and once when they clear.
+   * @param {Object} session - LiveSession document
+   * @param {string[]} checked - Check types that were evaluated
+   * @param {Array<Object>} detected - Anomalies those checks found
+   */
+  async _updateAnomalies(session, checked, detected) {
+    const current = plain(session).anomalies || [];
+    const raised = detected.filter(a => !current.some(c => c.type === a.type));
+    const cleared = current.filter(c => checked.includes(c.type) && !detected.some(a => a.type === c.type));
+    if (raised.length === 0 && cleared.length === 0) return;
+
+    const now = new Date();
+    await LiveSession.findOneAndUpdate({ id: session.id }, {
+      $set: {
+        anomalies: [
+          ...current.filter(c => !cleared.includes(c)),
+          ...raised.map(a => ({ ...a, detected_at: now }))
+        ]
+      }
+    });
+
+    for (const anomaly of cleared) {
+      await session.addActivity('anomaly_cleared', `${GUARDRAIL_CHECKS[anomaly.type] || anomaly.type} back within limits`, {
+        level: 'info',
+        context: { type: anomaly.type }
+      });
+    }
+    if (cleared.length > 0) {
+      this._broadcast(session.project_id, session.id, 'anomaly_cleared', { types: cleared.map(a => a.type) });
+    }
+    if (raised.length === 0) return;
+
+    const guardrails = plain(session).guardrails || {};
+    // Pausing cannot fix a silent watch directory, so only exposure anomalies pause
+    const pause = !!guardrails.auto_pause && raised.some(a => a.type !== 'watch_silent');
+
+    for (const anomaly of raised) {
+      logger.warn(`[LiveOrchestrator] Anomaly: ${anomaly.message} | session: ${session.session_name}`);
+      await session.addActivity('anomaly_detected', anomaly.message, {
+        level: 'warning',
+        context: { type: anomaly.type, value: anomaly.value, threshold: anomaly.threshold }
+      });
+    }
+    this._broadcast(session.project_id, session.id, 'anomaly_detected', { anomalies: raised, paused: pause }, 'warning');
+
+    if (pause) {
+      await this.pauseSession(session.id, raised.map(a => GUARDRAIL_CHECKS[a.type] || a.type).join(', '));
+    }
+    if (guardrails.notify !== false) {
+      await notifyAnomalies(session, raised, { paused: pause });
+    }
+  }
+
   /**
    * Mark a session as completed and clean up
    */
@@ -2307,6 +3106,18 @@ class LiveOrchestrator extends EventEmitter {
     await watcher.stop(sessionId);
 
     logger.info(`[LiveOrchestrator] Session completed | session: ${freshSession?.session_name || sessionId}`);
+    this._generateReport(sessionId);
+  }
+
+  /**
+   * Write the end-of-session report (services/liveSessionReport.js) in the
+   * background, so stopping never waits on chart rendering or PDF conversion
+   * @param {string} sessionId
+   */
+  _generateReport(sessionId) {
+    generateSessionReport(sessionId).catch(err => {
+      logger.warn(`[LiveOrchestrator] Session report failed: ${err.message}`);
+    });
   }
 
   /**
@@ -2365,6 +3176,10 @@ class LiveOrchestrator extends EventEmitter {
    * Graceful shutdown
    */
   async shutdown() {
+    if (this._silenceTimer) {
+      clearInterval(this._silenceTimer);
+      this._silenceTimer = null;
+    }
     const watcher = getLiveWatcher();
     await watcher.stopAll();
     this.activeSessions.clear();
@@ -2382,7 +3197,8 @@ class LiveOrchestrator extends EventEmitter {
   /**
    * Recover missed downstream cascades after server restart.
    * Checks if Class2D completed but Select was never triggered,
-   * or Select completed but InitialModel was never triggered.
+   * Select completed but InitialModel was never triggered, or a
+   * Refine3D is due.
    */
   async _recoverDownstreamCascades(sessionId) {
     const session = await LiveSession.findOne({ id: sessionId }).lean();
@@ -2415,6 +3231,11 @@ class LiveOrchestrator extends EventEmitter {
         }
       }
     }
+
+    // Initial model or grown selection waiting for a refinement?
+    if (session.refine3d_config?.enabled) {
+      await this._checkRefine3D(sessionId);
+    }
   }
 
   async onConfigUpdated(sessionId, changedKeys) {
@@ -2459,6 +3280,14 @@ class LiveOrchestrator extends EventEmitter {
         }
       }
     }
+
+    // Refine3D enabled or its increment lowered → an initial model may already be waiting
+    if (changedKeys.includes('refine3dConfig') && session.refine3d_config?.enabled) {
+      const triggered = await this._checkRefine3D(sessionId);
+      if (triggered) {
+        logger.info(`[LiveOrchestrator] Refine3D triggered after config update | session: ${session.session_name}`);
+      }
+    }
   }
 }
 
@@ -0,0 +1,237 @@
+/**
+ * Live Session 2D Class Gallery
+ *
+ * Renders the 2D classes kept by a live session's latest auto-select
+ * (class_ranker) job, with their particle share and resolution from the
+ * parent Class2D model.star. Used by the dashboard gallery and the
+ * end-of-session report.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const glob = require('glob');
+const logger = require('../utils/logger');
+const Job = require('../models/Job');
+const Project = require('../models/Project');
+const { getProjectPath } = require('../utils/pathUtils');
+
+/**
+ * Build the gallery of selected 2D classes
+ * @param {Object} session - LiveSession (lean)
+ * @param {Object} [options]
+ * @param {number} [options.maxSize=128] - Longest side of the class images in pixels
+ * @returns {Promise<Object>} { classes: [{ classNumber, image (PNG data URL), distribution,
+ *   estimatedResolution, particleFraction }], selectJobName, class2dJobName, ... }
+ *   or { classes: [], message } when there is nothing to show yet
+ */
+const buildSelectGallery = async (session, { maxSize = 128 } = {}) => {
+  // Find the latest select job
+  const selectIds = session.jobs?.select_ids || [];
+  if (selectIds.length === 0) {
+    return { classes: [], message: 'No select jobs yet' };
+  }
+
+  const selectJobId = selectIds[selectIds.length - 1];
+  const selectJob = await Job.findOne({ id: selectJobId }).lean();
+  if (!selectJob) {
+    return { classes: [], message: 'Select job not found' };
+  }
+
+  // Find the parent Class2D job (from input_job_ids)
+  const class2dJobId = selectJob.input_job_ids?.[0];
+  if (!class2dJobId) {
+    return { classes: [], message: 'Parent Class2D job not found' };
+  }
+
+  const class2dJob = await Job.findOne({ id: class2dJobId }).lean();
+  if (!class2dJob) {
+    return { classes: [], message: 'Parent Class2D job not found' };
+  }
+
+  const project = await Project.findOne({ id: session.project_id }).lean();
+  if (!project) {
+    return { classes: [], message: 'Project not found' };
+  }
+
+  const projectPath = getProjectPath(project);
+
+  // --- Determine selected class numbers from particles.star ---
+  const selectOutputDir = path.isAbsolute(selectJob.output_file_path)
+    ? selectJob.output_file_path
+    : path.join(projectPath, selectJob.output_file_path);
+  const particlesPath = path.join(selectOutputDir, 'particles.star');
+
+  let selectedClassNumbers = new Set();
+  if (fs.existsSync(particlesPath)) {
+    // Parse particles.star to find unique _rlnClassNumber values
+    const content = fs.readFileSync(particlesPath, 'utf-8');
+    const lines = content.split('\n');
+    let classColIdx = -1;
+    let inLoop = false;
+    let pastHeaders = false;
+
+    for (const rawLine of lines) {
+      const line = rawLine.trim();
+      if (!line || line.startsWith('#')) continue;
+
+      if (line === 'loop_') {
+        inLoop = true;
+        classColIdx = -1;
+        pastHeaders = false;
+        continue;
+      }
+      if (line.startsWith('data_')) {
+        inLoop = false;
+        classColIdx = -1;
+        pastHeaders = false;
+        continue;
+      }
+
+      if (inLoop && line.startsWith('_')) {
+        const parts = line.split(/\s+/);
+        const idxMatch = parts[1] && parts[1].match(/#(\d+)/);
+        if (idxMatch && parts[0] === '_rlnClassNumber') {
+          classColIdx = parseInt(idxMatch[1], 10) - 1;
+        }
+        continue;
+      }
+
+      // Data row
+      if (inLoop && classColIdx >= 0 && !line.startsWith('_')) {
+        pastHeaders = true;
+        const values = line.split(/\s+/);
+        if (classColIdx < values.length) {
+          selectedClassNumbers.add(parseInt(values[classColIdx], 10));
+        }
+      }
+    }
+  }
+
+  selectedClassNumbers = [...selectedClassNumbers].sort((a, b) => a - b);
+
+  // --- Read class images from Class2D output ---
+  const class2dOutputDir = path.isAbsolute(class2dJob.output_file_path)
+    ? class2dJob.output_file_path
+    : path.join(projectPath, class2dJob.output_file_path);
+
+  // Find latest iteration .mrcs file
+  const mrcsFiles = glob.sync(path.join(class2dOutputDir, '*_it*_classes.mrcs'));
+  if (mrcsFiles.length === 0) {
+    return {
+      classes: [],
+      selectedClassNumbers,
+      selectJobId,
+      selectJobName: selectJob.job_name,
+      class2dJobName: class2dJob.job_name,
+      message: 'No class image files found'
+    };
+  }
+
+  // Sort and pick latest
+  mrcsFiles.sort();
+  const latestMrcs = mrcsFiles[mrcsFiles.length - 1];
+
+  // Parse model.star for metadata
+  const modelPath = latestMrcs.replace('_classes.mrcs', '_model.star');
+  const classMetadata = {};
+  if (fs.existsSync(modelPath)) {
+    const content = fs.readFileSync(modelPath, 'utf8');
+    if (content.includes('data_model_classes')) {
+      const blocks = content.split(/\n(?=data_)/);
+      for (const block of blocks) {
+        if (!block.includes('data_model_classes')) continue;
+        const bLines = block.trim().split('\n');
+        const headers = {};
+        let headerIdx = 0;
+        for (let i = 0; i < bLines.length; i++) {
+          const colMatch = bLines[i].match(/(_rln\w+)\s+#(\d+)/);
+          if (colMatch) {
+            headers[colMatch[1]] = parseInt(colMatch[2], 10) - 1;
+            headerIdx = i;
+          }
+        }
+        for (let i = headerIdx + 1; i < bLines.length; i++) {
+          const line = bLines[i].trim();
+          if (!line || line.startsWith('#') || line.startsWith('_') || line.startsWith('loop')) continue;
+          const parts = line.split(/\s+/);
+          if (parts.length < 2) continue;
+          const refImage = parts[headers['_rlnReferenceImage'] || 0];
+          const match2d = refImage && refImage.match(/^(\d+)@/);
+          if (match2d) {
+            const classNum = parseInt(match2d[1], 10);
+            const distIdx = headers['_rlnClassDistribution'];
+            const resIdx = headers['_rlnEstimatedResolution'];
+            classMetadata[classNum] = {
+              distribution: distIdx != null && distIdx < parts.length ? parseFloat(parts[distIdx]) : 0,
+              estimatedResolution: resIdx != null && resIdx < parts.length ? parseFloat(parts[resIdx]) : 999,
+            };
+          }
+        }
+        break;
+      }
+    }
+  }
+
+  // Read MRCS frames and render selected classes as PNG
+  const { readMrcFrame, normalizeWithPercentile, getMrcInfo } = require('../utils/mrcParser');
+  const sharp = require('sharp');
+
+  const mrcInfo = getMrcInfo(latestMrcs);
+  if (!mrcInfo) {
+    throw new Error('Could not read class file');
+  }
+
+  const classesData = [];
+  const numClasses = mrcInfo.num_frames;
+
+  // If we couldn't determine selected classes from particles.star, show all
+  const showAll = selectedClassNumbers.length === 0;
+
+  for (let i = 0; i < numClasses; i++) {
+    const classNum = i + 1;
+    if (!showAll && !selectedClassNumbers.includes(classNum)) continue;
+
+    try {
+      const frame = readMrcFrame(latestMrcs, i);
+      if (!frame) continue;
+
+      const uint8Data = normalizeWithPercentile(frame.data, 1, 99);
+      let image = sharp(uint8Data, { raw: { width: frame.width, height: frame.height, channels: 1 } });
+
+      if (frame.width > maxSize || frame.height > maxSize) {
+        image = image.resize(maxSize, maxSize, { fit: 'inside' });
+      }
+
+      const pngBuffer = await image.png().toBuffer();
+      const meta = classMetadata[classNum] || {};
+
+      classesData.push({
+        classNumber: classNum,
+        image: `data:image/png;base64,${pngBuffer.toString('base64')}`,
+        distribution: meta.distribution || 0,
+        estimatedResolution: meta.estimatedResolution || 999,
+        particleFraction: meta.distribution ? Math.round(meta.distribution * 10000) / 100 : 0,
+      });
+    } catch (e) {
+      logger.warn(`[SelectGallery] Error reading class ${classNum}: ${e.message}`);
+    }
+  }
+
+  // Parse iteration number from filename
+  const iterMatch = path.basename(latestMrcs).match(/_it(\d+)_classes/);
+  const iteration = iterMatch ? parseInt(iterMatch[1], 10) : null;
+
+  return {
+    selectJobId,
+    selectJobName: selectJob.job_name,
+    selectJobStatus: selectJob.status,
+    class2dJobName: class2dJob.job_name,
+    iteration,
+    numSelected: classesData.length,
+    numTotal: numClasses,
+    selectedClassNumbers,
+    classes: classesData,
+  };
+};
+
+module.exports = { buildSelectGallery };
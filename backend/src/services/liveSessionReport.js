@@ -0,0 +1,503 @@
+/**
+ * Live Session Report
+ *
+ * Writes an end-of-session summary as one self-contained HTML file (charts
+ * are inline SVG, class images are data URLs), so facility staff can email
+ * it as is. Optionally converted to PDF with a headless browser or
+ * wkhtmltopdf (REPORT_PDF_COMMAND).
+ *
+ * Contents: session summary, throughput over time (pass_history), defocus /
+ * CTF resolution / motion histograms (micrographs_ctf.star), quality-rule
+ * rejections (quality_stats), best selected 2D classes, 3D refinements, jobs
+ * with runtimes, and warnings/errors from the activity log.
+ *
+ * Reports are written to <project>/LiveReports/<session name>.html|.pdf.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { execFile } = require('child_process');
+const logger = require('../utils/logger');
+const settings = require('../config/settings');
+const LiveSession = require('../models/LiveSession');
+const Project = require('../models/Project');
+const Job = require('../models/Job');
+const { getProjectPath } = require('../utils/pathUtils');
+const { parseStarFile } = require('../utils/starParser');
+const { buildSelectGallery } = require('./liveSelectGallery');
+
+const REPORT_DIR = 'LiveReports';
+const HISTOGRAM_BINS = 20;
+const MAX_GALLERY_CLASSES = 24;
+const MAX_ACTIVITY_ENTRIES = 50;
+const PDF_TIMEOUT_MS = 120000;
+
+const COLORS = {
+  primary: '#2563eb',
+  secondary: '#10b981',
+  warning: '#f59e0b',
+  danger: '#ef4444',
+  grid: '#e2e8f0',
+  text: '#334155',
+  muted: '#64748b'
+};
+
+// ─── Formatting helpers ─────────────────────────────────────────────
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const formatNumber = (value, digits = 0) => {
+  if (value === null || value === undefined || !Number.isFinite(Number(value))) return '—';
+  return Number(value).toLocaleString('en-US', { minimumFractionDigits: digits, maximumFractionDigits: digits });
+};
+
+const formatDate = (value) => (value ? new Date(value).toISOString().replace('T', ' ').slice(0, 16) + ' UTC' : '—');
+
+const formatDuration = (ms) => {
+  if (!ms || ms < 0) return '—';
+  const minutes = Math.round(ms / 60000);
+  if (minutes < 60) return `${minutes}m`;
+  return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+};
+
+const median = (values) => {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+// ─── SVG charts ─────────────────────────────────────────────────────
+
+const CHART = { width: 520, height: 220, left: 56, right: 16, top: 16, bottom: 40 };
+
+const niceTicks = (min, max, count = 5) => {
+  if (min === max) return [min];
+  const step = (max - min) / (count - 1);
+  return Array.from({ length: count }, (_, i) => min + step * i);
+};
+
+const axes = (xTicks, yTicks, xLabel, yLabel) => {
+  const { width, height, left, right, top, bottom } = CHART;
+  const plotBottom = height - bottom;
+  const parts = [];
+  for (const { y, label } of yTicks) {
+    parts.push(`<line x1="${left}" x2="${width - right}" y1="${y}" y2="${y}" stroke="${COLORS.grid}"/>`);
+    parts.push(`<text x="${left - 6}" y="${y + 4}" text-anchor="end">${escapeHtml(label)}</text>`);
+  }
+  for (const { x, label } of xTicks) {
+    parts.push(`<text x="${x}" y="${plotBottom + 16}" text-anchor="middle">${escapeHtml(label)}</text>`);
+  }
+  parts.push(`<line x1="${left}" x2="${width - right}" y1="${plotBottom}" y2="${plotBottom}" stroke="${COLORS.muted}"/>`);
+  parts.push(`<text x="${(left + width - right) / 2}" y="${height - 4}" text-anchor="middle">${escapeHtml(xLabel)}</text>`);
+  parts.push(`<text transform="translate(12 ${(top + plotBottom) / 2}) rotate(-90)" text-anchor="middle">${escapeHtml(yLabel)}</text>`);
+  return parts.join('');
+};
+
+const svg = (content) =>
+  `<svg viewBox="0 0 ${CHART.width} ${CHART.height}" width="${CHART.width}" height="${CHART.height}" font-size="10" fill="${COLORS.text}" xmlns="http://www.w3.org/2000/svg">${content}</svg>`;
+
+/**
+ * Histogram of values as an SVG bar chart
+ * @param {number[]} values
+ * @param {Object} options - { xLabel, color, digits }
+ */
+const histogramSvg = (values, { xLabel, color = COLORS.primary, digits = 1 }) => {
+  if (values.length === 0) return '<p class="empty">No data</p>';
+  const { width, height, left, right, top, bottom } = CHART;
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+  const span = max - min || 1;
+  const counts = new Array(HISTOGRAM_BINS).fill(0);
+  for (const v of values) {
+    counts[Math.min(HISTOGRAM_BINS - 1, Math.floor(((v - min) / span) * HISTOGRAM_BINS))]++;
+  }
+
+  const peak = Math.max(...counts);
+  const plotWidth = width - left - right;
+  const plotHeight = height - top - bottom;
+  const barWidth = plotWidth / HISTOGRAM_BINS;
+  const bars = counts.map((count, i) => {
+    const h = (count / peak) * plotHeight;
+    return `<rect x="${(left + i * barWidth + 1).toFixed(1)}" y="${(top + plotHeight - h).toFixed(1)}" width="${(barWidth - 2).toFixed(1)}" height="${h.toFixed(1)}" fill="${color}"/>`;
+  }).join('');
+
+  const xTicks = niceTicks(min, max).map((v, i, all) => ({
+    x: left + (plotWidth * i) / Math.max(all.length - 1, 1),
+    label: formatNumber(v, digits)
+  }));
+  const yTicks = niceTicks(0, peak, 3).map(v => ({ y: top + plotHeight - (v / peak) * plotHeight, label: formatNumber(v) }));
+  return svg(axes(xTicks, yTicks, xLabel, 'Exposures') + bars);
+};
+
+/**
+ * Cumulative counts over time as an SVG line chart
+ * @param {Array<{name, color, points: Array<{t: Date, v: number}>}>} series
+ * @param {string} yLabel
+ */
+const lineChartSvg = (series, yLabel) => {
+  const all = series.flatMap(s => s.points);
+  if (all.length === 0) return '<p class="empty">No passes recorded</p>';
+  const { width, height, left, right, top, bottom } = CHART;
+  const t0 = Math.min(...all.map(p => p.t.getTime()));
+  const t1 = Math.max(...all.map(p => p.t.getTime()));
+  const vMax = Math.max(...all.map(p => p.v)) || 1;
+  const plotWidth = width - left - right;
+  const plotHeight = height - top - bottom;
+  const x = (t) => left + (t1 > t0 ? ((t.getTime() - t0) / (t1 - t0)) * plotWidth : plotWidth / 2);
+  const y = (v) => top + plotHeight - (v / vMax) * plotHeight;
+
+  const lines = series.map(s => {
+    const d = s.points.map((p, i) => `${i ? 'L' : 'M'}${x(p.t).toFixed(1)},${y(p.v).toFixed(1)}`).join(' ');
+    const dots = s.points.length <= 60
+      ? s.points.map(p => `<circle cx="${x(p.t).toFixed(1)}" cy="${y(p.v).toFixed(1)}" r="2" fill="${s.color}"/>`).join('')
+      : '';
+    return `<path d="${d}" fill="none" stroke="${s.color}" stroke-width="2"/>${dots}`;
+  }).join('');
+
+  const legend = series.map((s, i) =>
+    `<rect x="${left + 8 + i * 140}" y="${top}" width="10" height="10" fill="${s.color}"/><text x="${left + 22 + i * 140}" y="${top + 9}">${escapeHtml(s.name)}</text>`
+  ).join('');
+
+  const hours = (t1 - t0) / 3600000;
+  const xTicks = niceTicks(0, hours).map((h, i, ticks) => ({
+    x: left + (plotWidth * i) / Math.max(ticks.length - 1, 1),
+    label: `${formatNumber(h, hours < 5 ? 1 : 0)}h`
+  }));
+  const yTicks = niceTicks(0, vMax, 4).map(v => ({ y: y(v), label: formatNumber(v) }));
+  return svg(axes(xTicks, yTicks, 'Hours since first pass', yLabel) + lines + legend);
+};
+
+// ─── Data collection ────────────────────────────────────────────────
+
+const resolveDir = (projectPath, dir) => (path.isAbsolute(dir) ? dir : path.join(projectPath, dir));
+
+/**
+ * Per-exposure CTF and motion values from the session's CtfFind output
+ * @returns {Promise<Array<{name, defocus, astigmatism, ctfResolution, totalMotion, passed}>>}
+ *   defocus/astigmatism in µm, resolution in Å, motion in Å; passed is null
+ *   when no quality filter has run
+ */
+const readExposures = async (session, projectPath) => {
+  if (!session.jobs?.ctf_id) return [];
+  const ctfJob = await Job.findOne({ id: session.jobs.ctf_id }).lean();
+  if (!ctfJob?.output_file_path) return [];
+
+  const ctfDir = resolveDir(projectPath, ctfJob.output_file_path);
+  const starPath = path.join(ctfDir, 'micrographs_ctf.star');
+  if (!fs.existsSync(starPath)) return [];
+
+  const filteredPath = path.join(ctfDir, 'micrographs_ctf_filtered.star');
+  let passedNames = null;
+  if (fs.existsSync(filteredPath)) {
+    const filtered = await parseStarFile(filteredPath);
+    passedNames = new Set((filtered.files || []).map(m => m.rlnMicrographName));
+  }
+
+  const number = (value) => (Number.isFinite(value) ? value : null);
+  const starData = await parseStarFile(starPath);
+  return (starData.files || []).map(mic => ({
+    name: path.basename(mic.rlnMicrographName || ''),
+    defocus: Number.isFinite(mic.rlnDefocusU) && Number.isFinite(mic.rlnDefocusV)
+      ? (mic.rlnDefocusU + mic.rlnDefocusV) / 2 / 10000
+      : null,
+    astigmatism: Number.isFinite(mic.rlnDefocusU) && Number.isFinite(mic.rlnDefocusV)
+      ? Math.abs(mic.rlnDefocusU - mic.rlnDefocusV) / 10000
+      : null,
+    ctfResolution: number(mic.rlnCtfMaxResolution),
+    totalMotion: number(mic.rlnAccumMotionTotal),
+    passed: passedNames ? passedNames.has(mic.rlnMicrographName) : null
+  }));
+};
+
+/**
+ * Gather everything the report shows
+ * @param {string} sessionId
+ * @returns {Promise<Object|null>} Report data, or null if the session is gone
+ */
+const collectReportData = async (sessionId) => {
+  const session = await LiveSession.findOne({ id: sessionId }).lean();
+  if (!session) return null;
+
+  const project = await Project.findOne({ id: session.project_id }).lean();
+  if (!project) return null;
+  const projectPath = getProjectPath(project);
+
+  const jobIds = [
+    session.jobs?.import_id, session.jobs?.motion_id, session.jobs?.ctf_id,
+    session.jobs?.pick_id, session.jobs?.extract_id,
+    ...(session.jobs?.class2d_ids || []),
+    ...(session.jobs?.select_ids || []),
+    ...(session.jobs?.inimodel_ids || []),
+    ...(session.jobs?.refine3d_ids || [])
+  ].filter(Boolean);
+  const jobs = jobIds.length > 0
+    ? await Job.find({ id: { $in: jobIds } })
+      .select('id job_name job_type status start_time end_time')
+      .lean()
+    : [];
+
+  let gallery = { classes: [] };
+  try {
+    gallery = await buildSelectGallery(session);
+  } catch (err) {
+    logger.warn(`[LiveReport] 2D class gallery unavailable for ${session.session_name}: ${err.message}`);
+  }
+
+  return {
+    session,
+    project,
+    projectPath,
+    exposures: await readExposures(session, projectPath),
+    jobs: jobs.sort((a, b) => new Date(a.start_time || 0) - new Date(b.start_time || 0)),
+    gallery,
+    generatedAt: new Date()
+  };
+};
+
+// ─── HTML ───────────────────────────────────────────────────────────
+
+const STYLE = `
+  body { font-family: -apple-system, "Segoe UI", Helvetica, Arial, sans-serif; color: ${COLORS.text}; margin: 32px; font-size: 13px; }
+  h1 { font-size: 22px; margin: 0 0 4px; }
+  h2 { font-size: 16px; margin: 28px 0 10px; border-bottom: 1px solid ${COLORS.grid}; padding-bottom: 4px; }
+  .subtitle { color: ${COLORS.muted}; margin-bottom: 16px; }
+  .cards { display: grid; grid-template-columns: repeat(4, 1fr); gap: 10px; }
+  .card { border: 1px solid ${COLORS.grid}; border-radius: 6px; padding: 10px; }
+  .card .label { color: ${COLORS.muted}; font-size: 11px; text-transform: uppercase; }
+  .card .value { font-size: 18px; font-weight: 600; margin-top: 2px; }
+  .charts { display: flex; flex-wrap: wrap; gap: 16px; }
+  .chart h3 { font-size: 13px; margin: 0 0 4px; }
+  table { border-collapse: collapse; width: 100%; }
+  th, td { text-align: left; padding: 4px 8px; border-bottom: 1px solid ${COLORS.grid}; }
+  th { color: ${COLORS.muted}; font-weight: 600; font-size: 11px; text-transform: uppercase; }
+  td.num, th.num { text-align: right; }
+  .gallery { display: grid; grid-template-columns: repeat(8, 1fr); gap: 8px; }
+  .gallery figure { margin: 0; text-align: center; font-size: 10px; color: ${COLORS.muted}; }
+  .gallery img { width: 100%; image-rendering: pixelated; border-radius: 4px; }
+  .status-success { color: ${COLORS.secondary}; }
+  .status-failed { color: ${COLORS.danger}; }
+  .level-warning { color: ${COLORS.warning}; }
+  .level-error { color: ${COLORS.danger}; }
+  .empty { color: ${COLORS.muted}; font-style: italic; }
+  footer { margin-top: 32px; color: ${COLORS.muted}; font-size: 11px; }
+  @page { size: A4; margin: 14mm; }
+  @media print { body { margin: 0; } h2 { break-after: avoid; } .chart, figure, tr { break-inside: avoid; } }
+`;
+
+const card = (label, value) =>
+  `<div class="card"><div class="label">${escapeHtml(label)}</div><div class="value">${escapeHtml(value)}</div></div>`;
+
+const table = (headers, rows, numeric = []) => {
+  if (rows.length === 0) return '<p class="empty">None</p>';
+  const head = headers.map((h, i) => `<th${numeric.includes(i) ? ' class="num"' : ''}>${escapeHtml(h)}</th>`).join('');
+  const body = rows.map(cells => `<tr>${cells.map((c, i) =>
+    `<td${numeric.includes(i) ? ' class="num"' : ''}>${c}</td>`).join('')}</tr>`).join('');
+  return `<table><thead><tr>${head}</tr></thead><tbody>${body}</tbody></table>`;
+};
+
+/**
+ * Render the report
+ * @param {Object} data - From collectReportData()
+ * @returns {string} Self-contained HTML document
+ */
+const renderReportHtml = (data) => {
+  const { session, project, exposures, jobs, gallery, generatedAt } = data;
+  const state = session.state || {};
+  const end = session.end_time ? new Date(session.end_time) : generatedAt;
+  const durationMs = session.start_time ? end - new Date(session.start_time) : null;
+  const hours = durationMs ? durationMs / 3600000 : null;
+
+  const values = (key) => exposures.map(e => e[key]).filter(v => v !== null && Number.isFinite(v));
+  const defoci = values('defocus');
+  const resolutions = values('ctfResolution');
+  const motions = values('totalMotion');
+  const filtered = exposures.some(e => e.passed !== null);
+  const accepted = filtered ? exposures.filter(e => e.passed).length : exposures.length;
+
+  // Summary
+  const summary = [
+    card('Duration', formatDuration(durationMs)),
+    card('Exposures imported', formatNumber(state.movies_imported || state.movies_found)),
+    card('Exposures accepted', `${formatNumber(accepted)}${exposures.length ? ` (${formatNumber((accepted / exposures.length) * 100)}%)` : ''}`),
+    card('Throughput', hours ? `${formatNumber((state.movies_ctf || 0) / hours)} / h` : '—'),
+    card('Particles extracted', formatNumber(state.particles_extracted)),
+    card('Particles selected', formatNumber(state.particles_selected)),
+    card('Median defocus', defoci.length ? `${formatNumber(median(defoci), 2)} µm` : '—'),
+    card('Median CTF resolution', resolutions.length ? `${formatNumber(median(resolutions), 1)} Å` : '—'),
+  ].join('');
+
+  // Throughput over time
+  const passes = (session.pass_history || []).filter(p => p.completed_at);
+  const point = (key) => passes.map(p => ({ t: new Date(p.completed_at), v: p[key] || 0 }));
+  const throughput = `
+    <div class="charts">
+      <div class="chart"><h3>Exposures processed</h3>${lineChartSvg([
+        { name: 'Imported', color: COLORS.primary, points: point('movies_imported') },
+        { name: 'CTF estimated', color: COLORS.secondary, points: point('movies_ctf') }
+      ], 'Exposures')}</div>
+      <div class="chart"><h3>Particles</h3>${lineChartSvg([
+        { name: 'Extracted', color: COLORS.warning, points: point('particles_extracted') }
+      ], 'Particles')}</div>
+    </div>`;
+
+  const distributions = `
+    <div class="charts">
+      <div class="chart"><h3>Defocus</h3>${histogramSvg(defoci, { xLabel: 'Defocus (µm)', digits: 2 })}</div>
+      <div class="chart"><h3>CTF max resolution</h3>${histogramSvg(resolutions, { xLabel: 'Resolution (Å)', color: COLORS.secondary })}</div>
+      ${motions.length ? `<div class="chart"><h3>Total motion</h3>${histogramSvg(motions, { xLabel: 'Total motion (Å)', color: COLORS.warning })}</div>` : ''}
+    </div>`;
+
+  // Rejections by quality rule
+  const qualityStats = session.quality_stats || {};
+  const ruleRows = (qualityStats.rules || []).map(r => [
+    escapeHtml(r.name || r.rule_id),
+    formatNumber(r.rejected),
+    qualityStats.evaluated ? `${formatNumber((r.rejected / qualityStats.evaluated) * 100, 1)}%` : '—'
+  ]);
+  const rejections = qualityStats.evaluated
+    ? `<p>${formatNumber(qualityStats.evaluated)} exposures evaluated: ${formatNumber(qualityStats.passed)} passed,
+        ${formatNumber(qualityStats.rejected)} rejected. An exposure can fail several rules.</p>
+       ${table(['Rule', 'Rejected', 'Share of exposures'], ruleRows, [1, 2])}`
+    : '<p class="empty">No quality filter has run</p>';
+
+  // Best 2D classes
+  const classes = [...(gallery.classes || [])]
+    .sort((a, b) => (b.particleFraction || 0) - (a.particleFraction || 0))
+    .slice(0, MAX_GALLERY_CLASSES);
+  const classGallery = classes.length
+    ? `<p>From ${escapeHtml(gallery.selectJobName || '')} (${escapeHtml(gallery.class2dJobName || '')}), by particle share.</p>
+       <div class="gallery">${classes.map(c => `
+        <figure><img src="${c.image}" alt="Class ${c.classNumber}"/>
+          <figcaption>#${c.classNumber} · ${formatNumber(c.particleFraction, 1)}%${c.estimatedResolution < 999 ? ` · ${formatNumber(c.estimatedResolution, 1)} Å` : ''}</figcaption>
+        </figure>`).join('')}</div>`
+    : `<p class="empty">${escapeHtml(gallery.message || 'No selected 2D classes')}</p>`;
+
+  const refinements = table(
+    ['Job', 'Particles', 'Resolution (Å)', 'Finished'],
+    (session.refine_history || []).map(r => [
+      escapeHtml(r.job_name || r.job_id), formatNumber(r.particle_count),
+      r.resolution ? formatNumber(r.resolution, 2) : '—', escapeHtml(formatDate(r.completed_at))
+    ]),
+    [1, 2]
+  );
+
+  const jobTable = table(
+    ['Job', 'Type', 'Status', 'Started', 'Runtime'],
+    jobs.map(j => [
+      escapeHtml(j.job_name), escapeHtml(j.job_type),
+      `<span class="status-${escapeHtml(j.status)}">${escapeHtml(j.status)}</span>`,
+      escapeHtml(formatDate(j.start_time)),
+      j.start_time && j.end_time ? formatDuration(new Date(j.end_time) - new Date(j.start_time)) : '—'
+    ]),
+    [4]
+  );
+
+  const notable = (session.activity_log || [])
+    .filter(a => a.level === 'warning' || a.level === 'error')
+    .slice(-MAX_ACTIVITY_ENTRIES);
+  const activity = table(
+    ['Time', 'Level', 'Message'],
+    notable.map(a => [
+      escapeHtml(formatDate(a.timestamp)),
+      `<span class="level-${escapeHtml(a.level)}">${escapeHtml(a.level)}</span>`,
+      escapeHtml(a.message)
+    ])
+  );
+
+  const optics = session.optics || {};
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(project.project_name)} – ${escapeHtml(session.session_name)} report</title>
+<style>${STYLE}</style>
+</head>
+<body>
+<h1>${escapeHtml(project.project_name)} · ${escapeHtml(session.session_name)}</h1>
+<div class="subtitle">
+  ${escapeHtml(formatDate(session.start_time))} – ${escapeHtml(formatDate(session.end_time))} · status: ${escapeHtml(session.status)} ·
+  ${formatNumber(optics.pixel_size, 3)} Å/px, ${formatNumber(optics.voltage)} kV, Cs ${formatNumber(optics.cs, 1)} mm ·
+  ${escapeHtml(session.watch_directory)}
+</div>
+
+<div class="cards">${summary}</div>
+
+<h2>Throughput</h2>${throughput}
+<h2>Exposure quality</h2>${distributions}
+<h2>Rejections by rule</h2>${rejections}
+<h2>Best 2D classes</h2>${classGallery}
+<h2>3D refinements</h2>${refinements}
+<h2>Jobs</h2>${jobTable}
+<h2>Warnings and errors</h2>${activity}
+
+<footer>Generated by CryoProcess on ${escapeHtml(formatDate(generatedAt))}</footer>
+</body>
+</html>
+`;
+};
+
+// ─── Output ─────────────────────────────────────────────────────────
+
+/**
+ * Convert the HTML report to PDF with REPORT_PDF_COMMAND: a Chromium/Chrome
+ * binary (headless --print-to-pdf) or wkhtmltopdf
+ */
+const convertToPdf = (htmlPath, pdfPath) => new Promise((resolve, reject) => {
+  const command = settings.REPORT_PDF_COMMAND;
+  const args = path.basename(command).startsWith('wkhtmltopdf')
+    ? ['--quiet', '--enable-local-file-access', htmlPath, pdfPath]
+    : ['--headless', '--disable-gpu', '--no-sandbox', '--no-pdf-header-footer', `--print-to-pdf=${pdfPath}`, `file://${htmlPath}`];
+
+  execFile(command, args, { timeout: PDF_TIMEOUT_MS }, (err, stdout, stderr) => {
+    if (err) return reject(new Error(`${path.basename(command)} failed: ${(stderr || err.message).toString().slice(0, 200)}`));
+    if (!fs.existsSync(pdfPath)) return reject(new Error(`${path.basename(command)} wrote no PDF`));
+    return resolve(pdfPath);
+  });
+});
+
+/**
+ * Generate (or regenerate) a session's report and record it on the session
+ * @param {string} sessionId
+ * @returns {Promise<{htmlPath: string, pdfPath: string|null}|null>} null if the session is gone
+ */
+const generateSessionReport = async (sessionId) => {
+  const data = await collectReportData(sessionId);
+  if (!data) return null;
+
+  const reportDir = path.join(data.projectPath, REPORT_DIR);
+  fs.mkdirSync(reportDir, { recursive: true });
+  const baseName = data.session.session_name.replace(/[^\w.-]/g, '_');
+  const htmlPath = path.join(reportDir, `${baseName}.html`);
+  await fs.promises.writeFile(htmlPath, renderReportHtml(data));
+
+  let pdfPath = null;
+  let pdfError = null;
+  if (settings.REPORT_PDF_COMMAND) {
+    try {
+      pdfPath = await convertToPdf(htmlPath, path.join(reportDir, `${baseName}.pdf`));
+    } catch (err) {
+      pdfError = err.message;
+      logger.warn(`[LiveReport] PDF conversion failed for ${data.session.session_name}: ${err.message}`);
+    }
+  }
+
+  await LiveSession.findOneAndUpdate({ id: sessionId }, {
+    $set: {
+      report: { html_path: htmlPath, pdf_path: pdfPath, generated_at: data.generatedAt, error: pdfError }
+    }
+  });
+  logger.info(`[LiveReport] Report written for ${data.session.session_name}: ${htmlPath}${pdfPath ? ' (+ PDF)' : ''}`);
+  return { htmlPath, pdfPath };
+};
+
+module.exports = {
+  collectReportData,
+  renderReportHtml,
+  generateSessionReport
+};
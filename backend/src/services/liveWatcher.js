@@ -1,7 +1,8 @@
 /**
  * Live Session File Watcher
  *
- * Uses chokidar to watch directories for new movie files.
+ * Uses chokidar to watch directories for new movie files. A session may
+ * watch several source directories; files are tracked per session.
  * Debounces and batches file events to avoid overwhelming the pipeline.
  */
 
@@ -14,32 +15,83 @@ const logger = require('../utils/logger');
 class LiveWatcher extends EventEmitter {
   constructor() {
     super();
-    this.watchers = new Map();       // sessionId -> chokidar watcher
+    this.watchers = new Map();       // sessionId -> chokidar watcher[] (one per source)
     this.knownFiles = new Map();     // sessionId -> Set<filePath>
     this.debounceTimers = new Map(); // sessionId -> timer
     this.pendingFiles = new Map();   // sessionId -> Set<filePath>
+    this.fileSources = new Map();    // sessionId -> Map<filePath, sourceIndex>
   }
 
   /**
-   * Start watching a directory for new movie files
+   * Start watching one or more directories for new movie files
    * @param {string} sessionId
-   * @param {string} directory - Directory to watch
-   * @param {string} pattern - Glob pattern (e.g., '*.tiff')
+   * @param {string|Array<{directory: string, pattern: string}>} sources - Directory to
+   *   watch, or a list of sources each with its own directory and pattern
+   * @param {string} pattern - Glob pattern (e.g., '*.tiff') when sources is a directory
    * @param {string} inputMode - 'watch' or 'existing'
    */
-  start(sessionId, directory, pattern = '*.tiff', inputMode = 'watch') {
+  start(sessionId, sources, pattern = '*.tiff', inputMode = 'watch') {
     if (this.watchers.has(sessionId)) {
       logger.warn(`[LiveWatcher] Session ${sessionId} already being watched`);
       return;
     }
+    if (!Array.isArray(sources)) {
+      sources = [{ directory: sources, pattern }];
+    }
     this._inputModes = this._inputModes || new Map();
     this._inputModes.set(sessionId, inputMode);
 
-    // Validate directory
-    if (!fs.existsSync(directory)) {
-      throw new Error(`Watch directory does not exist: ${directory}`);
+    // Validate directories
+    for (const { directory } of sources) {
+      if (!fs.existsSync(directory)) {
+        throw new Error(`Watch directory does not exist: ${directory}`);
+      }
     }
 
+    this.knownFiles.set(sessionId, new Set());
+    this.pendingFiles.set(sessionId, new Set());
+    this.fileSources.set(sessionId, new Map());
+
+    const watchers = sources.map((source, index) =>
+      this._watchSource(sessionId, index, source.directory, source.pattern || '*.tiff', inputMode)
+    );
+
+    // For "existing" mode, emit all files once every source has been scanned and stop watching
+    let readyCount = 0;
+    watchers.forEach((watcher, index) => watcher.on('ready', () => {
+      const count = this.getFileCount(sessionId);
+      logger.info(`[LiveWatcher] Ready | session: ${sessionId} | source: ${sources[index].directory} | existing files: ${count}`);
+
+      readyCount++;
+      if (inputMode !== 'existing' || readyCount < watchers.length) return;
+
+      if (count > 0) {
+        this._flushPending(sessionId);
+      } else {
+        // No matching files found - emit empty event so orchestrator can handle it
+        const directory = sources.map(s => s.directory).join(', ');
+        logger.warn(`[LiveWatcher] Existing mode: no matching files found in ${directory} | session: ${sessionId}`);
+        this.emit('noFiles', { sessionId, directory });
+      }
+      // Stop watching - all existing files have been discovered
+      watchers.forEach(w => w.close());
+      this.watchers.delete(sessionId);
+      logger.info(`[LiveWatcher] Existing mode: watcher closed after initial scan | session: ${sessionId}`);
+    }));
+
+    this.watchers.set(sessionId, watchers);
+  }
+
+  /**
+   * Create the chokidar watcher for one source directory
+   * @param {string} sessionId
+   * @param {number} sourceIndex - Position of the source in the session's list
+   * @param {string} directory
+   * @param {string} pattern - Glob pattern (e.g., '*.tiff')
+   * @param {string} inputMode - 'watch' or 'existing'
+   * @returns {Object} chokidar watcher
+   */
+  _watchSource(sessionId, sourceIndex, directory, pattern, inputMode) {
     // Build file extension filter from glob pattern (chokidar v4 dropped glob support)
     // Convert patterns like "*.tiff" or "*.mrc" to extension checks
     const extensions = pattern
@@ -49,9 +101,6 @@ class LiveWatcher extends EventEmitter {
 
     logger.info(`[LiveWatcher] Starting watch | session: ${sessionId} | dir: ${directory} | pattern: ${pattern} | extensions: ${extensions.join(',')} | mode: ${inputMode}`);
 
-    this.knownFiles.set(sessionId, new Set());
-    this.pendingFiles.set(sessionId, new Set());
-
     // For 'existing' mode, files are already complete - use fast scan.
     // For 'watch' mode, files may still be writing - use stability check.
     const awaitOpts = inputMode === 'existing'
@@ -80,7 +129,7 @@ class LiveWatcher extends EventEmitter {
     });
 
     watcher.on('add', (filePath) => {
-      this._onFileAdded(sessionId, filePath);
+      this._onFileAdded(sessionId, filePath, sourceIndex);
     });
 
     watcher.on('error', (error) => {
@@ -88,42 +137,23 @@ class LiveWatcher extends EventEmitter {
       this.emit('error', { sessionId, error: error.message });
     });
 
-    watcher.on('ready', () => {
-      const known = this.knownFiles.get(sessionId);
-      const count = known ? known.size : 0;
-      logger.info(`[LiveWatcher] Ready | session: ${sessionId} | existing files: ${count}`);
-
-      // For "existing" mode, emit all files immediately and stop watching
-      if (inputMode === 'existing') {
-        if (count > 0) {
-          this._flushPending(sessionId);
-        } else {
-          // No matching files found - emit empty event so orchestrator can handle it
-          logger.warn(`[LiveWatcher] Existing mode: no matching files found in ${directory} | session: ${sessionId}`);
-          this.emit('noFiles', { sessionId, directory });
-        }
-        // Stop watching - all existing files have been discovered
-        watcher.close();
-        this.watchers.delete(sessionId);
-        logger.info(`[LiveWatcher] Existing mode: watcher closed after initial scan | session: ${sessionId}`);
-      }
-    });
-
-    this.watchers.set(sessionId, watcher);
+    return watcher;
   }
 
   /**
    * Handle new file detection
    * @param {string} sessionId
    * @param {string} filePath
+   * @param {number} sourceIndex - Source the file was found in
    */
-  _onFileAdded(sessionId, filePath) {
+  _onFileAdded(sessionId, filePath, sourceIndex = 0) {
     const known = this.knownFiles.get(sessionId);
     if (!known) return;
 
-    // Skip if already seen
+    // Skip if already seen (e.g. in an overlapping source directory)
     if (known.has(filePath)) return;
     known.add(filePath);
+    this.fileSources.get(sessionId)?.set(filePath, sourceIndex);
 
     // Add to pending batch
     const pending = this.pendingFiles.get(sessionId);
@@ -189,9 +219,9 @@ class LiveWatcher extends EventEmitter {
    * @param {string} sessionId
    */
   async stop(sessionId) {
-    const watcher = this.watchers.get(sessionId);
-    if (watcher) {
-      await watcher.close();
+    const watchers = this.watchers.get(sessionId);
+    if (watchers) {
+      await Promise.all(watchers.map(w => w.close()));
       this.watchers.delete(sessionId);
     }
 
@@ -204,6 +234,7 @@ class LiveWatcher extends EventEmitter {
 
     this.knownFiles.delete(sessionId);
     this.pendingFiles.delete(sessionId);
+    this.fileSources.delete(sessionId);
     if (this._inputModes) this._inputModes.delete(sessionId);
 
     logger.info(`[LiveWatcher] Stopped watching session ${sessionId}`);
@@ -229,6 +260,16 @@ class LiveWatcher extends EventEmitter {
     return known ? Array.from(known).sort() : [];
   }
 
+  /**
+   * Get the index of the source a known file was found in
+   * @param {string} sessionId
+   * @param {string} filePath
+   * @returns {number}
+   */
+  getFileSource(sessionId, filePath) {
+    return this.fileSources.get(sessionId)?.get(filePath) ?? 0;
+  }
+
   /**
    * Check if a session is being watched
    * @param {string} sessionId
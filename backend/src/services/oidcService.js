@@ -0,0 +1,282 @@
+/**
+ * OIDC Service
+ *
+ * OpenID Connect relying party for single sign-on: authorization code flow
+ * with PKCE (S256). Provider endpoints come from the issuer's discovery
+ * document and ID tokens are verified against its JWKS, both cached.
+ *
+ * Singleton pattern matching emailService.js.
+ */
+
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const jwt = require('jsonwebtoken');
+const logger = require('../utils/logger');
+const settings = require('../config/settings');
+
+const REQUEST_TIMEOUT_MS = 10000;
+// Discovery and keys are refetched after this long (or when a token names an unknown key)
+const METADATA_TTL_MS = 60 * 60 * 1000;
+const ID_TOKEN_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+
+const base64url = (buffer) => buffer.toString('base64url');
+
+const randomToken = () => base64url(crypto.randomBytes(32));
+
+const splitList = (value) => (value || '').split(',').map(s => s.trim()).filter(Boolean);
+
+/**
+ * Read a claim by name or dotted path (e.g. "realm_access.roles")
+ * @param {Object} claims
+ * @param {string} path
+ */
+const getClaim = (claims, path) => {
+  if (!path) return undefined;
+  if (path in claims) return claims[path];
+  return path.split('.').reduce((value, key) => (value && typeof value === 'object' ? value[key] : undefined), claims);
+};
+
+class OidcService {
+  /**
+   * @param {Object} [config] - Overrides for the OIDC_* settings (tests)
+   */
+  constructor(config = {}) {
+    this.config = {
+      enabled: settings.OIDC_ENABLED,
+      providerName: settings.OIDC_PROVIDER_NAME,
+      issuer: settings.OIDC_ISSUER,
+      clientId: settings.OIDC_CLIENT_ID,
+      clientSecret: settings.OIDC_CLIENT_SECRET,
+      redirectUri: settings.OIDC_REDIRECT_URI,
+      scopes: settings.OIDC_SCOPES,
+      usernameClaim: settings.OIDC_USERNAME_CLAIM,
+      emailClaim: settings.OIDC_EMAIL_CLAIM,
+      firstNameClaim: settings.OIDC_FIRST_NAME_CLAIM,
+      lastNameClaim: settings.OIDC_LAST_NAME_CLAIM,
+      groupsClaim: settings.OIDC_GROUPS_CLAIM,
+      superuserGroups: splitList(settings.OIDC_SUPERUSER_GROUPS),
+      staffGroups: splitList(settings.OIDC_STAFF_GROUPS),
+      autoProvision: settings.OIDC_AUTO_PROVISION,
+      ...config
+    };
+    this.enabled = !!(this.config.enabled && this.config.issuer && this.config.clientId);
+    this.metadata = null;
+    this.metadataFetchedAt = 0;
+    this.keys = null;
+    this.keysFetchedAt = 0;
+
+    if (this.config.enabled && !this.enabled) {
+      logger.warn('[OIDC] OIDC_ENABLED is set but OIDC_ISSUER or OIDC_CLIENT_ID is missing; SSO disabled');
+    }
+  }
+
+  /**
+   * Send a request and parse the JSON response
+   * @returns {Promise<Object>}
+   */
+  _request(url, { method = 'GET', headers = {}, body = null } = {}) {
+    return new Promise((resolve, reject) => {
+      const parsed = new URL(url);
+      const transport = parsed.protocol === 'https:' ? https : http;
+
+      const req = transport.request({
+        hostname: parsed.hostname,
+        port: parsed.port,
+        path: parsed.pathname + parsed.search,
+        method,
+        headers: {
+          Accept: 'application/json',
+          ...headers,
+          ...(body !== null ? { 'Content-Length': Buffer.byteLength(body) } : {})
+        },
+        timeout: REQUEST_TIMEOUT_MS
+      }, (res) => {
+        let data = '';
+        res.on('data', (chunk) => { data += chunk; });
+        res.on('end', () => {
+          let json = null;
+          try {
+            json = JSON.parse(data);
+          } catch {
+            // Reported below
+          }
+          if (res.statusCode < 200 || res.statusCode >= 300) {
+            const detail = json?.error_description || json?.error || data.slice(0, 200);
+            return reject(new Error(`${method} ${parsed.pathname} returned ${res.statusCode}: ${detail}`));
+          }
+          if (!json) return reject(new Error(`${method} ${parsed.pathname} did not return JSON`));
+          resolve(json);
+        });
+      });
+
+      req.on('timeout', () => req.destroy(new Error(`${method} ${parsed.pathname} timed out`)));
+      req.on('error', reject);
+      if (body !== null) req.write(body);
+      req.end();
+    });
+  }
+
+  /**
+   * Provider metadata from <issuer>/.well-known/openid-configuration
+   * @returns {Promise<Object>}
+   */
+  async discover() {
+    if (this.metadata && Date.now() - this.metadataFetchedAt < METADATA_TTL_MS) return this.metadata;
+
+    const metadata = await this._request(`${this.config.issuer}/.well-known/openid-configuration`);
+    if (metadata.issuer !== this.config.issuer) {
+      throw new Error(`Discovery issuer ${metadata.issuer} does not match OIDC_ISSUER ${this.config.issuer}`);
+    }
+    for (const key of ['authorization_endpoint', 'token_endpoint', 'jwks_uri']) {
+      if (!metadata[key]) throw new Error(`Discovery document has no ${key}`);
+    }
+
+    this.metadata = metadata;
+    this.metadataFetchedAt = Date.now();
+    return metadata;
+  }
+
+  /**
+   * Signing key for an ID token
+   * @param {string} [kid] - Key id from the token header
+   * @returns {Promise<crypto.KeyObject>}
+   */
+  async _getKey(kid) {
+    const find = () => (this.keys || []).find(k => (kid ? k.kid === kid : true) && (!k.use || k.use === 'sig'));
+
+    let jwk = this.keys && Date.now() - this.keysFetchedAt < METADATA_TTL_MS ? find() : null;
+    if (!jwk) {
+      // Unknown kid usually means the provider rotated its keys
+      const { jwks_uri: jwksUri } = await this.discover();
+      const { keys } = await this._request(jwksUri);
+      this.keys = Array.isArray(keys) ? keys : [];
+      this.keysFetchedAt = Date.now();
+      jwk = find();
+    }
+    if (!jwk) throw new Error(`No signing key${kid ? ` "${kid}"` : ''} in the provider JWKS`);
+
+    return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+  }
+
+  /**
+   * Start a login: provider URL plus the values to keep until the callback
+   * @param {string} redirectUri
+   * @returns {Promise<{url: string, state: string, nonce: string, codeVerifier: string}>}
+   */
+  async createAuthorization(redirectUri) {
+    const { authorization_endpoint: endpoint } = await this.discover();
+    const state = randomToken();
+    const nonce = randomToken();
+    const codeVerifier = randomToken();
+    const codeChallenge = base64url(crypto.createHash('sha256').update(codeVerifier).digest());
+
+    const url = new URL(endpoint);
+    url.searchParams.set('response_type', 'code');
+    url.searchParams.set('client_id', this.config.clientId);
+    url.searchParams.set('redirect_uri', redirectUri);
+    url.searchParams.set('scope', this.config.scopes);
+    url.searchParams.set('state', state);
+    url.searchParams.set('nonce', nonce);
+    url.searchParams.set('code_challenge', codeChallenge);
+    url.searchParams.set('code_challenge_method', 'S256');
+
+    return { url: url.toString(), state, nonce, codeVerifier };
+  }
+
+  /**
+   * Exchange an authorization code for tokens
+   * @param {string} code
+   * @param {string} codeVerifier - PKCE verifier from createAuthorization()
+   * @param {string} redirectUri - Same value sent to the authorization endpoint
+   * @returns {Promise<Object>} Token response (id_token, access_token, ...)
+   */
+  async exchangeCode(code, codeVerifier, redirectUri) {
+    const { token_endpoint: endpoint } = await this.discover();
+    const form = new URLSearchParams({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: redirectUri,
+      code_verifier: codeVerifier,
+      client_id: this.config.clientId
+    });
+
+    const headers = { 'Content-Type': 'application/x-www-form-urlencoded' };
+    if (this.config.clientSecret) {
+      // client_secret_basic (RFC 6749 §2.3.1: credentials are form-encoded first)
+      const credentials = `${encodeURIComponent(this.config.clientId)}:${encodeURIComponent(this.config.clientSecret)}`;
+      headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+    }
+
+    const tokens = await this._request(endpoint, { method: 'POST', headers, body: form.toString() });
+    if (!tokens.id_token) throw new Error('Token response has no id_token');
+    return tokens;
+  }
+
+  /**
+   * Verify an ID token's signature, issuer, audience, expiry and nonce
+   * @param {string} idToken
+   * @param {string} nonce - Nonce from createAuthorization()
+   * @returns {Promise<Object>} Claims
+   */
+  async verifyIdToken(idToken, nonce) {
+    const decoded = jwt.decode(idToken, { complete: true });
+    if (!decoded) throw new Error('ID token is not a JWT');
+
+    const key = await this._getKey(decoded.header.kid);
+    const claims = jwt.verify(idToken, key, {
+      algorithms: ID_TOKEN_ALGORITHMS,
+      issuer: this.config.issuer,
+      audience: this.config.clientId,
+      clockTolerance: 60
+    });
+
+    if (claims.nonce !== nonce) throw new Error('ID token nonce does not match');
+    if (!claims.sub) throw new Error('ID token has no sub claim');
+    return claims;
+  }
+
+  /**
+   * Map ID token claims onto User fields
+   * @param {Object} claims
+   * @returns {{externalId, username, email, emailVerified, firstName, lastName, groups, roles}}
+   *   roles only holds is_superuser / is_staff when the matching group list is configured
+   */
+  mapClaims(claims) {
+    const c = this.config;
+    const text = (value) => (typeof value === 'string' ? value.trim() : '');
+
+    let groups = getClaim(claims, c.groupsClaim);
+    if (typeof groups === 'string') groups = splitList(groups);
+    if (!Array.isArray(groups)) groups = [];
+    groups = groups.map(String);
+
+    const roles = {};
+    if (c.superuserGroups.length > 0) roles.is_superuser = groups.some(g => c.superuserGroups.includes(g));
+    if (c.staffGroups.length > 0) roles.is_staff = groups.some(g => c.staffGroups.includes(g));
+
+    return {
+      externalId: `${c.issuer}|${claims.sub}`,
+      username: text(getClaim(claims, c.usernameClaim)),
+      email: text(getClaim(claims, c.emailClaim)).toLowerCase(),
+      // Only an explicit true counts; providers that omit the claim do not vouch for the address
+      emailVerified: claims.email_verified === true,
+      firstName: text(getClaim(claims, c.firstNameClaim)),
+      lastName: text(getClaim(claims, c.lastNameClaim)),
+      groups,
+      roles
+    };
+  }
+}
+
+// Singleton
+let oidcServiceInstance = null;
+
+const getOidcService = () => {
+  if (!oidcServiceInstance) {
+    oidcServiceInstance = new OidcService();
+  }
+  return oidcServiceInstance;
+};
+
+module.exports = { OidcService, getOidcService };
@@ -0,0 +1,273 @@
+/**
+ * PBS Scheduler
+ *
+ * qsub/qstat/qdel backend for PBS Pro. Job states come from `qstat -x -f`,
+ * which includes finished jobs while server job history is enabled; when
+ * it is not, the monitor falls back to the RELION exit markers.
+ */
+
+const path = require('path');
+const logger = require('../utils/logger');
+const BaseScheduler = require('./baseScheduler');
+const { execCommand } = require('../utils/remoteExec');
+
+// qdel sends SIGTERM: PBS reports signal deaths as 256 + signal number
+const CANCELLED_EXIT_STATUS = 271;
+
+/**
+ * Parse `qstat -f` output into one attribute map per job
+ * @param {string} stdout
+ * @returns {Object} jobId -> { attribute: value }
+ */
+const parseQstatFull = (stdout) => {
+  const jobs = {};
+  let current = null;
+  let lastKey = null;
+
+  for (const line of stdout.split('\n')) {
+    const jobMatch = line.match(/^Job Id:\s*(\S+)/);
+    if (jobMatch) {
+      current = {};
+      jobs[jobMatch[1]] = current;
+      lastKey = null;
+      continue;
+    }
+    if (!current || !line.trim()) continue;
+
+    const attrMatch = line.match(/^\s+([\w.]+)\s=\s?(.*)$/);
+    if (attrMatch) {
+      lastKey = attrMatch[1];
+      current[lastKey] = attrMatch[2].trim();
+    } else if (lastKey && line.startsWith('\t')) {
+      // Long values wrap onto tab-indented continuation lines
+      current[lastKey] += line.trim();
+    }
+  }
+
+  return jobs;
+};
+
+class PbsScheduler extends BaseScheduler {
+  constructor() {
+    super();
+    this.name = 'pbs';
+    this.displayName = 'PBS';
+    this.submitCommands = ['qsub', '/usr/bin/qsub', '/opt/pbs/bin/qsub'];
+    this.cancelCommand = 'qdel';
+  }
+
+  sanitizeJobId(jobId) {
+    if (jobId === undefined || jobId === null) return null;
+
+    // PBS job IDs: sequence number (optionally an array "[]") and server name, e.g. 1234.pbs01
+    const jobIdStr = String(jobId).trim();
+    if (!/^[0-9]+(\[[0-9]*\])?(\.[A-Za-z0-9][\w.-]*)?$/.test(jobIdStr)) {
+      logger.warn(`[PBS] Invalid job ID rejected: ${jobId}`);
+      return null;
+    }
+    return jobIdStr;
+  }
+
+  dependencyUpdateCommand(jobId, dependencyIds) {
+    return ['qalter', ['-W', `depend=afterok:${dependencyIds.join(':')}`, jobId]];
+  }
+
+  scriptHeader(options) {
+    const {
+      jobName,
+      outputDir,
+      partition,
+      mpiProcs = 1,
+      threads = 1,
+      gpus = 0,
+      memory = 0,
+      additionalArgs = '',
+      dependsOn = []
+    } = options;
+
+    let header = `#!/bin/bash
+#PBS -N ${jobName}
+#PBS -o ${path.join(outputDir, 'run.out')}
+#PBS -e ${path.join(outputDir, 'run.err')}
+`;
+
+    if (partition) {
+      header += `#PBS -q ${partition}\n`;
+    }
+
+    let select = `select=1:ncpus=${mpiProcs * threads}:mpiprocs=${mpiProcs}`;
+    if (gpus > 0) {
+      select += `:ngpus=${gpus}`;
+    }
+    if (memory > 0) {
+      select += `:mem=${memory}gb`;
+    }
+    header += `#PBS -l ${select}\n`;
+
+    // PBS keeps dependents held when an upstream job fails; the monitor
+    // cancels them (see SlurmMonitor.cascadeToDependents)
+    const dependencyIds = this.dependencyIds(dependsOn);
+    if (dependencyIds.length > 0) {
+      header += `#PBS -W depend=afterok:${dependencyIds.join(':')}\n`;
+    }
+
+    if (additionalArgs) {
+      header += `${additionalArgs}\n`;
+    }
+
+    return header;
+  }
+
+  parseSubmitOutput(stdout) {
+    // qsub prints the full job ID, e.g. "1234.pbs01"
+    const id = stdout.trim().split('\n').pop();
+    return id ? this.sanitizeJobId(id) : null;
+  }
+
+  async queryStatuses(jobIds) {
+    const safeIds = jobIds.map(id => this.sanitizeJobId(id)).filter(Boolean);
+    if (safeIds.length === 0) return {};
+
+    // qstat exits non-zero when any ID is unknown but still prints the others
+    const stdout = await execCommand('qstat', ['-x', '-f', ...safeIds])
+      .then(result => result.stdout)
+      .catch(error => error.stdout || '');
+
+    const statusMap = {};
+    for (const [jobId, attrs] of Object.entries(parseQstatFull(stdout))) {
+      const exitCode = attrs.Exit_status !== undefined ? attrs.Exit_status : null;
+      statusMap[jobId] = {
+        state: this.mapState(attrs.job_state, exitCode),
+        rawState: attrs.job_state,
+        exitCode,
+        elapsed: attrs['resources_used.walltime'] || null,
+        source: 'qstat'
+      };
+    }
+    return statusMap;
+  }
+
+  /**
+   * Map a PBS job_state letter (and the exit status of finished jobs)
+   * @param {string} state - Q, H, R, F, ...
+   * @param {string|null} exitCode - Exit_status attribute
+   * @returns {string} pending/running/success/failed/cancelled
+   */
+  mapState(state, exitCode = null) {
+    const map = {
+      'Q': 'pending', 'H': 'pending', 'W': 'pending', 'T': 'pending', 'M': 'pending',
+      'R': 'running', 'E': 'running', 'B': 'running', 'S': 'running', 'U': 'running'
+    };
+    if (state === 'F' || state === 'X') {
+      const code = parseInt(exitCode, 10);
+      if (code === 0) return 'success';
+      if (code === CANCELLED_EXIT_STATUS) return 'cancelled';
+      return 'failed';
+    }
+    const mapped = map[state];
+    if (!mapped) {
+      logger.warn(`[PBS] Unknown job state "${state}", treating as failed`);
+    }
+    return mapped || 'failed';
+  }
+
+  async getQueueStatus() {
+    try {
+      const { stdout } = await execCommand('qstat', []);
+      const partitions = {};
+      let total = 0;
+
+      // Columns: Job id, Name, User, Time Use, S, Queue (after two header lines)
+      for (const line of stdout.trim().split('\n').slice(2).filter(l => l.trim())) {
+        const cols = line.trim().split(/\s+/);
+        const state = cols[4];
+        const queue = cols[5];
+        if (!queue) continue;
+        if (!partitions[queue]) partitions[queue] = { running: 0, pending: 0, total: 0 };
+        partitions[queue].total++;
+        total++;
+        if (state === 'R') partitions[queue].running++;
+        else if (state === 'Q' || state === 'H') partitions[queue].pending++;
+      }
+      return { partitions, total };
+    } catch (error) {
+      return { partitions: {}, total: 0 };
+    }
+  }
+
+  async listJobs({ user } = {}) {
+    try {
+      const { stdout } = await execCommand('qstat', []);
+
+      // Columns: Job id, Name, User, Time Use, S, Queue (after two header lines)
+      return stdout.trim().split('\n').slice(2).filter(l => l.trim()).map(line => {
+        const [jobId, name, jobUser, elapsed, state, queue] = line.trim().split(/\s+/);
+        return {
+          jobId,
+          name,
+          user: jobUser,
+          partition: queue,
+          state,
+          status: state === 'R' ? 'running' : (state === 'Q' || state === 'H') ? 'pending' : null,
+          elapsed,
+          timelimit: '',
+          nodes: 1,
+          reason: ''
+        };
+      }).filter(job => job.partition && (!user || job.user === user));
+    } catch (error) {
+      return [];
+    }
+  }
+
+  async getJobDetails(jobId) {
+    const safeJobId = this.sanitizeJobId(jobId);
+    if (!safeJobId) return null;
+
+    const stdout = await execCommand('qstat', ['-x', '-f', safeJobId])
+      .then(result => result.stdout)
+      .catch(() => '');
+    const [id, attrs] = Object.entries(parseQstatFull(stdout))[0] || [];
+    if (!id) return null;
+
+    return {
+      jobId: id,
+      jobName: attrs.Job_Name,
+      state: attrs.job_state,
+      exitCode: attrs.Exit_status || null,
+      elapsed: attrs['resources_used.walltime'] || null,
+      maxRSS: attrs['resources_used.mem'] || null,
+      maxVMSize: attrs['resources_used.vmem'] || null,
+      ncpus: attrs['resources_used.ncpus'] || null,
+      nnodes: null
+    };
+  }
+
+  async getPartitions() {
+    try {
+      const { stdout } = await execCommand('qstat', ['-Q']);
+
+      // Columns: Queue, Max, Tot, Ena, Str, Que, Run, ... (after two header lines)
+      return stdout.trim().split('\n').slice(2).filter(l => l.trim()).map(line => {
+        const cols = line.trim().split(/\s+/);
+        return {
+          name: cols[0],
+          isDefault: false,
+          available: cols[3] === 'yes' && cols[4] === 'yes',
+          nodes: { total: 0, idle: 0, allocated: 0, down: 0 }
+        };
+      });
+    } catch (error) {
+      return [];
+    }
+  }
+
+  async isAvailable() {
+    return execCommand('qstat', ['--version'])
+      .then(() => true)
+      .catch(() => false);
+  }
+}
+
+module.exports = PbsScheduler;
+module.exports.parseQstatFull = parseQstatFull;
@@ -0,0 +1,76 @@
+/**
+ * Scheduler Registry
+ *
+ * Batch scheduler backends and the one new jobs are submitted to. The
+ * active backend comes from SCHEDULER_TYPE and can be changed at runtime
+ * through the cluster config endpoint. Jobs record the backend they were
+ * submitted to, so switching does not strand jobs already queued.
+ * The fake backend can only be selected with ENABLE_FAKE_SCHEDULER.
+ */
+
+const logger = require('../utils/logger');
+const settings = require('../config/settings');
+const SlurmScheduler = require('./slurmScheduler');
+const PbsScheduler = require('./pbsScheduler');
+const FakeScheduler = require('./fakeScheduler');
+
+const SCHEDULER_CLASSES = {
+  slurm: SlurmScheduler,
+  pbs: PbsScheduler,
+  fake: FakeScheduler
+};
+
+// One instance per backend (the fake scheduler keeps its jobs in memory)
+const instances = new Map();
+
+/**
+ * Backends new jobs may be submitted to
+ * @returns {string[]}
+ */
+const getSchedulerTypes = () => Object.keys(SCHEDULER_CLASSES)
+  .filter(type => type !== 'fake' || settings.ENABLE_FAKE_SCHEDULER);
+
+let activeType = getSchedulerTypes().includes(settings.SCHEDULER_TYPE) ? settings.SCHEDULER_TYPE : 'slurm';
+if (activeType !== settings.SCHEDULER_TYPE) {
+  logger.warn(`[Scheduler] SCHEDULER_TYPE "${settings.SCHEDULER_TYPE}" is unknown or not enabled, using slurm`);
+}
+
+/**
+ * Get a scheduler backend
+ * @param {string} [type] - Backend name; defaults to the active one
+ * @returns {BaseScheduler}
+ */
+const getScheduler = (type = activeType) => {
+  const name = SCHEDULER_CLASSES[type] ? type : activeType;
+  if (!instances.has(name)) {
+    instances.set(name, new SCHEDULER_CLASSES[name]());
+  }
+  return instances.get(name);
+};
+
+/**
+ * Name of the backend new jobs are submitted to
+ * @returns {string}
+ */
+const getSchedulerType = () => activeType;
+
+/**
+ * Switch the backend new jobs are submitted to
+ * @param {string} type - One of getSchedulerTypes()
+ * @returns {boolean} false for unknown or disabled backends
+ */
+const setSchedulerType = (type) => {
+  if (!getSchedulerTypes().includes(type)) return false;
+  if (type !== activeType) {
+    logger.info(`[Scheduler] Switched from ${activeType} to ${type}`);
+    activeType = type;
+  }
+  return true;
+};
+
+module.exports = {
+  getSchedulerTypes,
+  getScheduler,
+  getSchedulerType,
+  setSchedulerType
+};
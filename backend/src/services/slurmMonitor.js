@@ -1,15 +1,16 @@
 /**
  * SLURM Monitoring Service
  *
- * Polls SLURM for job status updates and checks RELION marker files.
+ * Polls the batch scheduler (SLURM, PBS, ...) for job status updates and
+ * checks RELION marker files. Each job is queried through the scheduler it
+ * was submitted to.
  */
 
-const { execCommand } = require('../utils/remoteExec');
 const fs = require('fs');
 const path = require('path');
 const logger = require('../utils/logger');
 const Job = require('../models/Job');
-const { sanitizeSlurmJobId } = require('../utils/security');
+const { getScheduler } = require('./schedulers');
 const { storeJobMetadata } = require('../utils/pipelineMetadata');
 const EventEmitter = require('events');
 
@@ -19,8 +20,6 @@ class SlurmMonitor extends EventEmitter {
     this.pollInterval = options.pollInterval || 5000; // 5 seconds default
     this.isRunning = false;
     this.timer = null;
-    this.sacctCommand = options.sacctCommand || 'sacct';
-    this.squeueCommand = options.squeueCommand || 'squeue';
 
     // Orphan detection: track consecutive polls where SLURM has no info for a job
     // After maxMissedPolls consecutive misses, mark the job as failed
@@ -77,8 +76,7 @@ class SlurmMonitor extends EventEmitter {
 
     logger.debug(`[SlurmMonitor] Checking ${activeJobs.length} active jobs`);
 
-    const slurmIds = [...new Set(activeJobs.map(j => j.slurm_job_id).filter(Boolean))];
-    const statusMap = await this.getSlurmJobStatuses(slurmIds);
+    const statusMap = await this.getSchedulerStatuses(activeJobs);
 
     for (const job of activeJobs) {
       // Check RELION marker files first (more reliable)
@@ -97,8 +95,8 @@ class SlurmMonitor extends EventEmitter {
         }
       }
 
-      // Fall back to SLURM status
-      const slurmStatus = statusMap[job.slurm_job_id];
+      // Fall back to scheduler status
+      const slurmStatus = statusMap[this.statusKey(job)];
       if (slurmStatus) {
         await this.updateJobStatus(job, slurmStatus);
         // Reset missed poll counter - SLURM knows about this job
@@ -215,119 +213,42 @@ class SlurmMonitor extends EventEmitter {
     }
   }
 
-  async getSlurmJobStatuses(slurmIds) {
-    const statusMap = {};
-    if (slurmIds.length === 0) return statusMap;
+  /**
+   * Key of a job in the status map: scheduler job IDs are only unique per backend
+   * @param {Object} job
+   * @returns {string}
+   */
+  statusKey(job) {
+    return `${job.scheduler || 'slurm'}:${job.slurm_job_id}`;
+  }
 
-    try {
-      Object.assign(statusMap, await this.querySqueue(slurmIds));
-    } catch (error) {
-      logger.debug(`[SlurmMonitor] squeue failed: ${error.message}`);
+  /**
+   * Query every active job through the scheduler it was submitted to
+   * @param {Array} activeJobs - Jobs with a scheduler job ID
+   * @returns {Promise<Object>} statusKey -> { state, rawState, exitCode, source, ... }
+   */
+  async getSchedulerStatuses(activeJobs) {
+    const idsByScheduler = new Map();
+    for (const job of activeJobs) {
+      const type = job.scheduler || 'slurm';
+      if (!idsByScheduler.has(type)) idsByScheduler.set(type, new Set());
+      idsByScheduler.get(type).add(job.slurm_job_id);
     }
 
-    const missingIds = slurmIds.filter(id => !statusMap[id]);
-    if (missingIds.length > 0) {
+    const statusMap = {};
+    for (const [type, ids] of idsByScheduler) {
       try {
-        Object.assign(statusMap, await this.querySacct(missingIds));
+        const statuses = await getScheduler(type).queryStatuses([...ids]);
+        for (const [id, status] of Object.entries(statuses)) {
+          statusMap[`${type}:${id}`] = status;
+        }
       } catch (error) {
-        logger.debug(`[SlurmMonitor] sacct failed: ${error.message}`);
+        logger.debug(`[SlurmMonitor] ${type} status query failed: ${error.message}`);
       }
     }
-
     return statusMap;
   }
 
-  querySqueue(slurmIds) {
-    return new Promise((resolve) => {
-      // Sanitize all SLURM job IDs
-      const safeIds = slurmIds.map(id => sanitizeSlurmJobId(id)).filter(Boolean);
-      if (safeIds.length === 0) {
-        resolve({});
-        return;
-      }
-
-      const args = ['-j', safeIds.join(','), '--format=%i|%t|%M|%L', '--noheader'];
-
-      execCommand(this.squeueCommand, args)
-        .then(({ stdout }) => {
-          const statusMap = {};
-          for (const line of stdout.trim().split('\n').filter(l => l)) {
-            const [jobId, state, elapsed, remaining] = line.split('|').map(s => s.trim());
-            if (jobId && state) {
-              statusMap[jobId] = {
-                state: this.mapSqueueState(state),
-                rawState: state, elapsed, remaining, source: 'squeue'
-              };
-            }
-          }
-          resolve(statusMap);
-        })
-        .catch(() => resolve({}));
-    });
-  }
-
-  querySacct(slurmIds) {
-    return new Promise((resolve) => {
-      // Sanitize all SLURM job IDs
-      const safeIds = slurmIds.map(id => sanitizeSlurmJobId(id)).filter(Boolean);
-      if (safeIds.length === 0) {
-        resolve({});
-        return;
-      }
-
-      const args = ['-j', safeIds.join(','), '--format=JobID,State,ExitCode,Elapsed', '--noheader', '--parsable2'];
-
-      execCommand(this.sacctCommand, args)
-        .then(({ stdout }) => {
-          const statusMap = {};
-          for (const line of stdout.trim().split('\n').filter(l => l)) {
-            const parts = line.split('|');
-            if (parts.length >= 4) {
-              const [jobId, state, exitCode, elapsed] = parts;
-              if (jobId && !jobId.includes('.')) {
-                statusMap[jobId] = {
-                  state: this.mapSacctState(state),
-                  rawState: state, exitCode, elapsed, source: 'sacct'
-                };
-              }
-            }
-          }
-          resolve(statusMap);
-        })
-        .catch(() => resolve({}));
-    });
-  }
-
-  mapSqueueState(state) {
-    const map = {
-      'PD': 'pending', 'R': 'running', 'CG': 'running', 'CF': 'pending',
-      'S': 'running', 'ST': 'running', 'CA': 'cancelled', 'CD': 'success',
-      'F': 'failed', 'TO': 'failed', 'NF': 'failed', 'OOM': 'failed',
-      'PR': 'failed', 'BF': 'failed'
-    };
-    const mapped = map[state];
-    if (!mapped) {
-      logger.warn(`[SlurmMonitor] Unknown squeue state "${state}", treating as failed`);
-    }
-    return mapped || 'failed';
-  }
-
-  mapSacctState(state) {
-    const baseState = state.split(' ')[0].toUpperCase();
-    const map = {
-      'PENDING': 'pending', 'RUNNING': 'running', 'SUSPENDED': 'running',
-      'COMPLETING': 'running', 'COMPLETED': 'success', 'CANCELLED': 'cancelled',
-      'FAILED': 'failed', 'TIMEOUT': 'failed', 'NODE_FAIL': 'failed',
-      'PREEMPTED': 'failed', 'BOOT_FAIL': 'failed', 'OUT_OF_MEMORY': 'failed',
-      'DEADLINE': 'failed'
-    };
-    const mapped = map[baseState];
-    if (!mapped) {
-      logger.warn(`[SlurmMonitor] Unknown sacct state "${state}", treating as failed`);
-    }
-    return mapped || 'failed';
-  }
-
   async updateJobStatus(job, slurmStatus) {
     const newStatus = slurmStatus.state;
     const currentStatus = job.status;
@@ -338,23 +259,32 @@ class SlurmMonitor extends EventEmitter {
     logger.info(`[SlurmMonitor] Job ${job.id}: ${currentStatus} -> ${newStatus} (${slurmStatus.source})`);
 
     const updateData = { status: newStatus, updated_at: new Date() };
+    let diagnosis = null;
+
+    // Jobs queued behind a dependency start when SLURM releases them
+    if (newStatus === 'running' && !job.start_time) {
+      updateData.start_time = new Date();
+    }
 
     if (['success', 'failed', 'cancelled'].includes(newStatus)) {
       updateData.end_time = new Date();
-      if (newStatus === 'failed') {
+      if (slurmStatus.source === 'dependency') {
+        updateData.error_message = `Upstream job ${slurmStatus.upstreamJobName} ${slurmStatus.upstreamStatus}`;
+      } else if (newStatus === 'failed') {
         updateData.error_message = `Job ${slurmStatus.rawState}`;
         if (slurmStatus.exitCode && slurmStatus.exitCode !== '0:0') {
           updateData.error_message += ` (exit: ${slurmStatus.exitCode})`;
         }
 
         // Enrich with RELION error summary from log files
+        let issues = [];
         if (job.output_file_path) {
           try {
             const { parseRelionErrors, buildErrorSummary } = require('../utils/relionLogParser');
             const outputDir = path.isAbsolute(job.output_file_path)
               ? job.output_file_path
               : job.output_file_path; // relative paths resolved at read time
-            const { issues } = parseRelionErrors(outputDir);
+            ({ issues } = parseRelionErrors(outputDir));
             const summary = buildErrorSummary(issues);
             if (summary) {
               updateData.error_message += ` — ${summary}`;
@@ -363,6 +293,31 @@ class SlurmMonitor extends EventEmitter {
             logger.debug(`[SlurmMonitor] Could not parse RELION logs for ${job.id}: ${parseErr.message}`);
           }
         }
+
+        const { diagnoseFailure } = require('./jobRetry');
+        diagnosis = diagnoseFailure(slurmStatus, issues);
+        updateData.failure_diagnosis = diagnosis;
+      }
+    }
+
+    // Transient failures are resubmitted in place when the project's retry policy allows
+    if (diagnosis && diagnosis.errorClass) {
+      const retry = await this.retryJob(job, diagnosis, updateData.error_message);
+      if (retry) {
+        this.emit('statusChange', {
+          jobId: job.id,
+          projectId: job.project_id,
+          oldStatus: currentStatus,
+          newStatus: retry.success ? 'pending' : 'failed',
+          slurmStatus,
+          retry
+        });
+        if (retry.success) {
+          await this.redirectDependents(job);
+        } else {
+          await this.cascadeToDependents(job, 'failed');
+        }
+        return;
       }
     }
 
@@ -384,79 +339,133 @@ class SlurmMonitor extends EventEmitter {
       newStatus,
       slurmStatus
     });
+
+    if (['failed', 'cancelled'].includes(newStatus)) {
+      await this.cascadeToDependents(job, newStatus);
+    }
   }
 
-  async getQueueStatus() {
-    return new Promise((resolve) => {
-      const args = ['--format=%P|%t', '--noheader'];
-
-      execCommand(this.squeueCommand, args)
-        .then(({ stdout }) => {
-          const partitions = {};
-          let total = 0;
-
-          for (const line of stdout.trim().split('\n').filter(l => l)) {
-            const [partition, state] = line.split('|').map(s => s.trim());
-            if (partition) {
-              if (!partitions[partition]) partitions[partition] = { running: 0, pending: 0, total: 0 };
-              partitions[partition].total++;
-              total++;
-              if (state === 'R') partitions[partition].running++;
-              else if (state === 'PD') partitions[partition].pending++;
-            }
-          }
-          resolve({ partitions, total });
-        })
-        .catch(() => resolve({ partitions: {}, total: 0 }));
-    });
+  /**
+   * Resubmit a failed job under its project's retry policy
+   * @param {Object} job - Failed job
+   * @param {Object} diagnosis - From jobRetry.diagnoseFailure
+   * @param {string} errorMessage - Error message of the failed run
+   * @returns {Promise<Object|null>} Retry outcome, or null when the job stays failed
+   */
+  async retryJob(job, diagnosis, errorMessage) {
+    try {
+      const { retryFailedJob } = require('./jobRetry');
+      return await retryFailedJob(job, diagnosis, errorMessage);
+    } catch (error) {
+      logger.error(`[SlurmMonitor] Retry of ${job.id} failed: ${error.message}`);
+      return null;
+    }
   }
 
-  cancelJob(slurmJobId) {
-    return new Promise((resolve) => {
-      const safeJobId = sanitizeSlurmJobId(slurmJobId);
-      if (!safeJobId) {
-        logger.warn(`[SlurmMonitor] Invalid job ID for cancel: ${slurmJobId}`);
-        resolve(false);
-        return;
-      }
+  /**
+   * Cancel jobs queued with an afterok dependency on a job that did not
+   * succeed, so they do not sit in the queue forever. Each dependent takes
+   * the upstream status, which cascades further down the chain.
+   * @param {Object} job - Upstream job that failed or was cancelled
+   * @param {string} status - 'failed' or 'cancelled'
+   */
+  async cascadeToDependents(job, status) {
+    try {
+      const dependents = await Job.find({
+        depends_on: job.id,
+        status: { $in: ['running', 'pending'] }
+      }).lean();
 
-      execCommand('scancel', [safeJobId])
-        .then(() => {
-          logger.info(`[SlurmMonitor] Cancelled SLURM job ${safeJobId}`);
-          resolve(true);
-        })
-        .catch((error) => {
-          logger.error(`[SlurmMonitor] Failed to cancel ${safeJobId}: ${error.message}`);
-          resolve(false);
-        });
-    });
+      for (const dependent of dependents) {
+        await this.endDependent(dependent, job, status);
+      }
+    } catch (error) {
+      logger.error(`[SlurmMonitor] Failed to cascade ${status} from ${job.id}: ${error.message}`);
+    }
   }
 
-  async getJobDetails(slurmJobId) {
-    return new Promise((resolve) => {
-      const safeJobId = sanitizeSlurmJobId(slurmJobId);
-      if (!safeJobId) {
-        resolve(null);
-        return;
+  /**
+   * Point jobs queued behind a retried job at its new scheduler job, so they
+   * wait for the retry rather than the failed run. Dependents the scheduler
+   * cannot update (already dropped, or no support) fail as before.
+   * @param {Object} job - Upstream job that was resubmitted
+   */
+  async redirectDependents(job) {
+    try {
+      const dependents = await Job.find({
+        depends_on: job.id,
+        status: { $in: ['running', 'pending'] }
+      }).lean();
+      if (dependents.length === 0) return;
+
+      // Scheduler IDs of every upstream job still queued, the retried one included
+      const upstream = await Job.find({
+        id: { $in: [...new Set(dependents.flatMap(d => d.depends_on || []))] },
+        status: { $in: ['running', 'pending'] }
+      }).select('id slurm_job_id').lean();
+      const schedulerIds = new Map(upstream.filter(u => u.slurm_job_id).map(u => [u.id, u.slurm_job_id]));
+
+      for (const dependent of dependents) {
+        const dependsOn = (dependent.depends_on || []).map(id => schedulerIds.get(id)).filter(Boolean);
+        const redirected = Boolean(dependent.slurm_job_id) && schedulerIds.has(job.id) &&
+          await getScheduler(dependent.scheduler).updateDependencies(dependent.slurm_job_id, dependsOn);
+        if (redirected) {
+          logger.info(`[SlurmMonitor] Job ${dependent.id} now waits for the retry of ${job.id}`);
+        } else {
+          await this.endDependent(dependent, job, 'failed');
+        }
       }
+    } catch (error) {
+      logger.error(`[SlurmMonitor] Failed to redirect dependents of ${job.id}: ${error.message}`);
+    }
+  }
 
-      const args = ['-j', safeJobId, '--format=JobID,JobName,State,ExitCode,Elapsed,MaxRSS,MaxVMSize,NCPUS,NNodes', '--parsable2', '--noheader'];
+  /**
+   * Cancel a dependent in its scheduler and give it the upstream status
+   * @param {Object} dependent - Job waiting on the upstream job
+   * @param {Object} job - Upstream job
+   * @param {string} status - 'failed' or 'cancelled'
+   */
+  async endDependent(dependent, job, status) {
+    logger.info(`[SlurmMonitor] Job ${dependent.id} depends on ${job.id} (${status}), ${status === 'failed' ? 'failing' : 'cancelling'} it`);
+    if (dependent.slurm_job_id) {
+      await this.cancelJob(dependent.slurm_job_id, dependent.scheduler);
+    }
+    await this.updateJobStatus(dependent, {
+      state: status,
+      rawState: 'DEPENDENCY',
+      source: 'dependency',
+      upstreamJobName: job.job_name,
+      upstreamStatus: status
+    });
+  }
 
-      execCommand(this.sacctCommand, args)
-        .then(({ stdout }) => {
-          if (!stdout.trim()) { resolve(null); return; }
+  /**
+   * Job counts per partition of the active scheduler
+   * @returns {Promise<{partitions: Object, total: number}>}
+   */
+  async getQueueStatus() {
+    return getScheduler().getQueueStatus();
+  }
 
-          const mainLine = stdout.trim().split('\n').find(l => !l.split('|')[0].includes('.'));
-          if (!mainLine) { resolve(null); return; }
+  /**
+   * Cancel a job in its scheduler
+   * @param {string} slurmJobId - Scheduler job ID
+   * @param {string} [schedulerType] - Backend the job was submitted to; defaults to the active one
+   * @returns {Promise<boolean>}
+   */
+  async cancelJob(slurmJobId, schedulerType) {
+    return getScheduler(schedulerType).cancel(slurmJobId);
+  }
 
-          const p = mainLine.split('|');
-          resolve({
-            jobId: p[0], jobName: p[1], state: p[2], exitCode: p[3],
-            elapsed: p[4], maxRSS: p[5], maxVMSize: p[6], ncpus: p[7], nnodes: p[8]
-          });
-        })
-        .catch(() => resolve(null));
-    });
+  /**
+   * Accounting details of a job
+   * @param {string} slurmJobId - Scheduler job ID
+   * @param {string} [schedulerType] - Backend the job was submitted to; defaults to the active one
+   * @returns {Promise<Object|null>}
+   */
+  async getJobDetails(slurmJobId, schedulerType) {
+    return getScheduler(schedulerType).getJobDetails(slurmJobId);
   }
 }
 
@@ -0,0 +1,307 @@
+/**
+ * SLURM Scheduler
+ *
+ * sbatch/squeue/sacct/scancel backend. Running and queued jobs are read
+ * from squeue; finished jobs fall back to sacct.
+ */
+
+const path = require('path');
+const logger = require('../utils/logger');
+const BaseScheduler = require('./baseScheduler');
+const { execCommand } = require('../utils/remoteExec');
+const { sanitizeSlurmJobId } = require('../utils/security');
+
+class SlurmScheduler extends BaseScheduler {
+  constructor(options = {}) {
+    super();
+    this.name = 'slurm';
+    this.displayName = 'SLURM';
+    this.submitCommands = ['sbatch', '/usr/bin/sbatch'];
+    this.cancelCommand = 'scancel';
+    this.squeueCommand = options.squeueCommand || 'squeue';
+    this.sacctCommand = options.sacctCommand || 'sacct';
+  }
+
+  sanitizeJobId(jobId) {
+    return sanitizeSlurmJobId(jobId);
+  }
+
+  dependencyUpdateCommand(jobId, dependencyIds) {
+    return ['scontrol', ['update', `JobId=${jobId}`, `Dependency=afterok:${dependencyIds.join(':')}`]];
+  }
+
+  scriptHeader(options) {
+    const {
+      jobName,
+      outputDir,
+      partition,
+      mpiProcs = 1,
+      threads = 1,
+      gpus = 0,
+      memory = 0,
+      additionalArgs = '',
+      dependsOn = []
+    } = options;
+
+    let header = `#!/bin/bash
+#SBATCH --job-name=${jobName}
+#SBATCH --output=${path.join(outputDir, 'run.out')}
+#SBATCH --error=${path.join(outputDir, 'run.err')}
+`;
+
+    if (partition) {
+      header += `#SBATCH --partition=${partition}\n`;
+    }
+
+    if (mpiProcs > 1) {
+      header += `#SBATCH --ntasks=${mpiProcs}\n`;
+    }
+
+    if (threads > 1) {
+      header += `#SBATCH --cpus-per-task=${threads}\n`;
+    }
+
+    if (gpus > 0) {
+      header += `#SBATCH --gres=gpu:${gpus}\n`;
+    }
+
+    if (memory > 0) {
+      header += `#SBATCH --mem=${memory}G\n`;
+    }
+
+    // Hold the job until every upstream job has completed successfully.
+    // If one of them fails, SLURM drops this job instead of leaving it pending.
+    const dependencyIds = this.dependencyIds(dependsOn);
+    if (dependencyIds.length > 0) {
+      header += `#SBATCH --dependency=afterok:${dependencyIds.join(':')}\n`;
+      header += '#SBATCH --kill-on-invalid-dep=yes\n';
+    }
+
+    if (additionalArgs) {
+      header += `${additionalArgs}\n`;
+    }
+
+    return header;
+  }
+
+  parseSubmitOutput(stdout) {
+    // e.g. "Submitted batch job 12345"
+    const match = stdout.match(/Submitted batch job (\d+)/);
+    return match ? match[1] : null;
+  }
+
+  async queryStatuses(jobIds) {
+    const statusMap = {};
+    if (jobIds.length === 0) return statusMap;
+
+    Object.assign(statusMap, await this.querySqueue(jobIds));
+
+    const missingIds = jobIds.filter(id => !statusMap[id]);
+    if (missingIds.length > 0) {
+      Object.assign(statusMap, await this.querySacct(missingIds));
+    }
+
+    return statusMap;
+  }
+
+  async querySqueue(jobIds) {
+    // Sanitize all SLURM job IDs
+    const safeIds = jobIds.map(id => sanitizeSlurmJobId(id)).filter(Boolean);
+    if (safeIds.length === 0) return {};
+
+    const args = ['-j', safeIds.join(','), '--format=%i|%t|%M|%L', '--noheader'];
+
+    try {
+      const { stdout } = await execCommand(this.squeueCommand, args);
+      const statusMap = {};
+      for (const line of stdout.trim().split('\n').filter(l => l)) {
+        const [jobId, state, elapsed, remaining] = line.split('|').map(s => s.trim());
+        if (jobId && state) {
+          statusMap[jobId] = {
+            state: this.mapSqueueState(state),
+            rawState: state, elapsed, remaining, source: 'squeue'
+          };
+        }
+      }
+      return statusMap;
+    } catch (error) {
+      logger.debug(`[SLURM] squeue failed: ${error.message}`);
+      return {};
+    }
+  }
+
+  async querySacct(jobIds) {
+    // Sanitize all SLURM job IDs
+    const safeIds = jobIds.map(id => sanitizeSlurmJobId(id)).filter(Boolean);
+    if (safeIds.length === 0) return {};
+
+    const args = ['-j', safeIds.join(','), '--format=JobID,State,ExitCode,Elapsed', '--noheader', '--parsable2'];
+
+    try {
+      const { stdout } = await execCommand(this.sacctCommand, args);
+      const statusMap = {};
+      for (const line of stdout.trim().split('\n').filter(l => l)) {
+        const parts = line.split('|');
+        if (parts.length >= 4) {
+          const [jobId, state, exitCode, elapsed] = parts;
+          if (jobId && !jobId.includes('.')) {
+            statusMap[jobId] = {
+              state: this.mapSacctState(state),
+              rawState: state, exitCode, elapsed, source: 'sacct'
+            };
+          }
+        }
+      }
+      return statusMap;
+    } catch (error) {
+      logger.debug(`[SLURM] sacct failed: ${error.message}`);
+      return {};
+    }
+  }
+
+  mapSqueueState(state) {
+    const map = {
+      'PD': 'pending', 'R': 'running', 'CG': 'running', 'CF': 'pending',
+      'S': 'running', 'ST': 'running', 'CA': 'cancelled', 'CD': 'success',
+      'F': 'failed', 'TO': 'failed', 'NF': 'failed', 'OOM': 'failed',
+      'PR': 'failed', 'BF': 'failed'
+    };
+    const mapped = map[state];
+    if (!mapped) {
+      logger.warn(`[SLURM] Unknown squeue state "${state}", treating as failed`);
+    }
+    return mapped || 'failed';
+  }
+
+  mapSacctState(state) {
+    const baseState = state.split(' ')[0].toUpperCase();
+    const map = {
+      'PENDING': 'pending', 'RUNNING': 'running', 'SUSPENDED': 'running',
+      'COMPLETING': 'running', 'COMPLETED': 'success', 'CANCELLED': 'cancelled',
+      'FAILED': 'failed', 'TIMEOUT': 'failed', 'NODE_FAIL': 'failed',
+      'PREEMPTED': 'failed', 'BOOT_FAIL': 'failed', 'OUT_OF_MEMORY': 'failed',
+      'DEADLINE': 'failed'
+    };
+    const mapped = map[baseState];
+    if (!mapped) {
+      logger.warn(`[SLURM] Unknown sacct state "${state}", treating as failed`);
+    }
+    return mapped || 'failed';
+  }
+
+  async getQueueStatus() {
+    try {
+      const { stdout } = await execCommand(this.squeueCommand, ['--format=%P|%t', '--noheader']);
+      const partitions = {};
+      let total = 0;
+
+      for (const line of stdout.trim().split('\n').filter(l => l)) {
+        const [partition, state] = line.split('|').map(s => s.trim());
+        if (partition) {
+          if (!partitions[partition]) partitions[partition] = { running: 0, pending: 0, total: 0 };
+          partitions[partition].total++;
+          total++;
+          if (state === 'R') partitions[partition].running++;
+          else if (state === 'PD') partitions[partition].pending++;
+        }
+      }
+      return { partitions, total };
+    } catch (error) {
+      return { partitions: {}, total: 0 };
+    }
+  }
+
+  async listJobs({ user } = {}) {
+    const args = ['--format=%i|%j|%u|%P|%t|%M|%l|%D|%R', '--noheader'];
+    if (user) args.push(`--user=${user}`);
+
+    try {
+      const { stdout } = await execCommand(this.squeueCommand, args);
+      return stdout.trim().split('\n').filter(l => l).map(line => {
+        const [jobId, name, jobUser, partition, state, elapsed, timelimit, nodes, reason] =
+          line.split('|').map(s => s.trim());
+        return {
+          jobId,
+          name,
+          user: jobUser,
+          partition,
+          state,
+          status: state === 'R' ? 'running' : state === 'PD' ? 'pending' : null,
+          elapsed,
+          timelimit,
+          nodes: parseInt(nodes) || 1,
+          reason: reason || ''
+        };
+      });
+    } catch (error) {
+      return [];
+    }
+  }
+
+  async getJobDetails(jobId) {
+    const safeJobId = sanitizeSlurmJobId(jobId);
+    if (!safeJobId) return null;
+
+    const args = ['-j', safeJobId, '--format=JobID,JobName,State,ExitCode,Elapsed,MaxRSS,MaxVMSize,NCPUS,NNodes', '--parsable2', '--noheader'];
+
+    try {
+      const { stdout } = await execCommand(this.sacctCommand, args);
+      if (!stdout.trim()) return null;
+
+      const mainLine = stdout.trim().split('\n').find(l => !l.split('|')[0].includes('.'));
+      if (!mainLine) return null;
+
+      const p = mainLine.split('|');
+      return {
+        jobId: p[0], jobName: p[1], state: p[2], exitCode: p[3],
+        elapsed: p[4], maxRSS: p[5], maxVMSize: p[6], ncpus: p[7], nnodes: p[8]
+      };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  async getPartitions() {
+    try {
+      const { stdout } = await execCommand('sinfo', ['--format=%P|%a|%D|%t', '--noheader']);
+      const partitionMap = {};
+
+      for (const line of stdout.trim().split('\n').filter(l => l)) {
+        const [name, avail, nodes, state] = line.split('|').map(s => s.trim());
+        const partName = name.replace('*', ''); // Remove default marker
+
+        if (!partitionMap[partName]) {
+          partitionMap[partName] = {
+            name: partName,
+            isDefault: name.includes('*'),
+            available: avail === 'up',
+            nodes: { total: 0, idle: 0, allocated: 0, down: 0 }
+          };
+        }
+
+        const nodeCount = parseInt(nodes) || 0;
+        partitionMap[partName].nodes.total += nodeCount;
+
+        if (state === 'idle') {
+          partitionMap[partName].nodes.idle += nodeCount;
+        } else if (state === 'alloc' || state === 'mix') {
+          partitionMap[partName].nodes.allocated += nodeCount;
+        } else if (state === 'down' || state === 'drain') {
+          partitionMap[partName].nodes.down += nodeCount;
+        }
+      }
+
+      return Object.values(partitionMap);
+    } catch (error) {
+      return [];
+    }
+  }
+
+  async isAvailable() {
+    return execCommand('sinfo', ['--version'])
+      .then(() => true)
+      .catch(() => false);
+  }
+}
+
+module.exports = SlurmScheduler;
@@ -0,0 +1,242 @@
+/**
+ * SmartScope Callbacks
+ *
+ * Pushes per-micrograph CTF/motion results to the callback URL given when a
+ * SmartScope session was started, as soon as each CTF batch finishes, so
+ * targeting on the microscope side does not have to poll /results.
+ *
+ * Each request is signed: X-CryoProcess-Signature is
+ * "sha256=" + hex HMAC-SHA256(secret, "<X-CryoProcess-Timestamp>.<raw body>").
+ * Failed requests (network errors, timeouts, 408/429/5xx) are retried with
+ * exponential backoff. Delivery is at-least-once: micrographs are marked
+ * delivered only after a 2xx, and anything left over goes out with the next
+ * batch, so receivers should de-duplicate on micrographName.
+ */
+
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+const settings = require('../config/settings');
+const LiveSession = require('../models/LiveSession');
+const Project = require('../models/Project');
+const Job = require('../models/Job');
+const { getProjectPath } = require('../utils/pathUtils');
+const { decryptField } = require('../utils/crypto');
+const { buildSessionResults } = require('./smartscopeService');
+const { signPayload, isRetryable } = require('../utils/webhookSignature');
+
+const EVENT = 'micrographs.completed';
+const MAX_MICROGRAPHS_PER_REQUEST = 100;
+// Delivered names kept per session; keeps the session document well under
+// MongoDB's 16 MB limit through multi-day collections
+const MAX_DELIVERED_MICROGRAPHS = 100000;
+const MAX_BACKOFF_MS = 60000;
+const REQUEST_TIMEOUT_MS = 10000;
+// Characters of an error response kept for the log
+const MAX_RESPONSE_BODY = 200;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+class SmartScopeCallbacks {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.maxAttempts] - Attempts per request, including the first
+   * @param {number} [options.baseDelayMs] - Delay before the first retry; doubles each time
+   * @param {number} [options.timeoutMs] - Per-request timeout
+   */
+  constructor(options = {}) {
+    this.maxAttempts = options.maxAttempts ?? settings.SMARTSCOPE_CALLBACK_ATTEMPTS;
+    this.baseDelayMs = options.baseDelayMs ?? settings.SMARTSCOPE_CALLBACK_BACKOFF_MS;
+    this.timeoutMs = options.timeoutMs ?? REQUEST_TIMEOUT_MS;
+    // sessionId -> promise of the delivery in progress (deliveries run one at a time per session)
+    this.queues = new Map();
+  }
+
+  /**
+   * POST a JSON body. Only the first MAX_RESPONSE_BODY characters of the
+   * response are read.
+   * @returns {Promise<{statusCode: number, headers: Object, body: string}>}
+   */
+  _post(url, body, headers) {
+    return new Promise((resolve, reject) => {
+      const parsed = new URL(url);
+      const transport = parsed.protocol === 'https:' ? https : http;
+
+      const req = transport.request({
+        hostname: parsed.hostname,
+        port: parsed.port,
+        path: parsed.pathname + parsed.search,
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Content-Length': Buffer.byteLength(body),
+          ...headers
+        },
+        timeout: this.timeoutMs,
+      }, (res) => {
+        let data = '';
+        const finish = () => resolve({ statusCode: res.statusCode, headers: res.headers, body: data });
+        res.setEncoding('utf8');
+        res.on('data', (chunk) => {
+          data += chunk;
+          if (data.length >= MAX_RESPONSE_BODY) {
+            data = data.slice(0, MAX_RESPONSE_BODY);
+            res.destroy();
+            finish();
+          }
+        });
+        res.on('end', finish);
+      });
+
+      req.on('error', reject);
+      req.on('timeout', () => { req.destroy(); reject(new Error('Callback request timed out')); });
+      req.write(body);
+      req.end();
+    });
+  }
+
+  /**
+   * Send one signed payload, retrying with exponential backoff
+   * @param {string} url
+   * @param {string} secret
+   * @param {Object} payload
+   * @returns {Promise<{delivered: boolean, attempts: number, statusCode: number|null, error: string|null}>}
+   */
+  async deliver(url, secret, payload) {
+    const body = JSON.stringify(payload);
+    let statusCode = null;
+    let error = null;
+
+    for (let attempt = 1; attempt <= this.maxAttempts; attempt++) {
+      // Signed per attempt so receivers can reject stale timestamps
+      const timestamp = Math.floor(Date.now() / 1000);
+      let retryAfterMs = null;
+      try {
+        const res = await this._post(url, body, {
+          'X-CryoProcess-Event': payload.event,
+          'X-CryoProcess-Delivery': payload.deliveryId,
+          'X-CryoProcess-Timestamp': String(timestamp),
+          'X-CryoProcess-Signature': signPayload(secret, timestamp, body),
+        });
+        statusCode = res.statusCode;
+        if (statusCode >= 200 && statusCode < 300) {
+          return { delivered: true, attempts: attempt, statusCode, error: null };
+        }
+        error = `HTTP ${statusCode}: ${res.body}`;
+        const retryAfter = parseInt(res.headers['retry-after'], 10);
+        if (Number.isFinite(retryAfter)) retryAfterMs = retryAfter * 1000;
+      } catch (err) {
+        statusCode = null;
+        error = err.message;
+      }
+
+      if (!isRetryable(statusCode) || attempt === this.maxAttempts) {
+        return { delivered: false, attempts: attempt, statusCode, error };
+      }
+
+      const delay = Math.min(retryAfterMs ?? this.baseDelayMs * 2 ** (attempt - 1), MAX_BACKOFF_MS);
+      logger.warn(`[SmartScopeCallbacks] Attempt ${attempt}/${this.maxAttempts} to ${url} failed (${error}), retrying in ${delay}ms`);
+      await sleep(delay);
+    }
+
+    return { delivered: false, attempts: this.maxAttempts, statusCode, error };
+  }
+
+  /**
+   * Push the micrographs finished since the last delivery. Deliveries for
+   * one session are queued so a slow receiver never gets the same batch twice.
+   * @param {string} sessionId
+   * @returns {Promise<Object|null>} { delivered, failed } micrograph counts, or null without a callback
+   */
+  notifyBatch(sessionId) {
+    const previous = this.queues.get(sessionId) || Promise.resolve();
+    const next = previous
+      .catch(() => {})
+      .then(() => this._deliverNew(sessionId));
+    this.queues.set(sessionId, next);
+    next.finally(() => {
+      if (this.queues.get(sessionId) === next) this.queues.delete(sessionId);
+    }).catch(() => {});
+    return next;
+  }
+
+  async _deliverNew(sessionId) {
+    const session = await LiveSession.findOne({ id: sessionId })
+      .select('+callback.secret +callback.delivered_micrographs')
+      .lean();
+    if (!session?.callback?.url || !session.callback.secret || !session.jobs?.ctf_id) return null;
+
+    const [ctfJob, project] = await Promise.all([
+      Job.findOne({ id: session.jobs.ctf_id }).lean(),
+      Project.findOne({ id: session.project_id }).lean()
+    ]);
+    if (!ctfJob?.output_file_path || !project) return null;
+
+    const projectRoot = getProjectPath(project);
+    const outputDir = path.isAbsolute(ctfJob.output_file_path)
+      ? ctfJob.output_file_path
+      : path.join(projectRoot, ctfJob.output_file_path);
+    const ctfStarPath = path.join(outputDir, 'micrographs_ctf.star');
+    if (!fs.existsSync(ctfStarPath)) return null;
+
+    // By name: RELION Import sorts the movie names it globs, so new
+    // micrographs can land anywhere in the STAR file
+    const delivered = new Set(session.callback.delivered_micrographs || []);
+    const micrographs = await buildSessionResults(session, ctfStarPath, projectRoot, {
+      filter: (name) => name && !delivered.has(name)
+    });
+    if (micrographs.length === 0) return { delivered: 0, failed: 0 };
+
+    const secret = decryptField(session.callback.secret);
+    let sent = 0;
+    for (let i = 0; i < micrographs.length; i += MAX_MICROGRAPHS_PER_REQUEST) {
+      const chunk = micrographs.slice(i, i + MAX_MICROGRAPHS_PER_REQUEST);
+      const payload = {
+        event: EVENT,
+        deliveryId: crypto.randomUUID(),
+        sessionId,
+        gridName: session.session_name,
+        sentAt: new Date().toISOString(),
+        micrographs: chunk
+      };
+
+      const result = await this.deliver(session.callback.url, secret, payload);
+      if (!result.delivered) {
+        // Left undelivered; they go out again with the next batch
+        await LiveSession.findOneAndUpdate({ id: sessionId }, {
+          $set: { 'callback.last_error': `${result.error} (after ${result.attempts} attempts)` }
+        });
+        logger.error(`[SmartScopeCallbacks] Giving up on ${chunk.length} micrographs for session ${session.session_name} after ${result.attempts} attempts: ${result.error}`);
+        return { delivered: sent, failed: micrographs.length - sent };
+      }
+
+      await LiveSession.findOneAndUpdate({ id: sessionId }, {
+        $push: {
+          'callback.delivered_micrographs': {
+            $each: chunk.map(m => m.micrographName),
+            $slice: -MAX_DELIVERED_MICROGRAPHS
+          }
+        },
+        $set: { 'callback.last_delivery_at': new Date(), 'callback.last_error': null }
+      });
+      sent += chunk.length;
+    }
+
+    logger.info(`[SmartScopeCallbacks] Delivered ${sent} micrographs | session: ${session.session_name}`);
+    return { delivered: sent, failed: 0 };
+  }
+}
+
+let instance = null;
+
+function getSmartScopeCallbacks() {
+  if (!instance) {
+    instance = new SmartScopeCallbacks();
+  }
+  return instance;
+}
+
+module.exports = { SmartScopeCallbacks, getSmartScopeCallbacks, signPayload, MAX_DELIVERED_MICROGRAPHS };
@@ -2,7 +2,7 @@
  * SmartScope Processing Service
  *
  * Handles single-micrograph processing for SmartScope integration.
- * Chains MotionCorr + CTF estimation in a single SLURM job,
+ * Chains MotionCorr + CTF estimation in a single scheduler job,
  * then parses results into SmartScope's expected JSON format.
  */
 
@@ -13,9 +13,10 @@ const logger = require('../utils/logger');
 const settings = require('../config/settings');
 const { JOB_STATUS } = require('../config/constants');
 const { writeStarFile, parseStarFile } = require('../utils/starParser');
-const { execCommand, writeRemoteFile, isSSHMode } = require('../utils/remoteExec');
+const { writeRemoteFile, isSSHMode } = require('../utils/remoteExec');
 const { isPathSafe } = require('../utils/security');
 const Job = require('../models/Job');
+const { getScheduler } = require('./schedulers');
 
 /**
  * Create a RELION STAR file for a single micrograph
@@ -54,9 +55,10 @@ const createInputStar = (micrographPath, optics, outputPath) => {
 };
 
 /**
- * Generate a SLURM script that chains MotionCorr + CTF
+ * Generate a job script that chains MotionCorr + CTF, with directives for
+ * the active scheduler
  * @param {Object} options - Script options
- * @returns {string} SLURM script content
+ * @returns {string} Script content
  */
 const generateSlurmScript = (options) => {
   const {
@@ -67,23 +69,13 @@ const generateSlurmScript = (options) => {
     gpus = 0
   } = options;
 
-  let script = `#!/bin/bash
-#SBATCH --job-name=SmartScope_${jobId}
-#SBATCH --output=${path.join(outputDir, 'run.out')}
-#SBATCH --error=${path.join(outputDir, 'run.err')}
-`;
-
-  if (partition) {
-    script += `#SBATCH --partition=${partition}\n`;
-  }
-
-  if (threads > 1) {
-    script += `#SBATCH --cpus-per-task=${threads}\n`;
-  }
-
-  if (gpus > 0) {
-    script += `#SBATCH --gres=gpu:${gpus}\n`;
-  }
+  let script = getScheduler().scriptHeader({
+    jobName: `SmartScope_${jobId}`,
+    outputDir,
+    partition,
+    threads,
+    gpus
+  });
 
   script += `
 # Suppress PMIx munge warnings
@@ -239,7 +231,7 @@ const submitProcessingJob = async (params) => {
   });
   await job.save();
 
-  // Generate and write SLURM script
+  // Generate and write job script
   const scriptContent = generateSlurmScript({
     jobId,
     outputDir: jobOutputDir,
@@ -256,26 +248,26 @@ const submitProcessingJob = async (params) => {
     fs.chmodSync(scriptPath, 0o755);
   }
 
-  logger.info(`[SmartScope] SLURM script written: ${scriptPath}`);
+  logger.info(`[SmartScope] Job script written: ${scriptPath}`);
 
-  // Submit to SLURM
+  // Submit to the active scheduler
+  const scheduler = getScheduler();
   try {
-    const { stdout } = await execCommand('sbatch', [scriptPath]);
-    const match = stdout.match(/Submitted batch job (\d+)/);
-    const slurmJobId = match ? match[1] : null;
+    const { jobId: slurmJobId, stdout } = await scheduler.submit(scriptPath);
 
     if (!slurmJobId) {
-      logger.error(`[SmartScope] Failed to parse SLURM job ID: ${stdout}`);
+      logger.error(`[SmartScope] Failed to parse ${scheduler.displayName} job ID: ${stdout}`);
       await Job.findOneAndUpdate({ id: jobId }, {
         status: JOB_STATUS.FAILED,
-        error_message: `Failed to parse SLURM job ID from: ${stdout.trim()}`
+        error_message: `Failed to parse ${scheduler.displayName} job ID from: ${stdout.trim()}`
       });
-      return { jobId, status: 'failed', error: 'SLURM submission failed' };
+      return { jobId, status: 'failed', error: `${scheduler.displayName} submission failed` };
     }
 
     await Job.findOneAndUpdate({ id: jobId }, {
       status: JOB_STATUS.RUNNING,
       slurm_job_id: slurmJobId,
+      scheduler: scheduler.name,
       start_time: new Date()
     });
 
@@ -283,7 +275,7 @@ const submitProcessingJob = async (params) => {
     return { jobId, status: 'queued' };
 
   } catch (err) {
-    logger.error(`[SmartScope] SLURM submission failed: ${err.message}`);
+    logger.error(`[SmartScope] ${scheduler.displayName} submission failed: ${err.message}`);
     await Job.findOneAndUpdate({ id: jobId }, {
       status: JOB_STATUS.FAILED,
       error_message: err.message
@@ -473,11 +465,88 @@ const mrcToPng = async (mrcPath, suffix = '') => {
   return '';
 };
 
+/**
+ * Per-micrograph results of a live SmartScope session, in SmartScope's format.
+ * Motion values come along in micrographs_ctf.star from MotionCorr.
+ * @param {Object} session - LiveSession (optics.pixel_size is reported back)
+ * @param {string} ctfStarPath - CtfFind micrographs_ctf.star
+ * @param {string} projectRoot - RELION paths in the STAR file are relative to this
+ * @param {Object} [options]
+ * @param {Function} [options.filter] - (micrographName) => boolean; only matching rows are built
+ * @returns {Promise<Array>} [{ micrographName, status, defocus, astig, angast, ctffit, ... }]
+ */
+const buildSessionResults = async (session, ctfStarPath, projectRoot, { filter } = {}) => {
+  const toAbsolute = (relPath) => {
+    if (!relPath) return '';
+    if (path.isAbsolute(relPath)) return relPath;
+    return projectRoot ? path.join(projectRoot, relPath) : relPath;
+  };
+  const optionalNumber = (value, digits) => {
+    if (value === undefined || value === null || value === '') return null;
+    const n = parseFloat(value);
+    return Number.isFinite(n) ? Math.round(n * 10 ** digits) / 10 ** digits : null;
+  };
+
+  const starData = await parseStarFile(ctfStarPath);
+  const rows = starData.micrographs?.rows || starData.files || [];
+
+  const micrographs = [];
+  for (const row of rows) {
+    const relMicrographPath = row.rlnMicrographName || '';
+    const relCtfImagePath = row.rlnCtfImage || '';
+
+    // micrograph_name = filename without extension
+    const micrographName = relMicrographPath
+      ? path.basename(relMicrographPath, path.extname(relMicrographPath))
+      : '';
+    if (filter && !filter(micrographName)) continue;
+
+    const micrographPath = toAbsolute(relMicrographPath);
+    const ctfImagePath = toAbsolute(relCtfImagePath);
+
+    const defocusU = parseFloat(row.rlnDefocusU || 0);
+    const defocusV = parseFloat(row.rlnDefocusV || 0);
+    const defocusAngle = parseFloat(row.rlnDefocusAngle || 0);
+    const ctfFit = parseFloat(row.rlnCtfFigureOfMerit || 0);
+    const imageX = parseInt(row.rlnImageSizeX || 0, 10);
+    const imageY = parseInt(row.rlnImageSizeY || 0, 10);
+
+    // Convert defocus from Angstroms to micrometers
+    const defocus = (defocusU + defocusV) / 2 / 10000;
+    const astig = Math.abs(defocusU - defocusV) / 10000;
+
+    // Generate PNGs lazily (cached on disk after first conversion)
+    const micrographPng = await mrcToPng(micrographPath);
+    const ctfPng = await mrcToPng(ctfImagePath, '_ctf');
+
+    micrographs.push({
+      micrographName: micrographName,
+      status: 'completed',
+      defocus: Math.round(defocus * 1000) / 1000,
+      astig: Math.round(astig * 1000) / 1000,
+      angast: Math.round(defocusAngle * 10) / 10,
+      ctffit: Math.round(ctfFit * 1000) / 1000,
+      ctfResolution: optionalNumber(row.rlnCtfMaxResolution, 2),
+      totalMotion: optionalNumber(row.rlnAccumMotionTotal, 2),
+      earlyMotion: optionalNumber(row.rlnAccumMotionEarly, 2),
+      lateMotion: optionalNumber(row.rlnAccumMotionLate, 2),
+      shapeX: imageX,
+      shapeY: imageY,
+      pixelSize: session.optics.pixel_size,
+      micrographPng: micrographPng,
+      ctfPng: ctfPng
+    });
+  }
+
+  return micrographs;
+};
+
 module.exports = {
   createInputStar,
   generateSlurmScript,
   submitProcessingJob,
   getProcessingResults,
   generatePngs,
-  mrcToPng
+  mrcToPng,
+  buildSessionResults
 };
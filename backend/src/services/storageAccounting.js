@@ -0,0 +1,279 @@
+/**
+ * Storage Accounting Service
+ *
+ * Periodically measures project directories under ROOT_PATH and stores the
+ * sizes on Project.storage and Job.disk_usage. Files are counted as:
+ *   - movies:  the project's Movies/ directory and loose movie files
+ *   - derived: job output directories
+ *   - scratch: _itNNN_ files of iterations older than the latest one in
+ *              their directory (RELION keeps every iteration)
+ *   - other:   everything else (pipeline STAR files, logs, ...)
+ * Symlinks are not followed; linked movie directories live elsewhere.
+ *
+ * Quota checks read the stored sizes, so they are only as fresh as the
+ * last scan.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+const settings = require('../config/settings');
+const Job = require('../models/Job');
+const Project = require('../models/Project');
+const User = require('../models/User');
+const { getProjectPath } = require('../utils/pathUtils');
+
+const GB = 1024 ** 3;
+const ITERATION_PATTERN = /_it(\d{3,})_/;
+const MOVIE_EXTENSIONS = ['.tif', '.tiff', '.eer'];
+
+/**
+ * Effective quota: per-project/per-user override, else the settings default
+ * @param {Object|null} override - { soft_gb, hard_gb }
+ * @param {number} defaultSoft - GB
+ * @param {number} defaultHard - GB
+ * @returns {{softBytes: number, hardBytes: number}} 0 = unlimited
+ */
+function resolveQuota(override, defaultSoft, defaultHard) {
+  const pick = (value, fallback) => (value === null || value === undefined ? fallback : value);
+  return {
+    softBytes: pick(override?.soft_gb, defaultSoft) * GB,
+    hardBytes: pick(override?.hard_gb, defaultHard) * GB
+  };
+}
+
+const formatGb = bytes => `${(bytes / GB).toFixed(1)} GB`;
+
+/**
+ * Compare usage against a quota
+ * @returns {{error: string|null, warning: string|null}}
+ */
+function compareQuota(label, usedBytes, { softBytes, hardBytes }) {
+  if (hardBytes > 0 && usedBytes >= hardBytes) {
+    return { error: `${label} uses ${formatGb(usedBytes)}, at or above its ${formatGb(hardBytes)} hard quota. Free up space before continuing.`, warning: null };
+  }
+  if (softBytes > 0 && usedBytes >= softBytes) {
+    return { error: null, warning: `${label} uses ${formatGb(usedBytes)}, above its ${formatGb(softBytes)} soft quota.` };
+  }
+  return { error: null, warning: null };
+}
+
+/**
+ * Total stored size of a user's active (non-archived) projects
+ * @param {number} userId
+ * @returns {Promise<number>} Bytes
+ */
+async function getUserStorageBytes(userId) {
+  const projects = await Project.find({ created_by_id: userId, is_archived: { $ne: true } })
+    .select('storage')
+    .lean();
+  return projects.reduce((sum, p) => sum + (p.storage?.total_bytes || 0), 0);
+}
+
+/**
+ * Check the storage quotas that apply to new work
+ * @param {Object} options
+ * @param {Object} [options.project] - Project receiving a job (its owner's quota applies too)
+ * @param {number} [options.userId] - User creating a project (when no project is given)
+ * @returns {Promise<{error: string|null, warnings: string[]}>} error when a hard quota is reached
+ */
+async function checkStorageQuota({ project = null, userId = null }) {
+  const results = [];
+
+  if (project) {
+    const quota = resolveQuota(project.storage_quota, settings.PROJECT_SOFT_QUOTA_GB, settings.PROJECT_HARD_QUOTA_GB);
+    results.push(compareQuota(`Project ${project.project_name}`, project.storage?.total_bytes || 0, quota));
+  }
+
+  const ownerId = project ? project.created_by_id : userId;
+  if (ownerId !== null && ownerId !== undefined) {
+    const owner = await User.findOne({ id: ownerId }).select('username storage_quota').lean();
+    const quota = resolveQuota(owner?.storage_quota, settings.USER_SOFT_QUOTA_GB, settings.USER_HARD_QUOTA_GB);
+    if (quota.softBytes > 0 || quota.hardBytes > 0) {
+      const label = project ? `Storage of ${owner?.username || 'the project owner'}` : 'Your storage';
+      results.push(compareQuota(label, await getUserStorageBytes(ownerId), quota));
+    }
+  }
+
+  const failed = results.find(r => r.error);
+  return {
+    error: failed ? failed.error : null,
+    warnings: results.map(r => r.warning).filter(Boolean)
+  };
+}
+
+/**
+ * Measure one project directory
+ * @param {string} projectPath
+ * @param {Map<string, string>} jobDirs - Absolute job output directory -> job ID
+ * @returns {Promise<{totals: Object, jobs: Map<string, Object>}>}
+ */
+async function measureProject(projectPath, jobDirs) {
+  const totals = { total_bytes: 0, movies_bytes: 0, derived_bytes: 0, scratch_bytes: 0, other_bytes: 0 };
+  const jobs = new Map([...jobDirs.values()].map(id => [id, { total_bytes: 0, scratch_bytes: 0 }]));
+
+  const walk = async (dir, { jobId, movies }) => {
+    let entries;
+    try {
+      entries = await fs.promises.readdir(dir, { withFileTypes: true });
+    } catch (err) {
+      logger.debug(`[Storage] Cannot read ${dir}: ${err.message}`);
+      return;
+    }
+
+    // Older iterations than the newest _itNNN_ file in this directory are scratch
+    const iterations = entries
+      .map(e => e.isFile() && e.name.match(ITERATION_PATTERN))
+      .filter(Boolean)
+      .map(m => parseInt(m[1], 10));
+    const latestIteration = iterations.length > 0 ? Math.max(...iterations) : null;
+
+    for (const entry of entries) {
+      const fullPath = path.join(dir, entry.name);
+
+      if (entry.isDirectory()) {
+        await walk(fullPath, {
+          jobId: jobDirs.get(fullPath) || jobId,
+          movies: movies || (dir === projectPath && entry.name === 'Movies')
+        });
+        continue;
+      }
+      if (!entry.isFile()) continue;
+
+      let size;
+      try {
+        size = (await fs.promises.lstat(fullPath)).size;
+      } catch (err) {
+        continue; // Removed while scanning
+      }
+
+      let category;
+      if (movies) {
+        category = 'movies';
+      } else if (jobId) {
+        const match = entry.name.match(ITERATION_PATTERN);
+        category = match && parseInt(match[1], 10) < latestIteration ? 'scratch' : 'derived';
+      } else {
+        category = MOVIE_EXTENSIONS.includes(path.extname(entry.name).toLowerCase()) ? 'movies' : 'other';
+      }
+
+      totals.total_bytes += size;
+      totals[`${category}_bytes`] += size;
+      if (jobId) {
+        const usage = jobs.get(jobId);
+        usage.total_bytes += size;
+        if (category === 'scratch') usage.scratch_bytes += size;
+      }
+    }
+  };
+
+  await walk(projectPath, { jobId: null, movies: false });
+  return { totals, jobs };
+}
+
+class StorageAccounting {
+  constructor(options = {}) {
+    this.intervalHours = options.intervalHours !== undefined
+      ? options.intervalHours
+      : settings.STORAGE_SCAN_INTERVAL_HOURS;
+    this.timer = null;
+    this.scanning = false;
+  }
+
+  start() {
+    if (this.timer) return;
+    if (!(this.intervalHours > 0)) {
+      logger.info('[Storage] Periodic storage scans disabled');
+      return;
+    }
+
+    logger.info(`[Storage] Scanning project storage every ${this.intervalHours}h`);
+    // First scan shortly after startup, off the startup path
+    this.timer = setTimeout(() => this.run(), 60 * 1000);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  async run() {
+    try {
+      await this.scanAll();
+    } catch (error) {
+      logger.error(`[Storage] Scan failed: ${error.message}`);
+    }
+    this.timer = setTimeout(() => this.run(), this.intervalHours * 60 * 60 * 1000);
+  }
+
+  /**
+   * Scan every active project; archived projects are not under ROOT_PATH
+   * @returns {Promise<boolean>} false when a scan was already running
+   */
+  async scanAll() {
+    if (this.scanning) return false;
+    this.scanning = true;
+    const startTime = Date.now();
+
+    try {
+      const projects = await Project.find({ is_archived: { $ne: true } }).lean();
+      for (const project of projects) {
+        try {
+          await this.scanProject(project);
+        } catch (error) {
+          logger.error(`[Storage] Failed to scan project ${project.id}: ${error.message}`);
+        }
+      }
+      logger.info(`[Storage] Scanned ${projects.length} projects in ${Math.round((Date.now() - startTime) / 1000)}s`);
+      return true;
+    } finally {
+      this.scanning = false;
+    }
+  }
+
+  /**
+   * Measure a project and store the sizes on the project and its jobs
+   * @param {Object} project - Project document
+   * @returns {Promise<Object>} Project storage totals
+   */
+  async scanProject(project) {
+    const projectPath = getProjectPath(project);
+    const jobs = await Job.find({ project_id: project.id }).select('id output_file_path').lean();
+    const jobDirs = new Map(jobs
+      .filter(job => job.output_file_path)
+      .map(job => [path.resolve(job.output_file_path), job.id]));
+
+    const { totals, jobs: jobUsage } = await measureProject(projectPath, jobDirs);
+    const scannedAt = new Date();
+    const storage = { ...totals, scanned_at: scannedAt };
+
+    await Project.updateOne({ id: project.id }, { $set: { storage } });
+    if (jobUsage.size > 0) {
+      await Job.bulkWrite([...jobUsage].map(([id, usage]) => ({
+        updateOne: { filter: { id }, update: { $set: { disk_usage: { ...usage, scanned_at: scannedAt } } } }
+      })));
+    }
+
+    logger.debug(`[Storage] ${project.project_name}: ${formatGb(totals.total_bytes)} (${formatGb(totals.scratch_bytes)} scratch)`);
+    return storage;
+  }
+}
+
+let accountingInstance = null;
+
+const getStorageAccounting = (options = {}) => {
+  if (!accountingInstance) {
+    accountingInstance = new StorageAccounting(options);
+  }
+  return accountingInstance;
+};
+
+module.exports = {
+  StorageAccounting,
+  getStorageAccounting,
+  measureProject,
+  checkStorageQuota,
+  getUserStorageBytes
+};
@@ -2,17 +2,75 @@
  * Thumbnail Generator Service
  *
  * Generates PNG thumbnails from MRC files after job completion.
- * Runs as post-processing for MotionCorr, CTF, and AutoPick jobs.
+ * Runs as post-processing for MotionCorr, CTF, and AutoPick jobs, and for
+ * Import jobs from the imported movies (MRC, TIFF or EER).
  */
 
 const fs = require('fs');
 const path = require('path');
 const glob = require('glob');
 const logger = require('../utils/logger');
-const { frameToPng } = require('../utils/mrcParser');
+const { frameToPng, averagedFrameToPng } = require('../utils/mrcParser');
+const { parseStarFile } = require('../utils/starParser');
+const { resolveMoviePath } = require('../utils/pathUtils');
+const { DEFAULTS } = require('../config/constants');
 
 // Job types that need thumbnail generation
-const THUMBNAIL_JOB_TYPES = ['MotionCorr', 'CtfFind', 'AutoPick'];
+const THUMBNAIL_JOB_TYPES = ['Import', 'MotionCorr', 'CtfFind', 'AutoPick'];
+
+/**
+ * Generate averaged-frame thumbnails for the movies of an Import job.
+ * Only the first FILE_LIST_DISPLAY_LIMIT movies are listed by the import
+ * dashboard, so only those get thumbnails (named like the dashboard expects).
+ * @param {Object} job - Import job
+ * @param {string} thumbnailsDir
+ * @returns {Promise<{generated: number, errors: number}>}
+ */
+const generateImportThumbnails = async (job, thumbnailsDir) => {
+  const outputDir = job.output_file_path;
+  const starFile = ['movies.star', 'micrographs.star']
+    .map(name => path.join(outputDir, name))
+    .find(candidate => fs.existsSync(candidate));
+  if (!starFile) {
+    logger.debug(`[Thumbnails] No movies STAR file in ${outputDir}`);
+    return { generated: 0, errors: 0 };
+  }
+
+  const { files } = await parseStarFile(starFile, DEFAULTS.FILE_LIST_DISPLAY_LIMIT);
+  const projectPath = path.dirname(path.dirname(outputDir));
+  let generated = 0;
+  let errors = 0;
+
+  for (const fileInfo of files) {
+    const movieRelPath = fileInfo.movie_name || fileInfo.micrograph_name;
+    if (!movieRelPath) continue;
+
+    const baseName = path.basename(movieRelPath, path.extname(movieRelPath));
+    const thumbnailPath = path.join(thumbnailsDir, `${baseName}.png`);
+    if (fs.existsSync(thumbnailPath)) {
+      generated++;
+      continue;
+    }
+
+    try {
+      const moviePath = resolveMoviePath(movieRelPath, projectPath);
+      const pngBuffer = moviePath ? await averagedFrameToPng(moviePath, 10, 512) : null;
+      if (pngBuffer) {
+        fs.writeFileSync(thumbnailPath, pngBuffer);
+        generated++;
+      } else {
+        errors++;
+        logger.warn(`[Thumbnails] Failed to convert ${movieRelPath}`);
+      }
+    } catch (error) {
+      errors++;
+      logger.warn(`[Thumbnails] Error converting ${movieRelPath}: ${error.message}`);
+    }
+  }
+
+  logger.info(`[Thumbnails] ${job.id}: generated ${generated} movie thumbnails, errors ${errors}`);
+  return { generated, errors };
+};
 
 /**
  * Generate thumbnails for a completed job
@@ -39,6 +97,10 @@ const generateThumbnailsForJob = async (job) => {
     fs.mkdirSync(thumbnailsDir, { recursive: true });
   }
 
+  if (jobType === 'Import') {
+    return generateImportThumbnails(job, thumbnailsDir);
+  }
+
   // Find MRC files
   const mrcPatterns = [
     path.join(outputDir, 'Movies', '*.mrc'),
@@ -137,6 +137,50 @@ class WebhookService {
     });
   }
 
+  /**
+   * Build a Slack or Teams payload for a warning that is not about a single
+   * job (e.g. live session anomalies).
+   * @param {string} type - 'slack' | 'teams'
+   * @param {Object} alert - { title, projectName, lines: string[] }
+   */
+  _buildAlertPayload(type, { title, projectName, lines }) {
+    if (type === 'teams') {
+      return {
+        '@type': 'MessageCard',
+        '@context': 'http://schema.org/extensions',
+        themeColor: 'f59e0b',
+        summary: title,
+        sections: [{
+          activityTitle: title,
+          facts: [{ name: 'Project', value: projectName }],
+          text: lines.join('<br>'),
+        }],
+      };
+    }
+
+    return {
+      text: `:warning: *${title}*`,
+      attachments: [{
+        color: '#f59e0b',
+        fields: [{ title: 'Project', value: projectName, short: true }],
+        text: lines.join('\n'),
+        footer: 'CryoProcess',
+        ts: Math.floor(Date.now() / 1000),
+      }],
+    };
+  }
+
+  /**
+   * Send a warning to a webhook URL.
+   * @param {string} webhookUrl
+   * @param {Object} alert - { title, projectName, lines: string[] }
+   */
+  async sendAlert(webhookUrl, alert) {
+    const type = this._getType(webhookUrl);
+    await this._post(webhookUrl, this._buildAlertPayload(type, alert));
+    logger.info(`[Webhook] Sent ${type} alert to ${webhookUrl.slice(0, 40)}...`);
+  }
+
   /**
    * Send a job notification to a webhook URL.
    */
@@ -0,0 +1,248 @@
+/**
+ * Workflow Runner
+ *
+ * Executes workflow template runs. Root steps are submitted when the run
+ * starts; every other step is submitted once all the steps it needs have
+ * succeeded. Listens to slurmMonitor statusChange events to advance runs.
+ * A failed step skips everything downstream of it, and the run finishes
+ * when no step is waiting or running.
+ */
+
+const path = require('path');
+const logger = require('../utils/logger');
+const Job = require('../models/Job');
+const Project = require('../models/Project');
+const WorkflowRun = require('../models/WorkflowRun');
+const { launchJob } = require('./jobLauncher');
+const { getProjectPath } = require('../utils/pathUtils');
+const { JOB_STATUS, TERMINAL_STATUSES } = require('../config/constants');
+const { resolveStepParameters } = require('../utils/workflowTemplate');
+
+// Step statuses that block every step downstream of them
+const BLOCKING_STATUSES = ['failed', 'cancelled', 'skipped'];
+
+class WorkflowRunner {
+  constructor() {
+    this._queues = new Map();  // runId -> promise of the last queued advance
+    this._initialized = false;
+  }
+
+  /**
+   * Connect to SLURM monitor events and pick up runs that were in progress
+   * when the server stopped.
+   */
+  initialize() {
+    if (this._initialized) return;
+
+    const { getMonitor } = require('./slurmMonitor');
+    getMonitor().on('statusChange', (data) => this._onJobStatusChange(data));
+    this._initialized = true;
+
+    WorkflowRun.find({ status: 'running' }).select('id').lean()
+      .then(runs => runs.forEach(run => this.advance(run.id)))
+      .catch(err => logger.error(`[WorkflowRunner] Failed to resume runs: ${err.message}`));
+
+    logger.info('[WorkflowRunner] Initialized');
+  }
+
+  /**
+   * Start a run of a workflow template
+   * @param {Object} template - WorkflowTemplate document
+   * @param {Object} user - Submitting user ({ id, username })
+   * @param {Object} [overrides] - Step id -> parameters merged over the template's
+   * @returns {Promise<Object>} The run after its root steps were submitted
+   */
+  async startRun(template, user, overrides = {}) {
+    const run = await WorkflowRun.create({
+      id: WorkflowRun.generateId(),
+      project_id: template.project_id,
+      workflow_id: template.id,
+      workflow_name: template.name,
+      user_id: user.id,
+      steps: template.steps.map(step => ({
+        step_id: step.id,
+        job_type: step.type,
+        needs: step.needs,
+        parameters: { ...step.parameters, ...overrides[step.id] }
+      }))
+    });
+
+    logger.info(`[WorkflowRunner] Started ${template.name} (${run.id}) with ${run.steps.length} steps`);
+    return this.advance(run.id, user);
+  }
+
+  /**
+   * Stop submitting further steps. Jobs that were already submitted keep running.
+   * @param {string} runId
+   * @returns {Promise<Object|null>} The cancelled run
+   */
+  cancelRun(runId) {
+    return this._enqueue(runId, async () => {
+      const run = await WorkflowRun.findOne({ id: runId });
+      if (!run || run.status !== 'running') return run;
+
+      for (const step of run.steps) {
+        if (step.status === 'waiting') {
+          step.status = 'cancelled';
+        }
+      }
+      run.status = 'cancelled';
+      run.finished_at = new Date();
+      run.updated_at = new Date();
+      await run.save();
+
+      logger.info(`[WorkflowRunner] Cancelled ${run.workflow_name} (${runId})`);
+      return run;
+    });
+  }
+
+  /**
+   * Sync a run with its jobs and submit every step that became ready.
+   * Advances of the same run are serialized so a step is never submitted twice.
+   * @param {string} runId
+   * @param {Object} [user] - Submitting user; looked up from the run when omitted
+   * @returns {Promise<Object|null>} The updated run
+   */
+  advance(runId, user = null) {
+    return this._enqueue(runId, () => this._advance(runId, user));
+  }
+
+  _enqueue(runId, task) {
+    const previous = this._queues.get(runId) || Promise.resolve();
+    const next = previous.then(task).catch((err) => {
+      logger.error(`[WorkflowRunner] Run ${runId}: ${err.message}`);
+      return null;
+    });
+    this._queues.set(runId, next);
+    next.then(() => {
+      if (this._queues.get(runId) === next) this._queues.delete(runId);
+    });
+    return next;
+  }
+
+  async _onJobStatusChange({ jobId, newStatus }) {
+    if (!TERMINAL_STATUSES.includes(newStatus)) return;
+
+    try {
+      const run = await WorkflowRun.findOne({ status: 'running', 'steps.job_id': jobId }).select('id').lean();
+      if (run) {
+        await this.advance(run.id);
+      }
+    } catch (err) {
+      logger.error(`[WorkflowRunner] Error handling status change for ${jobId}: ${err.message}`);
+    }
+  }
+
+  async _advance(runId, user) {
+    const run = await WorkflowRun.findOne({ id: runId });
+    if (!run || run.status !== 'running') return run;
+
+    const project = await Project.findOne({ id: run.project_id }).lean();
+    if (!project) {
+      return this._finish(run, 'failed', 'Project no longer exists');
+    }
+
+    // Pick up outcomes of submitted jobs (including any missed while the server was down)
+    for (const step of run.steps.filter(s => s.status === 'submitted')) {
+      const job = await Job.findOne({ id: step.job_id }).select('status error_message').lean();
+      if (!job) {
+        step.status = 'failed';
+        step.error = 'Job was deleted';
+      } else if (TERMINAL_STATUSES.includes(job.status)) {
+        step.status = job.status;
+        step.error = job.status === JOB_STATUS.SUCCESS ? null : (job.error_message || null);
+      }
+    }
+
+    const byId = new Map(run.steps.map(s => [s.step_id, s]));
+    const submitter = user || { id: run.user_id };
+
+    // Repeat until stable: a step failing at submission skips its dependents in the same pass
+    let changed = true;
+    while (changed) {
+      changed = false;
+      for (const step of run.steps.filter(s => s.status === 'waiting')) {
+        const upstream = step.needs.map(id => byId.get(id));
+        const blocker = upstream.find(s => BLOCKING_STATUSES.includes(s.status));
+        if (blocker) {
+          step.status = 'skipped';
+          step.error = `Upstream step ${blocker.step_id} ${blocker.status}`;
+          changed = true;
+        } else if (upstream.every(s => s.status === JOB_STATUS.SUCCESS)) {
+          await this._submitStep(run, step, upstream, project, submitter);
+          changed = true;
+        }
+      }
+    }
+
+    if (!run.steps.some(s => s.status === 'waiting' || s.status === 'submitted')) {
+      const succeeded = run.steps.every(s => s.status === JOB_STATUS.SUCCESS);
+      return this._finish(run, succeeded ? 'success' : 'failed');
+    }
+
+    run.updated_at = new Date();
+    await run.save();
+    return run;
+  }
+
+  async _submitStep(run, step, upstream, project, user) {
+    const stepDirs = Object.fromEntries(upstream.map(s => [s.step_id, s.job_dir]));
+    const parameters = {
+      ...resolveStepParameters(step.parameters, stepDirs),
+      projectId: run.project_id
+    };
+
+    const result = await launchJob({ user }, step.job_type, parameters, {
+      inputJobIds: upstream.map(s => s.job_id)
+    });
+    const submission = result.body || {};
+
+    step.job_id = submission.id || null;
+    step.job_name = submission.jobName || null;
+    step.submitted_at = new Date();
+
+    if (step.job_id) {
+      const job = await Job.findOne({ id: step.job_id }).select('output_file_path').lean();
+      step.job_dir = job ? path.relative(getProjectPath(project), job.output_file_path) : null;
+    }
+
+    if (result.error || result.status >= 300) {
+      step.status = 'failed';
+      step.error = result.error || submission.error || submission.message || 'Submission failed';
+      logger.warn(`[WorkflowRunner] ${run.workflow_name}: step ${step.step_id} failed to submit: ${step.error}`);
+      return;
+    }
+
+    // Jobs processed inline (ManualSelect-style builders) are already finished
+    step.status = submission.status === JOB_STATUS.SUCCESS ? 'success' : 'submitted';
+    logger.info(`[WorkflowRunner] ${run.workflow_name}: step ${step.step_id} submitted as ${step.job_name}`);
+  }
+
+  async _finish(run, status, error = null) {
+    for (const step of run.steps) {
+      if (step.status === 'waiting') {
+        step.status = 'skipped';
+        step.error = error;
+      }
+    }
+    run.status = status;
+    run.finished_at = new Date();
+    run.updated_at = new Date();
+    await run.save();
+
+    logger.info(`[WorkflowRunner] ${run.workflow_name} (${run.id}) finished: ${status}${error ? ` — ${error}` : ''}`);
+    return run;
+  }
+}
+
+// Singleton
+let runnerInstance = null;
+
+const getWorkflowRunner = () => {
+  if (!runnerInstance) {
+    runnerInstance = new WorkflowRunner();
+  }
+  return runnerInstance;
+};
+
+module.exports = { WorkflowRunner, getWorkflowRunner };
@@ -0,0 +1,78 @@
+const {
+  generateToken,
+  hashToken,
+  isApiToken,
+  requiredScope,
+  hasScope,
+  tokenAllowsProject
+} = require('../apiTokens');
+
+describe('generateToken', () => {
+  it('creates prefixed tokens whose hash is stored instead', () => {
+    const { token, hash, prefix } = generateToken();
+
+    expect(token).toMatch(/^cp_pat_[0-9a-f]{40}$/);
+    expect(hash).toBe(hashToken(token));
+    expect(hash).not.toContain(token.slice(7));
+    expect(token.startsWith(prefix)).toBe(true);
+    expect(prefix).toHaveLength(13);
+    expect(generateToken().token).not.toBe(token);
+  });
+
+  it('tells tokens apart from JWTs', () => {
+    expect(isApiToken(generateToken().token)).toBe(true);
+    expect(isApiToken('eyJhbGciOiJIUzI1NiJ9.e30.sig')).toBe(false);
+    expect(isApiToken(undefined)).toBe(false);
+  });
+});
+
+describe('requiredScope', () => {
+  it.each([
+    ['GET', '/api/jobs?projectId=p1', 'read'],
+    ['GET', '/api/projects/p1/', 'read'],
+    ['POST', '/api/jobs/submit', 'jobs'],
+    ['DELETE', '/api/projects/p1', 'jobs'],
+    ['PUT', '/api/import/movies', 'jobs'],
+    ['POST', '/api/live-sessions', 'live'],
+    ['POST', '/api/live-sessions/s1/stop', 'live'],
+    ['GET', '/api/live-sessions/s1/stats', 'read'],
+    ['GET', '/api/admin/users', 'admin'],
+    ['PATCH', '/api/admin/users/3', 'admin'],
+    ['GET', '/api/admin/usage', 'admin'],
+    ['GET', '/api/auth/me', 'read'],
+  ])('%s %s needs %s', (method, url, scope) => {
+    expect(requiredScope(method, url)).toBe(scope);
+  });
+
+  it('keeps account management to browser sessions', () => {
+    expect(requiredScope('GET', '/api/auth/tokens')).toBeNull();
+    expect(requiredScope('POST', '/api/auth/tokens')).toBeNull();
+    expect(requiredScope('POST', '/api/auth/change-password')).toBeNull();
+    expect(requiredScope('POST', '/api/auth/me')).toBeNull();
+  });
+});
+
+describe('hasScope', () => {
+  it('lets every scope read but nothing more', () => {
+    expect(hasScope(['jobs'], 'read')).toBe(true);
+    expect(hasScope(['read'], 'jobs')).toBe(false);
+    expect(hasScope(['read', 'live'], 'live')).toBe(true);
+    expect(hasScope(['admin'], 'jobs')).toBe(false);
+    expect(hasScope([], 'read')).toBe(false);
+  });
+});
+
+describe('tokenAllowsProject', () => {
+  const restricted = { id: 1, apiToken: { scopes: ['jobs'], projectIds: ['p1'] } };
+
+  it('allows everything for sessions and unrestricted tokens', () => {
+    expect(tokenAllowsProject({ id: 1 }, 'p2')).toBe(true);
+    expect(tokenAllowsProject({ id: 1, apiToken: { scopes: ['jobs'], projectIds: [] } }, null)).toBe(true);
+  });
+
+  it('limits restricted tokens to their projects and no new ones', () => {
+    expect(tokenAllowsProject(restricted, 'p1')).toBe(true);
+    expect(tokenAllowsProject(restricted, 'p2')).toBe(false);
+    expect(tokenAllowsProject(restricted, null)).toBe(false);
+  });
+});
@@ -0,0 +1,216 @@
+jest.mock('../logger');
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { EER_COMPRESSION, isEerFile, getEerInfo, readEerFrame } = require('../eerParser');
+const { getMovieInfo, readAveragedFrame, averagedFrameToPng } = require('../mrcParser');
+
+// ─── Test helpers: a minimal EER writer ─────────────────────────────
+
+const CODECS = {
+  [EER_COMPRESSION.LEGACY]: { rleBits: 8, symbolXor: 0, symbolAfterSkip: true },
+  [EER_COMPRESSION.RLE_7BIT]: { rleBits: 7, symbolXor: 0x0a, symbolAfterSkip: false },
+  [EER_COMPRESSION.RLE_8BIT]: { rleBits: 8, symbolXor: 0x0a, symbolAfterSkip: false },
+};
+
+/**
+ * Encode the electrons of one raw frame as an LSB-first event stream
+ * @param {Array<{x, y, subX, subY}>} electrons - Unique pixels, subpixel coordinates 0-3
+ */
+const encodeEvents = (electrons, width, compression) => {
+  const { rleBits, symbolXor, symbolAfterSkip } = CODECS[compression];
+  const maxRun = (1 << rleBits) - 1;
+  const bits = [];
+  const write = (value, count) => {
+    for (let i = 0; i < count; i++) bits.push((value >> i) & 1);
+  };
+
+  let next = 0;
+  const positions = electrons
+    .map(e => ({ ...e, pixel: e.y * width + e.x }))
+    .sort((a, b) => a.pixel - b.pixel);
+  for (const { pixel, subX = 0, subY = 0 } of positions) {
+    let gap = pixel - next;
+    while (gap >= maxRun) {
+      write(maxRun, rleBits);
+      if (symbolAfterSkip) write(0, 4);
+      gap -= maxRun;
+    }
+    write(gap, rleBits);
+    write(((subY << 2) | subX) ^ symbolXor, 4);
+    next = pixel + 1;
+  }
+
+  const out = Buffer.alloc(Math.ceil(bits.length / 8));
+  bits.forEach((bit, i) => { out[i >> 3] |= bit << (i & 7); });
+  return out;
+};
+
+/**
+ * Build a little-endian TIFF with one IFD per raw frame, each frame split in two strips
+ */
+const buildEer = (frames, { width, height, compression = EER_COMPRESSION.RLE_7BIT }) => {
+  const chunks = [];
+  let offset = 8;
+  const append = (buffer) => {
+    const at = offset;
+    chunks.push(buffer);
+    offset += buffer.length;
+    if (offset % 2) { chunks.push(Buffer.alloc(1)); offset++; }
+    return at;
+  };
+  const u16 = (v) => { const b = Buffer.alloc(2); b.writeUInt16LE(v); return b; };
+  const u32 = (v) => { const b = Buffer.alloc(4); b.writeUInt32LE(v); return b; };
+
+  const ifds = [];
+  const ifdOffsets = [];
+  for (const electrons of frames) {
+    const stream = compression === 1 ? Buffer.alloc(width * height) : encodeEvents(electrons, width, compression);
+    const half = Math.floor(stream.length / 2);
+    const strips = [stream.subarray(0, half), stream.subarray(half)];
+    const stripOffsets = strips.map(append);
+
+    const entries = [
+      [256, 4, [width]], [257, 4, [height]], [258, 3, [compression === 1 ? 8 : 1]], [259, 3, [compression]],
+      [273, 4, stripOffsets], [277, 3, [1]], [278, 4, [height]], [279, 4, strips.map(s => s.length)],
+    ];
+    const encoded = entries.map(([tag, type, values]) => {
+      const data = Buffer.concat(values.map(v => (type === 3 ? u16(v) : u32(v))));
+      const value = data.length <= 4 ? Buffer.concat([data, Buffer.alloc(4 - data.length)]) : u32(append(data));
+      return Buffer.concat([u16(tag), u16(type), u32(values.length), value]);
+    });
+    const ifd = Buffer.concat([u16(entries.length), ...encoded, Buffer.alloc(4)]);
+    ifdOffsets.push(append(ifd));
+    ifds.push(ifd);
+  }
+  ifds.slice(0, -1).forEach((ifd, i) => u32(ifdOffsets[i + 1]).copy(ifd, ifd.length - 4));
+
+  return Buffer.concat([Buffer.from('II', 'latin1'), u16(42), u32(ifdOffsets[0]), ...chunks]);
+};
+
+const WIDTH = 300;
+const HEIGHT = 4;
+
+let tmpDir;
+const writeEer = (name, frames, options = {}) => {
+  const filepath = path.join(tmpDir, name);
+  fs.writeFileSync(filepath, buildEer(frames, { width: WIDTH, height: HEIGHT, ...options }));
+  return filepath;
+};
+
+// Count image as { "x,y": count } for the non-zero pixels
+const nonZero = ({ data, width }) => {
+  const counts = {};
+  data.forEach((value, i) => {
+    if (value) counts[`${i % width},${Math.floor(i / width)}`] = value;
+  });
+  return counts;
+};
+
+beforeEach(() => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'eer-test-'));
+});
+
+afterEach(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+// ─── Tests ──────────────────────────────────────────────────────────
+
+describe('isEerFile', () => {
+  it('recognises EER compression and rejects plain TIFF', () => {
+    const eer = writeEer('movie.eer', [[{ x: 1, y: 0 }]]);
+    const tiff = writeEer('movie.tif', [[]], { compression: 1 });
+
+    expect(isEerFile(eer)).toBe(true);
+    expect(isEerFile(tiff)).toBe(false);
+  });
+});
+
+describe('getEerInfo', () => {
+  it('counts whole fractions and scales dimensions with upsampling', () => {
+    const file = writeEer('movie.eer', Array.from({ length: 10 }, () => [{ x: 5, y: 1 }]));
+
+    expect(getEerInfo(file, { grouping: 4 })).toMatchObject({
+      num_frames: 2, width: WIDTH, height: HEIGHT, dataType: 'eer',
+      eer: { rawFrames: 10, grouping: 4, upsampling: 1 }
+    });
+    expect(getEerInfo(file, { grouping: 32, upsampling: 2 })).toMatchObject({
+      num_frames: 1, width: WIDTH * 2, height: HEIGHT * 2
+    });
+  });
+});
+
+describe('readEerFrame', () => {
+  // Gaps longer than 255 pixels exercise the skip code of both run widths
+  const frames = [
+    [{ x: 0, y: 0 }, { x: 299, y: 2 }, { x: 10, y: 3 }],
+    [{ x: 0, y: 0 }, { x: 150, y: 1 }],
+    [{ x: 7, y: 3 }],
+    [{ x: 7, y: 3 }, { x: 8, y: 3 }],
+  ];
+
+  it.each([
+    ['7-bit', EER_COMPRESSION.RLE_7BIT],
+    ['8-bit', EER_COMPRESSION.RLE_8BIT],
+    ['legacy', EER_COMPRESSION.LEGACY],
+  ])('sums %s raw frames into fractions', (_, compression) => {
+    const file = writeEer('movie.eer', frames, { compression });
+
+    expect(nonZero(readEerFrame(file, 0, { grouping: 2 }))).toEqual({
+      '0,0': 2, '299,2': 1, '10,3': 1, '150,1': 1
+    });
+    expect(nonZero(readEerFrame(file, 1, { grouping: 2 }))).toEqual({ '7,3': 2, '8,3': 1 });
+  });
+
+  it('places electrons by subpixel at 2x upsampling', () => {
+    const file = writeEer('movie.eer', [[
+      { x: 3, y: 1, subX: 0, subY: 0 },
+      { x: 4, y: 1, subX: 3, subY: 1 },
+      { x: 5, y: 1, subX: 1, subY: 2 },
+    ]]);
+
+    const frame = readEerFrame(file, 0, { grouping: 1, upsampling: 2 });
+
+    expect(frame.width).toBe(WIDTH * 2);
+    expect(nonZero(frame)).toEqual({ '6,2': 1, '9,2': 1, '10,3': 1 });
+  });
+
+  it('clamps the fraction index and drops incomplete trailing fractions', () => {
+    const file = writeEer('movie.eer', frames);
+
+    expect(nonZero(readEerFrame(file, 99, { grouping: 3 }))).toEqual({
+      '0,0': 2, '299,2': 1, '10,3': 1, '150,1': 1, '7,3': 1
+    });
+  });
+
+  it('returns null for unsupported upsampling', () => {
+    const file = writeEer('movie.eer', frames);
+
+    expect(readEerFrame(file, 0, { upsampling: 4 })).toBeNull();
+  });
+});
+
+describe('EER movies through the MRC preview helpers', () => {
+  const frames = Array.from({ length: 8 }, (_, i) => [{ x: i, y: 0 }, { x: 100, y: 2 }]);
+
+  it('reports fractions as frames and averages them', () => {
+    const file = writeEer('movie.eer', frames);
+    const eer = { grouping: 4 };
+
+    expect(getMovieInfo(file, { eer }).num_frames).toBe(2);
+
+    const average = readAveragedFrame(file, 10, { eer });
+    expect(average.framesAveraged).toBe(2);
+    expect(nonZero(average)).toMatchObject({ '0,0': 0.5, '4,0': 0.5, '100,2': 4 });
+  });
+
+  it('renders an averaged PNG', async () => {
+    const file = writeEer('movie.eer', frames);
+
+    const png = await averagedFrameToPng(file, 10, 64, { eer: { grouping: 2 } });
+
+    expect(png.subarray(1, 4).toString('latin1')).toBe('PNG');
+  });
+});
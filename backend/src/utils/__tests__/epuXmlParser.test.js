@@ -0,0 +1,89 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseEpuXml, findEpuXml, readEpuMetadata } = require('../epuXmlParser');
+
+// Trimmed from an EPU 3 per-exposure MicroscopeImage file
+const epuXml = (shiftX, shiftY) => `<?xml version="1.0" encoding="utf-8"?>
+<MicroscopeImage xmlns="http://schemas.datacontract.org/2004/07/Fei.SharedObjects" xmlns:i="http://www.w3.org/2001/XMLSchema-instance">
+  <microscopeData>
+    <acquisitionDateTime>2024-03-05T14:21:07.123+01:00</acquisitionDateTime>
+    <gun><AccelerationVoltage>300000</AccelerationVoltage></gun>
+    <optics>
+      <BeamShift xmlns:a="http://schemas.datacontract.org/2004/07/Fei.Types">
+        <a:_x>${shiftX}</a:_x>
+        <a:_y>${shiftY}</a:_y>
+      </BeamShift>
+      <BeamTilt xmlns:a="http://schemas.datacontract.org/2004/07/Fei.Types">
+        <a:_x>0.0012</a:_x>
+        <a:_y>-0.0007</a:_y>
+      </BeamTilt>
+      <Defocus>-1.4E-06</Defocus>
+    </optics>
+  </microscopeData>
+  <CustomData xmlns:a="http://schemas.microsoft.com/2003/10/Serialization/Arrays">
+    <a:KeyValueOfstringanyType>
+      <a:Key>AppliedDefocus</a:Key>
+      <a:Value i:type="b:double" xmlns:b="http://www.w3.org/2001/XMLSchema">-1.5E-06</a:Value>
+    </a:KeyValueOfstringanyType>
+  </CustomData>
+  <SpatialScale>
+    <pixelSize><x><numericValue>8.3E-11</numericValue></x></pixelSize>
+  </SpatialScale>
+</MicroscopeImage>`;
+
+describe('parseEpuXml', () => {
+  it('reads beam shift, tilt and optics in Angstrom and kV', () => {
+    const meta = parseEpuXml(epuXml(0.0213, -0.0154));
+
+    expect(meta.beamShift).toEqual({ x: 0.0213, y: -0.0154 });
+    expect(meta.beamTilt).toEqual({ x: 0.0012, y: -0.0007 });
+    expect(meta.defocus).toBeCloseTo(-14000);
+    expect(meta.appliedDefocus).toBeCloseTo(-15000);
+    expect(meta.voltage).toBe(300);
+    expect(meta.pixelSize).toBeCloseTo(0.83);
+    expect(meta.acquisitionTime).toBe('2024-03-05T14:21:07.123+01:00');
+  });
+
+  it('returns null for values the file does not have', () => {
+    const meta = parseEpuXml('<MicroscopeImage><optics><Defocus>oops</Defocus></optics></MicroscopeImage>');
+
+    expect(meta).toMatchObject({ beamShift: null, defocus: null, voltage: null, pixelSize: null });
+  });
+});
+
+describe('findEpuXml', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'epu-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('finds the XML of a _fractions movie through a symlink', async () => {
+    const data = path.join(dir, 'Data');
+    const movies = path.join(dir, 'Movies');
+    fs.mkdirSync(data);
+    fs.mkdirSync(movies);
+    fs.writeFileSync(path.join(data, 'FoilHole_1_Data_2_3_20240305_142107_fractions.tiff'), '');
+    fs.writeFileSync(path.join(data, 'FoilHole_1_Data_2_3_20240305_142107.xml'), epuXml(0.5, 0.25));
+    fs.symlinkSync(
+      path.join(data, 'FoilHole_1_Data_2_3_20240305_142107_fractions.tiff'),
+      path.join(movies, 'FoilHole_1_Data_2_3_20240305_142107_fractions.tiff')
+    );
+
+    const link = path.join(movies, 'FoilHole_1_Data_2_3_20240305_142107_fractions.tiff');
+    expect(findEpuXml(link)).toBe(path.join(data, 'FoilHole_1_Data_2_3_20240305_142107.xml'));
+    expect((await readEpuMetadata(link)).beamShift).toEqual({ x: 0.5, y: 0.25 });
+  });
+
+  it('returns null when there is no XML', async () => {
+    fs.writeFileSync(path.join(dir, 'movie.eer'), '');
+
+    expect(findEpuXml(path.join(dir, 'movie.eer'))).toBeNull();
+    expect(await readEpuMetadata(path.join(dir, 'movie.eer'))).toBeNull();
+  });
+});
@@ -0,0 +1,80 @@
+const { median, validateGuardrails, detectExposureAnomalies, detectSilence } = require('../liveGuardrails');
+
+const exposure = (overrides = {}) => ({ ctfResolution: 3.5, defocus: 15000, iceThickness: 0.01, passed: true, ...overrides });
+const repeat = (n, overrides) => Array.from({ length: n }, () => exposure(overrides));
+
+describe('liveGuardrails', () => {
+  describe('median', () => {
+    it('ignores missing values', () => {
+      expect(median([5, null, 1, 3])).toBe(3);
+      expect(median([4, 1, 3, 2])).toBe(2.5);
+      expect(median([null])).toBeNull();
+    });
+  });
+
+  describe('validateGuardrails', () => {
+    it('accepts defaults and sensible limits', () => {
+      expect(validateGuardrails({})).toBeNull();
+      expect(validateGuardrails({ window: 20, max_rejected_fraction: 0.4, defocus_range: [8000, 25000] })).toBeNull();
+    });
+
+    it('rejects out-of-range values', () => {
+      expect(validateGuardrails({ window: 2 })).toMatch(/window/);
+      expect(validateGuardrails({ max_rejected_fraction: 1.5 })).toMatch(/maxRejectedFraction/);
+      expect(validateGuardrails({ silence_minutes: -1 })).toMatch(/silenceMinutes/);
+      expect(validateGuardrails({ defocus_range: [25000, 8000] })).toMatch(/defocusRange/);
+    });
+  });
+
+  describe('detectExposureAnomalies', () => {
+    it('waits for a full window', () => {
+      expect(detectExposureAnomalies(repeat(9, { passed: false }), { window: 10, max_rejected_fraction: 0.5 })).toEqual([]);
+    });
+
+    it('flags a high rejection rate over the last window only', () => {
+      const config = { window: 10, max_rejected_fraction: 0.5 };
+      const exposures = [...repeat(20, { passed: false }), ...repeat(4, { passed: false }), ...repeat(6)];
+      expect(detectExposureAnomalies(exposures, config)).toEqual([]);
+
+      const [anomaly] = detectExposureAnomalies([...exposures, ...repeat(7, { passed: false })], config);
+      expect(anomaly).toMatchObject({ type: 'rejection_rate', value: 0.7, threshold: 0.5 });
+      expect(anomaly.message).toBe('70% of the last 10 exposures were rejected (limit 50%)');
+    });
+
+    it('skips the rejection check before the quality filter has run', () => {
+      expect(detectExposureAnomalies(repeat(10, { passed: null }), { window: 10, max_rejected_fraction: 0.1 })).toEqual([]);
+    });
+
+    it('flags poor and worsening CTF resolution', () => {
+      const exposures = [...repeat(10, { ctfResolution: 3.2 }), ...repeat(10, { ctfResolution: 5.1 })];
+      const anomalies = detectExposureAnomalies(exposures, {
+        window: 10, max_median_ctf_resolution: 4.5, max_ctf_resolution_increase: 1
+      });
+      expect(anomalies.map(a => a.type)).toEqual(['ctf_resolution', 'ctf_trend']);
+      expect(anomalies[1]).toMatchObject({ value: 1.9 });
+      expect(anomalies[1].message).toMatch(/from 3\.2 Å to 5\.1 Å/);
+    });
+
+    it('flags defocus outside the range and thick ice', () => {
+      const anomalies = detectExposureAnomalies(repeat(10, { defocus: 32000, iceThickness: 0.09 }), {
+        window: 10, defocus_range: [8000, 25000], max_median_ice_thickness: 0.05
+      });
+      expect(anomalies.map(a => a.type)).toEqual(['defocus', 'ice_thickness']);
+      expect(anomalies[0].message).toMatch(/3\.20 µm, outside 0\.80–2\.50 µm/);
+    });
+  });
+
+  describe('detectSilence', () => {
+    const now = new Date('2024-05-01T12:00:00Z');
+
+    it('flags a watch directory quiet for longer than the limit', () => {
+      expect(detectSilence(new Date('2024-05-01T11:45:00Z'), { silence_minutes: 20 }, now)).toBeNull();
+      expect(detectSilence(new Date('2024-05-01T11:30:00Z'), { silence_minutes: 20 }, now))
+        .toMatchObject({ type: 'watch_silent', value: 30, threshold: 20 });
+    });
+
+    it('is off without a limit', () => {
+      expect(detectSilence(new Date(0), { silence_minutes: null }, now)).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,92 @@
+const { getSessionSources, getOpticsGroups, assignOpticsGroups } = require('../liveSources');
+
+const optics = (pixelSize, name) => ({
+  pixel_size: pixelSize, voltage: 300, cs: 2.7, amplitude_contrast: 0.1, optics_group_name: name
+});
+
+const MOVIES_STAR = [
+  '# version 50001',
+  '',
+  'data_optics',
+  '',
+  'loop_',
+  '_rlnOpticsGroupName #1',
+  '_rlnOpticsGroup #2',
+  '_rlnMtfFileName #3',
+  '_rlnMicrographOriginalPixelSize #4',
+  '_rlnVoltage #5',
+  '_rlnSphericalAberration #6',
+  '_rlnAmplitudeContrast #7',
+  'opticsGroup1 1 mtf_k3.star 0.830000 300.000000 2.700000 0.100000',
+  '',
+  '',
+  'data_movies',
+  '',
+  'loop_',
+  '_rlnMicrographMovieName #1',
+  '_rlnOpticsGroup #2',
+  'Movies/grid1/FoilHole_1.tiff 1',
+  'Movies/grid2/FoilHole_1.tiff 1',
+  'Movies/grid2/FoilHole_2.tiff 1',
+  'Movies/tilted/FoilHole_3.tiff 1',
+  ''
+].join('\n');
+
+const rows = (content, block) => {
+  const lines = content.split('\n');
+  const start = lines.indexOf(block);
+  const end = lines.findIndex((l, i) => i > start && l.startsWith('data_'));
+  return lines.slice(start, end < 0 ? undefined : end)
+    .filter(l => l && !l.startsWith('_') && !l.startsWith('data_') && l !== 'loop_')
+    .map(l => l.split(' '));
+};
+
+describe('getSessionSources', () => {
+  it('treats a legacy session as one flat source', () => {
+    const sources = getSessionSources({
+      watch_directory: '/data/epu', file_pattern: '*.eer', optics: optics(0.83, 'og')
+    });
+
+    expect(sources).toEqual([expect.objectContaining({
+      watch_directory: '/data/epu', file_pattern: '*.eer', subdir: null
+    })]);
+  });
+
+  it('gives every source of a multi-source session its own folder', () => {
+    const sources = getSessionSources({
+      sources: [
+        { name: 'Grid 1', watch_directory: '/a', optics: optics(0.83, 'og1') },
+        { name: 'Grid 1', watch_directory: '/b', optics: optics(0.83, 'og1') },
+        { watch_directory: '/c', optics: optics(0.83, 'og2') },
+      ]
+    });
+
+    expect(sources.map(s => s.subdir)).toEqual(['Grid_1', 'Grid_1_2', 'source3']);
+    expect(getOpticsGroups(sources).map(g => [g.number, g.name])).toEqual([[1, 'og1'], [2, 'og2']]);
+  });
+});
+
+describe('assignOpticsGroups', () => {
+  const sources = [
+    { subdir: 'grid1', optics: optics(0.83, 'untilted') },
+    { subdir: 'grid2', optics: optics(0.83, 'untilted') },
+    { subdir: 'tilted', optics: optics(0.95, 'tilted') },
+  ];
+
+  it('writes one optics row per group and regroups the movies', () => {
+    const { content, counts } = assignOpticsGroups(MOVIES_STAR, sources);
+
+    expect(rows(content, 'data_optics')).toEqual([
+      ['untilted', '1', 'mtf_k3.star', '0.83', '300', '2.7', '0.1'],
+      ['tilted', '2', 'mtf_k3.star', '0.95', '300', '2.7', '0.1'],
+    ]);
+    expect(rows(content, 'data_movies').map(r => r[1])).toEqual(['1', '1', '1', '2']);
+    expect(counts).toEqual({ untilted: 3, tilted: 1 });
+  });
+
+  it('is stable when applied again after the next Import', () => {
+    const once = assignOpticsGroups(MOVIES_STAR, sources).content;
+
+    expect(assignOpticsGroups(once, sources).content).toBe(once);
+  });
+});
@@ -0,0 +1,180 @@
+jest.mock('../logger');
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { clusterBeamShifts } = require('../beamShiftClustering');
+const { readOpticsAssignments, splitByBeamShift, groupByBeamShift } = require('../opticsGroups');
+
+// 3x3 multi-shot pattern with a little stage/readout jitter per exposure
+const grid = (perPosition) => {
+  const points = [];
+  for (let n = 0; n < perPosition; n++) {
+    for (const y of [-1, 0, 1]) {
+      for (const x of [-1, 0, 1]) {
+        points.push({ x: x + ((n * 7) % 5 - 2) * 0.01, y: y + ((n * 3) % 5 - 2) * 0.01 });
+      }
+    }
+  }
+  return points;
+};
+
+const moviesStar = (movies) => [
+  'data_optics',
+  '',
+  'loop_',
+  '_rlnOpticsGroupName #1',
+  '_rlnOpticsGroup #2',
+  '_rlnMicrographOriginalPixelSize #3',
+  '_rlnVoltage #4',
+  'opticsGroup1 1 0.830000 300.000000',
+  '',
+  '',
+  'data_movies',
+  '',
+  'loop_',
+  '_rlnMicrographMovieName #1',
+  '_rlnOpticsGroup #2',
+  ...movies.map(m => `${m} 1`),
+  ''
+].join('\n');
+
+describe('clusterBeamShifts', () => {
+  it('recovers a 3x3 shift pattern numbered row by row', () => {
+    const points = grid(4);
+    const { labels, centroids, counts } = clusterBeamShifts(points, 9);
+
+    expect(counts).toEqual(Array(9).fill(4));
+    expect(centroids[0].x).toBeCloseTo(-1, 1);
+    expect(centroids[0].y).toBeCloseTo(-1, 1);
+    expect(centroids[8].x).toBeCloseTo(1, 1);
+    expect(centroids[8].y).toBeCloseTo(1, 1);
+    // Exposures at the same position share a group
+    expect(labels.slice(0, 9)).toEqual([0, 1, 2, 3, 4, 5, 6, 7, 8]);
+    expect(labels.slice(9, 18)).toEqual(labels.slice(0, 9));
+  });
+
+  it('gives the same groups regardless of exposure order', () => {
+    const points = grid(3);
+    const forward = clusterBeamShifts(points, 9).labels;
+    const backward = clusterBeamShifts([...points].reverse(), 9).labels.reverse();
+
+    expect(backward).toEqual(forward);
+  });
+
+  it('never returns more groups than distinct shifts', () => {
+    const { centroids, labels } = clusterBeamShifts([{ x: 0, y: 0 }, { x: 0, y: 0 }, { x: 1, y: 1 }], 5);
+
+    expect(centroids).toHaveLength(2);
+    expect(labels).toEqual([0, 0, 1]);
+    expect(clusterBeamShifts([], 3).labels).toEqual([]);
+  });
+});
+
+describe('splitByBeamShift', () => {
+  it('writes one optics row per cluster and keeps movies without metadata in the original group', () => {
+    const shifts = new Map([
+      ['Movies/a.tiff', { x: -1, y: 0 }],
+      ['Movies/b.tiff', { x: 1, y: 0 }],
+      ['Movies/c.tiff', { x: -1.02, y: 0.01 }],
+    ]);
+    const star = moviesStar(['Movies/a.tiff', 'Movies/b.tiff', 'Movies/c.tiff', 'Movies/d.tiff']);
+
+    const { content, groups, missing } = splitByBeamShift(star, shifts, 2);
+
+    expect(missing).toBe(1);
+    expect(groups.map(g => [g.name, g.count])).toEqual([
+      ['opticsGroup1_1', 2], ['opticsGroup1_2', 1], ['opticsGroup1', 1]
+    ]);
+    expect(content).toContain('opticsGroup1_2 2 0.830000 300.000000');
+    expect(readOpticsAssignments(content).movies).toEqual([
+      { name: 'Movies/a.tiff', group: 1 },
+      { name: 'Movies/b.tiff', group: 2 },
+      { name: 'Movies/c.tiff', group: 1 },
+      { name: 'Movies/d.tiff', group: 3 },
+    ]);
+  });
+});
+
+describe('groupByBeamShift', () => {
+  let projectPath;
+
+  beforeEach(() => {
+    projectPath = fs.mkdtempSync(path.join(os.tmpdir(), 'optics-groups-'));
+    fs.mkdirSync(path.join(projectPath, 'Movies'));
+    fs.mkdirSync(path.join(projectPath, 'Import/Job001'), { recursive: true });
+  });
+
+  afterEach(() => {
+    fs.rmSync(projectPath, { recursive: true, force: true });
+  });
+
+  const writeMovie = (name, shift) => {
+    fs.writeFileSync(path.join(projectPath, 'Movies', `${name}_fractions.tiff`), '');
+    if (shift) {
+      fs.writeFileSync(path.join(projectPath, 'Movies', `${name}.xml`),
+        `<MicroscopeImage><optics><BeamShift><a:_x>${shift.x}</a:_x><a:_y>${shift.y}</a:_y></BeamShift></optics></MicroscopeImage>`);
+    }
+    return `Movies/${name}_fractions.tiff`;
+  };
+
+  it('reads the EPU XML of every movie and rewrites movies.star', async () => {
+    const starPath = path.join(projectPath, 'Import/Job001/movies.star');
+    fs.writeFileSync(starPath, moviesStar([
+      writeMovie('FoilHole_1', { x: 0.1, y: 0 }),
+      writeMovie('FoilHole_2', { x: -0.1, y: 0 }),
+      writeMovie('FoilHole_3', { x: 0.1, y: 0.001 }),
+    ]));
+
+    const result = await groupByBeamShift(starPath, projectPath, 2);
+
+    expect(result.groups.map(g => g.count)).toEqual([1, 2]);
+    expect(readOpticsAssignments(fs.readFileSync(starPath, 'utf-8')).optics).toEqual([
+      { number: 1, name: 'opticsGroup1_1' }, { number: 2, name: 'opticsGroup1_2' }
+    ]);
+  });
+
+  it('gives the same groups when run twice on the same file', async () => {
+    const starPath = path.join(projectPath, 'Import/Job001/movies.star');
+    const original = moviesStar([
+      writeMovie('FoilHole_1', { x: 0.1, y: 0 }),
+      writeMovie('FoilHole_2', { x: -0.1, y: 0 }),
+      writeMovie('FoilHole_3', { x: 0.1, y: 0.001 }),
+      writeMovie('FoilHole_4', { x: -0.1, y: 0.001 }),
+    ]);
+    fs.writeFileSync(starPath, original);
+
+    const first = await groupByBeamShift(starPath, projectPath, 2);
+    const split = fs.readFileSync(starPath, 'utf-8');
+    const second = await groupByBeamShift(starPath, projectPath, 2);
+
+    expect(second.groups).toEqual(first.groups);
+    expect(fs.readFileSync(starPath, 'utf-8')).toBe(split);
+    expect(readOpticsAssignments(split).optics).toHaveLength(2);
+    expect(fs.readFileSync(`${starPath}.unsplit`, 'utf-8')).toBe(original);
+  });
+
+  it('splits a re-imported movies.star from scratch', async () => {
+    const starPath = path.join(projectPath, 'Import/Job001/movies.star');
+    const movies = [writeMovie('FoilHole_1', { x: 0.1, y: 0 }), writeMovie('FoilHole_2', { x: -0.1, y: 0 })];
+    fs.writeFileSync(starPath, moviesStar(movies));
+    await groupByBeamShift(starPath, projectPath, 2);
+
+    // Live sessions re-run Import, which overwrites movies.star with every movie so far
+    const reimported = moviesStar([...movies, writeMovie('FoilHole_3', { x: 0.1, y: 0.001 })]);
+    fs.writeFileSync(starPath, reimported);
+    const result = await groupByBeamShift(starPath, projectPath, 2);
+
+    expect(result.groups.map(g => g.count).sort()).toEqual([1, 2]);
+    expect(fs.readFileSync(`${starPath}.unsplit`, 'utf-8')).toBe(reimported);
+  });
+
+  it('leaves the file alone when no movie has EPU metadata', async () => {
+    const starPath = path.join(projectPath, 'Import/Job001/movies.star');
+    const original = moviesStar([writeMovie('FoilHole_1'), writeMovie('FoilHole_2')]);
+    fs.writeFileSync(starPath, original);
+
+    expect(await groupByBeamShift(starPath, projectPath, 4)).toBeNull();
+    expect(fs.readFileSync(starPath, 'utf-8')).toBe(original);
+  });
+});
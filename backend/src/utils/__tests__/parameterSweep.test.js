@@ -0,0 +1,68 @@
+const {
+  validateSweepAxes,
+  countSweepJobs,
+  expandSweep,
+  describeSweepValues,
+} = require('../parameterSweep');
+
+// ─── validateSweepAxes ──────────────────────────────────────────────
+
+describe('validateSweepAxes', () => {
+  it('accepts one or two axes', () => {
+    expect(validateSweepAxes([{ parameter: 'tau2fudge', values: [1, 2, 4] }])).toBeNull();
+    expect(validateSweepAxes([
+      { parameter: 'tau2fudge', values: [1, 2] },
+      { parameter: 'maskDiameter', values: [160, 180] },
+    ])).toBeNull();
+  });
+
+  it.each([
+    [undefined, /non-empty array/],
+    [[], /non-empty array/],
+    [[{ parameter: 'a', values: [1] }, { parameter: 'b', values: [1] }, { parameter: 'c', values: [1] }], /at most 2 axes/],
+    [[{ values: [1] }], /needs a parameter name/],
+    [[{ parameter: 'projectId', values: ['p1', 'p2'] }], /projectId cannot be swept/],
+    [[{ parameter: 'tau2fudge', values: [1] }, { parameter: 'tau2fudge', values: [2] }], /more than once/],
+    [[{ parameter: 'tau2fudge', values: [] }], /values must be a non-empty array/],
+    [[{ parameter: 'tau2fudge', values: [{ x: 1 }] }], /strings, numbers or booleans/],
+    [[{ parameter: 'tau2fudge', values: [2, '2'] }], /must be unique/],
+  ])('rejects %j', (axes, message) => {
+    expect(validateSweepAxes(axes)).toMatch(message);
+  });
+
+  it('limits the number of jobs in a sweep', () => {
+    const values = Array.from({ length: 5 }, (_, i) => i);
+    expect(validateSweepAxes([
+      { parameter: 'a', values },
+      { parameter: 'b', values },
+    ])).toMatch(/25 jobs \(maximum 16\)/);
+  });
+});
+
+// ─── expandSweep ────────────────────────────────────────────────────
+
+describe('expandSweep', () => {
+  const axes = [
+    { parameter: 'tau2fudge', values: [1, 2] },
+    { parameter: 'maskDiameter', values: [160, 180, 200] },
+  ];
+
+  it('returns the Cartesian product with the first axis varying slowest', () => {
+    const combos = expandSweep({ projectId: 'p1', tau2fudge: 3 }, axes);
+
+    expect(countSweepJobs(axes)).toBe(6);
+    expect(combos.map(c => c.values)).toEqual([
+      { tau2fudge: 1, maskDiameter: 160 },
+      { tau2fudge: 1, maskDiameter: 180 },
+      { tau2fudge: 1, maskDiameter: 200 },
+      { tau2fudge: 2, maskDiameter: 160 },
+      { tau2fudge: 2, maskDiameter: 180 },
+      { tau2fudge: 2, maskDiameter: 200 },
+    ]);
+    expect(combos[4].parameters).toEqual({ projectId: 'p1', tau2fudge: 2, maskDiameter: 180 });
+  });
+
+  it('describes a combination', () => {
+    expect(describeSweepValues({ tau2fudge: 2, maskDiameter: 180 })).toBe('tau2fudge=2, maskDiameter=180');
+  });
+});
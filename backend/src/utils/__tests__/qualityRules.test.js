@@ -0,0 +1,99 @@
+const {
+  getFieldValue,
+  normalizeRules,
+  evaluateCondition,
+  rulesFromThresholds,
+  usesField
+} = require('../qualityRules');
+
+const row = {
+  _rlnMicrographName: 'MotionCorr/job002/Movies/mic_001.mrc',
+  _rlnDefocusU: '12000',
+  _rlnDefocusV: '11000',
+  _rlnCtfMaxResolution: '3.8',
+  _rlnCtfFigureOfMerit: '0.21',
+  _rlnAccumMotionEarly: '2.5',
+  _rlnAccumMotionTotal: '14.0',
+};
+
+describe('getFieldValue', () => {
+  it('reads named, derived and raw columns', () => {
+    expect(getFieldValue(row, 'ctfResolution')).toBe(3.8);
+    expect(getFieldValue(row, 'defocus')).toBe(11500);
+    expect(getFieldValue(row, 'astigmatism')).toBe(1000);
+    expect(getFieldValue(row, '_rlnCtfFigureOfMerit')).toBe(0.21);
+    expect(getFieldValue(row, 'iceThickness')).toBeNull();
+    expect(getFieldValue({ ...row, particleCount: 120 }, 'particleCount')).toBe(120);
+  });
+});
+
+describe('evaluateCondition', () => {
+  it('compares single fields', () => {
+    expect(evaluateCondition({ field: 'ctfResolution', operator: '<=', value: 4 }, row)).toBe(true);
+    expect(evaluateCondition({ field: 'ctfResolution', operator: '<', value: 3.8 }, row)).toBe(false);
+    expect(evaluateCondition({ field: 'defocus', operator: 'between', value: [5000, 30000] }, row)).toBe(true);
+    expect(evaluateCondition({ field: 'defocus', operator: 'outside', value: [5000, 30000] }, row)).toBe(false);
+  });
+
+  it('combines conditions with and/or', () => {
+    const condition = {
+      op: 'or',
+      conditions: [
+        { field: 'ctfResolution', operator: '<=', value: 3 },
+        {
+          op: 'and', conditions: [
+            { field: 'earlyMotion', operator: '<', value: 3 },
+            { field: 'ctfFom', operator: '>=', value: 0.2 },
+          ]
+        },
+      ]
+    };
+
+    expect(evaluateCondition(condition, row)).toBe(true);
+    expect(evaluateCondition(condition, { ...row, _rlnCtfFigureOfMerit: '0.1' })).toBe(false);
+  });
+
+  it('lets missing values pass', () => {
+    expect(evaluateCondition({ field: 'particleCount', operator: '>=', value: 50 }, row)).toBe(true);
+    expect(evaluateCondition({ field: 'iceThickness', operator: '<', value: 0.05 }, row)).toBe(true);
+  });
+});
+
+describe('normalizeRules', () => {
+  it('fills in ids and enabled', () => {
+    const { rules, error } = normalizeRules([
+      { name: ' Good CTF ', condition: { field: 'ctfResolution', operator: '<=', value: '5' } },
+      { id: 'keep', name: 'Motion', enabled: false, condition: { field: 'totalMotion', operator: '<', value: 30 } },
+    ]);
+
+    expect(error).toBeNull();
+    expect(rules[0]).toMatchObject({ name: 'Good CTF', enabled: true, id: expect.any(String) });
+    expect(rules[1]).toMatchObject({ id: 'keep', enabled: false });
+  });
+
+  it.each([
+    [[{ condition: { field: 'ctfResolution', operator: '<', value: 5 } }], 'needs a name'],
+    [[{ name: 'x', condition: { field: 'colour', operator: '<', value: 5 } }], 'Unknown field "colour"'],
+    [[{ name: 'x', condition: { field: 'defocus', operator: '~', value: 5 } }], 'Unknown operator'],
+    [[{ name: 'x', condition: { field: 'defocus', operator: 'between', value: [30000, 5000] } }], 'min above max'],
+    [[{ name: 'x', condition: { field: 'defocus', operator: '<', value: 'deep' } }], 'must be a number'],
+    [[{ name: 'x', condition: { op: 'xor', conditions: [] } }], 'Unknown group op'],
+    [[{ name: 'x', condition: { op: 'and', conditions: [] } }], 'at least one condition'],
+  ])('rejects invalid rules (%#)', (rules, message) => {
+    const { rules: normalized, error } = normalizeRules(rules);
+
+    expect(normalized).toBeNull();
+    expect(error).toContain(message);
+  });
+});
+
+describe('legacy thresholds', () => {
+  it('become rules on CTF resolution and total motion', () => {
+    const rules = rulesFromThresholds({ ctf_resolution_max: 5, total_motion_max: 30 });
+
+    expect(rules.map(r => r.id)).toEqual(['ctf_resolution_max', 'total_motion_max']);
+    expect(evaluateCondition(rules[0].condition, { _rlnCtfMaxResolution: '6.1' })).toBe(false);
+    expect(usesField(rules, 'totalMotion')).toBe(true);
+    expect(usesField(rules, 'particleCount')).toBe(false);
+  });
+});
@@ -0,0 +1,199 @@
+jest.mock('../../utils/logger');
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseStarFile } = require('../starParser');
+const {
+  buildPipelineStar,
+  planPipelineImport,
+  resolveProcessType,
+  readRelionCommand,
+  jobOptionsToParameters,
+} = require('../relionPipeline');
+
+const PROJECT = '/data/projects/Demo';
+
+const JOBS = [
+  {
+    id: 'j1', job_name: 'Job001', job_type: 'Import', status: 'success',
+    output_file_path: `${PROJECT}/Import/Job001`,
+    output_files: [{ role: 'micrographsStar', fileType: 'star', fileName: 'movies.star', relativePath: 'Import/Job001/movies.star' }],
+    input_job_ids: [],
+  },
+  {
+    id: 'j2', job_name: 'Job002', job_type: 'MotionCorr', status: 'success',
+    output_file_path: `${PROJECT}/MotionCorr/Job002`,
+    output_files: [{ role: 'micrographsStar', fileType: 'star', fileName: 'corrected_micrographs.star', relativePath: 'MotionCorr/Job002/corrected_micrographs.star' }],
+    input_job_ids: ['j1'],
+    parameters: { inputMovies: 'Import/Job001/movies.star' },
+  },
+  {
+    id: 'j3', job_name: 'Job003', job_type: 'CtfFind', status: 'running',
+    output_file_path: `${PROJECT}/CtfFind/Job003`,
+    output_files: [],
+    input_job_ids: ['j2'],
+  },
+];
+
+let tmpDir;
+
+beforeAll(() => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'relion-pipeline-'));
+});
+
+afterAll(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+const writeAndParse = async (name, content) => {
+  const file = path.join(tmpDir, name);
+  fs.writeFileSync(file, content);
+  return parseStarFile(file);
+};
+
+// ─── buildPipelineStar ──────────────────────────────────────────────
+
+describe('buildPipelineStar', () => {
+  it('writes version header and job counter after the highest job', () => {
+    const { content } = buildPipelineStar(JOBS, PROJECT);
+    expect(content).toContain('# version 50001');
+    expect(content).toMatch(/_rlnPipeLineJobCounter\s+4/);
+  });
+
+  it('writes processes with RELION type and status labels', async () => {
+    const { content, processCount } = buildPipelineStar(JOBS, PROJECT);
+    const blocks = await writeAndParse('export.star', content);
+
+    expect(processCount).toBe(3);
+    expect(blocks.pipeline_processes.rows).toEqual([
+      expect.objectContaining({ rlnPipeLineProcessName: 'Import/Job001/', rlnPipeLineProcessTypeLabel: 'relion.import.movies', rlnPipeLineProcessStatusLabel: 'Succeeded' }),
+      expect.objectContaining({ rlnPipeLineProcessName: 'MotionCorr/Job002/', rlnPipeLineProcessTypeLabel: 'relion.motioncorr.own' }),
+      expect.objectContaining({ rlnPipeLineProcessName: 'CtfFind/Job003/', rlnPipeLineProcessStatusLabel: 'Running' }),
+    ]);
+  });
+
+  it('writes nodes and edges from cataloged output files', async () => {
+    const { content, nodeCount } = buildPipelineStar(JOBS, PROJECT);
+    const blocks = await writeAndParse('edges.star', content);
+
+    expect(nodeCount).toBe(2);
+    expect(blocks.pipeline_nodes.rows[0]).toMatchObject({
+      rlnPipeLineNodeName: 'Import/Job001/movies.star',
+      rlnPipeLineNodeTypeLabel: 'MicrographMovieGroupMetadata.star.relion',
+    });
+    expect(blocks.pipeline_input_edges.rows).toEqual([
+      { rlnPipeLineEdgeFromNode: 'Import/Job001/movies.star', rlnPipeLineEdgeProcess: 'MotionCorr/Job002/' },
+      { rlnPipeLineEdgeFromNode: 'MotionCorr/Job002/corrected_micrographs.star', rlnPipeLineEdgeProcess: 'CtfFind/Job003/' },
+    ]);
+    expect(blocks.pipeline_output_edges.rows).toHaveLength(2);
+  });
+
+  it('skips jobs whose output directory is outside the project', () => {
+    const outside = [{ ...JOBS[0], output_file_path: '/elsewhere/Import/Job001' }];
+    expect(buildPipelineStar(outside, PROJECT).processCount).toBe(0);
+  });
+});
+
+// ─── planPipelineImport ─────────────────────────────────────────────
+
+describe('planPipelineImport', () => {
+  it('round-trips an exported pipeline, skipping unfinished processes', async () => {
+    const { content } = buildPipelineStar(JOBS, PROJECT);
+    const blocks = await writeAndParse('roundtrip.star', content);
+    const { processes, skipped } = planPipelineImport(blocks);
+
+    expect(processes.map(p => [p.processName, p.jobType, p.status, p.upstream])).toEqual([
+      ['Import/Job001/', 'Import', 'success', []],
+      ['MotionCorr/Job002/', 'MotionCorr', 'success', ['Import/Job001/']],
+    ]);
+    expect(skipped).toEqual([
+      { processName: 'CtfFind/Job003/', reason: 'Process is not finished (Running)' },
+    ]);
+  });
+
+  it('reads RELION 3.1 integer types and statuses', async () => {
+    const blocks = await writeAndParse('legacy.star', [
+      'data_pipeline_processes',
+      'loop_',
+      '_rlnPipeLineProcessName #1',
+      '_rlnPipeLineProcessAlias #2',
+      '_rlnPipeLineProcessType #3',
+      '_rlnPipeLineProcessStatus #4',
+      'Class2D/job008/ None 8 2',
+      'Class3D/job012/ None 9 3',
+      'External/job013/ None 99 2',
+      '',
+      'data_pipeline_input_edges',
+      'loop_',
+      '_rlnPipeLineEdgeFromNode #1',
+      '_rlnPipeLineEdgeProcess #2',
+      'Class2D/job008/run_it025_data.star Class3D/job012/',
+      '',
+    ].join('\n'));
+    const { processes, skipped } = planPipelineImport(blocks);
+
+    expect(processes).toEqual([
+      { processName: 'Class2D/job008/', jobNumber: 8, jobType: 'Class2D', status: 'success', upstream: [] },
+      { processName: 'Class3D/job012/', jobNumber: 12, jobType: 'Class3D', status: 'failed', upstream: ['Class2D/job008/'] },
+    ]);
+    expect(skipped[0].reason).toBe('Unsupported process type: 99');
+  });
+});
+
+// ─── resolveProcessType ─────────────────────────────────────────────
+
+describe('resolveProcessType', () => {
+  it.each([
+    ['relion.autopick.topaz.pick', 'AutoPick'],
+    ['relion.refine3d', 'AutoRefine'],
+    ['relion.select.interactive', 'ManualSelect'],
+    ['relion.select.class2dauto', 'Subset'],
+    ['relion.motionrefine', 'Polish'],
+    ['relion.external', null],
+  ])('maps %s to %s', (label, expected) => {
+    expect(resolveProcessType(label)).toBe(expected);
+  });
+});
+
+// ─── job directory helpers ──────────────────────────────────────────
+
+describe('readRelionCommand', () => {
+  it('returns the last recorded command block', () => {
+    const jobDir = fs.mkdtempSync(path.join(tmpDir, 'job-'));
+    fs.writeFileSync(path.join(jobDir, 'note.txt'), [
+      ' ++++ Executing new job on Mon Jan  1 10:00:00 2024',
+      ' ++++ with the following command(s): ',
+      '`which relion_import` --do_movies --i "Movies/*.tiff"',
+      ' ++++ ',
+      ' ++++ Executing new job on Mon Jan  1 11:00:00 2024',
+      ' ++++ with the following command(s): ',
+      '`which relion_import` --do_movies --i "Movies/*.eer"',
+      ' ++++ ',
+    ].join('\n'));
+
+    expect(readRelionCommand(jobDir)).toBe('`which relion_import` --do_movies --i "Movies/*.eer"');
+  });
+
+  it('returns empty string when note.txt is missing', () => {
+    expect(readRelionCommand(path.join(tmpDir, 'missing'))).toBe('');
+  });
+});
+
+describe('jobOptionsToParameters', () => {
+  it('maps job option rows and strips quotes', () => {
+    const blocks = {
+      joboptions_values: {
+        rows: [
+          { rlnJobOptionVariable: 'angpix', rlnJobOptionValue: 0.885 },
+          { rlnJobOptionVariable: 'fn_in_raw', rlnJobOptionValue: '"Movies/*.tiff"' },
+        ],
+      },
+    };
+    expect(jobOptionsToParameters(blocks)).toEqual({ angpix: 0.885, fn_in_raw: 'Movies/*.tiff' });
+  });
+
+  it('returns empty object without job options', () => {
+    expect(jobOptionsToParameters(null)).toEqual({});
+  });
+});
@@ -0,0 +1,277 @@
+jest.mock('../logger');
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { getTiffInfo, readTiffFrame, isTiffFile, decodeLzw, COMPRESSION } = require('../tiffParser');
+const { readAveragedFrame, frameToPng, getMovieInfo } = require('../mrcParser');
+
+// ─── Test helpers: a minimal TIFF writer ────────────────────────────
+
+/**
+ * TIFF LZW encoder (MSB-first, early change, Clear before the table fills)
+ */
+const encodeLzw = (data) => {
+  const out = [];
+  let bitBuffer = 0;
+  let bitCount = 0;
+  let width = 9;
+  const emit = (code) => {
+    bitBuffer = (bitBuffer << width) | code;
+    bitCount += width;
+    while (bitCount >= 8) {
+      out.push((bitBuffer >> (bitCount - 8)) & 0xff);
+      bitCount -= 8;
+    }
+    bitBuffer &= (1 << bitCount) - 1;
+  };
+
+  let dict = new Map();
+  let nextCode = 258;
+  const addEntry = (key) => {
+    if (key !== null) dict.set(key, nextCode);
+    nextCode++;
+    if (nextCode === (1 << width) && width < 12) width++;
+  };
+
+  emit(256);
+  let w = data[0];
+  for (let i = 1; i < data.length; i++) {
+    const key = w * 256 + data[i];
+    if (dict.has(key)) {
+      w = dict.get(key);
+      continue;
+    }
+    emit(w);
+    addEntry(key);
+    if (nextCode === 4094) {
+      emit(256);
+      dict = new Map();
+      nextCode = 258;
+      width = 9;
+    }
+    w = data[i];
+  }
+  emit(w);
+  addEntry(null);
+  emit(257);
+  if (bitCount > 0) out.push((bitBuffer << (8 - bitCount)) & 0xff);
+  return Buffer.from(out);
+};
+
+/**
+ * Build a multi-frame TIFF
+ * @param {Array<number[]>} frames - Sample values per frame
+ */
+const buildTiff = (frames, {
+  width, height, bits = 16, littleEndian = true, compression = COMPRESSION.NONE,
+  predictor = 1, sampleFormat = 1, rowsPerStrip = height, bigTiff = false
+}) => {
+  const chunks = [];
+  let offset = bigTiff ? 16 : 8;
+  const append = (buffer) => {
+    const at = offset;
+    chunks.push(buffer);
+    offset += buffer.length;
+    if (offset % 2) { chunks.push(Buffer.alloc(1)); offset++; }
+    return at;
+  };
+  const num = (value, size) => {
+    const b = Buffer.alloc(size);
+    if (size === 2) littleEndian ? b.writeUInt16LE(value) : b.writeUInt16BE(value);
+    if (size === 4) littleEndian ? b.writeUInt32LE(value) : b.writeUInt32BE(value);
+    if (size === 8) littleEndian ? b.writeBigUInt64LE(BigInt(value)) : b.writeBigUInt64BE(BigInt(value));
+    return b;
+  };
+  const bytes = bits / 8;
+  const modulus = 2 ** bits;
+  const ifdOffsets = [];
+  const ifds = [];
+
+  for (const samples of frames) {
+    const stripOffsets = [];
+    const stripCounts = [];
+    for (let y0 = 0; y0 < height; y0 += rowsPerStrip) {
+      const rows = Math.min(rowsPerStrip, height - y0);
+      const raw = Buffer.alloc(rows * width * bytes);
+      for (let y = 0; y < rows; y++) {
+        for (let x = 0; x < width; x++) {
+          let value = samples[(y0 + y) * width + x];
+          if (predictor === 2 && x > 0) {
+            value = ((value - samples[(y0 + y) * width + x - 1]) % modulus + modulus) % modulus;
+          } else if (value < 0) {
+            value += modulus;
+          }
+          const at = (y * width + x) * bytes;
+          if (sampleFormat === 3) littleEndian ? raw.writeFloatLE(value, at) : raw.writeFloatBE(value, at);
+          else if (bits === 8) raw[at] = value;
+          else if (bits === 16) littleEndian ? raw.writeUInt16LE(value, at) : raw.writeUInt16BE(value, at);
+          else littleEndian ? raw.writeUInt32LE(value, at) : raw.writeUInt32BE(value, at);
+        }
+      }
+      const encoded = compression === COMPRESSION.LZW ? encodeLzw(raw)
+        : compression === COMPRESSION.DEFLATE ? zlib.deflateSync(raw) : raw;
+      stripOffsets.push(append(encoded));
+      stripCounts.push(encoded.length);
+    }
+
+    const longType = bigTiff ? 16 : 4;
+    const longSize = bigTiff ? 8 : 4;
+    const entries = [
+      [256, 4, [width]], [257, 4, [height]], [258, 3, [bits]], [259, 3, [compression]], [262, 3, [1]],
+      [273, longType, stripOffsets], [277, 3, [1]], [278, 4, [rowsPerStrip]], [279, longType, stripCounts],
+      ...(predictor !== 1 ? [[317, 3, [predictor]]] : []), [339, 3, [sampleFormat]],
+    ];
+    const slot = bigTiff ? 8 : 4;
+    const encodedEntries = entries.map(([tag, type, values]) => {
+      const size = type === 3 ? 2 : type === 16 ? 8 : 4;
+      const data = Buffer.concat(values.map(v => num(v, size)));
+      const value = data.length <= slot
+        ? Buffer.concat([data, Buffer.alloc(slot - data.length)])
+        : num(append(data), longSize);
+      return Buffer.concat([num(tag, 2), num(type, 2), num(values.length, bigTiff ? 8 : 4), value]);
+    });
+    const ifd = Buffer.concat([num(entries.length, bigTiff ? 8 : 2), ...encodedEntries, Buffer.alloc(longSize)]);
+    ifdOffsets.push(append(ifd));
+    ifds.push(ifd);
+  }
+
+  // Link each IFD to the next one
+  ifds.slice(0, -1).forEach((ifd, i) => {
+    const longSize = bigTiff ? 8 : 4;
+    num(ifdOffsets[i + 1], longSize).copy(ifd, ifd.length - longSize);
+  });
+
+  const header = bigTiff
+    ? Buffer.concat([Buffer.from(littleEndian ? 'II' : 'MM', 'latin1'), num(43, 2), num(8, 2), num(0, 2), num(ifdOffsets[0], 8)])
+    : Buffer.concat([Buffer.from(littleEndian ? 'II' : 'MM', 'latin1'), num(42, 2), num(ifdOffsets[0], 4)]);
+  return Buffer.concat([header, ...chunks]);
+};
+
+const ramp = (width, height, scale, base = 0) =>
+  Array.from({ length: width * height }, (_, i) => base + (i * scale) % 4000);
+
+let tmpDir;
+const writeTiff = (name, frames, options) => {
+  const filepath = path.join(tmpDir, name);
+  fs.writeFileSync(filepath, buildTiff(frames, options));
+  return filepath;
+};
+
+beforeEach(() => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tiff-test-'));
+});
+
+afterEach(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+// ─── Tests ──────────────────────────────────────────────────────────
+
+describe('decodeLzw', () => {
+  it('round-trips data that grows the code width and clears the table', () => {
+    const data = Buffer.from(Array.from({ length: 40000 }, (_, i) => (i * 7 + (i >> 5)) & 0xff));
+
+    expect(decodeLzw(encodeLzw(data), data.length).equals(data)).toBe(true);
+  });
+});
+
+describe('getTiffInfo', () => {
+  it('counts one frame per IFD', () => {
+    const frames = [ramp(8, 6, 1), ramp(8, 6, 2), ramp(8, 6, 3)];
+    const file = writeTiff('movie.tif', frames, { width: 8, height: 6 });
+
+    expect(isTiffFile(file)).toBe(true);
+    expect(getTiffInfo(file)).toMatchObject({ num_frames: 3, width: 8, height: 6, dataType: 'uint16' });
+    expect(getMovieInfo(file)).toMatchObject({ num_frames: 3, width: 8, height: 6 });
+  });
+
+  it('returns null for files that are not TIFF', () => {
+    const file = path.join(tmpDir, 'notes.tif');
+    fs.writeFileSync(file, 'not a tiff');
+
+    expect(isTiffFile(file)).toBe(false);
+    expect(getTiffInfo(file)).toBeNull();
+  });
+});
+
+describe('readTiffFrame', () => {
+  const width = 40;
+  const height = 30;
+  const frames = [ramp(width, height, 3), ramp(width, height, 5, 100)];
+
+  it.each([
+    ['uncompressed', { compression: COMPRESSION.NONE }],
+    ['LZW', { compression: COMPRESSION.LZW }],
+    ['LZW with predictor', { compression: COMPRESSION.LZW, predictor: 2 }],
+    ['deflate', { compression: COMPRESSION.DEFLATE }],
+    ['deflate with predictor in strips', { compression: COMPRESSION.DEFLATE, predictor: 2, rowsPerStrip: 7 }],
+    ['big-endian LZW', { compression: COMPRESSION.LZW, littleEndian: false }],
+    ['BigTIFF', { compression: COMPRESSION.DEFLATE, bigTiff: true }],
+  ])('decodes 16-bit %s frames', (_, options) => {
+    const file = writeTiff('movie.tif', frames, { width, height, ...options });
+
+    const frame = readTiffFrame(file, 1);
+
+    expect(frame.width).toBe(width);
+    expect(frame.height).toBe(height);
+    expect(Array.from(frame.data)).toEqual(frames[1]);
+  });
+
+  it('decodes 8-bit LZW frames with the predictor', () => {
+    const samples = Array.from({ length: width * height }, (_, i) => (i * 13) % 256);
+    const file = writeTiff('movie8.tif', [samples], { width, height, bits: 8, compression: COMPRESSION.LZW, predictor: 2 });
+
+    expect(Array.from(readTiffFrame(file, 0).data)).toEqual(samples);
+  });
+
+  it('decodes signed samples with the predictor', () => {
+    const samples = Array.from({ length: width * height }, (_, i) => (i % 50) - 25);
+    const file = writeTiff('signed.tif', [samples], { width, height, sampleFormat: 2, predictor: 2, compression: COMPRESSION.DEFLATE });
+
+    expect(Array.from(readTiffFrame(file, 0).data)).toEqual(samples);
+  });
+
+  it('clamps the frame index', () => {
+    const file = writeTiff('movie.tif', frames, { width, height });
+
+    expect(Array.from(readTiffFrame(file, 99).data)).toEqual(frames[1]);
+  });
+
+  it('returns null for unsupported compression', () => {
+    const file = writeTiff('movie.tif', [frames[0]], { width, height, compression: 65001 });
+
+    expect(readTiffFrame(file, 0)).toBeNull();
+  });
+});
+
+describe('TIFF movies through the MRC preview helpers', () => {
+  it('averages frames and applies a rotated gain reference', () => {
+    const movie = writeTiff('movie.tif', [[1, 2, 3, 4, 5, 6], [3, 4, 5, 6, 7, 8]], { width: 3, height: 2 });
+    // Stored 2x3; rotated 90 degrees clockwise it becomes the 3x2 gain [10, 20, 30; 40, 50, 60]
+    const gain = writeTiff('gain.tif', [[30, 60, 20, 50, 10, 40]], { width: 2, height: 3, bits: 32, sampleFormat: 3 });
+
+    const plain = readAveragedFrame(movie, 10);
+    const corrected = readAveragedFrame(movie, 10, { gain: { path: gain, rotation: 1 } });
+
+    expect(Array.from(plain.data)).toEqual([2, 3, 4, 5, 6, 7]);
+    expect(plain.framesAveraged).toBe(2);
+    expect(Array.from(corrected.data)).toEqual([20, 60, 120, 200, 300, 420]);
+  });
+
+  it('skips a gain reference of the wrong size', () => {
+    const movie = writeTiff('movie.tif', [[1, 2, 3, 4, 5, 6]], { width: 3, height: 2 });
+    const gain = writeTiff('gain.tif', [[2, 2, 2, 2]], { width: 2, height: 2, bits: 32, sampleFormat: 3 });
+
+    expect(Array.from(readAveragedFrame(movie, 10, { gain: { path: gain } }).data)).toEqual([1, 2, 3, 4, 5, 6]);
+  });
+
+  it('renders a TIFF frame as PNG', async () => {
+    const movie = writeTiff('movie.tiff', [ramp(64, 64, 11)], { width: 64, height: 64, compression: COMPRESSION.LZW });
+
+    const png = await frameToPng(movie, 0, 32);
+
+    expect(png.subarray(1, 4).toString('latin1')).toBe('PNG');
+  });
+});
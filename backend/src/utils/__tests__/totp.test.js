@@ -0,0 +1,104 @@
+jest.mock('../../config/settings', () => ({
+  TOTP_REQUIRED_FOR_ADMINS: false,
+}));
+
+const settings = require('../../config/settings');
+const totp = require('../totp');
+
+// RFC 6238 appendix B: SHA-1 secret "12345678901234567890"
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+describe('base32', () => {
+  it('round-trips bytes and matches RFC 4648', () => {
+    expect(totp.base32Encode(Buffer.from('12345678901234567890'))).toBe(RFC_SECRET);
+    expect(totp.base32Encode(Buffer.from('foobar'))).toBe('MZXW6YTBOI');
+    expect(totp.base32Decode('mzxw 6ytb oi==').toString()).toBe('foobar');
+  });
+
+  it('rejects invalid characters', () => {
+    expect(() => totp.base32Decode('MZ1W')).toThrow('Invalid base32 character');
+  });
+
+  it('generates 160-bit secrets', () => {
+    const secret = totp.generateSecret();
+    expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+    expect(totp.base32Decode(secret)).toHaveLength(20);
+  });
+});
+
+describe('codes', () => {
+  it.each([
+    [59, '287082'],
+    [1111111109, '081804'],
+    [1234567890, '005924'],
+    [2000000000, '279037'],
+  ])('matches the RFC 6238 vector at %i s', (seconds, code) => {
+    expect(totp.generateCode(RFC_SECRET, totp.timeStep(seconds * 1000))).toBe(code);
+  });
+
+  it('accepts the current and adjacent steps only', () => {
+    const now = 1234567890 * 1000;
+    const step = totp.timeStep(now);
+
+    expect(totp.verifyCode(RFC_SECRET, '005924', { now })).toBe(step);
+    expect(totp.verifyCode(RFC_SECRET, totp.generateCode(RFC_SECRET, step - 1), { now })).toBe(step - 1);
+    expect(totp.verifyCode(RFC_SECRET, totp.generateCode(RFC_SECRET, step + 1), { now })).toBe(step + 1);
+    expect(totp.verifyCode(RFC_SECRET, totp.generateCode(RFC_SECRET, step - 2), { now })).toBeNull();
+  });
+
+  it('refuses replays and malformed input', () => {
+    const now = 1234567890 * 1000;
+    const step = totp.timeStep(now);
+
+    expect(totp.verifyCode(RFC_SECRET, '005 924', { now })).toBe(step);
+    expect(totp.verifyCode(RFC_SECRET, '005924', { now, lastStep: step })).toBeNull();
+    expect(totp.verifyCode(RFC_SECRET, '05924', { now })).toBeNull();
+    expect(totp.verifyCode(RFC_SECRET, 'abcdef', { now })).toBeNull();
+    expect(totp.verifyCode(RFC_SECRET, undefined, { now })).toBeNull();
+  });
+});
+
+describe('provisioningUri', () => {
+  it('builds an otpauth URI with issuer and account', () => {
+    const uri = totp.provisioningUri({ secret: RFC_SECRET, account: 'jane@example.org', issuer: 'Cryo Lab' });
+    expect(uri).toBe(`otpauth://totp/Cryo%20Lab%3Ajane%40example.org?secret=${RFC_SECRET}&issuer=Cryo+Lab&algorithm=SHA1&digits=6&period=30`);
+  });
+});
+
+describe('recovery codes', () => {
+  it('generates distinct codes whose hashes ignore case and dashes', () => {
+    const { codes, hashes } = totp.generateRecoveryCodes();
+
+    expect(codes).toHaveLength(10);
+    expect(new Set(codes).size).toBe(10);
+    codes.forEach(code => expect(code).toMatch(/^[0-9a-f]{5}-[0-9a-f]{5}$/));
+    expect(totp.hashRecoveryCode(codes[0].toUpperCase().replace('-', ' '))).toBe(hashes[0]);
+    expect(hashes[0]).not.toContain(codes[0]);
+  });
+});
+
+describe('isTotpRequired', () => {
+  afterEach(() => {
+    settings.TOTP_REQUIRED_FOR_ADMINS = false;
+  });
+
+  it('follows the per-user flag', () => {
+    expect(totp.isTotpRequired({ totp_required: true })).toBe(true);
+    expect(totp.isTotpRequired({ totp_required: false, is_superuser: true })).toBe(false);
+    expect(totp.isTotpRequired(null)).toBe(false);
+  });
+
+  it('covers staff and superusers when required for admins', () => {
+    settings.TOTP_REQUIRED_FOR_ADMINS = true;
+    expect(totp.isTotpRequired({ is_staff: true })).toBe(true);
+    expect(totp.isTotpRequired({ is_superuser: true })).toBe(true);
+    expect(totp.isTotpRequired({})).toBe(false);
+  });
+
+  it('applies to single sign-on accounts too', () => {
+    settings.TOTP_REQUIRED_FOR_ADMINS = true;
+    expect(totp.isTotpRequired({ auth_provider: 'oidc', is_superuser: true })).toBe(true);
+    settings.TOTP_REQUIRED_FOR_ADMINS = false;
+    expect(totp.isTotpRequired({ auth_provider: 'oidc', totp_required: true })).toBe(true);
+  });
+});
@@ -0,0 +1,111 @@
+const {
+  parseWorkflowSource,
+  validateWorkflowTemplate,
+  findPlaceholders,
+  resolveStepParameters,
+  describeWorkflowSteps,
+} = require('../workflowTemplate');
+
+const YAML_TEMPLATE = `
+# Standard single-particle chain
+name: Standard SPA
+steps:
+  - id: motion
+    type: MotionCorr
+    needs: [import]
+    parameters:
+      inputMovies: "{{import}}/movies.star"
+  - id: import
+    type: import
+    parameters:
+      inputFiles: Movies/*.tiff
+      angpix: 0.885
+  - id: ctf
+    type: ctf_estimation
+    needs: [motion]
+    parameters:
+      inputStarFile: "{{motion}}/corrected_micrographs.star"
+`;
+
+const template = (steps) => ({ name: 'Test', steps });
+
+// ─── parseWorkflowSource ────────────────────────────────────────────
+
+describe('parseWorkflowSource', () => {
+  it('reads YAML', () => {
+    const { value, format, error } = parseWorkflowSource(YAML_TEMPLATE);
+    expect(error).toBeNull();
+    expect(format).toBe('yaml');
+    expect(value.steps[1].parameters.angpix).toBe(0.885);
+  });
+
+  it('reads JSON', () => {
+    const { value, format } = parseWorkflowSource('{"name": "Json", "steps": []}');
+    expect(format).toBe('json');
+    expect(value.name).toBe('Json');
+  });
+
+  it('reports syntax errors with the detected format', () => {
+    expect(parseWorkflowSource('{"name": ').error).toMatch(/^Invalid JSON/);
+    expect(parseWorkflowSource('steps: [a, b').error).toMatch(/^Invalid YAML/);
+    expect(parseWorkflowSource('- just\n- a list').error).toBe('Template must be an object');
+  });
+});
+
+// ─── validateWorkflowTemplate ───────────────────────────────────────
+
+describe('validateWorkflowTemplate', () => {
+  it('normalizes job types and orders steps by dependency', () => {
+    const { value, error } = validateWorkflowTemplate(parseWorkflowSource(YAML_TEMPLATE).value);
+
+    expect(error).toBeNull();
+    expect(value.steps.map(s => [s.id, s.type])).toEqual([
+      ['import', 'import'],
+      ['motion', 'motion_correction'],
+      ['ctf', 'ctf_estimation'],
+    ]);
+    expect(describeWorkflowSteps(value.steps)).toBe('Import → MotionCorr → CtfFind');
+  });
+
+  it.each([
+    [template([]), /"steps" must contain at least 1 items/],
+    [template([{ id: '1abc', type: 'import' }]), /Step id must start with a letter/],
+    [template([{ id: 'a', type: 'import' }, { id: 'a', type: 'import' }]), /Duplicate step id: a/],
+    [template([{ id: 'a', type: 'nonsense' }]), /unknown job type nonsense/],
+    [template([{ id: 'a', type: 'ManualSelect' }]), /interactive/],
+    [template([{ id: 'a', type: 'import', needs: ['b'] }]), /needs unknown step b/],
+    [template([{ id: 'a', type: 'import', needs: ['a'] }]), /needs unknown step a/],
+    [template([
+      { id: 'a', type: 'import' },
+      { id: 'b', type: 'motion_correction', parameters: { inputMovies: '{{a}}/movies.star' } },
+    ]), /\{\{a\}\} must be listed in needs/],
+    [template([
+      { id: 'a', type: 'class2d', needs: ['b'] },
+      { id: 'b', type: 'class2d', needs: ['a'] },
+    ]), /cycle: a, b/],
+  ])('rejects invalid template %#', (input, message) => {
+    expect(validateWorkflowTemplate(input).error).toMatch(message);
+  });
+});
+
+// ─── placeholders ───────────────────────────────────────────────────
+
+describe('placeholders', () => {
+  const parameters = {
+    inputStarFile: '{{ extract }}/particles.star',
+    referenceMaps: ['{{model}}/initial_model.mrc'],
+    numberOfClasses: 4,
+  };
+
+  it('finds referenced steps', () => {
+    expect(findPlaceholders(parameters)).toEqual(['extract', 'model']);
+  });
+
+  it('substitutes job directories and leaves unknown placeholders', () => {
+    expect(resolveStepParameters(parameters, { extract: 'Extract/Job007' })).toEqual({
+      inputStarFile: 'Extract/Job007/particles.star',
+      referenceMaps: ['{{model}}/initial_model.mrc'],
+      numberOfClasses: 4,
+    });
+  });
+});
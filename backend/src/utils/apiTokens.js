@@ -0,0 +1,109 @@
+/**
+ * Personal Access Token Utility
+ *
+ * Token format, hashing and the mapping from API requests to token scopes.
+ * Tokens look like `cp_pat_<40 hex chars>`; only their SHA-256 hash is stored.
+ *
+ * Scopes:
+ * - read:  GET requests anywhere a session could read (implied by every scope)
+ * - jobs:  create/modify projects, jobs, imports, files, workflows, cluster calls
+ * - live:  create/modify live sessions
+ * - admin: the /api/admin routes, and staff/superuser rights elsewhere
+ */
+
+const crypto = require('crypto');
+
+const TOKEN_PREFIX = 'cp_pat_';
+const SCOPES = ['read', 'jobs', 'live', 'admin'];
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+/** The only account endpoint a token may call; the rest need a browser session */
+const TOKEN_ACCOUNT_PATHS = ['/api/auth/me'];
+
+/**
+ * Generate a new token
+ * @returns {{ token: string, hash: string, prefix: string }} Token to show once,
+ *   hash to store, and a short prefix to recognise it by in lists
+ */
+function generateToken() {
+  const token = `${TOKEN_PREFIX}${crypto.randomBytes(20).toString('hex')}`;
+  return { token, hash: hashToken(token), prefix: token.slice(0, TOKEN_PREFIX.length + 6) };
+}
+
+/**
+ * SHA-256 hash of a token, as stored
+ * @param {string} token
+ * @returns {string}
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Whether a bearer credential is a personal access token (rather than a JWT)
+ * @param {string} token
+ * @returns {boolean}
+ */
+function isApiToken(token) {
+  return typeof token === 'string' && token.startsWith(TOKEN_PREFIX);
+}
+
+/**
+ * Scope a request needs
+ * @param {string} method - HTTP method
+ * @param {string} url - Request URL (originalUrl; a query string is ignored)
+ * @returns {string|null} Scope name, or null when tokens may not call it at all
+ */
+function requiredScope(method, url) {
+  const path = (url || '').split('?')[0].replace(/\/+$/, '');
+  const verb = (method || 'GET').toUpperCase();
+
+  if (path === '/api/auth' || path.startsWith('/api/auth/')) {
+    return READ_METHODS.includes(verb) && TOKEN_ACCOUNT_PATHS.includes(path) ? 'read' : null;
+  }
+  if (path === '/api/admin' || path.startsWith('/api/admin/')) {
+    return 'admin';
+  }
+  if (READ_METHODS.includes(verb)) {
+    return 'read';
+  }
+  if (path === '/api/live-sessions' || path.startsWith('/api/live-sessions/')) {
+    return 'live';
+  }
+  return 'jobs';
+}
+
+/**
+ * Whether a token's scopes cover a required scope (every scope implies read)
+ * @param {string[]} scopes
+ * @param {string} scope
+ * @returns {boolean}
+ */
+function hasScope(scopes, scope) {
+  if (!Array.isArray(scopes) || scopes.length === 0) return false;
+  return scope === 'read' || scopes.includes(scope);
+}
+
+/**
+ * Whether the request's access token (if any) may touch a project. Tokens
+ * restricted to projects cannot create new ones (projectId null).
+ * @param {Object} user - req.user
+ * @param {string|null} projectId
+ * @returns {boolean}
+ */
+function tokenAllowsProject(user, projectId) {
+  const projectIds = user?.apiToken?.projectIds;
+  if (!projectIds || projectIds.length === 0) return true;
+  return projectId != null && projectIds.includes(String(projectId));
+}
+
+module.exports = {
+  TOKEN_PREFIX,
+  SCOPES,
+  generateToken,
+  hashToken,
+  isApiToken,
+  requiredScope,
+  hasScope,
+  tokenAllowsProject
+};
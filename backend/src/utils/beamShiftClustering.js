@@ -0,0 +1,99 @@
+/**
+ * Beam-Shift Clustering
+ *
+ * Groups exposures by the beam (image) shift used to reach them. With
+ * aberration-free image shift each shift position has its own residual beam
+ * tilt, so CtfRefine needs one optics group per position.
+ *
+ * Plain k-means in 2D. Seeding is deterministic (farthest-point from the
+ * centre of all shifts), and clusters are numbered by position, so the same
+ * exposures give the same groups every time a growing dataset is re-clustered.
+ */
+
+const MAX_ITERATIONS = 100;
+
+const dist2 = (a, b) => (a.x - b.x) ** 2 + (a.y - b.y) ** 2;
+
+const centroidOf = (points) => ({
+  x: points.reduce((sum, p) => sum + p.x, 0) / points.length,
+  y: points.reduce((sum, p) => sum + p.y, 0) / points.length
+});
+
+const nearest = (point, centroids) => {
+  let best = 0;
+  for (let c = 1; c < centroids.length; c++) {
+    if (dist2(point, centroids[c]) < dist2(point, centroids[best])) best = c;
+  }
+  return best;
+};
+
+/**
+ * Farthest-point seeding: start from the shift farthest from the centre,
+ * then repeatedly add the shift farthest from all chosen seeds
+ */
+const seed = (points, k) => {
+  const centre = centroidOf(points);
+  const seeds = [points.reduce((far, p) => (dist2(p, centre) > dist2(far, centre) ? p : far))];
+  while (seeds.length < k) {
+    let best = null;
+    let bestDist = -1;
+    for (const p of points) {
+      const d = Math.min(...seeds.map(s => dist2(p, s)));
+      if (d > bestDist) {
+        best = p;
+        bestDist = d;
+      }
+    }
+    seeds.push(best);
+  }
+  return seeds.map(p => ({ x: p.x, y: p.y }));
+};
+
+/**
+ * Cluster beam shifts into (at most) k groups
+ * @param {Array<{x: number, y: number}>} points - One beam shift per exposure
+ * @param {number} k - Number of groups wanted
+ * @returns {{labels: number[], centroids: Array<{x, y}>, counts: number[]}}
+ *   labels[i] is the group (0-based) of points[i]. Fewer than k groups are
+ *   returned when there are fewer distinct shifts than k.
+ */
+const clusterBeamShifts = (points, k) => {
+  if (points.length === 0) return { labels: [], centroids: [], counts: [] };
+
+  const distinct = new Set(points.map(p => `${p.x},${p.y}`)).size;
+  k = Math.max(1, Math.min(Math.floor(k) || 1, distinct));
+
+  let centroids = seed(points, k);
+  let labels = points.map(p => nearest(p, centroids));
+
+  for (let iter = 0; iter < MAX_ITERATIONS; iter++) {
+    centroids = centroids.map((c, i) => {
+      const members = points.filter((_, j) => labels[j] === i);
+      return members.length > 0 ? centroidOf(members) : c;
+    });
+    const next = points.map(p => nearest(p, centroids));
+    const changed = next.some((label, j) => label !== labels[j]);
+    labels = next;
+    if (!changed) break;
+  }
+
+  // Number clusters by position (rows of increasing y, then x within a row)
+  // so group numbers do not depend on seeding order
+  const spread = Math.sqrt(Math.max(...centroids.map(c => dist2(c, centroidOf(centroids))))) || 1;
+  const rowTolerance = spread / (2 * Math.sqrt(k));
+  const order = centroids
+    .map((c, i) => ({ c, i }))
+    .sort((a, b) => (Math.abs(a.c.y - b.c.y) > rowTolerance ? a.c.y - b.c.y : a.c.x - b.c.x))
+    .map(({ i }) => i);
+  const rank = new Map(order.map((oldIndex, newIndex) => [oldIndex, newIndex]));
+
+  const sortedLabels = labels.map(l => rank.get(l));
+  const counts = order.map(i => labels.filter(l => l === i).length);
+  return {
+    labels: sortedLabels,
+    centroids: order.map(i => centroids[i]),
+    counts
+  };
+};
+
+module.exports = { clusterBeamShifts };
@@ -0,0 +1,242 @@
+/**
+ * EER File Parser
+ *
+ * Pure Node.js reader for Electron Event Representation movies (Falcon 4/4i).
+ * An EER file is a TIFF with one IFD per raw frame; each frame's strips hold
+ * a run-length-encoded list of electron events instead of pixel values.
+ *
+ * Raw frames carry only a few electrons each, so they are summed into
+ * fractions of `grouping` frames (RELION's --eer_grouping) and rendered at
+ * 1x or 2x super-resolution (--eer_upsampling) using the 4-bit subpixel
+ * position stored with each event.
+ *
+ * Fractions are returned in the same shape as mrcParser ({ data, width, height })
+ * so they can go through the same averaging and PNG helpers.
+ */
+
+const fs = require('fs');
+const logger = require('./logger');
+const { TAG, readTiffDirectories } = require('./tiffParser');
+const { DEFAULTS } = require('../config/constants');
+
+const EER_COMPRESSION = {
+  LEGACY: 65000,
+  RLE_7BIT: 65001,
+  RLE_8BIT: 65002,
+};
+
+/**
+ * Event encoding per compression code. Each event is a run length (pixels
+ * skipped since the previous electron) followed by a 4-bit subpixel symbol.
+ * A run of the maximum value means "skip that many pixels, no electron"; the
+ * current codes store no symbol after it, the legacy code always does.
+ * The legacy code stores symbols as-is, the current codes XOR them with 0x0A.
+ */
+const CODECS = {
+  [EER_COMPRESSION.LEGACY]: { rleBits: 8, symbolXor: 0, symbolAfterSkip: true },
+  [EER_COMPRESSION.RLE_7BIT]: { rleBits: 7, symbolXor: 0x0a, symbolAfterSkip: false },
+  [EER_COMPRESSION.RLE_8BIT]: { rleBits: 8, symbolXor: 0x0a, symbolAfterSkip: false },
+};
+
+const SYMBOL_BITS = 4;
+const UPSAMPLING_FACTORS = [1, 2];
+
+/**
+ * Check whether a TIFF file holds EER frames
+ * @param {string} filepath
+ * @returns {boolean}
+ */
+const isEerFile = (filepath) => {
+  try {
+    const { ifds } = readTiffDirectories(filepath);
+    return ifds.length > 0 && CODECS[ifds[0][TAG.COMPRESSION]?.[0]] !== undefined;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Fill in and validate grouping/upsampling
+ * @param {Object} [options]
+ * @param {number} [options.grouping] - Raw frames per fraction
+ * @param {number} [options.upsampling] - 1 or 2
+ * @returns {{grouping: number, upsampling: number}}
+ */
+const resolveOptions = ({ grouping, upsampling } = {}) => {
+  const resolved = {
+    grouping: Math.max(1, parseInt(grouping, 10) || DEFAULTS.EER_GROUPING),
+    upsampling: parseInt(upsampling, 10) || DEFAULTS.EER_UPSAMPLING,
+  };
+  if (!UPSAMPLING_FACTORS.includes(resolved.upsampling)) {
+    throw new Error(`Unsupported EER upsampling ${upsampling} (use ${UPSAMPLING_FACTORS.join(' or ')})`);
+  }
+  return resolved;
+};
+
+/**
+ * Decode the events of one raw frame and add them to an image
+ * @param {Buffer} stream - Concatenated strips of the frame
+ * @param {number} compression - EER compression code
+ * @param {number} width - Sensor width
+ * @param {number} height - Sensor height
+ * @param {Float32Array} target - Image of (width * upsampling) x (height * upsampling)
+ * @param {number} upsampling - 1 or 2
+ * @returns {number} Number of electrons decoded
+ */
+const decodeEerFrame = (stream, compression, width, height, target, upsampling = 1) => {
+  const codec = CODECS[compression];
+  if (!codec) {
+    throw new Error(`Unsupported EER compression ${compression}`);
+  }
+
+  // Four bytes of padding let every field be read from one 32-bit window
+  const bytes = Buffer.concat([stream, Buffer.alloc(4)]);
+  const totalBits = stream.length * 8;
+  const maxRun = (1 << codec.rleBits) - 1;
+  const rleMask = maxRun;
+  const symbolMask = (1 << SYMBOL_BITS) - 1;
+  const totalPixels = width * height;
+  const targetWidth = width * upsampling;
+  // With 2x upsampling the high bit of each 2-bit subpixel coordinate picks the half pixel
+  const subShift = upsampling === 2 ? 1 : 2;
+
+  // Bits are packed LSB-first
+  const readField = (bitPos, mask) => {
+    const byte = bitPos >>> 3;
+    const word = bytes[byte] | (bytes[byte + 1] << 8) | (bytes[byte + 2] << 16) | (bytes[byte + 3] << 24);
+    return (word >>> (bitPos & 7)) & mask;
+  };
+
+  let bitPos = 0;
+  let pixel = 0;
+  let electrons = 0;
+
+  while (bitPos + codec.rleBits <= totalBits && pixel < totalPixels) {
+    const run = readField(bitPos, rleMask);
+    bitPos += codec.rleBits;
+    pixel += run;
+
+    if (run === maxRun) {
+      if (codec.symbolAfterSkip) bitPos += SYMBOL_BITS;
+      continue;
+    }
+    if (bitPos + SYMBOL_BITS > totalBits || pixel >= totalPixels) break;
+
+    const symbol = readField(bitPos, symbolMask) ^ codec.symbolXor;
+    bitPos += SYMBOL_BITS;
+
+    const x = pixel % width;
+    const y = (pixel - x) / width;
+    if (upsampling === 1) {
+      target[y * width + x] += 1;
+    } else {
+      const subX = (symbol & 3) >> subShift;
+      const subY = (symbol >> 2) >> subShift;
+      target[(y * 2 + subY) * targetWidth + x * 2 + subX] += 1;
+    }
+    electrons++;
+    pixel++;
+  }
+
+  return electrons;
+};
+
+/**
+ * Read the strips of one raw frame
+ */
+const readRawFrame = (fd, tags) => {
+  const offsets = tags[TAG.STRIP_OFFSETS] || [];
+  const byteCounts = tags[TAG.STRIP_BYTE_COUNTS] || [];
+  const chunks = offsets.map((offset, i) => {
+    const buffer = Buffer.alloc(byteCounts[i] || 0);
+    const bytesRead = fs.readSync(fd, buffer, 0, buffer.length, offset);
+    if (bytesRead < buffer.length) {
+      throw new Error(`Unexpected end of file at offset ${offset}`);
+    }
+    return buffer;
+  });
+  return Buffer.concat(chunks);
+};
+
+/**
+ * Get EER movie info in the same shape as getMrcInfo, counting fractions as frames
+ * @param {string} filepath
+ * @param {Object} [options] - { grouping, upsampling }
+ * @returns {Object|null} { num_frames, width, height, dataType, compression, pixelSize, fileSize, eer }
+ */
+const getEerInfo = (filepath, options = {}) => {
+  try {
+    const { grouping, upsampling } = resolveOptions(options);
+    const { ifds } = readTiffDirectories(filepath);
+    if (ifds.length === 0) {
+      throw new Error('EER file has no frames');
+    }
+    const tags = ifds[0];
+
+    return {
+      num_frames: Math.max(1, Math.floor(ifds.length / grouping)),
+      width: tags[TAG.IMAGE_WIDTH][0] * upsampling,
+      height: tags[TAG.IMAGE_LENGTH][0] * upsampling,
+      mode: null,
+      dataType: 'eer',
+      compression: tags[TAG.COMPRESSION][0],
+      pixelSize: null,
+      fileSize: fs.statSync(filepath).size,
+      eer: { rawFrames: ifds.length, grouping, upsampling }
+    };
+  } catch (error) {
+    logger.error(`[EER] Error reading header: ${error.message}`);
+    return null;
+  }
+};
+
+/**
+ * Render one fraction (the sum of `grouping` raw frames). Trailing raw frames
+ * that do not fill a whole fraction are dropped, as RELION does.
+ * @param {string} filepath - Path to EER file
+ * @param {number} fractionIndex - Fraction index (0-based, clamped)
+ * @param {Object} [options] - { grouping, upsampling }
+ * @returns {{data: Float32Array, width: number, height: number}|null}
+ */
+const readEerFrame = (filepath, fractionIndex = 0, options = {}) => {
+  try {
+    const { grouping, upsampling } = resolveOptions(options);
+    const { ifds } = readTiffDirectories(filepath);
+    if (ifds.length === 0) {
+      throw new Error('EER file has no frames');
+    }
+
+    const numFractions = Math.max(1, Math.floor(ifds.length / grouping));
+    const fraction = Math.min(Math.max(0, fractionIndex), numFractions - 1);
+    const firstFrame = fraction * grouping;
+    const lastFrame = Math.min(firstFrame + grouping, ifds.length);
+
+    const width = ifds[0][TAG.IMAGE_WIDTH][0];
+    const height = ifds[0][TAG.IMAGE_LENGTH][0];
+    const data = new Float32Array(width * upsampling * height * upsampling);
+
+    const fd = fs.openSync(filepath, 'r');
+    try {
+      for (let i = firstFrame; i < lastFrame; i++) {
+        const tags = ifds[i];
+        decodeEerFrame(readRawFrame(fd, tags), tags[TAG.COMPRESSION][0], width, height, data, upsampling);
+      }
+    } finally {
+      fs.closeSync(fd);
+    }
+
+    return { data, width: width * upsampling, height: height * upsampling };
+  } catch (error) {
+    logger.error(`[EER] Error reading frame: ${error.message}`);
+    return null;
+  }
+};
+
+module.exports = {
+  EER_COMPRESSION,
+  UPSAMPLING_FACTORS,
+  isEerFile,
+  getEerInfo,
+  readEerFrame,
+  decodeEerFrame
+};
@@ -0,0 +1,130 @@
+/**
+ * EPU Metadata Parser
+ *
+ * Reads the per-exposure XML files EPU writes next to each movie
+ * (FoilHole_<hole>_Data_<area>_<n>_<date>_<time>.xml). EPU serialises a .NET
+ * MicroscopeImage object; we only need a few scalar values, so elements are
+ * matched by name (ignoring namespace prefixes) rather than with a full
+ * XML parser.
+ *
+ * Lengths are converted to Angstrom and voltage to kV. Beam shift and tilt
+ * stay in EPU's own units; only their relative positions matter for grouping.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Suffixes EPU adds to the movie name but not to its XML
+const MOVIE_SUFFIXES = /(_fractions|_Fractions|_EER|_gain)$/;
+
+const ns = '(?:[\\w-]+:)?';
+
+/**
+ * Inner text of the first element with this name
+ * @param {string} xml
+ * @param {string} name - Element name without namespace prefix
+ * @returns {string|null}
+ */
+const elementText = (xml, name) => {
+  const match = xml.match(new RegExp(`<${ns}${name}\\b[^>]*>([\\s\\S]*?)</${ns}${name}>`));
+  return match ? match[1] : null;
+};
+
+const toNumber = (text) => {
+  if (text === null || text === undefined) return null;
+  const n = parseFloat(String(text).trim());
+  return Number.isFinite(n) ? n : null;
+};
+
+/**
+ * Read an { _x, _y } vector element such as BeamShift or BeamTilt
+ * @returns {{x: number, y: number}|null}
+ */
+const vector = (xml, name) => {
+  const inner = elementText(xml, name);
+  if (inner === null) return null;
+  const x = toNumber(elementText(inner, '_x'));
+  const y = toNumber(elementText(inner, '_y'));
+  return x !== null && y !== null ? { x, y } : null;
+};
+
+/**
+ * Value of a CustomData key/value pair
+ * (<a:KeyValueOfstringanyType><a:Key>AppliedDefocus</a:Key><a:Value>...</a:Value>)
+ */
+const customValue = (xml, key) => {
+  const re = new RegExp(`<${ns}Key>\\s*${key}\\s*</${ns}Key>\\s*<${ns}Value\\b[^>]*>([\\s\\S]*?)</${ns}Value>`);
+  const match = xml.match(re);
+  return match ? match[1].trim() : null;
+};
+
+/**
+ * Parse an EPU per-exposure XML document
+ * @param {string} xml - File content
+ * @returns {Object} { beamShift, beamTilt, defocus, appliedDefocus, voltage, pixelSize, acquisitionTime }
+ *   beamShift/beamTilt as {x, y} in EPU units, defoci in Angstrom (negative = underfocus
+ *   as reported by EPU), voltage in kV, pixelSize in Angstrom. Missing values are null.
+ */
+const parseEpuXml = (xml) => {
+  const optics = elementText(xml, 'optics') || xml;
+
+  const defocusM = toNumber(elementText(optics, 'Defocus'));
+  const appliedDefocusM = toNumber(customValue(xml, 'AppliedDefocus'));
+  const voltageV = toNumber(elementText(xml, 'AccelerationVoltage'));
+  const pixelSizeM = toNumber(elementText(elementText(xml, 'pixelSize') || '', 'numericValue'));
+  const acquired = elementText(xml, 'acquisitionDateTime');
+
+  return {
+    beamShift: vector(optics, 'BeamShift'),
+    beamTilt: vector(optics, 'BeamTilt'),
+    defocus: defocusM !== null ? defocusM * 1e10 : null,
+    appliedDefocus: appliedDefocusM !== null ? appliedDefocusM * 1e10 : null,
+    voltage: voltageV !== null ? voltageV / 1000 : null,
+    pixelSize: pixelSizeM !== null ? pixelSizeM * 1e10 : null,
+    acquisitionTime: acquired ? acquired.trim() : null
+  };
+};
+
+/**
+ * Find the EPU XML for a movie. Looks next to the movie and, when the movie
+ * is a symlink (e.g. a live session's Movies/ folder), next to its target.
+ * @param {string} moviePath - Absolute movie path
+ * @returns {string|null} XML path
+ */
+const findEpuXml = (moviePath) => {
+  const stem = path.basename(moviePath, path.extname(moviePath)).replace(MOVIE_SUFFIXES, '');
+  const dirs = [path.dirname(moviePath)];
+  try {
+    const real = fs.realpathSync(moviePath);
+    if (real !== moviePath) dirs.push(path.dirname(real));
+  } catch (err) {
+    // Broken link: only the link's own directory can be checked
+  }
+
+  for (const dir of dirs) {
+    const candidate = path.join(dir, `${stem}.xml`);
+    if (fs.existsSync(candidate)) return candidate;
+  }
+  return null;
+};
+
+/**
+ * Read the EPU metadata of a movie
+ * @param {string} moviePath - Absolute movie path
+ * @returns {Promise<Object|null>} Parsed metadata, or null if there is no readable XML
+ */
+const readEpuMetadata = async (moviePath) => {
+  const xmlPath = findEpuXml(moviePath);
+  if (!xmlPath) return null;
+  try {
+    return parseEpuXml(await fs.promises.readFile(xmlPath, 'utf-8'));
+  } catch (err) {
+    return null;
+  }
+};
+
+module.exports = {
+  parseEpuXml,
+  findEpuXml,
+  readEpuMetadata
+};
@@ -0,0 +1,177 @@
+/**
+ * Live Session Guardrails
+ *
+ * Rolling-window anomaly checks on the per-exposure metrics of a live
+ * session, so drifting focus or thickening ice is noticed after one window
+ * of exposures instead of hours later. Each check compares the most recent
+ * `window` exposures against a limit from session.guardrails:
+ *
+ * - rejection_rate:  share of the window rejected by the quality rules
+ * - ctf_resolution:  median CTF max resolution worse than a limit
+ * - ctf_trend:       median CTF resolution worse than the window before by more than a limit
+ * - defocus:         median defocus outside the target range
+ * - ice_thickness:   median ice ring density above a limit
+ * - watch_silent:    no new movies for longer than a limit
+ *
+ * Checks with no limit set (null) are skipped. Pure functions; the
+ * orchestrator decides what to do with the results.
+ */
+
+// Check id -> label
+const GUARDRAIL_CHECKS = {
+  rejection_rate: 'Rejection rate',
+  ctf_resolution: 'CTF resolution',
+  ctf_trend: 'CTF resolution trend',
+  defocus: 'Defocus',
+  ice_thickness: 'Ice thickness',
+  watch_silent: 'No new movies',
+};
+
+// Smallest rolling window allowed
+const MIN_WINDOW = 5;
+
+const median = (values) => {
+  const sorted = values.filter(Number.isFinite).sort((a, b) => a - b);
+  if (sorted.length === 0) return null;
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+const isSet = (value) => value !== null && value !== undefined;
+
+const round = (value, digits = 2) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+/**
+ * Validate a guardrails config (snake_case)
+ * @param {Object} config
+ * @returns {string|null} Error message, or null if valid
+ */
+const validateGuardrails = (config) => {
+  if (!config || typeof config !== 'object') return 'guardrails must be an object';
+
+  const window = config.window;
+  if (isSet(window) && (!Number.isInteger(window) || window < MIN_WINDOW || window > 1000)) {
+    return `guardrails.window must be an integer from ${MIN_WINDOW} to 1000`;
+  }
+  const fraction = config.max_rejected_fraction;
+  if (isSet(fraction) && (typeof fraction !== 'number' || fraction <= 0 || fraction > 1)) {
+    return 'guardrails.maxRejectedFraction must be between 0 and 1';
+  }
+  for (const key of ['max_median_ctf_resolution', 'max_ctf_resolution_increase', 'max_median_ice_thickness', 'silence_minutes']) {
+    if (isSet(config[key]) && (typeof config[key] !== 'number' || config[key] <= 0)) {
+      return `guardrails.${key.replace(/_([a-z])/g, (_, c) => c.toUpperCase())} must be a positive number`;
+    }
+  }
+  const range = config.defocus_range;
+  if (isSet(range) && (!Array.isArray(range) || range.length !== 2
+      || !range.every(Number.isFinite) || range[0] >= range[1])) {
+    return 'guardrails.defocusRange must be [min, max] in Å';
+  }
+  return null;
+};
+
+/**
+ * Rolling-window checks on per-exposure metrics
+ * @param {Array<{ctfResolution, defocus, iceThickness, passed}>} exposures - In acquisition order;
+ *   passed is null while no quality filter has run
+ * @param {Object} config - session.guardrails
+ * @returns {Array<{type, message, value, threshold}>}
+ */
+const detectExposureAnomalies = (exposures, config = {}) => {
+  const window = config.window || 50;
+  const recent = exposures.slice(-window);
+  // Wait for a full window so a handful of early exposures cannot trip a check
+  if (recent.length < window) return [];
+
+  const anomalies = [];
+
+  if (isSet(config.max_rejected_fraction)) {
+    const judged = recent.filter(e => e.passed !== null && e.passed !== undefined);
+    if (judged.length === recent.length) {
+      const fraction = judged.filter(e => !e.passed).length / judged.length;
+      if (fraction > config.max_rejected_fraction) {
+        anomalies.push({
+          type: 'rejection_rate',
+          message: `${Math.round(fraction * 100)}% of the last ${window} exposures were rejected (limit ${Math.round(config.max_rejected_fraction * 100)}%)`,
+          value: round(fraction),
+          threshold: config.max_rejected_fraction
+        });
+      }
+    }
+  }
+
+  const resolution = median(recent.map(e => e.ctfResolution));
+  if (isSet(config.max_median_ctf_resolution) && resolution !== null
+      && resolution > config.max_median_ctf_resolution) {
+    anomalies.push({
+      type: 'ctf_resolution',
+      message: `Median CTF resolution of the last ${window} exposures is ${resolution.toFixed(1)} Å (limit ${config.max_median_ctf_resolution} Å)`,
+      value: round(resolution),
+      threshold: config.max_median_ctf_resolution
+    });
+  }
+
+  if (isSet(config.max_ctf_resolution_increase) && resolution !== null) {
+    const previous = exposures.slice(-2 * window, -window);
+    const before = previous.length === window ? median(previous.map(e => e.ctfResolution)) : null;
+    if (before !== null && resolution - before > config.max_ctf_resolution_increase) {
+      anomalies.push({
+        type: 'ctf_trend',
+        message: `Median CTF resolution worsened from ${before.toFixed(1)} Å to ${resolution.toFixed(1)} Å over the last ${window} exposures`,
+        value: round(resolution - before),
+        threshold: config.max_ctf_resolution_increase
+      });
+    }
+  }
+
+  const defocus = median(recent.map(e => e.defocus));
+  const range = config.defocus_range;
+  if (Array.isArray(range) && range.length === 2 && defocus !== null
+      && (defocus < range[0] || defocus > range[1])) {
+    anomalies.push({
+      type: 'defocus',
+      message: `Median defocus of the last ${window} exposures is ${(defocus / 10000).toFixed(2)} µm, outside ${(range[0] / 10000).toFixed(2)}–${(range[1] / 10000).toFixed(2)} µm`,
+      value: round(defocus, 0),
+      threshold: range
+    });
+  }
+
+  const ice = median(recent.map(e => e.iceThickness));
+  if (isSet(config.max_median_ice_thickness) && ice !== null && ice > config.max_median_ice_thickness) {
+    anomalies.push({
+      type: 'ice_thickness',
+      message: `Median ice ring density of the last ${window} exposures is ${round(ice, 3)} (limit ${config.max_median_ice_thickness})`,
+      value: round(ice, 3),
+      threshold: config.max_median_ice_thickness
+    });
+  }
+
+  return anomalies;
+};
+
+/**
+ * Check whether the watch directory has gone quiet
+ * @param {Date|number} lastFileAt - When the last new movie was detected (or watching began)
+ * @param {Object} config - session.guardrails
+ * @param {Date|number} [now]
+ * @returns {Object|null} Anomaly, or null
+ */
+const detectSilence = (lastFileAt, config = {}, now = Date.now()) => {
+  if (!isSet(config.silence_minutes) || !lastFileAt) return null;
+  const minutes = (new Date(now).getTime() - new Date(lastFileAt).getTime()) / 60000;
+  if (minutes <= config.silence_minutes) return null;
+  return {
+    type: 'watch_silent',
+    message: `No new movies for ${Math.floor(minutes)} min (limit ${config.silence_minutes} min)`,
+    value: Math.floor(minutes),
+    threshold: config.silence_minutes
+  };
+};
+
+module.exports = {
+  GUARDRAIL_CHECKS,
+  median,
+  validateGuardrails,
+  detectExposureAnomalies,
+  detectSilence
+};
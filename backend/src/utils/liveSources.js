@@ -0,0 +1,112 @@
+/**
+ * Live Session Sources
+ *
+ * A live session reads movies from one or more sources, each a watch
+ * directory with its own file pattern and optics group. Sessions created
+ * before multi-source support store a single source in watch_directory /
+ * file_pattern / optics; getSessionSources() presents both shapes the same way.
+ *
+ * With several sources, each source's movies are symlinked into their own
+ * Movies/<subdir>/ folder, so a movie's optics group can be told from its
+ * path once RELION Import has merged them into a single movies.star.
+ */
+
+const path = require('path');
+const { regroupOptics } = require('./opticsGroups');
+
+/**
+ * Folder name under Movies/ for a source
+ * @param {Object} source - { name }
+ * @param {number} index - Position in the session's source list
+ */
+const sourceSubdir = (source, index) => {
+  const base = (source.name || '').replace(/[^a-zA-Z0-9_-]/g, '_').replace(/^_+|_+$/g, '');
+  return base || `source${index + 1}`;
+};
+
+/**
+ * The session's sources as [{ name, watch_directory, file_pattern, optics, subdir }].
+ * subdir is null for single-source sessions, whose movies stay flat in Movies/.
+ * @param {Object} session - LiveSession document (or lean object)
+ */
+const getSessionSources = (session) => {
+  const stored = (session.sources || []).filter(s => s && s.watch_directory);
+  const sources = stored.length > 0
+    ? stored
+    : [{
+        name: session.optics?.optics_group_name || 'opticsGroup1',
+        watch_directory: session.watch_directory,
+        file_pattern: session.file_pattern,
+        optics: session.optics
+      }];
+
+  const multi = sources.length > 1;
+  const used = new Set();
+  return sources.map((source, i) => {
+    let subdir = null;
+    if (multi) {
+      subdir = sourceSubdir(source, i);
+      // Two sources may share a name; keep their folders apart
+      while (used.has(subdir)) subdir = `${subdir}_${i + 1}`;
+      used.add(subdir);
+    }
+    return {
+      name: source.name || `Source ${i + 1}`,
+      watch_directory: source.watch_directory,
+      file_pattern: source.file_pattern || '*.tiff',
+      optics: {
+        ...(source.optics || {}),
+        optics_group_name: source.optics?.optics_group_name || 'opticsGroup1'
+      },
+      subdir
+    };
+  });
+};
+
+/**
+ * Distinct optics groups across sources, numbered in order of first use
+ * @returns {Array<{number: number, name: string, optics: Object}>}
+ */
+const getOpticsGroups = (sources) => {
+  const groups = [];
+  for (const source of sources) {
+    const name = source.optics.optics_group_name;
+    if (!groups.some(g => g.name === name)) {
+      groups.push({ number: groups.length + 1, name, optics: source.optics });
+    }
+  }
+  return groups;
+};
+
+/**
+ * Rewrite an Import movies.star so each movie belongs to its source's
+ * optics group, with one data_optics row per group.
+ *
+ * RELION Import writes a single optics group for everything it imports;
+ * the other optics columns of that row (e.g. _rlnMtfFileName) are kept
+ * for every group.
+ *
+ * @param {string} content - movies.star content
+ * @param {Array} sources - From getSessionSources()
+ * @returns {{content: string, counts: Object}} New content and movie count per group name
+ */
+const assignOpticsGroups = (content, sources) => {
+  const groups = getOpticsGroups(sources);
+  const groupBySubdir = new Map(
+    sources.map(s => [s.subdir, groups.find(g => g.name === s.optics.optics_group_name)])
+  );
+
+  return regroupOptics(
+    content,
+    groups.map(g => ({ ...g, template: 1 })),
+    // Movies/<subdir>/<movie>
+    (movieName) => groupBySubdir.get(path.basename(path.dirname(movieName)))?.number ?? null
+  );
+};
+
+module.exports = {
+  sourceSubdir,
+  getSessionSources,
+  getOpticsGroups,
+  assignOpticsGroups
+};
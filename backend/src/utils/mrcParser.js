@@ -3,11 +3,16 @@
  *
  * Pure Node.js parser for MRC/MRC2014 files (cryo-EM standard format).
  * Reads headers and extracts frame data for visualization.
+ *
+ * The frame, averaged-frame and PNG helpers also accept TIFF movies (detected
+ * by magic bytes, see tiffParser) and can apply a gain reference.
  */
 
 const fs = require('fs');
 const path = require('path');
 const logger = require('./logger');
+const { isTiffFile, getTiffInfo, readTiffFrame } = require('./tiffParser');
+const { isEerFile, getEerInfo, readEerFrame } = require('./eerParser');
 
 // MRC data type mapping
 const MRC_MODE = {
@@ -227,19 +232,146 @@ const readMrcFrame = (filepath, frameIndex = 0) => {
   }
 };
 
+/**
+ * Movie container of a file: 'eer', 'tiff' or 'mrc'
+ * @param {string} filepath
+ * @returns {string}
+ */
+const movieFormat = (filepath) => {
+  if (!isTiffFile(filepath)) return 'mrc';
+  return isEerFile(filepath) ? 'eer' : 'tiff';
+};
+
+/**
+ * Get frame count and dimensions of an MRC, TIFF or EER movie.
+ * For EER, frames are fractions of options.eer.grouping raw frames.
+ * @param {string} filepath - Path to movie/stack file
+ * @param {Object} [options]
+ * @param {Object} [options.eer] - EER rendering { grouping, upsampling }
+ * @returns {Object|null} Same shape as getMrcInfo
+ */
+const getMovieInfo = (filepath, options = {}) => {
+  switch (movieFormat(filepath)) {
+    case 'eer': return getEerInfo(filepath, options.eer);
+    case 'tiff': return getTiffInfo(filepath);
+    default: return getMrcInfo(filepath);
+  }
+};
+
+/**
+ * Read a single frame from an MRC, TIFF or EER movie
+ * @param {string} filepath - Path to movie/stack file
+ * @param {number} frameIndex - Frame index (0-based; an EER fraction index)
+ * @param {Object} [options]
+ * @param {Object} [options.eer] - EER rendering { grouping, upsampling }
+ * @returns {Object|null} { data, width, height }
+ */
+const readFrame = (filepath, frameIndex = 0, options = {}) => {
+  switch (movieFormat(filepath)) {
+    case 'eer': return readEerFrame(filepath, frameIndex, options.eer);
+    case 'tiff': return readTiffFrame(filepath, frameIndex);
+    default: return readMrcFrame(filepath, frameIndex);
+  }
+};
+
+// Transformed gain references by path, mtime and orientation
+const GAIN_CACHE_SIZE = 4;
+const gainCache = new Map();
+
+/**
+ * Load a gain reference (MRC or TIFF, including .gain) with RELION's
+ * --gain_rot / --gain_flip applied
+ * @param {Object} gain
+ * @param {string} gain.path - Gain reference file
+ * @param {number} [gain.rotation=0] - Multiples of 90 degrees clockwise
+ * @param {number} [gain.flip=0] - 1 = upside down, 2 = left to right
+ * @returns {Object|null} { data, width, height }
+ */
+const loadGainReference = ({ path: gainPath, rotation = 0, flip = 0 }) => {
+  try {
+    const key = `${gainPath}:${fs.statSync(gainPath).mtimeMs}:${rotation}:${flip}`;
+    if (gainCache.has(key)) {
+      return gainCache.get(key);
+    }
+
+    let gain = readFrame(gainPath, 0);
+    if (!gain) return null;
+
+    for (let r = 0; r < ((rotation % 4) + 4) % 4; r++) {
+      const { data, width, height } = gain;
+      const rotated = new Float32Array(data.length);
+      // Clockwise: new (x', y') = old (y', height - 1 - x')
+      for (let y = 0; y < width; y++) {
+        for (let x = 0; x < height; x++) {
+          rotated[y * height + x] = data[(height - 1 - x) * width + y];
+        }
+      }
+      gain = { data: rotated, width: height, height: width };
+    }
+
+    if (flip === 1 || flip === 2) {
+      const { data, width, height } = gain;
+      const flipped = new Float32Array(data.length);
+      for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+          const srcX = flip === 2 ? width - 1 - x : x;
+          const srcY = flip === 1 ? height - 1 - y : y;
+          flipped[y * width + x] = data[srcY * width + srcX];
+        }
+      }
+      gain = { data: flipped, width, height };
+    }
+
+    if (gainCache.size >= GAIN_CACHE_SIZE) {
+      gainCache.delete(gainCache.keys().next().value);
+    }
+    gainCache.set(key, gain);
+    return gain;
+  } catch (error) {
+    logger.error(`[MRC] Error reading gain reference: ${error.message}`);
+    return null;
+  }
+};
+
+/**
+ * Multiply a frame by a gain reference in place
+ * @param {Object} frame - { data, width, height }
+ * @param {Object} [gainOptions] - See loadGainReference; skipped when absent
+ * @returns {Object} The frame
+ */
+const applyGain = (frame, gainOptions) => {
+  if (!frame || !gainOptions?.path) return frame;
+
+  const gain = loadGainReference(gainOptions);
+  if (!gain) return frame;
+  if (gain.width !== frame.width || gain.height !== frame.height) {
+    logger.warn(`[MRC] Gain reference is ${gain.width}x${gain.height}, frame is ${frame.width}x${frame.height}; not applied`);
+    return frame;
+  }
+
+  for (let i = 0; i < frame.data.length; i++) {
+    frame.data[i] *= gain.data[i];
+  }
+  return frame;
+};
+
 /**
  * Read and average multiple frames
- * @param {string} filepath - Path to MRC file
+ * @param {string} filepath - Path to MRC, TIFF or EER file
  * @param {number} maxFrames - Maximum frames to average
+ * @param {Object} [options]
+ * @param {Object} [options.gain] - Gain reference to apply (see loadGainReference)
+ * @param {Object} [options.eer] - EER rendering { grouping, upsampling }
  * @returns {Object} Averaged frame data
  */
-const readAveragedFrame = (filepath, maxFrames = 10) => {
+const readAveragedFrame = (filepath, maxFrames = 10, options = {}) => {
   try {
-    const header = readMrcHeader(filepath);
-    const frameSize = header.nx * header.ny;
+    const info = getMovieInfo(filepath, options);
+    if (!info) return null;
+    const frameSize = info.width * info.height;
 
     // Determine which frames to use
-    const numFrames = header.numFrames;
+    const numFrames = info.num_frames;
     let frameIndices;
     if (numFrames <= maxFrames) {
       frameIndices = Array.from({ length: numFrames }, (_, i) => i);
@@ -252,7 +384,7 @@ const readAveragedFrame = (filepath, maxFrames = 10) => {
     const avgData = new Float32Array(frameSize);
 
     for (const frameIdx of frameIndices) {
-      const frame = readMrcFrame(filepath, frameIdx);
+      const frame = readFrame(filepath, frameIdx, options);
       if (frame) {
         for (let i = 0; i < frameSize; i++) {
           avgData[i] += frame.data[i];
@@ -266,12 +398,12 @@ const readAveragedFrame = (filepath, maxFrames = 10) => {
       avgData[i] /= count;
     }
 
-    return {
+    return applyGain({
       data: avgData,
-      width: header.nx,
-      height: header.ny,
+      width: info.width,
+      height: info.height,
       framesAveraged: count
-    };
+    }, options.gain);
   } catch (error) {
     logger.error(`[MRC] Error averaging frames: ${error.message}`);
     return null;
@@ -307,15 +439,18 @@ const normalizeToUint8 = (data, width, height) => {
 
 /**
  * Convert frame to PNG using sharp
- * @param {string} filepath - Path to MRC file
+ * @param {string} filepath - Path to MRC, TIFF or EER file
  * @param {number} frameIndex - Frame index
  * @param {number} targetSize - Target thumbnail size
+ * @param {Object} [options]
+ * @param {Object} [options.gain] - Gain reference to apply (see loadGainReference)
+ * @param {Object} [options.eer] - EER rendering { grouping, upsampling }
  * @returns {Buffer} PNG buffer
  */
-const frameToPng = async (filepath, frameIndex = 0, targetSize = 512) => {
+const frameToPng = async (filepath, frameIndex = 0, targetSize = 512, options = {}) => {
   const sharp = require('sharp');
 
-  const frame = readMrcFrame(filepath, frameIndex);
+  const frame = applyGain(readFrame(filepath, frameIndex, options), options.gain);
   if (!frame) return null;
 
   const uint8Data = normalizeToUint8(frame.data, frame.width, frame.height);
@@ -337,15 +472,18 @@ const frameToPng = async (filepath, frameIndex = 0, targetSize = 512) => {
 
 /**
  * Convert averaged frame to PNG
- * @param {string} filepath - Path to MRC file
+ * @param {string} filepath - Path to MRC, TIFF or EER file
  * @param {number} maxFrames - Max frames to average
  * @param {number} targetSize - Target size
+ * @param {Object} [options]
+ * @param {Object} [options.gain] - Gain reference to apply (see loadGainReference)
+ * @param {Object} [options.eer] - EER rendering { grouping, upsampling }
  * @returns {Buffer} PNG buffer
  */
-const averagedFrameToPng = async (filepath, maxFrames = 10, targetSize = 512) => {
+const averagedFrameToPng = async (filepath, maxFrames = 10, targetSize = 512, options = {}) => {
   const sharp = require('sharp');
 
-  const frame = readAveragedFrame(filepath, maxFrames);
+  const frame = readAveragedFrame(filepath, maxFrames, options);
   if (!frame) return null;
 
   const uint8Data = normalizeToUint8(frame.data, frame.width, frame.height);
@@ -365,19 +503,22 @@ const averagedFrameToPng = async (filepath, maxFrames = 10, targetSize = 512) =>
 };
 
 /**
- * Read all frames from MRCS stack
- * @param {string} filepath - Path to MRCS file
+ * Read all frames from MRCS stack, TIFF or EER movie
+ * @param {string} filepath - Path to MRCS, TIFF or EER file
  * @param {number} maxFrames - Maximum frames to read
+ * @param {Object} [options]
+ * @param {Object} [options.eer] - EER rendering { grouping, upsampling }
  * @returns {Array<{data: Float32Array, width: number, height: number}>} Array of frames
  */
-const readAllFrames = (filepath, maxFrames = 100) => {
+const readAllFrames = (filepath, maxFrames = 100, options = {}) => {
   try {
-    const header = readMrcHeader(filepath);
-    const numFrames = Math.min(header.numFrames, maxFrames);
+    const info = getMovieInfo(filepath, options);
+    if (!info) return [];
+    const numFrames = Math.min(info.num_frames, maxFrames);
     const frames = [];
 
     for (let i = 0; i < numFrames; i++) {
-      const frame = readMrcFrame(filepath, i);
+      const frame = readFrame(filepath, i, options);
       if (frame) {
         frames.push(frame);
       }
@@ -642,7 +783,7 @@ const readMrcVolume = (filepath) => {
 const getFramePng = async (filepath, frameIndex, targetSize = 256) => {
   const sharp = require('sharp');
 
-  const frame = readMrcFrame(filepath, frameIndex);
+  const frame = readFrame(filepath, frameIndex);
   if (!frame) return null;
 
   const uint8Data = normalizeWithPercentile(frame.data, 2, 98);
@@ -719,7 +860,11 @@ const getOrthogonalSlices = (filepath) => {
 module.exports = {
   readMrcHeader,
   getMrcInfo,
+  getMovieInfo,
   readMrcFrame,
+  readFrame,
+  loadGainReference,
+  applyGain,
   readMrcVolume,
   readAveragedFrame,
   normalizeToUint8,
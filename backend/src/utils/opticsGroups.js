@@ -0,0 +1,259 @@
+/**
+ * Optics Group Assignment
+ *
+ * Rewrites the optics groups of an Import movies.star / micrographs.star:
+ * replaces the data_optics table and re-labels every movie's _rlnOpticsGroup.
+ * Used to split one Import into several optics groups, by live-session
+ * source (utils/liveSources.js) or by EPU beam-shift cluster.
+ *
+ * Only the optics table and the _rlnOpticsGroup column change; everything
+ * else is copied line for line.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+const { readEpuMetadata } = require('./epuXmlParser');
+const { clusterBeamShifts } = require('./beamShiftClustering');
+
+const MOVIE_COLUMNS = ['_rlnMicrographMovieName', '_rlnMicrographName'];
+
+// Upper bound for beam-shift clusters per optics group (EPU multi-shot
+// patterns rarely exceed a 9x9 grid of holes)
+const MAX_BEAM_SHIFT_GROUPS = 100;
+
+// First line of a STAR file already split by groupByBeamShift. The file as
+// Import wrote it is kept next to it (<star>.unsplit) and every later split
+// starts from that copy, so running the split again gives the same groups.
+const BEAM_SHIFT_MARKER = '# beam-shift optics groups (original in .unsplit)';
+const UNSPLIT_SUFFIX = '.unsplit';
+
+// Optics values a new group may override, by STAR column
+const OPTICS_COLUMNS = {
+  _rlnMicrographOriginalPixelSize: 'pixel_size',
+  _rlnVoltage: 'voltage',
+  _rlnSphericalAberration: 'cs',
+  _rlnAmplitudeContrast: 'amplitude_contrast',
+};
+
+/**
+ * Walk the loop rows of a STAR file
+ * @param {string} content
+ * @param {Function} onRow - (block, columns, values) => replacement values, or undefined to keep the line
+ * @param {Function} [onLoopEnd] - (block, columns) => extra lines to write at the end of the loop
+ * @returns {string} New content
+ */
+const rewriteLoops = (content, onRow, onLoopEnd = () => []) => {
+  const out = [];
+  let block = null;
+  let columns = [];
+  let inRows = false;
+
+  const endLoop = () => {
+    if (inRows || columns.length > 0) out.push(...onLoopEnd(block, columns));
+    inRows = false;
+    columns = [];
+  };
+
+  for (const line of content.split('\n')) {
+    const trimmed = line.trim();
+
+    if (trimmed.startsWith('data_')) {
+      endLoop();
+      block = trimmed;
+    } else if (trimmed === 'loop_') {
+      endLoop();
+    } else if (trimmed.startsWith('_rln')) {
+      columns.push(trimmed.split(/\s+/)[0]);
+    } else if (!trimmed) {
+      endLoop();
+    } else if (columns.length > 0 && !trimmed.startsWith('#')) {
+      inRows = true;
+      const values = onRow(block, columns, trimmed.split(/\s+/));
+      if (values === null) continue;
+      if (values !== undefined) {
+        out.push(values.join(' '));
+        continue;
+      }
+    }
+    out.push(line);
+  }
+  endLoop();
+
+  return out.join('\n');
+};
+
+/**
+ * Read the optics table and the optics group of every movie
+ * @param {string} content - STAR file content
+ * @returns {{optics: Array<{number, name}>, movies: Array<{name, group}>}}
+ */
+const readOpticsAssignments = (content) => {
+  const optics = [];
+  const movies = [];
+  rewriteLoops(content, (block, columns, values) => {
+    const groupIdx = columns.indexOf('_rlnOpticsGroup');
+    if (groupIdx < 0) return undefined;
+    if (block === 'data_optics') {
+      const nameIdx = columns.indexOf('_rlnOpticsGroupName');
+      optics.push({ number: parseInt(values[groupIdx], 10), name: nameIdx >= 0 ? values[nameIdx] : `opticsGroup${values[groupIdx]}` });
+      return undefined;
+    }
+    const nameIdx = columns.findIndex(c => MOVIE_COLUMNS.includes(c));
+    if (nameIdx >= 0) movies.push({ name: values[nameIdx], group: parseInt(values[groupIdx], 10) });
+    return undefined;
+  });
+  return { optics, movies };
+};
+
+/**
+ * Replace the optics groups of a movies/micrographs STAR file
+ * @param {string} content - STAR file content
+ * @param {Array<{number: number, name: string, template: number, optics?: Object}>} groups -
+ *   New optics table. Each row copies the current row of optics group `template`
+ *   and overrides name, number and any `optics` values ({ pixel_size, voltage, cs, amplitude_contrast }).
+ * @param {Function} assign - (movieName, currentGroup) => new group number, or null to leave the movie as is
+ * @returns {{content: string, counts: Object}} New content and movie count per group name
+ */
+const regroupOptics = (content, groups, assign) => {
+  const counts = Object.fromEntries(groups.map(g => [g.name, 0]));
+  const byNumber = new Map(groups.map(g => [g.number, g]));
+  let opticsRows = new Map();
+
+  const rewritten = rewriteLoops(content, (block, columns, values) => {
+    const groupIdx = columns.indexOf('_rlnOpticsGroup');
+    if (groupIdx < 0) return undefined;
+
+    if (block === 'data_optics') {
+      // Collected here, written as the new table when the loop ends
+      opticsRows.set(parseInt(values[groupIdx], 10), values);
+      return null;
+    }
+
+    const nameIdx = columns.findIndex(c => MOVIE_COLUMNS.includes(c));
+    if (nameIdx < 0) return undefined;
+    const number = assign(values[nameIdx], parseInt(values[groupIdx], 10));
+    const group = byNumber.get(number);
+    if (!group) return undefined;
+    values[groupIdx] = String(group.number);
+    counts[group.name]++;
+    return values;
+  }, (block, columns) => {
+    if (block !== 'data_optics' || opticsRows.size === 0) return [];
+    const fallback = opticsRows.values().next().value;
+    const rows = groups.map(group => {
+      const template = opticsRows.get(group.template) || fallback;
+      return columns.map((col, i) => {
+        if (col === '_rlnOpticsGroupName') return group.name;
+        if (col === '_rlnOpticsGroup') return String(group.number);
+        const override = OPTICS_COLUMNS[col] && group.optics?.[OPTICS_COLUMNS[col]];
+        return override !== undefined && override !== null ? String(override) : template[i];
+      }).join(' ');
+    });
+    opticsRows = new Map();
+    return rows;
+  });
+
+  return { content: rewritten, counts };
+};
+
+/**
+ * Split every optics group of a STAR file into beam-shift clusters
+ * @param {string} content - STAR file content
+ * @param {Map<string, {x, y}>} shifts - Beam shift per movie name (as written in the STAR file)
+ * @param {number} groupsPerOpticsGroup - Clusters wanted in each current optics group
+ * @returns {{content: string, groups: Array<{number, name, count, beamShift}>, missing: number}}
+ *   missing = movies without a beam shift; they stay in a group with the original name
+ */
+const splitByBeamShift = (content, shifts, groupsPerOpticsGroup) => {
+  const { optics, movies } = readOpticsAssignments(content);
+
+  const groups = [];
+  const newGroupOf = new Map(); // movie name -> new group number
+  let missing = 0;
+
+  for (const current of optics) {
+    const members = movies.filter(m => m.group === current.number);
+    const withShift = members.filter(m => shifts.has(m.name));
+    const { labels, centroids } = clusterBeamShifts(withShift.map(m => shifts.get(m.name)), groupsPerOpticsGroup);
+
+    const offset = groups.length;
+    centroids.forEach((centroid, c) => {
+      groups.push({
+        number: offset + c + 1,
+        name: centroids.length > 1 ? `${current.name}_${c + 1}` : current.name,
+        template: current.number,
+        beamShift: centroid
+      });
+    });
+    withShift.forEach((m, j) => newGroupOf.set(m.name, offset + labels[j] + 1));
+
+    const unshifted = members.length - withShift.length;
+    if (unshifted > 0) {
+      missing += unshifted;
+      let keep = groups.find(g => g.template === current.number && g.name === current.name);
+      if (!keep) {
+        keep = { number: groups.length + 1, name: current.name, template: current.number, beamShift: null };
+        groups.push(keep);
+      }
+      members.filter(m => !shifts.has(m.name)).forEach(m => newGroupOf.set(m.name, keep.number));
+    }
+  }
+
+  const { content: rewritten, counts } = regroupOptics(content, groups, (name) => newGroupOf.get(name) ?? null);
+  return {
+    content: rewritten,
+    groups: groups.map(g => ({ number: g.number, name: g.name, count: counts[g.name], beamShift: g.beamShift })),
+    missing
+  };
+};
+
+/**
+ * Split an Import job's movies into optics groups by EPU beam shift.
+ * Reads the EPU XML next to every movie and rewrites the STAR file in place.
+ * Safe to run again on the same file: a file that was already split is
+ * re-split from the original optics groups, not from the split ones.
+ * @param {string} starPath - movies.star / micrographs.star of the Import job
+ * @param {string} projectPath - Movie names in the STAR file are relative to this
+ * @param {number} groupsPerOpticsGroup - Beam-shift clusters per current optics group
+ * @returns {Promise<Object|null>} { groups, missing }, or null if no movie had EPU metadata
+ */
+const groupByBeamShift = async (starPath, projectPath, groupsPerOpticsGroup) => {
+  const unsplitPath = `${starPath}${UNSPLIT_SUFFIX}`;
+  let content = await fs.promises.readFile(starPath, 'utf-8');
+  if (content.startsWith(BEAM_SHIFT_MARKER)) {
+    if (!fs.existsSync(unsplitPath)) {
+      logger.warn(`[OpticsGroups] ${starPath} is already split by beam shift and ${unsplitPath} is missing; leaving it as is`);
+      return null;
+    }
+    content = await fs.promises.readFile(unsplitPath, 'utf-8');
+  }
+  const { movies } = readOpticsAssignments(content);
+
+  const shifts = new Map();
+  for (const movie of movies) {
+    const moviePath = path.isAbsolute(movie.name) ? movie.name : path.join(projectPath, movie.name);
+    const metadata = await readEpuMetadata(moviePath);
+    if (metadata?.beamShift) shifts.set(movie.name, metadata.beamShift);
+  }
+
+  if (shifts.size === 0) {
+    logger.warn(`[OpticsGroups] No EPU beam shifts found for ${movies.length} movies in ${starPath}`);
+    return null;
+  }
+
+  const result = splitByBeamShift(content, shifts, groupsPerOpticsGroup);
+  await fs.promises.writeFile(unsplitPath, content);
+  await fs.promises.writeFile(starPath, `${BEAM_SHIFT_MARKER}\n${result.content}`);
+
+  logger.info(`[OpticsGroups] Beam-shift groups for ${starPath}: ${result.groups.map(g => `${g.name}=${g.count}`).join(', ')}${result.missing ? ` | ${result.missing} without EPU metadata` : ''}`);
+  return { groups: result.groups, missing: result.missing };
+};
+
+module.exports = {
+  MAX_BEAM_SHIFT_GROUPS,
+  readOpticsAssignments,
+  regroupOptics,
+  splitByBeamShift,
+  groupByBeamShift
+};
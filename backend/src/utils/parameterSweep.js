@@ -0,0 +1,102 @@
+/**
+ * Parameter Sweep Utilities
+ *
+ * Validates sweep axes and expands a base parameter set into the Cartesian
+ * product of the swept values. Used by the sweep submission endpoint.
+ */
+
+const { LIMITS } = require('../config/constants');
+
+// Parameters that identify the job rather than configure it
+const UNSWEEPABLE_PARAMS = ['projectId', 'continueFrom'];
+
+const isScalar = (value) => ['string', 'number', 'boolean'].includes(typeof value);
+
+/**
+ * Validate sweep axes
+ * @param {Array<{parameter: string, values: Array}>} axes - One or two axes
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateSweepAxes(axes) {
+  if (!Array.isArray(axes) || axes.length === 0) {
+    return 'axes must be a non-empty array';
+  }
+  if (axes.length > LIMITS.SWEEP_MAX_AXES) {
+    return `A sweep can have at most ${LIMITS.SWEEP_MAX_AXES} axes`;
+  }
+
+  const seen = new Set();
+  for (const axis of axes) {
+    const parameter = axis && axis.parameter;
+    if (typeof parameter !== 'string' || !parameter) {
+      return 'Each axis needs a parameter name';
+    }
+    if (UNSWEEPABLE_PARAMS.includes(parameter)) {
+      return `${parameter} cannot be swept`;
+    }
+    if (seen.has(parameter)) {
+      return `${parameter} is swept more than once`;
+    }
+    seen.add(parameter);
+
+    const { values } = axis;
+    if (!Array.isArray(values) || values.length === 0) {
+      return `${parameter}: values must be a non-empty array`;
+    }
+    if (!values.every(isScalar)) {
+      return `${parameter}: values must be strings, numbers or booleans`;
+    }
+    if (new Set(values.map(String)).size !== values.length) {
+      return `${parameter}: values must be unique`;
+    }
+  }
+
+  const total = countSweepJobs(axes);
+  if (total > LIMITS.SWEEP_MAX_JOBS) {
+    return `Sweep would submit ${total} jobs (maximum ${LIMITS.SWEEP_MAX_JOBS})`;
+  }
+  return null;
+}
+
+/**
+ * Number of jobs a sweep expands to
+ * @param {Array} axes - Validated axes
+ * @returns {number}
+ */
+function countSweepJobs(axes) {
+  return axes.reduce((total, axis) => total * axis.values.length, 1);
+}
+
+/**
+ * Expand a base parameter set into one entry per combination of axis values.
+ * The first axis varies slowest, so the result reads row by row.
+ * @param {Object} baseParameters - Parameters shared by every job
+ * @param {Array} axes - Validated axes
+ * @returns {Array<{values: Object, parameters: Object}>}
+ */
+function expandSweep(baseParameters, axes) {
+  const combinations = axes.reduce(
+    (acc, axis) => acc.flatMap(values => axis.values.map(value => ({ ...values, [axis.parameter]: value }))),
+    [{}]
+  );
+  return combinations.map(values => ({
+    values,
+    parameters: { ...baseParameters, ...values }
+  }));
+}
+
+/**
+ * Human-readable label for one combination, e.g. "tau2fudge=2, maskDiameter=180"
+ * @param {Object} values - Swept parameter values
+ * @returns {string}
+ */
+function describeSweepValues(values) {
+  return Object.entries(values).map(([key, value]) => `${key}=${value}`).join(', ');
+}
+
+module.exports = {
+  validateSweepAxes,
+  countSweepJobs,
+  expandSweep,
+  describeSweepValues
+};
@@ -546,6 +546,18 @@ async function storeImportMetadata(job) {
           importType = actualType;
         }
 
+        // Aberration-free image shift: one optics group per beam-shift cluster
+        const beamShiftGroups = parseInt(params.beamShiftGroups, 10) || 0;
+        if (beamShiftGroups > 1) {
+          try {
+            const { groupByBeamShift } = require('./opticsGroups');
+            // Movie names in the STAR file are relative to the project (<project>/Import/JobNNN)
+            await groupByBeamShift(starPath, path.dirname(path.dirname(outputDir)), beamShiftGroups);
+          } catch (e) {
+            logger.warn(`[PipelineMetadata] Beam-shift grouping failed for ${job.job_name}: ${e.message}`);
+          }
+        }
+
         const count = await countStarFileEntries(starPath);
         if (count > 0) {
           fileCount = count;
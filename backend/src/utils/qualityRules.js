@@ -0,0 +1,201 @@
+/**
+ * Live Session Quality Rules
+ *
+ * Per-exposure rules evaluated against the rows of micrographs_ctf.star.
+ * A rule is a named condition every exposure must meet; an exposure is
+ * rejected when any enabled rule does not hold for it.
+ *
+ * Conditions are either a comparison on one field:
+ *   { field: 'ctfResolution', operator: '<=', value: 5 }
+ *   { field: 'defocus', operator: 'between', value: [5000, 30000] }
+ * or a group combining other conditions:
+ *   { op: 'and' | 'or', conditions: [ ... ] }
+ *
+ * Fields are the named keys of QUALITY_FIELDS or any raw STAR column
+ * (e.g. '_rlnCtfAstigmatism'). A comparison on a value the exposure does not
+ * have yet (a column CTFFIND did not write, particle count before picking)
+ * holds, so rules never reject on missing data.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+
+const num = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  const n = typeof value === 'number' ? value : parseFloat(value);
+  return Number.isFinite(n) ? n : null;
+};
+
+const mean = (a, b) => (a !== null && b !== null ? (a + b) / 2 : null);
+
+/**
+ * Named per-micrograph fields. `column` reads a STAR column; `derive`
+ * computes the value from the row. particleCount comes from the AutoPick job.
+ */
+const QUALITY_FIELDS = {
+  ctfResolution: { label: 'CTF max resolution', unit: 'Å', column: '_rlnCtfMaxResolution' },
+  defocus: {
+    label: 'Defocus (mean of U/V)', unit: 'Å',
+    derive: (row) => mean(num(row._rlnDefocusU), num(row._rlnDefocusV))
+  },
+  defocusU: { label: 'Defocus U', unit: 'Å', column: '_rlnDefocusU' },
+  defocusV: { label: 'Defocus V', unit: 'Å', column: '_rlnDefocusV' },
+  astigmatism: {
+    label: 'Astigmatism', unit: 'Å',
+    derive: (row) => {
+      const stored = num(row._rlnCtfAstigmatism);
+      if (stored !== null) return stored;
+      const u = num(row._rlnDefocusU);
+      const v = num(row._rlnDefocusV);
+      return u !== null && v !== null ? Math.abs(u - v) : null;
+    }
+  },
+  ctfFom: { label: 'CTF figure of merit', unit: '', column: '_rlnCtfFigureOfMerit' },
+  iceThickness: { label: 'Ice ring density', unit: '', column: '_rlnCtfIceRingDensity' },
+  totalMotion: { label: 'Total motion', unit: 'Å', column: '_rlnAccumMotionTotal' },
+  earlyMotion: { label: 'Early-frame motion', unit: 'Å', column: '_rlnAccumMotionEarly' },
+  lateMotion: { label: 'Late-frame motion', unit: 'Å', column: '_rlnAccumMotionLate' },
+  particleCount: { label: 'Picked particles', unit: '', column: 'particleCount' },
+};
+
+const OPERATORS = ['<', '<=', '>', '>=', 'between', 'outside'];
+const GROUP_OPS = ['and', 'or'];
+const MAX_DEPTH = 5;
+
+/**
+ * Read a field from a micrograph row ({ [starColumn]: value, particleCount })
+ * @returns {number|null}
+ */
+const getFieldValue = (row, field) => {
+  const def = QUALITY_FIELDS[field];
+  if (!def) return num(row[field]);
+  return def.derive ? def.derive(row) : num(row[def.column]);
+};
+
+const isGroup = (node) => node && typeof node === 'object' && node.op !== undefined;
+
+/**
+ * Check a condition tree
+ * @returns {string|null} Error message, or null if valid
+ */
+const validateCondition = (node, depth = 0) => {
+  if (!node || typeof node !== 'object' || Array.isArray(node)) return 'Condition must be an object';
+  if (depth > MAX_DEPTH) return `Conditions can be nested at most ${MAX_DEPTH} levels deep`;
+
+  if (isGroup(node)) {
+    if (!GROUP_OPS.includes(node.op)) return `Unknown group op "${node.op}" (use ${GROUP_OPS.join(' or ')})`;
+    if (!Array.isArray(node.conditions) || node.conditions.length === 0) {
+      return `"${node.op}" group needs at least one condition`;
+    }
+    for (const child of node.conditions) {
+      const error = validateCondition(child, depth + 1);
+      if (error) return error;
+    }
+    return null;
+  }
+
+  const { field, operator, value } = node;
+  if (!QUALITY_FIELDS[field] && !/^_rln\w+$/.test(field || '')) {
+    return `Unknown field "${field}"`;
+  }
+  if (!OPERATORS.includes(operator)) {
+    return `Unknown operator "${operator}" (use ${OPERATORS.join(', ')})`;
+  }
+  if (operator === 'between' || operator === 'outside') {
+    if (!Array.isArray(value) || value.length !== 2 || value.some(v => num(v) === null)) {
+      return `"${operator}" needs a [min, max] value for ${field}`;
+    }
+    if (num(value[0]) > num(value[1])) return `Range for ${field} has min above max`;
+  } else if (num(value) === null) {
+    return `Value for ${field} must be a number`;
+  }
+  return null;
+};
+
+/**
+ * Validate user rules and fill in ids and defaults
+ * @param {Array} rules - [{ id?, name, enabled?, condition }]
+ * @returns {{rules: Array|null, error: string|null}}
+ */
+const normalizeRules = (rules) => {
+  if (!Array.isArray(rules)) return { rules: null, error: 'rules must be an array' };
+
+  const normalized = [];
+  const ids = new Set();
+  for (const [i, rule] of rules.entries()) {
+    const name = typeof rule?.name === 'string' ? rule.name.trim() : '';
+    if (!name) return { rules: null, error: `Rule ${i + 1} needs a name` };
+    const error = validateCondition(rule.condition);
+    if (error) return { rules: null, error: `Rule "${name}": ${error}` };
+
+    const id = rule.id || uuidv4();
+    if (ids.has(id)) return { rules: null, error: `Duplicate rule id ${id}` };
+    ids.add(id);
+    normalized.push({ id, name, enabled: rule.enabled !== false, condition: rule.condition });
+  }
+  return { rules: normalized, error: null };
+};
+
+/**
+ * Evaluate a condition tree against a micrograph row
+ * @returns {boolean} true if the exposure meets the condition
+ */
+const evaluateCondition = (node, row) => {
+  if (isGroup(node)) {
+    return node.op === 'and'
+      ? node.conditions.every(child => evaluateCondition(child, row))
+      : node.conditions.some(child => evaluateCondition(child, row));
+  }
+
+  const actual = getFieldValue(row, node.field);
+  if (actual === null) return true;
+
+  switch (node.operator) {
+    case '<': return actual < num(node.value);
+    case '<=': return actual <= num(node.value);
+    case '>': return actual > num(node.value);
+    case '>=': return actual >= num(node.value);
+    case 'between': return actual >= num(node.value[0]) && actual <= num(node.value[1]);
+    case 'outside': return actual < num(node.value[0]) || actual > num(node.value[1]);
+    default: return true;
+  }
+};
+
+/**
+ * Rules equivalent to the legacy `thresholds` settings
+ * @param {Object} thresholds - { ctf_resolution_max, total_motion_max }
+ */
+const rulesFromThresholds = (thresholds = {}) => {
+  const rules = [];
+  if (thresholds.ctf_resolution_max) {
+    rules.push({
+      id: 'ctf_resolution_max', name: `CTF resolution ≤ ${thresholds.ctf_resolution_max} Å`, enabled: true,
+      condition: { field: 'ctfResolution', operator: '<=', value: thresholds.ctf_resolution_max }
+    });
+  }
+  if (thresholds.total_motion_max) {
+    rules.push({
+      id: 'total_motion_max', name: `Total motion ≤ ${thresholds.total_motion_max} Å`, enabled: true,
+      condition: { field: 'totalMotion', operator: '<=', value: thresholds.total_motion_max }
+    });
+  }
+  return rules;
+};
+
+/**
+ * Check whether any rule reads a field
+ */
+const usesField = (rules, field) => {
+  const visit = (node) => (isGroup(node) ? node.conditions.some(visit) : node?.field === field);
+  return rules.some(rule => visit(rule.condition));
+};
+
+module.exports = {
+  QUALITY_FIELDS,
+  OPERATORS,
+  getFieldValue,
+  validateCondition,
+  normalizeRules,
+  evaluateCondition,
+  rulesFromThresholds,
+  usesField
+};
@@ -6,6 +6,22 @@
  */
 
 const ERROR_EXPLANATIONS = {
+  'Node Failure': {
+    explanation: 'The cluster node running the job failed or was taken out of service, and the scheduler killed the job.',
+    suggestion: 'Resubmit the job; it will run on a different node. If it keeps happening, report the node to the cluster administrators.',
+  },
+  'Time Limit': {
+    explanation: 'The job ran longer than its scheduler time limit and was killed.',
+    suggestion: 'Request a longer time limit in the queue arguments, or continue iterative jobs from their last optimiser file.',
+  },
+  'Preempted': {
+    explanation: 'The scheduler stopped the job to make room for a higher-priority job.',
+    suggestion: 'Resubmit the job, or use a partition without preemption.',
+  },
+  'GPU Error': {
+    explanation: 'A GPU/CUDA error occurred. This could be a driver issue, insufficient GPU memory, or a faulty GPU on the node.',
+    suggestion: 'Try reducing the number of MPI processes per GPU, or use a smaller box size. If the error only appears on one node, report it to the cluster administrators.',
+  },
   'Segmentation Fault': {
     explanation: 'RELION crashed due to a memory access violation. This usually means the program ran out of memory or encountered corrupted data.',
     suggestion: 'Reduce the number of MPI processes, decrease batch size, or use fewer threads. If using GPU, try reducing the particle box size.',
@@ -10,11 +10,17 @@ const path = require('path');
 const logger = require('./logger');
 const { enrichIssue } = require('./relionErrorExplanations');
 
-// Error patterns to scan for (ordered by severity)
+// Error patterns to scan for (ordered by severity).
+// errorClass groups the transient failures a retry policy can act on.
 const ERROR_PATTERNS = [
+  { pattern: /DUE TO NODE FAILURE/i,      category: 'Node Failure', severity: 'error', errorClass: 'node_failure' },
+  { pattern: /DUE TO TIME LIMIT/i,        category: 'Time Limit', severity: 'error', errorClass: 'timeout' },
+  { pattern: /DUE TO PREEMPTION/i,        category: 'Preempted', severity: 'error', errorClass: 'preempted' },
+  { pattern: /oom[-_ ]kill|Exceeded job memory limit/i, category: 'Out of Memory', severity: 'error', errorClass: 'oom' },
+  { pattern: /CUDA error|cudaError|CUFFT_|CUBLAS_STATUS/i, category: 'GPU Error', severity: 'error', errorClass: 'gpu' },
   { pattern: /Segmentation fault/i,       category: 'Segmentation Fault', severity: 'error' },
-  { pattern: /std::bad_alloc/i,           category: 'Out of Memory (C++)', severity: 'error' },
-  { pattern: /Out of memory/i,            category: 'Out of Memory', severity: 'error' },
+  { pattern: /std::bad_alloc/i,           category: 'Out of Memory (C++)', severity: 'error', errorClass: 'oom' },
+  { pattern: /Out of memory/i,            category: 'Out of Memory', severity: 'error', errorClass: 'oom' },
   { pattern: /SIGKILL/i,                  category: 'Process Killed (SIGKILL)', severity: 'error' },
   { pattern: /SIGSEGV/i,                  category: 'Segmentation Violation', severity: 'error' },
   { pattern: /Bus error/i,               category: 'Bus Error', severity: 'error' },
@@ -102,7 +108,7 @@ function scanFileForIssues(filePath, source, options = {}) {
       if (!line.trim()) continue;
 
       // Check error patterns
-      for (const { pattern, category, severity } of ERROR_PATTERNS) {
+      for (const { pattern, category, severity, errorClass } of ERROR_PATTERNS) {
         if (pattern.test(line)) {
           // Get context (surrounding lines)
           const contextStart = Math.max(0, i - contextLines);
@@ -113,6 +119,7 @@ function scanFileForIssues(filePath, source, options = {}) {
             severity,
             source,
             category,
+            ...(errorClass && { errorClass }),
             message: line.trim(),
             line: i + 1,
             context
@@ -0,0 +1,438 @@
+/**
+ * RELION Pipeline Utilities
+ *
+ * Converts between CryoProcess Job documents and RELION's default_pipeline.star
+ * (processes, nodes, input/output edges). Writing targets the RELION 5 format
+ * (version 50001); reading also accepts the integer type/status columns used
+ * by RELION 3.1 pipelines.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { JOB_STATUS } = require('../config/constants');
+
+const PIPELINE_FILENAME = 'default_pipeline.star';
+const PIPELINE_VERSION = 50001;
+
+// CryoProcess job_type -> RELION process type label
+const PROCESS_TYPE_LABELS = {
+  Import: 'relion.import.movies',
+  MotionCorr: 'relion.motioncorr.own',
+  CtfFind: 'relion.ctffind.ctffind4',
+  ManualPick: 'relion.manualpick',
+  AutoPick: 'relion.autopick.log',
+  Extract: 'relion.extract',
+  Class2D: 'relion.class2d',
+  ManualSelect: 'relion.select.interactive',
+  Subset: 'relion.select.onvalue',
+  InitialModel: 'relion.initialmodel',
+  Class3D: 'relion.class3d',
+  AutoRefine: 'relion.refine3d',
+  Multibody: 'relion.multibody',
+  MaskCreate: 'relion.maskcreate',
+  JoinStar: 'relion.joinstar.particles',
+  Subtract: 'relion.subtract',
+  PostProcess: 'relion.postprocess',
+  LocalRes: 'relion.localres.own',
+  Polish: 'relion.motionrefine',
+  CtfRefine: 'relion.ctfrefine',
+  Dynamight: 'relion.dynamight',
+  ModelAngelo: 'relion.modelangelo'
+};
+
+// RELION process type family (second label component) -> CryoProcess job_type
+const PROCESS_FAMILY_TO_STAGE = {
+  import: 'Import',
+  motioncorr: 'MotionCorr',
+  ctffind: 'CtfFind',
+  manualpick: 'ManualPick',
+  autopick: 'AutoPick',
+  extract: 'Extract',
+  class2d: 'Class2D',
+  initialmodel: 'InitialModel',
+  class3d: 'Class3D',
+  refine3d: 'AutoRefine',
+  multibody: 'Multibody',
+  maskcreate: 'MaskCreate',
+  joinstar: 'JoinStar',
+  subtract: 'Subtract',
+  postprocess: 'PostProcess',
+  localres: 'LocalRes',
+  motionrefine: 'Polish',
+  ctfrefine: 'CtfRefine',
+  dynamight: 'Dynamight',
+  modelangelo: 'ModelAngelo'
+};
+
+// RELION 3.1 integer process types -> CryoProcess job_type
+const LEGACY_PROCESS_TYPES = {
+  0: 'Import',
+  1: 'MotionCorr',
+  2: 'CtfFind',
+  3: 'ManualPick',
+  4: 'AutoPick',
+  5: 'Extract',
+  7: 'Subset',
+  8: 'Class2D',
+  9: 'Class3D',
+  10: 'AutoRefine',
+  12: 'MaskCreate',
+  13: 'JoinStar',
+  14: 'Subtract',
+  15: 'PostProcess',
+  16: 'LocalRes',
+  18: 'InitialModel',
+  19: 'Multibody',
+  20: 'Polish',
+  21: 'CtfRefine'
+};
+
+const STATUS_TO_LABEL = {
+  [JOB_STATUS.PENDING]: 'Scheduled',
+  [JOB_STATUS.RUNNING]: 'Running',
+  [JOB_STATUS.SUCCESS]: 'Succeeded',
+  [JOB_STATUS.FAILED]: 'Failed',
+  [JOB_STATUS.CANCELLED]: 'Aborted'
+};
+
+const LABEL_TO_STATUS = {
+  Running: JOB_STATUS.RUNNING,
+  Scheduled: JOB_STATUS.PENDING,
+  Succeeded: JOB_STATUS.SUCCESS,
+  Failed: JOB_STATUS.FAILED,
+  Aborted: JOB_STATUS.CANCELLED
+};
+
+// RELION 3.1 integer statuses: running, scheduled, finished, failed, aborted
+const LEGACY_STATUS_LABELS = ['Running', 'Scheduled', 'Succeeded', 'Failed', 'Aborted'];
+
+// Output file role (STAGE_OUTPUT_CATALOG) -> RELION node type label
+const ROLE_NODE_LABELS = {
+  micrographsCtfStar: 'MicrographGroupMetadata.star.relion.ctf',
+  coordinatesStar: 'MicrographsCoords.star.relion',
+  optimiserStar: 'OptimiserData.star.relion',
+  modelStar: 'ProcessData.star.relion',
+  referenceMrc: 'DensityMap.mrc',
+  halfMapMrc: 'DensityMap.mrc.halfmap',
+  postprocessStar: 'ProcessData.star.relion.postprocess',
+  sharpenedMapMrc: 'DensityMap.mrc.relion.postprocess',
+  maskedMapMrc: 'DensityMap.mrc.relion.postprocess.masked',
+  maskMrc: 'Mask3D.mrc',
+  localResMrc: 'Image3D.mrc.relion.localresmap',
+  localResFilteredMrc: 'DensityMap.mrc.relion.localresfiltered',
+  refs2dMrcs: 'Image2DStack.mrcs',
+  atomicModel: 'AtomCoords'
+};
+
+/**
+ * Get the RELION node type label for a cataloged output file
+ * @param {string} jobType - CryoProcess job_type
+ * @param {Object} file - Entry from job.output_files
+ * @returns {string} Node type label
+ */
+function getNodeTypeLabel(jobType, file) {
+  const ext = path.extname(file.fileName || file.relativePath || '').replace('.', '') || file.fileType;
+
+  if (file.role === 'micrographsStar') {
+    if (jobType === 'Import') {
+      return /movies\.star$/.test(file.fileName)
+        ? 'MicrographMovieGroupMetadata.star.relion'
+        : 'MicrographGroupMetadata.star.relion';
+    }
+    return 'MicrographGroupMetadata.star.relion.motioncorr';
+  }
+  if (file.role === 'particlesStar') {
+    return `ParticleGroupMetadata.star.relion.${jobType.toLowerCase()}`;
+  }
+  if (file.role === 'coordinatesStar') {
+    return `${ROLE_NODE_LABELS.coordinatesStar}.${jobType === 'ManualPick' ? 'manualpick' : 'autopick'}`;
+  }
+  if (file.role === 'optimiserStar' || file.role === 'modelStar') {
+    return `${ROLE_NODE_LABELS[file.role]}.${jobType.toLowerCase()}`;
+  }
+  if (file.role === 'atomicModel') {
+    return `${ROLE_NODE_LABELS.atomicModel}.${ext}`;
+  }
+  return ROLE_NODE_LABELS[file.role] || `ProcessData.${ext}`;
+}
+
+/**
+ * Get the RELION process name (e.g. "Class2D/Job005/") for a job
+ * @param {Object} job - Job document
+ * @param {string} projectPath - Absolute project directory
+ * @returns {string|null} Process name relative to the project, or null if outside it
+ */
+function getProcessName(job, projectPath) {
+  if (!job.output_file_path) return null;
+  const relative = path.relative(projectPath, job.output_file_path);
+  if (!relative || relative.startsWith('..') || path.isAbsolute(relative)) return null;
+  return `${relative.split(path.sep).join('/')}/`;
+}
+
+/**
+ * Extract the job number from a job or process name ("Job005", "Class2D/job005/")
+ * @param {string} name - Job or process name
+ * @returns {number} Job number, or 0 if none
+ */
+function getJobNumber(name) {
+  const match = (name || '').match(/job(\d+)/i);
+  return match ? parseInt(match[1], 10) : 0;
+}
+
+/**
+ * Pad a STAR loop column so values line up in the written file
+ * @param {Array<Array<string|number>>} rows - Loop rows
+ * @returns {string[]} Formatted lines
+ */
+function formatLoopRows(rows) {
+  if (rows.length === 0) return [];
+  const widths = rows[0].map((_, col) => Math.max(...rows.map(row => String(row[col]).length)));
+  return rows.map(row => row.map((value, col) => String(value).padEnd(widths[col])).join(' ').trimEnd());
+}
+
+/**
+ * Append a STAR loop block to the output lines
+ * @param {string[]} lines - Output lines
+ * @param {string} blockName - Block name without the data_ prefix
+ * @param {string[]} columns - Column names without the leading underscore
+ * @param {Array<Array<string|number>>} rows - Loop rows
+ */
+function appendLoop(lines, blockName, columns, rows) {
+  lines.push(`data_${blockName}`, '', 'loop_');
+  columns.forEach((col, i) => lines.push(`_${col} #${i + 1}`));
+  lines.push(...formatLoopRows(rows), '', '');
+}
+
+/**
+ * Build default_pipeline.star content from a project's jobs
+ *
+ * Output nodes come from job.output_files (see catalogOutputFiles). Input edges
+ * prefer the upstream file a job's parameters reference and fall back to the
+ * first output node of each input job.
+ *
+ * @param {Array<Object>} jobs - Job documents for the project
+ * @param {string} projectPath - Absolute project directory
+ * @returns {{content: string, processCount: number, nodeCount: number}}
+ */
+function buildPipelineStar(jobs, projectPath) {
+  const sorted = [...jobs].sort((a, b) => getJobNumber(a.job_name) - getJobNumber(b.job_name));
+  const processes = [];
+  const nodes = new Map();
+  const outputEdges = [];
+  const inputEdges = [];
+  const outputsByJobId = new Map();
+
+  for (const job of sorted) {
+    const processName = getProcessName(job, projectPath);
+    if (!processName) continue;
+
+    processes.push([
+      processName,
+      'None',
+      PROCESS_TYPE_LABELS[job.job_type] || `relion.${job.job_type.toLowerCase()}`,
+      STATUS_TO_LABEL[job.status] || 'Scheduled'
+    ]);
+
+    const outputs = [];
+    for (const file of job.output_files || []) {
+      if (!file.relativePath) continue;
+      const nodeName = file.relativePath.split(path.sep).join('/');
+      if (!nodes.has(nodeName)) {
+        nodes.set(nodeName, getNodeTypeLabel(job.job_type, file));
+        outputEdges.push([processName, nodeName]);
+      }
+      outputs.push(nodeName);
+    }
+    outputsByJobId.set(job.id, { processName, outputs });
+  }
+
+  for (const job of sorted) {
+    const current = outputsByJobId.get(job.id);
+    if (!current) continue;
+
+    const paramValues = Object.values(job.parameters || {}).filter(v => typeof v === 'string');
+    for (const inputId of job.input_job_ids || []) {
+      const upstream = outputsByJobId.get(inputId);
+      if (!upstream || upstream.outputs.length === 0) continue;
+
+      const referenced = upstream.outputs.filter(node => paramValues.some(v => v.endsWith(node)));
+      for (const node of referenced.length > 0 ? referenced : upstream.outputs.slice(0, 1)) {
+        inputEdges.push([node, current.processName]);
+      }
+    }
+  }
+
+  const jobCounter = sorted.reduce((max, job) => Math.max(max, getJobNumber(job.job_name)), 0) + 1;
+
+  const lines = [
+    '',
+    `# version ${PIPELINE_VERSION}`,
+    '',
+    'data_pipeline_general',
+    '',
+    `_rlnPipeLineJobCounter                       ${jobCounter}`,
+    '',
+    ''
+  ];
+
+  appendLoop(lines, 'pipeline_processes',
+    ['rlnPipeLineProcessName', 'rlnPipeLineProcessAlias', 'rlnPipeLineProcessTypeLabel', 'rlnPipeLineProcessStatusLabel'],
+    processes);
+
+  if (nodes.size > 0) {
+    appendLoop(lines, 'pipeline_nodes',
+      ['rlnPipeLineNodeName', 'rlnPipeLineNodeTypeLabel', 'rlnPipeLineNodeTypeLabelDepth'],
+      [...nodes.entries()].map(([name, label]) => [name, label, 1]));
+  }
+  if (inputEdges.length > 0) {
+    appendLoop(lines, 'pipeline_input_edges',
+      ['rlnPipeLineEdgeFromNode', 'rlnPipeLineEdgeProcess'],
+      inputEdges);
+  }
+  if (outputEdges.length > 0) {
+    appendLoop(lines, 'pipeline_output_edges',
+      ['rlnPipeLineEdgeProcess', 'rlnPipeLineEdgeToNode'],
+      outputEdges);
+  }
+
+  return {
+    content: lines.join('\n'),
+    processCount: processes.length,
+    nodeCount: nodes.size
+  };
+}
+
+/**
+ * Resolve a RELION process type (label or legacy integer) to a CryoProcess job_type
+ * @param {string|number} type - rlnPipeLineProcessTypeLabel or rlnPipeLineProcessType
+ * @returns {string|null} job_type, or null if CryoProcess has no equivalent stage
+ */
+function resolveProcessType(type) {
+  if (typeof type === 'number') {
+    return LEGACY_PROCESS_TYPES[type] || null;
+  }
+  if (type === 'relion.select.interactive') {
+    return 'ManualSelect';
+  }
+  if (typeof type === 'string' && type.startsWith('relion.select')) {
+    return 'Subset';
+  }
+  const family = String(type || '').split('.')[1];
+  return PROCESS_FAMILY_TO_STAGE[family] || null;
+}
+
+/**
+ * Plan Job documents from a parsed default_pipeline.star
+ *
+ * Only finished processes (succeeded, failed, aborted) are adopted; running and
+ * scheduled ones have no scheduler handle CryoProcess could monitor.
+ *
+ * @param {Object} blocks - Result of starParser.parseStarFile on the pipeline file
+ * @returns {{processes: Array<Object>, skipped: Array<Object>}} Processes in job-number
+ *   order with {processName, jobNumber, jobType, status, upstream}, plus skipped entries
+ */
+function planPipelineImport(blocks) {
+  const processRows = blocks.pipeline_processes?.rows || [];
+  const inputRows = blocks.pipeline_input_edges?.rows || [];
+  const outputRows = blocks.pipeline_output_edges?.rows || [];
+
+  const nodeProducer = new Map();
+  for (const row of outputRows) {
+    nodeProducer.set(String(row.rlnPipeLineEdgeToNode), String(row.rlnPipeLineEdgeProcess));
+  }
+
+  const processes = [];
+  const skipped = [];
+
+  for (const row of processRows) {
+    const processName = String(row.rlnPipeLineProcessName);
+    const type = row.rlnPipeLineProcessTypeLabel ?? row.rlnPipeLineProcessType;
+    const statusLabel = row.rlnPipeLineProcessStatusLabel
+      ?? LEGACY_STATUS_LABELS[row.rlnPipeLineProcessStatus];
+
+    const jobType = resolveProcessType(type);
+    if (!jobType) {
+      skipped.push({ processName, reason: `Unsupported process type: ${type}` });
+      continue;
+    }
+
+    const status = LABEL_TO_STATUS[statusLabel];
+    if (!status || status === JOB_STATUS.RUNNING || status === JOB_STATUS.PENDING) {
+      skipped.push({ processName, reason: `Process is not finished (${statusLabel || 'unknown status'})` });
+      continue;
+    }
+
+    const upstream = new Set();
+    for (const edge of inputRows) {
+      if (String(edge.rlnPipeLineEdgeProcess) !== processName) continue;
+      const fromNode = String(edge.rlnPipeLineEdgeFromNode);
+      const producer = nodeProducer.get(fromNode)
+        || fromNode.split('/').slice(0, 2).join('/') + '/';
+      if (producer !== processName) upstream.add(producer);
+    }
+
+    processes.push({
+      processName,
+      jobNumber: getJobNumber(processName),
+      jobType,
+      status,
+      upstream: [...upstream]
+    });
+  }
+
+  processes.sort((a, b) => a.jobNumber - b.jobNumber);
+  return { processes, skipped };
+}
+
+/**
+ * Read the command(s) RELION recorded in a job's note.txt
+ * @param {string} jobDir - Absolute job directory
+ * @returns {string} Last recorded command block, or '' if unavailable
+ */
+function readRelionCommand(jobDir) {
+  const notePath = path.join(jobDir, 'note.txt');
+  if (!fs.existsSync(notePath)) return '';
+
+  const blocks = [];
+  let current = null;
+  for (const line of fs.readFileSync(notePath, 'utf8').split('\n')) {
+    const trimmed = line.trim();
+    if (trimmed.startsWith('++++')) {
+      if (trimmed.includes('with the following command')) {
+        current = [];
+        blocks.push(current);
+      } else {
+        current = null;
+      }
+      continue;
+    }
+    if (current && trimmed) current.push(trimmed);
+  }
+  return blocks.length > 0 ? blocks[blocks.length - 1].join('\n') : '';
+}
+
+/**
+ * Read a RELION job's options from job.star into a plain parameters object
+ * @param {Object|null} blocks - Result of starParser.parseStarFile on job.star
+ * @returns {Object} Map of RELION job option variable -> value
+ */
+function jobOptionsToParameters(blocks) {
+  const rows = blocks?.joboptions_values?.rows || [];
+  const params = {};
+  for (const row of rows) {
+    if (row.rlnJobOptionVariable === undefined) continue;
+    const value = row.rlnJobOptionValue;
+    params[row.rlnJobOptionVariable] = typeof value === 'string' ? value.replace(/^"(.*)"$/, '$1') : value;
+  }
+  return params;
+}
+
+module.exports = {
+  PIPELINE_FILENAME,
+  buildPipelineStar,
+  planPipelineImport,
+  resolveProcessType,
+  readRelionCommand,
+  jobOptionsToParameters,
+  getJobNumber
+};
@@ -0,0 +1,471 @@
+/**
+ * TIFF File Parser
+ *
+ * Pure Node.js reader for multi-frame TIFF movies (one IFD per frame), as
+ * written by most detectors. Supports classic and BigTIFF, both byte orders,
+ * 8/16/32-bit integer and 32-bit float samples, uncompressed, LZW, deflate
+ * and PackBits strips, and the horizontal-differencing predictor.
+ *
+ * Frames are returned in the same shape as mrcParser ({ data, width, height })
+ * so they can go through the same averaging and PNG helpers.
+ */
+
+const fs = require('fs');
+const zlib = require('zlib');
+const logger = require('./logger');
+
+// Tags used for decoding
+const TAG = {
+  IMAGE_WIDTH: 256,
+  IMAGE_LENGTH: 257,
+  BITS_PER_SAMPLE: 258,
+  COMPRESSION: 259,
+  STRIP_OFFSETS: 273,
+  SAMPLES_PER_PIXEL: 277,
+  ROWS_PER_STRIP: 278,
+  STRIP_BYTE_COUNTS: 279,
+  PREDICTOR: 317,
+  TILE_WIDTH: 322,
+  SAMPLE_FORMAT: 339,
+};
+
+// Field type -> byte size
+const TYPE_SIZE = {
+  1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 6: 1, 7: 1, 8: 2, 9: 4, 10: 8, 11: 4, 12: 8, 16: 8, 17: 8, 18: 8
+};
+
+const COMPRESSION = {
+  NONE: 1,
+  LZW: 5,
+  DEFLATE: 8,
+  PACKBITS: 32773,
+  DEFLATE_LEGACY: 32946,
+};
+
+const SAMPLE_FORMAT = { UINT: 1, INT: 2, FLOAT: 3 };
+
+const DECODE_TAGS = new Set(Object.values(TAG));
+
+// Parsed IFD lists of recently read files (frame-by-frame previews reread the same movie)
+const IFD_CACHE_SIZE = 16;
+const ifdCache = new Map();
+
+/**
+ * Check the TIFF magic bytes (II*\0, MM\0*, or BigTIFF)
+ * @param {string} filepath
+ * @returns {boolean}
+ */
+const isTiffFile = (filepath) => {
+  let fd;
+  try {
+    fd = fs.openSync(filepath, 'r');
+    const magic = Buffer.alloc(4);
+    if (fs.readSync(fd, magic, 0, 4, 0) < 4) return false;
+    const order = magic.toString('latin1', 0, 2);
+    if (order === 'II') return [42, 43].includes(magic.readUInt16LE(2));
+    if (order === 'MM') return [42, 43].includes(magic.readUInt16BE(2));
+    return false;
+  } catch (error) {
+    return false;
+  } finally {
+    if (fd !== undefined) fs.closeSync(fd);
+  }
+};
+
+/**
+ * Read a byte range from an open file
+ */
+const readAt = (fd, position, length) => {
+  const buffer = Buffer.alloc(length);
+  const bytesRead = fs.readSync(fd, buffer, 0, length, position);
+  if (bytesRead < length) {
+    throw new Error(`Unexpected end of file at offset ${position}`);
+  }
+  return buffer;
+};
+
+/**
+ * Walk the IFD chain and collect the tags needed to decode each frame
+ * @param {string} filepath
+ * @returns {{littleEndian: boolean, ifds: Array<Object>}}
+ */
+const readTiffDirectories = (filepath) => {
+  const stats = fs.statSync(filepath);
+  const cacheKey = `${filepath}:${stats.mtimeMs}:${stats.size}`;
+  if (ifdCache.has(cacheKey)) {
+    return ifdCache.get(cacheKey);
+  }
+
+  const fd = fs.openSync(filepath, 'r');
+  try {
+    const header = readAt(fd, 0, Math.min(16, stats.size));
+    const order = header.toString('latin1', 0, 2);
+    if (order !== 'II' && order !== 'MM') {
+      throw new Error('Not a TIFF file');
+    }
+    const le = order === 'II';
+    const u16 = (buf, off) => (le ? buf.readUInt16LE(off) : buf.readUInt16BE(off));
+    const u32 = (buf, off) => (le ? buf.readUInt32LE(off) : buf.readUInt32BE(off));
+    const u64 = (buf, off) => Number(le ? buf.readBigUInt64LE(off) : buf.readBigUInt64BE(off));
+
+    const version = u16(header, 2);
+    const bigTiff = version === 43;
+    if (version !== 42 && !bigTiff) {
+      throw new Error(`Unsupported TIFF version ${version}`);
+    }
+
+    const entrySize = bigTiff ? 20 : 12;
+    const countSize = bigTiff ? 8 : 2;
+    const offsetSize = bigTiff ? 8 : 4;
+    const readOffset = (buf, off) => (bigTiff ? u64(buf, off) : u32(buf, off));
+
+    const readValues = (type, count, valueBuffer) => {
+      const values = new Array(count);
+      for (let i = 0; i < count; i++) {
+        switch (type) {
+          case 1: case 7: values[i] = valueBuffer.readUInt8(i); break;
+          case 3: values[i] = u16(valueBuffer, i * 2); break;
+          case 4: values[i] = u32(valueBuffer, i * 4); break;
+          case 16: values[i] = u64(valueBuffer, i * 8); break;
+          default: values[i] = null; // Types not needed for decoding
+        }
+      }
+      return values;
+    };
+
+    const ifds = [];
+    const seen = new Set();
+    let ifdOffset = readOffset(header, bigTiff ? 8 : 4);
+
+    while (ifdOffset !== 0) {
+      if (seen.has(ifdOffset) || ifdOffset >= stats.size) {
+        throw new Error(`Invalid IFD offset ${ifdOffset}`);
+      }
+      seen.add(ifdOffset);
+
+      const entryCount = bigTiff ? u64(readAt(fd, ifdOffset, 8), 0) : u16(readAt(fd, ifdOffset, 2), 0);
+      const block = readAt(fd, ifdOffset + countSize, entryCount * entrySize + offsetSize);
+      const tags = {};
+
+      for (let e = 0; e < entryCount; e++) {
+        const base = e * entrySize;
+        const tag = u16(block, base);
+        if (!DECODE_TAGS.has(tag)) continue;
+
+        const type = u16(block, base + 2);
+        const count = bigTiff ? u64(block, base + 4) : u32(block, base + 4);
+        const byteLength = (TYPE_SIZE[type] || 1) * count;
+        const valueOffset = base + (bigTiff ? 12 : 8);
+        const valueBuffer = byteLength <= offsetSize
+          ? block.subarray(valueOffset, valueOffset + offsetSize)
+          : readAt(fd, readOffset(block, valueOffset), byteLength);
+        tags[tag] = readValues(type, count, valueBuffer);
+      }
+
+      ifds.push(tags);
+      ifdOffset = readOffset(block, entryCount * entrySize);
+    }
+
+    const result = { littleEndian: le, ifds };
+    if (ifdCache.size >= IFD_CACHE_SIZE) {
+      ifdCache.delete(ifdCache.keys().next().value);
+    }
+    ifdCache.set(cacheKey, result);
+    return result;
+  } finally {
+    fs.closeSync(fd);
+  }
+};
+
+/**
+ * Decode TIFF LZW (MSB-first codes, 9-12 bits, early code-width change)
+ * @param {Buffer} input - Compressed strip
+ * @param {number} expectedLength - Decoded strip size in bytes
+ * @returns {Buffer}
+ */
+const decodeLzw = (input, expectedLength) => {
+  const CLEAR = 256;
+  const EOI = 257;
+  const prefix = new Int16Array(4096);
+  const suffix = new Uint8Array(4096);
+  const first = new Uint8Array(4096);
+  const length = new Uint16Array(4096);
+  for (let i = 0; i < 256; i++) {
+    prefix[i] = -1;
+    suffix[i] = i;
+    first[i] = i;
+    length[i] = 1;
+  }
+
+  const output = Buffer.alloc(expectedLength);
+  let outPos = 0;
+  let nextCode = 258;
+  let codeWidth = 9;
+  let oldCode = -1;
+  let bitPos = 0;
+  const totalBits = input.length * 8;
+
+  const writeString = (code) => {
+    const len = length[code];
+    let pos = outPos + len - 1;
+    for (let c = code; c !== -1; c = prefix[c]) {
+      if (pos < expectedLength) output[pos] = suffix[c];
+      pos--;
+    }
+    outPos += len;
+  };
+
+  while (bitPos + codeWidth <= totalBits && outPos < expectedLength) {
+    // Read codeWidth bits MSB-first
+    let code = 0;
+    for (let i = 0; i < codeWidth; i++, bitPos++) {
+      code = (code << 1) | ((input[bitPos >> 3] >> (7 - (bitPos & 7))) & 1);
+    }
+
+    if (code === EOI) break;
+    if (code === CLEAR) {
+      nextCode = 258;
+      codeWidth = 9;
+      oldCode = -1;
+      continue;
+    }
+    if (oldCode === -1) {
+      if (code > 255) throw new Error(`Invalid LZW code ${code} after clear`);
+      writeString(code);
+      oldCode = code;
+      continue;
+    }
+
+    let firstByte;
+    if (code < nextCode) {
+      writeString(code);
+      firstByte = first[code];
+    } else if (code === nextCode) {
+      firstByte = first[oldCode];
+    } else {
+      throw new Error(`Invalid LZW code ${code}`);
+    }
+
+    if (nextCode < 4096) {
+      prefix[nextCode] = oldCode;
+      suffix[nextCode] = firstByte;
+      first[nextCode] = first[oldCode];
+      length[nextCode] = length[oldCode] + 1;
+      if (code === nextCode) writeString(code);
+      nextCode++;
+      if (nextCode === (1 << codeWidth) - 1 && codeWidth < 12) {
+        codeWidth++;
+      }
+    }
+    oldCode = code;
+  }
+
+  return output;
+};
+
+/**
+ * Decode PackBits run-length encoding
+ * @param {Buffer} input
+ * @param {number} expectedLength
+ * @returns {Buffer}
+ */
+const decodePackBits = (input, expectedLength) => {
+  const output = Buffer.alloc(expectedLength);
+  let inPos = 0;
+  let outPos = 0;
+  while (inPos < input.length && outPos < expectedLength) {
+    const n = input.readInt8(inPos++);
+    if (n >= 0) {
+      input.copy(output, outPos, inPos, inPos + n + 1);
+      inPos += n + 1;
+      outPos += n + 1;
+    } else if (n !== -128) {
+      output.fill(input[inPos++], outPos, Math.min(expectedLength, outPos - n + 1));
+      outPos += -n + 1;
+    }
+  }
+  return output;
+};
+
+/**
+ * Decompress one strip
+ * @param {number} compression - TIFF compression code
+ * @param {Buffer} data - Raw strip bytes
+ * @param {number} expectedLength - Decoded size in bytes
+ * @returns {Buffer}
+ */
+const decompressStrip = (compression, data, expectedLength) => {
+  switch (compression) {
+    case COMPRESSION.NONE:
+      return data;
+    case COMPRESSION.LZW:
+      return decodeLzw(data, expectedLength);
+    case COMPRESSION.DEFLATE:
+    case COMPRESSION.DEFLATE_LEGACY:
+      return zlib.inflateSync(data);
+    case COMPRESSION.PACKBITS:
+      return decodePackBits(data, expectedLength);
+    default:
+      throw new Error(`Unsupported TIFF compression ${compression}`);
+  }
+};
+
+/**
+ * Describe one IFD as a frame layout
+ */
+const frameLayout = (tags) => {
+  const first = (tag, fallback) => (tags[tag] ? tags[tag][0] : fallback);
+  return {
+    width: first(TAG.IMAGE_WIDTH, 0),
+    height: first(TAG.IMAGE_LENGTH, 0),
+    bitsPerSample: first(TAG.BITS_PER_SAMPLE, 1),
+    samplesPerPixel: first(TAG.SAMPLES_PER_PIXEL, 1),
+    sampleFormat: first(TAG.SAMPLE_FORMAT, SAMPLE_FORMAT.UINT),
+    compression: first(TAG.COMPRESSION, COMPRESSION.NONE),
+    predictor: first(TAG.PREDICTOR, 1),
+    tiled: tags[TAG.TILE_WIDTH] !== undefined,
+  };
+};
+
+/**
+ * Get TIFF movie info in the same shape as getMrcInfo
+ * @param {string} filepath
+ * @returns {Object|null} { num_frames, width, height, mode, dataType, pixelSize, fileSize }
+ */
+const getTiffInfo = (filepath) => {
+  try {
+    const { ifds } = readTiffDirectories(filepath);
+    if (ifds.length === 0) {
+      throw new Error('TIFF has no images');
+    }
+    const layout = frameLayout(ifds[0]);
+    const kind = layout.sampleFormat === SAMPLE_FORMAT.FLOAT ? 'float'
+      : layout.sampleFormat === SAMPLE_FORMAT.INT ? 'int' : 'uint';
+
+    return {
+      num_frames: ifds.length,
+      width: layout.width,
+      height: layout.height,
+      mode: null,
+      dataType: `${kind}${layout.bitsPerSample}`,
+      compression: layout.compression,
+      pixelSize: null,
+      fileSize: fs.statSync(filepath).size
+    };
+  } catch (error) {
+    logger.error(`[TIFF] Error reading header: ${error.message}`);
+    return null;
+  }
+};
+
+/**
+ * Sample reader for a bit depth and format
+ */
+const sampleReader = (bitsPerSample, sampleFormat, littleEndian) => {
+  const signed = sampleFormat === SAMPLE_FORMAT.INT;
+  switch (bitsPerSample) {
+    case 8:
+      return signed ? (buf, off) => buf.readInt8(off) : (buf, off) => buf[off];
+    case 16:
+      if (signed) return littleEndian ? (buf, off) => buf.readInt16LE(off) : (buf, off) => buf.readInt16BE(off);
+      return littleEndian ? (buf, off) => buf.readUInt16LE(off) : (buf, off) => buf.readUInt16BE(off);
+    default:
+      if (sampleFormat === SAMPLE_FORMAT.FLOAT) {
+        return littleEndian ? (buf, off) => buf.readFloatLE(off) : (buf, off) => buf.readFloatBE(off);
+      }
+      if (signed) return littleEndian ? (buf, off) => buf.readInt32LE(off) : (buf, off) => buf.readInt32BE(off);
+      return littleEndian ? (buf, off) => buf.readUInt32LE(off) : (buf, off) => buf.readUInt32BE(off);
+  }
+};
+
+/**
+ * Read a single frame (IFD) from a TIFF file
+ * @param {string} filepath - Path to TIFF file
+ * @param {number} frameIndex - Frame index (0-based, clamped)
+ * @returns {{data: Float32Array, width: number, height: number}|null}
+ */
+const readTiffFrame = (filepath, frameIndex = 0) => {
+  try {
+    const { littleEndian, ifds } = readTiffDirectories(filepath);
+    if (ifds.length === 0) {
+      throw new Error('TIFF has no images');
+    }
+    const tags = ifds[Math.min(Math.max(0, frameIndex), ifds.length - 1)];
+    const layout = frameLayout(tags);
+    const { width, height, bitsPerSample, sampleFormat, compression, predictor } = layout;
+
+    if (layout.tiled) {
+      throw new Error('Tiled TIFF images are not supported');
+    }
+    if (layout.samplesPerPixel !== 1) {
+      throw new Error(`Expected 1 sample per pixel, got ${layout.samplesPerPixel}`);
+    }
+    if (![8, 16, 32].includes(bitsPerSample)) {
+      throw new Error(`Unsupported bit depth ${bitsPerSample}`);
+    }
+    if (predictor !== 1 && !(predictor === 2 && sampleFormat !== SAMPLE_FORMAT.FLOAT)) {
+      throw new Error(`Unsupported predictor ${predictor}`);
+    }
+
+    const bytesPerSample = bitsPerSample / 8;
+    const rowsPerStrip = Math.min(tags[TAG.ROWS_PER_STRIP]?.[0] || height, height);
+    const offsets = tags[TAG.STRIP_OFFSETS] || [];
+    const byteCounts = tags[TAG.STRIP_BYTE_COUNTS] || [];
+    // With the predictor, signed samples are read unsigned and re-signed after undoing the differences
+    const readSample = sampleReader(bitsPerSample, predictor === 2 ? SAMPLE_FORMAT.UINT : sampleFormat, littleEndian);
+    const frameData = new Float32Array(width * height);
+    const row = new Float64Array(width);
+
+    const fd = fs.openSync(filepath, 'r');
+    try {
+      for (let strip = 0; strip < offsets.length; strip++) {
+        const firstRow = strip * rowsPerStrip;
+        const rows = Math.min(rowsPerStrip, height - firstRow);
+        if (rows <= 0) break;
+
+        const expectedLength = rows * width * bytesPerSample;
+        const raw = readAt(fd, offsets[strip], byteCounts[strip]);
+        const decoded = decompressStrip(compression, raw, expectedLength);
+        if (decoded.length < expectedLength) {
+          throw new Error(`Strip ${strip} decoded to ${decoded.length} bytes, expected ${expectedLength}`);
+        }
+
+        for (let y = 0; y < rows; y++) {
+          for (let x = 0; x < width; x++) {
+            row[x] = readSample(decoded, (y * width + x) * bytesPerSample);
+          }
+          if (predictor === 2) {
+            // Undo horizontal differencing, wrapping at the sample width
+            const modulus = 2 ** bitsPerSample;
+            for (let x = 1; x < width; x++) {
+              row[x] = (row[x] + row[x - 1]) % modulus;
+            }
+            if (sampleFormat === SAMPLE_FORMAT.INT) {
+              for (let x = 0; x < width; x++) {
+                if (row[x] >= modulus / 2) row[x] -= modulus;
+              }
+            }
+          }
+          frameData.set(row, (firstRow + y) * width);
+        }
+      }
+    } finally {
+      fs.closeSync(fd);
+    }
+
+    return { data: frameData, width, height };
+  } catch (error) {
+    logger.error(`[TIFF] Error reading frame: ${error.message}`);
+    return null;
+  }
+};
+
+module.exports = {
+  TAG,
+  COMPRESSION,
+  isTiffFile,
+  readTiffDirectories,
+  getTiffInfo,
+  readTiffFrame,
+  decodeLzw
+};
@@ -0,0 +1,199 @@
+/**
+ * TOTP Utility
+ *
+ * Time-based one-time passwords (RFC 6238: HMAC-SHA1, 6 digits, 30 s steps)
+ * as used by Google Authenticator, Authy, 1Password etc., plus the
+ * single-use recovery codes handed out at enrollment.
+ */
+
+const crypto = require('crypto');
+const settings = require('../config/settings');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const DIGITS = 6;
+const PERIOD_SECONDS = 30;
+/** Accept codes one step either side of now to allow for clock drift */
+const DRIFT_STEPS = 1;
+const RECOVERY_CODE_COUNT = 10;
+
+/**
+ * Encode bytes as unpadded RFC 4648 base32
+ * @param {Buffer} buffer
+ * @returns {string}
+ */
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+/**
+ * Decode base32, ignoring case, spaces and padding
+ * @param {string} input
+ * @returns {Buffer}
+ */
+function base32Decode(input) {
+  const clean = input.toUpperCase().replace(/[\s=]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error('Invalid base32 character');
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+/**
+ * Generate a new 160-bit shared secret
+ * @returns {string} Base32 secret
+ */
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+/**
+ * Time step for a moment in time
+ * @param {number} [now] - Milliseconds since the epoch
+ * @returns {number}
+ */
+function timeStep(now = Date.now()) {
+  return Math.floor(now / 1000 / PERIOD_SECONDS);
+}
+
+/**
+ * HOTP code for a counter (RFC 4226)
+ * @param {string} secret - Base32 secret
+ * @param {number} counter - Time step
+ * @returns {string} Zero-padded code
+ */
+function generateCode(secret, counter) {
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(message).digest();
+
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+}
+
+/**
+ * Check a code against the current time window
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code typed by the user (spaces allowed)
+ * @param {Object} [options]
+ * @param {number} [options.lastStep] - Last accepted step; it and earlier steps are refused (no replay)
+ * @param {number} [options.now] - Milliseconds since the epoch
+ * @returns {number|null} Matched time step, or null
+ */
+function verifyCode(secret, code, { lastStep = -1, now = Date.now() } = {}) {
+  const candidate = String(code || '').replace(/\s/g, '');
+  if (!new RegExp(`^\\d{${DIGITS}}$`).test(candidate)) return null;
+
+  const current = timeStep(now);
+  for (let step = current - DRIFT_STEPS; step <= current + DRIFT_STEPS; step++) {
+    if (step <= lastStep) continue;
+    const expected = generateCode(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(candidate))) {
+      return step;
+    }
+  }
+  return null;
+}
+
+/**
+ * otpauth:// URI for authenticator apps (rendered as a QR code)
+ * @param {Object} params
+ * @param {string} params.secret - Base32 secret
+ * @param {string} params.account - Account label, usually the email
+ * @param {string} params.issuer - Service name shown in the app
+ * @returns {string}
+ */
+function provisioningUri({ secret, account, issuer }) {
+  const label = encodeURIComponent(`${issuer}:${account}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(PERIOD_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params}`;
+}
+
+/**
+ * Normalize a recovery code as typed (case, dashes and spaces don't matter)
+ * @param {string} code
+ * @returns {string}
+ */
+function normalizeRecoveryCode(code) {
+  return String(code || '').toLowerCase().replace(/[\s-]/g, '');
+}
+
+/**
+ * SHA-256 hash of a recovery code, as stored
+ * @param {string} code
+ * @returns {string}
+ */
+function hashRecoveryCode(code) {
+  return crypto.createHash('sha256').update(normalizeRecoveryCode(code)).digest('hex');
+}
+
+/**
+ * Generate single-use recovery codes
+ * @param {number} [count]
+ * @returns {{ codes: string[], hashes: string[] }} Codes to show once, hashes to store
+ */
+function generateRecoveryCodes(count = RECOVERY_CODE_COUNT) {
+  const codes = Array.from({ length: count }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+}
+
+/**
+ * Whether a user must have 2FA: required by an admin, or by TOTP_REQUIRED_FOR_ADMINS
+ * for staff/superusers. Applies to every sign-in method, SSO included.
+ * @param {Object} user - User document (snake_case fields)
+ * @returns {boolean}
+ */
+function isTotpRequired(user) {
+  if (!user) return false;
+  if (user.totp_required) return true;
+  return !!settings.TOTP_REQUIRED_FOR_ADMINS && !!(user.is_staff || user.is_superuser);
+}
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  timeStep,
+  generateCode,
+  verifyCode,
+  provisioningUri,
+  normalizeRecoveryCode,
+  hashRecoveryCode,
+  generateRecoveryCodes,
+  isTotpRequired
+};
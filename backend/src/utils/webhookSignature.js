@@ -0,0 +1,28 @@
+/**
+ * Signed outgoing requests
+ *
+ * Shared by SmartScope result callbacks and project event webhooks. Each
+ * request carries X-CryoProcess-Timestamp and X-CryoProcess-Signature, the
+ * latter "sha256=" + hex HMAC-SHA256(secret, "<timestamp>.<raw body>").
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Signature header value for a request body
+ * @param {string} secret
+ * @param {string|number} timestamp - Unix seconds, as sent in X-CryoProcess-Timestamp
+ * @param {string} body - Raw JSON body
+ * @returns {string} "sha256=<hex>"
+ */
+const signPayload = (secret, timestamp, body) =>
+  `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+
+/**
+ * Whether a failed request is worth repeating
+ * @param {number|null} statusCode - null for network errors and timeouts
+ */
+const isRetryable = (statusCode) =>
+  statusCode === null || statusCode === 408 || statusCode === 429 || statusCode >= 500;
+
+module.exports = { signPayload, isRetryable };
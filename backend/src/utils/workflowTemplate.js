@@ -0,0 +1,176 @@
+/**
+ * Workflow Template Utilities
+ *
+ * Parses and validates declarative workflow templates: a list of steps, each
+ * a registry job type with parameters and the steps it needs. Parameters can
+ * reference an upstream step's job directory as {{stepId}}, e.g.
+ *
+ *   steps:
+ *     - id: import
+ *       type: import
+ *       parameters: { inputFiles: "Movies/*.tiff", angpix: 0.885 }
+ *     - id: motion
+ *       type: motion_correction
+ *       needs: [import]
+ *       parameters: { inputMovies: "{{import}}/movies.star" }
+ */
+
+const Joi = require('joi');
+const yaml = require('js-yaml');
+const { LIMITS } = require('../config/constants');
+const { ALIAS_TO_CANONICAL, STAGE_NAMES, getJobTypeForStage } = require('../config/jobRegistry');
+
+// Job types that need a person at the screen and cannot run unattended
+const INTERACTIVE_JOB_TYPES = ['manual_pick', 'manual_class_selection'];
+
+const PLACEHOLDER_PATTERN = /\{\{\s*([A-Za-z][\w-]*)\s*\}\}/g;
+
+const stepSchema = Joi.object({
+  id: Joi.string().pattern(/^[A-Za-z][\w-]*$/).max(50).required()
+    .messages({ 'string.pattern.base': 'Step id must start with a letter and contain only letters, numbers, hyphens and underscores' }),
+  type: Joi.string().required(),
+  needs: Joi.array().items(Joi.string()).default([]),
+  parameters: Joi.object().default({})
+});
+
+const templateSchema = Joi.object({
+  name: Joi.string().pattern(/^[a-zA-Z0-9 _\-().]+$/).max(100).required()
+    .messages({ 'string.pattern.base': 'Workflow name can only contain letters, numbers, spaces, hyphens, underscores, parentheses, and periods' }),
+  description: Joi.string().max(5000).allow('').default(''),
+  steps: Joi.array().items(stepSchema).min(1).max(LIMITS.WORKFLOW_MAX_STEPS).required()
+});
+
+/**
+ * Parse template source text. JSON is detected by a leading brace; anything
+ * else is read as YAML.
+ * @param {string} source - Template text
+ * @returns {{value: Object, format: string, error: string|null}}
+ */
+function parseWorkflowSource(source) {
+  const format = source.trim().startsWith('{') ? 'json' : 'yaml';
+  try {
+    const value = format === 'json' ? JSON.parse(source) : yaml.safeLoad(source);
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      return { value: null, format, error: 'Template must be an object' };
+    }
+    return { value, format, error: null };
+  } catch (err) {
+    return { value: null, format, error: `Invalid ${format.toUpperCase()}: ${err.message}` };
+  }
+}
+
+/**
+ * Find the step ids referenced by {{stepId}} placeholders in parameter values
+ * @param {Object} parameters - Step parameters
+ * @returns {string[]}
+ */
+function findPlaceholders(parameters) {
+  const found = new Set();
+  const visit = (value) => {
+    if (typeof value === 'string') {
+      for (const match of value.matchAll(PLACEHOLDER_PATTERN)) {
+        found.add(match[1]);
+      }
+    } else if (Array.isArray(value)) {
+      value.forEach(visit);
+    }
+  };
+  Object.values(parameters || {}).forEach(visit);
+  return [...found];
+}
+
+/**
+ * Replace {{stepId}} placeholders with upstream job directories
+ * @param {Object} parameters - Step parameters
+ * @param {Object} stepDirs - Step id -> job directory relative to the project (e.g. "Import/Job001")
+ * @returns {Object} New parameters object
+ */
+function resolveStepParameters(parameters, stepDirs) {
+  const resolve = (value) => {
+    if (typeof value === 'string') {
+      return value.replace(PLACEHOLDER_PATTERN, (placeholder, id) => stepDirs[id] ?? placeholder);
+    }
+    if (Array.isArray(value)) {
+      return value.map(resolve);
+    }
+    return value;
+  };
+  return Object.fromEntries(
+    Object.entries(parameters || {}).map(([key, value]) => [key, resolve(value)])
+  );
+}
+
+/**
+ * Validate a parsed template and return its steps in dependency order
+ * @param {Object} template - Parsed template
+ * @returns {{value: Object|null, error: string|null}}
+ */
+function validateWorkflowTemplate(template) {
+  const { value, error } = templateSchema.validate(template, { abortEarly: true });
+  if (error) {
+    return { value: null, error: error.message };
+  }
+
+  const byId = new Map();
+  for (const step of value.steps) {
+    if (byId.has(step.id)) {
+      return { value: null, error: `Duplicate step id: ${step.id}` };
+    }
+    // Accept registry aliases ("motion_correction") as well as stage names ("MotionCorr")
+    const jobType = ALIAS_TO_CANONICAL[step.type] || getJobTypeForStage(step.type);
+    if (!jobType) {
+      return { value: null, error: `Step ${step.id}: unknown job type ${step.type}` };
+    }
+    if (INTERACTIVE_JOB_TYPES.includes(jobType)) {
+      return { value: null, error: `Step ${step.id}: ${STAGE_NAMES[jobType]} is interactive and cannot be part of a workflow` };
+    }
+    step.type = jobType;
+    byId.set(step.id, step);
+  }
+
+  for (const step of value.steps) {
+    for (const need of step.needs) {
+      if (need === step.id || !byId.has(need)) {
+        return { value: null, error: `Step ${step.id}: needs unknown step ${need}` };
+      }
+    }
+    const missing = findPlaceholders(step.parameters).filter(id => !step.needs.includes(id));
+    if (missing.length > 0) {
+      return { value: null, error: `Step ${step.id}: {{${missing[0]}}} must be listed in needs` };
+    }
+  }
+
+  // Kahn's algorithm: keeps the template's order among steps that are ready together
+  const ordered = [];
+  const done = new Set();
+  while (ordered.length < value.steps.length) {
+    const ready = value.steps.filter(s => !done.has(s.id) && s.needs.every(n => done.has(n)));
+    if (ready.length === 0) {
+      const cycle = value.steps.filter(s => !done.has(s.id)).map(s => s.id);
+      return { value: null, error: `Steps form a cycle: ${cycle.join(', ')}` };
+    }
+    for (const step of ready) {
+      done.add(step.id);
+      ordered.push(step);
+    }
+  }
+
+  return { value: { ...value, steps: ordered }, error: null };
+}
+
+/**
+ * Short, human-readable summary of a template's step chain
+ * @param {Object[]} steps - Validated steps
+ * @returns {string} e.g. "Import → MotionCorr → CtfFind"
+ */
+function describeWorkflowSteps(steps) {
+  return steps.map(s => STAGE_NAMES[s.type] || s.type).join(' → ');
+}
+
+module.exports = {
+  parseWorkflowSource,
+  validateWorkflowTemplate,
+  findPlaceholders,
+  resolveStepParameters,
+  describeWorkflowSteps
+};
@@ -23,11 +23,61 @@ const updateUserSchema = {
     email: Joi.string().email().max(254),
     isActive: Joi.boolean(),
     isStaff: Joi.boolean(),
-    isSuperuser: Joi.boolean()
+    isSuperuser: Joi.boolean(),
+    totpRequired: Joi.boolean(),
+    // "<issuer>|<sub>" links an SSO identity; null unlinks
+    externalId: Joi.string().max(500).allow(null)
   }).min(1)
 };
 
+// LDAP settings (shared by save and test)
+const ldapFields = {
+  enabled: Joi.boolean().default(false),
+  url: Joi.string().pattern(/^ldaps?:\/\/\S+$/).max(500).allow('').default('')
+    .messages({ 'string.pattern.base': 'URL must start with ldap:// or ldaps://' }),
+  startTls: Joi.boolean().default(false),
+  tlsRejectUnauthorized: Joi.boolean().default(true),
+  bindDn: Joi.string().max(500).allow('').default(''),
+  // Omitted = keep the stored password
+  bindPassword: Joi.string().max(500).allow(''),
+  userSearchBase: Joi.string().max(500).allow('').default(''),
+  userFilter: Joi.string().max(1000).pattern(/\{\{login\}\}/).default('(mail={{login}})')
+    .messages({ 'string.pattern.base': 'User filter must contain the login placeholder' }),
+  attributes: Joi.object({
+    username: Joi.string().max(100).required(),
+    email: Joi.string().max(100).required(),
+    firstName: Joi.string().max(100).allow('').default(''),
+    lastName: Joi.string().max(100).allow('').default('')
+  }).default({ username: 'uid', email: 'mail', firstName: 'givenName', lastName: 'sn' }),
+  groupSearchBase: Joi.string().max(500).allow('').default(''),
+  groupFilter: Joi.string().max(1000).default('(|(member={{dn}})(uniqueMember={{dn}})(memberUid={{username}}))'),
+  groupNameAttribute: Joi.string().max(100).default('cn'),
+  superuserGroups: Joi.array().items(Joi.string().max(500)).max(100).default([]),
+  staffGroups: Joi.array().items(Joi.string().max(500)).max(100).default([]),
+  autoProvision: Joi.boolean().default(true),
+  groupMappings: Joi.array().items(Joi.object({
+    group: Joi.string().max(500).required(),
+    projectId: Joi.string().max(100).required(),
+    role: Joi.string().valid('viewer', 'editor').default('viewer')
+  })).max(500).default([]),
+  syncIntervalMinutes: Joi.number().integer().min(0).max(7 * 24 * 60).default(60)
+};
+
+const ldapConfigSchema = {
+  body: Joi.object(ldapFields)
+};
+
+const ldapTestSchema = {
+  body: Joi.object({
+    ...ldapFields,
+    // Optional account to look up with the user filter
+    testLogin: Joi.string().max(254).allow('')
+  })
+};
+
 module.exports = {
   createUserSchema,
-  updateUserSchema
+  updateUserSchema,
+  ldapConfigSchema,
+  ldapTestSchema
 };
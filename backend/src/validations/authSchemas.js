@@ -3,6 +3,7 @@
  */
 
 const Joi = require('joi');
+const { SCOPES } = require('../utils/apiTokens');
 
 const loginSchema = {
   body: Joi.object({
@@ -54,11 +55,47 @@ const resetPasswordSchema = {
   })
 };
 
+// Second login step: the challenge from POST /login plus an authenticator or recovery code
+const loginTotpSchema = {
+  body: Joi.object({
+    challengeToken: Joi.string().max(2000).required(),
+    code: Joi.string().max(32).required()
+  })
+};
+
+const totpCodeSchema = {
+  body: Joi.object({
+    code: Joi.string().max(32).required()
+  })
+};
+
+const totpDisableSchema = {
+  body: Joi.object({
+    code: Joi.string().max(32).required(),
+    // Required for local accounts
+    password: Joi.string().max(128).allow('')
+  })
+};
+
+// Personal access token; expiresInDays null = never expires
+const createApiTokenSchema = {
+  body: Joi.object({
+    name: Joi.string().trim().min(1).max(100).required(),
+    scopes: Joi.array().items(Joi.string().valid(...SCOPES)).min(1).unique().required(),
+    projectIds: Joi.array().items(Joi.string().max(64)).max(50).unique().default([]),
+    expiresInDays: Joi.number().integer().min(1).max(3650).allow(null).default(90)
+  })
+};
+
 module.exports = {
   loginSchema,
   registerSchema,
   changePasswordSchema,
   updateProfileSchema,
   forgotPasswordSchema,
-  resetPasswordSchema
+  resetPasswordSchema,
+  loginTotpSchema,
+  totpCodeSchema,
+  totpDisableSchema,
+  createApiTokenSchema
 };
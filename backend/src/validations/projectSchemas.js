@@ -3,6 +3,16 @@
  */
 
 const Joi = require('joi');
+const { RETRY_ERROR_CLASSES, WEBHOOK_EVENTS } = require('../config/constants');
+
+const retryPolicySchema = Joi.object({
+  maxAttempts: Joi.number().integer().min(1).max(5),
+  retryOn: Joi.array().items(Joi.string().valid(...RETRY_ERROR_CLASSES)).unique(),
+  escalation: Joi.object({
+    memoryFactor: Joi.number().min(1).max(4),
+    mpiFactor: Joi.number().greater(0).max(1)
+  })
+});
 
 const createProjectSchema = {
   body: Joi.object({
@@ -21,11 +31,38 @@ const updateProjectSchema = {
     webhookUrls: Joi.array().items(
       Joi.string().uri({ scheme: 'https' })
     ).max(5),
+    // Keyed by job type (e.g. Class3D) or 'default'
+    retryPolicies: Joi.object().pattern(Joi.string(), retryPolicySchema),
     isArchived: Joi.boolean()
   }).min(1)
 };
 
+const webhookEvents = Joi.array().items(Joi.string().valid(...WEBHOOK_EVENTS)).min(1).unique();
+
+const createWebhookSchema = {
+  body: Joi.object({
+    url: Joi.string().uri({ scheme: 'https' }).max(2048).required()
+      .messages({ 'string.uriCustomScheme': 'Webhook URL must start with https://' }),
+    description: Joi.string().max(200).allow('').default(''),
+    events: webhookEvents.required(),
+    enabled: Joi.boolean().default(true)
+  })
+};
+
+const updateWebhookSchema = {
+  body: Joi.object({
+    url: Joi.string().uri({ scheme: 'https' }).max(2048)
+      .messages({ 'string.uriCustomScheme': 'Webhook URL must start with https://' }),
+    description: Joi.string().max(200).allow(''),
+    events: webhookEvents,
+    enabled: Joi.boolean(),
+    rotateSecret: Joi.boolean()
+  }).min(1)
+};
+
 module.exports = {
   createProjectSchema,
-  updateProjectSchema
+  updateProjectSchema,
+  createWebhookSchema,
+  updateWebhookSchema
 };
@@ -68,7 +68,7 @@ const importJobSchema = Joi.object({
     Joi.string().valid('Yes', 'No')
   ).default('No'),
   queueName: Joi.string().allow('').default(''),
-  queueSubmitCommand: Joi.string().allow('').default('sbatch'),
+  queueSubmitCommand: Joi.string().allow('').default(''),
   additionalArguments: Joi.string().allow('').default(''),
   argument: Joi.string().allow('').default(''),
   arguments: Joi.string().allow('').default(''),
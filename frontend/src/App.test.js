@@ -18,6 +18,9 @@ jest.mock('axios', () => ({
 // Mock services that use axios
 jest.mock('./services/auth/auth', () => ({
   loginApi: jest.fn(),
+  getCurrentUser: jest.fn(),
+  getSsoConfigApi: () => Promise.resolve({ data: { data: { enabled: false } } }),
+  getSsoLoginUrl: () => '/api/auth/oidc/login',
 }));
 
 // Mock useToast to avoid react-toastify issues
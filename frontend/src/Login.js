@@ -1,8 +1,8 @@
-import React, { useContext, useEffect, useState } from "react";
+import React, { useCallback, useContext, useEffect, useState } from "react";
 import { Link, useLocation, useNavigate } from "react-router-dom";
 import "./App.css";
 import { MyContext } from "./useContext/authContext";
-import { loginApi } from "./services/auth/auth";
+import { loginApi, loginTotpApi, getCurrentUser, getSsoConfigApi, getSsoLoginUrl } from "./services/auth/auth";
 import useToast from "./hooks/useToast";
 
 const Login = () => {
@@ -11,16 +11,69 @@ const Login = () => {
   const [password, setPassword] = useState("");
   const [error, setError] = useState("");
   const [isLoading, setLoading] = useState(false);
+  const [sso, setSso] = useState(null);
+  // Second step for accounts with two-factor authentication
+  const [challengeToken, setChallengeToken] = useState(null);
+  const [code, setCode] = useState("");
   const navigate = useNavigate(); // Initialize useNavigate
   const location = useLocation(); // Get current location
   const showToast = useToast();
 
   const { setUser } = useContext(MyContext);
 
-  // Log the current pathname
+  const storeUser = useCallback((userInfo) => {
+    localStorage.setItem("isAuthenticated", "true");
+    localStorage.setItem("userInfo", JSON.stringify({
+      id: userInfo.id,
+      name: userInfo.firstName || userInfo.name || userInfo.username,
+      username: userInfo.username,
+      email: userInfo.email,
+      isSuperuser: userInfo.isSuperuser || false,
+      isStaff: userInfo.isStaff || false
+    }));
+    setUser(true);
+    // Two-factor authentication is required but not set up: the profile page walks through it
+    navigate(userInfo.twoFactorSetupRequired ? "/profile" : "/projects");
+  }, [navigate, setUser]);
+
+  // Offer single sign-on when the backend has it configured
   useEffect(() => {
-    // console.log('Current Pathname:', location.pathname);
-  }, [location]);
+    getSsoConfigApi()
+      .then((resp) => {
+        const config = resp?.data?.data;
+        if (config?.enabled) setSso(config);
+      })
+      .catch(() => {});
+  }, []);
+
+  // Back from the identity provider: the auth cookie is already set, or
+  // accounts with two-factor authentication still need their code
+  useEffect(() => {
+    const params = new URLSearchParams(location.search);
+    if (params.get("sso_error")) {
+      setError(params.get("sso_error"));
+      return;
+    }
+    if (params.get("sso") === "2fa") {
+      // Passed in the fragment so it never reaches a server log
+      const token = new URLSearchParams(location.hash.slice(1)).get("challenge");
+      if (token) {
+        setChallengeToken(token);
+      } else {
+        setError("Single sign-on failed, please try again");
+      }
+      return;
+    }
+    if (params.get("sso") !== "success") return;
+
+    setLoading(true);
+    getCurrentUser()
+      .then((resp) => storeUser(resp?.data?.data || resp?.data))
+      .catch(() => {
+        setLoading(false);
+        setError("Single sign-on failed, please try again");
+      });
+  }, [location.search, location.hash, storeUser]);
 
   const handleSubmit = (e) => {
     e.preventDefault();
@@ -40,20 +93,17 @@ const Login = () => {
       .then((resp) => {
         // Token is now set as HttpOnly cookie by the backend
         const data = resp?.data?.data || resp?.data;
+        if (data?.twoFactorRequired) {
+          setChallengeToken(data.challengeToken);
+          setCode("");
+          setLoading(false);
+          return;
+        }
+
         const userInfo = data?.user || data;
 
         if (userInfo) {
-          localStorage.setItem("isAuthenticated", "true");
-          localStorage.setItem("userInfo", JSON.stringify({
-            id: userInfo.id,
-            name: userInfo.firstName || userInfo.name || userInfo.username,
-            username: userInfo.username,
-            email: userInfo.email,
-            isSuperuser: userInfo.isSuperuser || false,
-            isStaff: userInfo.isStaff || false
-          }));
-          setUser(true);
-          navigate("/projects");
+          storeUser(userInfo);
         }
       })
       .catch(() => {
@@ -64,6 +114,92 @@ const Login = () => {
       });
   };
 
+  const handleTotpSubmit = (e) => {
+    e.preventDefault();
+    if (isLoading || !code.trim()) return;
+
+    setError("");
+    setLoading(true);
+    loginTotpApi({ challengeToken, code: code.trim() })
+      .then((resp) => {
+        const data = resp?.data?.data || resp?.data;
+        storeUser(data.user);
+      })
+      .catch((err) => {
+        setLoading(false);
+        setCode("");
+        const message = err.response?.data?.message || "Verification failed";
+        if (message === "Invalid authentication code") {
+          setError(message);
+          return;
+        }
+        // Challenge expired: start over with the password
+        setChallengeToken(null);
+        setPassword("");
+        setError(message);
+      });
+  };
+
+  const cancelTotp = () => {
+    setChallengeToken(null);
+    setCode("");
+    setPassword("");
+    setError("");
+  };
+
+  if (challengeToken) {
+    return (
+      <div className="flex items-center justify-center min-h-screen p-6 bg-[var(--color-bg)] transition-colors duration-200">
+        <div className="w-full max-w-md p-8 bg-[var(--color-bg-card)] rounded-lg shadow-lg">
+          <h1 className="mb-1 text-3xl font-bold text-center text-[var(--color-text-heading)]">
+            Two-factor authentication
+          </h1>
+          <p className="mb-6 text-sm text-center text-[var(--color-text-secondary)]">
+            Enter the 6-digit code from your authenticator app, or one of your recovery codes.
+          </p>
+
+          <form onSubmit={handleTotpSubmit} className="space-y-6">
+            <div>
+              <label htmlFor="login-code" className="block mb-1 text-sm font-medium text-[var(--color-text)]">
+                Authentication code
+              </label>
+              <input
+                id="login-code"
+                type="text"
+                value={code}
+                onChange={(e) => setCode(e.target.value)}
+                placeholder="123456"
+                className="w-full px-4 py-2 tracking-widest border border-[var(--color-border)] rounded-lg bg-[var(--color-bg)] text-[var(--color-text)] placeholder-[var(--color-text-muted)] focus:outline-none focus:border-[var(--color-border-focus)]"
+                required
+                autoFocus
+                autoComplete="one-time-code"
+                inputMode="numeric"
+                maxLength={32}
+              />
+            </div>
+
+            {error && <p className="text-sm font-medium text-[var(--color-danger-text)]" role="alert">{error}</p>}
+
+            <button
+              type="submit"
+              className="w-full py-2 font-semibold text-white transition duration-150 bg-[var(--color-primary)] rounded-lg hover:bg-[var(--color-primary-hover)] focus:outline-none"
+            >
+              {isLoading ? "Please wait ..." : "Verify"}
+            </button>
+
+            <button
+              type="button"
+              onClick={cancelTotp}
+              className="block w-full text-sm text-center text-[var(--color-text-secondary)] hover:text-[var(--color-text)]"
+            >
+              Back to login
+            </button>
+          </form>
+        </div>
+      </div>
+    );
+  }
+
   return (
     <div className="flex items-center justify-center min-h-screen p-6 bg-[var(--color-bg)] transition-colors duration-200">
       <div className="w-full max-w-md p-8 bg-[var(--color-bg-card)] rounded-lg shadow-lg">
@@ -115,6 +251,21 @@ const Login = () => {
             {isLoading ? "Please wait ..." : "Log In"}
           </button>
 
+          {sso && (
+            <>
+              <div className="flex items-center gap-3 text-xs text-[var(--color-text-muted)]">
+                <span className="flex-1 border-t border-[var(--color-border)]" />
+                or
+                <span className="flex-1 border-t border-[var(--color-border)]" />
+              </div>
+              <a
+                href={getSsoLoginUrl()}
+                className="block w-full py-2 font-semibold text-center transition duration-150 border border-[var(--color-border)] rounded-lg text-[var(--color-text)] hover:border-[var(--color-border-focus)] focus:outline-none"
+              >
+                Sign in with {sso.providerName}
+              </a>
+            </>
+          )}
 
           <div className="text-sm text-center text-[var(--color-text-secondary)]">
             Don't have an account?{" "}
@@ -1,12 +1,16 @@
 import React from 'react';
 import { render, screen, fireEvent, waitFor } from '@testing-library/react';
-import { BrowserRouter } from 'react-router-dom';
+import { BrowserRouter, MemoryRouter } from 'react-router-dom';
 import Login from './Login';
 import { MyContext } from './useContext/authContext';
 
 // Mock loginApi
 jest.mock('./services/auth/auth', () => ({
   loginApi: jest.fn(),
+  loginTotpApi: jest.fn(),
+  getCurrentUser: jest.fn(),
+  getSsoConfigApi: jest.fn(),
+  getSsoLoginUrl: jest.fn(),
 }));
 
 const mockShowToast = jest.fn();
@@ -18,7 +22,7 @@ jest.mock('react-router-dom', () => ({
   useNavigate: () => mockNavigate,
 }));
 
-const { loginApi } = require('./services/auth/auth');
+const { loginApi, loginTotpApi, getCurrentUser, getSsoConfigApi, getSsoLoginUrl } = require('./services/auth/auth');
 
 const renderLogin = (setUser = jest.fn()) => {
   return render(
@@ -30,10 +34,22 @@ const renderLogin = (setUser = jest.fn()) => {
   );
 };
 
+const renderLoginAt = (url, setUser = jest.fn()) => {
+  return render(
+    <MyContext.Provider value={{ user: false, setUser }}>
+      <MemoryRouter initialEntries={[url]}>
+        <Login />
+      </MemoryRouter>
+    </MyContext.Provider>
+  );
+};
+
 describe('Login', () => {
   beforeEach(() => {
     jest.clearAllMocks();
     localStorage.clear();
+    getSsoConfigApi.mockResolvedValue({ data: { data: { enabled: false, providerName: null } } });
+    getSsoLoginUrl.mockReturnValue('/api/auth/oidc/login');
   });
 
   test('renders login form', () => {
@@ -126,4 +142,119 @@ describe('Login', () => {
       expect(screen.getByText('Please wait ...')).toBeInTheDocument();
     });
   });
+
+  describe('single sign-on', () => {
+    test('hides the SSO button when SSO is not configured', async () => {
+      renderLogin();
+      await waitFor(() => expect(getSsoConfigApi).toHaveBeenCalled());
+      expect(screen.queryByText(/Sign in with/)).not.toBeInTheDocument();
+    });
+
+    test('shows the SSO button linking to the login endpoint', async () => {
+      getSsoConfigApi.mockResolvedValue({ data: { data: { enabled: true, providerName: 'Institute SSO' } } });
+
+      renderLogin();
+
+      const link = await screen.findByRole('link', { name: 'Sign in with Institute SSO' });
+      expect(link).toHaveAttribute('href', '/api/auth/oidc/login');
+    });
+
+    test('completes login after returning from the identity provider', async () => {
+      const mockSetUser = jest.fn();
+      getCurrentUser.mockResolvedValue({
+        data: { data: { id: 7, username: 'jane.doe', email: 'jane@example.org', firstName: 'Jane', isStaff: true } },
+      });
+
+      renderLoginAt('/login?sso=success', mockSetUser);
+
+      await waitFor(() => expect(mockNavigate).toHaveBeenCalledWith('/projects'));
+      const userInfo = JSON.parse(localStorage.getItem('userInfo'));
+      expect(userInfo).toMatchObject({ id: 7, name: 'Jane', username: 'jane.doe', isStaff: true, isSuperuser: false });
+      expect(mockSetUser).toHaveBeenCalledWith(true);
+    });
+
+    test('asks for a code when the SSO account has two-factor authentication', async () => {
+      loginTotpApi.mockResolvedValue({
+        data: { data: { user: { id: 7, username: 'jane.doe', email: 'jane@example.org', firstName: 'Jane' } } },
+      });
+
+      renderLoginAt('/login?sso=2fa#challenge=sso-challenge');
+
+      fireEvent.change(await screen.findByLabelText('Authentication code'), { target: { value: '123456' } });
+      expect(getCurrentUser).not.toHaveBeenCalled();
+      fireEvent.click(screen.getByText('Verify'));
+
+      await waitFor(() => expect(mockNavigate).toHaveBeenCalledWith('/projects'));
+      expect(loginTotpApi).toHaveBeenCalledWith({ challengeToken: 'sso-challenge', code: '123456' });
+    });
+
+    test('shows the error passed back by the SSO callback', async () => {
+      renderLoginAt('/login?sso_error=Account%20is%20disabled');
+
+      expect(await screen.findByRole('alert')).toHaveTextContent('Account is disabled');
+      expect(getCurrentUser).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('two-factor authentication', () => {
+    const submitPassword = () => {
+      fireEvent.change(screen.getByLabelText('Email'), { target: { value: 'jane@example.org' } });
+      fireEvent.change(screen.getByLabelText('Password'), { target: { value: 'password' } });
+      fireEvent.click(screen.getByText('Log In'));
+    };
+
+    beforeEach(() => {
+      loginApi.mockResolvedValue({ data: { data: { twoFactorRequired: true, challengeToken: 'challenge-1' } } });
+    });
+
+    test('asks for a code before completing the login', async () => {
+      const mockSetUser = jest.fn();
+      loginTotpApi.mockResolvedValue({
+        data: { data: { user: { id: 3, username: 'jane', email: 'jane@example.org', firstName: 'Jane' } } },
+      });
+
+      renderLogin(mockSetUser);
+      submitPassword();
+
+      fireEvent.change(await screen.findByLabelText('Authentication code'), { target: { value: ' 123456 ' } });
+      expect(localStorage.getItem('isAuthenticated')).toBeNull();
+      fireEvent.click(screen.getByText('Verify'));
+
+      await waitFor(() => expect(mockNavigate).toHaveBeenCalledWith('/projects'));
+      expect(loginTotpApi).toHaveBeenCalledWith({ challengeToken: 'challenge-1', code: '123456' });
+      expect(JSON.parse(localStorage.getItem('userInfo')).username).toBe('jane');
+      expect(mockSetUser).toHaveBeenCalledWith(true);
+    });
+
+    test('keeps the code step on a wrong code and returns to the password on expiry', async () => {
+      loginTotpApi
+        .mockRejectedValueOnce({ response: { data: { message: 'Invalid authentication code' } } })
+        .mockRejectedValueOnce({ response: { data: { message: 'Sign-in expired, please enter your password again' } } });
+
+      renderLogin();
+      submitPassword();
+
+      fireEvent.change(await screen.findByLabelText('Authentication code'), { target: { value: '000000' } });
+      fireEvent.click(screen.getByText('Verify'));
+      expect(await screen.findByRole('alert')).toHaveTextContent('Invalid authentication code');
+
+      fireEvent.change(screen.getByLabelText('Authentication code'), { target: { value: '111111' } });
+      fireEvent.click(screen.getByText('Verify'));
+
+      expect(await screen.findByText('Log In')).toBeInTheDocument();
+      expect(screen.getByRole('alert')).toHaveTextContent('Sign-in expired');
+      expect(mockNavigate).not.toHaveBeenCalled();
+    });
+
+    test('sends users who must enroll to their profile', async () => {
+      loginApi.mockResolvedValue({
+        data: { data: { user: { id: 4, username: 'lab.admin', email: 'lab@example.org', isStaff: true, twoFactorSetupRequired: true } } },
+      });
+
+      renderLogin();
+      submitPassword();
+
+      await waitFor(() => expect(mockNavigate).toHaveBeenCalledWith('/profile'));
+    });
+  });
 });
@@ -14,14 +14,17 @@ const ACTION_LABELS = {
   project_delete: "Project Delete",
   project_archive: "Project Archive",
   project_restore: "Project Restore",
+  project_cleanup: "Project Cleanup",
   job_submit: "Job Submit",
   job_cancel: "Job Cancel",
+  job_cleanup: "Job Cleanup",
   admin_create_user: "Admin Create User",
   admin_update_user: "Admin Update User",
   admin_delete_user: "Admin Delete User",
   admin_reset_password: "Admin Reset Password",
   admin_generate_api_key: "Admin Generate API Key",
   admin_revoke_api_key: "Admin Revoke API Key",
+  admin_update_quota: "Admin Update Quota",
 };
 
 const ACTION_COLORS = {
@@ -36,12 +39,15 @@ const ACTION_COLORS = {
   project_delete: "danger",
   job_submit: "success",
   job_cancel: "danger",
+  job_cleanup: "warning",
+  project_cleanup: "warning",
   admin_create_user: "success",
   admin_update_user: "info",
   admin_delete_user: "danger",
   admin_reset_password: "warning",
   admin_generate_api_key: "info",
   admin_revoke_api_key: "danger",
+  admin_update_quota: "warning",
 };
 
 const AuditLog = () => {
@@ -1,5 +1,5 @@
 import React, { useState, useEffect } from "react";
-import { FiDownload, FiLoader, FiBarChart2, FiCalendar, FiUsers, FiFolder, FiClock } from "react-icons/fi";
+import { FiDownload, FiLoader, FiBarChart2, FiCalendar, FiUsers, FiFolder, FiClock, FiHardDrive } from "react-icons/fi";
 import { BarChart, Bar, XAxis, YAxis, Tooltip, ResponsiveContainer, CartesianGrid, LineChart, Line } from "recharts";
 import { getUsageReport, downloadUsageCsv } from "../../services/usageApi";
 import useToast from "../../hooks/useToast";
@@ -61,6 +61,8 @@ const AdminUsage = () => {
 
   const rows = data?.rows || [];
   const totals = data?.totals || {};
+  const storage = data?.storage;
+  const showStorage = groupBy !== "month";
 
   // Chart data
   const chartData = rows.map((row) => ({
@@ -78,7 +80,7 @@ const AdminUsage = () => {
             <FiBarChart2 size={20} />
             <h2>Usage Report</h2>
           </div>
-          <p className="usage-subtitle">Compute hours and job statistics for billing and capacity planning.</p>
+          <p className="usage-subtitle">Compute hours, job statistics and disk usage for billing and capacity planning.</p>
         </div>
 
         {/* Controls */}
@@ -131,6 +133,37 @@ const AdminUsage = () => {
           </div>
         )}
 
+        {/* Storage Cards (from the last storage scan) */}
+        {!isLoading && storage && (
+          <>
+            <h3 className="usage-section-title">
+              <FiHardDrive size={14} />
+              Storage
+              {storage.lastScannedAt && (
+                <span className="usage-scan-time">scanned {new Date(storage.lastScannedAt).toLocaleString()}</span>
+              )}
+            </h3>
+            <div className="usage-summary">
+              <div className="usage-card">
+                <span className="usage-card-label">Total Storage</span>
+                <span className="usage-card-value">{storage.totalGb} GB</span>
+              </div>
+              <div className="usage-card">
+                <span className="usage-card-label">Movies</span>
+                <span className="usage-card-value">{storage.moviesGb} GB</span>
+              </div>
+              <div className="usage-card">
+                <span className="usage-card-label">Derived Data</span>
+                <span className="usage-card-value">{storage.derivedGb} GB</span>
+              </div>
+              <div className="usage-card">
+                <span className="usage-card-label">Scratch</span>
+                <span className="usage-card-value">{storage.scratchGb} GB</span>
+              </div>
+            </div>
+          </>
+        )}
+
         {/* Chart */}
         {!isLoading && chartData.length > 0 && (
           <div className="usage-chart-container">
@@ -185,6 +218,7 @@ const AdminUsage = () => {
                   <th>Successful</th>
                   <th>Failed</th>
                   <th>Compute Hours</th>
+                  {showStorage && <th>Storage</th>}
                 </tr>
               </thead>
               <tbody>
@@ -203,6 +237,7 @@ const AdminUsage = () => {
                     <td className="usage-success">{row.successfulJobs}</td>
                     <td className="usage-failed">{row.failedJobs}</td>
                     <td><strong>{row.totalHours}h</strong></td>
+                    {showStorage && <td>{row.storageGb !== undefined ? `${row.storageGb} GB` : "-"}</td>}
                   </tr>
                 ))}
               </tbody>
@@ -331,6 +366,12 @@ const AdminUsage = () => {
           font-weight: 700;
           color: var(--color-text-heading);
         }
+        .usage-scan-time {
+          font-size: 11px;
+          font-weight: 400;
+          color: var(--color-text-muted);
+          margin-left: 4px;
+        }
         .usage-success { color: var(--color-success-text); }
         .usage-failed { color: var(--color-danger-text); }
         .usage-chart-container {
@@ -118,6 +118,24 @@ describe('AdminUsage', () => {
     });
   });
 
+  test('shows storage cards and per-row storage', async () => {
+    getUsageReport.mockResolvedValue({
+      data: {
+        ...mockUsageData.data,
+        rows: [{ ...mockUsageData.data.rows[0], storageGb: 812.4 }],
+        storage: { totalGb: 1204.5, moviesGb: 600, derivedGb: 480.2, scratchGb: 124.3, otherGb: 0, lastScannedAt: null },
+      },
+    });
+
+    render(<AdminUsage />);
+    await waitFor(() => {
+      expect(screen.getByText('Total Storage')).toBeInTheDocument();
+    });
+    expect(screen.getByText('1204.5 GB')).toBeInTheDocument();
+    expect(screen.getByText('124.3 GB')).toBeInTheDocument();
+    expect(screen.getByText('812.4 GB')).toBeInTheDocument();
+  });
+
   test('shows error toast on API failure', async () => {
     getUsageReport.mockRejectedValue({
       response: { data: { message: 'Unauthorized' } },
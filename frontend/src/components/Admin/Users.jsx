@@ -1,8 +1,52 @@
 import React, { useState, useEffect } from "react";
-import { FiPlus, FiTrash2, FiKey, FiLink, FiUser, FiShield, FiLoader, FiCopy, FiCheck, FiX } from "react-icons/fi";
+import { FiPlus, FiTrash2, FiKey, FiLink, FiUser, FiShield, FiLoader, FiCopy, FiCheck, FiX, FiServer, FiRefreshCw, FiLock } from "react-icons/fi";
 import adminApi from "../../services/adminApi";
 import useToast from "../../hooks/useToast";
 
+/** Group lists are edited as one group (CN or DN) per line */
+const splitGroups = (text) => text.split("\n").map((g) => g.trim()).filter(Boolean);
+
+/**
+ * Build the PUT/test body from the LDAP form; the bind password is only sent
+ * when it was typed, so the stored one is kept otherwise
+ */
+const toLdapPayload = (form, bindPassword) => {
+  const payload = {
+    enabled: form.enabled,
+    url: form.url.trim(),
+    startTls: form.startTls,
+    tlsRejectUnauthorized: form.tlsRejectUnauthorized,
+    bindDn: form.bindDn.trim(),
+    userSearchBase: form.userSearchBase.trim(),
+    userFilter: form.userFilter.trim(),
+    attributes: {
+      username: form.attributes.username.trim(),
+      email: form.attributes.email.trim(),
+      firstName: form.attributes.firstName.trim(),
+      lastName: form.attributes.lastName.trim()
+    },
+    groupSearchBase: form.groupSearchBase.trim(),
+    groupFilter: form.groupFilter.trim(),
+    groupNameAttribute: form.groupNameAttribute.trim(),
+    superuserGroups: splitGroups(form.superuserGroups),
+    staffGroups: splitGroups(form.staffGroups),
+    autoProvision: form.autoProvision,
+    groupMappings: form.groupMappings
+      .filter((m) => m.group.trim() && m.projectId.trim())
+      .map((m) => ({ group: m.group.trim(), projectId: m.projectId.trim(), role: m.role })),
+    syncIntervalMinutes: Number(form.syncIntervalMinutes) || 0
+  };
+  if (bindPassword) payload.bindPassword = bindPassword;
+  return payload;
+};
+
+const toLdapForm = (config) => ({
+  ...config,
+  superuserGroups: (config.superuserGroups || []).join("\n"),
+  staffGroups: (config.staffGroups || []).join("\n"),
+  groupMappings: config.groupMappings || []
+});
+
 const AdminUsers = () => {
   const [users, setUsers] = useState([]);
   const [isLoading, setLoading] = useState(true);
@@ -14,10 +58,21 @@ const AdminUsers = () => {
   const [tempPassword, setTempPassword] = useState(null);
   const [apiKeyConfirm, setApiKeyConfirm] = useState(null);
   const [revokeConfirm, setRevokeConfirm] = useState(null);
+  const [totpResetConfirm, setTotpResetConfirm] = useState(null);
   const [tempApiKey, setTempApiKey] = useState(null);
   const [copied, setCopied] = useState(false);
+  const [ldapForm, setLdapForm] = useState(null);
+  const [ldapBindPassword, setLdapBindPassword] = useState("");
+  const [ldapTestLogin, setLdapTestLogin] = useState("");
+  const [ldapTestResult, setLdapTestResult] = useState(null);
+  const [ldapBusy, setLdapBusy] = useState(null);
   const showToast = useToast();
 
+  let userInfo = {};
+  try { userInfo = JSON.parse(localStorage.getItem("userInfo") || "{}"); } catch (_) { /* corrupted storage */ }
+  // Directory settings are superuser-only on the API as well
+  const canManageLdap = !!userInfo.isSuperuser;
+
   const [newUser, setNewUser] = useState({
     email: "",
     username: "",
@@ -111,6 +166,98 @@ const AdminUsers = () => {
     }
   };
 
+  const handleToggleTotpRequired = async (user) => {
+    try {
+      await adminApi.updateUser(user.id, { totpRequired: !user.totpRequired });
+      loadUsers();
+      showToast(`Two-factor authentication ${user.totpRequired ? 'no longer required' : 'required'} for ${user.email}`, { type: "success" });
+    } catch (error) {
+      showToast(error.response?.data?.message || "Failed to update user", { type: "error" });
+    }
+  };
+
+  const handleResetTotp = async (userId) => {
+    try {
+      await adminApi.resetUserTotp(userId);
+      setTotpResetConfirm(null);
+      loadUsers();
+      showToast("Two-factor authentication reset", { type: "success" });
+    } catch (error) {
+      showToast(error.response?.data?.message || "Failed to reset two-factor authentication", { type: "error" });
+    }
+  };
+
+  const openLdapSettings = async () => {
+    try {
+      const resp = await adminApi.getLdapConfig();
+      setLdapForm(toLdapForm(resp.data.data));
+      setLdapBindPassword("");
+      setLdapTestResult(null);
+    } catch (error) {
+      showToast(error.response?.data?.message || "Failed to load LDAP settings", { type: "error" });
+    }
+  };
+
+  const updateLdapField = (field, value) => setLdapForm((form) => ({ ...form, [field]: value }));
+
+  const updateLdapAttribute = (field, value) => setLdapForm((form) => ({
+    ...form,
+    attributes: { ...form.attributes, [field]: value }
+  }));
+
+  const updateLdapMapping = (index, field, value) => setLdapForm((form) => ({
+    ...form,
+    groupMappings: form.groupMappings.map((m, i) => (i === index ? { ...m, [field]: value } : m))
+  }));
+
+  const handleSaveLdap = async (e) => {
+    e.preventDefault();
+    setLdapBusy("save");
+    try {
+      const resp = await adminApi.updateLdapConfig(toLdapPayload(ldapForm, ldapBindPassword));
+      setLdapForm(toLdapForm(resp.data.data));
+      setLdapBindPassword("");
+      showToast("LDAP settings saved", { type: "success" });
+    } catch (error) {
+      showToast(error.response?.data?.message || "Failed to save LDAP settings", { type: "error" });
+    } finally {
+      setLdapBusy(null);
+    }
+  };
+
+  const handleTestLdap = async () => {
+    setLdapBusy("test");
+    setLdapTestResult(null);
+    try {
+      const payload = { ...toLdapPayload(ldapForm, ldapBindPassword), testLogin: ldapTestLogin.trim() };
+      const resp = await adminApi.testLdapConnection(payload);
+      setLdapTestResult(resp.data.data);
+    } catch (error) {
+      setLdapTestResult({ connected: false, message: error.response?.data?.message || "Connection test failed" });
+    } finally {
+      setLdapBusy(null);
+    }
+  };
+
+  const handleSyncLdap = async () => {
+    setLdapBusy("sync");
+    try {
+      const resp = await adminApi.syncLdap();
+      const summary = resp.data.data;
+      setLdapForm((form) => ({ ...form, lastSync: summary }));
+      if (summary.error) {
+        showToast(`LDAP sync failed: ${summary.error}`, { type: "error" });
+      } else {
+        showToast(`Synced ${summary.users} users (${summary.added} added, ${summary.updated} updated, ${summary.removed} removed)`, { type: "success" });
+        loadUsers();
+      }
+    } catch (error) {
+      showToast(error.response?.data?.message || "Failed to sync LDAP", { type: "error" });
+    } finally {
+      setLdapBusy(null);
+    }
+  };
+
   const copyToClipboard = (text) => {
     navigator.clipboard.writeText(text);
     setCopied(true);
@@ -134,10 +281,18 @@ const AdminUsers = () => {
             <h1>User Management</h1>
             <span className="header-subtitle">Manage user accounts and permissions</span>
           </div>
-          <button className="btn-create" onClick={() => setShowCreateModal(true)}>
-            <FiPlus />
-            <span>Add User</span>
-          </button>
+          <div className="header-actions">
+            {canManageLdap && (
+              <button className="btn-secondary-action" onClick={openLdapSettings}>
+                <FiServer />
+                <span>LDAP</span>
+              </button>
+            )}
+            <button className="btn-create" onClick={() => setShowCreateModal(true)}>
+              <FiPlus />
+              <span>Add User</span>
+            </button>
+          </div>
         </header>
 
         <div className="users-table-container">
@@ -187,6 +342,11 @@ const AdminUsers = () => {
                       {user.hasApiKey && (
                         <span className="api-key-badge">API Key</span>
                       )}
+                      {user.totpEnabled ? (
+                        <span className="totp-badge">2FA</span>
+                      ) : user.totpRequired && (
+                        <span className="password-badge">2FA setup required</span>
+                      )}
                     </div>
                   </td>
                   <td className="last-login">
@@ -222,6 +382,24 @@ const AdminUsers = () => {
                           <span>Revoke</span>
                         </button>
                       )}
+                      <button
+                        className={`action-btn totp ${user.totpRequired ? 'is-required' : ''}`}
+                        onClick={() => handleToggleTotpRequired(user)}
+                        title={user.totpRequired ? 'Make 2FA optional' : 'Require 2FA'}
+                      >
+                        <FiLock size={14} />
+                        <span>{user.totpRequired ? '2FA Optional' : 'Require 2FA'}</span>
+                      </button>
+                      {user.totpEnabled && (
+                        <button
+                          className="action-btn revoke"
+                          onClick={() => setTotpResetConfirm(user)}
+                          title="Reset 2FA"
+                        >
+                          <FiX size={14} />
+                          <span>Reset 2FA</span>
+                        </button>
+                      )}
                       <button
                         className={`action-btn role ${user.isSuperuser ? 'is-admin' : ''}`}
                         onClick={() => setRoleConfirm(user)}
@@ -342,6 +520,288 @@ const AdminUsers = () => {
         </div>
       )}
 
+      {/* LDAP Settings Modal */}
+      {ldapForm && (
+        <div className="modal-overlay" role="presentation">
+          <div className="modal ldap-modal" role="dialog" aria-modal="true" aria-labelledby="ldap-settings-title">
+            <div className="modal-header">
+              <h3 id="ldap-settings-title">LDAP / Active Directory</h3>
+              <button className="modal-close" onClick={() => setLdapForm(null)} aria-label="Close dialog">
+                <FiX aria-hidden="true" />
+              </button>
+            </div>
+            <form onSubmit={handleSaveLdap}>
+              <label className="checkbox-row">
+                <input
+                  type="checkbox"
+                  checked={ldapForm.enabled}
+                  onChange={(e) => updateLdapField("enabled", e.target.checked)}
+                />
+                <span>Allow users to sign in with their directory account</span>
+              </label>
+
+              <h4 className="ldap-section">Connection</h4>
+              <div className="form-grid">
+                <div className="form-group">
+                  <label htmlFor="ldap-url">Server URL</label>
+                  <input
+                    id="ldap-url"
+                    type="text"
+                    value={ldapForm.url}
+                    onChange={(e) => updateLdapField("url", e.target.value)}
+                    placeholder="ldaps://ldap.example.org:636"
+                  />
+                </div>
+                <div className="form-group checkbox-group">
+                  <label className="checkbox-row">
+                    <input
+                      type="checkbox"
+                      checked={ldapForm.startTls}
+                      onChange={(e) => updateLdapField("startTls", e.target.checked)}
+                    />
+                    <span>Use StartTLS</span>
+                  </label>
+                  <label className="checkbox-row">
+                    <input
+                      type="checkbox"
+                      checked={ldapForm.tlsRejectUnauthorized}
+                      onChange={(e) => updateLdapField("tlsRejectUnauthorized", e.target.checked)}
+                    />
+                    <span>Verify server certificate</span>
+                  </label>
+                </div>
+                <div className="form-group">
+                  <label htmlFor="ldap-bind-dn">Bind DN</label>
+                  <input
+                    id="ldap-bind-dn"
+                    type="text"
+                    value={ldapForm.bindDn}
+                    onChange={(e) => updateLdapField("bindDn", e.target.value)}
+                    placeholder="Empty for anonymous search"
+                  />
+                </div>
+                <div className="form-group">
+                  <label htmlFor="ldap-bind-password">Bind password</label>
+                  <input
+                    id="ldap-bind-password"
+                    type="password"
+                    value={ldapBindPassword}
+                    onChange={(e) => setLdapBindPassword(e.target.value)}
+                    placeholder={ldapForm.bindPasswordSet ? "Unchanged" : ""}
+                    autoComplete="new-password"
+                  />
+                </div>
+              </div>
+
+              <h4 className="ldap-section">Users</h4>
+              <div className="form-grid">
+                <div className="form-group">
+                  <label htmlFor="ldap-user-base">User search base</label>
+                  <input
+                    id="ldap-user-base"
+                    type="text"
+                    value={ldapForm.userSearchBase}
+                    onChange={(e) => updateLdapField("userSearchBase", e.target.value)}
+                    placeholder="ou=people,dc=example,dc=org"
+                  />
+                </div>
+                <div className="form-group">
+                  <label htmlFor="ldap-user-filter">User filter</label>
+                  <input
+                    id="ldap-user-filter"
+                    type="text"
+                    value={ldapForm.userFilter}
+                    onChange={(e) => updateLdapField("userFilter", e.target.value)}
+                    title="{{login}} is replaced by the email entered on the login page"
+                  />
+                </div>
+                {[
+                  ["username", "Username attribute"],
+                  ["email", "Email attribute"],
+                  ["firstName", "First name attribute"],
+                  ["lastName", "Last name attribute"]
+                ].map(([field, label]) => (
+                  <div className="form-group" key={field}>
+                    <label htmlFor={`ldap-attr-${field}`}>{label}</label>
+                    <input
+                      id={`ldap-attr-${field}`}
+                      type="text"
+                      value={ldapForm.attributes[field]}
+                      onChange={(e) => updateLdapAttribute(field, e.target.value)}
+                    />
+                  </div>
+                ))}
+              </div>
+              <label className="checkbox-row">
+                <input
+                  type="checkbox"
+                  checked={ldapForm.autoProvision}
+                  onChange={(e) => updateLdapField("autoProvision", e.target.checked)}
+                />
+                <span>Create an account on first sign-in</span>
+              </label>
+
+              <h4 className="ldap-section">Groups</h4>
+              <div className="form-grid">
+                <div className="form-group">
+                  <label htmlFor="ldap-group-base">Group search base</label>
+                  <input
+                    id="ldap-group-base"
+                    type="text"
+                    value={ldapForm.groupSearchBase}
+                    onChange={(e) => updateLdapField("groupSearchBase", e.target.value)}
+                    placeholder="Empty to use memberOf only"
+                  />
+                </div>
+                <div className="form-group">
+                  <label htmlFor="ldap-group-filter">Group filter</label>
+                  <input
+                    id="ldap-group-filter"
+                    type="text"
+                    value={ldapForm.groupFilter}
+                    onChange={(e) => updateLdapField("groupFilter", e.target.value)}
+                  />
+                </div>
+                <div className="form-group">
+                  <label htmlFor="ldap-superuser-groups">Admin groups</label>
+                  <textarea
+                    id="ldap-superuser-groups"
+                    rows={2}
+                    value={ldapForm.superuserGroups}
+                    onChange={(e) => updateLdapField("superuserGroups", e.target.value)}
+                    placeholder="One group per line"
+                  />
+                </div>
+                <div className="form-group">
+                  <label htmlFor="ldap-staff-groups">Staff groups</label>
+                  <textarea
+                    id="ldap-staff-groups"
+                    rows={2}
+                    value={ldapForm.staffGroups}
+                    onChange={(e) => updateLdapField("staffGroups", e.target.value)}
+                    placeholder="One group per line"
+                  />
+                </div>
+              </div>
+
+              <div className="form-group">
+                <label>Project access</label>
+                {ldapForm.groupMappings.map((mapping, index) => (
+                  <div className="mapping-row" key={index}>
+                    <input
+                      type="text"
+                      value={mapping.group}
+                      onChange={(e) => updateLdapMapping(index, "group", e.target.value)}
+                      placeholder="Group"
+                      aria-label="Group"
+                    />
+                    <input
+                      type="text"
+                      value={mapping.projectId}
+                      onChange={(e) => updateLdapMapping(index, "projectId", e.target.value)}
+                      placeholder="Project ID"
+                      aria-label="Project ID"
+                    />
+                    <select
+                      value={mapping.role}
+                      onChange={(e) => updateLdapMapping(index, "role", e.target.value)}
+                      aria-label="Role"
+                    >
+                      <option value="viewer">Viewer</option>
+                      <option value="editor">Editor</option>
+                    </select>
+                    <button
+                      type="button"
+                      className="action-btn delete"
+                      onClick={() => updateLdapField("groupMappings", ldapForm.groupMappings.filter((_, i) => i !== index))}
+                      aria-label="Remove mapping"
+                    >
+                      <FiTrash2 aria-hidden="true" />
+                    </button>
+                  </div>
+                ))}
+                <button
+                  type="button"
+                  className="btn-link"
+                  onClick={() => updateLdapField("groupMappings", [...ldapForm.groupMappings, { group: "", projectId: "", role: "viewer" }])}
+                >
+                  <FiPlus aria-hidden="true" /> Add mapping
+                </button>
+              </div>
+
+              <h4 className="ldap-section">Sync</h4>
+              <div className="form-grid">
+                <div className="form-group">
+                  <label htmlFor="ldap-sync-interval">Sync every (minutes, 0 = off)</label>
+                  <input
+                    id="ldap-sync-interval"
+                    type="number"
+                    min={0}
+                    value={ldapForm.syncIntervalMinutes}
+                    onChange={(e) => updateLdapField("syncIntervalMinutes", e.target.value)}
+                  />
+                </div>
+                <div className="form-group">
+                  <label>Last sync</label>
+                  <div className="ldap-last-sync">
+                    {ldapForm.lastSync?.at ? (
+                      <span className={ldapForm.lastSync.error ? "sync-error" : ""}>
+                        {new Date(ldapForm.lastSync.at).toLocaleString()}
+                        {" · "}
+                        {ldapForm.lastSync.error
+                          ? ldapForm.lastSync.error
+                          : `${ldapForm.lastSync.users} users, +${ldapForm.lastSync.added} ~${ldapForm.lastSync.updated} -${ldapForm.lastSync.removed}`
+                            + (ldapForm.lastSync.deactivated ? `, ${ldapForm.lastSync.deactivated} deactivated` : "")}
+                      </span>
+                    ) : "Never"}
+                    <button type="button" className="btn-link" onClick={handleSyncLdap} disabled={!!ldapBusy || !ldapForm.enabled}>
+                      <FiRefreshCw aria-hidden="true" className={ldapBusy === "sync" ? "spinner" : ""} /> Sync now
+                    </button>
+                  </div>
+                </div>
+              </div>
+
+              <div className="ldap-test">
+                <input
+                  type="text"
+                  value={ldapTestLogin}
+                  onChange={(e) => setLdapTestLogin(e.target.value)}
+                  placeholder="Optional: email to look up"
+                  aria-label="Test login"
+                />
+                <button type="button" className="btn-cancel" onClick={handleTestLdap} disabled={!!ldapBusy}>
+                  {ldapBusy === "test" ? "Testing..." : "Test connection"}
+                </button>
+              </div>
+              {ldapTestResult && (
+                <div className={`ldap-test-result ${ldapTestResult.connected ? "ok" : "failed"}`} role="status">
+                  <p>{ldapTestResult.message}</p>
+                  {ldapTestResult.user && (
+                    <p>
+                      {ldapTestResult.user.username} &lt;{ldapTestResult.user.email}&gt;
+                      {" · "}
+                      {ldapTestResult.user.isSuperuser ? "Admin" : ldapTestResult.user.isStaff ? "Staff" : "User"}
+                      {" · "}
+                      {ldapTestResult.user.groups.length} groups
+                      {ldapTestResult.user.projects.length > 0 && ` · ${ldapTestResult.user.projects.map((p) => `${p.projectId} (${p.role})`).join(", ")}`}
+                    </p>
+                  )}
+                </div>
+              )}
+
+              <div className="modal-actions">
+                <button type="button" className="btn-cancel" onClick={() => setLdapForm(null)}>
+                  Cancel
+                </button>
+                <button type="submit" className="btn-submit" disabled={!!ldapBusy}>
+                  {ldapBusy === "save" ? "Saving..." : "Save"}
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+
       {/* Temp Password Modal */}
       {tempPassword && (
         <div className="modal-overlay" role="presentation">
@@ -512,6 +972,26 @@ const AdminUsers = () => {
         </div>
       )}
 
+      {totpResetConfirm && (
+        <div className="modal-overlay" role="presentation">
+          <div className="modal confirm-modal" role="alertdialog" aria-modal="true" aria-label="Reset two-factor authentication confirmation">
+            <div className="confirm-icon delete-icon" aria-hidden="true">
+              <FiLock size={24} />
+            </div>
+            <h3>Reset Two-Factor Authentication?</h3>
+            <p>Turn off two-factor authentication for <strong>{totpResetConfirm.email}</strong>?</p>
+            <p className="confirm-note warning">
+              Their authenticator and recovery codes stop working.
+              {totpResetConfirm.totpRequired && " They will have to enroll again at their next sign-in."}
+            </p>
+            <div className="modal-actions">
+              <button className="btn-cancel" onClick={() => setTotpResetConfirm(null)}>Cancel</button>
+              <button className="btn-danger" onClick={() => handleResetTotp(totpResetConfirm.id)}>Reset 2FA</button>
+            </div>
+          </div>
+        </div>
+      )}
+
       <style>{`
         .admin-users-page {
           min-height: calc(100vh - 48px);
@@ -560,6 +1040,157 @@ const AdminUsers = () => {
           background: var(--color-primary-hover);
         }
 
+        .header-actions {
+          display: flex;
+          gap: 10px;
+        }
+
+        .btn-secondary-action {
+          display: flex;
+          align-items: center;
+          gap: 8px;
+          padding: 10px 16px;
+          background: var(--color-bg-card);
+          color: var(--color-text);
+          border: 1px solid var(--color-border);
+          border-radius: 8px;
+          font-size: 14px;
+          font-weight: 500;
+          cursor: pointer;
+          transition: all 0.2s;
+        }
+
+        .btn-secondary-action:hover {
+          background: var(--color-bg-hover);
+        }
+
+        .ldap-modal {
+          max-width: 720px;
+          max-height: 90vh;
+          overflow-y: auto;
+        }
+
+        .ldap-section {
+          margin: 20px 0 12px;
+          font-size: 13px;
+          font-weight: 600;
+          text-transform: uppercase;
+          letter-spacing: 0.04em;
+          color: var(--color-text-secondary);
+        }
+
+        .ldap-modal .form-group input[type="password"],
+        .ldap-modal .form-group input[type="number"],
+        .ldap-modal .form-group textarea,
+        .ldap-modal .mapping-row input,
+        .ldap-modal .mapping-row select,
+        .ldap-test input {
+          width: 100%;
+          padding: 10px 12px;
+          border: 1px solid var(--color-border);
+          border-radius: 8px;
+          font-size: 14px;
+          font-family: inherit;
+          box-sizing: border-box;
+          background: var(--color-bg-card);
+          color: var(--color-text);
+        }
+
+        .checkbox-row {
+          display: flex;
+          align-items: center;
+          gap: 8px;
+          font-size: 14px;
+          color: var(--color-text);
+          cursor: pointer;
+        }
+
+        .form-group .checkbox-row {
+          display: flex;
+          font-weight: 400;
+          margin-bottom: 8px;
+        }
+
+        .checkbox-group {
+          display: flex;
+          flex-direction: column;
+          justify-content: flex-end;
+        }
+
+        .mapping-row {
+          display: grid;
+          grid-template-columns: 2fr 1.5fr 1fr auto;
+          gap: 8px;
+          margin-bottom: 8px;
+        }
+
+        .btn-link {
+          display: inline-flex;
+          align-items: center;
+          gap: 6px;
+          padding: 4px 0;
+          background: none;
+          border: none;
+          font-size: 13px;
+          font-weight: 500;
+          color: var(--color-primary);
+          cursor: pointer;
+        }
+
+        .btn-link:disabled {
+          color: var(--color-text-secondary);
+          cursor: not-allowed;
+        }
+
+        .ldap-last-sync {
+          display: flex;
+          flex-direction: column;
+          align-items: flex-start;
+          gap: 4px;
+          font-size: 13px;
+          color: var(--color-text-secondary);
+        }
+
+        .ldap-last-sync .sync-error {
+          color: var(--color-danger-text);
+        }
+
+        .ldap-test {
+          display: flex;
+          gap: 12px;
+          margin-top: 8px;
+        }
+
+        .ldap-test .btn-cancel {
+          white-space: nowrap;
+        }
+
+        .ldap-test-result {
+          margin-top: 12px;
+          padding: 10px 12px;
+          border-radius: 8px;
+          font-size: 13px;
+        }
+
+        .ldap-test-result p {
+          margin: 0;
+          word-break: break-word;
+        }
+
+        .ldap-test-result p + p {
+          margin-top: 4px;
+        }
+
+        .ldap-test-result.ok {
+          background: var(--color-success-bg);
+          color: var(--color-success-text);
+        }
+
+        .ldap-test-result.failed {
+          background: var(--color-danger-bg);
+          color: var(--color-danger-text);
+        }
+
         .users-table-container {
           background: var(--color-bg-card);
           border-radius: 12px;
@@ -773,6 +1404,28 @@ const AdminUsers = () => {
           border-color: var(--color-warning-text);
         }
 
+        .action-btn.totp {
+          color: var(--color-text-secondary);
+        }
+
+        .action-btn.totp.is-required {
+          color: #16a34a;
+        }
+
+        .action-btn.totp:hover {
+          background: var(--color-bg-hover);
+          border-color: var(--color-border-hover);
+        }
+
+        .totp-badge {
+          display: inline-block;
+          padding: 1px 6px;
+          background: rgba(34,197,94,0.1);
+          color: #16a34a;
+          border-radius: 6px;
+          font-size: 9px;
+        }
+
         .api-key-badge {
           display: inline-block;
           padding: 1px 6px;
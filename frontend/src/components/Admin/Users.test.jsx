@@ -0,0 +1,166 @@
+import React from 'react';
+import { render, screen, fireEvent, waitFor, within } from '@testing-library/react';
+import AdminUsers from './Users';
+
+jest.mock('../../services/adminApi', () => ({
+  getUsers: jest.fn(),
+  updateUser: jest.fn(),
+  resetUserTotp: jest.fn(),
+  getLdapConfig: jest.fn(),
+  updateLdapConfig: jest.fn(),
+  testLdapConnection: jest.fn(),
+  syncLdap: jest.fn(),
+}));
+
+const mockShowToast = jest.fn();
+jest.mock('../../hooks/useToast', () => () => mockShowToast);
+
+const adminApi = require('../../services/adminApi');
+
+const mockLdapConfig = {
+  enabled: true,
+  url: 'ldaps://ldap.example.org',
+  startTls: false,
+  tlsRejectUnauthorized: true,
+  bindDn: 'cn=cryoprocess,dc=example,dc=org',
+  bindPasswordSet: true,
+  userSearchBase: 'ou=people,dc=example,dc=org',
+  userFilter: '(mail={{login}})',
+  attributes: { username: 'uid', email: 'mail', firstName: 'givenName', lastName: 'sn' },
+  groupSearchBase: '',
+  groupFilter: '(member={{dn}})',
+  groupNameAttribute: 'cn',
+  superuserGroups: ['cryo-admins'],
+  staffGroups: [],
+  autoProvision: true,
+  groupMappings: [{ group: 'krios-users', projectId: 'p-krios', role: 'viewer' }],
+  syncIntervalMinutes: 60,
+  lastSync: { at: null, users: 0, added: 0, updated: 0, removed: 0, error: null },
+  updatedAt: null,
+};
+
+const renderAsSuperuser = async () => {
+  localStorage.setItem('userInfo', JSON.stringify({ id: 1, isSuperuser: true, isStaff: true }));
+  render(<AdminUsers />);
+  await screen.findByText('User Management');
+};
+
+describe('AdminUsers LDAP settings', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    adminApi.getUsers.mockResolvedValue({ data: { data: [] } });
+    adminApi.getLdapConfig.mockResolvedValue({ data: { data: mockLdapConfig } });
+    adminApi.updateLdapConfig.mockImplementation((config) => Promise.resolve({ data: { data: { ...mockLdapConfig, ...config } } }));
+  });
+
+  afterEach(() => {
+    localStorage.clear();
+  });
+
+  test('is only offered to superusers', async () => {
+    localStorage.setItem('userInfo', JSON.stringify({ id: 2, isStaff: true }));
+    render(<AdminUsers />);
+    await screen.findByText('User Management');
+    expect(screen.queryByRole('button', { name: 'LDAP' })).not.toBeInTheDocument();
+  });
+
+  test('saves settings without resending the stored bind password', async () => {
+    await renderAsSuperuser();
+    fireEvent.click(screen.getByRole('button', { name: 'LDAP' }));
+
+    expect(await screen.findByLabelText('Server URL')).toHaveValue('ldaps://ldap.example.org');
+    expect(screen.getByLabelText('Bind password')).toHaveAttribute('placeholder', 'Unchanged');
+    expect(screen.getByLabelText('Admin groups')).toHaveValue('cryo-admins');
+
+    fireEvent.change(screen.getByLabelText('Staff groups'), { target: { value: 'facility-staff\n\n cryo-staff ' } });
+    fireEvent.click(screen.getByText('Add mapping'));
+    fireEvent.change(screen.getAllByLabelText('Group')[1], { target: { value: 'glacios-users' } });
+    fireEvent.change(screen.getAllByLabelText('Project ID')[1], { target: { value: 'p-glacios' } });
+    fireEvent.change(screen.getAllByLabelText('Role')[1], { target: { value: 'editor' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Save' }));
+
+    await waitFor(() => expect(adminApi.updateLdapConfig).toHaveBeenCalled());
+    const payload = adminApi.updateLdapConfig.mock.calls[0][0];
+    expect(payload).not.toHaveProperty('bindPassword');
+    expect(payload).not.toHaveProperty('lastSync');
+    expect(payload.staffGroups).toEqual(['facility-staff', 'cryo-staff']);
+    expect(payload.groupMappings).toEqual([
+      { group: 'krios-users', projectId: 'p-krios', role: 'viewer' },
+      { group: 'glacios-users', projectId: 'p-glacios', role: 'editor' },
+    ]);
+    expect(mockShowToast).toHaveBeenCalledWith('LDAP settings saved', { type: 'success' });
+  });
+
+  test('tests the connection with a typed password and lookup', async () => {
+    adminApi.testLdapConnection.mockResolvedValue({
+      data: {
+        data: {
+          connected: true,
+          message: 'Found uid=jane,ou=people,dc=example,dc=org',
+          user: { username: 'jane', email: 'jane@example.org', groups: ['krios-users'], isSuperuser: false, isStaff: false, projects: [{ projectId: 'p-krios', role: 'viewer' }] },
+        },
+      },
+    });
+    await renderAsSuperuser();
+    fireEvent.click(screen.getByRole('button', { name: 'LDAP' }));
+    await screen.findByLabelText('Server URL');
+
+    fireEvent.change(screen.getByLabelText('Bind password'), { target: { value: 'new-secret' } });
+    fireEvent.change(screen.getByLabelText('Test login'), { target: { value: 'jane@example.org' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Test connection' }));
+
+    expect(await screen.findByText('Found uid=jane,ou=people,dc=example,dc=org')).toBeInTheDocument();
+    expect(screen.getByText(/p-krios \(viewer\)/)).toBeInTheDocument();
+    expect(adminApi.testLdapConnection).toHaveBeenCalledWith(expect.objectContaining({
+      bindPassword: 'new-secret',
+      testLogin: 'jane@example.org',
+    }));
+  });
+
+  test('runs a sync and shows its result', async () => {
+    adminApi.syncLdap.mockResolvedValue({
+      data: { data: { at: '2026-01-01T10:00:00.000Z', users: 4, added: 2, updated: 1, removed: 0, error: null } },
+    });
+    await renderAsSuperuser();
+    fireEvent.click(screen.getByRole('button', { name: 'LDAP' }));
+    await screen.findByLabelText('Server URL');
+    expect(screen.getByText('Never')).toBeInTheDocument();
+
+    fireEvent.click(screen.getByRole('button', { name: 'Sync now' }));
+
+    expect(await screen.findByText(/4 users, \+2 ~1 -0/)).toBeInTheDocument();
+    expect(mockShowToast).toHaveBeenCalledWith('Synced 4 users (2 added, 1 updated, 0 removed)', { type: 'success' });
+  });
+});
+
+describe('AdminUsers two-factor authentication', () => {
+  const jane = { id: 5, username: 'jane', email: 'jane@example.org', isActive: true, totpEnabled: true, totpRequired: false };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    localStorage.setItem('userInfo', JSON.stringify({ id: 1, isSuperuser: true, isStaff: true }));
+    adminApi.getUsers.mockResolvedValue({ data: { data: [jane] } });
+    adminApi.updateUser.mockResolvedValue({ data: { data: {} } });
+    adminApi.resetUserTotp.mockResolvedValue({ data: { message: 'Two-factor authentication reset' } });
+  });
+
+  afterEach(() => {
+    localStorage.clear();
+  });
+
+  test('requires 2FA and resets an enrolled user after confirmation', async () => {
+    render(<AdminUsers />);
+    expect(await screen.findByText('2FA')).toBeInTheDocument();
+
+    fireEvent.click(screen.getByTitle('Require 2FA'));
+    await waitFor(() => expect(adminApi.updateUser).toHaveBeenCalledWith(5, { totpRequired: true }));
+
+    fireEvent.click(screen.getByTitle('Reset 2FA'));
+    const dialog = screen.getByRole('alertdialog', { name: 'Reset two-factor authentication confirmation' });
+    expect(dialog).toHaveTextContent('jane@example.org');
+    fireEvent.click(within(dialog).getByRole('button', { name: 'Reset 2FA' }));
+
+    await waitFor(() => expect(adminApi.resetUserTotp).toHaveBeenCalledWith(5));
+    await waitFor(() => expect(mockShowToast).toHaveBeenCalledWith('Two-factor authentication reset', { type: 'success' }));
+  });
+});
@@ -1,7 +1,8 @@
 import React, { useState, useEffect, useMemo } from "react";
 import { FiX, FiLoader } from "react-icons/fi";
-import { getJobDetailsApi, getJobsApi } from "../../services/builders/jobs";
+import { getJobDetailsApi, getJobsApi, getSweepApi } from "../../services/builders/jobs";
 import { useBuilder } from "../../context/BuilderContext";
+import { buildSweepGrid, sweepCellSummary } from "../../utils/sweepGrid";
 
 // Parameters to hide from comparison (not meaningful to users)
 const HIDDEN_PARAMS = ["projectId"];
@@ -35,6 +36,7 @@ const JobComparisonModal = ({ jobId, jobName, jobType, onClose }) => {
   const [isLoadingJobs, setLoadingJobs] = useState(true);
   const [error, setError] = useState("");
   const [showOnlyDiffs, setShowOnlyDiffs] = useState(false);
+  const [sweep, setSweep] = useState(null);
 
   // Fetch base job parameters
   useEffect(() => {
@@ -66,6 +68,23 @@ const JobComparisonModal = ({ jobId, jobName, jobType, onClose }) => {
       .finally(() => setLoadingJobs(false));
   }, [projectId, jobType, jobId]);
 
+  // Fetch the sibling jobs when the base job was submitted as part of a sweep
+  const sweepId = baseJob?.sweepId;
+  useEffect(() => {
+    if (!sweepId) {
+      setSweep(null);
+      return;
+    }
+    getSweepApi(sweepId)
+      .then((res) => setSweep(res?.data?.data || null))
+      .catch(() => setSweep(null));
+  }, [sweepId]);
+
+  const sweepGrid = useMemo(
+    () => buildSweepGrid(sweep?.axes, sweep?.jobs),
+    [sweep]
+  );
+
   // Fetch compare job parameters when selected
   useEffect(() => {
     if (!selectedCompareJobId) {
@@ -171,6 +190,71 @@ const JobComparisonModal = ({ jobId, jobName, jobType, onClose }) => {
           </div>
         </div>
 
+        {/* Sweep grid: one cell per combination of swept values */}
+        {sweepGrid.rows.length > 0 && (
+          <div style={S.sweepWrap}>
+            <div style={S.selectorLabel}>
+              Parameter sweep {"\u00b7"} click a job to compare
+            </div>
+            <table style={S.sweepTable}>
+              <thead>
+                <tr>
+                  <th style={S.sweepCorner}>
+                    {formatKey(sweepGrid.rowAxis.parameter)}
+                    {sweepGrid.colAxis &&
+                      ` \u2193 / ${formatKey(sweepGrid.colAxis.parameter)} \u2192`}
+                  </th>
+                  {sweepGrid.colAxis ? (
+                    sweepGrid.colAxis.values.map((value) => (
+                      <th key={String(value)} style={S.sweepHead}>
+                        {formatValue(value)}
+                      </th>
+                    ))
+                  ) : (
+                    <th style={S.sweepHead}>Job</th>
+                  )}
+                </tr>
+              </thead>
+              <tbody>
+                {sweepGrid.rows.map((row) => (
+                  <tr key={String(row.value)}>
+                    <th style={S.sweepHead}>{formatValue(row.value)}</th>
+                    {row.cells.map((cell, i) => (
+                      <td key={i} style={S.sweepTd}>
+                        {cell ? (
+                          <button
+                            onClick={() =>
+                              cell.id !== jobId && setSelectedCompareJobId(cell.id)
+                            }
+                            style={{
+                              ...S.sweepCell,
+                              ...(cell.id === jobId ? S.sweepCellBase : {}),
+                              ...(cell.id === selectedCompareJobId ? S.sweepCellSelected : {}),
+                            }}
+                            title={cell.id === jobId ? "Base job" : `Compare with ${cell.jobName}`}
+                          >
+                            <span style={S.sweepCellName}>
+                              {cell.jobName}
+                              <span style={statusBadgeStyle(cell.status)}>
+                                {cell.status}
+                              </span>
+                            </span>
+                            <span style={S.sweepCellStats}>
+                              {sweepCellSummary(cell.pipelineStats) || "\u2014"}
+                            </span>
+                          </button>
+                        ) : (
+                          <span style={S.sweepCellStats}>{"\u2014"}</span>
+                        )}
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
         {/* Diff toggle */}
         {compareJob && (
           <div style={S.filterBar}>
@@ -395,6 +479,67 @@ const S = {
     width: "100%",
     outline: "none",
   },
+  sweepWrap: {
+    padding: "12px 24px",
+    borderBottom: "1px solid var(--color-border-light)",
+    maxHeight: 240,
+    overflow: "auto",
+    flexShrink: 0,
+  },
+  sweepTable: {
+    borderCollapse: "separate",
+    borderSpacing: 6,
+    marginTop: 4,
+  },
+  sweepCorner: {
+    fontSize: 11,
+    fontWeight: 600,
+    color: "var(--color-text-secondary)",
+    textAlign: "left",
+    whiteSpace: "nowrap",
+  },
+  sweepHead: {
+    fontSize: 12,
+    fontWeight: 600,
+    fontFamily: "monospace",
+    color: "var(--color-text)",
+    textAlign: "center",
+    padding: "0 6px",
+  },
+  sweepTd: { padding: 0, textAlign: "center" },
+  sweepCell: {
+    display: "flex",
+    flexDirection: "column",
+    alignItems: "flex-start",
+    gap: 4,
+    minWidth: 140,
+    padding: "6px 10px",
+    borderRadius: 8,
+    border: "1px solid var(--color-border)",
+    background: "var(--color-bg-card)",
+    cursor: "pointer",
+    textAlign: "left",
+  },
+  sweepCellBase: {
+    background: "var(--color-bg-hover)",
+    cursor: "default",
+  },
+  sweepCellSelected: {
+    border: "1px solid var(--color-warning)",
+    background: "var(--color-warning-bg)",
+  },
+  sweepCellName: {
+    display: "flex",
+    alignItems: "center",
+    gap: 6,
+    fontSize: 12,
+    fontWeight: 600,
+    color: "var(--color-text)",
+  },
+  sweepCellStats: {
+    fontSize: 11,
+    color: "var(--color-text-muted)",
+  },
   filterBar: {
     display: "flex",
     alignItems: "center",
@@ -0,0 +1,345 @@
+import React, { useState, useEffect, useCallback } from "react";
+import { FiFilter, FiPlus, FiTrash2, FiRefreshCw, FiSave, FiX } from "react-icons/fi";
+import * as liveApi from "../../services/liveSession";
+
+const RANGE_OPERATORS = ["between", "outside"];
+
+const emptyCondition = () => ({ field: "ctfResolution", operator: "<=", value: "" });
+
+/**
+ * Human-readable summary of a condition tree
+ */
+const describeCondition = (node, fieldLabels) => {
+  if (!node) return "";
+  if (node.op) {
+    const parts = (node.conditions || []).map((c) => describeCondition(c, fieldLabels));
+    return parts.length > 1 ? `(${parts.join(` ${node.op.toUpperCase()} `)})` : parts[0] || "";
+  }
+  const label = fieldLabels[node.field] || node.field;
+  if (RANGE_OPERATORS.includes(node.operator)) {
+    return `${label} ${node.operator} ${node.value?.[0]}–${node.value?.[1]}`;
+  }
+  return `${label} ${node.operator} ${node.value}`;
+};
+
+/**
+ * Per-exposure quality rules for a live session.
+ *
+ * Lists the rules with how many exposures each one rejects, lets users
+ * toggle, delete and add rules (several conditions joined with AND/OR),
+ * and re-apply the rules to all previous passes.
+ *
+ * Props:
+ *   sessionId – live session id
+ *   stats     – session.qualityStats: { evaluated, passed, rejected, rules, appliedAt }
+ *   onChanged – called after rules are saved or re-applied
+ */
+const QualityRulesCard = ({ sessionId, stats, onChanged }) => {
+  const [rules, setRules] = useState([]);
+  const [fields, setFields] = useState([]);
+  const [operators, setOperators] = useState([]);
+  const [dirty, setDirty] = useState(false);
+  const [busy, setBusy] = useState(null);
+  const [error, setError] = useState(null);
+  const [draft, setDraft] = useState(null);
+
+  const load = useCallback(async () => {
+    try {
+      const res = await liveApi.getQualityRules(sessionId);
+      const data = res?.data?.data || {};
+      setRules(data.rules || []);
+      setFields(data.fields || []);
+      setOperators(data.operators || []);
+      setDirty(false);
+    } catch (err) {
+      setError(err?.response?.data?.message || "Failed to load quality rules");
+    }
+  }, [sessionId]);
+
+  useEffect(() => {
+    if (sessionId) load();
+  }, [sessionId, load]);
+
+  const fieldLabels = Object.fromEntries(fields.map((f) => [f.key, f.label]));
+  const rejectedById = Object.fromEntries((stats?.rules || []).map((r) => [r.ruleId, r.rejected]));
+  const thresholdCounts = (stats?.rules || []).filter((r) => !rules.some((rule) => rule.id === r.ruleId));
+
+  const updateRules = (next) => {
+    setRules(next);
+    setDirty(true);
+  };
+
+  const save = async () => {
+    setBusy("save");
+    setError(null);
+    try {
+      await liveApi.updateQualityRules(sessionId, rules, true);
+      await load();
+      onChanged?.();
+    } catch (err) {
+      setError(err?.response?.data?.message || "Failed to save quality rules");
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const reapply = async () => {
+    setBusy("reapply");
+    setError(null);
+    try {
+      await liveApi.reapplyQualityRules(sessionId);
+      onChanged?.();
+    } catch (err) {
+      setError(err?.response?.data?.message || "Failed to re-apply quality rules");
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  // ── New rule draft ──
+  const updateDraftCondition = (idx, patch) => {
+    setDraft((d) => ({
+      ...d,
+      conditions: d.conditions.map((c, i) => {
+        if (i !== idx) return c;
+        const next = { ...c, ...patch };
+        if (patch.operator && RANGE_OPERATORS.includes(patch.operator) !== RANGE_OPERATORS.includes(c.operator)) {
+          next.value = RANGE_OPERATORS.includes(patch.operator) ? ["", ""] : "";
+        }
+        return next;
+      }),
+    }));
+  };
+
+  const addDraftRule = () => {
+    const conditions = draft.conditions.map((c) => ({
+      field: c.field,
+      operator: c.operator,
+      value: Array.isArray(c.value) ? c.value.map(Number) : Number(c.value),
+    }));
+    const condition = conditions.length === 1 ? conditions[0] : { op: draft.op, conditions };
+    updateRules([...rules, { name: draft.name.trim(), enabled: true, condition }]);
+    setDraft(null);
+  };
+
+  const draftValid = draft && draft.name.trim() && draft.conditions.every((c) =>
+    Array.isArray(c.value) ? c.value.every((v) => v !== "") : c.value !== ""
+  );
+
+  return (
+    <div style={s.card}>
+      <div style={s.header}>
+        <FiFilter size={14} style={{ color: "var(--color-text-secondary)" }} />
+        <span style={s.title}>Quality Rules</span>
+        {stats && (
+          <span style={s.summary}>
+            {stats.passed?.toLocaleString() ?? 0} passed / {stats.rejected?.toLocaleString() ?? 0} rejected
+            {" "}of {stats.evaluated?.toLocaleString() ?? 0}
+          </span>
+        )}
+      </div>
+
+      <table style={s.table}>
+        <thead>
+          <tr>
+            <th style={s.th}>On</th>
+            <th style={s.th}>Rule</th>
+            <th style={s.th}>Condition</th>
+            <th style={{ ...s.th, textAlign: "right" }}>Rejected</th>
+            <th style={s.th} />
+          </tr>
+        </thead>
+        <tbody>
+          {thresholdCounts.map((r) => (
+            <tr key={r.ruleId}>
+              <td style={s.td}>—</td>
+              <td style={s.td}>{r.name}</td>
+              <td style={{ ...s.td, color: "var(--color-text-muted)" }}>Threshold from Settings</td>
+              <td style={{ ...s.td, textAlign: "right" }}>{r.rejected.toLocaleString()}</td>
+              <td style={s.td} />
+            </tr>
+          ))}
+          {rules.map((rule, idx) => (
+            <tr key={rule.id || `new-${idx}`} style={{ opacity: rule.enabled ? 1 : 0.5 }}>
+              <td style={s.td}>
+                <input
+                  type="checkbox"
+                  checked={rule.enabled}
+                  onChange={() => updateRules(rules.map((r, i) => (i === idx ? { ...r, enabled: !r.enabled } : r)))}
+                  aria-label={`Enable ${rule.name}`}
+                />
+              </td>
+              <td style={s.td}>{rule.name}</td>
+              <td style={{ ...s.td, fontFamily: "monospace", fontSize: 11 }}>
+                {describeCondition(rule.condition, fieldLabels)}
+              </td>
+              <td style={{ ...s.td, textAlign: "right" }}>
+                {rule.id && rejectedById[rule.id] !== undefined ? rejectedById[rule.id].toLocaleString() : "--"}
+              </td>
+              <td style={{ ...s.td, textAlign: "right" }}>
+                <button
+                  style={s.iconBtn}
+                  onClick={() => updateRules(rules.filter((_, i) => i !== idx))}
+                  aria-label={`Delete ${rule.name}`}
+                >
+                  <FiTrash2 size={12} />
+                </button>
+              </td>
+            </tr>
+          ))}
+          {rules.length === 0 && thresholdCounts.length === 0 && (
+            <tr>
+              <td colSpan={5} style={{ ...s.td, color: "var(--color-text-muted)", textAlign: "center" }}>
+                No quality rules — every exposure is kept
+              </td>
+            </tr>
+          )}
+        </tbody>
+      </table>
+
+      {draft && (
+        <div style={s.draft}>
+          <div style={s.draftRow}>
+            <input
+              type="text"
+              placeholder="Rule name"
+              value={draft.name}
+              onChange={(e) => setDraft((d) => ({ ...d, name: e.target.value }))}
+              style={{ ...s.input, flex: 1 }}
+              aria-label="Rule name"
+            />
+            {draft.conditions.length > 1 && (
+              <select
+                value={draft.op}
+                onChange={(e) => setDraft((d) => ({ ...d, op: e.target.value }))}
+                style={s.input}
+                aria-label="Combine conditions"
+              >
+                <option value="and">Match all (AND)</option>
+                <option value="or">Match any (OR)</option>
+              </select>
+            )}
+          </div>
+          {draft.conditions.map((c, idx) => (
+            <div key={idx} style={s.draftRow}>
+              <select
+                value={c.field}
+                onChange={(e) => updateDraftCondition(idx, { field: e.target.value })}
+                style={{ ...s.input, flex: 1 }}
+                aria-label="Field"
+              >
+                {fields.map((f) => (
+                  <option key={f.key} value={f.key}>{f.label}{f.unit ? ` (${f.unit})` : ""}</option>
+                ))}
+              </select>
+              <select
+                value={c.operator}
+                onChange={(e) => updateDraftCondition(idx, { operator: e.target.value })}
+                style={s.input}
+                aria-label="Operator"
+              >
+                {operators.map((op) => <option key={op} value={op}>{op}</option>)}
+              </select>
+              {Array.isArray(c.value) ? (
+                <>
+                  <input type="number" value={c.value[0]} style={s.numInput} aria-label="Minimum"
+                    onChange={(e) => updateDraftCondition(idx, { value: [e.target.value, c.value[1]] })} />
+                  <input type="number" value={c.value[1]} style={s.numInput} aria-label="Maximum"
+                    onChange={(e) => updateDraftCondition(idx, { value: [c.value[0], e.target.value] })} />
+                </>
+              ) : (
+                <input type="number" value={c.value} style={s.numInput} aria-label="Value"
+                  onChange={(e) => updateDraftCondition(idx, { value: e.target.value })} />
+              )}
+              {draft.conditions.length > 1 && (
+                <button
+                  style={s.iconBtn}
+                  onClick={() => setDraft((d) => ({ ...d, conditions: d.conditions.filter((_, i) => i !== idx) }))}
+                  aria-label="Remove condition"
+                >
+                  <FiX size={12} />
+                </button>
+              )}
+            </div>
+          ))}
+          <div style={s.draftRow}>
+            <button
+              style={s.btn}
+              onClick={() => setDraft((d) => ({ ...d, conditions: [...d.conditions, emptyCondition()] }))}
+            >
+              <FiPlus size={12} /> Condition
+            </button>
+            <span style={{ flex: 1 }} />
+            <button style={s.btn} onClick={() => setDraft(null)}>Cancel</button>
+            <button style={{ ...s.btn, ...s.btnPrimary }} disabled={!draftValid} onClick={addDraftRule}>
+              Add Rule
+            </button>
+          </div>
+        </div>
+      )}
+
+      {error && <div style={s.error}>{error}</div>}
+
+      <div style={s.footer}>
+        {!draft && (
+          <button style={s.btn} onClick={() => setDraft({ name: "", op: "and", conditions: [emptyCondition()] })}>
+            <FiPlus size={12} /> Add Rule
+          </button>
+        )}
+        <span style={{ flex: 1 }} />
+        <button style={s.btn} onClick={reapply} disabled={busy !== null || dirty}>
+          <FiRefreshCw size={12} /> {busy === "reapply" ? "Re-applying..." : "Re-apply to All Passes"}
+        </button>
+        <button style={{ ...s.btn, ...s.btnPrimary }} onClick={save} disabled={busy !== null || !dirty}>
+          <FiSave size={12} /> {busy === "save" ? "Saving..." : "Save & Re-apply"}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+const s = {
+  card: {
+    background: "var(--color-bg-card)",
+    border: "1px solid var(--color-border)",
+    borderRadius: 8,
+    padding: 16,
+    boxShadow: "0 1px 3px rgba(0,0,0,0.04)",
+  },
+  header: { display: "flex", alignItems: "center", gap: 6, marginBottom: 14 },
+  title: { fontSize: 13, fontWeight: 600, color: "var(--color-text)" },
+  summary: { marginLeft: "auto", fontSize: 12, color: "var(--color-text-secondary)" },
+  table: { width: "100%", borderCollapse: "collapse", fontSize: 12 },
+  th: {
+    textAlign: "left", padding: "6px 8px", fontSize: 11, fontWeight: 600,
+    color: "var(--color-text-secondary)", borderBottom: "1px solid var(--color-border)",
+  },
+  td: { padding: "6px 8px", color: "var(--color-text)", borderBottom: "1px solid var(--color-border)" },
+  draft: {
+    display: "flex", flexDirection: "column", gap: 8, marginTop: 12, padding: 12,
+    background: "var(--color-bg)", borderRadius: 6, border: "1px solid var(--color-border)",
+  },
+  draftRow: { display: "flex", alignItems: "center", gap: 8 },
+  input: {
+    padding: "4px 8px", borderRadius: 6, border: "1px solid var(--color-border)",
+    background: "var(--color-bg-card)", color: "var(--color-text)", fontSize: 12,
+  },
+  numInput: {
+    width: 90, padding: "4px 8px", borderRadius: 6, border: "1px solid var(--color-border)",
+    background: "var(--color-bg-card)", color: "var(--color-text)", fontSize: 12, textAlign: "right",
+  },
+  footer: { display: "flex", alignItems: "center", gap: 8, marginTop: 12 },
+  btn: {
+    display: "inline-flex", alignItems: "center", gap: 4, padding: "5px 10px", borderRadius: 6,
+    border: "1px solid var(--color-border)", background: "var(--color-bg)",
+    color: "var(--color-text-secondary)", fontSize: 12, cursor: "pointer",
+  },
+  btnPrimary: { background: "var(--color-primary)", borderColor: "var(--color-primary)", color: "#fff" },
+  iconBtn: {
+    border: "none", background: "none", cursor: "pointer", padding: 2,
+    color: "var(--color-text-muted)",
+  },
+  error: { marginTop: 8, fontSize: 12, color: "var(--color-danger-text)" },
+};
+
+export default QualityRulesCard;
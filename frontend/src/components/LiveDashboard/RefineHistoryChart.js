@@ -0,0 +1,137 @@
+import React, { useMemo } from "react";
+import {
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  ResponsiveContainer,
+} from "recharts";
+import { FiTrendingDown } from "react-icons/fi";
+
+/**
+ * Resolution vs. particle count for the live session's 3D auto-refinements.
+ *
+ * Props:
+ *   history – session.refineHistory: array of { jobName, particleCount, resolution }
+ *   height  – chart height in px (default 220)
+ */
+const RefineHistoryChart = ({ history = [], height = 220 }) => {
+  const chartData = useMemo(
+    () =>
+      history
+        .filter((h) => h.resolution > 0)
+        .sort((a, b) => a.particleCount - b.particleCount),
+    [history]
+  );
+
+  if (!chartData.length) {
+    return (
+      <div
+        style={{
+          height,
+          display: "flex",
+          flexDirection: "column",
+          alignItems: "center",
+          justifyContent: "center",
+          color: "var(--color-text-muted)",
+          background: "var(--color-bg)",
+          borderRadius: 8,
+        }}
+      >
+        <FiTrendingDown size={36} style={{ marginBottom: 8, opacity: 0.4 }} />
+        <p style={{ fontSize: 13 }}>
+          No refinement has finished yet.
+        </p>
+      </div>
+    );
+  }
+
+  const CustomTooltip = ({ active, payload }) => {
+    if (!active || !payload?.length) return null;
+    const d = payload[0]?.payload;
+    return (
+      <div
+        style={{
+          background: "var(--color-bg-card)",
+          border: "1px solid var(--color-border)",
+          borderRadius: 6,
+          padding: "8px 12px",
+          boxShadow: "0 4px 12px rgba(0,0,0,0.12)",
+          fontSize: 11,
+          lineHeight: 1.6,
+        }}
+      >
+        <div style={{ fontWeight: 600, color: "var(--color-text)", marginBottom: 4 }}>
+          {d?.jobName}
+        </div>
+        <div style={{ color: "#3b82f6", fontWeight: 500 }}>
+          {d?.resolution?.toFixed(2)} Å
+        </div>
+        <div style={{ color: "var(--color-text-secondary)" }}>
+          {d?.particleCount?.toLocaleString()} particles
+        </div>
+      </div>
+    );
+  };
+
+  return (
+    <div style={{ height }}>
+      <ResponsiveContainer width="100%" height="100%">
+        <LineChart
+          data={chartData}
+          margin={{ top: 8, right: 16, left: 8, bottom: 4 }}
+        >
+          <CartesianGrid
+            strokeDasharray="3 3"
+            stroke="var(--color-border)"
+            opacity={0.5}
+          />
+          <XAxis
+            dataKey="particleCount"
+            type="number"
+            domain={["dataMin", "dataMax"]}
+            tickFormatter={(v) => (v >= 1000 ? `${Math.round(v / 1000)}k` : v)}
+            tick={{ fontSize: 10, fill: "var(--color-text-secondary)" }}
+            tickLine={{ stroke: "var(--color-border)" }}
+            label={{
+              value: "Particles",
+              position: "insideBottom",
+              offset: -2,
+              style: { fontSize: 11, fill: "var(--color-text-secondary)", fontWeight: 500 },
+            }}
+          />
+          {/* Lower is better — reversed so improving maps go up */}
+          <YAxis
+            dataKey="resolution"
+            reversed
+            domain={["auto", "auto"]}
+            tickFormatter={(v) => v.toFixed(1)}
+            tick={{ fontSize: 10, fill: "var(--color-text-secondary)" }}
+            tickLine={{ stroke: "var(--color-border)" }}
+            label={{
+              value: "Resolution (Å)",
+              angle: -90,
+              position: "insideLeft",
+              offset: 10,
+              style: { fontSize: 11, fill: "var(--color-text-secondary)", fontWeight: 500 },
+            }}
+          />
+          <Tooltip content={<CustomTooltip />} />
+          <Line
+            type="monotone"
+            dataKey="resolution"
+            name="Resolution"
+            stroke="#3b82f6"
+            strokeWidth={2}
+            dot={{ r: 3, fill: "#3b82f6" }}
+            activeDot={{ r: 4, fill: "#3b82f6", stroke: "#fff", strokeWidth: 2 }}
+          />
+        </LineChart>
+      </ResponsiveContainer>
+    </div>
+  );
+};
+
+export default RefineHistoryChart;
@@ -26,10 +26,14 @@ import {
   FiX,
   FiSave,
   FiLayers,
+  FiTrendingDown,
+  FiFileText,
 } from "react-icons/fi";
 import * as liveApi from "../../services/liveSession";
 import { getClass2DIndividualImagesApi } from "../../services/builders/2d-classification/2d-classification";
 import { getProjectByIdApi } from "../../services/projects/projects";
+import RefineHistoryChart from "./RefineHistoryChart";
+import QualityRulesCard from "./QualityRulesCard";
 
 
 // ---------- helpers ----------
@@ -60,6 +64,7 @@ const PIPELINE_STAGES = [
   { key: "class2d", label: "2D Class", icon: FiImage },
   { key: "select", label: "Select", icon: FiCheckCircle },
   { key: "inimodel", label: "3D Model", icon: FiBox },
+  { key: "refine3d", label: "3D Refine", icon: FiLayers },
 ];
 
 // WebSocket URL — configurable via env vars, auto-detects wss for HTTPS
@@ -79,6 +84,7 @@ const STAGE_TYPE_TO_KEY = {
   QualityFilter: "filter",
   Select: "select",
   InitialModel: "inimodel",
+  AutoRefine: "refine3d",
   starting: "import",
 };
 
@@ -162,6 +168,15 @@ const SETTINGS_SECTIONS = [
       { key: "maskDiameter", label: "Mask Diameter (\u00C5)", type: "number", group: "inimodelConfig" },
     ]
   },
+  {
+    label: "3D Auto-Refine", fields: [
+      { key: "enabled", label: "Enabled", type: "toggle", group: "refine3dConfig" },
+      { key: "particleIncrement", label: "Particle Increment", type: "number", step: "1000", group: "refine3dConfig" },
+      { key: "symmetry", label: "Symmetry", type: "text", group: "refine3dConfig" },
+      { key: "maskDiameter", label: "Mask Diameter (\u00C5)", type: "number", group: "refine3dConfig" },
+      { key: "initialLowPass", label: "Initial Low-Pass (\u00C5)", type: "number", group: "refine3dConfig" },
+    ]
+  },
   {
     label: "SLURM / Compute", fields: [
       { key: "threads", label: "Threads", type: "number", group: "slurmConfig" },
@@ -189,6 +204,7 @@ function buildSettingsForm(session) {
     class2dConfig: session.class2dConfig,
     autoSelectConfig: session.autoSelectConfig,
     inimodelConfig: session.inimodelConfig,
+    refine3dConfig: session.refine3dConfig,
     slurmConfig: session.slurmConfig,
   };
 
@@ -679,6 +695,32 @@ const LiveDashboard = () => {
     }
   };
 
+  const handleOpenReport = async (format) => {
+    setActionLoading(`report-${format}`);
+    // Opened before the request so the popup isn't blocked
+    const reportWindow = format === "html" ? window.open("", "_blank") : null;
+    try {
+      const resp = await liveApi.getSessionReport(sessionId, format);
+      const url = URL.createObjectURL(resp.data);
+      if (reportWindow) {
+        reportWindow.location.href = url;
+      } else {
+        const link = document.createElement("a");
+        link.href = url;
+        link.download = `${session?.sessionName || projectName || "live-session"}-report.pdf`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+      }
+      setTimeout(() => URL.revokeObjectURL(url), 60000);
+    } catch (err) {
+      reportWindow?.close();
+      console.error("Failed to load session report:", err);
+    } finally {
+      setActionLoading(null);
+    }
+  };
+
   // ---------- derived ----------
 
   const st = session?.state || {};
@@ -689,6 +731,7 @@ const LiveDashboard = () => {
   const hasClass2d = (session?.jobs?.class2dIds?.length ?? 0) > 0 || session?.class2dConfig?.enabled;
   const hasSelect = (session?.jobs?.selectIds?.length ?? 0) > 0 || session?.autoSelectConfig?.enabled;
   const hasInimodel = (session?.jobs?.inimodelIds?.length ?? 0) > 0 || session?.inimodelConfig?.enabled;
+  const hasRefine3d = (session?.jobs?.refine3dIds?.length ?? 0) > 0 || session?.refine3dConfig?.enabled;
 
   // Tab definitions — stage tabs are direct links to the project dashboard with job pre-selected
   const stageLink = (jobId) =>
@@ -700,6 +743,7 @@ const LiveDashboard = () => {
   const latestClass2dId = session?.jobs?.class2dIds?.length ? session.jobs.class2dIds[session.jobs.class2dIds.length - 1] : null;
   const latestSelectId = session?.jobs?.selectIds?.length ? session.jobs.selectIds[session.jobs.selectIds.length - 1] : null;
   const latestInimodelId = session?.jobs?.inimodelIds?.length ? session.jobs.inimodelIds[session.jobs.inimodelIds.length - 1] : null;
+  const latestRefine3dId = session?.jobs?.refine3dIds?.length ? session.jobs.refine3dIds[session.jobs.refine3dIds.length - 1] : null;
 
   const TABS = [
     { key: "overview", label: "Overview", icon: FiActivity },
@@ -711,6 +755,7 @@ const LiveDashboard = () => {
     ...(hasClass2d ? [{ key: "classes", label: "2D Classes", icon: FiImage, link: stageLink(latestClass2dId), jobId: latestClass2dId }] : []),
     ...(hasSelect ? [{ key: "select", label: "Select", icon: FiCheckCircle, link: stageLink(latestSelectId), jobId: latestSelectId }] : []),
     ...(hasInimodel ? [{ key: "inimodel", label: "3D Model", icon: FiLayers, link: stageLink(latestInimodelId), jobId: latestInimodelId }] : []),
+    ...(hasRefine3d ? [{ key: "refine3d", label: "3D Refine", icon: FiTrendingDown, link: stageLink(latestRefine3dId), jobId: latestRefine3dId }] : []),
     { key: "activity", label: "Activity Log", icon: FiClock },
   ];
 
@@ -853,6 +898,29 @@ const LiveDashboard = () => {
               )}
             </>
           )}
+          {isTerminal && (
+            <>
+              <button
+                style={{ ...styles.controlBtn, ...styles.controlBtnCancel }}
+                onClick={() => handleOpenReport("html")}
+                disabled={actionLoading === "report-html"}
+                title="Open the end-of-session report"
+              >
+                <FiFileText size={13} />
+                {actionLoading === "report-html" ? "Generating..." : "Report"}
+              </button>
+              {session?.report?.pdfPath && (
+                <button
+                  style={{ ...styles.controlBtn, ...styles.controlBtnCancel }}
+                  onClick={() => handleOpenReport("pdf")}
+                  disabled={actionLoading === "report-pdf"}
+                  title="Download the report as PDF"
+                >
+                  {actionLoading === "report-pdf" ? "Downloading..." : "PDF"}
+                </button>
+              )}
+            </>
+          )}
         </div>
       </div>
 
@@ -953,6 +1021,8 @@ const LiveDashboard = () => {
 
   function renderOverview() {
     const rawPassHistory = session?.passHistory || [];
+    const refineHistory = session?.refineHistory || [];
+    const latestRefine = refineHistory[refineHistory.length - 1];
 
     // Current cumulative counts (latest state)
     const currentCounts = {
@@ -965,6 +1035,7 @@ const LiveDashboard = () => {
       class2d: session?.jobs?.class2dIds?.length ?? 0,
       select: session?.jobs?.selectIds?.length ?? 0,
       inimodel: session?.jobs?.inimodelIds?.length ?? 0,
+      refine3d: session?.jobs?.refine3dIds?.length ?? 0,
     };
 
     // If pass_history is empty but session has data, synthesize from current state
@@ -982,18 +1053,21 @@ const LiveDashboard = () => {
             class2dCount: currentCounts.class2d,
             selectCount: currentCounts.select,
             inimodelCount: currentCounts.inimodel,
+            refine3dCount: currentCounts.refine3d,
           }]
         : [];
 
     // Filter pipeline stages to only show enabled ones
     const visibleStages = PIPELINE_STAGES.filter((stage) => {
       if (stage.key === "filter") {
-        // Show filter stage if thresholds are set
+        // Show filter stage if thresholds or quality rules are set
         const th = session?.thresholds;
-        return th && (th.ctfResolutionMax || th.totalMotionMax);
+        return (th && (th.ctfResolutionMax || th.totalMotionMax))
+          || session?.qualityRules?.some((r) => r.enabled);
       }
       if (stage.key === "select") return session?.autoSelectConfig?.enabled;
       if (stage.key === "inimodel") return session?.inimodelConfig?.enabled;
+      if (stage.key === "refine3d") return session?.refine3dConfig?.enabled;
       if (stage.key === "class2d") return session?.class2dConfig?.enabled;
       return true; // import, motion, ctf, pick, extract always shown
     });
@@ -1003,7 +1077,7 @@ const LiveDashboard = () => {
       ? visibleStages.findIndex((s) => s.key === currentStageKey)
       : -1;
 
-    // Latest job status for array-based stages (class2d, select, inimodel)
+    // Latest job status for array-based stages (class2d, select, inimodel, refine3d)
     const latestJobStatus = session?.latestJobStatus || {};
 
     function stageStatus(idx) {
@@ -1134,6 +1208,7 @@ const LiveDashboard = () => {
                   class2d: 'class2dCount',
                   select: 'selectCount',
                   inimodel: 'inimodelCount',
+                  refine3d: 'refine3dCount',
                 };
                 const cumValues = visibleStages.map(s => pass[PASS_FIELD_MAP[s.key]] ?? 0);
                 const prev = idx > 0 ? passHistory[idx - 1] : null;
@@ -1201,6 +1276,26 @@ const LiveDashboard = () => {
           )}
         </div>
 
+        {/* ── Resolution vs. Particles ── */}
+        {hasRefine3d && (
+          <div style={styles.card}>
+            <div style={styles.cardHeader}>
+              <FiTrendingDown size={14} style={{ color: "var(--color-text-secondary)" }} />
+              <span style={styles.cardTitle}>Resolution vs. Particles</span>
+              {refineHistory.length > 0 && (
+                <span style={{ marginLeft: "auto", fontSize: 12, color: "var(--color-text-secondary)" }}>
+                  Latest: {latestRefine?.resolution ? `${latestRefine.resolution.toFixed(2)} Å` : "--"}
+                  {" "}from {(latestRefine?.particleCount ?? 0).toLocaleString()} particles
+                </span>
+              )}
+            </div>
+            <RefineHistoryChart history={refineHistory} />
+          </div>
+        )}
+
+        {/* ── Quality Rules ── */}
+        <QualityRulesCard sessionId={sessionId} stats={session?.qualityStats} onChanged={fetchSession} />
+
         {/* ── Processing Info ── */}
         <div style={styles.card}>
           <div style={styles.cardHeader}>
@@ -1210,8 +1305,22 @@ const LiveDashboard = () => {
           <div style={styles.infoGrid}>
             <InfoRow label="Session Started" value={formatDateTime(session?.startTime || session?.createdAt)} />
             <InfoRow label="Input Mode" value={session?.inputMode === "watch" ? "Watch Directory" : "Existing Movies"} />
-            <InfoRow label="Watch Directory" value={session?.watchDirectory || "--"} mono fullWidth />
-            <InfoRow label="File Pattern" value={session?.filePattern || "--"} mono />
+            {session?.sources?.length > 1 ? (
+              session.sources.map((src, i) => (
+                <InfoRow
+                  key={i}
+                  label={`Source ${i + 1} (${src.optics?.opticsGroupName || "opticsGroup1"})`}
+                  value={`${src.watchDirectory}/${src.filePattern}`}
+                  mono
+                  fullWidth
+                />
+              ))
+            ) : (
+              <>
+                <InfoRow label="Watch Directory" value={session?.watchDirectory || "--"} mono fullWidth />
+                <InfoRow label="File Pattern" value={session?.filePattern || "--"} mono />
+              </>
+            )}
             <InfoRow label="Pixel Size" value={session?.optics?.pixelSize ? `${session.optics.pixelSize} Å/px` : "--"} />
           </div>
         </div>
@@ -1,8 +1,512 @@
-import React, { useState, useEffect } from "react";
-import { FiUser, FiSave, FiLoader, FiLock, FiEye, FiEyeOff, FiServer, FiWifi, FiWifiOff, FiTrash2, FiBell } from "react-icons/fi";
-import { getCurrentUser, updateProfileApi, changePasswordApi, updateClusterSettingsApi, testClusterConnectionApi } from "../../services/auth/auth";
+import React, { useState, useEffect, useCallback } from "react";
+import { FiUser, FiSave, FiLoader, FiLock, FiEye, FiEyeOff, FiServer, FiWifi, FiWifiOff, FiTrash2, FiBell, FiShield, FiKey, FiAlertTriangle, FiCopy, FiCheck, FiPlus } from "react-icons/fi";
+import {
+  getCurrentUser,
+  updateProfileApi,
+  changePasswordApi,
+  updateClusterSettingsApi,
+  testClusterConnectionApi,
+  getTwoFactorStatusApi,
+  setupTwoFactorApi,
+  enableTwoFactorApi,
+  disableTwoFactorApi,
+  regenerateRecoveryCodesApi,
+  getApiTokensApi,
+  createApiTokenApi,
+  revokeApiTokenApi
+} from "../../services/auth/auth";
+import { getProjectListApi } from "../../services/projects/projects";
 import useToast from "../../hooks/useToast";
 
+const TOKEN_SCOPES = [
+  { value: "read", label: "Read", hint: "Projects, jobs and results (every token can read)" },
+  { value: "jobs", label: "Jobs", hint: "Create projects, submit and manage jobs, imports and files" },
+  { value: "live", label: "Live sessions", hint: "Create and control live sessions" },
+  { value: "admin", label: "Admin", hint: "Admin endpoints and staff rights", staffOnly: true }
+];
+
+const TOKEN_EXPIRY_OPTIONS = [
+  { value: "30", label: "30 days" },
+  { value: "90", label: "90 days" },
+  { value: "365", label: "1 year" },
+  { value: "", label: "Never" }
+];
+
+const EMPTY_TOKEN_FORM = { name: "", scopes: ["read"], projectIds: [], expiresInDays: "90" };
+
+const formatDate = (value) => (value ? new Date(value).toLocaleDateString() : "Never");
+
+/**
+ * Two-factor authentication card: enrollment with a QR code, recovery codes
+ * (shown once), disabling and regenerating codes.
+ */
+const TwoFactorSection = ({ showToast }) => {
+  const [status, setStatus] = useState(null);
+  const [setup, setSetup] = useState(null);
+  const [action, setAction] = useState(null); // "disable" | "regenerate"
+  const [code, setCode] = useState("");
+  const [password, setPassword] = useState("");
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [isBusy, setBusy] = useState(false);
+
+  const loadStatus = useCallback(async () => {
+    try {
+      const resp = await getTwoFactorStatusApi();
+      setStatus(resp.data.data);
+    } catch (error) {
+      showToast(error.response?.data?.message || "Failed to load two-factor status", { type: "error" });
+    }
+  }, [showToast]);
+
+  useEffect(() => {
+    loadStatus();
+  }, [loadStatus]);
+
+  const resetForm = () => {
+    setAction(null);
+    setCode("");
+    setPassword("");
+  };
+
+  const handleStartSetup = async () => {
+    try {
+      setBusy(true);
+      setRecoveryCodes(null);
+      const resp = await setupTwoFactorApi();
+      setSetup(resp.data.data);
+      setCode("");
+    } catch (error) {
+      showToast(error.response?.data?.message || "Failed to start setup", { type: "error" });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleEnable = async (e) => {
+    e.preventDefault();
+    try {
+      setBusy(true);
+      const resp = await enableTwoFactorApi({ code });
+      setRecoveryCodes(resp.data.data.recoveryCodes);
+      setSetup(null);
+      resetForm();
+      showToast("Two-factor authentication enabled", { type: "success" });
+      await loadStatus();
+    } catch (error) {
+      showToast(error.response?.data?.message || "Failed to enable two-factor authentication", { type: "error" });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleConfirmAction = async (e) => {
+    e.preventDefault();
+    try {
+      setBusy(true);
+      if (action === "disable") {
+        await disableTwoFactorApi({ code, password });
+        setRecoveryCodes(null);
+        showToast("Two-factor authentication disabled", { type: "success" });
+      } else {
+        const resp = await regenerateRecoveryCodesApi({ code });
+        setRecoveryCodes(resp.data.data.recoveryCodes);
+        showToast("New recovery codes generated", { type: "success" });
+      }
+      resetForm();
+      await loadStatus();
+    } catch (error) {
+      showToast(error.response?.data?.message || "Request failed", { type: "error" });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  if (!status) return null;
+
+  return (
+    <div className="section-card" style={{ marginTop: 20 }}>
+      <div className="section-title">
+        <FiShield size={16} />
+        <span>Two-Factor Authentication</span>
+        <div className={`cluster-status-badge ${status.enabled ? "badge-enabled" : ""}`}>
+          {status.enabled ? "Enabled" : "Off"}
+        </div>
+      </div>
+
+      {status.required && !status.enabled && (
+        <div className="twofa-warning" role="alert">
+          <FiAlertTriangle size={14} />
+          <span>Your administrator requires two-factor authentication. Set it up to continue using CryoProcess.</span>
+        </div>
+      )}
+
+      {recoveryCodes && (
+        <div className="twofa-codes">
+          <p className="section-note">
+            Save these recovery codes somewhere safe. Each can be used once to sign in without your authenticator app.
+            They will not be shown again.
+          </p>
+          <ul aria-label="Recovery codes">
+            {recoveryCodes.map(c => <li key={c}>{c}</li>)}
+          </ul>
+          <button type="button" className="btn-test" onClick={() => setRecoveryCodes(null)}>
+            I have saved these codes
+          </button>
+        </div>
+      )}
+
+      {!status.enabled && !setup && (
+        <>
+          <p className="section-note">
+            Protect your account with a code from an authenticator app (Google Authenticator, Authy, 1Password...) in addition to your password.
+          </p>
+          <button type="button" className="btn-primary" style={{ width: "auto", padding: "10px 20px" }} onClick={handleStartSetup} disabled={isBusy}>
+            {isBusy ? <><FiLoader className="spinner" size={14} /> Starting...</> : <><FiShield size={14} /> Set up two-factor authentication</>}
+          </button>
+        </>
+      )}
+
+      {!status.enabled && setup && (
+        <form onSubmit={handleEnable} className="twofa-setup">
+          <img src={setup.qrCode} alt="Authenticator QR code" width={180} height={180} />
+          <div>
+            <p className="section-note">
+              Scan the QR code with your authenticator app, or enter this key manually:
+            </p>
+            <code className="twofa-secret">{setup.secret}</code>
+            <div className="form-group" style={{ marginTop: 12 }}>
+              <label htmlFor="twofa-enable-code">Authentication code</label>
+              <input
+                id="twofa-enable-code"
+                type="text"
+                inputMode="numeric"
+                autoComplete="one-time-code"
+                value={code}
+                onChange={(e) => setCode(e.target.value)}
+                placeholder="123456"
+                required
+              />
+            </div>
+            <div className="cluster-actions">
+              <button type="submit" className="btn-primary" style={{ width: "auto", padding: "10px 20px" }} disabled={isBusy || !code}>
+                {isBusy ? <><FiLoader className="spinner" size={14} /> Verifying...</> : <><FiShield size={14} /> Enable</>}
+              </button>
+              <button type="button" className="btn-test" onClick={() => { setSetup(null); setCode(""); }} disabled={isBusy}>
+                Cancel
+              </button>
+            </div>
+          </div>
+        </form>
+      )}
+
+      {status.enabled && (
+        <>
+          <p className="section-note">
+            Enabled{status.enabledAt ? ` since ${new Date(status.enabledAt).toLocaleDateString()}` : ""}.
+            {" "}{status.recoveryCodesRemaining} recovery code{status.recoveryCodesRemaining === 1 ? "" : "s"} left.
+            {status.required && " Your administrator requires two-factor authentication, so it cannot be turned off."}
+          </p>
+          {!action ? (
+            <div className="cluster-actions">
+              <button type="button" className="btn-test" onClick={() => setAction("regenerate")}>
+                <FiKey size={14} /> New recovery codes
+              </button>
+              {!status.required && (
+                <button type="button" className="btn-toggle btn-disconnect" onClick={() => setAction("disable")}>
+                  Disable
+                </button>
+              )}
+            </div>
+          ) : (
+            <form onSubmit={handleConfirmAction}>
+              <div className="form-row">
+                {action === "disable" && status.passwordRequired && (
+                  <div className="form-group">
+                    <label htmlFor="twofa-password">Current password</label>
+                    <input
+                      id="twofa-password"
+                      type="password"
+                      autoComplete="current-password"
+                      value={password}
+                      onChange={(e) => setPassword(e.target.value)}
+                      required
+                    />
+                  </div>
+                )}
+                <div className="form-group">
+                  <label htmlFor="twofa-action-code">
+                    {action === "disable" ? "Authentication or recovery code" : "Authentication code"}
+                  </label>
+                  <input
+                    id="twofa-action-code"
+                    type="text"
+                    autoComplete="one-time-code"
+                    value={code}
+                    onChange={(e) => setCode(e.target.value)}
+                    required
+                  />
+                </div>
+              </div>
+              <div className="cluster-actions">
+                <button
+                  type="submit"
+                  className={action === "disable" ? "btn-toggle btn-disconnect" : "btn-primary"}
+                  style={action === "disable" ? undefined : { width: "auto", padding: "10px 20px", marginTop: 0 }}
+                  disabled={isBusy || !code}
+                >
+                  {isBusy
+                    ? <><FiLoader className="spinner" size={14} /> Working...</>
+                    : action === "disable" ? "Disable two-factor authentication" : "Generate codes"}
+                </button>
+                <button type="button" className="btn-test" onClick={resetForm} disabled={isBusy}>
+                  Cancel
+                </button>
+              </div>
+            </form>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+/**
+ * Personal access tokens for scripts: create (token shown once), list, revoke.
+ */
+const ApiTokensSection = ({ showToast }) => {
+  const [tokens, setTokens] = useState([]);
+  const [projects, setProjects] = useState([]);
+  const [form, setForm] = useState(null);
+  const [newToken, setNewToken] = useState(null);
+  const [copied, setCopied] = useState(false);
+  const [revokeId, setRevokeId] = useState(null);
+  const [isBusy, setBusy] = useState(false);
+
+  const userInfo = JSON.parse(localStorage.getItem("userInfo") || "{}");
+  const isStaff = !!(userInfo.isStaff || userInfo.isSuperuser);
+  const projectNames = Object.fromEntries(projects.map(p => [p.id, p.projectName]));
+
+  const loadTokens = useCallback(async () => {
+    try {
+      const resp = await getApiTokensApi();
+      setTokens(resp.data.data || []);
+    } catch (error) {
+      showToast(error.response?.data?.message || "Failed to load access tokens", { type: "error" });
+    }
+  }, [showToast]);
+
+  useEffect(() => {
+    loadTokens();
+    getProjectListApi({ limit: 200, skip: 0 })
+      .then(resp => setProjects(resp.data.data || []))
+      .catch(() => setProjects([]));
+  }, [loadTokens]);
+
+  const toggleInList = (list, value) => (
+    list.includes(value) ? list.filter(v => v !== value) : [...list, value]
+  );
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    try {
+      setBusy(true);
+      const resp = await createApiTokenApi({
+        name: form.name.trim(),
+        scopes: form.scopes,
+        projectIds: form.projectIds,
+        expiresInDays: form.expiresInDays ? parseInt(form.expiresInDays, 10) : null
+      });
+      setNewToken(resp.data.data.token);
+      setCopied(false);
+      setForm(null);
+      showToast("Access token created", { type: "success" });
+      await loadTokens();
+    } catch (error) {
+      showToast(error.response?.data?.message || "Failed to create access token", { type: "error" });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleRevoke = async (tokenId) => {
+    try {
+      setBusy(true);
+      await revokeApiTokenApi(tokenId);
+      setRevokeId(null);
+      showToast("Access token revoked", { type: "success" });
+      await loadTokens();
+    } catch (error) {
+      showToast(error.response?.data?.message || "Failed to revoke access token", { type: "error" });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(newToken);
+      setCopied(true);
+    } catch {
+      showToast("Copy failed, select the token and copy it manually", { type: "error" });
+    }
+  };
+
+  return (
+    <div className="section-card" style={{ marginTop: 20 }}>
+      <div className="section-title">
+        <FiKey size={16} />
+        <span>Access Tokens</span>
+        {!form && (
+          <button type="button" className="btn-test token-new-btn" onClick={() => { setForm(EMPTY_TOKEN_FORM); setNewToken(null); }}>
+            <FiPlus size={12} /> New token
+          </button>
+        )}
+      </div>
+      <p className="section-note">
+        Use a token for scripts and integrations: send it as <code>Authorization: Bearer &lt;token&gt;</code>.
+        A token can only do what its scopes allow, within the projects you can access.
+      </p>
+
+      {newToken && (
+        <div className="token-created">
+          <p className="section-note">Copy your new token now. It will not be shown again.</p>
+          <div className="token-value">
+            <code>{newToken}</code>
+            <button type="button" className="btn-test" onClick={handleCopy} title="Copy token">
+              {copied ? <><FiCheck size={14} /> Copied</> : <><FiCopy size={14} /> Copy</>}
+            </button>
+          </div>
+        </div>
+      )}
+
+      {form && (
+        <form onSubmit={handleCreate} className="token-form">
+          <div className="form-row">
+            <div className="form-group">
+              <label htmlFor="token-name">Name</label>
+              <input
+                id="token-name"
+                type="text"
+                value={form.name}
+                onChange={(e) => setForm({ ...form, name: e.target.value })}
+                placeholder="e.g. nightly pipeline"
+                maxLength={100}
+                required
+              />
+            </div>
+            <div className="form-group">
+              <label htmlFor="token-expiry">Expires</label>
+              <select
+                id="token-expiry"
+                value={form.expiresInDays}
+                onChange={(e) => setForm({ ...form, expiresInDays: e.target.value })}
+              >
+                {TOKEN_EXPIRY_OPTIONS.map(o => <option key={o.label} value={o.value}>{o.label}</option>)}
+              </select>
+            </div>
+          </div>
+          <div className="form-group">
+            <label>Scopes</label>
+            <div className="token-options">
+              {TOKEN_SCOPES.filter(scope => !scope.staffOnly || isStaff).map(scope => (
+                <label key={scope.value} className="token-option" title={scope.hint}>
+                  <input
+                    type="checkbox"
+                    checked={form.scopes.includes(scope.value)}
+                    onChange={() => setForm({ ...form, scopes: toggleInList(form.scopes, scope.value) })}
+                  />
+                  {scope.label}
+                </label>
+              ))}
+            </div>
+          </div>
+          {projects.length > 0 && (
+            <div className="form-group">
+              <label>Projects <span className="token-hint">(none selected = all your projects)</span></label>
+              <div className="token-options token-projects">
+                {projects.map(project => (
+                  <label key={project.id} className="token-option">
+                    <input
+                      type="checkbox"
+                      checked={form.projectIds.includes(project.id)}
+                      onChange={() => setForm({ ...form, projectIds: toggleInList(form.projectIds, project.id) })}
+                    />
+                    {project.projectName}
+                  </label>
+                ))}
+              </div>
+            </div>
+          )}
+          <div className="cluster-actions">
+            <button
+              type="submit"
+              className="btn-primary"
+              style={{ width: "auto", padding: "10px 20px", marginTop: 0 }}
+              disabled={isBusy || !form.name.trim() || form.scopes.length === 0}
+            >
+              {isBusy ? <><FiLoader className="spinner" size={14} /> Creating...</> : <><FiKey size={14} /> Create token</>}
+            </button>
+            <button type="button" className="btn-test" onClick={() => setForm(null)} disabled={isBusy}>
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+
+      {tokens.length === 0 ? (
+        !form && <p className="section-note">You have no access tokens.</p>
+      ) : (
+        <table className="token-table">
+          <thead>
+            <tr>
+              <th>Name</th>
+              <th>Scopes</th>
+              <th>Projects</th>
+              <th>Expires</th>
+              <th>Last used</th>
+              <th />
+            </tr>
+          </thead>
+          <tbody>
+            {tokens.map(token => (
+              <tr key={token.id} className={token.expired ? "token-expired" : ""}>
+                <td>
+                  <div className="token-name">{token.name}</div>
+                  <code className="token-prefix">{token.prefix}…</code>
+                </td>
+                <td>{token.scopes.join(", ")}</td>
+                <td>
+                  {token.projectIds.length === 0
+                    ? "All"
+                    : token.projectIds.map(id => projectNames[id] || id).join(", ")}
+                </td>
+                <td>{token.expired ? "Expired" : formatDate(token.expiresAt)}</td>
+                <td title={token.lastUsedIp || ""}>{formatDate(token.lastUsedAt)}</td>
+                <td className="token-actions">
+                  {revokeId === token.id ? (
+                    <>
+                      <button type="button" className="btn-toggle btn-disconnect token-btn" onClick={() => handleRevoke(token.id)} disabled={isBusy}>
+                        Confirm
+                      </button>
+                      <button type="button" className="btn-test token-btn" onClick={() => setRevokeId(null)} disabled={isBusy}>
+                        Cancel
+                      </button>
+                    </>
+                  ) : (
+                    <button type="button" className="clear-key-btn" onClick={() => setRevokeId(token.id)} title={`Revoke ${token.name}`}>
+                      <FiTrash2 size={11} /> Revoke
+                    </button>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
 const UserProfile = () => {
   const [profile, setProfile] = useState({
     firstName: "",
@@ -479,6 +983,10 @@ const UserProfile = () => {
             </div>
           </form>
         </div>
+
+        <TwoFactorSection showToast={showToast} />
+
+        <ApiTokensSection showToast={showToast} />
       </div>
 
       <style>{`
@@ -727,10 +1235,167 @@ const UserProfile = () => {
         .test-result.success { color: #16a34a; }
         .test-result.error { color: #dc2626; }
 
+        /* Two-Factor Authentication */
+        .section-note {
+          font-size: 12px;
+          color: var(--color-text-muted);
+          margin: 0 0 12px;
+        }
+        .twofa-warning {
+          display: flex;
+          align-items: center;
+          gap: 8px;
+          padding: 10px 12px;
+          margin-bottom: 14px;
+          border-radius: 6px;
+          font-size: 12px;
+          background: rgba(245,158,11,0.1);
+          color: #b45309;
+        }
+        .twofa-setup {
+          display: flex;
+          gap: 20px;
+          align-items: flex-start;
+        }
+        .twofa-setup img {
+          border-radius: 6px;
+          background: white;
+          flex-shrink: 0;
+        }
+        .twofa-secret {
+          display: inline-block;
+          padding: 6px 10px;
+          border-radius: 6px;
+          font-size: 13px;
+          letter-spacing: 1px;
+          word-break: break-all;
+          background: var(--color-bg);
+          border: 1px solid var(--color-border);
+        }
+        /* Access Tokens */
+        .token-new-btn {
+          margin-left: auto;
+          padding: 4px 10px;
+          font-size: 12px;
+        }
+        .token-created {
+          margin-bottom: 16px;
+        }
+        .token-value {
+          display: flex;
+          align-items: center;
+          gap: 10px;
+        }
+        .token-value code {
+          flex: 1;
+          padding: 8px 10px;
+          border-radius: 6px;
+          font-size: 13px;
+          word-break: break-all;
+          background: var(--color-bg);
+          border: 1px solid var(--color-border);
+        }
+        .token-form {
+          margin-bottom: 16px;
+          padding-bottom: 16px;
+          border-bottom: 1px solid var(--color-border-light);
+        }
+        .form-group select {
+          width: 100%;
+          padding: 8px 10px;
+          border: 1px solid var(--color-border);
+          border-radius: 6px;
+          font-size: 13px;
+          background: var(--color-bg);
+          color: var(--color-text);
+        }
+        .token-options {
+          display: flex;
+          flex-wrap: wrap;
+          gap: 6px 16px;
+        }
+        .token-projects {
+          max-height: 120px;
+          overflow-y: auto;
+        }
+        .form-group .token-option {
+          display: flex;
+          align-items: center;
+          gap: 6px;
+          margin: 0;
+          font-size: 13px;
+          color: var(--color-text);
+          cursor: pointer;
+        }
+        .form-group .token-option input {
+          width: auto;
+        }
+        .token-hint {
+          font-weight: 400;
+          color: var(--color-text-muted);
+        }
+        .token-table {
+          width: 100%;
+          border-collapse: collapse;
+          font-size: 12px;
+        }
+        .token-table th {
+          text-align: left;
+          font-weight: 500;
+          color: var(--color-text-secondary);
+          padding: 6px 8px;
+          border-bottom: 1px solid var(--color-border);
+        }
+        .token-table td {
+          padding: 8px;
+          color: var(--color-text);
+          border-bottom: 1px solid var(--color-border-light);
+          vertical-align: top;
+        }
+        .token-table tr.token-expired td {
+          color: var(--color-text-muted);
+        }
+        .token-name {
+          font-weight: 500;
+        }
+        .token-prefix {
+          font-size: 11px;
+          color: var(--color-text-muted);
+        }
+        .token-actions {
+          display: flex;
+          justify-content: flex-end;
+          gap: 6px;
+        }
+        .token-btn {
+          padding: 4px 10px;
+          font-size: 12px;
+        }
+
+        .twofa-codes {
+          margin-bottom: 16px;
+        }
+        .twofa-codes ul {
+          display: grid;
+          grid-template-columns: repeat(auto-fill, minmax(120px, 1fr));
+          gap: 6px;
+          list-style: none;
+          padding: 12px;
+          margin: 0 0 12px;
+          border-radius: 6px;
+          font-family: monospace;
+          font-size: 13px;
+          background: var(--color-bg);
+          border: 1px solid var(--color-border);
+        }
+
         @media (max-width: 700px) {
           .profile-grid {
             grid-template-columns: 1fr;
           }
+          .twofa-setup {
+            flex-direction: column;
+          }
         }
       `}</style>
     </div>
@@ -0,0 +1,179 @@
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import UserProfile from './UserProfile';
+
+jest.mock('../../services/auth/auth', () => ({
+  getCurrentUser: jest.fn(),
+  updateProfileApi: jest.fn(),
+  changePasswordApi: jest.fn(),
+  updateClusterSettingsApi: jest.fn(),
+  testClusterConnectionApi: jest.fn(),
+  getTwoFactorStatusApi: jest.fn(),
+  setupTwoFactorApi: jest.fn(),
+  enableTwoFactorApi: jest.fn(),
+  disableTwoFactorApi: jest.fn(),
+  regenerateRecoveryCodesApi: jest.fn(),
+  getApiTokensApi: jest.fn(),
+  createApiTokenApi: jest.fn(),
+  revokeApiTokenApi: jest.fn(),
+}));
+
+jest.mock('../../services/projects/projects', () => ({
+  getProjectListApi: jest.fn(),
+}));
+
+const mockShowToast = jest.fn();
+jest.mock('../../hooks/useToast', () => () => mockShowToast);
+
+const authApi = require('../../services/auth/auth');
+const { getProjectListApi } = require('../../services/projects/projects');
+
+const status = (overrides = {}) => ({
+  data: {
+    data: {
+      passwordRequired: true,
+      enabled: false,
+      required: false,
+      enabledAt: null,
+      recoveryCodesRemaining: 0,
+      ...overrides,
+    },
+  },
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  authApi.getCurrentUser.mockResolvedValue({
+    data: { data: { username: 'jane', email: 'jane@example.org', firstName: 'Jane' } },
+  });
+  authApi.getApiTokensApi.mockResolvedValue({ data: { data: [] } });
+  getProjectListApi.mockResolvedValue({ data: { data: [] } });
+});
+
+describe('UserProfile two-factor authentication', () => {
+  test('enrolls with a QR code and shows the recovery codes once', async () => {
+    authApi.getTwoFactorStatusApi
+      .mockResolvedValueOnce(status({ required: true }))
+      .mockResolvedValueOnce(status({ required: true, enabled: true, recoveryCodesRemaining: 2 }));
+    authApi.setupTwoFactorApi.mockResolvedValue({
+      data: { data: { secret: 'JBSWY3DPEHPK3PXP', otpauthUrl: 'otpauth://totp/x', qrCode: 'data:image/png;base64,AAAA' } },
+    });
+    authApi.enableTwoFactorApi.mockResolvedValue({ data: { data: { recoveryCodes: ['aaaaa-11111', 'bbbbb-22222'] } } });
+
+    render(<UserProfile />);
+
+    expect(await screen.findByText(/administrator requires two-factor authentication/)).toBeInTheDocument();
+    fireEvent.click(screen.getByText('Set up two-factor authentication'));
+
+    expect(await screen.findByAltText('Authenticator QR code')).toHaveAttribute('src', 'data:image/png;base64,AAAA');
+    expect(screen.getByText('JBSWY3DPEHPK3PXP')).toBeInTheDocument();
+
+    fireEvent.change(screen.getByLabelText('Authentication code'), { target: { value: '123456' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Enable' }));
+
+    expect(await screen.findByText('aaaaa-11111')).toBeInTheDocument();
+    expect(authApi.enableTwoFactorApi).toHaveBeenCalledWith({ code: '123456' });
+    await screen.findByText(/2 recovery codes left/);
+    expect(screen.queryByRole('button', { name: 'Disable' })).not.toBeInTheDocument();
+
+    fireEvent.click(screen.getByText('I have saved these codes'));
+    expect(screen.queryByText('aaaaa-11111')).not.toBeInTheDocument();
+  });
+
+  test('disables with the password and a code', async () => {
+    authApi.getTwoFactorStatusApi
+      .mockResolvedValueOnce(status({ enabled: true, recoveryCodesRemaining: 10 }))
+      .mockResolvedValueOnce(status());
+    authApi.disableTwoFactorApi.mockResolvedValue({ data: { message: 'Two-factor authentication disabled' } });
+
+    render(<UserProfile />);
+
+    fireEvent.click(await screen.findByRole('button', { name: 'Disable' }));
+    fireEvent.change(screen.getByLabelText('Current password'), { target: { value: 'secret' } });
+    fireEvent.change(screen.getByLabelText('Authentication or recovery code'), { target: { value: '654321' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Disable two-factor authentication' }));
+
+    await waitFor(() => expect(authApi.disableTwoFactorApi).toHaveBeenCalledWith({ code: '654321', password: 'secret' }));
+    expect(await screen.findByText('Set up two-factor authentication')).toBeInTheDocument();
+    expect(mockShowToast).toHaveBeenCalledWith('Two-factor authentication disabled', { type: 'success' });
+  });
+
+  test('offers setup to single sign-on users when required', async () => {
+    authApi.getTwoFactorStatusApi.mockResolvedValue(status({ passwordRequired: false, required: true }));
+
+    render(<UserProfile />);
+
+    expect(await screen.findByText('Set up two-factor authentication')).toBeInTheDocument();
+    expect(screen.getByRole('alert')).toHaveTextContent('Your administrator requires two-factor authentication');
+  });
+});
+
+describe('UserProfile access tokens', () => {
+  const token = {
+    id: 'tok1',
+    name: 'nightly',
+    prefix: 'cp_pat_ab12cd',
+    scopes: ['read', 'jobs'],
+    projectIds: ['p1'],
+    expiresAt: null,
+    expired: false,
+    lastUsedAt: null,
+    lastUsedIp: null,
+  };
+
+  beforeEach(() => {
+    authApi.getTwoFactorStatusApi.mockResolvedValue(status());
+    getProjectListApi.mockResolvedValue({ data: { data: [{ id: 'p1', projectName: 'Apoferritin' }] } });
+  });
+
+  afterEach(() => {
+    localStorage.clear();
+  });
+
+  test('creates a scoped, project-restricted token and shows it once', async () => {
+    authApi.getApiTokensApi
+      .mockResolvedValueOnce({ data: { data: [] } })
+      .mockResolvedValueOnce({ data: { data: [token] } });
+    authApi.createApiTokenApi.mockResolvedValue({ data: { data: { ...token, token: 'cp_pat_ab12cd34ef' } } });
+
+    render(<UserProfile />);
+
+    fireEvent.click(await screen.findByText('New token'));
+    expect(screen.queryByLabelText('Admin')).not.toBeInTheDocument();
+    fireEvent.change(screen.getByLabelText('Name'), { target: { value: 'nightly' } });
+    fireEvent.click(screen.getByLabelText('Jobs'));
+    fireEvent.click(await screen.findByLabelText('Apoferritin'));
+    fireEvent.change(screen.getByLabelText('Expires'), { target: { value: '' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Create token' }));
+
+    expect(await screen.findByText('cp_pat_ab12cd34ef')).toBeInTheDocument();
+    expect(authApi.createApiTokenApi).toHaveBeenCalledWith({
+      name: 'nightly', scopes: ['read', 'jobs'], projectIds: ['p1'], expiresInDays: null,
+    });
+    expect(await screen.findByText('read, jobs')).toBeInTheDocument();
+    expect(screen.getAllByText('Apoferritin').length).toBeGreaterThan(0);
+  });
+
+  test('offers the admin scope to staff', async () => {
+    localStorage.setItem('userInfo', JSON.stringify({ id: 1, isStaff: true }));
+    render(<UserProfile />);
+
+    fireEvent.click(await screen.findByText('New token'));
+    expect(screen.getByLabelText('Admin')).toBeInTheDocument();
+  });
+
+  test('revokes a token after confirmation', async () => {
+    authApi.getApiTokensApi
+      .mockResolvedValueOnce({ data: { data: [token] } })
+      .mockResolvedValueOnce({ data: { data: [] } });
+    authApi.revokeApiTokenApi.mockResolvedValue({ data: { message: 'Token revoked' } });
+
+    render(<UserProfile />);
+
+    fireEvent.click(await screen.findByTitle('Revoke nightly'));
+    fireEvent.click(screen.getByRole('button', { name: 'Confirm' }));
+
+    await waitFor(() => expect(authApi.revokeApiTokenApi).toHaveBeenCalledWith('tok1'));
+    expect(await screen.findByText('You have no access tokens.')).toBeInTheDocument();
+  });
+});
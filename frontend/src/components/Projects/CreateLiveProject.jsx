@@ -11,6 +11,14 @@ import {
   FiChevronDown,
 } from "react-icons/fi";
 
+const emptySource = () => ({
+  name: "",
+  watchDirectory: "",
+  filePattern: "*.tiff",
+  opticsGroupName: "",
+  pixelSize: "",
+});
+
 const INITIAL_FORM_DATA = {
   // Project & Data Source
   projectName: "",
@@ -24,6 +32,7 @@ const INITIAL_FORM_DATA = {
   voltage: 300,
   cs: 2.7,
   amplitudeContrast: 0.1,
+  beamShiftGroups: 0,
   // Motion Correction
   motionEnabled: true,
   binFactor: 1,
@@ -68,9 +77,24 @@ const INITIAL_FORM_DATA = {
   inimodelIterations: 200,
   inimodelUseGpu: true,
   inimodelGpuIds: "0",
+  // 3D Auto-Refine
+  refine3dEnabled: false,
+  refine3dParticleIncrement: 20000,
+  refine3dSymmetry: "C1",
+  refine3dMaskDiameter: 200,
+  refine3dInitialLowPass: 40,
+  refine3dUseGpu: true,
+  refine3dGpuIds: "0",
   // Quality Filters
   ctfResolutionMax: 5.0,
   totalMotionMax: 30.0,
+  // Guardrails
+  guardrailsEnabled: false,
+  guardrailsWindow: 50,
+  guardrailsMaxRejectedPercent: 50,
+  guardrailsMaxCtfResolution: "",
+  guardrailsSilenceMinutes: 20,
+  guardrailsAutoPause: false,
   // Execution Settings
   executionMethod: "slurm",
   queue: "",
@@ -89,7 +113,9 @@ const INITIAL_OPEN_SECTIONS = {
   class2d: false,
   autoSelect: false,
   inimodel: false,
+  refine3d: false,
   quality: false,
+  guardrails: false,
   slurm: true,
 };
 
@@ -99,6 +125,8 @@ const CreateLiveProject = () => {
   const [isLoading, setLoading] = useState(false);
   const [disable, setDisable] = useState(false);
   const [error, setError] = useState(null);
+  // Extra watch directories, each with its own pattern and optics group
+  const [extraSources, setExtraSources] = useState([]);
   const showToast = useToast();
   const navigate = useNavigate();
 
@@ -117,6 +145,11 @@ const CreateLiveProject = () => {
     if (error) setError(null);
   };
 
+  const updateSource = (idx, field, value) => {
+    setExtraSources((prev) => prev.map((src, i) => (i === idx ? { ...src, [field]: value } : src)));
+    if (error) setError(null);
+  };
+
   const toggleSection = (section) => {
     setOpenSections((prev) => ({ ...prev, [section]: !prev[section] }));
   };
@@ -140,6 +173,14 @@ const CreateLiveProject = () => {
     if (!(parseFloat(formData.amplitudeContrast) > 0)) {
       return "Amplitude contrast must be greater than 0.";
     }
+    for (const [i, src] of extraSources.entries()) {
+      if (!src.watchDirectory.trim()) {
+        return `Watch directory is required for source ${i + 2}.`;
+      }
+      if (src.pixelSize !== "" && !(parseFloat(src.pixelSize) > 0)) {
+        return `Pixel size for source ${i + 2} must be greater than 0.`;
+      }
+    }
     return null;
   };
 
@@ -179,7 +220,27 @@ const CreateLiveProject = () => {
           voltage: parseFloat(formData.voltage),
           cs: parseFloat(formData.cs),
           amplitudeContrast: parseFloat(formData.amplitudeContrast),
+          beamShiftGroups: parseInt(formData.beamShiftGroups) || 0,
         },
+        // Several sources: the first one is the main watch directory above
+        sources: extraSources.length > 0
+          ? [
+              {
+                name: "source1",
+                watchDirectory: formData.watchDirectory,
+                filePattern: formData.filePattern,
+                opticsGroupName: "opticsGroup1",
+              },
+              ...extraSources.map((src, i) => ({
+                name: src.name.trim() || `source${i + 2}`,
+                watchDirectory: src.watchDirectory.trim(),
+                filePattern: src.filePattern || formData.filePattern,
+                opticsGroupName: src.opticsGroupName.trim() || `opticsGroup${i + 2}`,
+                // Other optics follow the Optics section
+                optics: src.pixelSize !== "" ? { pixelSize: parseFloat(src.pixelSize) } : undefined,
+              })),
+            ]
+          : undefined,
         motionConfig: {
           enabled: formData.motionEnabled,
           binFactor: parseInt(formData.binFactor),
@@ -231,10 +292,27 @@ const CreateLiveProject = () => {
           useGpu: formData.inimodelUseGpu,
           gpuIds: formData.inimodelGpuIds || "0",
         },
+        refine3dConfig: {
+          enabled: formData.refine3dEnabled,
+          particleIncrement: parseInt(formData.refine3dParticleIncrement),
+          symmetry: formData.refine3dSymmetry || "C1",
+          maskDiameter: parseInt(formData.refine3dMaskDiameter),
+          initialLowPass: parseFloat(formData.refine3dInitialLowPass),
+          useGpu: formData.refine3dUseGpu,
+          gpuIds: formData.refine3dGpuIds || "0",
+        },
         thresholds: {
           ctfResolutionMax: parseFloat(formData.ctfResolutionMax),
           totalMotionMax: parseFloat(formData.totalMotionMax),
         },
+        guardrails: {
+          enabled: formData.guardrailsEnabled,
+          window: parseInt(formData.guardrailsWindow) || 50,
+          maxRejectedFraction: (parseFloat(formData.guardrailsMaxRejectedPercent) || 50) / 100,
+          maxMedianCtfResolution: parseFloat(formData.guardrailsMaxCtfResolution) || null,
+          silenceMinutes: parseFloat(formData.guardrailsSilenceMinutes) || null,
+          autoPause: formData.guardrailsAutoPause,
+        },
         slurmConfig: {
           executionMethod: formData.executionMethod,
           queue: formData.queue || null,
@@ -469,6 +547,76 @@ const CreateLiveProject = () => {
                   />
                 </div>
 
+                {extraSources.map((src, idx) => (
+                  <div className="lp-form-group" key={idx}>
+                    <label>Source {idx + 2}</label>
+                    <div className="lp-form-row">
+                      <div className="lp-form-group">
+                        <input
+                          type="text"
+                          value={src.watchDirectory}
+                          onChange={(e) => updateSource(idx, "watchDirectory", e.target.value)}
+                          placeholder="/data/microscope/grid_02"
+                          aria-label={`Source ${idx + 2} watch directory`}
+                        />
+                      </div>
+                      <div className="lp-form-group">
+                        <input
+                          type="text"
+                          value={src.filePattern}
+                          onChange={(e) => updateSource(idx, "filePattern", e.target.value)}
+                          placeholder="*.tiff"
+                          aria-label={`Source ${idx + 2} file pattern`}
+                        />
+                      </div>
+                    </div>
+                    <div className="lp-form-row">
+                      <div className="lp-form-group">
+                        <input
+                          type="text"
+                          value={src.opticsGroupName}
+                          onChange={(e) => updateSource(idx, "opticsGroupName", e.target.value)}
+                          placeholder={`Optics group (opticsGroup${idx + 2})`}
+                          aria-label={`Source ${idx + 2} optics group`}
+                        />
+                      </div>
+                      <div className="lp-form-group">
+                        <input
+                          type="number"
+                          value={src.pixelSize}
+                          onChange={(e) => updateSource(idx, "pixelSize", e.target.value)}
+                          placeholder="Pixel size (same as Optics)"
+                          step="any"
+                          min="0"
+                          aria-label={`Source ${idx + 2} pixel size`}
+                        />
+                      </div>
+                    </div>
+                    <button
+                      type="button"
+                      className="lp-btn-cancel"
+                      onClick={() => setExtraSources((prev) => prev.filter((_, i) => i !== idx))}
+                    >
+                      Remove Source
+                    </button>
+                  </div>
+                ))}
+
+                <div className="lp-form-group">
+                  <button
+                    type="button"
+                    className="lp-btn-cancel"
+                    onClick={() => setExtraSources((prev) => [...prev, emptySource()])}
+                  >
+                    Add Watch Directory
+                  </button>
+                  <span className="lp-form-hint">
+                    Watch several folders (e.g. autoloader grids or beam-tilt
+                    groups). Each source gets its own optics group; sources
+                    sharing a group name are merged into it.
+                  </span>
+                </div>
+
                 <div className="lp-form-group">
                   <label htmlFor="batchSize">
                     Batch Size (micrographs)
@@ -555,6 +703,25 @@ const CreateLiveProject = () => {
                     />
                   </div>
                 </div>
+                <div className="lp-form-row">
+                  <div className="lp-form-group">
+                    <label htmlFor="beamShiftGroups">Beam-Shift Optics Groups</label>
+                    <input
+                      type="number"
+                      id="beamShiftGroups"
+                      name="beamShiftGroups"
+                      value={formData.beamShiftGroups}
+                      onChange={handleChange}
+                      step="1"
+                      min="0"
+                      max="100"
+                    />
+                    <span className="lp-form-hint">
+                      Split each optics group by EPU beam shift for
+                      multi-shot data (e.g. 9 for 3x3). 0 = off
+                    </span>
+                  </div>
+                </div>
               </div>
             )}
           </div>
@@ -1161,7 +1328,125 @@ const CreateLiveProject = () => {
             )}
           </div>
 
-          {/* ── Section 10: Quality Filters ── */}
+          {/* ── Section 10: 3D Auto-Refine ── */}
+          <div className="lp-section">
+            {renderSectionHeader(
+              "refine3d",
+              "3D Auto-Refine",
+              "Refine the initial model as the selected particle set grows",
+              "refine3dEnabled"
+            )}
+            {openSections.refine3d && (
+              <div
+                className={`lp-section-body ${isSectionDisabled("refine3dEnabled") ? "lp-disabled" : ""}`}
+              >
+                <div className="lp-form-row">
+                  <div className="lp-form-group">
+                    <label htmlFor="refine3dParticleIncrement">
+                      Particle Increment
+                    </label>
+                    <input
+                      type="number"
+                      id="refine3dParticleIncrement"
+                      name="refine3dParticleIncrement"
+                      value={formData.refine3dParticleIncrement}
+                      onChange={handleChange}
+                      min="1000"
+                      step="1000"
+                      disabled={!formData.refine3dEnabled}
+                    />
+                    <span className="lp-form-hint">
+                      Re-run the refinement each time auto-select has gained this
+                      many particles. The first run starts as soon as an initial
+                      model exists.
+                    </span>
+                  </div>
+                  <div className="lp-form-group">
+                    <label htmlFor="refine3dSymmetry">Symmetry</label>
+                    <input
+                      type="text"
+                      id="refine3dSymmetry"
+                      name="refine3dSymmetry"
+                      value={formData.refine3dSymmetry}
+                      onChange={handleChange}
+                      placeholder="C1"
+                      disabled={!formData.refine3dEnabled}
+                    />
+                  </div>
+                </div>
+                <div className="lp-form-row">
+                  <div className="lp-form-group">
+                    <label htmlFor="refine3dMaskDiameter">
+                      Mask Diameter (A)
+                    </label>
+                    <input
+                      type="number"
+                      id="refine3dMaskDiameter"
+                      name="refine3dMaskDiameter"
+                      value={formData.refine3dMaskDiameter}
+                      onChange={handleChange}
+                      min="10"
+                      step="10"
+                      disabled={!formData.refine3dEnabled}
+                    />
+                  </div>
+                  <div className="lp-form-group">
+                    <label htmlFor="refine3dInitialLowPass">
+                      Initial Low-Pass (A)
+                    </label>
+                    <input
+                      type="number"
+                      id="refine3dInitialLowPass"
+                      name="refine3dInitialLowPass"
+                      value={formData.refine3dInitialLowPass}
+                      onChange={handleChange}
+                      min="5"
+                      step="5"
+                      disabled={!formData.refine3dEnabled}
+                    />
+                  </div>
+                </div>
+                <div className="lp-form-row">
+                  <div className="lp-form-group">
+                    <label>Use GPU</label>
+                    <div
+                      className="lp-toggle-wrapper"
+                      style={{ marginTop: 4 }}
+                    >
+                      <label className="lp-toggle">
+                        <input
+                          type="checkbox"
+                          checked={formData.refine3dUseGpu}
+                          onChange={() => handleToggle("refine3dUseGpu")}
+                          disabled={!formData.refine3dEnabled}
+                        />
+                        <span className="lp-toggle-slider"></span>
+                      </label>
+                      <span className="lp-toggle-label">
+                        {formData.refine3dUseGpu ? "GPU" : "CPU"}
+                      </span>
+                    </div>
+                  </div>
+                  {formData.refine3dUseGpu && (
+                    <div className="lp-form-group">
+                      <label htmlFor="refine3dGpuIds">GPU IDs</label>
+                      <input
+                        type="text"
+                        id="refine3dGpuIds"
+                        name="refine3dGpuIds"
+                        value={formData.refine3dGpuIds}
+                        onChange={handleChange}
+                        placeholder="0"
+                        disabled={!formData.refine3dEnabled}
+                      />
+                    </div>
+                  )}
+                </div>
+              </div>
+            )}
+          </div>
+
+          {/* ── Section 11: Quality Filters ── */}
           <div className="lp-section">
             {renderSectionHeader(
               "quality",
@@ -1204,6 +1489,111 @@ const CreateLiveProject = () => {
             )}
           </div>
 
+          {/* ── Section 12: Guardrails ── */}
+          <div className="lp-section">
+            {renderSectionHeader(
+              "guardrails",
+              "Guardrails",
+              "Warn (and optionally pause) when recent exposures go bad",
+              "guardrailsEnabled"
+            )}
+            {openSections.guardrails && (
+              <div
+                className={`lp-section-body ${isSectionDisabled("guardrailsEnabled") ? "lp-disabled" : ""}`}
+              >
+                <div className="lp-form-row">
+                  <div className="lp-form-group">
+                    <label htmlFor="guardrailsWindow">Window (exposures)</label>
+                    <input
+                      type="number"
+                      id="guardrailsWindow"
+                      name="guardrailsWindow"
+                      value={formData.guardrailsWindow}
+                      onChange={handleChange}
+                      min="5"
+                      step="5"
+                      disabled={!formData.guardrailsEnabled}
+                    />
+                    <span className="lp-form-hint">
+                      Checks look at this many of the most recent exposures.
+                    </span>
+                  </div>
+                  <div className="lp-form-group">
+                    <label htmlFor="guardrailsMaxRejectedPercent">
+                      Max Rejected (%)
+                    </label>
+                    <input
+                      type="number"
+                      id="guardrailsMaxRejectedPercent"
+                      name="guardrailsMaxRejectedPercent"
+                      value={formData.guardrailsMaxRejectedPercent}
+                      onChange={handleChange}
+                      min="1"
+                      max="100"
+                      step="5"
+                      disabled={!formData.guardrailsEnabled}
+                    />
+                  </div>
+                </div>
+                <div className="lp-form-row">
+                  <div className="lp-form-group">
+                    <label htmlFor="guardrailsMaxCtfResolution">
+                      Max Median CTF Resolution (A)
+                    </label>
+                    <input
+                      type="number"
+                      id="guardrailsMaxCtfResolution"
+                      name="guardrailsMaxCtfResolution"
+                      value={formData.guardrailsMaxCtfResolution}
+                      onChange={handleChange}
+                      min="0"
+                      step="0.5"
+                      placeholder="Off"
+                      disabled={!formData.guardrailsEnabled}
+                    />
+                  </div>
+                  <div className="lp-form-group">
+                    <label htmlFor="guardrailsSilenceMinutes">
+                      No New Movies For (min)
+                    </label>
+                    <input
+                      type="number"
+                      id="guardrailsSilenceMinutes"
+                      name="guardrailsSilenceMinutes"
+                      value={formData.guardrailsSilenceMinutes}
+                      onChange={handleChange}
+                      min="1"
+                      step="5"
+                      placeholder="Off"
+                      disabled={!formData.guardrailsEnabled}
+                    />
+                  </div>
+                </div>
+                <div className="lp-form-group">
+                  <label>Auto-Pause</label>
+                  <div className="lp-toggle-wrapper" style={{ marginTop: 4 }}>
+                    <label className="lp-toggle">
+                      <input
+                        type="checkbox"
+                        checked={formData.guardrailsAutoPause}
+                        onChange={() => handleToggle("guardrailsAutoPause")}
+                        disabled={!formData.guardrailsEnabled}
+                      />
+                      <span className="lp-toggle-slider"></span>
+                    </label>
+                    <span className="lp-toggle-label">
+                      {formData.guardrailsAutoPause ? "Pause on anomaly" : "Warn only"}
+                    </span>
+                  </div>
+                  <span className="lp-form-hint">
+                    Warnings go to the activity log, project webhooks and your
+                    email.
+                  </span>
+                </div>
+              </div>
+            )}
+          </div>
+
           {/* ── Section 9: SLURM Settings ── */}
           <div className="lp-section">
             {renderSectionHeader(
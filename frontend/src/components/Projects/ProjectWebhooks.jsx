@@ -1,9 +1,357 @@
-import React, { useState, useEffect } from "react";
-import { FiX, FiPlus, FiTrash2, FiLoader, FiLink, FiSend } from "react-icons/fi";
-import { getProjectByIdApi, updateProjectApi } from "../../services/projects/projects";
+import React, { useState, useEffect, useCallback } from "react";
+import { FiX, FiPlus, FiTrash2, FiLoader, FiLink, FiSend, FiList, FiRefreshCw, FiCopy, FiCheck, FiZap } from "react-icons/fi";
+import {
+  getProjectByIdApi,
+  updateProjectApi,
+  getProjectWebhooksApi,
+  createProjectWebhookApi,
+  updateProjectWebhookApi,
+  deleteProjectWebhookApi,
+  testProjectWebhookApi,
+  getWebhookDeliveriesApi,
+} from "../../services/projects/projects";
 import useToast from "../../hooks/useToast";
 
 const MAX_URLS = 5;
+const MAX_EVENT_WEBHOOKS = 10;
+
+// Must match WEBHOOK_EVENTS in backend/src/config/constants.js
+const WEBHOOK_EVENTS = [
+  { value: "job.submitted", label: "Job submitted" },
+  { value: "job.started", label: "Job started" },
+  { value: "job.finished", label: "Job finished" },
+  { value: "live_session.pass", label: "Live session pass" },
+  { value: "project.archived", label: "Project archived" },
+];
+
+const EMPTY_WEBHOOK_FORM = { url: "", description: "", events: ["job.finished"] };
+
+const eventLabel = (value) => WEBHOOK_EVENTS.find(e => e.value === value)?.label || value;
+
+const formatTime = (value) => (value ? new Date(value).toLocaleString() : "");
+
+const toggleInList = (list, value) =>
+  list.includes(value) ? list.filter(v => v !== value) : [...list, value];
+
+/**
+ * Generic JSON webhooks: signed events, per-webhook event selection, delivery log.
+ * Unlike the chat URLs above, every change here is saved right away.
+ */
+const EventWebhooksSection = ({ projectId }) => {
+  const [webhooks, setWebhooks] = useState([]);
+  const [form, setForm] = useState(null);
+  const [secret, setSecret] = useState(null);
+  const [copied, setCopied] = useState(false);
+  const [isBusy, setBusy] = useState(false);
+  const [testingId, setTestingId] = useState(null);
+  const [deleteId, setDeleteId] = useState(null);
+  const [logId, setLogId] = useState(null);
+  const [deliveries, setDeliveries] = useState([]);
+  const showToast = useToast();
+
+  const loadWebhooks = useCallback(async () => {
+    try {
+      const resp = await getProjectWebhooksApi(projectId);
+      setWebhooks(resp?.data?.data || []);
+    } catch (error) {
+      showToast(error.response?.data?.message || "Failed to load event webhooks", { type: "error" });
+    }
+  }, [projectId, showToast]);
+
+  const loadDeliveries = async (webhookId) => {
+    try {
+      const resp = await getWebhookDeliveriesApi(projectId, webhookId);
+      setDeliveries(resp?.data?.data || []);
+    } catch (error) {
+      showToast(error.response?.data?.message || "Failed to load deliveries", { type: "error" });
+    }
+  };
+
+  useEffect(() => {
+    loadWebhooks();
+  }, [loadWebhooks]);
+
+  const showSecret = (value) => {
+    setSecret(value);
+    setCopied(false);
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    const url = form.url.trim();
+    if (!url.startsWith("https://")) {
+      showToast("Webhook URL must start with https://", { type: "error" });
+      return;
+    }
+    try {
+      setBusy(true);
+      const resp = await createProjectWebhookApi(projectId, {
+        url,
+        description: form.description.trim(),
+        events: form.events,
+      });
+      showSecret(resp.data.data.secret);
+      setForm(null);
+      showToast("Event webhook added", { type: "success" });
+      await loadWebhooks();
+    } catch (error) {
+      showToast(error.response?.data?.message || "Failed to add event webhook", { type: "error" });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleUpdate = async (webhook, payload, message) => {
+    try {
+      setBusy(true);
+      const resp = await updateProjectWebhookApi(projectId, webhook.id, payload);
+      if (resp.data.data.secret) showSecret(resp.data.data.secret);
+      showToast(message, { type: "success" });
+      await loadWebhooks();
+    } catch (error) {
+      showToast(error.response?.data?.message || "Failed to update event webhook", { type: "error" });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleDelete = async (webhookId) => {
+    try {
+      setBusy(true);
+      await deleteProjectWebhookApi(projectId, webhookId);
+      setDeleteId(null);
+      if (logId === webhookId) setLogId(null);
+      showToast("Event webhook deleted", { type: "success" });
+      await loadWebhooks();
+    } catch (error) {
+      showToast(error.response?.data?.message || "Failed to delete event webhook", { type: "error" });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleTest = async (webhookId) => {
+    try {
+      setTestingId(webhookId);
+      const resp = await testProjectWebhookApi(projectId, webhookId);
+      const delivered = resp.data.data?.status === "success";
+      showToast(resp.data.message, { type: delivered ? "success" : "error" });
+      await loadWebhooks();
+      if (logId === webhookId) await loadDeliveries(webhookId);
+    } catch (error) {
+      showToast(error.response?.data?.message || "Failed to send test event", { type: "error" });
+    } finally {
+      setTestingId(null);
+    }
+  };
+
+  const toggleLog = async (webhookId) => {
+    if (logId === webhookId) {
+      setLogId(null);
+      return;
+    }
+    setLogId(webhookId);
+    setDeliveries([]);
+    await loadDeliveries(webhookId);
+  };
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(secret);
+      setCopied(true);
+    } catch {
+      showToast("Copy failed, select the secret and copy it manually", { type: "error" });
+    }
+  };
+
+  return (
+    <div className="wh-ev">
+      <div className="wh-ev-title">
+        <FiZap size={14} />
+        <span>Event webhooks</span>
+        {!form && webhooks.length < MAX_EVENT_WEBHOOKS && (
+          <button type="button" className="wh-ev-new" onClick={() => setForm(EMPTY_WEBHOOK_FORM)}>
+            <FiPlus size={12} /> Add event webhook
+          </button>
+        )}
+      </div>
+      <p className="wh-hint">
+        POST signed JSON events to your own services. Verify the <code>X-CryoProcess-Signature</code> header
+        with the webhook&apos;s secret. Failed deliveries are retried with backoff. Changes here are saved immediately.
+      </p>
+
+      {secret && (
+        <div className="wh-ev-secret">
+          <span>Copy the signing secret now. It will not be shown again.</span>
+          <div className="wh-ev-secret-value">
+            <code>{secret}</code>
+            <button type="button" className="wh-ev-btn" onClick={handleCopy} title="Copy secret">
+              {copied ? <><FiCheck size={12} /> Copied</> : <><FiCopy size={12} /> Copy</>}
+            </button>
+            <button type="button" className="wh-ev-btn" onClick={() => setSecret(null)}>Done</button>
+          </div>
+        </div>
+      )}
+
+      {form && (
+        <form className="wh-ev-form" onSubmit={handleCreate}>
+          <label htmlFor="wh-ev-url">Payload URL</label>
+          <input
+            id="wh-ev-url"
+            type="url"
+            placeholder="https://ci.example.org/cryoprocess"
+            value={form.url}
+            onChange={(e) => setForm({ ...form, url: e.target.value })}
+            required
+          />
+          <label htmlFor="wh-ev-description">Description</label>
+          <input
+            id="wh-ev-description"
+            type="text"
+            placeholder="Optional"
+            maxLength={200}
+            value={form.description}
+            onChange={(e) => setForm({ ...form, description: e.target.value })}
+          />
+          <span className="wh-ev-label">Events</span>
+          <div className="wh-ev-events">
+            {WEBHOOK_EVENTS.map(event => (
+              <label key={event.value}>
+                <input
+                  type="checkbox"
+                  checked={form.events.includes(event.value)}
+                  onChange={() => setForm({ ...form, events: toggleInList(form.events, event.value) })}
+                />
+                {event.label}
+              </label>
+            ))}
+          </div>
+          <div className="wh-ev-form-actions">
+            <button type="button" className="wh-ev-btn" onClick={() => setForm(null)} disabled={isBusy}>
+              Discard
+            </button>
+            <button
+              type="submit"
+              className="wh-ev-btn wh-ev-btn-primary"
+              disabled={isBusy || !form.url.trim() || form.events.length === 0}
+            >
+              {isBusy ? <FiLoader className="wh-spinner" size={12} /> : <FiPlus size={12} />} Add webhook
+            </button>
+          </div>
+        </form>
+      )}
+
+      {webhooks.length === 0 && !form && (
+        <div className="wh-empty">No event webhooks yet</div>
+      )}
+
+      {webhooks.map(webhook => (
+        <div key={webhook.id} className={`wh-ev-item ${webhook.enabled ? "" : "wh-ev-disabled"}`}>
+          <div className="wh-ev-row">
+            <div className="wh-ev-info">
+              <span className="wh-url" title={webhook.url}>{webhook.url}</span>
+              {webhook.description && <span className="wh-ev-desc">{webhook.description}</span>}
+              <div className="wh-ev-chips">
+                {webhook.events.map(event => <span key={event} className="wh-ev-chip">{eventLabel(event)}</span>)}
+              </div>
+              <span className="wh-ev-last">
+                {webhook.lastDeliveryAt ? (
+                  <>
+                    Last delivery:{" "}
+                    <span className={webhook.lastDeliveryOk ? "wh-ev-ok" : "wh-ev-fail"}>
+                      {webhook.lastResponseCode ?? "no response"}
+                    </span>{" "}
+                    {formatTime(webhook.lastDeliveryAt)}
+                  </>
+                ) : "No deliveries yet"}
+              </span>
+            </div>
+            <div className="wh-item-actions">
+              <label className="wh-ev-toggle" title={webhook.enabled ? "Disable" : "Enable"}>
+                <input
+                  type="checkbox"
+                  checked={webhook.enabled}
+                  disabled={isBusy}
+                  aria-label={`Enabled ${webhook.url}`}
+                  onChange={() => handleUpdate(
+                    webhook,
+                    { enabled: !webhook.enabled },
+                    webhook.enabled ? "Event webhook disabled" : "Event webhook enabled"
+                  )}
+                />
+              </label>
+              <button
+                className="wh-btn-test"
+                onClick={() => handleTest(webhook.id)}
+                disabled={testingId === webhook.id}
+                title="Send test event"
+              >
+                {testingId === webhook.id ? <FiLoader className="wh-spinner" size={12} /> : <FiSend size={12} />}
+              </button>
+              <button className="wh-btn-test" onClick={() => toggleLog(webhook.id)} title="Delivery log">
+                <FiList size={12} />
+              </button>
+              <button
+                className="wh-btn-test"
+                onClick={() => handleUpdate(webhook, { rotateSecret: true }, "Signing secret rotated")}
+                disabled={isBusy}
+                title="Rotate secret"
+              >
+                <FiRefreshCw size={12} />
+              </button>
+              {deleteId === webhook.id ? (
+                <button className="wh-ev-btn wh-ev-btn-danger" onClick={() => handleDelete(webhook.id)} disabled={isBusy}>
+                  Confirm
+                </button>
+              ) : (
+                <button className="wh-btn-remove" onClick={() => setDeleteId(webhook.id)} title="Delete event webhook">
+                  <FiTrash2 size={12} />
+                </button>
+              )}
+            </div>
+          </div>
+
+          {logId === webhook.id && (
+            <div className="wh-ev-log">
+              {deliveries.length === 0 ? (
+                <div className="wh-ev-log-empty">No deliveries yet</div>
+              ) : (
+                <table>
+                  <thead>
+                    <tr>
+                      <th>Event</th>
+                      <th>Status</th>
+                      <th>Response</th>
+                      <th>Attempts</th>
+                      <th>Sent</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {deliveries.map(delivery => (
+                      <tr key={delivery.id}>
+                        <td>{delivery.event}</td>
+                        <td>
+                          <span className={`wh-ev-status wh-ev-status-${delivery.status}`}>
+                            {delivery.status === "pending" && delivery.attempts.length > 0 ? "retrying" : delivery.status}
+                          </span>
+                        </td>
+                        <td title={delivery.error || ""}>{delivery.responseCode ?? (delivery.error ? "error" : "")}</td>
+                        <td title={delivery.nextAttemptAt ? `Next attempt ${formatTime(delivery.nextAttemptAt)}` : ""}>
+                          {delivery.attempts.length}/{delivery.maxAttempts}
+                        </td>
+                        <td>{formatTime(delivery.createdAt)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </div>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+};
 
 const ProjectWebhooks = ({ projectId, projectName, onClose }) => {
   const [urls, setUrls] = useState([]);
@@ -161,6 +509,8 @@ const ProjectWebhooks = ({ projectId, projectName, onClose }) => {
           Max {MAX_URLS} URLs per project.
         </div>
 
+        <EventWebhooksSection projectId={projectId} />
+
         {/* Actions */}
         <div className="wh-actions">
           <button className="wh-btn-cancel" onClick={onClose}>Cancel</button>
@@ -189,7 +539,9 @@ const styles = `
     background: var(--color-bg-card);
     border-radius: 12px;
     width: 100%;
-    max-width: 520px;
+    max-width: 640px;
+    max-height: 90vh;
+    overflow-y: auto;
     padding: 24px;
     position: relative;
   }
@@ -365,6 +717,174 @@ const styles = `
     padding: 60px;
     color: var(--color-text-secondary);
   }
+  .wh-ev {
+    border-top: 1px solid var(--color-border);
+    padding-top: 16px;
+    margin-bottom: 16px;
+  }
+  .wh-ev-title {
+    display: flex;
+    align-items: center;
+    gap: 8px;
+    font-size: 14px;
+    font-weight: 600;
+    color: var(--color-text-heading);
+    margin-bottom: 6px;
+  }
+  .wh-ev-new {
+    margin-left: auto;
+    display: flex;
+    align-items: center;
+    gap: 4px;
+    padding: 4px 10px;
+    background: none;
+    border: 1px solid var(--color-border);
+    border-radius: 6px;
+    font-size: 12px;
+    color: var(--color-text-secondary);
+    cursor: pointer;
+  }
+  .wh-ev-new:hover { color: var(--color-primary); border-color: var(--color-primary); }
+  .wh-ev-secret {
+    display: flex;
+    flex-direction: column;
+    gap: 6px;
+    padding: 10px;
+    margin-bottom: 12px;
+    font-size: 12px;
+    color: var(--color-text-secondary);
+    background: var(--color-bg);
+    border: 1px solid var(--color-primary);
+    border-radius: 8px;
+  }
+  .wh-ev-secret-value {
+    display: flex;
+    align-items: center;
+    gap: 6px;
+  }
+  .wh-ev-secret-value code {
+    flex: 1;
+    font-size: 11px;
+    word-break: break-all;
+    color: var(--color-text);
+  }
+  .wh-ev-form {
+    display: flex;
+    flex-direction: column;
+    gap: 6px;
+    padding: 12px;
+    margin-bottom: 12px;
+    background: var(--color-bg);
+    border: 1px solid var(--color-border);
+    border-radius: 8px;
+  }
+  .wh-ev-form label, .wh-ev-label {
+    font-size: 12px;
+    font-weight: 500;
+    color: var(--color-text-secondary);
+  }
+  .wh-ev-form input[type="url"], .wh-ev-form input[type="text"] {
+    padding: 8px 12px;
+    border: 1px solid var(--color-border);
+    border-radius: 8px;
+    font-size: 12px;
+    background: var(--color-bg-card);
+    color: var(--color-text);
+    outline: none;
+  }
+  .wh-ev-form input:focus { border-color: var(--color-primary); }
+  .wh-ev-events {
+    display: flex;
+    flex-wrap: wrap;
+    gap: 6px 14px;
+  }
+  .wh-ev-events label {
+    display: flex;
+    align-items: center;
+    gap: 4px;
+    font-weight: 400;
+  }
+  .wh-ev-form-actions {
+    display: flex;
+    justify-content: flex-end;
+    gap: 6px;
+    margin-top: 4px;
+  }
+  .wh-ev-btn {
+    display: flex;
+    align-items: center;
+    gap: 4px;
+    padding: 4px 10px;
+    background: var(--color-bg-hover);
+    border: 1px solid var(--color-border);
+    border-radius: 6px;
+    font-size: 12px;
+    color: var(--color-text-secondary);
+    cursor: pointer;
+    white-space: nowrap;
+  }
+  .wh-ev-btn:disabled { opacity: 0.5; cursor: not-allowed; }
+  .wh-ev-btn-primary { background: var(--color-primary); border-color: var(--color-primary); color: white; }
+  .wh-ev-btn-danger { color: var(--color-danger-text); border-color: #fecaca; }
+  .wh-ev-item {
+    padding: 8px 10px;
+    margin-bottom: 6px;
+    background: var(--color-bg);
+    border: 1px solid var(--color-border);
+    border-radius: 8px;
+  }
+  .wh-ev-disabled .wh-ev-info { opacity: 0.5; }
+  .wh-ev-row {
+    display: flex;
+    justify-content: space-between;
+    align-items: flex-start;
+    gap: 8px;
+  }
+  .wh-ev-info {
+    display: flex;
+    flex-direction: column;
+    gap: 4px;
+    min-width: 0;
+    flex: 1;
+  }
+  .wh-ev-desc { font-size: 12px; color: var(--color-text); }
+  .wh-ev-chips { display: flex; flex-wrap: wrap; gap: 4px; }
+  .wh-ev-chip {
+    font-size: 10px;
+    padding: 1px 6px;
+    border-radius: 4px;
+    background: var(--color-bg-hover);
+    color: var(--color-text-secondary);
+  }
+  .wh-ev-last { font-size: 11px; color: var(--color-text-muted); }
+  .wh-ev-ok { color: #10b981; font-weight: 600; }
+  .wh-ev-fail { color: #ef4444; font-weight: 600; }
+  .wh-ev-toggle { display: flex; align-items: center; padding: 0 2px; cursor: pointer; }
+  .wh-ev-log {
+    margin-top: 8px;
+    max-height: 180px;
+    overflow-y: auto;
+  }
+  .wh-ev-log table { width: 100%; border-collapse: collapse; font-size: 11px; }
+  .wh-ev-log th {
+    text-align: left;
+    font-weight: 500;
+    color: var(--color-text-muted);
+    padding: 4px;
+    border-bottom: 1px solid var(--color-border);
+  }
+  .wh-ev-log td { padding: 4px; color: var(--color-text-secondary); }
+  .wh-ev-log-empty { font-size: 11px; color: var(--color-text-muted); padding: 4px; }
+  .wh-ev-status {
+    font-size: 10px;
+    font-weight: 600;
+    padding: 1px 6px;
+    border-radius: 4px;
+    text-transform: uppercase;
+  }
+  .wh-ev-status-success { background: #10b98122; color: #10b981; }
+  .wh-ev-status-pending { background: #f59e0b22; color: #d97706; }
+  .wh-ev-status-failed { background: #ef444422; color: #ef4444; }
   .wh-spinner { animation: wh-spin 1s linear infinite; }
   @keyframes wh-spin { to { transform: rotate(360deg); } }
 `;
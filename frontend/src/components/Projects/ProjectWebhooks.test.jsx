@@ -6,13 +6,27 @@ import ProjectWebhooks from './ProjectWebhooks';
 jest.mock('../../services/projects/projects', () => ({
   getProjectByIdApi: jest.fn(),
   updateProjectApi: jest.fn(),
+  getProjectWebhooksApi: jest.fn(),
+  createProjectWebhookApi: jest.fn(),
+  updateProjectWebhookApi: jest.fn(),
+  deleteProjectWebhookApi: jest.fn(),
+  testProjectWebhookApi: jest.fn(),
+  getWebhookDeliveriesApi: jest.fn(),
 }));
 
 // Mock useToast hook
 const mockShowToast = jest.fn();
 jest.mock('../../hooks/useToast', () => () => mockShowToast);
 
-const { getProjectByIdApi, updateProjectApi } = require('../../services/projects/projects');
+const {
+  getProjectByIdApi,
+  updateProjectApi,
+  getProjectWebhooksApi,
+  createProjectWebhookApi,
+  updateProjectWebhookApi,
+  testProjectWebhookApi,
+  getWebhookDeliveriesApi,
+} = require('../../services/projects/projects');
 
 const defaultProps = {
   projectId: 'proj-123',
@@ -26,6 +40,7 @@ describe('ProjectWebhooks', () => {
     getProjectByIdApi.mockResolvedValue({
       data: { data: { webhookUrls: [] } },
     });
+    getProjectWebhooksApi.mockResolvedValue({ data: { data: [] } });
   });
 
   test('shows loading state initially', () => {
@@ -146,3 +161,103 @@ describe('ProjectWebhooks', () => {
     });
   });
 });
+
+describe('ProjectWebhooks event webhooks', () => {
+  const webhook = {
+    id: 'wh1',
+    url: 'https://ci.example.org/hook',
+    description: 'CI',
+    events: ['job.finished', 'project.archived'],
+    enabled: true,
+    lastDeliveryAt: null,
+    lastResponseCode: null,
+    lastDeliveryOk: null,
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    getProjectByIdApi.mockResolvedValue({ data: { data: { webhookUrls: [] } } });
+  });
+
+  test('adds a webhook for the selected events and shows its secret once', async () => {
+    getProjectWebhooksApi
+      .mockResolvedValueOnce({ data: { data: [] } })
+      .mockResolvedValueOnce({ data: { data: [webhook] } });
+    createProjectWebhookApi.mockResolvedValue({ data: { data: { ...webhook, secret: 'whsec_abc123' } } });
+
+    render(<ProjectWebhooks {...defaultProps} />);
+
+    expect(await screen.findByText('No event webhooks yet')).toBeInTheDocument();
+    fireEvent.click(screen.getByText('Add event webhook'));
+    fireEvent.change(screen.getByLabelText('Payload URL'), { target: { value: 'https://ci.example.org/hook' } });
+    fireEvent.change(screen.getByLabelText('Description'), { target: { value: 'CI' } });
+    fireEvent.click(screen.getByLabelText('Project archived'));
+    fireEvent.click(screen.getByRole('button', { name: 'Add webhook' }));
+
+    expect(await screen.findByText('whsec_abc123')).toBeInTheDocument();
+    expect(createProjectWebhookApi).toHaveBeenCalledWith('proj-123', {
+      url: 'https://ci.example.org/hook',
+      description: 'CI',
+      events: ['job.finished', 'project.archived'],
+    });
+    expect(await screen.findByText('Job finished')).toBeInTheDocument();
+    expect(screen.getByText('Project archived')).toBeInTheDocument();
+
+    fireEvent.click(screen.getByRole('button', { name: 'Done' }));
+    expect(screen.queryByText('whsec_abc123')).not.toBeInTheDocument();
+  });
+
+  test('sends a test event and shows the delivery log', async () => {
+    getProjectWebhooksApi.mockResolvedValue({ data: { data: [webhook] } });
+    getWebhookDeliveriesApi.mockResolvedValue({
+      data: {
+        data: [{
+          id: 'd1',
+          event: 'ping',
+          status: 'failed',
+          responseCode: 404,
+          error: 'HTTP 404',
+          attempts: [{ responseCode: 404 }],
+          maxAttempts: 1,
+          nextAttemptAt: null,
+          createdAt: '2026-01-01T00:00:00Z',
+        }],
+      },
+    });
+    testProjectWebhookApi.mockResolvedValue({
+      data: { message: 'Test event failed: HTTP 404', data: { id: 'd1', status: 'failed' } },
+    });
+
+    render(<ProjectWebhooks {...defaultProps} />);
+
+    fireEvent.click(await screen.findByTitle('Delivery log'));
+    fireEvent.click(screen.getByTitle('Send test event'));
+
+    await waitFor(() => expect(testProjectWebhookApi).toHaveBeenCalledWith('proj-123', 'wh1'));
+    await waitFor(() => {
+      expect(mockShowToast).toHaveBeenCalledWith('Test event failed: HTTP 404', { type: 'error' });
+    });
+    expect(await screen.findByText('404')).toBeInTheDocument();
+    expect(screen.getByText('ping')).toBeInTheDocument();
+    expect(screen.getByText('1/1')).toBeInTheDocument();
+  });
+
+  test('disables a webhook and rotates its secret', async () => {
+    getProjectWebhooksApi.mockResolvedValue({ data: { data: [webhook] } });
+    updateProjectWebhookApi
+      .mockResolvedValueOnce({ data: { data: { ...webhook, enabled: false } } })
+      .mockResolvedValueOnce({ data: { data: { ...webhook, secret: 'whsec_new' } } });
+
+    render(<ProjectWebhooks {...defaultProps} />);
+
+    fireEvent.click(await screen.findByLabelText('Enabled https://ci.example.org/hook'));
+    await waitFor(() => {
+      expect(updateProjectWebhookApi).toHaveBeenCalledWith('proj-123', 'wh1', { enabled: false });
+    });
+
+    await waitFor(() => expect(screen.getByTitle('Rotate secret')).not.toBeDisabled());
+    fireEvent.click(screen.getByTitle('Rotate secret'));
+    expect(await screen.findByText('whsec_new')).toBeInTheDocument();
+    expect(updateProjectWebhookApi).toHaveBeenLastCalledWith('proj-123', 'wh1', { rotateSecret: true });
+  });
+});
@@ -147,6 +147,19 @@ const Movies = ({
         tooltipText="Known beam tilt in Y direction in milliradians. Usually 0 unless specifically measured. Can be refined later in CTF refinement."
         disabled={!enable}
       />
+      <PixelSizeInput
+        label="Beam-shift optics groups:"
+        placeholder="0"
+        min={0}
+        max={25}
+        step={1}
+        value={formData.beamShiftGroups}
+        name="beamShiftGroups"
+        onChange={handleRangeChange}
+        handleInputChange={handleInputChange}
+        tooltipText="For aberration-free image shift (multi-shot) data. Splits each optics group into this many groups by the beam shift in the EPU XML file next to each movie, so CtfRefine can fit beam tilt per shift position. Use the number of shots per stage position (e.g. 9 for a 3x3 pattern). 0 = off."
+        disabled={!enable}
+      />
     </div>
   );
 };
@@ -24,6 +24,7 @@ const Import = () => {
     amplitudeContrast: 0.1,
     beamtiltX: 0,
     beamtiltY: 0,
+    beamShiftGroups: 0,
 
     nodeType: "No",
     // otherInputFile: "",
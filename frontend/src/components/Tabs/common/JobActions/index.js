@@ -1,8 +1,8 @@
 import React, { useState, useRef, useEffect } from "react";
-import { FiMoreHorizontal, FiTrash2, FiCheckCircle, FiXCircle, FiCopy, FiColumns, FiBell, FiCheck } from "react-icons/fi";
+import { FiMoreHorizontal, FiTrash2, FiCheckCircle, FiXCircle, FiCopy, FiGitBranch, FiColumns, FiBell, FiCheck } from "react-icons/fi";
 import { BiLoader } from "react-icons/bi";
 import { cancelJobById, deleteJob, updateJobStatus, toggleJobNotifyEmail } from "../../../../services/slurmApi";
-import { getJobDetailsApi } from "../../../../services/builders/jobs";
+import { getJobDetailsApi, cloneJobApi } from "../../../../services/builders/jobs";
 import { useBuilder } from "../../../../context/BuilderContext";
 import JobLogs from "../JobLogs";
 import JobComparisonModal from "../../../JobComparison";
@@ -13,6 +13,7 @@ import "./JobActions.css";
  *
  * Features:
  * - Copy job parameters (opens job form with pre-filled parameters)
+ * - Clone job (validates the job's parameters server-side, then opens the pre-filled form)
  * - Delete job (requires typing "delete/JobXXX" to confirm)
  * - Mark as Finished (requires typing job name to confirm)
  * - Mark as Error (requires typing job name to confirm)
@@ -50,6 +51,7 @@ const JobActions = ({
   const [activeAction, setActiveAction] = useState(null); // 'delete' | 'finished' | 'error' | 'cancel'
   const [confirmInput, setConfirmInput] = useState("");
   const [isLoading, setIsLoading] = useState(false);
+  const [isCloning, setIsCloning] = useState(false);
   const [error, setError] = useState(null);
   const [notifyEmail, setNotifyEmail] = useState(initialNotifyEmail);
   const [dropdownPosition, setDropdownPosition] = useState({ top: 0, left: 0 });
@@ -259,6 +261,28 @@ const JobActions = ({
     }
   };
 
+  // Handle clone job action: the backend re-validates the stored parameters
+  // (inputs still exist, etc.) before the form is opened with them.
+  const handleCloneJob = async (e) => {
+    e.stopPropagation();
+    setIsCloning(true);
+    setError(null);
+
+    try {
+      const response = await cloneJobApi(jobId, {}, true);
+      const { parameters = {}, stageName } = response?.data?.data || {};
+      const uiJobName = stageToUiJobName[stageName] || stageToUiJobName[jobType] || jobType;
+
+      setCopiedJobParams(parameters, uiJobName);
+      closeMenu(e);
+    } catch (err) {
+      console.error("[CloneJob] Error:", err.response?.data || err.message);
+      setError(err.response?.data?.message || err.message || "Failed to clone job");
+    } finally {
+      setIsCloning(false);
+    }
+  };
+
   const getActionTitle = () => {
     switch (activeAction) {
       case "delete":
@@ -334,6 +358,18 @@ const JobActions = ({
                       <span>Copy Job</span>
                     </button>
                   )}
+                  {showCopy && (
+                    <button
+                      className="job-menu-item job-menu-copy"
+                      onClick={handleCloneJob}
+                      disabled={isCloning}
+                      role="menuitem"
+                      title="Re-validate this job's parameters and open them in the job form"
+                    >
+                      {isCloning ? <BiLoader className="animate-spin" aria-hidden="true" /> : <FiGitBranch aria-hidden="true" />}
+                      <span>Clone</span>
+                    </button>
+                  )}
                   {showCompare && (
                     <button
                       className="job-menu-item job-menu-copy"
@@ -394,6 +430,7 @@ const JobActions = ({
                     <FiTrash2 aria-hidden="true" />
                     <span>Delete Job</span>
                   </button>
+                  {error && <p className="job-confirm-error" role="alert">{error}</p>}
                 </div>
               ) : (
                 // Confirmation dialog
@@ -20,7 +20,7 @@ const createUser = (userData) => {
 /**
  * Update user details (admin only)
  * @param {number} userId
- * @param {Object} userData - { firstName, lastName, isActive, isStaff, isSuperuser }
+ * @param {Object} userData - { firstName, lastName, isActive, isStaff, isSuperuser, totpRequired }
  */
 const updateUser = (userId, userData) => {
   return axiosInstance.patch(`/api/admin/users/${userId}`, userData);
@@ -58,6 +58,46 @@ const revokeApiKey = (userId) => {
   return axiosInstance.delete(`/api/admin/users/${userId}/api-key`);
 };
 
+/**
+ * Turn off a user's two-factor authentication, e.g. after a lost device (admin only)
+ * @param {number} userId
+ */
+const resetUserTotp = (userId) => {
+  return axiosInstance.delete(`/api/admin/users/${userId}/2fa`);
+};
+
+// LDAP / Active Directory APIs (superuser only)
+
+/**
+ * Get LDAP settings (the bind password is never returned, only bindPasswordSet)
+ */
+const getLdapConfig = () => {
+  return axiosInstance.get('/api/admin/ldap');
+};
+
+/**
+ * Save LDAP settings
+ * @param {Object} config - Settings; omit bindPassword to keep the stored one
+ */
+const updateLdapConfig = (config) => {
+  return axiosInstance.put('/api/admin/ldap', config);
+};
+
+/**
+ * Test LDAP settings without saving them
+ * @param {Object} config - Settings as for updateLdapConfig, plus an optional testLogin to look up
+ */
+const testLdapConnection = (config) => {
+  return axiosInstance.post('/api/admin/ldap/test', config);
+};
+
+/**
+ * Run the LDAP group sync now
+ */
+const syncLdap = () => {
+  return axiosInstance.post('/api/admin/ldap/sync');
+};
+
 // Auth APIs
 
 /**
@@ -83,6 +123,11 @@ const adminApi = {
   resetUserPassword,
   generateApiKey,
   revokeApiKey,
+  resetUserTotp,
+  getLdapConfig,
+  updateLdapConfig,
+  testLdapConnection,
+  syncLdap,
   changePassword,
   checkPasswordStatus
 };
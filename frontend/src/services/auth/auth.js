@@ -11,6 +11,17 @@ const loginApi = (payload = {}) => {
   });
 };
 
+/**
+ * Second login step for accounts with two-factor authentication
+ * @param {object} payload - { challengeToken, code } (authenticator or recovery code)
+ */
+const loginTotpApi = (payload = {}) => {
+  return axiosInstance.post(`/api/auth/login/2fa`, {
+    challengeToken: payload.challengeToken,
+    code: payload.code
+  });
+};
+
 /**
  * Register API
  */
@@ -73,8 +84,92 @@ const resetPasswordApi = (payload = {}) => {
   return axiosInstance.post(`/api/auth/reset-password`, payload);
 };
 
+/**
+ * Two-factor authentication status
+ * @returns {Promise} { available, passwordRequired, enabled, required, enabledAt, recoveryCodesRemaining }
+ */
+const getTwoFactorStatusApi = () => {
+  return axiosInstance.get(`/api/auth/2fa`);
+};
+
+/**
+ * Start two-factor enrollment
+ * @returns {Promise} { secret, otpauthUrl, qrCode }
+ */
+const setupTwoFactorApi = () => {
+  return axiosInstance.post(`/api/auth/2fa/setup`);
+};
+
+/**
+ * Confirm enrollment with a code from the authenticator app
+ * @param {object} payload - { code }
+ * @returns {Promise} { recoveryCodes }
+ */
+const enableTwoFactorApi = (payload = {}) => {
+  return axiosInstance.post(`/api/auth/2fa/enable`, payload);
+};
+
+/**
+ * Turn two-factor authentication off
+ * @param {object} payload - { code, password }
+ */
+const disableTwoFactorApi = (payload = {}) => {
+  return axiosInstance.post(`/api/auth/2fa/disable`, payload);
+};
+
+/**
+ * Replace the recovery codes
+ * @param {object} payload - { code }
+ * @returns {Promise} { recoveryCodes }
+ */
+const regenerateRecoveryCodesApi = (payload = {}) => {
+  return axiosInstance.post(`/api/auth/2fa/recovery-codes`, payload);
+};
+
+/**
+ * List the current user's personal access tokens
+ * @returns {Promise} [{ id, name, prefix, scopes, projectIds, expiresAt, expired, lastUsedAt, lastUsedIp, createdAt }]
+ */
+const getApiTokensApi = () => {
+  return axiosInstance.get(`/api/auth/tokens`);
+};
+
+/**
+ * Create a personal access token
+ * @param {object} payload - { name, scopes, projectIds, expiresInDays (null = never) }
+ * @returns {Promise} Token details plus the token itself (only returned once)
+ */
+const createApiTokenApi = (payload = {}) => {
+  return axiosInstance.post(`/api/auth/tokens`, payload);
+};
+
+/**
+ * Revoke a personal access token
+ * @param {string} tokenId
+ */
+const revokeApiTokenApi = (tokenId) => {
+  return axiosInstance.delete(`/api/auth/tokens/${tokenId}`);
+};
+
+/**
+ * Single sign-on availability
+ * @returns {Promise} { enabled, providerName }
+ */
+const getSsoConfigApi = () => {
+  return axiosInstance.get(`/api/auth/oidc/config`);
+};
+
+/**
+ * URL that starts single sign-on. Open it as a full-page navigation:
+ * the backend redirects to the identity provider and back to /login.
+ */
+const getSsoLoginUrl = () => {
+  return `${process.env.REACT_APP_API_HOST || ""}/api/auth/oidc/login`;
+};
+
 export {
   loginApi,
+  loginTotpApi,
   registerApi,
   getCurrentUser,
   updateProfileApi,
@@ -82,5 +177,15 @@ export {
   updateClusterSettingsApi,
   testClusterConnectionApi,
   forgotPasswordApi,
-  resetPasswordApi
+  resetPasswordApi,
+  getTwoFactorStatusApi,
+  setupTwoFactorApi,
+  enableTwoFactorApi,
+  disableTwoFactorApi,
+  regenerateRecoveryCodesApi,
+  getApiTokensApi,
+  createApiTokenApi,
+  revokeApiTokenApi,
+  getSsoConfigApi,
+  getSsoLoginUrl
 };
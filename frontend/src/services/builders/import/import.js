@@ -11,10 +11,11 @@ export const getImportResultsApi = (jobId) => {
  * Get movie frame info (dimensions, frame count)
  * @param {string} moviePath - Relative or absolute path to movie file
  * @param {string} jobId - Job ID to resolve relative paths
+ * @param {Object} eerOptions - Optional { eerGrouping, eerUpsampling } for EER movies
  */
-export const getMovieInfoApi = (moviePath, jobId) => {
+export const getMovieInfoApi = (moviePath, jobId, eerOptions = {}) => {
   return axiosInstance.get(`/api/import/movie-frame/`, {
-    params: { path: moviePath, jobId, info: true }
+    params: { path: moviePath, jobId, info: true, ...eerOptions }
   });
 };
 
@@ -23,10 +24,12 @@ export const getMovieInfoApi = (moviePath, jobId) => {
  * @param {string} moviePath - Relative or absolute path to movie file
  * @param {number} frameIndex - Frame index to retrieve
  * @param {string} jobId - Job ID to resolve relative paths
+ * @param {Object} previewOptions - Optional { gain, gainRot, gainFlip } gain reference to apply,
+ *   and { eerGrouping, eerUpsampling } for EER movies
  */
-export const getMovieFrameApi = (moviePath, frameIndex = 0, jobId = null) => {
+export const getMovieFrameApi = (moviePath, frameIndex = 0, jobId = null, previewOptions = {}) => {
   return axiosInstance.get(`/api/import/movie-frame/`, {
-    params: { path: moviePath, frame: frameIndex, jobId },
+    params: { path: moviePath, frame: frameIndex, jobId, ...previewOptions },
     responseType: 'blob'
   });
 };
@@ -35,10 +38,12 @@ export const getMovieFrameApi = (moviePath, frameIndex = 0, jobId = null) => {
  * Get averaged frame preview as PNG (sum of all frames)
  * @param {string} moviePath - Relative or absolute path to movie file
  * @param {string} jobId - Job ID to resolve relative paths
+ * @param {Object} previewOptions - Optional { gain, gainRot, gainFlip } gain reference to apply,
+ *   and { eerGrouping, eerUpsampling } for EER movies
  */
-export const getMovieAverageApi = (moviePath, jobId) => {
+export const getMovieAverageApi = (moviePath, jobId, previewOptions = {}) => {
   return axiosInstance.get(`/api/import/movie-frame/`, {
-    params: { path: moviePath, jobId, average: true },
+    params: { path: moviePath, jobId, average: true, ...previewOptions },
     responseType: 'blob'
   });
 };
@@ -49,10 +54,12 @@ export const getMovieAverageApi = (moviePath, jobId) => {
  * @param {number} maxFrames - Maximum number of frames to return
  * @param {number} size - Thumbnail size in pixels
  * @param {string} jobId - Job ID to resolve relative paths
+ * @param {Object} previewOptions - Optional { gain, gainRot, gainFlip } gain reference to apply,
+ *   and { eerGrouping, eerUpsampling } for EER movies
  */
-export const getMovieAllFramesApi = (moviePath, maxFrames = 50, size = 256, jobId = null) => {
+export const getMovieAllFramesApi = (moviePath, maxFrames = 50, size = 256, jobId = null, previewOptions = {}) => {
   return axiosInstance.get(`/api/import/movie-frames/`, {
-    params: { path: moviePath, maxFrames, size, jobId }
+    params: { path: moviePath, maxFrames, size, jobId, ...previewOptions }
   });
 };
 
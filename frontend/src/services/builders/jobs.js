@@ -103,6 +103,36 @@ const getJobDetailsApi = (jobId = "") => {
   return axiosInstance.get(`/api/jobs/${jobId}`);
 };
 
+/**
+ * Clone a job as a new job with edited parameters.
+ * With dryRun the merged parameters are validated and returned without submitting,
+ * so the job form can be opened pre-filled.
+ * @param {string} jobId - Source job ID
+ * @param {object} overrides - JSON merge patch applied to the source parameters
+ * @param {boolean} dryRun - Validate only
+ */
+const cloneJobApi = (jobId = "", overrides = {}, dryRun = false) => {
+  return axiosInstance.post(`/api/jobs/${jobId}/clone`, { overrides, dryRun });
+};
+
+/**
+ * Submit a parameter sweep: one job per combination of the axis values.
+ * @param {string} jobType - Job type (e.g. "class2d")
+ * @param {object} parameters - Base parameters shared by every job (must include projectId)
+ * @param {Array<{parameter: string, values: Array}>} axes - One or two swept parameters
+ */
+const submitSweepApi = (jobType = "", parameters = {}, axes = []) => {
+  return axiosInstance.post(`/api/jobs/sweep/${jobType}`, { parameters, axes });
+};
+
+/**
+ * Get the jobs of a parameter sweep with their swept values and stats.
+ * @param {string} sweepId - Sweep ID shared by the jobs
+ */
+const getSweepApi = (sweepId = "") => {
+  return axiosInstance.get(`/api/jobs/sweep/${sweepId}`);
+};
+
 /**
  * Get output files and downstream suggestions for a completed job.
  * Used when user clicks a job in the tree to auto-populate downstream builder inputs.
@@ -141,6 +171,9 @@ export {
   getParticleMetadataApi,
   browseFolderApi,
   getJobDetailsApi,
+  cloneJobApi,
+  submitSweepApi,
+  getSweepApi,
   getJobOutputsApi,
   getStageOutputFilesApi,
 };
@@ -78,6 +78,15 @@ axiosInstance.interceptors.response.use(
       }
     }
 
+    // Two-factor authentication required but not set up — send the user to enroll
+    if (
+      error.response?.status === 403 &&
+      error.response.data?.code === "TOTP_SETUP_REQUIRED" &&
+      !window.location.pathname.startsWith("/profile")
+    ) {
+      window.location.href = "/profile";
+    }
+
     return Promise.reject(error);
   }
 );
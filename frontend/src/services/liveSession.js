@@ -105,3 +105,47 @@ export const getProjectSessions = (projectId) => {
 export const getSelectGallery = (sessionId) => {
   return axiosInstance.get(`${BASE}/${sessionId}/select-gallery`);
 };
+
+/**
+ * Get per-exposure quality rules, the fields they can use and the
+ * latest per-rule rejection counts
+ */
+export const getQualityRules = (sessionId) => {
+  return axiosInstance.get(`${BASE}/${sessionId}/quality-rules`);
+};
+
+/**
+ * Replace the session's quality rules
+ * @param {string} sessionId
+ * @param {Array} rules - [{ id?, name, enabled, condition }]
+ * @param {boolean} reapply - Re-filter all previous passes right away
+ */
+export const updateQualityRules = (sessionId, rules, reapply = true) => {
+  return axiosInstance.put(`${BASE}/${sessionId}/quality-rules`, { rules, reapply });
+};
+
+/**
+ * Re-apply the current quality rules to every exposure collected so far
+ */
+export const reapplyQualityRules = (sessionId) => {
+  return axiosInstance.post(`${BASE}/${sessionId}/quality-rules/reapply`);
+};
+
+/**
+ * Download the end-of-session report (generated on first request if needed)
+ * @param {string} sessionId
+ * @param {'html'|'pdf'} format
+ */
+export const getSessionReport = (sessionId, format = 'html') => {
+  return axiosInstance.get(`${BASE}/${sessionId}/report`, {
+    params: format === 'pdf' ? { format } : {},
+    responseType: 'blob',
+  });
+};
+
+/**
+ * Regenerate the session report from the current data
+ */
+export const generateSessionReport = (sessionId) => {
+  return axiosInstance.post(`${BASE}/${sessionId}/report`);
+};
@@ -97,6 +97,60 @@ const restoreProjectApi = (projectId) => {
   return axiosInstance.put(`/api/projects/${projectId}/restore`);
 };
 
+/**
+ * List a project's event webhooks
+ * @param {string} projectId
+ */
+const getProjectWebhooksApi = (projectId) => {
+  return axiosInstance.get(`/api/projects/${projectId}/webhooks`);
+};
+
+/**
+ * Add an event webhook; the response holds the signing secret (shown once)
+ * @param {string} projectId
+ * @param {object} payload - { url, description, events, enabled }
+ */
+const createProjectWebhookApi = (projectId, payload) => {
+  return axiosInstance.post(`/api/projects/${projectId}/webhooks`, payload);
+};
+
+/**
+ * Update an event webhook
+ * @param {string} projectId
+ * @param {string} webhookId
+ * @param {object} payload - { url, description, events, enabled, rotateSecret }
+ */
+const updateProjectWebhookApi = (projectId, webhookId, payload) => {
+  return axiosInstance.put(`/api/projects/${projectId}/webhooks/${webhookId}`, payload);
+};
+
+/**
+ * Delete an event webhook and its delivery log
+ * @param {string} projectId
+ * @param {string} webhookId
+ */
+const deleteProjectWebhookApi = (projectId, webhookId) => {
+  return axiosInstance.delete(`/api/projects/${projectId}/webhooks/${webhookId}`);
+};
+
+/**
+ * Send a test (ping) event to an event webhook
+ * @param {string} projectId
+ * @param {string} webhookId
+ */
+const testProjectWebhookApi = (projectId, webhookId) => {
+  return axiosInstance.post(`/api/projects/${projectId}/webhooks/${webhookId}/test`);
+};
+
+/**
+ * Recent deliveries of an event webhook
+ * @param {string} projectId
+ * @param {string} webhookId
+ */
+const getWebhookDeliveriesApi = (projectId, webhookId) => {
+  return axiosInstance.get(`/api/projects/${projectId}/webhooks/${webhookId}/deliveries`);
+};
+
 export {
   createProjectApi,
   getProjectListApi,
@@ -109,5 +163,11 @@ export {
   addProjectMemberApi,
   updateProjectMemberApi,
   removeProjectMemberApi,
-  searchUsersApi
+  searchUsersApi,
+  getProjectWebhooksApi,
+  createProjectWebhookApi,
+  updateProjectWebhookApi,
+  deleteProjectWebhookApi,
+  testProjectWebhookApi,
+  getWebhookDeliveriesApi
 };
@@ -0,0 +1,45 @@
+/**
+ * Parameter Sweep Grid Utilities
+ *
+ * Lays the jobs of a parameter sweep out as a grid keyed by the swept
+ * values: rows follow the first axis, columns the second (if any).
+ */
+
+/**
+ * Build grid rows from the sweep returned by GET /api/jobs/sweep/:sweepId
+ * @param {Array<{parameter: string, values: Array}>} axes - Swept parameters in order
+ * @param {Array<{values: object}>} jobs - Sweep jobs with their swept values
+ * @returns {{rowAxis: object|null, colAxis: object|null, rows: Array<{value: *, cells: Array}>}}
+ */
+export const buildSweepGrid = (axes = [], jobs = []) => {
+  const [rowAxis = null, colAxis = null] = axes;
+  if (!rowAxis) return { rowAxis, colAxis, rows: [] };
+
+  const columns = colAxis ? colAxis.values : [undefined];
+  const findJob = (rowValue, colValue) =>
+    jobs.find(
+      (job) =>
+        job.values?.[rowAxis.parameter] === rowValue &&
+        (!colAxis || job.values?.[colAxis.parameter] === colValue)
+    ) || null;
+
+  const rows = rowAxis.values.map((value) => ({
+    value,
+    cells: columns.map((colValue) => findJob(value, colValue)),
+  }));
+
+  return { rowAxis, colAxis, rows };
+};
+
+/**
+ * Short result summary for a sweep cell, from the job's pipeline stats
+ * @param {object} pipelineStats - Job pipeline_stats
+ * @returns {string} e.g. "4.2 Å · 50 classes" or "" when nothing is known yet
+ */
+export const sweepCellSummary = (pipelineStats = {}) => {
+  const parts = [];
+  if (pipelineStats.resolution) parts.push(`${Number(pipelineStats.resolution).toFixed(1)} Å`);
+  if (pipelineStats.class_count) parts.push(`${pipelineStats.class_count} classes`);
+  if (pipelineStats.particle_count) parts.push(`${pipelineStats.particle_count.toLocaleString()} particles`);
+  return parts.join(" · ");
+};
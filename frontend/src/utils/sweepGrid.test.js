@@ -0,0 +1,50 @@
+import { buildSweepGrid, sweepCellSummary } from './sweepGrid';
+
+const job = (id, values, pipelineStats = {}) => ({ id, values, pipelineStats });
+
+describe('buildSweepGrid', () => {
+  it('returns no rows without axes', () => {
+    expect(buildSweepGrid([], []).rows).toEqual([]);
+  });
+
+  it('lays out a single axis as one column', () => {
+    const axes = [{ parameter: 'tau2fudge', values: [1, 2] }];
+    const jobs = [job('a', { tau2fudge: 1 }), job('b', { tau2fudge: 2 })];
+    const { rows, colAxis } = buildSweepGrid(axes, jobs);
+
+    expect(colAxis).toBeNull();
+    expect(rows.map((r) => [r.value, r.cells.map((c) => c.id)])).toEqual([
+      [1, ['a']],
+      [2, ['b']],
+    ]);
+  });
+
+  it('lays out two axes as rows by columns, leaving gaps empty', () => {
+    const axes = [
+      { parameter: 'numberOfClasses', values: [50, 100] },
+      { parameter: 'tau2fudge', values: [2, 4] },
+    ];
+    const jobs = [
+      job('a', { numberOfClasses: 50, tau2fudge: 2 }),
+      job('b', { numberOfClasses: 50, tau2fudge: 4 }),
+      job('c', { numberOfClasses: 100, tau2fudge: 4 }),
+    ];
+    const { rows } = buildSweepGrid(axes, jobs);
+
+    expect(rows.map((r) => r.cells.map((c) => c?.id ?? null))).toEqual([
+      ['a', 'b'],
+      [null, 'c'],
+    ]);
+  });
+});
+
+describe('sweepCellSummary', () => {
+  it('summarises known stats', () => {
+    expect(sweepCellSummary({ resolution: 4.234, class_count: 50 })).toBe('4.2 Å · 50 classes');
+  });
+
+  it('is empty without stats', () => {
+    expect(sweepCellSummary({ resolution: null, class_count: 0 })).toBe('');
+    expect(sweepCellSummary()).toBe('');
+  });
+});